@@ -8,13 +8,81 @@ import { UnderwaterEffect } from './underwater.mjs'
 // Pan and gain-range are per-track concerns, not channel-level effects.
 const EFFECT_CHAIN_PRIORITY = ['muffle', 'reverb', 'radio', 'underwater']
 
+// Shortest gap (s) between two scheduled steps of an offline render, so a track
+// whose clips have no length cannot stall the scheduling loop.
+const MIN_RENDER_STEP = 0.05
+
+/**
+ * Shapes for scene transitions: each maps progress (0–1) to how far a value has
+ * moved from where it was towards its target.
+ */
+export const TRANSITION_CURVES = {
+  'linear':      (t) => t,
+  'ease-in':     (t) => t * t,
+  'ease-out':    (t) => 1 - (1 - t) * (1 - t),
+  'ease-in-out': (t) => t * t * (3 - 2 * t),
+  'equal-power': (t) => Math.sin(t * 0.5 * Math.PI),
+}
+
+// Used when a scene and the switch to it both leave the transition out.
+const DEFAULT_SCENE_TRANSITION = { duration: 5, curve: 'linear' }
+
+// Linear segments a transition curve is drawn with. Plain ramps rather than
+// setValueCurveAtTime, so later live edits can schedule over a running transition.
+const TRANSITION_CURVE_STEPS = 32
+
+/**
+ * Moves an AudioParam from its current value to `target` along one of
+ * TRANSITION_CURVES. A zero duration jumps straight there.
+ * @param {BaseAudioContext} context
+ * @param {AudioParam} param
+ * @param {number} target
+ * @param {number} [duration=0] seconds
+ * @param {string} [curve='linear']
+ */
+function rampParam(context, param, target, duration = 0, curve = 'linear') {
+  const now = context.currentTime
+  const from = param.value
+  param.cancelScheduledValues(now)
+  if (!(duration > 0)) {
+    param.setValueAtTime(target, now)
+    return
+  }
+  const shape = TRANSITION_CURVES[curve] ?? TRANSITION_CURVES.linear
+  param.setValueAtTime(from, now)
+  for (let i = 1; i <= TRANSITION_CURVE_STEPS; i++) {
+    const t = i / TRANSITION_CURVE_STEPS
+    param.linearRampToValueAtTime(from + (target - from) * shape(t), now + duration * t)
+  }
+}
+
+/**
+ * A repeatable stand-in for Math.random (mulberry32). Offline renders draw every
+ * random value from one of these, so a seed always gives the same brew.
+ * @param {number} seed
+ * @returns {() => number} Uniform values in [0, 1)
+ */
+export function seededRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
 export class Range {
   /** @type {number} */
   min
   /** @type {number} */
   max
 
-  static fromData(data, defaultMin, defaultMax) {
+  /** @type {() => number} */
+  #random
+
+  static fromData(data, defaultMin, defaultMax, random = Math.random) {
     let min, max
     if (!!data && typeof data === 'object') {
       min = data.min ?? defaultMin
@@ -23,29 +91,37 @@ export class Range {
       min = defaultMin
       max = defaultMax
     }
-    return new Range(min, max)
+    return new Range(min, max, random)
   }
 
-  constructor(min = 0, max = 0) {
+  constructor(min = 0, max = 0, random = Math.random) {
     this.min = min
     this.max = max
+    this.#random = random
   }
 
   get random() {
-    return Math.random() * (this.max - this.min) + this.min
+    return this.#random() * (this.max - this.min) + this.min
   }
 }
 
 class NonRepeatingPicker {
   #prev = -1
 
+  /** @type {() => number} */
+  #random
+
+  constructor(random = Math.random) {
+    this.#random = random
+  }
+
   /**
    *
    * @param {Array} array An array of elements to pick from
    * @returns {any} A non-repeating random element from the array
    */
   random(array) {
-    let index = Math.floor(Math.random() * (array.length - 1))
+    let index = Math.floor(this.#random() * (array.length - 1))
     if (index === this.#prev) {
       index = (index + 1) % array.length
     }
@@ -109,7 +185,12 @@ export class SoundClip {
     this.#end   = end   ?? null
   }
 
-  load(url = null) {
+  /**
+   * @param {string|null} [url]
+   * @param {BaseAudioContext} [context] Context that decodes the clip
+   * @returns {Promise}
+   */
+  load(url = null, context = AmbientCoffee.audioContext) {
     if (this.#loaded) {
       if (this.#url === url) {
         return Promise.resolve()
@@ -127,7 +208,7 @@ export class SoundClip {
       fetch(this.#url)
         .then((response) => response.arrayBuffer())
         .then((arrayBuffer) => {
-          AmbientCoffee.audioContext.decodeAudioData(
+          context.decodeAudioData(
             arrayBuffer,
             (buffer) => {
               this.#buffer = buffer
@@ -169,6 +250,9 @@ export class SoundSource {
   /** @type {SoundClip[]} */
   #clips = []
 
+  /** @type {() => number} */
+  #random
+
   /** @type {Range} Number of clips played per event */
   repeatCount
 
@@ -190,19 +274,22 @@ export class SoundSource {
    * @param {Range} options.repeatDelay
    * @param {Range} options.attack
    * @param {Range} options.decay
+   * @param {() => number} [random] Source of every random draw
    *
    */
   constructor(
     label,
     clips,
-    { repeatCount = null, repeatDelay = null, attack = null, decay = null } = {}
+    { repeatCount = null, repeatDelay = null, attack = null, decay = null } = {},
+    random = Math.random
   ) {
     this.label = label
     this.#clips = clips
-    this.repeatCount = Range.fromData(repeatCount, 1, 1)
-    this.repeatDelay = Range.fromData(repeatDelay, 0, 0)
-    this.attack = Range.fromData(attack, 0, 0)
-    this.decay = Range.fromData(decay, 0, 0)
+    this.#random = random
+    this.repeatCount = Range.fromData(repeatCount, 1, 1, random)
+    this.repeatDelay = Range.fromData(repeatDelay, 0, 0, random)
+    this.attack = Range.fromData(attack, 0, 0, random)
+    this.decay = Range.fromData(decay, 0, 0, random)
   }
 
   /**
@@ -234,15 +321,15 @@ export class SoundSource {
    */
   repeatInto(destination, when) {
     const repeats = this.repeatCount.random
-    const envelope = AmbientCoffee.audioContext.createGain()
+    const envelope = destination.context.createGain()
     envelope.connect(destination)
 
     const start = when
-    const pick = new NonRepeatingPicker()
+    const pick = new NonRepeatingPicker(this.#random)
     for (let i = 0; i < repeats; i++) {
       const clip = pick.random(this.#clips)
 
-      const bufferSource = AmbientCoffee.audioContext.createBufferSource()
+      const bufferSource = destination.context.createBufferSource()
       bufferSource.buffer = clip.buffer
       bufferSource.connect(envelope)
       bufferSource.start(when, clip.startOffset, clip.effectiveDuration)
@@ -278,13 +365,13 @@ export class SoundSource {
    * @returns
    */
   playSegmentInto(destination, when, duration) {
-    const pick = new NonRepeatingPicker()
+    const pick = new NonRepeatingPicker(this.#random)
     const clip = pick.random(this.#clips)
     const available = clip.effectiveDuration
     duration = Math.min(duration, available)
-    const offset = clip.startOffset + Math.random() * (available - duration)
+    const offset = clip.startOffset + this.#random() * (available - duration)
 
-    const bufferSource = AmbientCoffee.audioContext.createBufferSource()
+    const bufferSource = destination.context.createBufferSource()
     bufferSource.buffer = clip.buffer
     bufferSource.connect(destination)
     bufferSource.start(when, offset, duration)
@@ -298,6 +385,7 @@ export class SoundSource {
  */
 class AmbientTrack {
   playInto(destinationNode) {}
+  renderInto(destinationNode, length) {}
   disconnect() {}
 }
 
@@ -322,7 +410,10 @@ export class EventTrack {
   #delayAfterPrev
 
   /** @type {NonRepeatingPicker} */
-  #eventSourcePicker = new NonRepeatingPicker()
+  #eventSourcePicker
+
+  /** @type {() => number} */
+  #random
 
   /** @type {number} */
   #eventTimeHandler = -1
@@ -350,13 +441,16 @@ export class EventTrack {
    * @param {boolean} [options.delayAfterPrev]
    * @param {{ min: number, max: number }|null} [options.gain]
    * @param {{ mode: string, value?: number, min?: number, max?: number }|null} [options.pan]
+   * @param {() => number} [random] Source of every random draw
    */
-  constructor(label, sources, { delay = null, delayAfterPrev = true, gain = null, pan = null } = {}) {
+  constructor(label, sources, { delay = null, delayAfterPrev = true, gain = null, pan = null } = {}, random = Math.random) {
     this.label = label
     this.#sources = sources
-    this.#eventDelay = Range.fromData(delay, 0, 0)
+    this.#random = random
+    this.#eventSourcePicker = new NonRepeatingPicker(random)
+    this.#eventDelay = Range.fromData(delay, 0, 0, random)
     this.#delayAfterPrev = delayAfterPrev
-    this.#gainRange = Range.fromData(gain, 0.5, 0.5)
+    this.#gainRange = Range.fromData(gain, 0.5, 0.5, random)
     this.#panConfig = pan ?? null
     if (
       this.#eventDelay.min === 0 &&
@@ -368,14 +462,16 @@ export class EventTrack {
   }
 
   /** @param {{ min: number, max: number }|Range|null} data */
-  setGainRange(data) { this.#gainRange = Range.fromData(data, 0.5, 0.5) }
+  setGainRange(data) { this.#gainRange = Range.fromData(data, 0.5, 0.5, this.#random) }
 
   /**
-   * Updates the pan configuration. For fixed/off: updates the shared panner immediately.
-   * For random/sweep modes: the change takes effect on the next event.
+   * Updates the pan configuration. For fixed/off: moves the shared panner, over
+   * the transition when one is given. For random/sweep modes: the change takes
+   * effect on the next event.
    * @param {{ mode: string, value?: number, min?: number, max?: number }|null} panConfig
+   * @param {{ duration?: number, curve?: string }} [transition]
    */
-  setPanConfig(panConfig) {
+  setPanConfig(panConfig, { duration = 0, curve = 'linear' } = {}) {
     this.#panConfig = panConfig ?? null
     if (!this.#panner) return
     // For fixed/off modes we can update the shared panner in-place.
@@ -383,19 +479,26 @@ export class EventTrack {
     const mode = this.#panConfig?.mode
     if (mode !== 'random' && mode !== 'left-to-right' && mode !== 'right-to-left') {
       const target = mode === 'fixed' ? (this.#panConfig.value ?? 0) : 0
-      this.#panner.pan.cancelScheduledValues(this.#panner.context.currentTime)
-      this.#panner.pan.setValueAtTime(target, this.#panner.context.currentTime)
+      rampParam(this.#panner.context, this.#panner.pan, target, duration, curve)
     }
   }
 
-  #playEventLoops() {
+  /**
+   * Schedules one event a random delay after `start`.
+   * @param {number} start Context time the delay counts from
+   * @returns {{ next: number, end: number, nodes: AudioNode[] }} Seconds after `start`
+   *   when the next event is due and when this one has finished, and the per-event
+   *   nodes to release once it has
+   */
+  #scheduleEvent(start) {
+    const ctx = this.#gain.context
     const source = this.#eventSourcePicker.random(this.#sources)
     const delay = this.#eventDelay.random
-    const when = this.#gain.context.currentTime + delay
+    const when = start + delay
 
     // Per-event gain node — random gain applies only to this event so concurrent
     // clones and the internal envelope inside repeatInto are unaffected.
-    const eventGain = AmbientCoffee.audioContext.createGain()
+    const eventGain = ctx.createGain()
     eventGain.gain.setValueAtTime(this.#gainRange.random, when)
 
     const panMode = this.#panConfig?.mode
@@ -405,7 +508,7 @@ export class EventTrack {
     if (useDynamicPan) {
       // Insert a per-event panner between eventGain and #gain so concurrent events
       // from clones each have independent pan positions.
-      eventPanner = AmbientCoffee.audioContext.createStereoPanner()
+      eventPanner = ctx.createStereoPanner()
       eventGain.connect(eventPanner)
       eventPanner.connect(this.#gain)
     } else {
@@ -418,7 +521,7 @@ export class EventTrack {
       if (panMode === 'random') {
         const min = this.#panConfig.min ?? -1
         const max = this.#panConfig.max ?? 1
-        eventPanner.pan.setValueAtTime(min + Math.random() * (max - min), when)
+        eventPanner.pan.setValueAtTime(min + this.#random() * (max - min), when)
       } else if (panMode === 'left-to-right') {
         eventPanner.pan.setValueAtTime(-1, when)
         eventPanner.pan.linearRampToValueAtTime(1, when + duration)
@@ -426,23 +529,27 @@ export class EventTrack {
         eventPanner.pan.setValueAtTime(1, when)
         eventPanner.pan.linearRampToValueAtTime(-1, when + duration)
       }
-      setTimeout(() => { eventPanner.disconnect(); eventGain.disconnect() }, (delay + duration + 1) * 1000)
-    } else {
-      setTimeout(() => eventGain.disconnect(), (delay + duration + 1) * 1000)
     }
 
-    this.#eventTimeHandler = setTimeout(
-      this.#playEventLoops.bind(this),
-      (this.#delayAfterPrev ? duration + delay : delay) * 1000
-    )
+    return {
+      next: this.#delayAfterPrev ? duration + delay : delay,
+      end: delay + duration,
+      nodes: eventPanner ? [eventPanner, eventGain] : [eventGain],
+    }
   }
 
-  playInto(destination) {
+  #playEventLoops() {
+    const { next, end, nodes } = this.#scheduleEvent(this.#gain.context.currentTime)
+    setTimeout(() => nodes.forEach((node) => node.disconnect()), (end + 1) * 1000)
+    this.#eventTimeHandler = setTimeout(this.#playEventLoops.bind(this), next * 1000)
+  }
+
+  #connect(destination) {
     if (this.#playing) {
       this.disconnect()
     }
-    this.#gain = AmbientCoffee.audioContext.createGain()
-    this.#panner = AmbientCoffee.audioContext.createStereoPanner()
+    this.#gain = destination.context.createGain()
+    this.#panner = destination.context.createStereoPanner()
     // Apply initial pan config (fixed/off sets the panner; dynamic modes leave it at 0)
     const mode = this.#panConfig?.mode
     if (mode === 'fixed') {
@@ -451,9 +558,26 @@ export class EventTrack {
     this.#gain.connect(this.#panner)
     this.#panner.connect(destination)
     this.#playing = true
+  }
+
+  playInto(destination) {
+    this.#connect(destination)
     this.#playEventLoops()
   }
 
+  /**
+   * Schedules every event due in the first `length` seconds up front, for an
+   * offline context that renders faster than timers could keep up with.
+   * @param {AudioNode} destination
+   * @param {number} length
+   */
+  renderInto(destination, length) {
+    this.#connect(destination)
+    for (let at = 0; at < length;) {
+      at += Math.max(this.#scheduleEvent(at).next, MIN_RENDER_STEP)
+    }
+  }
+
   disconnect() {
     if (!this.#playing) {
       return
@@ -520,6 +644,9 @@ export class LoopingTrack {
   /** @type {number|null} Ending pan of the previous segment, used as starting pan for the next. */
   #currentPan = null
 
+  /** @type {() => number} */
+  #random
+
   /**
    * @param {string} label
    * @param {SoundSource} source
@@ -527,49 +654,54 @@ export class LoopingTrack {
    * @param {{ min: number, max: number }|null} [options.duration]
    * @param {{ min: number, max: number }|null} [options.gain]
    * @param {{ mode: string, value?: number, min?: number, max?: number }|null} [options.pan]
+   * @param {() => number} [random] Source of every random draw
    */
-  constructor(label, source, { duration = null, gain = null, pan = null } = {}) {
+  constructor(label, source, { duration = null, gain = null, pan = null } = {}, random = Math.random) {
     this.label = label
     this.#source = source
+    this.#random = random
     this.#duration = Range.fromData(
       duration,
       source.duration.min,
-      source.duration.max
+      source.duration.max,
+      random
     )
     this.#crossfadeDuration = Math.min(
       LoopingTrack.defaultCrossFadeDuration,
       source.duration.min / 2
     )
-    this.#gainRange = Range.fromData(gain, 0.5, 0.5)
+    this.#gainRange = Range.fromData(gain, 0.5, 0.5, random)
     this.#panConfig = pan ?? null
   }
 
   /** @param {{ min: number, max: number }|Range|null} data */
-  setGainRange(data) { this.#gainRange = Range.fromData(data, 0.5, 0.5) }
+  setGainRange(data) { this.#gainRange = Range.fromData(data, 0.5, 0.5, this.#random) }
 
   /**
    * Updates the pan configuration. Fixed, random, and off modes are supported for loop tracks.
    * @param {{ mode: string, value?: number, min?: number, max?: number }|null} panConfig
+   * @param {{ duration?: number, curve?: string }} [transition] How fixed/off pans move to their target
    */
-  setPanConfig(panConfig) {
+  setPanConfig(panConfig, { duration = 0, curve = 'linear' } = {}) {
     this.#panConfig = panConfig ?? null
     this.#currentPan = null // reset so next segment picks a fresh value in the new range
     if (!this.#panner) return
     if (this.#panConfig?.mode === 'fixed') {
-      const target = this.#panConfig.value ?? 0
-      this.#panner.pan.cancelScheduledValues(this.#panner.context.currentTime)
-      this.#panner.pan.setValueAtTime(target, this.#panner.context.currentTime)
+      rampParam(this.#panner.context, this.#panner.pan, this.#panConfig.value ?? 0, duration, curve)
     } else if (this.#panConfig?.mode !== 'random') {
-      // Off — cancel any scheduled ramp and centre immediately
-      this.#panner.pan.cancelScheduledValues(this.#panner.context.currentTime)
-      this.#panner.pan.setValueAtTime(0, this.#panner.context.currentTime)
+      // Off — cancel any scheduled ramp and centre
+      rampParam(this.#panner.context, this.#panner.pan, 0, duration, curve)
     }
     // For 'random', the running ramp continues until the next segment boundary
   }
 
-  #playContinuousAmbience() {
-    const ctx = AmbientCoffee.audioContext
-    const when = this.#gain.context.currentTime
+  /**
+   * Schedules one crossfaded segment starting at `when`.
+   * @param {number} when Context time the segment starts
+   * @returns {number} Seconds after `when` at which the next segment should start
+   */
+  #scheduleSegment(when) {
+    const ctx = this.#gain.context
     const duration = Math.max(this.#crossfadeDuration * 2, this.#duration.random)
 
     // Node 1: equal-power crossfade shape (0 → 1 → 1 → 0)
@@ -594,34 +726,56 @@ export class LoopingTrack {
     if (this.#panConfig?.mode === 'random') {
       const min = this.#panConfig.min ?? -1
       const max = this.#panConfig.max ?? 1
-      const panStart = this.#currentPan ?? (min + Math.random() * (max - min))
-      const panEnd = min + Math.random() * (max - min)
+      const panStart = this.#currentPan ?? (min + this.#random() * (max - min))
+      const panEnd = min + this.#random() * (max - min)
       this.#currentPan = panEnd
       this.#panner.pan.setValueAtTime(panStart, when)
       this.#panner.pan.linearRampToValueAtTime(panEnd, when + duration)
     }
 
-    this.#eventTimeHandler = setTimeout(this.#playContinuousAmbience.bind(this), (duration - this.#crossfadeDuration) * 1000)
+    return duration - this.#crossfadeDuration
   }
 
-  playInto(destination) {
+  #playContinuousAmbience() {
+    const next = this.#scheduleSegment(this.#gain.context.currentTime)
+    this.#eventTimeHandler = setTimeout(this.#playContinuousAmbience.bind(this), next * 1000)
+  }
+
+  #connect(destination) {
     if (this.#playing) {
       this.disconnect()
     }
     this.#currentGain = null
     this.#currentPan = null
-    this.#gain = AmbientCoffee.audioContext.createGain()
-    this.#panner = AmbientCoffee.audioContext.createStereoPanner()
-    // Apply initial pan for fixed mode; random mode sets values per-segment in #playContinuousAmbience
+    this.#gain = destination.context.createGain()
+    this.#panner = destination.context.createStereoPanner()
+    // Apply initial pan for fixed mode; random mode sets values per-segment in #scheduleSegment
     if (this.#panConfig?.mode === 'fixed') {
       this.#panner.pan.value = this.#panConfig.value ?? 0
     }
     this.#gain.connect(this.#panner)
     this.#panner.connect(destination)
     this.#playing = true
+  }
+
+  playInto(destination) {
+    this.#connect(destination)
     this.#playContinuousAmbience()
   }
 
+  /**
+   * Schedules every segment that starts in the first `length` seconds up front,
+   * for an offline context.
+   * @param {AudioNode} destination
+   * @param {number} length
+   */
+  renderInto(destination, length) {
+    this.#connect(destination)
+    for (let at = 0; at < length;) {
+      at += Math.max(this.#scheduleSegment(at), MIN_RENDER_STEP)
+    }
+  }
+
   disconnect() {
     if (!this.#playing) {
       return
@@ -676,10 +830,19 @@ export class AmbientChannel {
   /** @type {number} master volume (0–1) applied to #output */
   #gain = 0.5
 
+  /**
+   * @param {string} label
+   * @param {AmbientTrack[]} tracks
+   * @param {Object} options Channel properties from the recipe
+   * @param {Object} [audio]
+   * @param {BaseAudioContext} [audio.context] Context the channel's nodes are created in
+   * @param {(() => number)|null} [audio.random] Seeded source for the reverb impulses; unset for live playback
+   */
   constructor(
     label,
     tracks,
-    { gain = null, distance, muffle = null, muffled, reverb = null, radio = null, oldRadio = false, underwater = false } = {}
+    { gain = null, distance, muffle = null, muffled, reverb = null, radio = null, oldRadio = false, underwater = false } = {},
+    { context = AmbientCoffee.audioContext, random = null } = {}
   ) {
     this.label = label
     this.#tracks = tracks
@@ -701,14 +864,13 @@ export class AmbientChannel {
     // Backward compat: old boolean oldRadio field → radio profile
     if (!radio && oldRadio === true)          radio  = 'old-radio'
 
-    const ctx = AmbientCoffee.audioContext
-    this.#output = ctx.createGain()
+    this.#output = context.createGain()
     this.#output.gain.value = this.#gain
 
-    this.#effects.set('muffle', new MuffleEffect(ctx))
-    this.#effects.set('reverb', new ReverbEffect(ctx))
-    this.#effects.set('radio', new RadioEffect(ctx))
-    this.#effects.set('underwater', new UnderwaterEffect(ctx))
+    this.#effects.set('muffle', new MuffleEffect(context))
+    this.#effects.set('reverb', new ReverbEffect(context, random))
+    this.#effects.set('radio', new RadioEffect(context))
+    this.#effects.set('underwater', new UnderwaterEffect(context))
     this.#rebuildChain()
 
     // Apply initial property states without transition
@@ -742,7 +904,7 @@ export class AmbientChannel {
   setGain(value) {
     this.#gain = value
     if (this.#enabled) {
-      const ctx = AmbientCoffee.audioContext
+      const ctx = this.#output.context
       this.#output.gain.linearRampToValueAtTime(value, ctx.currentTime + AmbientChannel.PROPERTY_TRANSITION_DURATION)
     }
   }
@@ -787,13 +949,39 @@ export class AmbientChannel {
   setEnabled(enabled) {
     this.#enabled = enabled
     const target = enabled ? this.#gain : 0
-    const ctx = AmbientCoffee.audioContext
+    const ctx = this.#output.context
     this.#output.gain.linearRampToValueAtTime(
       target,
       ctx.currentTime + AmbientChannel.PROPERTY_TRANSITION_DURATION
     )
   }
 
+  /**
+   * Moves the channel to a scene's settings. Gain, enabled state and fixed pans
+   * follow the transition curve; effect profiles ramp linearly over the same
+   * duration. Fields the scene leaves out keep their current value.
+   * @param {{ enabled?: boolean, gain?: number, muffle?: string|null, reverb?: string|null,
+   *   radio?: string|null, underwater?: boolean, pans?: Object<string, Object> }} state
+   *   `pans` maps track labels (clones included) to pan configs
+   * @param {{ duration?: number, curve?: string }} [transition]
+   */
+  applyScene(state, { duration = 0, curve = 'linear' } = {}) {
+    if (typeof state.gain === 'number') this.#gain = state.gain
+    if (typeof state.enabled === 'boolean') this.#enabled = state.enabled
+    rampParam(this.#output.context, this.#output.gain, this.#enabled ? this.#gain : 0, duration, curve)
+
+    for (const name of ['muffle', 'reverb', 'radio']) {
+      if (state[name] !== undefined) this.#effects.get(name).setActive(state[name] || null, duration)
+    }
+    if (state.underwater !== undefined) this.#effects.get('underwater').setActive(!!state.underwater, duration)
+
+    Object.entries(state.pans ?? {}).forEach(([label, pan]) => {
+      this.#tracks
+        .filter((track) => track.label === label)
+        .forEach((track) => track.setPanConfig(pan, { duration, curve }))
+    })
+  }
+
   /**
    * Returns the track at the given index, or null if out of range.
    * Used by brew-editor for per-track live updates during preview.
@@ -804,6 +992,14 @@ export class AmbientChannel {
     return this.#tracks[index] ?? null
   }
 
+  /**
+   * Resolves once the reverb impulse response has been built.
+   * @returns {Promise}
+   */
+  get ready() {
+    return this.#effects.get('reverb').ready
+  }
+
   playInto(destination) {
     if (this.#playing) {
       this.disconnect()
@@ -813,6 +1009,19 @@ export class AmbientChannel {
     this.#playing = true
   }
 
+  /**
+   * @param {AudioNode} destination
+   * @param {number} length Seconds to schedule
+   */
+  renderInto(destination, length) {
+    if (this.#playing) {
+      this.disconnect()
+    }
+    this.#tracks.forEach((track) => track.renderInto(this.#first, length))
+    this.#output.connect(destination)
+    this.#playing = true
+  }
+
   disconnect() {
     if (!this.#playing) {
       return
@@ -834,8 +1043,14 @@ class AmbientBrew {
   /** @type {AmbientChannel[]} */
   #channels = []
 
+  /** @type {BaseAudioContext} */
+  #context
+
+  /** @type {(() => number)|null} */
+  #random
+
   /** @type {GainNode} */
-  #fade = AmbientCoffee.audioContext.createGain()
+  #fade
 
   /** @type {number} */
   #fadeDuration
@@ -843,8 +1058,26 @@ class AmbientBrew {
   /** @type {boolean} */
   #playing = false
 
-  constructor(fadeDuration = 2) {
+  /** @type {Object[]} Named channel snapshots from the recipe */
+  #scenes = []
+
+  /** @type {{ loop?: boolean, steps: Object[] }|null} */
+  #timeline = null
+
+  /** @type {number} */
+  #timelineHandler = -1
+
+  /**
+   * @param {number} [fadeDuration=2]
+   * @param {Object} [audio]
+   * @param {BaseAudioContext} [audio.context] Context the brew is decoded and played in
+   * @param {(() => number)|null} [audio.random] Seeded source of every random draw; unset for live playback
+   */
+  constructor(fadeDuration = 2, { context = AmbientCoffee.audioContext, random = null } = {}) {
+    this.#context = context
+    this.#random = random
     this.#fadeDuration = fadeDuration
+    this.#fade = context.createGain()
     this.#fade.gain.value = 0
   }
 
@@ -884,7 +1117,7 @@ class AmbientBrew {
             clip.setOffsets(start, end)
           }
           clipLibrary.push(clip)
-          loadingClips.push(clip.load(fullURL(url)))
+          loadingClips.push(clip.load(fullURL(url), this.#context))
         }
       }
 
@@ -930,9 +1163,10 @@ class AmbientBrew {
 
       Promise.all(loadingClips)
         .then(() => {
+          const random = this.#random ?? Math.random
           const sources = recipe.sources.map(
             ({ label, clips, ...props }) =>
-              new SoundSource(label, clips.map(fetchClip), props)
+              new SoundSource(label, clips.map(fetchClip), props, random)
           )
           const fetchSource = (label) =>
             sources.find((source) => source.label === label)
@@ -951,7 +1185,8 @@ class AmbientBrew {
                             new EventTrack(
                               label,
                               trackProps.sources.map(fetchSource),
-                              trackProps
+                              trackProps,
+                              random
                             )
                           )
                           break
@@ -960,7 +1195,8 @@ class AmbientBrew {
                             new LoopingTrack(
                               label,
                               fetchSource(trackProps.source),
-                              trackProps
+                              trackProps,
+                              random
                             )
                           )
                           break
@@ -972,11 +1208,14 @@ class AmbientBrew {
                   },
                   []
                 ),
-                channelProps
+                channelProps,
+                { context: this.#context, random: this.#random }
               )
           )
           this.label = recipe.label
           this.#channels = channels
+          this.#scenes = Array.isArray(recipe.scenes) ? recipe.scenes : []
+          this.#timeline = recipe.timeline ?? null
           resolve()
         })
         .catch(reject)
@@ -1009,7 +1248,98 @@ class AmbientBrew {
     this.#playing = true
   }
 
+  /**
+   * Schedules the whole brew for the first `length` seconds of an offline
+   * context, fading in at the start and out at the end.
+   * @param {AudioNode} destination
+   * @param {number} length
+   * @returns {Promise} Resolves when every channel's effects are ready to render
+   */
+  renderInto(destination, length) {
+    if (this.#playing) {
+      this.disconnect()
+    }
+    this.#channels.forEach((channel) => channel.renderInto(this.#fade, length))
+    this.#fade.connect(destination)
+    const fade = Math.min(this.#fadeDuration, length / 2)
+    this.#fade.gain.setValueAtTime(0, 0)
+    this.#fade.gain.linearRampToValueAtTime(1, fade)
+    this.#fade.gain.setValueAtTime(1, length - fade)
+    this.#fade.gain.linearRampToValueAtTime(0, length)
+    this.#playing = true
+    return Promise.all(this.#channels.map((channel) => channel.ready))
+  }
+
+  /**
+   * Replaces the scenes and timeline loaded from the recipe, so edits apply
+   * without reloading the brew. A running timeline keeps its current steps.
+   * @param {Object[]} scenes
+   * @param {Object|null} timeline
+   */
+  setScenes(scenes, timeline) {
+    this.#scenes = Array.isArray(scenes) ? scenes : []
+    this.#timeline = timeline ?? null
+  }
+
+  /**
+   * Moves every channel the scene lists to its settings.
+   * @param {string} label
+   * @param {{ duration?: number, curve?: string }|null} [transition] Overrides the scene's own
+   * @returns {{ duration: number, curve: string }|null} The transition used, or null for an unknown scene
+   */
+  applyScene(label, transition = null) {
+    const scene = this.#scenes.find((s) => s.label === label)
+    if (!scene) return null
+    const { duration, curve } = { ...DEFAULT_SCENE_TRANSITION, ...scene.transition, ...transition }
+    Object.entries(scene.channels ?? {}).forEach(([channelLabel, state]) => {
+      this.getChannel(channelLabel)?.applyScene(state, { duration, curve })
+    })
+    return { duration, curve }
+  }
+
+  /**
+   * Steps through the recipe's timeline: each step moves to its scene, waits
+   * for the transition plus `hold` seconds, then advances. Looping timelines
+   * start over after the last step; others stop there.
+   * Steps naming an unknown scene are skipped.
+   * @param {(step: Object|null, index: number) => void} [onStep] Called with each step and its index in
+   *   the timeline, and with null at the end
+   * @returns {boolean} false when the timeline has no playable steps
+   */
+  playTimeline(onStep = null) {
+    this.stopTimeline()
+    const steps = (this.#timeline?.steps ?? [])
+      .map((step, index) => ({ step, index }))
+      .filter(({ step }) => this.#scenes.some((s) => s.label === step.scene))
+    if (steps.length === 0) return false
+
+    const advance = (index) => {
+      if (index >= steps.length) {
+        if (!this.#timeline.loop) {
+          this.#timelineHandler = -1
+          onStep?.(null, -1)
+          return
+        }
+        index = 0
+      }
+      const { step, index: timelineIndex } = steps[index]
+      const { duration } = this.applyScene(step.scene, step.transition ?? null)
+      onStep?.(step, timelineIndex)
+      // At least a second per step, so a looping timeline of instant steps cannot spin.
+      const wait = Math.max(1, duration + (step.hold ?? 0))
+      this.#timelineHandler = setTimeout(() => advance(index + 1), wait * 1000)
+    }
+    advance(0)
+    return true
+  }
+
+  stopTimeline() {
+    clearTimeout(this.#timelineHandler)
+    this.#timelineHandler = -1
+  }
+
   disconnect() {
+    this.stopTimeline()
     this.#channels.forEach((channel) => channel.disconnect())
   }
 
@@ -1136,6 +1466,38 @@ export class AmbientCoffee {
     return this.#brewing?.getChannel(label) ?? null
   }
 
+  /**
+   * Updates the playing brew's scenes and timeline (see AmbientBrew#setScenes).
+   * @param {Object[]} scenes
+   * @param {Object|null} timeline
+   */
+  setScenes(scenes, timeline) {
+    this.#brewing?.setScenes(scenes, timeline)
+  }
+
+  /**
+   * Switches the playing brew to one of its scenes.
+   * @param {string} label Scene label
+   * @param {{ duration?: number, curve?: string }|null} [transition] Overrides the scene's own
+   * @returns {{ duration: number, curve: string }|null} The transition used, or null when nothing changed
+   */
+  playScene(label, transition = null) {
+    return this.#brewing?.applyScene(label, transition) ?? null
+  }
+
+  /**
+   * Starts the playing brew's scene timeline (see AmbientBrew#playTimeline).
+   * @param {(step: Object|null, index: number) => void} [onStep]
+   * @returns {boolean} false when nothing is playing or the timeline is empty
+   */
+  playTimeline(onStep = null) {
+    return this.#brewing?.playTimeline(onStep) ?? false
+  }
+
+  stopTimeline() {
+    this.#brewing?.stopTimeline()
+  }
+
   /**
    * Immediately silences any currently playing brew (zeroes master gain) and
    * begins playing the supplied recipe at full volume — a hard cut with no
@@ -1155,4 +1517,27 @@ export class AmbientCoffee {
     // Restore full volume immediately (no fade)
     this.#master.gain.value = 1
   }
+
+  /**
+   * Renders a brew offline into one mixed stereo buffer. Every random draw —
+   * clip picks, repeats, delays, gains, pans and the reverb impulses — comes
+   * from a generator seeded with `seed`, so the same recipe, seed and length
+   * always give the same audio.
+   *
+   * @param {Object} recipe An ambient brew definition (same format as loadBrew)
+   * @param {Object} options
+   * @param {number} options.length Length of the render in seconds
+   * @param {number} [options.seed=0]
+   * @param {number} [options.fade=2] Fade in and out at either end, in seconds
+   * @param {number} [options.sampleRate=44100]
+   * @param {string} [options.baseUrl=''] Base URL for clips when the recipe has no mediaUrl
+   * @returns {Promise<AudioBuffer>}
+   */
+  static async renderBrew(recipe, { length, seed = 0, fade = 2, sampleRate = 44100, baseUrl = '' }) {
+    const context = new OfflineAudioContext(2, Math.ceil(length * sampleRate), sampleRate)
+    const brew = new AmbientBrew(fade, { context, random: seededRandom(seed) })
+    await brew.load({ ...recipe, mediaUrl: recipe.mediaUrl || baseUrl })
+    await brew.renderInto(context.destination, length)
+    return context.startRendering()
+  }
 }
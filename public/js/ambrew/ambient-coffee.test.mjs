@@ -0,0 +1,66 @@
+import { vi, describe, it, expect } from 'vitest'
+
+// happy-dom has no Web Audio API: the module only needs these to exist at import.
+vi.stubGlobal('AudioContext', class {})
+vi.stubGlobal('AudioBuffer', class { copyToChannel() {} copyFromChannel() {} })
+
+const { seededRandom, SoundSource, EventTrack, LoopingTrack } = await import('./ambient-coffee.mjs')
+
+/** A context stand-in that logs every scheduled value and clip start. */
+function fakeContext() {
+  const log = []
+  const context = { currentTime: 0, log }
+  const param = (name) => ({
+    value: 0,
+    setValueAtTime: (value, time) => log.push([name, value, time]),
+    linearRampToValueAtTime: (value, time) => log.push([`${name} ramp`, value, time]),
+    setValueCurveAtTime: () => {},
+    cancelScheduledValues: () => {},
+  })
+  const node = (extra) => ({ context, connect: () => {}, disconnect: () => {}, ...extra })
+  context.createGain = () => node({ gain: param('gain') })
+  context.createStereoPanner = () => node({ pan: param('pan') })
+  context.createBufferSource = () => node({ start: (when, offset, duration) => log.push(['start', when, offset, duration]) })
+  return context
+}
+
+const clip = (length) => ({ buffer: {}, startOffset: 0, duration: length, effectiveDuration: length })
+
+function renderSchedule(seed, length = 120) {
+  const random = seededRandom(seed)
+  const context = fakeContext()
+  const destination = { context, connect: () => {} }
+  const birds = new SoundSource('birds', [clip(3), clip(5)], { repeatCount: { min: 1, max: 3 }, repeatDelay: { min: 0, max: 2 } }, random)
+  const rain = new SoundSource('rain', [clip(30)], {}, random)
+  new EventTrack('birds', [birds], { delay: { min: 2, max: 10 }, gain: { min: 0.2, max: 0.8 }, pan: { mode: 'random' } }, random)
+    .renderInto(destination, length)
+  new LoopingTrack('rain', rain, { duration: { min: 10, max: 20 }, pan: { mode: 'random' } }, random)
+    .renderInto(destination, length)
+  return context.log
+}
+
+describe('offline brew rendering', () => {
+  it('draws a repeatable sequence from a seed', () => {
+    const a = seededRandom(7)
+    const b = seededRandom(7)
+    const values = Array.from({ length: 100 }, () => a())
+    expect(values).toEqual(Array.from({ length: 100 }, () => b()))
+    expect(values.every(value => value >= 0 && value < 1)).toBe(true)
+    expect(seededRandom(8)()).not.toBe(values[0])
+  })
+
+  it('schedules the same events, gains and pans for the same seed', () => {
+    const schedule = renderSchedule(42)
+    expect(renderSchedule(42)).toEqual(schedule)
+    expect(renderSchedule(43)).not.toEqual(schedule)
+    expect(schedule.some(([name]) => name === 'pan')).toBe(true)
+  })
+
+  it('schedules every event and loop segment up to the render length', () => {
+    const starts = renderSchedule(1, 120).filter(([name]) => name === 'start').map(([, when]) => when)
+    expect(starts.length).toBeGreaterThan(10)
+    expect(starts.some(when => when > 100)).toBe(true)
+    // A clip only starts after the end when the event that plays it began before it.
+    expect(Math.max(...starts)).toBeLessThan(120 + 10 + 3 * (5 + 2))
+  })
+})
@@ -17,8 +17,20 @@ class SimpleReverb {
   /** @type {AudioNode} */
   #output
 
-  constructor(context, reverbTime = 1) {
+  /** @type {(() => number)|null} */
+  #random
+
+  /** @type {Promise} resolves once the impulse response is in place */
+  ready
+
+  /**
+   * @param {BaseAudioContext} context
+   * @param {number} [reverbTime=1]
+   * @param {(() => number)|null} [random] Seeded noise source for a repeatable impulse
+   */
+  constructor(context, reverbTime = 1, random = null) {
     this.#context = context
+    this.#random = random
     this.input = this.#context.createGain()
     this.#effect = null
     this.#output = this.#context.createGain()
@@ -54,11 +66,14 @@ class SimpleReverb {
       this.#context.sampleRate * this.reverbTime,
       this.#context.sampleRate
     )
-    tailContext.oncomplete = (buffer) => {
-      this.#effect.buffer = buffer.renderedBuffer
-    }
+    this.ready = new Promise((resolve) => {
+      tailContext.oncomplete = (buffer) => {
+        this.#effect.buffer = buffer.renderedBuffer
+        resolve()
+      }
+    })
 
-    const tailOsc = new Noise(tailContext, 1)
+    const tailOsc = new Noise(tailContext, 1, this.#random ?? Math.random)
     tailOsc.init()
     tailOsc.connect(tailContext.destination)
     tailOsc.attack = this.attack
@@ -67,6 +82,9 @@ class SimpleReverb {
 
     tailOsc.on({ frequency: 500, velocity: 1 })
     tailContext.startRendering()
+    // The timed release races the tail render, so a seeded impulse leaves it
+    // out and depends on nothing but the noise.
+    if (this.#random) return
     setTimeout(() => {
       tailOsc.off()
     }, 1)
@@ -321,9 +339,10 @@ class Voice {
   }
 }
 class Noise extends Voice {
-  constructor(context, gain) {
+  constructor(context, gain, random = Math.random) {
     super(context, gain)
     this._length = 2
+    this._random = random
   }
 
   get length() {
@@ -337,8 +356,8 @@ class Noise extends Voice {
     var lBuffer = new Float32Array(this.length * this.context.sampleRate)
     var rBuffer = new Float32Array(this.length * this.context.sampleRate)
     for (let i = 0; i < this.length * this.context.sampleRate; i++) {
-      lBuffer[i] = 1 - 2 * Math.random()
-      rBuffer[i] = 1 - 2 * Math.random()
+      lBuffer[i] = 1 - 2 * this._random()
+      rBuffer[i] = 1 - 2 * this._random()
     }
     let buffer = this.context.createBuffer(
       2,
@@ -400,11 +419,13 @@ export class ReverbEffect {
   #wetGain       // GainNode — wet mix level
   #output        // GainNode — merge point
   #activeProfile // string|null — currently loaded profile
+  #random        // (() => number)|null — seeded noise for offline renders
 
-  constructor(ctx) {
+  constructor(ctx, random = null) {
     this.#ctx    = ctx
+    this.#random = random
     this.#input   = ctx.createGain()
-    this.#reverb  = new SimpleReverb(ctx, REVERB_PROFILES['church'].reverbTime)
+    this.#reverb  = new SimpleReverb(ctx, REVERB_PROFILES['church'].reverbTime, random)
     this.#filter  = ctx.createBiquadFilter()
     this.#filter.type = 'lowpass'
     this.#filter.frequency.value = REVERB_PROFILES['church'].cutoff
@@ -425,6 +446,8 @@ export class ReverbEffect {
 
   get input()  { return this.#input }
   get output() { return this.#output }
+  /** Resolves once the current profile's impulse response is in place. */
+  get ready()  { return this.#reverb.ready }
 
   /** @param {string|null} profile - profile key or null/falsy for off. Defaults to 'church' when truthy but unrecognized. */
   setActive(profile, duration = 0) {
@@ -435,7 +458,7 @@ export class ReverbEffect {
       const p = REVERB_PROFILES[profile] ?? REVERB_PROFILES['church']
       // Reconstruct the convolver IR for the new reverb time
       this.#input.disconnect(this.#reverb.input)
-      this.#reverb = new SimpleReverb(ctx, p.reverbTime)
+      this.#reverb = new SimpleReverb(ctx, p.reverbTime, this.#random)
       this.#input.connect(this.#reverb.input)
       this.#reverb.connect(this.#filter)
       // Update filter shape for this profile
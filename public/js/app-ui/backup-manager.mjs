@@ -0,0 +1,204 @@
+/**
+ * backup-manager.mjs – Data snapshot modal.
+ *
+ * Lists snapshots from `/admin/backups`, takes new ones (optionally with
+ * media), imports archives, and restores or deletes existing snapshots.
+ * Restores reload the page so every view picks up the restored data.
+ *
+ * @module app-ui/backup-manager
+ */
+import { html } from 'htm/preact';
+import { useState, useEffect, useCallback, useRef } from 'preact/hooks';
+import { styled } from '../custom-ui/goober-setup.mjs';
+import { currentTheme } from '../custom-ui/theme.mjs';
+import { fetchJson } from '../custom-ui/util.mjs';
+import { showModal } from '../custom-ui/overlays/modal.mjs';
+import { showDialog, showTextPrompt } from '../custom-ui/overlays/dialog.mjs';
+import { Button } from '../custom-ui/io/button.mjs';
+import { Checkbox } from '../custom-ui/io/checkbox.mjs';
+import { H3, HorizontalEdgesLayout, HorizontalLayout, VerticalLayout } from '../custom-ui/themed-base.mjs';
+import { formatBytes } from './storage-manager.mjs';
+
+// Styled Components
+const SnapshotList = styled('ul')`
+  list-style: none;
+  margin: 0;
+  padding: 0;
+  max-height: 360px;
+  overflow-y: auto;
+  border: 1px solid ${() => currentTheme.value.colors.border.secondary};
+  border-radius: 4px;
+`;
+SnapshotList.className = 'snapshot-list';
+
+const SnapshotRow = styled('li')`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 12px;
+  padding: 6px 8px;
+  font-size: ${() => currentTheme.value.typography.fontSize.small};
+  color: ${() => currentTheme.value.colors.text.primary};
+
+  small {
+    display: block;
+    color: ${() => currentTheme.value.colors.text.secondary};
+  }
+`;
+SnapshotRow.className = 'snapshot-row';
+
+const Summary = styled('div')`
+  font-size: ${() => currentTheme.value.typography.fontSize.small};
+  color: ${() => currentTheme.value.colors.text.secondary};
+`;
+Summary.className = 'backup-summary';
+
+// Snapshots with media and restores can take a while
+const FETCH_OPTIONS = { maxRetries: 0, showUserFeedback: false, timeout: 10 * 60 * 1000 };
+
+const REASON_LABELS = {
+  'manual': 'Manual',
+  'scheduled': 'Scheduled',
+  'pre-restore': 'Before restore',
+  'import': 'Imported',
+};
+
+/**
+ * BackupManager Component
+ *
+ * @returns {preact.VNode}
+ */
+export function BackupManager() {
+  const [snapshots, setSnapshots] = useState([]);
+  const [includeMedia, setIncludeMedia] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const loadSnapshots = useCallback(async () => {
+    try {
+      setSnapshots(await fetchJson('/admin/backups', {}, FETCH_OPTIONS));
+    } catch (err) {
+      console.error('Failed to load snapshots:', err);
+    }
+  }, []);
+
+  useEffect(() => { loadSnapshots(); }, [loadSnapshots]);
+
+  // Wraps an admin request so buttons stay disabled while it runs
+  const run = async (label, action) => {
+    setBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      console.error(`Failed to ${label}:`, err);
+      // Prefer the server's error message (e.g. "snapshot is newer than this server")
+      const body = err.response ? await err.response.json().catch(() => null) : null;
+      await showDialog(body?.error || `Failed to ${label}`, 'Backup Error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    const label = await showTextPrompt('Snapshot label', '', 'Optional');
+    if (label === null) return;
+    await run('create snapshot', async () => {
+      await fetchJson('/admin/backups', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ label, includeMedia }),
+      }, FETCH_OPTIONS);
+      if (window.showToast) window.showToast('Snapshot created');
+      await loadSnapshots();
+    });
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    run('import snapshot', async () => {
+      const formData = new FormData();
+      formData.append('archive', file);
+      await fetchJson('/admin/backups/import', { method: 'POST', body: formData }, FETCH_OPTIONS);
+      await loadSnapshots();
+    });
+  };
+
+  const handleRestore = async (snapshot) => {
+    const answer = await showDialog(
+      `Replace the current data with snapshot "${snapshot.label || snapshot.id}"? A snapshot of the current data is taken first.`,
+      'Restore Snapshot',
+      ['Restore', 'Cancel']
+    );
+    if (answer !== 'Restore') return;
+    await run('restore snapshot', async () => {
+      await fetchJson(`/admin/backups/${encodeURIComponent(snapshot.id)}/restore`, { method: 'POST' }, FETCH_OPTIONS);
+      window.location.reload();
+    });
+  };
+
+  const handleDelete = async (snapshot) => {
+    const answer = await showDialog(`Delete snapshot "${snapshot.label || snapshot.id}"?`, 'Delete Snapshot', ['Delete', 'Cancel']);
+    if (answer !== 'Delete') return;
+    await run('delete snapshot', async () => {
+      await fetchJson(`/admin/backups/${encodeURIComponent(snapshot.id)}`, { method: 'DELETE' }, FETCH_OPTIONS);
+      await loadSnapshots();
+    });
+  };
+
+  return html`
+    <${VerticalLayout} gap="small">
+      <${HorizontalEdgesLayout}>
+        <${H3}>Snapshots</${H3}>
+        <${HorizontalLayout} gap="small" alignItems="center">
+          <${Checkbox}
+            label="Include media"
+            checked=${includeMedia}
+            onChange=${(e) => setIncludeMedia(e.target.checked)}
+          />
+          <${Button} variant="medium-icon-text" icon="save" onClick=${handleCreate} disabled=${busy}>Snapshot Now</${Button}>
+          <${Button} variant="medium-icon-text" icon="upload" onClick=${() => fileInputRef.current?.click()} disabled=${busy}>Import</${Button}>
+          <input ref=${fileInputRef} type="file" accept=".gz" style=${{ display: 'none' }} onChange=${handleImport} />
+        </${HorizontalLayout}>
+      </${HorizontalEdgesLayout}>
+      ${snapshots.length === 0 ? html`<${Summary}>No snapshots yet.</${Summary}>` : html`
+        <${SnapshotList}>
+          ${snapshots.map(snapshot => html`
+            <${SnapshotRow} key=${snapshot.id}>
+              <span>
+                ${snapshot.label || snapshot.id}
+                <small>
+                  ${REASON_LABELS[snapshot.reason] || snapshot.reason} · ${new Date(snapshot.createdAt).toLocaleString()}
+                  · ${formatBytes(snapshot.size)}${snapshot.media.length > 0 ? ` · ${snapshot.media.length} media file(s)` : ''}
+                </small>
+              </span>
+              <${HorizontalLayout} gap="small">
+                <${Button}
+                  variant="small-icon"
+                  icon="download"
+                  title="Download archive"
+                  onClick=${() => { window.location.href = `/admin/backups/${encodeURIComponent(snapshot.id)}/download`; }}
+                />
+                <${Button} variant="small-icon" icon="undo" title="Restore" onClick=${() => handleRestore(snapshot)} disabled=${busy} />
+                <${Button} variant="small-icon" icon="trash" color="danger" title="Delete" onClick=${() => handleDelete(snapshot)} disabled=${busy} />
+              </${HorizontalLayout}>
+            </${SnapshotRow}>
+          `)}
+        </${SnapshotList}>
+      `}
+    </${VerticalLayout}>
+  `;
+}
+
+/**
+ * Open the backup manager in a modal.
+ * @returns {{ close: Function }}
+ */
+export function showBackupManager() {
+  return showModal({
+    title: 'Backups',
+    size: 'large',
+    content: html`<${BackupManager} />`,
+  });
+}
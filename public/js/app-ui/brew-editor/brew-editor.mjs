@@ -3,11 +3,13 @@
  *
  * Renders:
  *  - A header with Open / Upload Audio buttons and hamburger navigation
+ *  - A From Description button that queues a draft brew (see features/brew-draft)
  *  - A ListSelectModal for selecting, creating, importing, and exporting brews
  *  - Top-level brew settings (label)
  *  - DynamicList for Sound Sources (SoundSourceForm) — shows/edits global sources
  *  - DynamicList for Channels (ChannelForm)
- *  - Action bar: Record / Preview / Stop / Export / Save / Delete
+ *  - DynamicList for Scenes (SceneForm) and the scene timeline (TimelineForm)
+ *  - Action bar: Record / Render / Preview / Stop / Export / Save / Delete
  */
 import { html } from 'htm/preact';
 import { useState, useCallback, useEffect, useRef, useMemo } from 'preact/hooks';
@@ -22,11 +24,13 @@ import { H1, VerticalLayout, HorizontalLayout } from '../../custom-ui/themed-bas
 import { DynamicList } from '../../custom-ui/layout/dynamic-list.mjs';
 import { Icon } from '../../custom-ui/layout/icon.mjs';
 import ListSelectModal from '../../custom-ui/overlays/list-select.mjs';
-import { showDialog, showNumberPrompt } from '../../custom-ui/overlays/dialog.mjs';
+import { showDialog, showNumberPrompt, showTextPrompt } from '../../custom-ui/overlays/dialog.mjs';
 import { AppHeader } from '../themed-base.mjs';
 import { HamburgerMenu } from '../hamburger-menu.mjs';
 import { SoundSourceForm } from './sound-source-form.mjs';
 import { ChannelForm } from './channel-form.mjs';
+import { SceneForm, createScene, renameSceneChannel } from './scene-form.mjs';
+import { TimelineForm, renameTimelineScene } from './timeline-form.mjs';
 import { AmbientCoffee } from '../../ambrew/ambient-coffee.mjs';
 import { openFolderSelect } from '../use-folder-select.mjs';
 import { Gallery } from '../main/gallery.mjs';
@@ -36,14 +40,21 @@ import { createGalleryPreview } from '../main/gallery-preview.mjs';
 // Audio helpers
 // ============================================================================
 
+// Longest offline render offered, in minutes.
+const MAX_RENDER_MINUTES = 60;
+
+// Frames encoded per WAV blob part, so long renders are never copied into one
+// contiguous buffer.
+const WAV_CHUNK_FRAMES = 1 << 20;
+
 /** Encode an AudioBuffer as a 16-bit PCM WAV Blob. */
 function audioBufferToWavBlob(audioBuffer) {
   const numCh     = audioBuffer.numberOfChannels;
   const rate      = audioBuffer.sampleRate;
   const numFrames = audioBuffer.length;
   const dataBytes = numFrames * numCh * 2;
-  const buf       = new ArrayBuffer(44 + dataBytes);
-  const view      = new DataView(buf);
+  const header    = new ArrayBuffer(44);
+  const view      = new DataView(header);
   const write     = (off, str) =>
     [...str].forEach((c, i) => view.setUint8(off + i, c.charCodeAt(0)));
 
@@ -58,15 +69,22 @@ function audioBufferToWavBlob(audioBuffer) {
   view.setUint16(34, 16,          true);
   write(36, 'data'); view.setUint32(40, dataBytes, true);
 
-  let off = 44;
-  for (let i = 0; i < numFrames; i++) {
-    for (let ch = 0; ch < numCh; ch++) {
-      const s = Math.max(-1, Math.min(1, audioBuffer.getChannelData(ch)[i]));
-      view.setInt16(off, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
-      off += 2;
+  const channels = Array.from({ length: numCh }, (_, ch) => audioBuffer.getChannelData(ch));
+  const parts = [header];
+  for (let start = 0; start < numFrames; start += WAV_CHUNK_FRAMES) {
+    const end   = Math.min(numFrames, start + WAV_CHUNK_FRAMES);
+    const chunk = new DataView(new ArrayBuffer((end - start) * numCh * 2));
+    let off = 0;
+    for (let i = start; i < end; i++) {
+      for (let ch = 0; ch < numCh; ch++) {
+        const s = Math.max(-1, Math.min(1, channels[ch][i]));
+        chunk.setInt16(off, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+        off += 2;
+      }
     }
+    parts.push(chunk.buffer);
   }
-  return new Blob([buf], { type: 'audio/wav' });
+  return new Blob(parts, { type: 'audio/wav' });
 }
 
 // ============================================================================
@@ -120,6 +138,9 @@ TimerPanel.className = 'brew-timer-panel';
 // Default factory helpers
 // ============================================================================
 
+// How often pending brew drafts are checked while their sounds generate.
+const DRAFT_POLL_MS = 10000;
+
 function createDefaultBrew() {
   return {
     uid: Date.now(),
@@ -173,6 +194,8 @@ export function BrewEditor() {
   const [isRecording, setIsRecording] = useState(false);
   const [currentFolder, setCurrentFolder] = useState({ uid: '', label: 'Unsorted' });
   const [recordDuration, setRecordDuration] = useState(30);
+  const [isRendering, setIsRendering] = useState(false);
+  const [renderMinutes, setRenderMinutes] = useState(10);
   const [playbackSeconds, setPlaybackSeconds] = useState(0);
   // Global sound sources — separate from the brew's own sources array.
   // The Sound Sources panel edits these; the brew's sources array mirrors them.
@@ -183,12 +206,19 @@ export function BrewEditor() {
   // Runtime channel enable/disable state — never saved, resets on each preview start.
   // Shape: { [channelLabel]: { enabled: boolean } }
   const [channelStates, setChannelStates] = useState({});
+  // Index of the timeline step last applied while the timeline runs, -1 when stopped.
+  const [timelineStep, setTimelineStep] = useState(-1);
+  const [isTimelineRunning, setIsTimelineRunning] = useState(false);
   // Whether the global Sound Sources panel is visible. Shown by default, hidden when a brew opens.
   const [showSources, setShowSources] = useState(true);
 
   // Brew-level gallery (audio only, read-only browsing)
   const [isGalleryOpen, setIsGalleryOpen] = useState(false);
 
+  // Ids of drafts whose sounds are still generating; polled until each is assembled.
+  const [pendingDrafts, setPendingDrafts] = useState([]);
+  const [isDrafting, setIsDrafting] = useState(false);
+
   // Audio playback refs
   const coffeeRef = useRef(null);
   const recorderRef = useRef(null);
@@ -203,8 +233,34 @@ export function BrewEditor() {
     loadBrewList();
     loadCurrentFolder();
     loadGlobalSources();
+    loadPendingDrafts();
   }, []);
 
+  // ── Poll pending drafts until their brews are assembled ────────────────────
+  useEffect(() => {
+    if (pendingDrafts.length === 0) return undefined;
+    const timer = setInterval(async () => {
+      for (const id of pendingDrafts) {
+        try {
+          const res = await fetch(`/api/brew-drafts/${id}`);
+          if (!res.ok) continue;
+          const draft = await res.json();
+          if (draft.status === 'generating') continue;
+          setPendingDrafts(prev => prev.filter(d => d !== id));
+          if (draft.status === 'ready') {
+            toast.success(`Draft brew "${draft.label}" is ready — find it under Open`);
+            loadBrewList();
+          } else {
+            toast.error(`Draft brew "${draft.label}" failed: ${draft.error}`);
+          }
+        } catch {
+          // Try again on the next tick
+        }
+      }
+    }, DRAFT_POLL_MS);
+    return () => clearInterval(timer);
+  }, [pendingDrafts]);
+
   async function loadCurrentFolder() {
     try {
       const res = await fetch('/folder');
@@ -234,6 +290,42 @@ export function BrewEditor() {
     }
   }
 
+  async function loadPendingDrafts() {
+    try {
+      const res = await fetch('/api/brew-drafts');
+      if (!res.ok) return;
+      const drafts = await res.json();
+      setPendingDrafts(drafts.filter(d => d.status === 'generating').map(d => d.id));
+    } catch {
+      // Non-fatal: drafts finishing later still show up in the brew list
+    }
+  }
+
+  /**
+   * Ask for a scene description and start a draft brew for it. The server plans
+   * the sounds with an LLM and queues them; the brew is saved once they finish.
+   */
+  async function handleDraftFromDescription() {
+    const description = await showTextPrompt('Describe the Scene', '', 'e.g. rainy tavern at night');
+    if (!description?.trim()) return;
+    setIsDrafting(true);
+    try {
+      const res = await fetch('/api/brew-drafts', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ description }),
+      });
+      const data = await res.json().catch(() => ({ error: res.statusText }));
+      if (!res.ok) throw new Error(data.error || res.statusText);
+      setPendingDrafts(prev => [...prev, data.id]);
+      toast.success(`Queued ${data.sounds.length} sounds for "${data.label}" — follow them in the queue`);
+    } catch (e) {
+      toast.error(`Failed to draft brew: ${e.message}`);
+    } finally {
+      setIsDrafting(false);
+    }
+  }
+
   async function loadGlobalSources() {
     try {
       const res = await fetch('/api/sound-sources');
@@ -650,6 +742,108 @@ export function BrewEditor() {
     setPlaybackSeconds(0);
     setIsPlaying(false);
     setIsRecording(false);
+    setIsTimelineRunning(false);
+    setTimelineStep(-1);
+  }
+
+  // ── Scenes ─────────────────────────────────────────────────────────────────
+
+  // Keep the playing brew's scenes in step with edits, so Play and Run always
+  // use what the form shows.
+  useEffect(() => {
+    if (isPlaying) coffeeRef.current?.setScenes(brew?.scenes, brew?.timeline);
+  }, [isPlaying, brew?.scenes, brew?.timeline]);
+
+  /** Mirror a scene's channel on/off states in the channel toggles. */
+  function syncChannelStates(sceneLabel) {
+    const scene = (brew?.scenes || []).find(s => s.label === sceneLabel);
+    if (!scene) return;
+    setChannelStates(prev => {
+      const next = { ...prev };
+      Object.entries(scene.channels || {}).forEach(([label, state]) => {
+        next[label] = { ...prev[label], enabled: state.enabled !== false };
+      });
+      return next;
+    });
+  }
+
+  function handlePlayScene(scene) {
+    if (!coffeeRef.current?.playScene(scene.label)) return;
+    syncChannelStates(scene.label);
+  }
+
+  function handleRunTimeline() {
+    const started = coffeeRef.current?.playTimeline((step, index) => {
+      if (!step) {
+        setIsTimelineRunning(false);
+        setTimelineStep(-1);
+        return;
+      }
+      setTimelineStep(index);
+      syncChannelStates(step.scene);
+    });
+    if (!started) {
+      toast.error('The timeline has no steps with a known scene');
+      return;
+    }
+    setIsTimelineRunning(true);
+  }
+
+  function handleStopTimeline() {
+    coffeeRef.current?.stopTimeline();
+    setIsTimelineRunning(false);
+    setTimelineStep(-1);
+  }
+
+  const handleScenesChange = useCallback((scenes) => {
+    setBrew(prev => prev && { ...prev, scenes });
+  }, []);
+
+  const handleTimelineChange = useCallback((timeline) => {
+    setBrew(prev => prev && { ...prev, timeline });
+  }, []);
+
+  // ── Offline Render ─────────────────────────────────────────────────────────
+
+  /**
+   * Render the saved brew offline to a single mixed file and add it to the
+   * gallery as an audio entry linked to the brew. The seed makes the render
+   * repeatable: the same brew, seed and length always mix the same way.
+   */
+  async function handleRender() {
+    if (!brewRecorded || brewDirty) {
+      toast.error('Save the brew before rendering it');
+      return;
+    }
+    const minutes = await showNumberPrompt(`Render Length (minutes, up to ${MAX_RENDER_MINUTES})`, renderMinutes, 1);
+    if (minutes === null) return;
+    const seed = await showNumberPrompt('Render Seed', Math.floor(Math.random() * 1000000), 0);
+    if (seed === null) return;
+    const format = await showDialog('Save the render as MP3 or WAV?', 'Render Format', ['MP3', 'WAV', 'Cancel']);
+    if (format !== 'MP3' && format !== 'WAV') return;
+    setRenderMinutes(minutes);
+
+    const length = Math.round(Math.min(minutes, MAX_RENDER_MINUTES) * 60);
+    const filename = `brew-render-${brew.label}.wav`;
+    setIsRendering(true);
+    try {
+      const audioBuffer = await AmbientCoffee.renderBrew(brew, { length, seed });
+      const formData = new FormData();
+      formData.append('audio', audioBufferToWavBlob(audioBuffer), filename);
+      formData.append('name', brew.label);
+      formData.append('audioFormat', format.toLowerCase());
+      formData.append('brew', JSON.stringify({ uid: brew.uid, seed, length }));
+      const res = await fetch('/upload/audio', { method: 'POST', body: formData });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({ error: res.statusText }));
+        throw new Error(data.error || res.statusText);
+      }
+      toast.success(`Render of "${brew.label}" saved to media library`);
+    } catch (e) {
+      toast.error(`Render failed: ${e.message}`);
+    } finally {
+      setIsRendering(false);
+    }
   }
 
   // ── Source mutation helpers ────────────────────────────────────────────────
@@ -861,6 +1055,16 @@ export function BrewEditor() {
           >
             Gallery
           </${Button}>
+          <${Button}
+            variant="medium-icon-text"
+            icon="message-detail"
+            color="secondary"
+            loading=${isDrafting}
+            disabled=${isDrafting}
+            onClick=${handleDraftFromDescription}
+          >
+            ${pendingDrafts.length > 0 ? `From Description (${pendingDrafts.length})` : 'From Description'}
+          </${Button}>
           <${Button}
             variant="medium-icon-text"
             icon="folder"
@@ -1042,6 +1246,9 @@ export function BrewEditor() {
                   const next = [...(brew.channels || [])];
                   next[i] = updated;
                   handleChannelsChange(next);
+                  if (updated.label !== item.label && brew.scenes?.length) {
+                    handleScenesChange(renameSceneChannel(brew.scenes, item.label, updated.label));
+                  }
                 }}
               />
             `}
@@ -1052,6 +1259,49 @@ export function BrewEditor() {
           />
         </${Panel}>
 
+        <!-- Scenes -->
+        <${Panel} variant="outlined">
+          <${DynamicList}
+            title="Scenes"
+            items=${brew.scenes || []}
+            renderItem=${(item, i) => html`
+              <${SceneForm}
+                item=${item}
+                channels=${brew.channels || []}
+                channelStates=${channelStates}
+                canPlay=${isPlaying}
+                onPlay=${() => handlePlayScene(item)}
+                onChange=${(updated) => {
+                  const next = [...(brew.scenes || [])];
+                  next[i] = updated;
+                  handleScenesChange(next);
+                  if (updated.label !== item.label && brew.timeline) {
+                    handleTimelineChange(renameTimelineScene(brew.timeline, item.label, updated.label));
+                  }
+                }}
+              />
+            `}
+            getTitle=${(item) => item.label || 'Scene'}
+            createItem=${() => createScene(brew.channels, channelStates, `Scene ${(brew.scenes?.length ?? 0) + 1}`)}
+            onChange=${handleScenesChange}
+            addLabel="Add Scene"
+          />
+        </${Panel}>
+
+        <!-- Scene Timeline -->
+        <${Panel} variant="outlined">
+          <${TimelineForm}
+            timeline=${brew.timeline ?? null}
+            sceneLabels=${(brew.scenes || []).map(s => s.label).filter(Boolean)}
+            canPlay=${isPlaying}
+            isRunning=${isTimelineRunning}
+            activeStep=${timelineStep}
+            onPlay=${handleRunTimeline}
+            onStop=${handleStopTimeline}
+            onChange=${handleTimelineChange}
+          />
+        </${Panel}>
+
         <!-- Action Bar -->
         <${Panel} variant="default">
           <${HorizontalLayout} gap="small" style=${{ flexWrap: 'wrap', alignItems: 'center' }}>
@@ -1071,6 +1321,16 @@ export function BrewEditor() {
             >
               ${isRecording ? 'Recording…' : 'Record'}
             </${Button}>
+            <${Button}
+              variant="medium-icon-text"
+              icon="download"
+              loading=${isRendering}
+              color="secondary"
+              disabled=${isRendering || brewPreviewDisabled}
+              onClick=${handleRender}
+            >
+              ${isRendering ? 'Rendering…' : 'Render'}
+            </${Button}>
             <${Button}
               variant="medium-icon-text"
               icon=${isPlaying ? 'stop' : 'play'}
@@ -17,25 +17,27 @@ import { VerticalLayout, HorizontalLayout } from '../../custom-ui/themed-base.mj
 import { TrackForm } from './track-form.mjs';
 import { Select } from '../../custom-ui/io/select.mjs';
 
-const RADIO_OPTIONS = [
+// Effect options are shared with scene-form.mjs, whose snapshots use the same values.
+
+export const RADIO_OPTIONS = [
   { label: 'Off',           value: '' },
   { label: 'Old Radio',     value: 'old-radio' },
   { label: 'Walkie-Talkie', value: 'walkie-talkie' },
 ];
 
-const BOOL_OPTIONS = [
+export const BOOL_OPTIONS = [
   { label: 'Off', value: '' },
   { label: 'On',  value: 'on' },
 ];
 
-const MUFFLE_OPTIONS = [
+export const MUFFLE_OPTIONS = [
   { label: 'Off',          value: '' },
   { label: 'Glass Window', value: 'glass-window' },
   { label: 'Outside Car',  value: 'outside-car' },
   { label: 'Thick Wall',   value: 'thick-wall' },
 ];
 
-const REVERB_OPTIONS = [
+export const REVERB_OPTIONS = [
   { label: 'Off',        value: '' },
   { label: 'Small Room', value: 'small-room' },
   { label: 'Church',     value: 'church' },
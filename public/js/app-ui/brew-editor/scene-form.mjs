@@ -0,0 +1,200 @@
+/**
+ * scene-form.mjs – Sub-form for editing a single brew scene.
+ *
+ * A scene is a named snapshot of per-channel settings (enabled state, gain,
+ * effect profiles and fixed track pans) that playback can move to over a
+ * transition. Stored on the brew as:
+ *   { label, transition: { duration, curve }, channels: { [channelLabel]: ChannelState } }
+ *
+ * Props: { item, channels, onChange, onPlay, canPlay }
+ * Calls onChange(updatedItem) on every field edit.
+ * Calls onPlay() when the Play button is clicked.
+ */
+import { html } from 'htm/preact';
+import { Input } from '../../custom-ui/io/input.mjs';
+import { Select } from '../../custom-ui/io/select.mjs';
+import { Slider } from '../../custom-ui/io/slider.mjs';
+import { ToggleSwitch } from '../../custom-ui/io/toggle-switch.mjs';
+import { Button } from '../../custom-ui/io/button.mjs';
+import { VerticalLayout, HorizontalLayout } from '../../custom-ui/themed-base.mjs';
+import { MUFFLE_OPTIONS, REVERB_OPTIONS, RADIO_OPTIONS, BOOL_OPTIONS } from './channel-form.mjs';
+
+/** Transition curves, matching TRANSITION_CURVES in ambient-coffee.mjs. */
+export const CURVE_OPTIONS = [
+  { label: 'Linear',      value: 'linear' },
+  { label: 'Ease In',     value: 'ease-in' },
+  { label: 'Ease Out',    value: 'ease-out' },
+  { label: 'Ease In/Out', value: 'ease-in-out' },
+  { label: 'Equal Power', value: 'equal-power' },
+];
+
+const DEFAULT_TRANSITION = { duration: 5, curve: 'linear' };
+
+/** Channel gain as a single number, accepting the legacy range/distance forms. */
+function channelGain(channel) {
+  if (typeof channel.gain === 'number') return channel.gain;
+  if (channel.gain && typeof channel.gain === 'object') {
+    return ((channel.gain.min ?? 0.5) + (channel.gain.max ?? 0.5)) / 2;
+  }
+  return 0.5;
+}
+
+/**
+ * Snapshot the brew's channels as scene channel states.
+ * @param {Object[]} channels - brew.channels
+ * @param {Object} [channelStates] - Runtime `{ [label]: { enabled } }` from the editor
+ * @returns {Object} `{ [channelLabel]: { enabled, gain, muffle, reverb, radio, underwater, pans } }`
+ */
+export function captureChannels(channels = [], channelStates = {}) {
+  return Object.fromEntries(channels.filter(ch => ch.label).map(ch => [ch.label, {
+    enabled: channelStates[ch.label]?.enabled !== false,
+    gain: channelGain(ch),
+    muffle: ch.muffle || null,
+    reverb: typeof ch.reverb === 'boolean' ? (ch.reverb ? 'church' : null) : (ch.reverb || null),
+    radio: ch.radio || null,
+    underwater: !!ch.underwater,
+    pans: Object.fromEntries((ch.tracks || []).filter(t => t.label && t.pan).map(t => [t.label, t.pan])),
+  }]));
+}
+
+/**
+ * A new scene holding the brew's current mix.
+ * @param {Object[]} channels
+ * @param {Object} [channelStates]
+ * @param {string} [label]
+ */
+export function createScene(channels, channelStates, label = 'Scene') {
+  return { label, transition: { ...DEFAULT_TRANSITION }, channels: captureChannels(channels, channelStates) };
+}
+
+/**
+ * Follow a channel rename in every scene that lists the channel.
+ * @param {Object[]} scenes
+ * @param {string} from
+ * @param {string} to
+ * @returns {Object[]} The same array when no scene changed
+ */
+export function renameSceneChannel(scenes = [], from, to) {
+  if (!from || from === to || !scenes.some(scene => scene.channels?.[from])) return scenes;
+  return scenes.map(scene => {
+    if (!scene.channels?.[from]) return scene;
+    const channels = Object.fromEntries(Object.entries(scene.channels).map(([label, state]) => [label === from ? to : label, state]));
+    return { ...scene, channels };
+  });
+}
+
+/**
+ * SceneForm – Fields for a single scene entry.
+ *
+ * @param {Object}   props
+ * @param {Object}   props.item       - The scene object
+ * @param {Object[]} props.channels   - brew.channels, for capturing and listing channels
+ * @param {Object}   [props.channelStates] - Runtime channel enabled states, captured with the mix
+ * @param {Function} props.onChange   - Called with updated scene object
+ * @param {Function} [props.onPlay]   - Called when Play is clicked
+ * @param {boolean}  [props.canPlay]  - Whether a preview is running to apply the scene to
+ */
+export function SceneForm({ item, channels = [], channelStates = {}, onChange, onPlay, canPlay = false }) {
+  const transition = { ...DEFAULT_TRANSITION, ...item.transition };
+  const states = item.channels || {};
+
+  const setTransition = (patch) => onChange({ ...item, transition: { ...transition, ...patch } });
+  const setChannel = (label, patch) => onChange({
+    ...item,
+    channels: { ...states, [label]: { ...states[label], ...patch } },
+  });
+
+  return html`
+    <${VerticalLayout} gap="medium">
+      <${HorizontalLayout} gap="small">
+        <${Button}
+          variant="small-icon-text"
+          icon="play"
+          color="secondary"
+          disabled=${!canPlay}
+          onClick=${() => onPlay?.()}
+        >
+          Play
+        </${Button}>
+        <${Button}
+          variant="small-icon-text"
+          icon="refresh"
+          color="secondary"
+          onClick=${() => onChange({ ...item, channels: captureChannels(channels, channelStates) })}
+        >
+          Capture Mix
+        </${Button}>
+      </${HorizontalLayout}>
+
+      <${HorizontalLayout} gap="small">
+        <${Input}
+          label="Label"
+          value=${item.label || ''}
+          onInput=${(e) => onChange({ ...item, label: e.target.value })}
+          placeholder="Scene name"
+        />
+        <${Input}
+          label="Transition (s)"
+          type="number"
+          value=${transition.duration}
+          widthScale="compact"
+          onInput=${(e) => setTransition({ duration: Math.max(0, Number(e.target.value) || 0) })}
+        />
+        <${Select}
+          label="Curve"
+          value=${transition.curve}
+          options=${CURVE_OPTIONS}
+          onChange=${(e) => setTransition({ curve: e.target.value })}
+        />
+      </${HorizontalLayout}>
+
+      ${channels.filter(ch => ch.label && states[ch.label]).map(ch => {
+        const state = states[ch.label];
+        return html`
+          <${VerticalLayout} gap="small" key=${ch.label}>
+            <${HorizontalLayout} gap="small">
+              <${ToggleSwitch}
+                label=${ch.label}
+                checked=${state.enabled !== false}
+                onChange=${(e) => setChannel(ch.label, { enabled: e.target.checked })}
+              />
+              <${Select}
+                label="Muffle"
+                value=${state.muffle ?? ''}
+                options=${MUFFLE_OPTIONS}
+                onChange=${(e) => setChannel(ch.label, { muffle: e.target.value || null })}
+              />
+              <${Select}
+                label="Reverb"
+                value=${state.reverb ?? ''}
+                options=${REVERB_OPTIONS}
+                onChange=${(e) => setChannel(ch.label, { reverb: e.target.value || null })}
+              />
+              <${Select}
+                label="Radio"
+                value=${state.radio ?? ''}
+                options=${RADIO_OPTIONS}
+                onChange=${(e) => setChannel(ch.label, { radio: e.target.value || null })}
+              />
+              <${Select}
+                label="Underwater"
+                value=${state.underwater ? 'on' : ''}
+                options=${BOOL_OPTIONS}
+                onChange=${(e) => setChannel(ch.label, { underwater: !!e.target.value })}
+              />
+            </${HorizontalLayout}>
+            <${Slider}
+              label="Gain"
+              minAllowed=${0}
+              maxAllowed=${2}
+              snap=${0.01}
+              value=${state.gain ?? 0.5}
+              widthScale="full"
+              onChange=${(v) => setChannel(ch.label, { gain: v })}
+            />
+          </${VerticalLayout}>
+        `;
+      })}
+    </${VerticalLayout}>
+  `;
+}
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { captureChannels, createScene, renameSceneChannel } from './scene-form.mjs';
+import { renameTimelineScene } from './timeline-form.mjs';
+
+const channels = [
+  {
+    label: 'Rain',
+    gain: 0.8,
+    reverb: true,
+    tracks: [{ label: 'drops', pan: { mode: 'fixed', value: -0.5 } }, { label: 'hiss' }],
+  },
+  { label: 'Cafe', gain: { min: 0.2, max: 0.6 }, muffle: 'glass-window', underwater: true },
+  { gain: 1 },
+];
+
+describe('brew scene helpers', () => {
+  it('captures the current mix of every labelled channel', () => {
+    expect(captureChannels(channels, { Cafe: { enabled: false } })).toEqual({
+      Rain: {
+        enabled: true,
+        gain: 0.8,
+        muffle: null,
+        reverb: 'church',
+        radio: null,
+        underwater: false,
+        pans: { drops: { mode: 'fixed', value: -0.5 } },
+      },
+      Cafe: {
+        enabled: false,
+        gain: 0.4,
+        muffle: 'glass-window',
+        reverb: null,
+        radio: null,
+        underwater: true,
+        pans: {},
+      },
+    });
+    expect(createScene(channels, {}, 'Calm')).toMatchObject({
+      label: 'Calm',
+      transition: { duration: 5, curve: 'linear' },
+      channels: { Rain: { enabled: true }, Cafe: { enabled: true } },
+    });
+  });
+
+  it('follows channel and scene renames', () => {
+    const scenes = [createScene(channels, {}, 'Calm'), { label: 'Empty', channels: {} }];
+    const renamed = renameSceneChannel(scenes, 'Rain', 'Storm');
+    expect(Object.keys(renamed[0].channels)).toEqual(['Storm', 'Cafe']);
+    expect(renamed[1]).toBe(scenes[1]);
+    expect(renameSceneChannel(scenes, 'Wind', 'Gale')).toBe(scenes);
+
+    const timeline = { loop: true, steps: [{ scene: 'Calm', hold: 10 }, { scene: 'Empty', hold: 5 }] };
+    expect(renameTimelineScene(timeline, 'Calm', 'Quiet').steps).toEqual([
+      { scene: 'Quiet', hold: 10 },
+      { scene: 'Empty', hold: 5 },
+    ]);
+    expect(renameTimelineScene(timeline, 'Storm', 'Gale')).toBe(timeline);
+    expect(renameTimelineScene(null, 'Calm', 'Quiet')).toBe(null);
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * timeline-form.mjs – Sub-form for editing a brew's scene timeline.
+ *
+ * The timeline is an ordered list of steps, each moving to a scene and then
+ * holding it before the next step. Stored on the brew as:
+ *   { loop, steps: [{ scene, hold, transition? }] }
+ * where an optional step transition overrides the scene's own.
+ *
+ * Props: { timeline, sceneLabels, onChange, onPlay, onStop, isRunning, activeStep, canPlay }
+ * Calls onChange(updatedTimeline) on every field edit.
+ */
+import { html } from 'htm/preact';
+import { Input } from '../../custom-ui/io/input.mjs';
+import { Select } from '../../custom-ui/io/select.mjs';
+import { ToggleSwitch } from '../../custom-ui/io/toggle-switch.mjs';
+import { Button } from '../../custom-ui/io/button.mjs';
+import { DynamicList } from '../../custom-ui/layout/dynamic-list.mjs';
+import { Icon } from '../../custom-ui/layout/icon.mjs';
+import { VerticalLayout, HorizontalLayout } from '../../custom-ui/themed-base.mjs';
+import { currentTheme } from '../../custom-ui/theme.mjs';
+import { CURVE_OPTIONS } from './scene-form.mjs';
+
+const INHERIT_CURVE_OPTIONS = [{ label: 'Scene Curve', value: '' }, ...CURVE_OPTIONS];
+
+/**
+ * Follow a scene rename in every timeline step that points at it.
+ * @param {Object|null} timeline
+ * @param {string} from
+ * @param {string} to
+ * @returns {Object|null} The same timeline when no step changed
+ */
+export function renameTimelineScene(timeline, from, to) {
+  if (!timeline || !from || from === to || !timeline.steps?.some(step => step.scene === from)) return timeline;
+  return { ...timeline, steps: timeline.steps.map(step => step.scene === from ? { ...step, scene: to } : step) };
+}
+
+/**
+ * StepForm – Fields for a single timeline step.
+ */
+function StepForm({ item, sceneOptions, onChange }) {
+  const transition = item.transition || {};
+
+  // Clearing both override fields drops the override so the scene's transition applies.
+  const setTransition = (patch) => {
+    const next = { ...transition, ...patch };
+    Object.keys(next).forEach(key => next[key] === undefined && delete next[key]);
+    const { transition: _, ...rest } = item;
+    onChange(Object.keys(next).length ? { ...rest, transition: next } : rest);
+  };
+
+  return html`
+    <${HorizontalLayout} gap="small">
+      <${Select}
+        label="Scene"
+        value=${item.scene || ''}
+        options=${sceneOptions}
+        onChange=${(e) => onChange({ ...item, scene: e.target.value })}
+      />
+      <${Input}
+        label="Hold (s)"
+        type="number"
+        value=${item.hold ?? 0}
+        widthScale="compact"
+        onInput=${(e) => onChange({ ...item, hold: Math.max(0, Number(e.target.value) || 0) })}
+      />
+      <${Input}
+        label="Transition (s)"
+        type="number"
+        value=${transition.duration ?? ''}
+        placeholder="Scene"
+        widthScale="compact"
+        onInput=${(e) => setTransition({ duration: e.target.value === '' ? undefined : Math.max(0, Number(e.target.value) || 0) })}
+      />
+      <${Select}
+        label="Curve"
+        value=${transition.curve ?? ''}
+        options=${INHERIT_CURVE_OPTIONS}
+        onChange=${(e) => setTransition({ curve: e.target.value || undefined })}
+      />
+    </${HorizontalLayout}>
+  `;
+}
+
+/**
+ * TimelineForm – Steps list with loop toggle and run controls.
+ *
+ * @param {Object}      props
+ * @param {Object|null} props.timeline     - brew.timeline
+ * @param {string[]}    props.sceneLabels  - Labels of the brew's scenes
+ * @param {Function}    props.onChange     - Called with the updated timeline
+ * @param {Function}    [props.onPlay]     - Called when Run is clicked
+ * @param {Function}    [props.onStop]     - Called when Stop is clicked
+ * @param {boolean}     [props.isRunning]  - Whether the timeline is advancing
+ * @param {number}      [props.activeStep] - Index of the step last applied, or -1
+ * @param {boolean}     [props.canPlay]    - Whether a preview is running to drive
+ */
+export function TimelineForm({ timeline, sceneLabels = [], onChange, onPlay, onStop, isRunning = false, activeStep = -1, canPlay = false }) {
+  const theme = currentTheme.value;
+  const steps = timeline?.steps || [];
+  const sceneOptions = sceneLabels.map(label => ({ label, value: label }));
+
+  const update = (patch) => onChange({ loop: false, steps: [], ...timeline, ...patch });
+
+  return html`
+    <${VerticalLayout} gap="medium">
+      <${HorizontalLayout} gap="small" style=${{ alignItems: 'center' }}>
+        <${Button}
+          variant="small-icon-text"
+          icon=${isRunning ? 'stop' : 'play'}
+          color="secondary"
+          disabled=${!isRunning && (!canPlay || steps.length === 0)}
+          onClick=${() => (isRunning ? onStop?.() : onPlay?.())}
+        >
+          ${isRunning ? 'Stop Timeline' : 'Run Timeline'}
+        </${Button}>
+        <${ToggleSwitch}
+          label="Loop"
+          checked=${!!timeline?.loop}
+          onChange=${(e) => update({ loop: e.target.checked })}
+        />
+      </${HorizontalLayout}>
+
+      <${DynamicList}
+        title="Steps"
+        items=${steps}
+        showDragButton=${false}
+        showMoveUpDownButtons=${true}
+        renderItem=${(item, i) => html`
+          <${StepForm}
+            item=${item}
+            sceneOptions=${sceneOptions}
+            onChange=${(updated) => {
+              const next = [...steps];
+              next[i] = updated;
+              update({ steps: next });
+            }}
+          />
+        `}
+        getTitle=${(item, i) => {
+          const text = `${item.scene || 'Step'} (${item.hold ?? 0}s)`;
+          if (!isRunning || i !== activeStep) return text;
+          return html`
+            <span style="display:inline-flex;align-items:center;gap:6px;">
+              <${Icon} name="play" size="14px" color=${theme.colors.primary.background} />
+              ${text}
+            </span>
+          `;
+        }}
+        createItem=${() => ({ scene: sceneLabels[0] || '', hold: 60 })}
+        onChange=${(next) => update({ steps: next })}
+        addLabel="Add Step"
+      />
+    </${VerticalLayout}>
+  `;
+}
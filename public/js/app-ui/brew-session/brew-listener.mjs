@@ -0,0 +1,166 @@
+/**
+ * brew-listener.mjs – Speaker-side page for brew playback sessions.
+ *
+ * Joins the session named by ?session= and plays it through a SessionPlayer.
+ * Browsers only start audio after a user gesture, so playback waits for the
+ * Start Listening click. Reconnects are handled by BrewSessionClient; each one
+ * brings the full session state, which the player catches up with.
+ */
+import { html } from 'htm/preact';
+import { useState, useEffect, useRef } from 'preact/hooks';
+import { styled } from '../../custom-ui/goober-setup.mjs';
+import { currentTheme } from '../../custom-ui/theme.mjs';
+import { useToast } from '../../custom-ui/msg/toast.mjs';
+import { Button } from '../../custom-ui/io/button.mjs';
+import { Panel } from '../../custom-ui/layout/panel.mjs';
+import { H1, H2, VerticalLayout } from '../../custom-ui/themed-base.mjs';
+import { AppHeader } from '../themed-base.mjs';
+import { HamburgerMenu } from '../hamburger-menu.mjs';
+import { AmbientCoffee } from '../../ambrew/ambient-coffee.mjs';
+import { BrewSessionClient, listSessions } from './session-client.mjs';
+import { SessionPlayer } from './session-player.mjs';
+
+// ============================================================================
+// Styled Components
+// ============================================================================
+
+const PageRoot = styled('div')`
+  display: flex;
+  flex-direction: column;
+  gap: ${props => props.theme.spacing.large.gap};
+  padding: ${props => props.theme.spacing.medium.padding};
+  margin: 0 auto;
+  max-width: 640px;
+`;
+PageRoot.className = 'brew-listener-page';
+
+const StatusText = styled('div')`
+  font-family: ${props => props.theme.typography.fontFamily};
+  font-size: ${props => props.theme.typography.fontSize.medium};
+  color: ${props => props.theme.colors.text.secondary};
+`;
+StatusText.className = 'brew-listener-status';
+
+export function BrewListener() {
+  const [theme, setTheme] = useState(currentTheme.value);
+  useEffect(() => currentTheme.subscribe(setTheme), []);
+  const toast = useToast();
+  const sessionId = new URLSearchParams(window.location.search).get('session');
+
+  const [sessions, setSessions] = useState([]);
+  const [session, setSession] = useState(null);
+  const [isListening, setIsListening] = useState(false);
+  const [connected, setConnected] = useState(false);
+  const [closed, setClosed] = useState(false);
+  const [clockOffset, setClockOffset] = useState(0);
+  const clientRef = useRef(null);
+  const playerRef = useRef(null);
+
+  useEffect(() => {
+    if (!sessionId) {
+      listSessions().then(setSessions).catch(e => toast.error(`Could not list sessions: ${e.message}`));
+    }
+    return () => stopListening();
+  }, []);
+
+  async function startListening() {
+    // Resume AudioContext inside the click (browser autoplay policy)
+    if (AmbientCoffee.audioContext.state === 'suspended') {
+      await AmbientCoffee.audioContext.resume();
+    }
+    const player = new SessionPlayer({ onError: (e) => toast.error(`Playback failed: ${e.message}`) });
+    const client = new BrewSessionClient(sessionId, {
+      role: 'listener',
+      handlers: {
+        onState: (state) => {
+          setClockOffset(client.clockOffset);
+          setSession(state);
+          player.applyState(state);
+        },
+        onCommand: (payload) => {
+          setSession(payload.state);
+          player.applyCommand(payload, client.clockOffset);
+        },
+        onConnectionChange: setConnected,
+        onClosed: () => {
+          player.stop();
+          setClosed(true);
+          setIsListening(false);
+        },
+      },
+    });
+    playerRef.current = player;
+    clientRef.current = client;
+    client.connect();
+    setIsListening(true);
+  }
+
+  function stopListening() {
+    clientRef.current?.close();
+    clientRef.current = null;
+    playerRef.current?.stop();
+    playerRef.current = null;
+    setIsListening(false);
+  }
+
+  let body;
+  if (!sessionId) {
+    body = html`
+      <${Panel} variant="outlined">
+        <${VerticalLayout} gap="small">
+          <${H2}>Join a Session</${H2}>
+          ${sessions.length === 0 && html`
+            <${StatusText} theme=${theme}>No open sessions. Start one from the Brew Remote.</${StatusText}>
+          `}
+          ${sessions.map(s => html`
+            <${Button}
+              key=${s.id}
+              variant="medium-icon-text"
+              icon="headphone"
+              color="secondary"
+              onClick=${() => { window.location.search = `?session=${encodeURIComponent(s.id)}`; }}
+            >
+              ${s.id} – ${s.brewName}
+            </${Button}>
+          `)}
+        </${VerticalLayout}>
+      </${Panel}>
+    `;
+  } else if (closed) {
+    body = html`<${StatusText} theme=${theme}>Session ${sessionId} has ended.</${StatusText}>`;
+  } else {
+    body = html`
+      <${Panel} variant="outlined">
+        <${VerticalLayout} gap="medium">
+          <${H2}>${session?.brewName ?? `Session ${sessionId}`}</${H2}>
+          ${isListening && html`
+            <${StatusText} theme=${theme}>
+              ${connected ? 'Connected' : 'Reconnecting…'}
+              · ${session?.playing ? 'Playing' : 'Stopped'}
+              ${session?.scene ? ` · ${session.scene}` : ''}
+              · clock offset ${Math.round(clockOffset)} ms
+            </${StatusText}>
+          `}
+          <${Button}
+            variant="medium-icon-text"
+            icon=${isListening ? 'stop' : 'headphone'}
+            color=${isListening ? 'secondary' : 'primary'}
+            onClick=${isListening ? stopListening : startListening}
+          >
+            ${isListening ? 'Stop Listening' : 'Start Listening'}
+          </${Button}>
+        </${VerticalLayout}>
+      </${Panel}>
+    `;
+  }
+
+  return html`
+    <${PageRoot} theme=${theme}>
+      <${AppHeader}>
+        <${H1}>Brew Listener</${H1}>
+        <${HamburgerMenu} />
+      </${AppHeader}>
+      ${body}
+    </${PageRoot}>
+  `;
+}
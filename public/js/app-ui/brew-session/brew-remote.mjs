@@ -0,0 +1,345 @@
+/**
+ * brew-remote.mjs – Phone-friendly controller for brew playback sessions.
+ *
+ * Without a ?session= id the page lists open sessions and starts new ones for
+ * a saved brew. With one, it follows the session over SSE and sends
+ * play/stop/brew/scene/channel/volume commands; listeners (brew-listener.html)
+ * on other machines play the result.
+ */
+import { html } from 'htm/preact';
+import { useState, useEffect, useRef } from 'preact/hooks';
+import { styled } from '../../custom-ui/goober-setup.mjs';
+import { currentTheme } from '../../custom-ui/theme.mjs';
+import { useToast } from '../../custom-ui/msg/toast.mjs';
+import { Button } from '../../custom-ui/io/button.mjs';
+import { Select } from '../../custom-ui/io/select.mjs';
+import { Slider } from '../../custom-ui/io/slider.mjs';
+import { ToggleSwitch } from '../../custom-ui/io/toggle-switch.mjs';
+import { Panel } from '../../custom-ui/layout/panel.mjs';
+import { H1, H2, VerticalLayout, HorizontalLayout } from '../../custom-ui/themed-base.mjs';
+import { sendToClipboard } from '../../custom-ui/util.mjs';
+import { AppHeader } from '../themed-base.mjs';
+import { HamburgerMenu } from '../hamburger-menu.mjs';
+import { BrewSessionClient, listSessions, createSession, endSession, sendCommand } from './session-client.mjs';
+
+// Slider drags send at most one command per channel in this window.
+const SLIDER_COMMAND_DELAY_MS = 150;
+
+// ============================================================================
+// Styled Components
+// ============================================================================
+
+const PageRoot = styled('div')`
+  display: flex;
+  flex-direction: column;
+  gap: ${props => props.theme.spacing.large.gap};
+  padding: ${props => props.theme.spacing.medium.padding};
+  margin: 0 auto;
+  max-width: 640px;
+`;
+PageRoot.className = 'brew-remote-page';
+
+const StatusText = styled('div')`
+  font-family: ${props => props.theme.typography.fontFamily};
+  font-size: ${props => props.theme.typography.fontSize.medium};
+  color: ${props => props.theme.colors.text.secondary};
+`;
+StatusText.className = 'brew-remote-status';
+
+/** Scene buttons wrap into a grid of thumb-sized targets. */
+const SceneGrid = styled('div')`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(140px, 1fr));
+  gap: ${props => props.theme.spacing.small.gap};
+`;
+SceneGrid.className = 'brew-remote-scenes';
+
+function sessionIdFromUrl() {
+  return new URLSearchParams(window.location.search).get('session');
+}
+
+function listenerUrl(id) {
+  return `${window.location.origin}/brew-listener.html?session=${encodeURIComponent(id)}`;
+}
+
+// ============================================================================
+// Session picker (no ?session=)
+// ============================================================================
+
+function SessionPicker({ theme, toast }) {
+  const [sessions, setSessions] = useState([]);
+  const [brews, setBrews] = useState([]);
+  const [brewUid, setBrewUid] = useState('');
+  const [isStarting, setIsStarting] = useState(false);
+
+  useEffect(() => {
+    listSessions().then(setSessions).catch(e => toast.error(`Could not list sessions: ${e.message}`));
+    fetch('/api/brews')
+      .then(res => (res.ok ? res.json() : []))
+      .then((list) => {
+        setBrews(list);
+        if (list.length) setBrewUid(String(list[0].uid));
+      })
+      .catch(() => {});
+  }, []);
+
+  async function handleStart() {
+    setIsStarting(true);
+    try {
+      const session = await createSession(Number(brewUid));
+      window.location.search = `?session=${encodeURIComponent(session.id)}`;
+    } catch (e) {
+      toast.error(`Could not start session: ${e.message}`);
+      setIsStarting(false);
+    }
+  }
+
+  return html`
+    <${Panel} variant="outlined">
+      <${VerticalLayout} gap="medium">
+        <${H2}>New Session</${H2}>
+        <${Select}
+          label="Brew"
+          value=${brewUid}
+          options=${brews.map(b => ({ label: b.name, value: String(b.uid) }))}
+          widthScale="full"
+          onChange=${(e) => setBrewUid(e.target.value)}
+        />
+        <${Button}
+          variant="medium-icon-text"
+          icon="play"
+          color="primary"
+          loading=${isStarting}
+          disabled=${!brewUid || isStarting}
+          onClick=${handleStart}
+        >
+          Start Session
+        </${Button}>
+      </${VerticalLayout}>
+    </${Panel}>
+
+    ${sessions.length > 0 && html`
+      <${Panel} variant="outlined">
+        <${VerticalLayout} gap="small">
+          <${H2}>Open Sessions</${H2}>
+          ${sessions.map(s => html`
+            <${Button}
+              key=${s.id}
+              variant="medium-icon-text"
+              icon="headphone"
+              color="secondary"
+              onClick=${() => { window.location.search = `?session=${encodeURIComponent(s.id)}`; }}
+            >
+              ${s.id} – ${s.brewName}${s.playing ? ' (playing)' : ''} · ${s.listeners} listening
+            </${Button}>
+          `)}
+        </${VerticalLayout}>
+      </${Panel}>
+    `}
+    ${sessions.length === 0 && html`<${StatusText} theme=${theme}>No open sessions.</${StatusText}>`}
+  `;
+}
+
+// ============================================================================
+// Session controller (?session=ID)
+// ============================================================================
+
+function SessionController({ sessionId, theme, toast }) {
+  const [session, setSession] = useState(null);
+  const [listeners, setListeners] = useState(0);
+  const [connected, setConnected] = useState(false);
+  const [closed, setClosed] = useState(false);
+  const [brews, setBrews] = useState([]);
+  // Channel labels of the session's brew, for the mixer.
+  const [channelLabels, setChannelLabels] = useState([]);
+  const sliderTimersRef = useRef({});
+
+  useEffect(() => {
+    const client = new BrewSessionClient(sessionId, {
+      handlers: {
+        onState: setSession,
+        onCommand: ({ state }) => setSession(prev => (!prev || state.revision >= prev.revision ? state : prev)),
+        onListeners: setListeners,
+        onConnectionChange: setConnected,
+        onClosed: () => setClosed(true),
+      },
+    });
+    client.connect();
+    fetch('/api/brews').then(res => (res.ok ? res.json() : [])).then(setBrews).catch(() => {});
+    return () => {
+      client.close();
+      Object.values(sliderTimersRef.current).forEach(clearTimeout);
+    };
+  }, [sessionId]);
+
+  useEffect(() => {
+    if (session?.brewUid == null) return;
+    fetch(`/api/brews/${session.brewUid}`)
+      .then(res => (res.ok ? res.json() : null))
+      .then(brew => setChannelLabels((brew?.channels || []).map(ch => ch.label).filter(Boolean)))
+      .catch(() => setChannelLabels([]));
+  }, [session?.brewUid]);
+
+  async function send(command) {
+    try {
+      const { state } = await sendCommand(sessionId, command);
+      setSession(prev => (!prev || state.revision >= prev.revision ? state : prev));
+    } catch (e) {
+      toast.error(e.message);
+    }
+  }
+
+  /** Send a slider command once the value settles for a moment. */
+  function sendSettled(key, command) {
+    clearTimeout(sliderTimersRef.current[key]);
+    sliderTimersRef.current[key] = setTimeout(() => send(command), SLIDER_COMMAND_DELAY_MS);
+  }
+
+  async function handleEnd() {
+    try {
+      await endSession(sessionId);
+    } catch (e) {
+      toast.error(e.message);
+    }
+  }
+
+  if (closed) {
+    return html`
+      <${Panel} variant="outlined">
+        <${VerticalLayout} gap="medium">
+          <${StatusText} theme=${theme}>Session ${sessionId} has ended.</${StatusText}>
+          <${Button} variant="medium-text" color="secondary" onClick=${() => { window.location.search = ''; }}>
+            Back to Sessions
+          </${Button}>
+        </${VerticalLayout}>
+      </${Panel}>
+    `;
+  }
+
+  if (!session) {
+    return html`<${StatusText} theme=${theme}>Connecting to session ${sessionId}…</${StatusText}>`;
+  }
+
+  const channelState = (label) => session.channels?.[label] || {};
+
+  return html`
+    <${Panel} variant="outlined">
+      <${VerticalLayout} gap="medium">
+        <${H2}>${session.brewName}</${H2}>
+        <${StatusText} theme=${theme}>
+          Session ${session.id} · ${listeners} listening · ${connected ? 'connected' : 'reconnecting…'}
+        </${StatusText}>
+        <${Button}
+          variant="medium-icon-text"
+          icon=${session.playing ? 'stop' : 'play'}
+          color=${session.playing ? 'danger' : 'primary'}
+          onClick=${() => send({ type: session.playing ? 'stop' : 'play' })}
+        >
+          ${session.playing ? 'Stop' : 'Play'}
+        </${Button}>
+        <${Slider}
+          label="Volume"
+          minAllowed=${0}
+          maxAllowed=${2}
+          snap=${0.05}
+          value=${session.volume}
+          widthScale="full"
+          onChange=${(value) => sendSettled('volume', { type: 'volume', value })}
+        />
+      </${VerticalLayout}>
+    </${Panel}>
+
+    ${session.scenes.length > 0 && html`
+      <${Panel} variant="outlined">
+        <${VerticalLayout} gap="medium">
+          <${H2}>Scenes</${H2}>
+          <${SceneGrid} theme=${theme}>
+            ${session.scenes.map(label => html`
+              <${Button}
+                key=${label}
+                variant="medium-text"
+                color=${session.scene === label ? 'primary' : 'secondary'}
+                onClick=${() => send({ type: 'scene', label })}
+              >
+                ${label}
+              </${Button}>
+            `)}
+          </${SceneGrid}>
+        </${VerticalLayout}>
+      </${Panel}>
+    `}
+
+    ${channelLabels.length > 0 && html`
+      <${Panel} variant="outlined">
+        <${VerticalLayout} gap="medium">
+          <${H2}>Channels</${H2}>
+          ${channelLabels.map(label => html`
+            <${VerticalLayout} gap="small" key=${label}>
+              <${ToggleSwitch}
+                label=${label}
+                checked=${channelState(label).enabled !== false}
+                onChange=${(e) => send({ type: 'channel', label, enabled: e.target.checked })}
+              />
+              <${Slider}
+                minAllowed=${0}
+                maxAllowed=${2}
+                snap=${0.05}
+                value=${channelState(label).gain ?? 0.5}
+                widthScale="full"
+                onChange=${(gain) => sendSettled(`channel:${label}`, { type: 'channel', label, gain })}
+              />
+            </${VerticalLayout}>
+          `)}
+        </${VerticalLayout}>
+      </${Panel}>
+    `}
+
+    <${Panel} variant="outlined">
+      <${VerticalLayout} gap="medium">
+        <${Select}
+          label="Switch Brew"
+          value=${String(session.brewUid)}
+          options=${brews.map(b => ({ label: b.name, value: String(b.uid) }))}
+          widthScale="full"
+          onChange=${(e) => send({ type: 'brew', uid: Number(e.target.value) })}
+        />
+        <${HorizontalLayout} gap="small" style=${{ flexWrap: 'wrap' }}>
+          <${Button}
+            variant="medium-icon-text"
+            icon="link"
+            color="secondary"
+            onClick=${() => sendToClipboard(listenerUrl(session.id), 'Listener link copied to clipboard')}
+          >
+            Copy Listener Link
+          </${Button}>
+          <${Button} variant="medium-icon-text" icon="x" color="danger" onClick=${handleEnd}>
+            End Session
+          </${Button}>
+        </${HorizontalLayout}>
+      </${VerticalLayout}>
+    </${Panel}>
+  `;
+}
+
+// ============================================================================
+// Page
+// ============================================================================
+
+export function BrewRemote() {
+  const [theme, setTheme] = useState(currentTheme.value);
+  useEffect(() => currentTheme.subscribe(setTheme), []);
+  const toast = useToast();
+  const sessionId = sessionIdFromUrl();
+
+  return html`
+    <${PageRoot} theme=${theme}>
+      <${AppHeader}>
+        <${H1}>Brew Remote</${H1}>
+        <${HamburgerMenu} />
+      </${AppHeader}>
+      ${sessionId
+        ? html`<${SessionController} sessionId=${sessionId} theme=${theme} toast=${toast} />`
+        : html`<${SessionPicker} theme=${theme} toast=${toast} />`}
+    </${PageRoot}>
+  `;
+}
@@ -0,0 +1,188 @@
+/**
+ * session-client.mjs – Client side of brew playback sessions.
+ *
+ * BrewSessionClient follows one session over SSE
+ * (/api/brew-sessions/:id/events) and reconnects when the stream drops; the
+ * server answers every (re)connect with the full session state. Listeners also
+ * sample /api/brew-sessions/clock on each connect to estimate their offset from
+ * the server clock, which turns a command's server-time `at` into a local delay.
+ *
+ * @module app-ui/brew-session/session-client
+ */
+
+const RECONNECT_DELAY_MS = 3000;
+const CLOCK_SAMPLES = 5;
+
+// ============================================================================
+// Clock sync
+// ============================================================================
+
+/**
+ * Estimate the server clock offset from round-trip samples. The sample with the
+ * shortest round trip is trusted, assuming the server read its clock halfway.
+ * @param {{ sent: number, received: number, serverTime: number }[]} samples - Local send/receive and server times in ms
+ * @returns {number} Milliseconds to add to local time to get server time
+ */
+export function estimateClockOffset(samples) {
+  if (!samples.length) return 0;
+  const best = samples.reduce((a, b) => (b.received - b.sent < a.received - a.sent ? b : a));
+  return best.serverTime - (best.sent + best.received) / 2;
+}
+
+/**
+ * Local delay until a server-time moment.
+ * @param {number} at - Server time in ms
+ * @param {number} offset - From estimateClockOffset
+ * @param {number} [now] - Local time in ms
+ * @returns {number} Milliseconds to wait, never negative
+ */
+export function delayUntil(at, offset, now = Date.now()) {
+  return Math.max(0, at - (now + offset));
+}
+
+/** Sample the server clock a few times and estimate the offset. */
+export async function syncServerClock(samples = CLOCK_SAMPLES) {
+  const results = [];
+  for (let i = 0; i < samples; i++) {
+    const sent = Date.now();
+    const res = await fetch('/api/brew-sessions/clock', { cache: 'no-store' });
+    const received = Date.now();
+    if (!res.ok) continue;
+    const { now } = await res.json();
+    results.push({ sent, received, serverTime: now });
+  }
+  return estimateClockOffset(results);
+}
+
+// ============================================================================
+// REST helpers
+// ============================================================================
+
+async function sessionRequest(url, options) {
+  const res = await fetch(url, options);
+  const data = await res.json().catch(() => ({ error: res.statusText }));
+  if (!res.ok) throw new Error(data.error || res.statusText);
+  return data;
+}
+
+/** @returns {Promise<Object[]>} Open sessions, newest first */
+export function listSessions() {
+  return sessionRequest('/api/brew-sessions');
+}
+
+/**
+ * @param {number} brewUid
+ * @returns {Promise<Object>} The new session's state
+ */
+export function createSession(brewUid) {
+  return sessionRequest('/api/brew-sessions', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ brewUid }),
+  });
+}
+
+/** @param {string} id */
+export function endSession(id) {
+  return sessionRequest(`/api/brew-sessions/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+/**
+ * Send a controller command.
+ * @param {string} id - Session id
+ * @param {Object} command - e.g. `{ type: 'scene', label: 'Storm' }`
+ * @returns {Promise<{ command: Object, state: Object }>}
+ */
+export function sendCommand(id, command) {
+  return sessionRequest(`/api/brew-sessions/${encodeURIComponent(id)}/commands`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(command),
+  });
+}
+
+// ============================================================================
+// BrewSessionClient
+// ============================================================================
+
+/**
+ * Follows one session's event stream.
+ *
+ * Handlers (all optional):
+ *   onState(state)              – full state, on every (re)connect
+ *   onCommand({ command, state })
+ *   onListeners(count)
+ *   onClosed()                  – the session ended; the client stops reconnecting
+ *   onConnectionChange(connected)
+ */
+export class BrewSessionClient {
+  /**
+   * @param {string} id - Session id
+   * @param {Object} [options]
+   * @param {'listener'|'controller'} [options.role='controller'] - Listeners are counted and sync the clock
+   * @param {Object} [options.handlers]
+   */
+  constructor(id, { role = 'controller', handlers = {} } = {}) {
+    this.id = id;
+    this.role = role;
+    this.handlers = handlers;
+    this.clockOffset = 0;
+    this._eventSource = null;
+    this._reconnectTimer = null;
+    this._closed = false;
+  }
+
+  connect() {
+    if (this._eventSource || this._closed) return;
+    const url = `/api/brew-sessions/${encodeURIComponent(this.id)}/events?role=${this.role}`;
+    const eventSource = new EventSource(url);
+    this._eventSource = eventSource;
+
+    const on = (event, fn) => eventSource.addEventListener(event, (e) => {
+      try {
+        fn(JSON.parse(e.data));
+      } catch (err) {
+        console.error(`[BrewSession] Error handling ${event}:`, err);
+      }
+    });
+
+    on('session:state', async ({ state }) => {
+      if (this.role === 'listener') {
+        try {
+          this.clockOffset = await syncServerClock();
+        } catch (err) {
+          console.error('[BrewSession] Clock sync failed, keeping the last offset:', err);
+        }
+      }
+      this.handlers.onState?.(state);
+    });
+    on('session:command', (payload) => this.handlers.onCommand?.(payload));
+    on('session:listeners', ({ count }) => this.handlers.onListeners?.(count));
+    on('session:closed', () => {
+      this.close();
+      this.handlers.onClosed?.();
+    });
+
+    eventSource.onopen = () => this.handlers.onConnectionChange?.(true);
+    eventSource.onerror = () => {
+      if (this._eventSource !== eventSource) return;
+      eventSource.close();
+      this._eventSource = null;
+      this.handlers.onConnectionChange?.(false);
+      if (this._closed || this._reconnectTimer) return;
+      this._reconnectTimer = setTimeout(() => {
+        this._reconnectTimer = null;
+        this.connect();
+      }, RECONNECT_DELAY_MS);
+    };
+  }
+
+  /** Stop following the session. */
+  close() {
+    this._closed = true;
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    this._eventSource?.close();
+    this._eventSource = null;
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * session-player.mjs – Plays a brew session on a listener.
+ *
+ * SessionPlayer owns one AmbientCoffee and keeps it matching the session:
+ * `applyState` reconciles with the full state (on join and every reconnect),
+ * `applyCommand` schedules a single command for its server-time `at`. A command
+ * that skips a revision means one was missed, so the state sent with it is
+ * applied instead.
+ *
+ * @module app-ui/brew-session/session-player
+ */
+import { AmbientCoffee } from '../../ambrew/ambient-coffee.mjs';
+import { delayUntil } from './session-client.mjs';
+
+/** Transition used when catching up with a scene after joining or reconnecting. */
+const CATCH_UP_TRANSITION = { duration: 2, curve: 'ease-in-out' };
+
+/** Master volume ramp time constant, in seconds. */
+const VOLUME_TIME_CONSTANT = 0.1;
+
+async function fetchBrew(uid) {
+  const res = await fetch(`/api/brews/${uid}`);
+  if (!res.ok) throw new Error(`Brew ${uid} could not be loaded`);
+  return res.json();
+}
+
+export class SessionPlayer {
+  /**
+   * @param {Object} [options]
+   * @param {() => AmbientCoffee} [options.createCoffee]
+   * @param {(uid: number) => Promise<Object>} [options.loadRecipe] - Fetches a brew recipe by uid
+   * @param {(error: Error) => void} [options.onError]
+   */
+  constructor({ createCoffee = () => new AmbientCoffee(), loadRecipe = fetchBrew, onError = null } = {}) {
+    this._createCoffee = createCoffee;
+    this._loadRecipe = loadRecipe;
+    this._onError = onError;
+    this._coffee = null;
+    this._playingUid = null;
+    this._revision = -1;
+    this._timers = new Set();
+    // Serializes playback changes so a slow brew load cannot land after a later command.
+    this._queue = Promise.resolve();
+  }
+
+  /** @returns {number} Revision of the last state or command applied */
+  get revision() {
+    return this._revision;
+  }
+
+  /**
+   * Reconcile playback with a full session state. Pending commands are dropped;
+   * the state already includes them.
+   * @param {Object} state
+   * @returns {Promise<void>}
+   */
+  applyState(state) {
+    if (state.revision < this._revision) return this._queue;
+    this._clearTimers();
+    this._revision = state.revision;
+    return this._enqueue(async () => {
+      if (!state.playing) {
+        this._stopCoffee();
+        return;
+      }
+      if (!this._coffee || this._playingUid !== state.brewUid) await this._start(state.brewUid);
+      if (state.scene) this._coffee.playScene(state.scene, CATCH_UP_TRANSITION);
+      Object.entries(state.channels || {}).forEach(([label, override]) => this._applyChannel(label, override));
+      this._setVolume(state.volume ?? 1);
+    });
+  }
+
+  /**
+   * Schedule a command for its server time.
+   * @param {{ command: Object, state: Object }} payload - As sent with session:command
+   * @param {number} clockOffset - Server minus local time in ms
+   */
+  applyCommand({ command, state }, clockOffset) {
+    if (command.revision <= this._revision) return;
+    if (command.revision !== this._revision + 1) {
+      this.applyState(state);
+      return;
+    }
+    this._revision = command.revision;
+    const timer = setTimeout(() => {
+      this._timers.delete(timer);
+      this._enqueue(() => this._run(command, state));
+    }, delayUntil(command.at, clockOffset));
+    this._timers.add(timer);
+  }
+
+  /** Stop playback and drop pending commands. */
+  stop() {
+    this._clearTimers();
+    this._revision = -1;
+    this._enqueue(() => this._stopCoffee());
+  }
+
+  // ── internals ─────────────────────────────────────────────────────────────
+
+  async _run(command, state) {
+    switch (command.type) {
+      case 'play':
+        await this._start(state.brewUid);
+        this._setVolume(state.volume ?? 1);
+        break;
+      case 'stop':
+        this._stopCoffee();
+        break;
+      case 'brew':
+        if (state.playing) {
+          await this._start(command.uid);
+          this._setVolume(state.volume ?? 1);
+        }
+        break;
+      case 'scene':
+        this._coffee?.playScene(command.label, command.transition ?? null);
+        break;
+      case 'channel':
+        this._applyChannel(command.label, command);
+        break;
+      case 'volume':
+        this._setVolume(command.value);
+        break;
+    }
+  }
+
+  _enqueue(fn) {
+    this._queue = this._queue.then(fn).catch((error) => {
+      console.error('[SessionPlayer]', error);
+      this._onError?.(error);
+    });
+    return this._queue;
+  }
+
+  async _start(uid) {
+    this._stopCoffee();
+    const recipe = await this._loadRecipe(uid);
+    const coffee = this._createCoffee();
+    await coffee.loadBrew(recipe);
+    coffee.playBrew(recipe.label);
+    this._coffee = coffee;
+    this._playingUid = uid;
+  }
+
+  _stopCoffee() {
+    this._coffee?.stop();
+    this._coffee = null;
+    this._playingUid = null;
+  }
+
+  _applyChannel(label, { gain, enabled }) {
+    const channel = this._coffee?.getChannel(label);
+    if (!channel) return;
+    if (typeof gain === 'number') channel.setGain(gain);
+    if (typeof enabled === 'boolean') channel.setEnabled(enabled);
+  }
+
+  _setVolume(value) {
+    if (!this._coffee) return;
+    const { gain } = this._coffee;
+    gain.setTargetAtTime(value, AmbientCoffee.audioContext.currentTime, VOLUME_TIME_CONSTANT);
+  }
+
+  _clearTimers() {
+    this._timers.forEach(clearTimeout);
+    this._timers.clear();
+  }
+}
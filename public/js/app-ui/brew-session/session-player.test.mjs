@@ -0,0 +1,106 @@
+import { vi, describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../../ambrew/ambient-coffee.mjs', () => ({
+  AmbientCoffee: { audioContext: { currentTime: 0 } },
+}));
+
+const { SessionPlayer } = await import('./session-player.mjs');
+const { estimateClockOffset, delayUntil } = await import('./session-client.mjs');
+
+function fakeCoffee(log) {
+  const channel = (label) => ({
+    setGain: (gain) => log.push(['gain', label, gain]),
+    setEnabled: (enabled) => log.push(['enabled', label, enabled]),
+  });
+  return {
+    gain: { setTargetAtTime: (value) => log.push(['volume', value]) },
+    loadBrew: async (recipe) => log.push(['load', recipe.uid]),
+    playBrew: () => log.push(['play']),
+    stop: () => log.push(['stop']),
+    getChannel: (label) => channel(label),
+    playScene: (label, transition) => log.push(['scene', label, transition]),
+  };
+}
+
+const baseState = { brewUid: 1, playing: false, scene: null, channels: {}, volume: 1, revision: 0 };
+
+describe('brew session clock', () => {
+  it('trusts the fastest round trip', () => {
+    expect(estimateClockOffset([])).toBe(0);
+    expect(estimateClockOffset([
+      { sent: 1000, received: 1400, serverTime: 5000 },
+      { sent: 2000, received: 2020, serverTime: 6510 },
+    ])).toBe(4500);
+    expect(delayUntil(10300, 4500, 5500)).toBe(300);
+    expect(delayUntil(10300, 4500, 6000)).toBe(0);
+  });
+});
+
+describe('SessionPlayer', () => {
+  let log;
+  let player;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(10000);
+    log = [];
+    player = new SessionPlayer({
+      createCoffee: () => fakeCoffee(log),
+      loadRecipe: async (uid) => ({ uid, label: `Brew ${uid}` }),
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('catches up with the full state when joining mid-session', async () => {
+    await player.applyState({
+      ...baseState, playing: true, scene: 'Storm', channels: { Rain: { gain: 0.3, enabled: false } }, volume: 0.5, revision: 7,
+    });
+    expect(log).toEqual([
+      ['load', 1], ['play'],
+      ['scene', 'Storm', { duration: 2, curve: 'ease-in-out' }],
+      ['gain', 'Rain', 0.3], ['enabled', 'Rain', false],
+      ['volume', 0.5],
+    ]);
+    expect(player.revision).toBe(7);
+
+    // A stale state (from before a command already applied) is ignored.
+    log.length = 0;
+    await player.applyState({ ...baseState, revision: 3 });
+    expect(log).toEqual([]);
+  });
+
+  it('applies each command at its server time', async () => {
+    await player.applyState({ ...baseState, playing: true });
+    log.length = 0;
+
+    // The server clock runs 2 s ahead of this listener.
+    const offset = 2000;
+    player.applyCommand({ command: { type: 'scene', label: 'Calm', at: 12300, revision: 1 }, state: {} }, offset);
+    await vi.advanceTimersByTimeAsync(299);
+    expect(log).toEqual([]);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(log).toEqual([['scene', 'Calm', null]]);
+
+    // Duplicates are ignored.
+    player.applyCommand({ command: { type: 'scene', label: 'Calm', at: 12300, revision: 1 }, state: {} }, offset);
+    player.applyCommand({ command: { type: 'stop', at: 12400, revision: 2 }, state: {} }, offset);
+    await vi.advanceTimersByTimeAsync(500);
+    expect(log).toEqual([['scene', 'Calm', null], ['stop']]);
+  });
+
+  it('falls back to the state when a command was missed', async () => {
+    await player.applyState({ ...baseState, playing: true });
+    log.length = 0;
+
+    player.applyCommand({
+      command: { type: 'volume', value: 0.2, at: 10300, revision: 3 },
+      state: { ...baseState, playing: true, volume: 0.2, scene: 'Calm', revision: 3 },
+    }, 0);
+    await vi.runAllTimersAsync();
+    expect(log).toEqual([['scene', 'Calm', { duration: 2, curve: 'ease-in-out' }], ['volume', 0.2]]);
+    expect(player.revision).toBe(3);
+  });
+});
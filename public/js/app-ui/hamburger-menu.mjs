@@ -4,6 +4,9 @@
  * Wires the generic NavPanel with the project's navigation items:
  *   - Home (returns to index.html)
  *   - Workflow Editor (navigates to workflow-editor.html)
+ *   - Brew Remote (controls shared brew playback sessions)
+ *   - Storage (opens the storage manager modal)
+ *   - Backups (opens the data snapshot modal)
  *   - Change Theme (toggles between light and dark themes;
  *     icon reflects the theme that would be applied)
  *
@@ -14,6 +17,9 @@ import { useState, useEffect } from 'preact/hooks';
 import { currentTheme, toggleTheme } from '../custom-ui/theme.mjs';
 import { Button } from '../custom-ui/io/button.mjs';
 import { NavigationMenu } from '../custom-ui/nav/navigation-menu.mjs';
+import { showStorageManager } from './storage-manager.mjs';
+import { showBackupManager } from './backup-manager.mjs';
+import { showBatchBrowser } from './main/batch-grid.mjs';
 
 /**
  * HamburgerMenu – App navigation trigger + dropdown.
@@ -53,6 +59,12 @@ export function HamburgerMenu() {
       icon:  'music',
       active: currentPath === '/brew-editor.html',
     },
+    {
+      label: 'Brew Remote',
+      href:  '/brew-remote.html',
+      icon:  'headphone',
+      active: currentPath === '/brew-remote.html' || currentPath === '/brew-listener.html',
+    },
     {
       label: 'AnyTale',
       href:  '/anytale.html',
@@ -65,6 +77,21 @@ export function HamburgerMenu() {
       icon:  'edit',
       active: currentPath === '/anytale-editor.html',
     },
+    {
+      label: 'Batches',
+      icon:  'grid',
+      onClick: showBatchBrowser,
+    },
+    {
+      label: 'Storage',
+      icon:  'trash',
+      onClick: showStorageManager,
+    },
+    {
+      label: 'Backups',
+      icon:  'save',
+      onClick: showBackupManager,
+    },
     {
       label: 'Change Theme',
       // icon reflects the theme that WILL be applied after clicking
@@ -5,7 +5,20 @@ import { H2 } from '../../custom-ui/themed-base.mjs';
 import { getThemeValue } from '../../custom-ui/theme.mjs';
 import { Panel } from '../../custom-ui/layout/panel.mjs';
 import { Button } from '../../custom-ui/io/button.mjs';
+import { Slider } from '../../custom-ui/io/slider.mjs';
 import { createImageModal } from '../../custom-ui/overlays/modal.mjs';
+import {
+  createMask,
+  isMaskEmpty,
+  getMaskBounds,
+  fillRect,
+  paintStroke,
+  fillPolygon,
+  invertMask,
+  growMask,
+  createMaskHistory,
+  loadMaskImage,
+} from './mask-editor.mjs';
 
 // Styled components
 const CanvasContainer = styled('div')`
@@ -50,22 +63,62 @@ const InfoContainer = styled('div')`
 `;
 InfoContainer.className = 'info-container';
 
+const Toolbar = styled('div')`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: flex-end;
+  gap: ${getThemeValue('spacing.small.gap')};
+`;
+Toolbar.className = 'toolbar';
+
+const TOOLS = [
+  { id: 'brush', label: 'Brush', help: 'Paint the area to repaint' },
+  { id: 'eraser', label: 'Eraser', help: 'Erase painted areas' },
+  { id: 'lasso', label: 'Lasso', help: 'Drag to outline an area; hold Alt to subtract' },
+  { id: 'polygon', label: 'Polygon', help: 'Click to add points, click the first point or double click to close, Esc to cancel; hold Alt to subtract' },
+  { id: 'box', label: 'Box', help: 'Drag to select a rectangle; hold Alt to subtract' },
+];
+
+// Pixels added or removed by one Grow / Shrink click
+const GROW_STEP = 4;
+// Screen pixels within which a polygon click closes the shape
+const CLOSE_DISTANCE = 10;
+
 /**
  * InpaintCanvas Component
  *
+ * Paints the inpaint mask over the image. The mask starts from `maskUrl`
+ * when the entry has one, else from the legacy `inpaintArea` rectangle, and
+ * is reset whenever either changes. Every edit is reported through
+ * `onChangeMask` (null when nothing is selected); the feather radius is
+ * applied when the mask is exported, not while editing.
+ *
  * @param {Object} props
  * @param {string} props.imageUrl - URL of the image to display
- * @param {Object|null} props.inpaintArea - Current inpaint area { x1, y1, x2, y2 }
- * @param {Function} props.onChangeInpaintArea - Callback when inpaint area changes
+ * @param {string|null} [props.maskUrl] - Stored mask to start from
+ * @param {Object|null} [props.inpaintArea] - Rectangle { x1, y1, x2, y2 } to start from when there is no mask
+ * @param {Function} props.onChangeMask - Called with the mask ({ width, height, data }) or null
+ * @param {number} props.feather - Feather radius in pixels
+ * @param {Function} props.onChangeFeather - Called with the new feather radius
  */
-export function InpaintCanvas({ imageUrl, inpaintArea, onChangeInpaintArea }) {
+export function InpaintCanvas({ imageUrl, maskUrl, inpaintArea, onChangeMask, feather, onChangeFeather }) {
   const [imageLoaded, setImageLoaded] = useState(false);
   const [canvasSize, setCanvasSize] = useState({ width: 0, height: 0 });
+  const [tool, setTool] = useState('brush');
+  const [brushSize, setBrushSize] = useState(40);
   const [isDrawing, setIsDrawing] = useState(false);
+  const [historyState, setHistoryState] = useState({ canUndo: false, canRedo: false });
+  const [bounds, setBounds] = useState(null);
 
   const canvasRef = useRef(null);
   const imageRef = useRef(null);
-  const drawingStartRef = useRef(null);
+  const maskRef = useRef(null);
+  const historyRef = useRef(null);
+  const overlayRef = useRef(null);
+  const gestureRef = useRef(null);
+  const polygonRef = useRef([]);
+
+  const getCanvas = () => canvasRef.current && (canvasRef.current.base || canvasRef.current);
 
   // Load image when imageUrl changes
   useEffect(() => {
@@ -110,70 +163,92 @@ export function InpaintCanvas({ imageUrl, inpaintArea, onChangeInpaintArea }) {
     };
   }, [imageUrl]);
 
-  // Setup canvas and draw when image loads or inpaintArea changes
-  useEffect(() => {
-    if (!imageLoaded || !canvasRef.current || !imageRef.current) return;
+  // Draw the image, darken everything outside the mask and outline an open lasso/polygon
+  const redraw = useCallback(() => {
+    const canvas = getCanvas();
+    const mask = maskRef.current;
+    if (!canvas || !imageRef.current || !mask) return;
 
-    // Goober styled components: access DOM element via .base property
-    const canvas = canvasRef.current.base || canvasRef.current;
     const ctx = canvas.getContext('2d');
-
-    // Set canvas size
-    canvas.width = canvasSize.width;
-    canvas.height = canvasSize.height;
-
-    // Draw the image
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     ctx.drawImage(imageRef.current, 0, 0);
 
-    // Draw overlay if inpaint area is defined
-    if (inpaintArea) {
-      const { x1, y1, x2, y2 } = inpaintArea;
-
-      // Calculate rectangle bounds
-      const left = Math.min(x1, x2);
-      const top = Math.min(y1, y2);
-      const width = Math.abs(x2 - x1);
-      const height = Math.abs(y2 - y1);
-
-      // Save current canvas state
-      ctx.save();
-
-      // Create overlay everywhere except the inpaint area
-      ctx.globalAlpha = 0.5;
-      ctx.fillStyle = 'black';
-
-      // Draw overlay on top area
-      if (top > 0) {
-        ctx.fillRect(0, 0, canvas.width, top);
+    if (!isMaskEmpty(mask)) {
+      if (!overlayRef.current || overlayRef.current.width !== mask.width || overlayRef.current.height !== mask.height) {
+        overlayRef.current = document.createElement('canvas');
+        overlayRef.current.width = mask.width;
+        overlayRef.current.height = mask.height;
       }
-
-      // Draw overlay on bottom area
-      if (top + height < canvas.height) {
-        ctx.fillRect(0, top + height, canvas.width, canvas.height - (top + height));
+      const overlay = new ImageData(mask.width, mask.height);
+      for (let i = 0; i < mask.data.length; i++) {
+        overlay.data[i * 4 + 3] = (255 - mask.data[i]) >> 1;
       }
+      overlayRef.current.getContext('2d').putImageData(overlay, 0, 0);
+      ctx.drawImage(overlayRef.current, 0, 0);
+    }
 
-      // Draw overlay on left area
-      if (left > 0) {
-        ctx.fillRect(0, top, left, height);
-      }
+    const path = gestureRef.current?.points || polygonRef.current;
+    if (path.length > 1) {
+      ctx.save();
+      ctx.strokeStyle = 'white';
+      ctx.lineWidth = Math.max(1, canvas.width / 400);
+      ctx.setLineDash([ctx.lineWidth * 4, ctx.lineWidth * 4]);
+      ctx.beginPath();
+      path.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+      ctx.stroke();
+      ctx.restore();
+    }
+  }, []);
 
-      // Draw overlay on right area
-      if (left + width < canvas.width) {
-        ctx.fillRect(left + width, top, canvas.width - (left + width), height);
-      }
+  // Record the current mask as an undo step and report it
+  const commit = useCallback(() => {
+    const mask = maskRef.current;
+    historyRef.current.record(mask);
+    setHistoryState({ canUndo: historyRef.current.canUndo, canRedo: historyRef.current.canRedo });
+    setBounds(getMaskBounds(mask));
+    onChangeMask?.(isMaskEmpty(mask) ? null : { ...mask });
+    redraw();
+  }, [onChangeMask, redraw]);
+
+  // (Re)build the mask when the image, stored mask or rectangle changes
+  useEffect(() => {
+    if (!imageLoaded) return;
+    const canvas = getCanvas();
+    if (!canvas) return;
+    canvas.width = canvasSize.width;
+    canvas.height = canvasSize.height;
 
-      // Restore canvas state
-      ctx.restore();
+    let cancelled = false;
+    const start = (mask) => {
+      if (cancelled) return;
+      maskRef.current = mask;
+      historyRef.current = createMaskHistory();
+      gestureRef.current = null;
+      polygonRef.current = [];
+      commit();
+    };
+
+    if (maskUrl) {
+      loadMaskImage(maskUrl, canvasSize.width, canvasSize.height)
+        .then(start)
+        .catch((err) => {
+          console.error('InpaintCanvas:', err.message);
+          start(createMask(canvasSize.width, canvasSize.height));
+        });
+    } else {
+      const mask = createMask(canvasSize.width, canvasSize.height);
+      if (inpaintArea) fillRect(mask, inpaintArea);
+      start(mask);
     }
-  }, [imageLoaded, canvasSize, inpaintArea]);
+
+    return () => { cancelled = true; };
+  }, [imageLoaded, canvasSize, maskUrl, inpaintArea]);
 
   // Convert mouse coordinates to canvas coordinates
   const getCanvasCoordinates = useCallback((e) => {
-    if (!canvasRef.current) return { x: 0, y: 0, isValid: false };
+    const canvas = getCanvas();
+    if (!canvas) return { x: 0, y: 0, scale: 1, isValid: false };
 
-    // Goober styled components: access DOM element via .base property
-    const canvas = canvasRef.current.base || canvasRef.current;
     const rect = canvas.getBoundingClientRect();
     const scaleX = canvas.width / rect.width;
     const scaleY = canvas.height / rect.height;
@@ -186,77 +261,132 @@ export function InpaintCanvas({ imageUrl, inpaintArea, onChangeInpaintArea }) {
     return {
       x: Math.max(0, Math.min(canvas.width, mouseX * scaleX)),
       y: Math.max(0, Math.min(canvas.height, mouseY * scaleY)),
+      scale: scaleX,
       isValid
     };
   }, []);
 
+  const closePolygon = useCallback((value) => {
+    const points = polygonRef.current;
+    polygonRef.current = [];
+    if (points.length >= 3) {
+      fillPolygon(maskRef.current, points, value);
+      commit();
+    } else {
+      redraw();
+    }
+  }, [commit, redraw]);
+
   // Mouse event handlers
   const handleMouseDown = useCallback((e) => {
     // Only handle left mouse button
-    if (e.button !== 0) return;
+    if (e.button !== 0 || !maskRef.current) return;
 
     const coords = getCanvasCoordinates(e);
     if (!coords.isValid) return;
+    const point = { x: coords.x, y: coords.y };
+    const value = e.altKey ? 0 : 255;
+    e.preventDefault();
 
-    console.log('InpaintCanvas: Mouse down at', coords.x, coords.y);
-
-    // Start area selection
-    const startPoint = {
-      x1: Math.round(coords.x),
-      y1: Math.round(coords.y),
-      x2: Math.round(coords.x),
-      y2: Math.round(coords.y)
-    };
+    if (tool === 'polygon') {
+      const points = polygonRef.current;
+      const first = points[0];
+      if (first && points.length >= 3 && Math.hypot(first.x - point.x, first.y - point.y) <= CLOSE_DISTANCE * coords.scale) {
+        closePolygon(value);
+      } else {
+        points.push(point);
+        redraw();
+      }
+      return;
+    }
 
-    drawingStartRef.current = startPoint;
+    if (tool === 'brush' || tool === 'eraser') {
+      paintStroke(maskRef.current, point, point, brushSize / 2, tool === 'eraser' ? 0 : 255);
+      gestureRef.current = { last: point };
+    } else if (tool === 'lasso') {
+      gestureRef.current = { points: [point], value };
+    } else if (tool === 'box') {
+      gestureRef.current = { start: point, value, base: new Uint8Array(maskRef.current.data) };
+    }
     setIsDrawing(true);
-    onChangeInpaintArea?.(startPoint);
-
-    e.preventDefault();
-  }, [getCanvasCoordinates, onChangeInpaintArea]);
+    redraw();
+  }, [tool, brushSize, getCanvasCoordinates, closePolygon, redraw]);
 
   const handleMouseMove = useCallback((e) => {
-    if (!isDrawing || !drawingStartRef.current) return;
+    const gesture = gestureRef.current;
+    if (!gesture) return;
 
     const coords = getCanvasCoordinates(e);
-
-    // Update the inpaint area
-    const newArea = {
-      x1: drawingStartRef.current.x1,
-      y1: drawingStartRef.current.y1,
-      x2: Math.round(coords.x),
-      y2: Math.round(coords.y)
-    };
-
-    onChangeInpaintArea?.(newArea);
-  }, [isDrawing, getCanvasCoordinates, onChangeInpaintArea]);
+    const point = { x: coords.x, y: coords.y };
+    const mask = maskRef.current;
+
+    if (gesture.last) {
+      paintStroke(mask, gesture.last, point, brushSize / 2, tool === 'eraser' ? 0 : 255);
+      gesture.last = point;
+    } else if (gesture.points) {
+      gesture.points.push(point);
+    } else if (gesture.base) {
+      mask.data.set(gesture.base);
+      fillRect(mask, { x1: gesture.start.x, y1: gesture.start.y, x2: point.x, y2: point.y }, gesture.value);
+    }
+    redraw();
+  }, [tool, brushSize, getCanvasCoordinates, redraw]);
 
   const handleMouseUp = useCallback((e) => {
-    if (e.button !== 0 || !isDrawing) return;
-
-    const coords = getCanvasCoordinates(e);
-    console.log('InpaintCanvas: Mouse up at', coords.x, coords.y);
+    if (e.button !== 0 || !gestureRef.current) return;
 
-    // Check if the area has zero size
-    if (inpaintArea &&
-        (inpaintArea.x1 === inpaintArea.x2 || inpaintArea.y1 === inpaintArea.y2)) {
-      console.log('InpaintCanvas: Inpaint area has zero size, clearing');
-      onChangeInpaintArea?.(null);
+    const gesture = gestureRef.current;
+    gestureRef.current = null;
+    setIsDrawing(false);
+    if (gesture.points) {
+      fillPolygon(maskRef.current, gesture.points, gesture.value);
     }
+    commit();
+    e.preventDefault();
+  }, [commit]);
 
-    setIsDrawing(false);
-    drawingStartRef.current = null;
+  const handleDoubleClick = useCallback((e) => {
+    if (tool !== 'polygon') return;
     e.preventDefault();
-  }, [isDrawing, getCanvasCoordinates, inpaintArea, onChangeInpaintArea]);
+    closePolygon(e.altKey ? 0 : 255);
+  }, [tool, closePolygon]);
+
+  const clearMask = useCallback(() => {
+    if (!maskRef.current) return;
+    polygonRef.current = [];
+    if (isMaskEmpty(maskRef.current)) {
+      redraw();
+      return;
+    }
+    maskRef.current.data.fill(0);
+    commit();
+  }, [commit, redraw]);
 
   const handleRightClick = useCallback((e) => {
     e.preventDefault();
-    console.log('InpaintCanvas: Right click - clearing inpaint area');
-
-    onChangeInpaintArea?.(null);
+    console.log('InpaintCanvas: Right click - clearing mask');
+    gestureRef.current = null;
     setIsDrawing(false);
-    drawingStartRef.current = null;
-  }, [onChangeInpaintArea]);
+    clearMask();
+  }, [clearMask]);
+
+  const applyToMask = useCallback((operation) => {
+    if (!maskRef.current) return;
+    operation(maskRef.current);
+    commit();
+  }, [commit]);
+
+  const stepHistory = useCallback((direction) => {
+    const history = historyRef.current;
+    if (!history || gestureRef.current) return;
+    const changed = direction < 0 ? history.undo(maskRef.current) : history.redo(maskRef.current);
+    if (!changed) return;
+    polygonRef.current = [];
+    setHistoryState({ canUndo: history.canUndo, canRedo: history.canRedo });
+    setBounds(getMaskBounds(maskRef.current));
+    onChangeMask?.(isMaskEmpty(maskRef.current) ? null : { ...maskRef.current });
+    redraw();
+  }, [onChangeMask, redraw]);
 
   // Global mouse event handlers for dragging outside canvas
   useEffect(() => {
@@ -274,15 +404,36 @@ export function InpaintCanvas({ imageUrl, inpaintArea, onChangeInpaintArea }) {
     };
   }, [isDrawing, handleMouseMove, handleMouseUp]);
 
-  // Format inpaint area for display
-  const getInpaintAreaDisplay = () => {
-    if (!inpaintArea) return null;
-    const left = Math.min(inpaintArea.x1, inpaintArea.x2);
-    const top = Math.min(inpaintArea.y1, inpaintArea.y2);
-    const right = Math.max(inpaintArea.x1, inpaintArea.x2);
-    const bottom = Math.max(inpaintArea.y1, inpaintArea.y2);
-    return `(${left}, ${top}) to (${right}, ${bottom})`;
-  };
+  // Keyboard shortcuts: Ctrl+Z undo, Ctrl+Shift+Z / Ctrl+Y redo, Esc cancels a polygon
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      const target = e.target;
+      if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) return;
+
+      const key = e.key.toLowerCase();
+      if ((e.ctrlKey || e.metaKey) && key === 'z') {
+        e.preventDefault();
+        stepHistory(e.shiftKey ? 1 : -1);
+      } else if ((e.ctrlKey || e.metaKey) && key === 'y') {
+        e.preventDefault();
+        stepHistory(1);
+      } else if (key === 'escape' && polygonRef.current.length > 0) {
+        polygonRef.current = [];
+        redraw();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [stepHistory, redraw]);
+
+  // Switching tools drops an unfinished polygon
+  useEffect(() => {
+    if (polygonRef.current.length === 0) return;
+    polygonRef.current = [];
+    redraw();
+  }, [tool]);
+
+  const currentTool = TOOLS.find(t => t.id === tool);
 
   return html`
     <${CanvasContainer}>
@@ -298,11 +449,48 @@ export function InpaintCanvas({ imageUrl, inpaintArea, onChangeInpaintArea }) {
         </${Panel}>
       `}
       ${imageLoaded && html`
+        <${Toolbar}>
+          ${TOOLS.map(t => html`
+            <${Button}
+              key=${t.id}
+              variant="small-text"
+              color=${t.id === tool ? 'primary' : 'secondary'}
+              onClick=${() => setTool(t.id)}
+            >
+              ${t.label}
+            </${Button}>
+          `)}
+          <${Button} variant="small-icon" icon="undo" tooltip="Undo (Ctrl+Z)" disabled=${!historyState.canUndo} onClick=${() => stepHistory(-1)} />
+          <${Button} variant="small-icon" icon="redo" tooltip="Redo (Ctrl+Shift+Z)" disabled=${!historyState.canRedo} onClick=${() => stepHistory(1)} />
+        </${Toolbar}>
+        <${Toolbar}>
+          <${Slider}
+            label="Brush Size"
+            minAllowed=${1}
+            maxAllowed=${200}
+            value=${brushSize}
+            widthScale="compact"
+            onChange=${setBrushSize}
+          />
+          <${Slider}
+            label="Feather"
+            minAllowed=${0}
+            maxAllowed=${64}
+            value=${feather}
+            widthScale="compact"
+            onChange=${onChangeFeather}
+          />
+          <${Button} variant="small-text" onClick=${() => applyToMask(invertMask)}>Invert</${Button}>
+          <${Button} variant="small-text" onClick=${() => applyToMask(mask => growMask(mask, GROW_STEP))}>Grow</${Button}>
+          <${Button} variant="small-text" onClick=${() => applyToMask(mask => growMask(mask, -GROW_STEP))}>Shrink</${Button}>
+          <${Button} variant="small-text" onClick=${clearMask}>Clear</${Button}>
+        </${Toolbar}>
         <${CanvasWrapper}>
           <${Canvas}
             id="inpaint"
             ref=${canvasRef}
             onMouseDown=${handleMouseDown}
+            onDblClick=${handleDoubleClick}
             onContextMenu=${handleRightClick}
           />
           <${ViewButtonOverlay}>
@@ -318,11 +506,12 @@ export function InpaintCanvas({ imageUrl, inpaintArea, onChangeInpaintArea }) {
       ${imageLoaded && html`
         <${InfoContainer}>
           <p>Canvas size: ${canvasSize.width} x ${canvasSize.height}</p>
-          ${inpaintArea ? html`
-            <p>Inpaint area: ${getInpaintAreaDisplay()}</p>
+          ${bounds ? html`
+            <p>Mask area: (${bounds.x1}, ${bounds.y1}) to (${bounds.x2}, ${bounds.y2})</p>
           ` : html`
-            <p>Left click and drag to select inpaint area, right click to clear selection</p>
+            <p>Nothing selected yet</p>
           `}
+          <p>${currentTool.help}. Right click clears the mask.</p>
         </${InfoContainer}>
       `}
     </${CanvasContainer}>
@@ -39,14 +39,16 @@ FormRow.className = 'form-row';
  * @param {Object} props.formState - Form field values
  * @param {Function} props.onFieldChange - Callback for field changes
  * @param {Function} props.onGenerate - Callback for inpaint action
- * @param {boolean} props.hasValidInpaintArea - Whether a valid inpaint area is selected
+ * @param {boolean} props.hasArea - Whether there is an area to generate (a painted mask or an extended canvas)
+ * @param {'inpaint'|'outpaint'} [props.mode='inpaint'] - Labels the generate button
  */
 export function InpaintForm({
   workflow,
   formState,
   onFieldChange,
   onGenerate,
-  hasValidInpaintArea
+  hasArea,
+  mode = 'inpaint'
 }) {
   const { items: queueItems } = useQueueStatus();
   const queueCount = queueItems.filter(i => i.status !== 'failed').length;
@@ -123,8 +125,8 @@ export function InpaintForm({
   const isInpaintDisabled = (() => {
     // Disabled if no workflow selected
     if (!workflow) return true;
-    // Disabled if no inpaint area selected
-    if (!hasValidInpaintArea) return true;
+    // Disabled if nothing is marked for generation
+    if (!hasArea) return true;
     // Disabled if name is required but not provided
     if (workflow.nameRequired && !formState.name?.trim()) return true;
     // Disabled if prompt is required but not provided
@@ -186,7 +188,9 @@ export function InpaintForm({
           loading=${isQueuedDuplicate}
           disabled=${isInpaintDisabled}
         >
-          ${isQueuedDuplicate ? 'Inpainting...' : queueCount > 0 ? 'Queue' : 'Inpaint'}
+          ${isQueuedDuplicate
+            ? (mode === 'outpaint' ? 'Outpainting...' : 'Inpainting...')
+            : queueCount > 0 ? 'Queue' : (mode === 'outpaint' ? 'Outpaint' : 'Inpaint')}
         </${Button}>
       </${FormRow}>
 
@@ -0,0 +1,305 @@
+/**
+ * mask-editor.mjs – Pixel mask model for the inpaint canvas.
+ *
+ * A mask is `{ width, height, data }` where `data` is a Uint8Array with one
+ * byte per pixel: 0 keeps the pixel, 255 repaints it, values in between blend.
+ * All editing operations work on that array, so they behave the same in the
+ * browser and in tests; only import/export touches a canvas.
+ */
+
+// ============================================================================
+// Creation & inspection
+// ============================================================================
+
+/**
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ width: number, height: number, data: Uint8Array }}
+ */
+export function createMask(width, height) {
+  return { width, height, data: new Uint8Array(width * height) };
+}
+
+/**
+ * @param {{ data: Uint8Array }} mask
+ * @returns {boolean} True when no pixel is marked for repainting
+ */
+export function isMaskEmpty(mask) {
+  return !mask || !mask.data.some(value => value > 0);
+}
+
+/**
+ * Bounding box of the marked pixels, in the `inpaintArea` shape.
+ * @param {{ width: number, height: number, data: Uint8Array }} mask
+ * @returns {{ x1: number, y1: number, x2: number, y2: number }|null}
+ */
+export function getMaskBounds(mask) {
+  let x1 = Infinity, y1 = Infinity, x2 = -1, y2 = -1;
+  for (let y = 0; y < mask.height; y++) {
+    const row = y * mask.width;
+    for (let x = 0; x < mask.width; x++) {
+      if (mask.data[row + x] === 0) continue;
+      if (x < x1) x1 = x;
+      if (x > x2) x2 = x;
+      if (y < y1) y1 = y;
+      y2 = y;
+    }
+  }
+  return x2 < 0 ? null : { x1, y1, x2: x2 + 1, y2: y2 + 1 };
+}
+
+// ============================================================================
+// Painting
+// ============================================================================
+
+/**
+ * Fill a rectangle (the legacy box selection).
+ * @param {Object} mask
+ * @param {{ x1: number, y1: number, x2: number, y2: number }} area
+ * @param {number} [value=255]
+ */
+export function fillRect(mask, area, value = 255) {
+  const left = Math.max(0, Math.round(Math.min(area.x1, area.x2)));
+  const right = Math.min(mask.width, Math.round(Math.max(area.x1, area.x2)));
+  const top = Math.max(0, Math.round(Math.min(area.y1, area.y2)));
+  const bottom = Math.min(mask.height, Math.round(Math.max(area.y1, area.y2)));
+  for (let y = top; y < bottom; y++) {
+    mask.data.fill(value, y * mask.width + left, y * mask.width + right);
+  }
+}
+
+function stampCircle(mask, cx, cy, radius, value) {
+  const r2 = radius * radius;
+  const top = Math.max(0, Math.floor(cy - radius));
+  const bottom = Math.min(mask.height - 1, Math.ceil(cy + radius));
+  for (let y = top; y <= bottom; y++) {
+    const dy = y + 0.5 - cy;
+    const span = r2 - dy * dy;
+    if (span < 0) continue;
+    const half = Math.sqrt(span);
+    const left = Math.max(0, Math.ceil(cx - half - 0.5));
+    const right = Math.min(mask.width - 1, Math.floor(cx + half - 0.5));
+    if (right >= left) mask.data.fill(value, y * mask.width + left, y * mask.width + right + 1);
+  }
+}
+
+/**
+ * Paint a round-tipped stroke segment. Use value 0 for the eraser.
+ * @param {Object} mask
+ * @param {{ x: number, y: number }} from
+ * @param {{ x: number, y: number }} to
+ * @param {number} radius - Brush radius in image pixels
+ * @param {number} [value=255]
+ */
+export function paintStroke(mask, from, to, radius, value = 255) {
+  const distance = Math.hypot(to.x - from.x, to.y - from.y);
+  const steps = Math.max(1, Math.ceil(distance / Math.max(1, radius / 3)));
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps;
+    stampCircle(mask, from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t, radius, value);
+  }
+}
+
+/**
+ * Fill a closed polygon (lasso) using the even-odd rule at pixel centres.
+ * @param {Object} mask
+ * @param {Array<{ x: number, y: number }>} points
+ * @param {number} [value=255]
+ */
+export function fillPolygon(mask, points, value = 255) {
+  if (points.length < 3) return;
+  for (let y = 0; y < mask.height; y++) {
+    const cy = y + 0.5;
+    const crossings = [];
+    for (let i = 0; i < points.length; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      if ((a.y <= cy) === (b.y <= cy)) continue;
+      crossings.push(a.x + ((cy - a.y) / (b.y - a.y)) * (b.x - a.x));
+    }
+    crossings.sort((p, q) => p - q);
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      const left = Math.max(0, Math.ceil(crossings[i] - 0.5));
+      const right = Math.min(mask.width - 1, Math.ceil(crossings[i + 1] - 0.5) - 1);
+      if (right >= left) mask.data.fill(value, y * mask.width + left, y * mask.width + right + 1);
+    }
+  }
+}
+
+// ============================================================================
+// Whole-mask operations
+// ============================================================================
+
+/** Swap kept and repainted pixels. */
+export function invertMask(mask) {
+  for (let i = 0; i < mask.data.length; i++) mask.data[i] = 255 - mask.data[i];
+}
+
+// Sliding max (or min) over a window of 2 * radius + 1 along one axis
+function slide(source, target, length, count, stride, step, radius, pick) {
+  for (let line = 0; line < count; line++) {
+    const base = line * stride;
+    for (let i = 0; i < length; i++) {
+      let best = pick === Math.max ? 0 : 255;
+      const from = Math.max(0, i - radius);
+      const to = Math.min(length - 1, i + radius);
+      for (let j = from; j <= to; j++) best = pick(best, source[base + j * step]);
+      target[base + i * step] = best;
+    }
+  }
+}
+
+/**
+ * Grow (positive) or shrink (negative) the marked region by a number of pixels.
+ * @param {Object} mask
+ * @param {number} amount
+ */
+export function growMask(mask, amount) {
+  const radius = Math.abs(Math.round(amount));
+  if (radius === 0) return;
+  const pick = amount > 0 ? Math.max : Math.min;
+  const rows = new Uint8Array(mask.data.length);
+  slide(mask.data, rows, mask.width, mask.height, mask.width, 1, radius, pick);
+  slide(rows, mask.data, mask.height, mask.width, 1, mask.width, radius, pick);
+}
+
+function boxBlur(source, target, length, count, stride, step, radius) {
+  const size = radius * 2 + 1;
+  for (let line = 0; line < count; line++) {
+    const base = line * stride;
+    const at = (i) => source[base + Math.min(length - 1, Math.max(0, i)) * step];
+    let sum = 0;
+    for (let i = -radius; i <= radius; i++) sum += at(i);
+    for (let i = 0; i < length; i++) {
+      target[base + i * step] = Math.round(sum / size);
+      sum += at(i + radius + 1) - at(i - radius);
+    }
+  }
+}
+
+/**
+ * Softened copy of the mask for export; the editable mask keeps hard edges.
+ * @param {Object} mask
+ * @param {number} radius - Feather radius in pixels (0 returns an unchanged copy)
+ * @returns {Uint8Array}
+ */
+export function featherMask(mask, radius) {
+  const r = Math.max(0, Math.round(radius));
+  const result = new Uint8Array(mask.data);
+  if (r === 0) return result;
+  const rows = new Uint8Array(mask.data.length);
+  boxBlur(mask.data, rows, mask.width, mask.height, mask.width, 1, r);
+  boxBlur(rows, result, mask.height, mask.width, 1, mask.width, r);
+  return result;
+}
+
+// ============================================================================
+// History
+// ============================================================================
+
+export const MASK_HISTORY_LIMIT = 30;
+
+/**
+ * Undo/redo stack of mask snapshots. Call `record(mask)` after every edit;
+ * the first record is the starting state.
+ *
+ * @param {number} [limit=MASK_HISTORY_LIMIT] - Snapshots kept (oldest dropped first)
+ */
+export function createMaskHistory(limit = MASK_HISTORY_LIMIT) {
+  let snapshots = [];
+  let index = -1;
+
+  return {
+    record(mask) {
+      snapshots = snapshots.slice(0, index + 1);
+      snapshots.push(new Uint8Array(mask.data));
+      if (snapshots.length > limit) snapshots.shift();
+      index = snapshots.length - 1;
+    },
+    undo(mask) {
+      if (index <= 0) return false;
+      index--;
+      mask.data.set(snapshots[index]);
+      return true;
+    },
+    redo(mask) {
+      if (index >= snapshots.length - 1) return false;
+      index++;
+      mask.data.set(snapshots[index]);
+      return true;
+    },
+    get canUndo() { return index > 0; },
+    get canRedo() { return index < snapshots.length - 1; },
+  };
+}
+
+// ============================================================================
+// Canvas import / export
+// ============================================================================
+
+/**
+ * Read a mask from RGBA pixels (red channel, scaled by alpha).
+ * @param {{ width: number, height: number, data: Uint8ClampedArray }} imageData
+ */
+export function maskFromImageData({ width, height, data }) {
+  const mask = createMask(width, height);
+  for (let i = 0; i < mask.data.length; i++) {
+    mask.data[i] = Math.round((data[i * 4] * data[i * 4 + 3]) / 255);
+  }
+  return mask;
+}
+
+/**
+ * Black-and-white RGBA pixels for a mask.
+ * @param {Object} mask
+ * @param {number} [feather=0] - Feather radius applied to the output
+ * @returns {Uint8ClampedArray}
+ */
+export function maskToRgba(mask, feather = 0) {
+  const values = featherMask(mask, feather);
+  const rgba = new Uint8ClampedArray(values.length * 4);
+  for (let i = 0; i < values.length; i++) {
+    rgba[i * 4] = rgba[i * 4 + 1] = rgba[i * 4 + 2] = values[i];
+    rgba[i * 4 + 3] = 255;
+  }
+  return rgba;
+}
+
+/**
+ * Export a mask as a PNG blob (white = repaint).
+ * @param {Object} mask
+ * @param {number} [feather=0]
+ * @returns {Promise<Blob>}
+ */
+export function maskToBlob(mask, feather = 0) {
+  const canvas = document.createElement('canvas');
+  canvas.width = mask.width;
+  canvas.height = mask.height;
+  canvas.getContext('2d').putImageData(new ImageData(maskToRgba(mask, feather), mask.width, mask.height), 0, 0);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Failed to convert mask to blob'))), 'image/png');
+  });
+}
+
+/**
+ * Load a stored mask image (e.g. an entry's `maskUrl`) at the given size.
+ * @param {string} url
+ * @param {number} width
+ * @param {number} height
+ * @returns {Promise<Object>} mask
+ */
+export function loadMaskImage(url, width, height) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0, width, height);
+      resolve(maskFromImageData(ctx.getImageData(0, 0, width, height)));
+    };
+    img.onerror = () => reject(new Error(`Failed to load mask ${url}`));
+    img.src = url;
+  });
+}
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest'
+import {
+  createMask,
+  isMaskEmpty,
+  getMaskBounds,
+  fillRect,
+  paintStroke,
+  fillPolygon,
+  invertMask,
+  growMask,
+  featherMask,
+  createMaskHistory,
+  maskFromImageData,
+} from './mask-editor.mjs'
+
+const rows = (mask) => Array.from({ length: mask.height }, (_, y) =>
+  Array.from(mask.data.subarray(y * mask.width, (y + 1) * mask.width), v => (v ? '#' : '.')).join(''))
+
+describe('mask editing', () => {
+  it('paints, erases and reports bounds', () => {
+    const mask = createMask(9, 9)
+    expect(isMaskEmpty(mask)).toBe(true)
+
+    paintStroke(mask, { x: 2.5, y: 4.5 }, { x: 6.5, y: 4.5 }, 1.5)
+    expect(getMaskBounds(mask)).toEqual({ x1: 1, y1: 3, x2: 8, y2: 6 })
+
+    paintStroke(mask, { x: 4.5, y: 0 }, { x: 4.5, y: 9 }, 0.5, 0)
+    expect(rows(mask)[4]).toBe('.###.###.')
+  })
+
+  it('fills lasso polygons and rectangles', () => {
+    const mask = createMask(6, 6)
+    fillPolygon(mask, [{ x: 0, y: 0 }, { x: 6, y: 0 }, { x: 0, y: 6 }])
+    expect(rows(mask)).toEqual(['#####.', '####..', '###...', '##....', '#.....', '......'])
+
+    fillRect(mask, { x1: 6, y1: 6, x2: 4, y2: 4 })
+    fillRect(mask, { x1: 0, y1: 0, x2: 2, y2: 1 }, 0)
+    expect(rows(mask)).toEqual(['..###.', '####..', '###...', '##....', '#...##', '....##'])
+  })
+
+  it('inverts, grows, shrinks and feathers', () => {
+    const mask = createMask(7, 7)
+    fillRect(mask, { x1: 3, y1: 3, x2: 4, y2: 4 })
+
+    growMask(mask, 2)
+    expect(getMaskBounds(mask)).toEqual({ x1: 1, y1: 1, x2: 6, y2: 6 })
+    growMask(mask, -1)
+    expect(getMaskBounds(mask)).toEqual({ x1: 2, y1: 2, x2: 5, y2: 5 })
+
+    const soft = featherMask(mask, 1)
+    expect(mask.data[2 * 7 + 1]).toBe(0)
+    expect(soft[2 * 7 + 1]).toBeGreaterThan(0)
+    expect(soft[3 * 7 + 3]).toBe(255)
+
+    invertMask(mask)
+    expect(mask.data[0]).toBe(255)
+    expect(mask.data[3 * 7 + 3]).toBe(0)
+  })
+
+  it('undoes and redoes recorded edits', () => {
+    const mask = createMask(2, 1)
+    const history = createMaskHistory(3)
+    history.record(mask)
+    for (let step = 1; step <= 3; step++) {
+      mask.data[0] = step
+      history.record(mask)
+    }
+
+    expect(history.undo(mask)).toBe(true)
+    expect(mask.data[0]).toBe(2)
+    expect(history.undo(mask)).toBe(true)
+    expect(history.undo(mask)).toBe(false) // the oldest snapshot (0) was dropped
+    expect(mask.data[0]).toBe(1)
+
+    expect(history.redo(mask)).toBe(true)
+    mask.data[1] = 9
+    history.record(mask)
+    expect(history.canRedo).toBe(false)
+  })
+
+  it('reads masks from RGBA pixels', () => {
+    const mask = maskFromImageData({ width: 2, height: 1, data: new Uint8ClampedArray([255, 255, 255, 255, 255, 255, 255, 0]) })
+    expect([...mask.data]).toEqual([255, 0])
+  })
+})
@@ -0,0 +1,264 @@
+/**
+ * outpaint-panel.mjs – Canvas-extension controls and preview for the inpaint page.
+ *
+ * The user either types how many pixels to add on each side or picks an
+ * aspect ratio and where the original should sit. The preview shows the
+ * extended canvas with the original in place; the server does the actual
+ * padding and masking (POST /generate/outpaint) and has the final word on
+ * the size, rounding each extended dimension up to a multiple of 8.
+ */
+import { html } from 'htm/preact';
+import { useState, useEffect, useRef } from 'preact/hooks';
+import { styled } from '../../custom-ui/goober-setup.mjs';
+import { H2 } from '../../custom-ui/themed-base.mjs';
+import { getThemeValue } from '../../custom-ui/theme.mjs';
+import { Input } from '../../custom-ui/io/input.mjs';
+import { Select } from '../../custom-ui/io/select.mjs';
+import { Slider } from '../../custom-ui/io/slider.mjs';
+
+// ============================================================================
+// Settings
+// ============================================================================
+
+export const DEFAULT_OUTPAINT_SETTINGS = {
+  mode: 'aspect',
+  aspectRatio: '16:9',
+  anchor: 'center',
+  padding: { left: 0, right: 0, top: 0, bottom: 0 },
+  overlap: 32,
+  feather: 32,
+  fill: 'edge',
+};
+
+const ASPECT_RATIOS = ['21:9', '16:9', '3:2', '4:3', '1:1', '3:4', '2:3', '9:16'];
+
+const ANCHORS = [
+  { label: 'Center', value: 'center' },
+  { label: 'Keep left', value: 'left' },
+  { label: 'Keep right', value: 'right' },
+  { label: 'Keep top', value: 'top' },
+  { label: 'Keep bottom', value: 'bottom' },
+];
+
+const FILLS = [
+  { label: 'Stretch edges', value: 'edge' },
+  { label: 'Mirror', value: 'mirror' },
+  { label: 'Grey', value: 'blank' },
+];
+
+const SIDES = ['left', 'right', 'top', 'bottom'];
+
+/**
+ * Padding the settings would add to an image, before the server's rounding.
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} settings - See DEFAULT_OUTPAINT_SETTINGS
+ * @returns {{ left: number, right: number, top: number, bottom: number }}
+ */
+export function getOutpaintPadding(width, height, settings) {
+  if (settings.mode !== 'aspect') {
+    return Object.fromEntries(SIDES.map(side => [side, Math.max(0, Math.round(settings.padding[side] || 0))]));
+  }
+  const [w, h] = settings.aspectRatio.split(':').map(Number);
+  const padding = { left: 0, right: 0, top: 0, bottom: 0 };
+  const ratio = w / h;
+  if (ratio > width / height) {
+    const extra = Math.round(height * ratio) - width;
+    const before = settings.anchor === 'left' ? 0 : settings.anchor === 'right' ? extra : Math.floor(extra / 2);
+    Object.assign(padding, { left: before, right: extra - before });
+  } else {
+    const extra = Math.round(width / ratio) - height;
+    const before = settings.anchor === 'top' ? 0 : settings.anchor === 'bottom' ? extra : Math.floor(extra / 2);
+    Object.assign(padding, { top: before, bottom: extra - before });
+  }
+  return padding;
+}
+
+/**
+ * Append the settings to an outpaint request.
+ * @param {FormData} formData
+ * @param {Object} settings
+ */
+export function appendOutpaintSettings(formData, settings) {
+  if (settings.mode === 'aspect') {
+    formData.append('aspectRatio', settings.aspectRatio);
+    formData.append('anchor', settings.anchor);
+  } else {
+    formData.append('padding', JSON.stringify(settings.padding));
+  }
+  formData.append('overlap', String(settings.overlap));
+  formData.append('feather', String(settings.feather));
+  formData.append('fill', settings.fill);
+}
+
+// ============================================================================
+// Styled components
+// ============================================================================
+
+const Container = styled('div')`
+  display: flex;
+  flex-direction: column;
+  gap: ${getThemeValue('spacing.medium.gap')};
+  width: 100%;
+`;
+Container.className = 'outpaint-container';
+
+const ControlRow = styled('div')`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: flex-end;
+  gap: ${getThemeValue('spacing.small.gap')};
+`;
+ControlRow.className = 'control-row';
+
+const PreviewCanvas = styled('canvas')`
+  max-width: 100%;
+  max-height: calc(100vh - 360px);
+  border-radius: ${getThemeValue('spacing.small.borderRadius')};
+`;
+PreviewCanvas.className = 'preview-canvas';
+
+const Info = styled('p')`
+  margin: 0;
+  color: ${() => getThemeValue('colors.text.secondary')};
+  font-size: ${getThemeValue('typography.fontSize.small')};
+`;
+Info.className = 'info';
+
+// ============================================================================
+// OutpaintPanel (main export)
+// ============================================================================
+
+/**
+ * OutpaintPanel – Extension controls plus a preview of the extended canvas.
+ *
+ * @param {Object}   props
+ * @param {string}   props.imageUrl - Source image
+ * @param {Object}   props.settings - Current settings (see DEFAULT_OUTPAINT_SETTINGS)
+ * @param {Function} props.onChange - Called with the updated settings
+ * @returns {preact.VNode}
+ */
+export function OutpaintPanel({ imageUrl, settings, onChange }) {
+  const canvasRef = useRef(null);
+  const imageRef = useRef(null);
+  const [loadedUrl, setLoadedUrl] = useState(null);
+  const [size, setSize] = useState(null);
+
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  const draw = () => {
+    const canvas = canvasRef.current && (canvasRef.current.base || canvasRef.current);
+    const img = imageRef.current;
+    if (!canvas || !img?.complete || !img.naturalWidth) return;
+
+    const padding = getOutpaintPadding(img.naturalWidth, img.naturalHeight, settings);
+    canvas.width = img.naturalWidth + padding.left + padding.right;
+    canvas.height = img.naturalHeight + padding.top + padding.bottom;
+    setSize({ width: canvas.width, height: canvas.height, padding });
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'rgba(128, 128, 128, 0.5)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, padding.left, padding.top);
+
+    // Outline the part of the original that will be repainted as overlap
+    const inset = (side) => (padding[side] > 0 ? settings.overlap : 0);
+    ctx.save();
+    ctx.strokeStyle = 'white';
+    ctx.lineWidth = Math.max(1, canvas.width / 400);
+    ctx.setLineDash([ctx.lineWidth * 4, ctx.lineWidth * 4]);
+    ctx.strokeRect(
+      padding.left + inset('left'),
+      padding.top + inset('top'),
+      img.naturalWidth - inset('left') - inset('right'),
+      img.naturalHeight - inset('top') - inset('bottom'),
+    );
+    ctx.restore();
+  };
+
+  // Load the source image
+  useEffect(() => {
+    if (!imageUrl) return;
+    const img = new Image();
+    imageRef.current = img;
+    img.onload = () => setLoadedUrl(imageUrl);
+    img.src = imageUrl;
+    return () => { img.onload = null; };
+  }, [imageUrl]);
+
+  // Redraw once the image is loaded and whenever the settings change
+  useEffect(draw, [settings, loadedUrl]);
+
+  return html`
+    <${Container}>
+      <${H2}>Outpaint Canvas</${H2}>
+      <${ControlRow}>
+        <${Select}
+          label="Extend"
+          options=${[{ label: 'To aspect ratio', value: 'aspect' }, { label: 'By pixels', value: 'pixels' }]}
+          value=${settings.mode}
+          onChange=${(e) => update({ mode: e.target.value })}
+        />
+        ${settings.mode === 'aspect' ? html`
+          <${Select}
+            label="Aspect Ratio"
+            options=${ASPECT_RATIOS.map(ratio => ({ label: ratio, value: ratio }))}
+            value=${settings.aspectRatio}
+            onChange=${(e) => update({ aspectRatio: e.target.value })}
+          />
+          <${Select}
+            label="Image Position"
+            options=${ANCHORS}
+            value=${settings.anchor}
+            onChange=${(e) => update({ anchor: e.target.value })}
+          />
+        ` : SIDES.map(side => html`
+          <${Input}
+            key=${side}
+            label=${side[0].toUpperCase() + side.slice(1)}
+            type="number"
+            min="0"
+            step="8"
+            widthScale="compact"
+            value=${settings.padding[side]}
+            onInput=${(e) => update({ padding: { ...settings.padding, [side]: Math.max(0, parseInt(e.target.value, 10) || 0) } })}
+          />
+        `)}
+      </${ControlRow}>
+      <${ControlRow}>
+        <${Slider}
+          label="Overlap"
+          minAllowed=${0}
+          maxAllowed=${128}
+          snap=${8}
+          value=${settings.overlap}
+          widthScale="compact"
+          onChange=${(overlap) => update({ overlap })}
+        />
+        <${Slider}
+          label="Feather"
+          minAllowed=${0}
+          maxAllowed=${128}
+          snap=${8}
+          value=${settings.feather}
+          widthScale="compact"
+          onChange=${(feather) => update({ feather })}
+        />
+        <${Select}
+          label="Fill"
+          options=${FILLS}
+          value=${settings.fill}
+          onChange=${(e) => update({ fill: e.target.value })}
+        />
+      </${ControlRow}>
+      <${PreviewCanvas} ref=${canvasRef} />
+      ${size && html`
+        <${Info}>
+          New size: ${size.width} x ${size.height}
+          (left ${size.padding.left}, right ${size.padding.right}, top ${size.padding.top}, bottom ${size.padding.bottom}).
+          The area outside the dashed line is generated.
+        </${Info}>
+      `}
+    </${Container}>
+  `;
+}
@@ -0,0 +1,226 @@
+/**
+ * batch-dialog.mjs – Batch generation modal.
+ *
+ * Takes the current generation request and lets the user add sweep axes on
+ * top of it: a seed range and value lists for any workflow extra input.
+ * `{a|b}` and `__name__` wildcards in the prompt are expanded by the server.
+ * The item count is previewed with a dry run before anything is queued.
+ *
+ * @module app-ui/main/batch-dialog
+ */
+import { html } from 'htm/preact';
+import { useState, useEffect } from 'preact/hooks';
+import { styled } from '../../custom-ui/goober-setup.mjs';
+import { currentTheme } from '../../custom-ui/theme.mjs';
+import { fetchJson } from '../../custom-ui/util.mjs';
+import { showModal } from '../../custom-ui/overlays/modal.mjs';
+import { Button } from '../../custom-ui/io/button.mjs';
+import { Input } from '../../custom-ui/io/input.mjs';
+import { Select } from '../../custom-ui/io/select.mjs';
+import { H3, HorizontalEdgesLayout, HorizontalLayout, VerticalLayout } from '../../custom-ui/themed-base.mjs';
+
+// Styled Components
+const Preview = styled('div')`
+  font-size: ${() => currentTheme.value.typography.fontSize.small};
+  color: ${props => props.error ? currentTheme.value.colors.danger.background : currentTheme.value.colors.text.secondary};
+`;
+Preview.className = 'batch-preview';
+
+const LANE_OPTIONS = [
+  { label: 'Batch', value: 'batch' },
+  { label: 'Normal', value: 'normal' },
+  { label: 'Interactive', value: 'interactive' },
+];
+
+/**
+ * Split a comma separated value list, converting to numbers for numeric inputs.
+ * @param {string} text
+ * @param {Object} [input] - Workflow extra input definition
+ * @returns {Array}
+ */
+export function parseSweepValues(text, input) {
+  const values = String(text).split(',').map(v => v.trim()).filter(v => v !== '');
+  return input?.type === 'number' ? values.map(Number) : values;
+}
+
+/**
+ * Build the `/generate/batch` body from the base request and the dialog state.
+ * @returns {Object}
+ */
+function buildBatchBody(baseRequest, workflow, { seedCount, inputRows, lane, runAfter }) {
+  const sweep = {};
+  const count = parseInt(seedCount, 10);
+  if (count > 1) sweep.seed = { start: Number(baseRequest.seed) || 0, count };
+
+  const inputs = {};
+  for (const row of inputRows) {
+    const input = workflow.extraInputs?.find(i => i.id === row.id);
+    const values = parseSweepValues(row.values, input);
+    if (row.id && values.length > 0) inputs[row.id] = values;
+  }
+  if (Object.keys(inputs).length > 0) sweep.inputs = inputs;
+
+  return {
+    ...baseRequest,
+    sweep,
+    lane,
+    runAfter: runAfter ? new Date(runAfter).toISOString() : undefined,
+  };
+}
+
+/**
+ * BatchDialog Component
+ *
+ * @param {Object} props
+ * @param {Object} props.workflow - Selected workflow (client shape, with `extraInputs`)
+ * @param {Object} props.baseRequest - The `/generate` JSON body the form would send
+ * @param {Function} props.onClose - Called after queueing or cancelling
+ * @returns {preact.VNode}
+ */
+export function BatchDialog({ workflow, baseRequest, onClose }) {
+  const [seedCount, setSeedCount] = useState('1');
+  const [inputRows, setInputRows] = useState([]);
+  const [lane, setLane] = useState('batch');
+  const [runAfter, setRunAfter] = useState('');
+  const [preview, setPreview] = useState({ count: 0, axes: [], error: null });
+  const [busy, setBusy] = useState(false);
+
+  const inputOptions = (workflow.extraInputs || [])
+    .filter(input => input.type !== 'textarea')
+    .map(input => ({ label: input.label || input.id, value: input.id }));
+
+  const body = buildBatchBody(baseRequest, workflow, { seedCount, inputRows, lane, runAfter });
+  const bodyKey = JSON.stringify(body);
+
+  // Re-count whenever the sweep changes
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const result = await fetchJson('/generate/batch?dryRun=true', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: bodyKey,
+        }, { maxRetries: 0, showUserFeedback: false });
+        if (!cancelled) setPreview({ count: result.count, axes: result.axes, error: null });
+      } catch (err) {
+        const data = err.response ? await err.response.json().catch(() => null) : null;
+        if (!cancelled) setPreview({ count: 0, axes: [], error: data?.error || err.message });
+      }
+    }, 300);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [bodyKey]);
+
+  const updateRow = (index, changes) => {
+    setInputRows(rows => rows.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  };
+
+  const handleSubmit = async () => {
+    setBusy(true);
+    try {
+      const result = await fetchJson('/generate/batch', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: bodyKey,
+      }, { maxRetries: 0, showUserFeedback: false });
+      if (window.showToast) window.showToast(`Queued batch of ${result.count} item(s)`);
+      onClose();
+    } catch (err) {
+      const data = err.response ? await err.response.json().catch(() => null) : null;
+      setPreview(prev => ({ ...prev, error: data?.error || err.message }));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return html`
+    <${VerticalLayout} gap="medium">
+      <${HorizontalLayout} gap="small" alignItems="end">
+        <${Input}
+          label="Seeds"
+          type="number"
+          widthScale="compact"
+          value=${seedCount}
+          onChange=${(e) => setSeedCount(e.target.value)}
+        />
+        <${Select}
+          label="Lane"
+          options=${LANE_OPTIONS}
+          value=${lane}
+          onChange=${(e) => setLane(e.target.value)}
+        />
+        <${Input}
+          label="Run after"
+          type="datetime-local"
+          value=${runAfter}
+          onChange=${(e) => setRunAfter(e.target.value)}
+        />
+      </${HorizontalLayout}>
+
+      <${HorizontalEdgesLayout}>
+        <${H3}>Input sweeps</${H3}>
+        <${Button}
+          variant="medium-icon-text"
+          icon="plus"
+          disabled=${inputOptions.length === 0}
+          onClick=${() => setInputRows(rows => [...rows, { id: inputOptions[0].value, values: '' }])}
+        >
+          Add
+        </${Button}>
+      </${HorizontalEdgesLayout}>
+      ${inputRows.map((row, index) => html`
+        <${HorizontalLayout} key=${index} gap="small" alignItems="center">
+          <${Select}
+            options=${inputOptions}
+            value=${row.id}
+            onChange=${(e) => updateRow(index, { id: e.target.value })}
+          />
+          <${Input}
+            widthScale="full"
+            placeholder="Comma separated values"
+            value=${row.values}
+            onChange=${(e) => updateRow(index, { values: e.target.value })}
+          />
+          <${Button}
+            variant="small-icon"
+            icon="trash"
+            title="Remove"
+            onClick=${() => setInputRows(rows => rows.filter((_, i) => i !== index))}
+          />
+        </${HorizontalLayout}>
+      `)}
+
+      <${Preview} error=${!!preview.error}>
+        ${preview.error || `${preview.count} item(s): ${preview.axes.map(axis => `${axis.label} × ${axis.values.length}`).join(', ')}`}
+      </${Preview}>
+
+      <${HorizontalLayout} gap="small" justifyContent="flex-end">
+        <${Button} variant="medium-text" color="secondary" onClick=${onClose}>Cancel</${Button}>
+        <${Button}
+          variant="medium-icon-text"
+          icon="play"
+          onClick=${handleSubmit}
+          disabled=${busy || !!preview.error || preview.count === 0}
+        >
+          Queue Batch
+        </${Button}>
+      </${HorizontalLayout}>
+    </${VerticalLayout}>
+  `;
+}
+
+/**
+ * Open the batch dialog in a modal.
+ * @param {Object} workflow
+ * @param {Object} baseRequest
+ * @returns {{ close: Function }}
+ */
+export function showBatchDialog(workflow, baseRequest) {
+  let modal = null;
+  modal = showModal({
+    title: `Batch – ${workflow.name}`,
+    size: 'medium',
+    content: html`<${BatchDialog} workflow=${workflow} baseRequest=${baseRequest} onClose=${() => modal?.close()} />`,
+  });
+  return modal;
+}
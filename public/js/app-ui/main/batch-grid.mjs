@@ -0,0 +1,297 @@
+/**
+ * batch-grid.mjs – Batch browser and X/Y comparison grid.
+ *
+ * Lists batches from `/batches`; opening one lays its entries out on two
+ * chosen sweep axes, with the remaining axes pinned to one value each. The
+ * same layout can be exported as a contact sheet PNG rendered by the server.
+ *
+ * @module app-ui/main/batch-grid
+ */
+import { html } from 'htm/preact';
+import { useState, useEffect, useCallback } from 'preact/hooks';
+import { styled } from '../../custom-ui/goober-setup.mjs';
+import { currentTheme } from '../../custom-ui/theme.mjs';
+import { fetchJson } from '../../custom-ui/util.mjs';
+import { showModal } from '../../custom-ui/overlays/modal.mjs';
+import { showDialog } from '../../custom-ui/overlays/dialog.mjs';
+import { Button } from '../../custom-ui/io/button.mjs';
+import { Select } from '../../custom-ui/io/select.mjs';
+import { HorizontalLayout, VerticalLayout } from '../../custom-ui/themed-base.mjs';
+
+// Styled Components
+const GridScroller = styled('div')`
+  max-height: 70vh;
+  overflow: auto;
+`;
+GridScroller.className = 'batch-grid-scroller';
+
+const GridTable = styled('table')`
+  border-collapse: separate;
+  border-spacing: 4px;
+  font-size: ${() => currentTheme.value.typography.fontSize.small};
+  color: ${() => currentTheme.value.colors.text.primary};
+
+  th {
+    font-weight: normal;
+    color: ${() => currentTheme.value.colors.text.secondary};
+    padding: 4px;
+    max-width: 160px;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+
+  td {
+    width: 160px;
+    height: 160px;
+    padding: 0;
+    background: ${() => currentTheme.value.colors.background.secondary};
+    border-radius: 4px;
+  }
+
+  img {
+    width: 160px;
+    height: 160px;
+    object-fit: cover;
+    border-radius: 4px;
+    display: block;
+  }
+`;
+GridTable.className = 'batch-grid-table';
+
+const BatchList = styled('ul')`
+  list-style: none;
+  margin: 0;
+  padding: 0;
+  max-height: 420px;
+  overflow-y: auto;
+  border: 1px solid ${() => currentTheme.value.colors.border.secondary};
+  border-radius: 4px;
+`;
+BatchList.className = 'batch-list';
+
+const BatchRow = styled('li')`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 12px;
+  padding: 6px 8px;
+  font-size: ${() => currentTheme.value.typography.fontSize.small};
+  color: ${() => currentTheme.value.colors.text.primary};
+
+  img {
+    width: 48px;
+    height: 48px;
+    object-fit: cover;
+    border-radius: 4px;
+  }
+
+  small {
+    display: block;
+    color: ${() => currentTheme.value.colors.text.secondary};
+  }
+`;
+BatchRow.className = 'batch-row';
+
+const Summary = styled('div')`
+  font-size: ${() => currentTheme.value.typography.fontSize.small};
+  color: ${() => currentTheme.value.colors.text.secondary};
+`;
+Summary.className = 'batch-summary';
+
+const FETCH_OPTIONS = { maxRetries: 0, showUserFeedback: false };
+const NONE = '';
+
+/**
+ * Client mirror of the server's `layoutGrid`: pick the entry for every
+ * X/Y cell among entries matching the fixed axis values.
+ *
+ * @param {{ axes: Object[], entries: Object[] }} batch
+ * @param {{ x: string, y?: string, fixed?: Object }} layout
+ * @returns {{ xValues: Array, yValues: Array, cells: (Object|null)[][] }}
+ */
+export function layoutBatchGrid(batch, { x, y, fixed = {} }) {
+  const axisByKey = new Map(batch.axes.map(axis => [axis.key, axis]));
+  const valueOf = (entry, key) => entry.batch.axes.find(a => a.key === key)?.value;
+  const xValues = axisByKey.get(x)?.values ?? [];
+  const yValues = y ? (axisByKey.get(y)?.values ?? []) : [null];
+  const candidates = batch.entries.filter(entry =>
+    Object.entries(fixed).every(([key, value]) => valueOf(entry, key) === value)
+  );
+  const cells = yValues.map(yValue => xValues.map(xValue =>
+    candidates.find(entry => valueOf(entry, x) === xValue && (!y || valueOf(entry, y) === yValue)) ?? null
+  ));
+  return { xValues, yValues, cells };
+}
+
+/**
+ * BatchGrid Component
+ *
+ * @param {Object} props
+ * @param {string} props.batchId
+ * @returns {preact.VNode}
+ */
+export function BatchGrid({ batchId }) {
+  const [batch, setBatch] = useState(null);
+  const [x, setX] = useState(NONE);
+  const [y, setY] = useState(NONE);
+  const [fixed, setFixed] = useState({});
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    fetchJson(`/batches/${encodeURIComponent(batchId)}`, {}, FETCH_OPTIONS)
+      .then(data => {
+        setBatch(data);
+        setX(data.axes[0]?.key ?? NONE);
+        setY(data.axes[1]?.key ?? NONE);
+        setFixed(Object.fromEntries(data.axes.slice(2).map(axis => [axis.key, axis.values[0]])));
+      })
+      .catch(err => console.error('Failed to load batch:', err));
+  }, [batchId]);
+
+  if (!batch) return html`<${Summary}>Loading batch…</${Summary}>`;
+
+  const axisOptions = batch.axes.map(axis => ({ label: axis.label, value: axis.key }));
+  const otherAxes = batch.axes.filter(axis => axis.key !== x && axis.key !== y);
+  // Only pin axes that are not on the grid
+  const activeFixed = Object.fromEntries(otherAxes.map(axis => [axis.key, fixed[axis.key] ?? axis.values[0]]));
+  const { xValues, yValues, cells } = layoutBatchGrid(batch, { x, y: y || undefined, fixed: activeFixed });
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const response = await fetch(`/batches/${encodeURIComponent(batchId)}/contact-sheet`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ x, y: y || null, fixed: activeFixed }),
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => null);
+        throw new Error(data?.error || `HTTP ${response.status}`);
+      }
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `batch-${batchId.slice(0, 8)}.png`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Failed to export contact sheet:', err);
+      await showDialog(err.message, 'Export Error');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return html`
+    <${VerticalLayout} gap="small">
+      <${HorizontalLayout} gap="small">
+        <${Select} label="X axis" options=${axisOptions} value=${x} onChange=${(e) => setX(e.target.value)} />
+        <${Select}
+          label="Y axis"
+          options=${[{ label: 'None', value: NONE }, ...axisOptions.filter(o => o.value !== x)]}
+          value=${y}
+          onChange=${(e) => setY(e.target.value)}
+        />
+        ${otherAxes.map(axis => html`
+          <${Select}
+            key=${axis.key}
+            label=${axis.label}
+            options=${axis.values.map((value, i) => ({ label: String(value), value: String(i) }))}
+            value=${String(axis.values.indexOf(activeFixed[axis.key]))}
+            onChange=${(e) => setFixed(prev => ({ ...prev, [axis.key]: axis.values[Number(e.target.value)] }))}
+          />
+        `)}
+        <${Button} variant="medium-icon-text" icon="download" onClick=${handleExport} disabled=${exporting}>
+          Contact Sheet
+        </${Button}>
+      </${HorizontalLayout}>
+      <${Summary}>${batch.entries.length} of ${batch.total} item(s) generated</${Summary}>
+      <${GridScroller}>
+        <${GridTable}>
+          <thead>
+            <tr>
+              ${y ? html`<th></th>` : null}
+              ${xValues.map(value => html`<th key=${String(value)} title=${String(value)}>${String(value)}</th>`)}
+            </tr>
+          </thead>
+          <tbody>
+            ${yValues.map((yValue, row) => html`
+              <tr key=${String(yValue)}>
+                ${y ? html`<th title=${String(yValue)}>${String(yValue)}</th>` : null}
+                ${cells[row].map((entry, col) => html`
+                  <td key=${col}>
+                    ${entry?.imageUrl ? html`<img src=${entry.imageUrl} alt=${entry.name || ''} title=${entry.name || ''} />` : null}
+                  </td>
+                `)}
+              </tr>
+            `)}
+          </tbody>
+        </${GridTable}>
+      </${GridScroller}>
+    </${VerticalLayout}>
+  `;
+}
+
+/**
+ * BatchBrowser Component – lists batches and opens their grids.
+ * @returns {preact.VNode}
+ */
+export function BatchBrowser() {
+  const [batches, setBatches] = useState([]);
+
+  const loadBatches = useCallback(async () => {
+    try {
+      setBatches(await fetchJson('/batches', {}, FETCH_OPTIONS));
+    } catch (err) {
+      console.error('Failed to load batches:', err);
+    }
+  }, []);
+
+  useEffect(() => { loadBatches(); }, [loadBatches]);
+
+  if (batches.length === 0) return html`<${Summary}>No batches yet.</${Summary}>`;
+
+  return html`
+    <${BatchList}>
+      ${batches.map(batch => html`
+        <${BatchRow} key=${batch.id}>
+          ${batch.coverUrl ? html`<img src=${batch.coverUrl} alt="" />` : null}
+          <span style=${{ flex: 1 }}>
+            ${batch.workflow}
+            <small>
+              ${batch.axes.map(axis => axis.label).join(' × ')} · ${batch.count}/${batch.total} item(s)
+              · ${new Date(batch.createdAt).toLocaleString()}
+            </small>
+          </span>
+          <${Button} variant="small-icon" icon="grid" title="Open grid" onClick=${() => showBatchGrid(batch.id)} />
+        </${BatchRow}>
+      `)}
+    </${BatchList}>
+  `;
+}
+
+/**
+ * Open one batch grid in a modal.
+ * @param {string} batchId
+ * @returns {{ close: Function }}
+ */
+export function showBatchGrid(batchId) {
+  return showModal({
+    title: 'Batch Grid',
+    size: 'full',
+    content: html`<${BatchGrid} batchId=${batchId} />`,
+  });
+}
+
+/**
+ * Open the batch list in a modal.
+ * @returns {{ close: Function }}
+ */
+export function showBatchBrowser() {
+  return showModal({
+    title: 'Batches',
+    size: 'large',
+    content: html`<${BatchBrowser} />`,
+  });
+}
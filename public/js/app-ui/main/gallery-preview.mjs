@@ -2,6 +2,8 @@ import { render, Component } from 'preact'
 import { html } from 'htm/preact'
 import { styled } from '../../custom-ui/goober-setup.mjs'
 import { createImageModal } from '../../custom-ui/overlays/modal.mjs'
+import { showImageOpsDialog } from './image-ops-dialog.mjs'
+import { showLineageDialog } from './lineage-dialog.mjs'
 import { Checkbox } from '../../custom-ui/io/checkbox.mjs'
 import { Button } from '../../custom-ui/io/button.mjs'
 import { Panel } from '../../custom-ui/layout/panel.mjs'
@@ -270,11 +272,28 @@ export class GalleryPreview extends Component {
     }
   }
 
+  handleEditClick = (e) => {
+    e.stopPropagation();
+    e.preventDefault();
+    const { item } = this.props;
+    if (item && item.uid && item.imageUrl && !this.state.imageError) {
+      showImageOpsDialog(item);
+    }
+  }
+
+  handleLineageClick = (e) => {
+    e.stopPropagation();
+    e.preventDefault();
+    const { item } = this.props;
+    if (item && item.uid) showLineageDialog(item);
+  }
+
   render() {
     const { item, onSelect, isSelected, disableCheckbox = false, disabled = false } = this.props;
     const { imageError, isAudioPlaying } = this.state;
     const hasAudio = item && item.audioUrl;
     const hasViewButton = item && item.type !== 'audio';
+    const canEdit = item && (item.type || 'image') === 'image';
 
     return html`
       <${GalleryItemContainer}
@@ -323,6 +342,24 @@ export class GalleryPreview extends Component {
                   />
                 </${GalleryViewButton}>
               `}
+              ${canEdit && html`
+                <${GalleryViewButton} onClick=${this.handleEditClick}>
+                  <${Button}
+                    variant="small-icon"
+                    icon="crop"
+                    tooltip="Crop or adjust image"
+                  />
+                </${GalleryViewButton}>
+              `}
+              ${item.uid && html`
+                <${GalleryViewButton} onClick=${this.handleLineageClick}>
+                  <${Button}
+                    variant="small-icon"
+                    icon="lineage"
+                    tooltip="Show sources and derived entries"
+                  />
+                </${GalleryViewButton}>
+              `}
               <${GalleryItemTextContent}>
                 <${GalleryItemName}>
                   ${item.name || 'Unnamed'}
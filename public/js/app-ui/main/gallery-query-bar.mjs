@@ -0,0 +1,260 @@
+import { html } from 'htm/preact';
+import { useState, useEffect, useCallback } from 'preact/hooks';
+import { styled } from '../../custom-ui/goober-setup.mjs';
+import { fetchJson } from '../../custom-ui/util.mjs';
+import { showDialog, showTextPrompt } from '../../custom-ui/overlays/dialog.mjs';
+import { Button } from '../../custom-ui/io/button.mjs';
+import { Input } from '../../custom-ui/io/input.mjs';
+import { Select } from '../../custom-ui/io/select.mjs';
+import { HorizontalLayout } from '../../custom-ui/themed-base.mjs';
+
+// Styled Components
+const QueryBarContainer = styled('div')`
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+  flex: 1;
+`;
+QueryBarContainer.className = 'query-bar-container';
+
+// ---------------------------------------------------------------------------
+// Query building helpers
+// ---------------------------------------------------------------------------
+
+/** Fields offered by the term builder. `comparable` fields get an operator select. */
+export const QUERY_BUILDER_FIELDS = [
+  { label: 'Tag', value: 'tag' },
+  { label: 'Workflow', value: 'workflow' },
+  { label: 'Type', value: 'type' },
+  { label: 'Orientation', value: 'orientation' },
+  { label: 'Name', value: 'name' },
+  { label: 'Prompt', value: 'prompt' },
+  { label: 'Seed', value: 'seed', comparable: true },
+  { label: 'Date', value: 'date', comparable: true },
+  { label: 'Time Taken (s)', value: 'timeTaken', comparable: true },
+  { label: 'Length (s)', value: 'length', comparable: true },
+];
+
+const OPERATOR_OPTIONS = [
+  { label: '=', value: '' },
+  { label: '>', value: '>' },
+  { label: '≥', value: '>=' },
+  { label: '<', value: '<' },
+  { label: '≤', value: '<=' },
+];
+
+const JOIN_OPTIONS = [
+  { label: 'AND', value: 'and' },
+  { label: 'OR', value: 'or' },
+  { label: 'NOT', value: 'not' },
+];
+
+export const SORT_OPTIONS = [
+  { label: 'Newest first', value: 'descending' },
+  { label: 'Oldest first', value: 'ascending' },
+  { label: 'Name A–Z', value: 'name:asc' },
+  { label: 'Name Z–A', value: 'name:desc' },
+  { label: 'Longest first', value: 'duration:desc' },
+  { label: 'Shortest first', value: 'duration:asc' },
+  { label: 'Slowest generation', value: 'timeTaken:desc' },
+  { label: 'Fastest generation', value: 'timeTaken:asc' },
+];
+
+/**
+ * Build a single `field:[op]value` term, quoting values that contain
+ * whitespace, parentheses or quotes.
+ * @param {string} field
+ * @param {string} op
+ * @param {string} value
+ * @returns {string}
+ */
+export function buildQueryTerm(field, op, value) {
+  const needsQuotes = /[\s()"]/.test(value);
+  const quoted = needsQuotes ? `"${value.replace(/(["\\])/g, '\\$1')}"` : value;
+  return `${field}:${op}${quoted}`;
+}
+
+/**
+ * Append a term to an existing query using the given join.
+ * @param {string} query
+ * @param {string} term
+ * @param {'and'|'or'|'not'} join
+ * @returns {string}
+ */
+export function appendQueryTerm(query, term, join) {
+  const base = query.trim();
+  if (join === 'not') return base ? `${base} -${term}` : `-${term}`;
+  if (!base) return term;
+  return join === 'or' ? `${base} OR ${term}` : `${base} ${term}`;
+}
+
+// ---------------------------------------------------------------------------
+// Component
+// ---------------------------------------------------------------------------
+
+/**
+ * GalleryQueryBar Component
+ *
+ * Query-language search input for the gallery with a term builder, sort
+ * select and server-side saved searches (`/saved-searches`).
+ *
+ * @param {Object} props
+ * @param {string} props.query - Current query expression
+ * @param {Function} props.onQueryChange - Called with the new query string
+ * @param {string} props.sort - Current sort value (see SORT_OPTIONS)
+ * @param {Function} props.onSortChange - Called with the new sort value
+ * @param {string|null} [props.error] - Query error returned by the server
+ * @returns {preact.VNode}
+ */
+export function GalleryQueryBar({ query, onQueryChange, sort, onSortChange, error = null }) {
+  const [field, setField] = useState('tag');
+  const [operator, setOperator] = useState('');
+  const [join, setJoin] = useState('and');
+  const [termValue, setTermValue] = useState('');
+  const [savedSearches, setSavedSearches] = useState([]);
+
+  const fieldDef = QUERY_BUILDER_FIELDS.find(f => f.value === field);
+
+  const loadSavedSearches = useCallback(async () => {
+    try {
+      const list = await fetchJson('/saved-searches', {}, { maxRetries: 1, showUserFeedback: false });
+      setSavedSearches(Array.isArray(list) ? list : []);
+    } catch (err) {
+      console.warn('Failed to load saved searches:', err);
+    }
+  }, []);
+
+  useEffect(() => { loadSavedSearches(); }, [loadSavedSearches]);
+
+  const handleAddTerm = () => {
+    const value = termValue.trim();
+    if (!value) return;
+    const term = buildQueryTerm(field, fieldDef?.comparable ? operator : '', value);
+    onQueryChange(appendQueryTerm(query, term, join));
+    setTermValue('');
+  };
+
+  const handleSavedSelect = (e) => {
+    const search = savedSearches.find(s => s.uid === e.target.value);
+    if (!search) return;
+    onQueryChange(search.query);
+    if (search.sort) onSortChange(search.sort);
+  };
+
+  const handleSave = async () => {
+    const label = await showTextPrompt('Save search as', '', 'Search name');
+    if (!label) return;
+    try {
+      const list = await fetchJson('/saved-searches', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ label, query, sort }),
+      }, { maxRetries: 0, showUserFeedback: false });
+      setSavedSearches(list);
+      if (window.showToast) window.showToast(`Saved search "${label}"`);
+    } catch (err) {
+      console.error('Failed to save search:', err);
+      if (window.showErrorToast) window.showErrorToast('Failed to save search');
+    }
+  };
+
+  const handleDeleteSaved = async () => {
+    const current = savedSearches.find(s => s.query === query);
+    if (!current) return;
+    const result = await showDialog(`Delete saved search "${current.label}"?`, 'Delete Saved Search', ['Delete', 'Cancel']);
+    if (result !== 'Delete') return;
+    try {
+      const list = await fetchJson(`/saved-searches/${encodeURIComponent(current.uid)}`, { method: 'DELETE' }, { maxRetries: 0, showUserFeedback: false });
+      setSavedSearches(list);
+    } catch (err) {
+      console.error('Failed to delete saved search:', err);
+    }
+  };
+
+  const currentSaved = savedSearches.find(s => s.query === query);
+
+  return html`
+    <${QueryBarContainer}>
+      <${HorizontalLayout} gap="small">
+        <${Input}
+          type="text"
+          placeholder='Search… e.g. tag:cat OR tag:dog -tag:sketch type:image timeTaken:>30'
+          value=${query}
+          onInput=${(e) => onQueryChange(e.target.value)}
+          error=${error}
+          widthScale="full"
+        />
+        <${Select}
+          options=${SORT_OPTIONS}
+          value=${sort}
+          onChange=${(e) => onSortChange(e.target.value)}
+          widthScale="normal"
+        />
+      </${HorizontalLayout}>
+      <${HorizontalLayout} gap="small">
+        <${Select}
+          options=${JOIN_OPTIONS}
+          value=${join}
+          onChange=${(e) => setJoin(e.target.value)}
+          widthScale="compact"
+          heightScale="compact"
+        />
+        <${Select}
+          options=${QUERY_BUILDER_FIELDS.map(({ label, value }) => ({ label, value }))}
+          value=${field}
+          onChange=${(e) => setField(e.target.value)}
+          heightScale="compact"
+        />
+        ${fieldDef?.comparable ? html`
+          <${Select}
+            options=${OPERATOR_OPTIONS}
+            value=${operator}
+            onChange=${(e) => setOperator(e.target.value)}
+            widthScale="compact"
+            heightScale="compact"
+          />
+        ` : null}
+        <${Input}
+          type="text"
+          placeholder=${field === 'date' ? 'YYYY-MM-DD or a..b' : 'Value'}
+          value=${termValue}
+          onInput=${(e) => setTermValue(e.target.value)}
+          onKeyDown=${(e) => { if (e.key === 'Enter') handleAddTerm(); }}
+          heightScale="compact"
+        />
+        <${Button}
+          variant="small-icon"
+          icon="plus"
+          title="Add term to query"
+          onClick=${handleAddTerm}
+          disabled=${!termValue.trim()}
+        />
+        <${Select}
+          options=${[
+            { label: savedSearches.length ? 'Saved searches…' : 'No saved searches', value: '' },
+            ...savedSearches.map(s => ({ label: s.label, value: s.uid })),
+          ]}
+          value=${currentSaved?.uid || ''}
+          onChange=${handleSavedSelect}
+          disabled=${savedSearches.length === 0}
+          heightScale="compact"
+        />
+        <${Button}
+          variant="small-icon"
+          icon="save"
+          title="Save current search"
+          onClick=${handleSave}
+          disabled=${!query.trim()}
+        />
+        <${Button}
+          variant="small-icon"
+          icon="trash"
+          color="danger"
+          title="Delete saved search"
+          onClick=${handleDeleteSaved}
+          disabled=${!currentSaved}
+        />
+      </${HorizontalLayout}>
+    </${QueryBarContainer}>
+  `;
+}
@@ -5,15 +5,16 @@ import { styled } from '../../custom-ui/goober-setup.mjs';
 import { currentTheme } from '../../custom-ui/theme.mjs';
 import { NavigatorControl as PaginationControls } from '../../custom-ui/nav/navigator.mjs';
 import { usePagination } from '../../custom-ui/nav/use-pagination.mjs';
-import { fetchJson, FetchError } from '../../custom-ui/util.mjs';
+import { fetchJson, fetchWithRetry, FetchError } from '../../custom-ui/util.mjs';
 import { globalAudioPlayer } from '../../custom-ui/global-audio-player.mjs';
 import { showDialog } from '../../custom-ui/overlays/dialog.mjs';
 import { showFolderSelect } from '../folder-select.mjs';
+import { describeDependents } from './lineage-dialog.mjs';
 import { Button } from '../../custom-ui/io/button.mjs';
-import { Input } from '../../custom-ui/io/input.mjs';
 import { Icon } from '../../custom-ui/layout/icon.mjs';
 import { HorizontalLayout } from '../../custom-ui/themed-base.mjs';
 import { backfillMissingProperties } from '../../util.mjs';
+import { GalleryQueryBar } from './gallery-query-bar.mjs';
 
 // Styled Components
 const ModalOverlay = styled('div')`
@@ -216,6 +217,9 @@ const SearchContainer = styled('div')`
 `;
 SearchContainer.className = 'search-container';
 
+/** Entries requested per fetch; further chunks load via cursor as the last page is reached */
+const FETCH_CHUNK_SIZE = 240;
+
 const ButtonGroup = styled('div')`
   display: flex;
   gap: 10px;
@@ -230,8 +234,8 @@ ButtonGroup.className = 'button-group';
  * and viewing mode (for browsing and managing media).
  *
  * Features:
- * - Search by text or comma-separated tags
- * - Pagination (24 items per page)
+ * - Query-language search (tag OR/NOT, field terms, ranges), sort and saved searches
+ * - Pagination (24 items per page), loading further results by cursor on demand
  * - Bulk selection with delete and move operations
  * - Click to view full-screen media
  * - Optional folder filtering
@@ -290,7 +294,9 @@ export function Gallery({
 }) {
   const [galleryData, setGalleryData] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
-  const [searchMode, setSearchMode] = useState('description'); // 'description' or 'tag'
+  const [sort, setSort] = useState('descending');
+  const [cursorState, setCursorState] = useState(null); // { scope, cursor }
+  const [queryError, setQueryError] = useState(null);
   const [selectedItems, setSelectedItems] = useState([]);
   const [loading, setLoading] = useState(false);
 
@@ -300,28 +306,20 @@ export function Gallery({
 
   const searchTimeoutRef = useRef(null);
 
+  // A cursor only continues the listing it came from; once the query, sort or
+  // folder changes, the one from the previous listing is dropped.
+  const cursorScope = JSON.stringify([queryPath, searchQuery.trim(), sort, folder ?? null]);
+  const nextCursor = cursorState?.scope === cursorScope ? cursorState.cursor : null;
+
   // -- Data Fetching --
-  const fetchGalleryData = useCallback(async () => {
+  const fetchGalleryData = useCallback(async (cursor = null) => {
     try {
       setLoading(true);
-      const searchText = searchQuery.trim();
       const url = new URL(queryPath, window.location.origin);
-
-      // Tag search vs normal search based on mode
-      if (searchMode === 'tag' && searchText) {
-        const tags = searchText
-          .split(',')
-          .map(tag => tag.trim())
-          .filter(tag => tag.length > 0);
-        url.searchParams.set('tags', tags.join(','));
-        url.searchParams.set('query', '');
-      } else {
-        url.searchParams.set('query', searchText);
-        url.searchParams.set('tags', '');
-      }
-
-      // Get all matching data for client-side pagination
-      url.searchParams.set('limit', '1200');
+      url.searchParams.set('query', searchQuery.trim());
+      url.searchParams.set('sort', sort);
+      url.searchParams.set('limit', String(FETCH_CHUNK_SIZE));
+      if (cursor) url.searchParams.set('cursor', cursor);
 
       // Add folder filter if provided
       if (folder !== undefined) {
@@ -330,22 +328,31 @@ export function Gallery({
 
       console.log('Fetching gallery data:', url.toString());
 
-      const data = await fetchJson(url.toString(), {}, {
+      const response = await fetchWithRetry(url.toString(), {}, {
         maxRetries: 2,
         retryDelay: 800,
-        showUserFeedback: true,
-        showSuccessFeedback: false
+        showUserFeedback: true
       });
+      const data = backfillMissingProperties(await response.json()) || [];
 
-      setGalleryData(backfillMissingProperties(data) || []);
+      setQueryError(null);
+      setCursorState({ scope: cursorScope, cursor: response.headers?.get?.('X-Next-Cursor') || null });
       // Pagination component will auto-update when dataList changes
+      setGalleryData(prev => cursor ? [...prev, ...data] : data);
     } catch (error) {
-      console.error('Error fetching gallery data:', error);
-      setGalleryData([]);
+      if (error instanceof FetchError && error.status === 400 && error.response) {
+        // Malformed query – show the parser message under the query bar
+        const body = await error.response.json().catch(() => ({}));
+        setQueryError(body.error || 'Invalid search query');
+      } else {
+        console.error('Error fetching gallery data:', error);
+      }
+      if (!cursor) setGalleryData([]);
+      setCursorState(null);
     } finally {
       setLoading(false);
     }
-  }, [queryPath, searchQuery, folder]);
+  }, [queryPath, searchQuery, sort, folder, cursorScope]);
 
   // -- Effects --
 
@@ -357,6 +364,8 @@ export function Gallery({
     } else {
       globalAudioPlayer.stop();
       setSearchQuery('');
+      setQueryError(null);
+      setCursorState(null);
       setGalleryData([]);
     }
   }, [isOpen, fetchGalleryData]);
@@ -387,17 +396,16 @@ export function Gallery({
     return () => {
       if (searchTimeoutRef.current) clearTimeout(searchTimeoutRef.current);
     };
-  }, [searchQuery, searchMode]); // fetchGalleryData is in dep array via debounce closure, but we want to trigger on searchQuery or searchMode change
-
-  // -- Handlers --
+  }, [searchQuery, sort]); // fetchGalleryData is in dep array via debounce closure, but we want to trigger on searchQuery or sort change
 
-  const handleSearchInput = (e) => {
-    setSearchQuery(e.target.value);
-  };
+  // Load the next chunk once the user reaches the last loaded page
+  useEffect(() => {
+    if (isOpen && pagination.isLastPage && nextCursor && !loading) {
+      fetchGalleryData(nextCursor);
+    }
+  }, [isOpen, pagination.isLastPage, nextCursor, loading, fetchGalleryData]);
 
-  const toggleSearchMode = () => {
-    setSearchMode(prevMode => prevMode === 'description' ? 'tag' : 'description');
-  };
+  // -- Handlers --
 
   /**
    * Check if media should be disabled for selection based on allowed types
@@ -442,8 +450,9 @@ export function Gallery({
     if (selectedItems.length === 0) return;
 
     const itemText = selectedItems.length === 1 ? 'item' : 'items';
+    const dependentsWarning = await describeDependents(selectedItems);
     const result = await showDialog(
-      `Are you sure you want to delete ${selectedItems.length} selected ${itemText}? This action cannot be undone.`,
+      `Are you sure you want to delete ${selectedItems.length} selected ${itemText}? This action cannot be undone.${dependentsWarning ? ` ${dependentsWarning}` : ''}`,
       'Confirm Deletion',
       ['Delete', 'Cancel']
     );
@@ -661,21 +670,13 @@ export function Gallery({
         ${!hideControls ? html`
         <${Controls}>
           <${SearchContainer}>
-            <${HorizontalLayout} gap="small">
-              <${Button}
-                variant="large-icon"
-                icon=${searchMode === 'tag' ? 'tags' : 'search'}
-                title=${searchMode === 'tag' ? 'Switch to description search' : 'Switch to tag search'}
-                onClick=${toggleSearchMode}
-              />
-              <${Input}
-                type="text"
-                placeholder=${searchMode === 'tag' ? 'Tag search (comma-separated)' : 'Search images...'}
-                value=${searchQuery}
-                onInput=${handleSearchInput}
-                widthScale="full"
-              />
-            </${HorizontalLayout}>
+            <${GalleryQueryBar}
+              query=${searchQuery}
+              onQueryChange=${setSearchQuery}
+              sort=${sort}
+              onSortChange=${setSort}
+              error=${queryError}
+            />
           </${SearchContainer}>
           <${ButtonGroup}>
             ${!selectionMode && html`
@@ -1,5 +1,6 @@
 /**
- * Smoke test – Gallery mounts in happy-dom without console errors.
+ * Gallery – mounts in happy-dom without console errors, and pages through
+ * listings with the cursor of the current query.
  */
 import { vi, test, expect, beforeAll, afterAll, afterEach } from 'vitest'
 import { render, cleanup, act } from '@testing-library/preact'
@@ -60,3 +61,58 @@ test('Gallery with isOpen=true mounts without console.error', async () => {
   expect(spy).not.toHaveBeenCalled()
   spy.mockRestore()
 })
+
+const items = (count, prefix) => Array.from({ length: count }, (_, i) => ({ uid: i + 1, name: `${prefix}${i}` }))
+const listResponse = (data, cursor = null) => ({
+  ok: true,
+  headers: { get: (name) => (name === 'X-Next-Cursor' ? cursor : null) },
+  json: () => Promise.resolve(data),
+})
+const settle = (ms = 50) => act(() => new Promise(resolve => setTimeout(resolve, ms)))
+const galleryAt = (folder) => html`
+  <${Gallery}
+    isOpen=${true}
+    queryPath="/media-data"
+    folder=${folder}
+    previewFactory=${vi.fn(() => document.createElement('div'))}
+    onClose=${vi.fn()}
+  />
+`
+
+test('loads the next chunk with the cursor of the current listing', async () => {
+  const requests = []
+  vi.stubGlobal('fetch', vi.fn(async (url) => {
+    const params = new URL(url).searchParams
+    requests.push(params)
+    return params.get('cursor') ? listResponse(items(1, 'more')) : listResponse(items(2, 'first'), 'c1')
+  }))
+
+  await act(async () => { render(galleryAt('f1')) })
+  await settle()
+
+  const cursorRequests = requests.filter(params => params.has('cursor'))
+  expect(cursorRequests.map(params => [params.get('cursor'), params.get('folder')])).toEqual([['c1', 'f1']])
+})
+
+test('does not continue a previous folder with its cursor', async () => {
+  const requests = []
+  let resolveFirst
+  const first = new Promise(resolve => { resolveFirst = resolve })
+  vi.stubGlobal('fetch', vi.fn((url) => {
+    const params = new URL(url).searchParams
+    requests.push(params)
+    if (params.get('folder') === 'f1' && !params.has('cursor')) return first
+    return Promise.resolve(listResponse(items(30, params.get('folder'))))
+  }))
+
+  let view
+  await act(async () => { view = render(galleryAt('f1')) })
+  await act(async () => { view.rerender(galleryAt('f2')) })
+  await settle()
+
+  // The slow f1 listing answers last, with a cursor for f1
+  resolveFirst(listResponse(items(2, 'f1'), 'c1'))
+  await settle()
+
+  expect(requests.filter(params => params.has('cursor'))).toEqual([])
+})
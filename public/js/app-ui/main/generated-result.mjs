@@ -11,6 +11,7 @@ import { useToast } from '../../custom-ui/msg/toast.mjs';
 import { H2, HorizontalLayout, VerticalLayout } from '../../custom-ui/themed-base.mjs';
 import { currentTheme } from '../../custom-ui/theme.mjs';
 import { Panel } from '../../custom-ui/layout/panel.mjs';
+import { showRecipeDialog } from './recipe-dialog.mjs';
 
 // Styled components
 const Container = styled('div')`
@@ -187,6 +188,7 @@ export function GeneratedResult({
   onUseDescription,
   onDelete,
   onInpaint,
+  onImageEdit,
   onSoundEdit,
   onSelectAsInput,
   onEdit,
@@ -447,8 +449,26 @@ export function GeneratedResult({
                 tooltip="Inpaint this image"
               >
                 Inpaint
+              </${Button}>
+              <${Button}
+                variant="primary"
+                icon="crop"
+                onClick=${() => onImageEdit && onImageEdit(image)}
+                disabled=${!image.uid || !onImageEdit}
+                tooltip="Crop, rotate or adjust this image"
+              >
+                Edit
               </${Button}>`
           }
+          <${Button}
+            variant="primary"
+            icon="file-detail"
+            onClick=${() => showRecipeDialog(image)}
+            disabled=${!image.uid || !image.recipe}
+            tooltip="Show the generation recipe, compare it with the current workflow or reproduce it exactly"
+          >
+            Recipe
+          </${Button}>
           <${Button}
             variant="primary"
             icon="export"
@@ -23,6 +23,7 @@ import { useQueueStatus } from '../use-queue-status.mjs';
  * @param {Object} props.formState - Form field values
  * @param {Function} props.onFieldChange - Callback for field changes: (fieldName, value) => void
  * @param {Function} props.onGenerate - Callback for generate action
+ * @param {Function} [props.onBatch] - Callback to open the batch dialog
  * @param {Function} [props.onOpenGallery] - Callback to open gallery
  * @param {Function} [props.onUploadClick] - Callback for upload button
  */
@@ -31,6 +32,7 @@ export function GenerationForm({
   formState,
   onFieldChange,
   onGenerate,
+  onBatch,
   onOpenGallery,
   onUploadClick,
   inputImages = [],
@@ -223,7 +225,17 @@ export function GenerationForm({
           ${isQueuedDuplicate ? 'Generating...' : queueCount > 0 ? 'Queue' : 'Generate'}
         </${Button}>
 
-
+        ${onBatch && html`
+          <${Button}
+            variant="primary"
+            icon="grid"
+            tooltip="Queue variations of this request"
+            onClick=${onBatch}
+            disabled=${isGenerateDisabled || workflow.inputImages > 0 || workflow.inputAudios > 0}
+          >
+            Batch
+          </${Button}>
+        `}
 
         <${Button}
           variant="primary"
@@ -0,0 +1,432 @@
+/**
+ * image-ops-dialog.mjs – Crop / adjust modal for gallery images.
+ *
+ * The preview applies rotation, flips and colour adjustments on a canvas and
+ * shows the crop rectangle, which is drawn by dragging over the image (held
+ * to an aspect ratio when one is picked). Saving sends the edit to the
+ * server as an operation list (POST /media-data/:uid/image-ops), which
+ * creates a new entry and leaves the original alone. When an upscale
+ * workflow is configured the image can also be queued for upscaling.
+ *
+ * @module app-ui/main/image-ops-dialog
+ */
+import { html } from 'htm/preact';
+import { useState, useEffect, useRef } from 'preact/hooks';
+import { styled } from '../../custom-ui/goober-setup.mjs';
+import { currentTheme } from '../../custom-ui/theme.mjs';
+import { fetchJson } from '../../custom-ui/util.mjs';
+import { showModal } from '../../custom-ui/overlays/modal.mjs';
+import { Button } from '../../custom-ui/io/button.mjs';
+import { Input } from '../../custom-ui/io/input.mjs';
+import { Select } from '../../custom-ui/io/select.mjs';
+import { Slider } from '../../custom-ui/io/slider.mjs';
+import { HorizontalLayout, VerticalLayout } from '../../custom-ui/themed-base.mjs';
+import { getClientId } from '../client-id.mjs';
+
+// ============================================================================
+// Edit model
+// ============================================================================
+
+export const DEFAULT_IMAGE_EDIT = {
+  rotation: 0,
+  flipHorizontal: false,
+  flipVertical: false,
+  aspect: '',
+  crop: null,
+  brightness: 1,
+  saturation: 1,
+  contrast: 1,
+  hue: 0,
+  width: '',
+  format: '',
+  quality: 90,
+};
+
+const ADJUSTMENTS = ['brightness', 'saturation', 'contrast', 'hue'];
+
+// Smallest crop a drag creates; shorter drags clear the crop
+const MIN_CROP = 4;
+
+function parseAspect(aspect) {
+  const [w, h] = String(aspect).split(':').map(Number);
+  return w > 0 && h > 0 ? w / h : null;
+}
+
+/**
+ * Largest centred crop of the given aspect ratio.
+ * @param {number} width
+ * @param {number} height
+ * @param {string} aspect - e.g. '16:9'
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+export function fitAspectCrop(width, height, aspect) {
+  const ratio = parseAspect(aspect);
+  let cropWidth = width;
+  let cropHeight = Math.round(width / ratio);
+  if (cropHeight > height) {
+    cropHeight = height;
+    cropWidth = Math.round(height * ratio);
+  }
+  return { x: Math.floor((width - cropWidth) / 2), y: Math.floor((height - cropHeight) / 2), width: cropWidth, height: cropHeight };
+}
+
+/**
+ * Crop rectangle dragged from `start` to `end`, kept inside the image and,
+ * with an aspect ratio, sized by the drag's width.
+ * @param {{ x: number, y: number }} start
+ * @param {{ x: number, y: number }} end
+ * @param {{ width: number, height: number }} bounds
+ * @param {string} [aspect]
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+export function dragCrop(start, end, bounds, aspect) {
+  const clamp = (value, max) => Math.min(max, Math.max(0, value));
+  const x0 = clamp(start.x, bounds.width);
+  const y0 = clamp(start.y, bounds.height);
+  const dirX = end.x < x0 ? -1 : 1;
+  const dirY = end.y < y0 ? -1 : 1;
+  const roomX = dirX < 0 ? x0 : bounds.width - x0;
+  const roomY = dirY < 0 ? y0 : bounds.height - y0;
+  let width = Math.min(Math.abs(end.x - x0), roomX);
+  let height = Math.min(Math.abs(end.y - y0), roomY);
+
+  const ratio = parseAspect(aspect);
+  if (ratio) {
+    height = width / ratio;
+    if (height > roomY) {
+      height = roomY;
+      width = height * ratio;
+    }
+  }
+  width = Math.round(width);
+  height = Math.round(height);
+  return {
+    x: Math.round(dirX < 0 ? x0 - width : x0),
+    y: Math.round(dirY < 0 ? y0 - height : y0),
+    width,
+    height,
+  };
+}
+
+/**
+ * Operation list for the server, in the order the preview applies them:
+ * rotate and flip, then crop (in rotated coordinates), resize, adjust, convert.
+ * @param {Object} edit - See DEFAULT_IMAGE_EDIT
+ * @returns {Object[]}
+ */
+export function buildImageOps(edit) {
+  const ops = [];
+  if (edit.rotation % 360 !== 0) ops.push({ op: 'rotate', angle: edit.rotation % 360 });
+  if (edit.flipHorizontal) ops.push({ op: 'flip', axis: 'horizontal' });
+  if (edit.flipVertical) ops.push({ op: 'flip', axis: 'vertical' });
+  if (edit.crop) ops.push({ op: 'crop', ...edit.crop });
+
+  const width = parseInt(edit.width, 10);
+  if (width > 0) ops.push({ op: 'resize', width });
+
+  const adjust = {};
+  for (const key of ADJUSTMENTS) {
+    if (edit[key] !== DEFAULT_IMAGE_EDIT[key]) adjust[key] = edit[key];
+  }
+  if (Object.keys(adjust).length > 0) ops.push({ op: 'adjust', ...adjust });
+
+  if (edit.format) {
+    ops.push(edit.format === 'png'
+      ? { op: 'convert', format: 'png' }
+      : { op: 'convert', format: edit.format, quality: edit.quality });
+  }
+  return ops;
+}
+
+/** CSS filter approximating the colour adjustments. */
+function previewFilter(edit) {
+  return `brightness(${edit.brightness}) saturate(${edit.saturation}) contrast(${edit.contrast}) hue-rotate(${edit.hue}deg)`;
+}
+
+// ============================================================================
+// Styled components
+// ============================================================================
+
+const PreviewCanvas = styled('canvas')`
+  max-width: 100%;
+  max-height: calc(100vh - 420px);
+  align-self: center;
+  cursor: crosshair;
+  border-radius: ${() => currentTheme.value.spacing.small.borderRadius};
+`;
+PreviewCanvas.className = 'image-ops-preview';
+
+const Info = styled('div')`
+  font-size: ${() => currentTheme.value.typography.fontSize.small};
+  color: ${props => props.error ? currentTheme.value.colors.danger.background : currentTheme.value.colors.text.secondary};
+`;
+Info.className = 'image-ops-info';
+
+// ============================================================================
+// ImageOpsDialog (main export)
+// ============================================================================
+
+/**
+ * ImageOpsDialog Component
+ *
+ * @param {Object} props
+ * @param {Object} props.item - Media entry to edit (needs `uid` and `imageUrl`)
+ * @param {Function} [props.onSaved] - Called with the new entry after saving
+ * @param {Function} props.onClose
+ * @returns {preact.VNode}
+ */
+export function ImageOpsDialog({ item, onSaved, onClose }) {
+  const canvasRef = useRef(null);
+  const imageRef = useRef(null);
+  const dragRef = useRef(null);
+  const [loadedUrl, setLoadedUrl] = useState(null);
+  const [options, setOptions] = useState({ aspectRatios: [], formats: [], upscaleWorkflow: null });
+  const [edit, setEdit] = useState(DEFAULT_IMAGE_EDIT);
+  const [sliderKey, setSliderKey] = useState(0);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const update = (changes) => setEdit(prev => ({ ...prev, ...changes }));
+
+  // Size of the image after rotation, which is what the crop refers to
+  const rotatedSize = () => {
+    const img = imageRef.current;
+    if (!img?.naturalWidth) return null;
+    return edit.rotation % 180 === 0
+      ? { width: img.naturalWidth, height: img.naturalHeight }
+      : { width: img.naturalHeight, height: img.naturalWidth };
+  };
+
+  useEffect(() => {
+    fetchJson('/image-ops/options', {}, { maxRetries: 0, showUserFeedback: false })
+      .then(setOptions)
+      .catch(err => console.error('Failed to load image ops options:', err));
+  }, []);
+
+  useEffect(() => {
+    const img = new Image();
+    imageRef.current = img;
+    img.onload = () => setLoadedUrl(item.imageUrl);
+    img.src = item.imageUrl;
+    return () => { img.onload = null; };
+  }, [item.imageUrl]);
+
+  const draw = () => {
+    const canvas = canvasRef.current && (canvasRef.current.base || canvasRef.current);
+    const img = imageRef.current;
+    const size = rotatedSize();
+    if (!canvas || !size) return;
+
+    canvas.width = size.width;
+    canvas.height = size.height;
+    const ctx = canvas.getContext('2d');
+
+    // Same order as the server: rotate, then flip the rotated image
+    ctx.save();
+    ctx.filter = previewFilter(edit);
+    ctx.translate(size.width / 2, size.height / 2);
+    ctx.scale(edit.flipHorizontal ? -1 : 1, edit.flipVertical ? -1 : 1);
+    ctx.rotate((edit.rotation * Math.PI) / 180);
+    ctx.drawImage(img, -img.naturalWidth / 2, -img.naturalHeight / 2);
+    ctx.restore();
+
+    const { crop } = edit;
+    if (!crop) return;
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.beginPath();
+    ctx.rect(0, 0, size.width, size.height);
+    ctx.rect(crop.x, crop.y, crop.width, crop.height);
+    ctx.fill('evenodd');
+    ctx.strokeStyle = 'white';
+    ctx.lineWidth = Math.max(1, size.width / 400);
+    ctx.setLineDash([ctx.lineWidth * 4, ctx.lineWidth * 4]);
+    ctx.strokeRect(crop.x, crop.y, crop.width, crop.height);
+    ctx.restore();
+  };
+
+  useEffect(draw, [edit, loadedUrl]);
+
+  const toImagePoint = (e) => {
+    const canvas = canvasRef.current && (canvasRef.current.base || canvasRef.current);
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) * canvas.width) / rect.width,
+      y: ((e.clientY - rect.top) * canvas.height) / rect.height,
+    };
+  };
+
+  const handleMouseDown = (e) => {
+    if (e.button !== 0 || !rotatedSize()) return;
+    dragRef.current = toImagePoint(e);
+  };
+
+  const handleMouseMove = (e) => {
+    if (!dragRef.current) return;
+    update({ crop: dragCrop(dragRef.current, toImagePoint(e), rotatedSize(), edit.aspect) });
+  };
+
+  const handleMouseUp = () => {
+    if (!dragRef.current) return;
+    dragRef.current = null;
+    if (edit.crop && (edit.crop.width < MIN_CROP || edit.crop.height < MIN_CROP)) update({ crop: null });
+  };
+
+  const handleAspectChange = (aspect) => {
+    const size = rotatedSize();
+    update({ aspect, crop: aspect && size ? fitAspectCrop(size.width, size.height, aspect) : null });
+  };
+
+  // Crop coordinates belong to one orientation, so rotating clears the crop
+  const rotate = (degrees) => update({ rotation: (edit.rotation + degrees + 360) % 360, crop: null, aspect: '' });
+
+  const resetAdjustments = () => {
+    update(Object.fromEntries(ADJUSTMENTS.map(key => [key, DEFAULT_IMAGE_EDIT[key]])));
+    setSliderKey(key => key + 1);
+  };
+
+  const ops = buildImageOps(edit);
+  const size = rotatedSize();
+  const outputSize = edit.crop || size;
+
+  const handleSave = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const entry = await fetchJson(`/media-data/${item.uid}/image-ops`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ops }),
+      }, { maxRetries: 0, showUserFeedback: false });
+      if (window.showToast) window.showToast(`Saved edited copy of ${item.name || 'image'}`);
+      if (onSaved) onSaved(entry);
+      onClose();
+    } catch (err) {
+      const data = err.response ? await err.response.json().catch(() => null) : null;
+      setError(data?.error || err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleUpscale = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await fetchJson(`/media-data/${item.uid}/upscale`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ clientId: getClientId() }),
+      }, { maxRetries: 0, showUserFeedback: false });
+      if (window.showToast) window.showToast(`Queued upscale with ${options.upscaleWorkflow}`);
+      onClose();
+    } catch (err) {
+      const data = err.response ? await err.response.json().catch(() => null) : null;
+      setError(data?.error || err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return html`
+    <${VerticalLayout} gap="medium">
+      <${PreviewCanvas}
+        ref=${canvasRef}
+        onMouseDown=${handleMouseDown}
+        onMouseMove=${handleMouseMove}
+        onMouseUp=${handleMouseUp}
+        onMouseLeave=${handleMouseUp}
+      />
+
+      <${HorizontalLayout} gap="small" alignItems="end">
+        <${Select}
+          label="Crop"
+          options=${[{ label: 'Free', value: '' }, ...options.aspectRatios.map(ratio => ({ label: ratio, value: ratio }))]}
+          value=${edit.aspect}
+          onChange=${(e) => handleAspectChange(e.target.value)}
+        />
+        <${Button} variant="small-text" onClick=${() => update({ crop: null })} disabled=${!edit.crop}>Clear Crop</${Button}>
+        <${Button} variant="small-text" onClick=${() => rotate(-90)}>Rotate Left</${Button}>
+        <${Button} variant="small-text" onClick=${() => rotate(90)}>Rotate Right</${Button}>
+        <${Button} variant="small-text" color=${edit.flipHorizontal ? 'primary' : 'secondary'} onClick=${() => update({ flipHorizontal: !edit.flipHorizontal, crop: null })}>Flip H</${Button}>
+        <${Button} variant="small-text" color=${edit.flipVertical ? 'primary' : 'secondary'} onClick=${() => update({ flipVertical: !edit.flipVertical, crop: null })}>Flip V</${Button}>
+      </${HorizontalLayout}>
+
+      <${HorizontalLayout} gap="small" alignItems="end" key=${sliderKey}>
+        <${Slider} label="Brightness" minAllowed=${0} maxAllowed=${200} snap=${5} value=${edit.brightness * 100} widthScale="compact" onChange=${(v) => update({ brightness: v / 100 })} />
+        <${Slider} label="Saturation" minAllowed=${0} maxAllowed=${200} snap=${5} value=${edit.saturation * 100} widthScale="compact" onChange=${(v) => update({ saturation: v / 100 })} />
+        <${Slider} label="Contrast" minAllowed=${0} maxAllowed=${200} snap=${5} value=${edit.contrast * 100} widthScale="compact" onChange=${(v) => update({ contrast: v / 100 })} />
+        <${Slider} label="Hue" minAllowed=${-180} maxAllowed=${180} snap=${5} value=${edit.hue} widthScale="compact" onChange=${(hue) => update({ hue })} />
+        <${Button} variant="small-text" onClick=${resetAdjustments}>Reset</${Button}>
+      </${HorizontalLayout}>
+
+      <${HorizontalLayout} gap="small" alignItems="end">
+        <${Input}
+          label="Resize width"
+          type="number"
+          min="1"
+          widthScale="compact"
+          placeholder="Keep"
+          value=${edit.width}
+          onInput=${(e) => update({ width: e.target.value })}
+        />
+        <${Select}
+          label="Format"
+          options=${[{ label: 'Keep', value: '' }, ...options.formats.map(format => ({ label: format.toUpperCase(), value: format }))]}
+          value=${edit.format}
+          onChange=${(e) => update({ format: e.target.value })}
+        />
+        ${(edit.format === 'jpg' || edit.format === 'webp') && html`
+          <${Slider} label="Quality" minAllowed=${1} maxAllowed=${100} value=${edit.quality} widthScale="compact" onChange=${(quality) => update({ quality })} />
+        `}
+      </${HorizontalLayout}>
+
+      <${Info} error=${!!error}>
+        ${error || (outputSize
+          ? `Output before resizing: ${outputSize.width} x ${outputSize.height}. Drag over the image to crop.`
+          : 'Loading image...')}
+      </${Info}>
+
+      <${HorizontalLayout} gap="small" justifyContent="flex-end">
+        <${Button} variant="medium-text" color="secondary" onClick=${onClose}>Cancel</${Button}>
+        ${options.upscaleWorkflow && html`
+          <${Button}
+            variant="medium-icon-text"
+            icon="up-arrow-circle"
+            onClick=${handleUpscale}
+            disabled=${busy}
+            tooltip=${`Upscale with ${options.upscaleWorkflow}`}
+          >
+            Upscale
+          </${Button}>
+        `}
+        <${Button}
+          variant="medium-icon-text"
+          icon="save"
+          onClick=${handleSave}
+          disabled=${busy || ops.length === 0}
+          tooltip="Save the edit as a new gallery entry"
+        >
+          Save Copy
+        </${Button}>
+      </${HorizontalLayout}>
+    </${VerticalLayout}>
+  `;
+}
+
+/**
+ * Open the crop / adjust dialog in a modal.
+ * @param {Object} item - Image media entry
+ * @param {Object} [options]
+ * @param {Function} [options.onSaved] - Called with the new entry
+ * @returns {{ close: Function }}
+ */
+export function showImageOpsDialog(item, { onSaved } = {}) {
+  let modal = null;
+  modal = showModal({
+    title: `Edit – ${item.name || 'Image'}`,
+    size: 'large',
+    content: html`<${ImageOpsDialog} item=${item} onSaved=${onSaved} onClose=${() => modal?.close()} />`,
+  });
+  return modal;
+}
@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest'
+import { DEFAULT_IMAGE_EDIT, buildImageOps, dragCrop, fitAspectCrop } from './image-ops-dialog.mjs'
+
+describe('image ops dialog helpers', () => {
+  it('fits aspect crops and keeps dragged crops inside the image', () => {
+    expect(fitAspectCrop(400, 300, '1:1')).toEqual({ x: 50, y: 0, width: 300, height: 300 })
+    expect(fitAspectCrop(400, 300, '16:9')).toEqual({ x: 0, y: 37, width: 400, height: 225 })
+
+    const bounds = { width: 100, height: 50 }
+    expect(dragCrop({ x: 80, y: 40 }, { x: 10, y: -20 }, bounds)).toEqual({ x: 10, y: 0, width: 70, height: 40 })
+    // 2:1 from the drag width, shrunk to the room left below the start point
+    expect(dragCrop({ x: 10, y: 10 }, { x: 90, y: 20 }, bounds, '2:1')).toEqual({ x: 10, y: 10, width: 80, height: 40 })
+    expect(dragCrop({ x: 10, y: 30 }, { x: 90, y: 45 }, bounds, '2:1')).toEqual({ x: 10, y: 30, width: 40, height: 20 })
+  })
+
+  it('builds operations in preview order and skips unchanged settings', () => {
+    expect(buildImageOps(DEFAULT_IMAGE_EDIT)).toEqual([])
+    expect(buildImageOps({
+      ...DEFAULT_IMAGE_EDIT,
+      rotation: 270,
+      flipVertical: true,
+      crop: { x: 1, y: 2, width: 3, height: 4 },
+      width: '512',
+      saturation: 1.2,
+      format: 'webp',
+      quality: 75,
+    })).toEqual([
+      { op: 'rotate', angle: 270 },
+      { op: 'flip', axis: 'vertical' },
+      { op: 'crop', x: 1, y: 2, width: 3, height: 4 },
+      { op: 'resize', width: 512 },
+      { op: 'adjust', saturation: 1.2 },
+      { op: 'convert', format: 'webp', quality: 75 },
+    ])
+  })
+})
@@ -0,0 +1,253 @@
+/**
+ * lineage-dialog.mjs – Ancestors / descendants of a gallery entry.
+ *
+ * Shows the entries an item was derived from (parents, grandparents, ...)
+ * above it and the entries derived from it below, one row per generation,
+ * from GET /media-data/:uid/lineage. Clicking a node re-centres the tree on
+ * it. Also provides the dependents warning shown before deleting.
+ *
+ * @module app-ui/main/lineage-dialog
+ */
+import { html } from 'htm/preact';
+import { useState, useEffect } from 'preact/hooks';
+import { styled } from '../../custom-ui/goober-setup.mjs';
+import { currentTheme } from '../../custom-ui/theme.mjs';
+import { fetchJson } from '../../custom-ui/util.mjs';
+import { showModal, createImageModal } from '../../custom-ui/overlays/modal.mjs';
+import { Button } from '../../custom-ui/io/button.mjs';
+import { Icon } from '../../custom-ui/layout/icon.mjs';
+import { HorizontalLayout, VerticalLayout } from '../../custom-ui/themed-base.mjs';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const OPERATION_LABELS = {
+  generate: 'Generated',
+  inpaint: 'Inpainted',
+  outpaint: 'Outpainted',
+  edit: 'Edited',
+  upscale: 'Upscaled',
+  upload: 'Uploaded',
+  reproduce: 'Reproduced',
+  render: 'Rendered',
+};
+
+/**
+ * Label for a generation row relative to the centred entry.
+ * @param {number} offset - Negative for ancestors, positive for descendants
+ * @returns {string}
+ */
+export function generationLabel(offset) {
+  const distance = Math.abs(offset);
+  if (offset < 0) return distance === 1 ? 'Parents' : distance === 2 ? 'Grandparents' : `${distance} generations back`;
+  return distance === 1 ? 'Children' : distance === 2 ? 'Grandchildren' : `${distance} generations down`;
+}
+
+/**
+ * Group a lineage response into rows, furthest ancestors first and
+ * furthest descendants last.
+ * @param {{ ancestors: Object[], descendants: Object[] }} lineage
+ * @returns {{ offset: number, label: string, items: Object[] }[]}
+ */
+export function lineageRows({ ancestors = [], descendants = [] }) {
+  const group = (nodes, sign) => {
+    const byDepth = new Map();
+    for (const node of nodes) {
+      if (!byDepth.has(node.depth)) byDepth.set(node.depth, []);
+      byDepth.get(node.depth).push(node);
+    }
+    return [...byDepth.entries()].map(([depth, items]) => ({ offset: depth * sign, label: generationLabel(depth * sign), items }));
+  };
+  return [...group(ancestors, -1), ...group(descendants, 1)].sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * Warning text for deleting `uids` when other entries were derived from them,
+ * or an empty string when nothing depends on them (or the check fails).
+ * @param {number[]} uids
+ * @returns {Promise<string>}
+ */
+export async function describeDependents(uids) {
+  try {
+    const { dependents } = await fetchJson('/media-data/dependents', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ uids }),
+    }, { maxRetries: 0, showUserFeedback: false });
+    if (!dependents?.length) return '';
+    const names = dependents.slice(0, 3).map(item => `"${item.name || 'Unnamed'}"`).join(', ');
+    const more = dependents.length > 3 ? ` and ${dependents.length - 3} more` : '';
+    const count = dependents.length === 1 ? '1 entry was' : `${dependents.length} entries were`;
+    const source = uids.length === 1 ? 'this entry' : 'these entries';
+    return `${count} derived from ${source} (${names}${more}) and will lose the link to ${dependents.length === 1 ? 'its' : 'their'} source.`;
+  } catch (err) {
+    console.warn('Failed to check dependents:', err);
+    return '';
+  }
+}
+
+// ============================================================================
+// Styled components
+// ============================================================================
+
+const Row = styled('div')`
+  display: flex;
+  flex-direction: column;
+  gap: 4px;
+`;
+Row.className = 'lineage-row';
+
+const RowLabel = styled('div')`
+  font-size: ${() => currentTheme.value.typography.fontSize.small};
+  color: ${() => currentTheme.value.colors.text.secondary};
+`;
+RowLabel.className = 'lineage-row-label';
+
+const Nodes = styled('div')`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 8px;
+`;
+Nodes.className = 'lineage-nodes';
+
+const Node = styled('div')`
+  width: 112px;
+  display: flex;
+  flex-direction: column;
+  gap: 2px;
+  cursor: ${props => props.current ? 'default' : 'pointer'};
+  border: 2px solid ${props => props.current
+    ? currentTheme.value.colors.border.highlight
+    : currentTheme.value.colors.border.primary};
+  border-radius: ${() => currentTheme.value.spacing.small.borderRadius};
+  background-color: ${() => currentTheme.value.colors.background.card};
+  padding: 4px;
+
+  &:hover {
+    border-color: ${() => currentTheme.value.colors.border.highlight};
+  }
+`;
+Node.className = 'lineage-node';
+
+const Thumb = styled('div')`
+  height: 96px;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  overflow: hidden;
+
+  img {
+    max-width: 100%;
+    max-height: 100%;
+    object-fit: contain;
+  }
+`;
+Thumb.className = 'lineage-thumb';
+
+const Caption = styled('div')`
+  font-size: ${() => currentTheme.value.typography.fontSize.small};
+  color: ${props => props.muted ? currentTheme.value.colors.text.secondary : currentTheme.value.colors.text.primary};
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+`;
+Caption.className = 'lineage-caption';
+
+// ============================================================================
+// Components
+// ============================================================================
+
+function LineageNode({ item, current = false, onSelect }) {
+  return html`
+    <${Node} current=${current} onClick=${() => !current && onSelect(item.uid)} title=${item.name || 'Unnamed'}>
+      <${Thumb}>
+        ${item.imageUrl
+          ? html`<img src=${item.imageUrl} alt=${item.name || ''} />`
+          : html`<${Icon} name=${item.type === 'audio' ? 'music' : 'images'} size="32px" />`}
+      </${Thumb}>
+      <${Caption}>${item.name || 'Unnamed'}</${Caption}>
+      <${Caption} muted>${OPERATION_LABELS[item.operation] || item.operation || ''}${item.workflow ? ` · ${item.workflow}` : ''}</${Caption}>
+    </${Node}>
+  `;
+}
+
+/**
+ * Lineage tree around one entry. Clicking another node re-centres on it.
+ * @param {Object} props
+ * @param {number} props.uid - Entry to start from
+ * @param {Function} props.onClose
+ */
+export function LineageDialog({ uid: initialUid, onClose }) {
+  const [uid, setUid] = useState(initialUid);
+  const [lineage, setLineage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setError(null);
+    fetchJson(`/media-data/${uid}/lineage`, {}, { maxRetries: 0, showUserFeedback: false })
+      .then(data => { if (!cancelled) setLineage(data); })
+      .catch(async (err) => {
+        const data = err.response ? await err.response.json().catch(() => null) : null;
+        if (!cancelled) setError(data?.error || err.message);
+      });
+    return () => { cancelled = true; };
+  }, [uid]);
+
+  if (error) return html`<${Caption} muted>${error}</${Caption}>`;
+  if (!lineage || lineage.uid !== uid) return html`<${Caption} muted>Loading lineage...</${Caption}>`;
+
+  const rows = lineageRows(lineage);
+  const renderRow = ({ offset, label, items }) => html`
+    <${Row} key=${offset}>
+      <${RowLabel}>${label}</${RowLabel}>
+      <${Nodes}>${items.map(item => html`<${LineageNode} key=${item.uid} item=${item} onSelect=${setUid} />`)}</${Nodes}>
+    </${Row}>
+  `;
+
+  return html`
+    <${VerticalLayout} gap="medium">
+      ${rows.filter(row => row.offset < 0).map(renderRow)}
+      <${Row}>
+        <${RowLabel}>This entry</${RowLabel}>
+        <${Nodes}><${LineageNode} item=${lineage.entry} current /></${Nodes}>
+      </${Row}>
+      ${rows.filter(row => row.offset > 0).map(renderRow)}
+      <${Caption} muted>
+        ${rows.length === 0 ? 'This entry has no recorded sources or derived entries.' : ''}
+        ${lineage.missing.length > 0 ? ` ${lineage.missing.length} source ${lineage.missing.length === 1 ? 'entry has' : 'entries have'} been deleted.` : ''}
+      </${Caption}>
+      <${HorizontalLayout} gap="small" justifyContent="flex-end">
+        ${uid !== initialUid && html`
+          <${Button} variant="medium-text" color="secondary" onClick=${() => setUid(initialUid)}>Back to Start</${Button}>
+        `}
+        ${lineage.entry.imageUrl && html`
+          <${Button}
+            variant="medium-icon-text"
+            icon="arrow-out-up-right-square"
+            onClick=${() => createImageModal(lineage.entry.imageUrl, false)}
+          >
+            View Image
+          </${Button}>
+        `}
+        <${Button} variant="medium-text" color="secondary" onClick=${onClose}>Close</${Button}>
+      </${HorizontalLayout}>
+    </${VerticalLayout}>
+  `;
+}
+
+/**
+ * Open the lineage tree of an entry in a modal.
+ * @param {Object} item - Media entry
+ * @returns {{ close: Function }}
+ */
+export function showLineageDialog(item) {
+  let modal = null;
+  modal = showModal({
+    title: `Lineage – ${item.name || 'Entry'}`,
+    size: 'large',
+    content: html`<${LineageDialog} uid=${item.uid} onClose=${() => modal?.close()} />`,
+  });
+  return modal;
+}
@@ -0,0 +1,18 @@
+import { describe, it, expect } from 'vitest'
+import { generationLabel, lineageRows } from './lineage-dialog.mjs'
+
+describe('lineage dialog helpers', () => {
+  it('groups ancestors and descendants into generation rows', () => {
+    const rows = lineageRows({
+      ancestors: [{ uid: 1, depth: 1 }, { uid: 2, depth: 2 }, { uid: 3, depth: 1 }],
+      descendants: [{ uid: 4, depth: 1 }],
+    })
+    expect(rows.map(({ offset, label, items }) => [offset, label, items.map(item => item.uid)])).toEqual([
+      [-2, 'Grandparents', [2]],
+      [-1, 'Parents', [1, 3]],
+      [1, 'Children', [4]],
+    ])
+    expect(generationLabel(-4)).toBe('4 generations back')
+    expect(generationLabel(3)).toBe('3 generations down')
+  })
+})
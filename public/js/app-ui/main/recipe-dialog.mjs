@@ -0,0 +1,196 @@
+/**
+ * recipe-dialog.mjs – Generation recipe of a result, with exact replay.
+ *
+ * Lists what the recipe recorded (base workflow version, resolved
+ * replacements, pre-generation task outputs) and what changed in the workflow
+ * since (GET /media-data/:uid/recipe/diff). "Reproduce Exactly" queues a
+ * replay of the recorded graph (POST /media-data/:uid/reproduce), which
+ * arrives as a new result linked to this one.
+ *
+ * @module app-ui/main/recipe-dialog
+ */
+import { html } from 'htm/preact';
+import { useState, useEffect } from 'preact/hooks';
+import { styled } from '../../custom-ui/goober-setup.mjs';
+import { currentTheme } from '../../custom-ui/theme.mjs';
+import { fetchJson } from '../../custom-ui/util.mjs';
+import { showModal } from '../../custom-ui/overlays/modal.mjs';
+import { Button } from '../../custom-ui/io/button.mjs';
+import { HorizontalLayout, VerticalLayout } from '../../custom-ui/themed-base.mjs';
+import { getClientId } from '../client-id.mjs';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const MAX_VALUE_LENGTH = 80;
+
+/**
+ * Short display form of a recorded value.
+ * @param {*} value
+ * @returns {string}
+ */
+export function formatRecipeValue(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  if (text === undefined) return '(none)';
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Turn a recipe diff into readable lines, most significant first.
+ * @param {Object} diff - Response of GET /media-data/:uid/recipe/diff
+ * @returns {string[]} Empty when nothing changed.
+ */
+export function describeRecipeDiff(diff) {
+  if (!diff.workflowExists) return [`Workflow "${diff.workflow}" no longer exists.`];
+  const lines = [];
+  if (diff.currentBase !== diff.recordedBase) {
+    lines.push(`Base file changed from ${diff.recordedBase} to ${diff.currentBase}.`);
+  }
+  if (!diff.snapshotAvailable) lines.push('The recorded workflow version is no longer stored.');
+  const nodeName = (node) => `${node.title || node.classType || 'node'} (#${node.id})`;
+  if (diff.nodes) {
+    diff.nodes.added.forEach(node => lines.push(`Added ${nodeName(node)}.`));
+    diff.nodes.removed.forEach(node => lines.push(`Removed ${nodeName(node)}.`));
+    diff.nodes.changed.forEach(node => {
+      if (node.classType && typeof node.classType === 'object') {
+        lines.push(`#${node.id} changed from ${node.classType.before} to ${node.classType.after}.`);
+      }
+      node.inputs.forEach(({ input, before, after }) => {
+        lines.push(`${nodeName(node)} ${input}: ${formatRecipeValue(before)} → ${formatRecipeValue(after)}`);
+      });
+    });
+  } else if (diff.baseChanged && diff.snapshotAvailable) {
+    lines.push('The current base file is missing.');
+  }
+  diff.replacements.added.forEach(({ to, from, conditional }) => {
+    lines.push(`Now also sets ${to.join('.')}${from ? ` from ${from}` : ''}${conditional ? ' (when its condition is met)' : ''}.`);
+  });
+  diff.replacements.removed.forEach(({ to }) => lines.push(`No longer sets ${to.join('.')}.`));
+  return lines;
+}
+
+// ============================================================================
+// Styled components
+// ============================================================================
+
+const Section = styled('div')`
+  display: flex;
+  flex-direction: column;
+  gap: 4px;
+`;
+Section.className = 'recipe-section';
+
+const SectionTitle = styled('div')`
+  font-weight: ${() => currentTheme.value.typography.fontWeight.bold};
+`;
+SectionTitle.className = 'recipe-section-title';
+
+const Line = styled('div')`
+  font-size: ${() => currentTheme.value.typography.fontSize.small};
+  color: ${props => props.error ? currentTheme.value.colors.danger.background : currentTheme.value.colors.text.secondary};
+  font-family: ${props => props.mono ? 'monospace' : 'inherit'};
+  overflow-wrap: anywhere;
+`;
+Line.className = 'recipe-line';
+
+// ============================================================================
+// Components
+// ============================================================================
+
+/**
+ * Recipe summary, workflow diff and replay action for one entry.
+ * @param {Object} props
+ * @param {Object} props.item - Media entry with a `recipe`
+ * @param {Function} props.onClose
+ */
+export function RecipeDialog({ item, onClose }) {
+  const { recipe } = item;
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const readError = async (err) => {
+    const data = err.response ? await err.response.json().catch(() => null) : null;
+    return data?.error || err.message;
+  };
+
+  useEffect(() => {
+    fetchJson(`/media-data/${item.uid}/recipe/diff`, {}, { maxRetries: 0, showUserFeedback: false })
+      .then(setDiff)
+      .catch(async (err) => setError(await readError(err)));
+  }, [item.uid]);
+
+  const handleReproduce = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await fetchJson(`/media-data/${item.uid}/reproduce`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ clientId: getClientId() }),
+      }, { maxRetries: 0, showUserFeedback: false });
+      if (window.showToast) window.showToast(`Queued exact reproduction of ${item.name || 'this result'}`);
+      onClose();
+    } catch (err) {
+      setError(await readError(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const diffLines = diff ? describeRecipeDiff(diff) : [];
+  const preTaskOutputs = Object.entries(recipe.preTaskOutputs || {});
+  const replayable = !diff || (diff.workflowExists && diff.snapshotAvailable);
+
+  return html`
+    <${VerticalLayout} gap="medium">
+      <${Section}>
+        <${SectionTitle}>Recorded</${SectionTitle}>
+        <${Line}>Workflow: ${recipe.workflow}</${Line}>
+        <${Line} mono>Base: ${recipe.base} @ ${String(recipe.baseHash).slice(0, 12)}</${Line}>
+        <${Line}>${recipe.replacements.length} resolved replacement${recipe.replacements.length === 1 ? '' : 's'}, ${recipe.inputs.length} input file${recipe.inputs.length === 1 ? '' : 's'}</${Line}>
+      </${Section}>
+      ${preTaskOutputs.length > 0 && html`
+        <${Section}>
+          <${SectionTitle}>Pre-generation task outputs</${SectionTitle}>
+          ${preTaskOutputs.map(([field, value]) => html`<${Line} key=${field}>${field}: ${formatRecipeValue(value)}</${Line}>`)}
+        </${Section}>
+      `}
+      <${Section}>
+        <${SectionTitle}>Changes in the current workflow</${SectionTitle}>
+        ${!diff && !error && html`<${Line}>Comparing...</${Line}>`}
+        ${diff && diffLines.length === 0 && html`<${Line}>None – the workflow is unchanged since this was generated.</${Line}>`}
+        ${diffLines.map((line, index) => html`<${Line} key=${index}>${line}</${Line}>`)}
+      </${Section}>
+      ${error && html`<${Line} error>${error}</${Line}>`}
+      <${HorizontalLayout} gap="small" justifyContent="flex-end">
+        <${Button} variant="medium-text" color="secondary" onClick=${onClose}>Close</${Button}>
+        <${Button}
+          variant="medium-icon-text"
+          icon="revision"
+          onClick=${handleReproduce}
+          disabled=${busy || !replayable}
+          tooltip="Queue the recorded workflow version with the recorded values"
+        >
+          Reproduce Exactly
+        </${Button}>
+      </${HorizontalLayout}>
+    </${VerticalLayout}>
+  `;
+}
+
+/**
+ * Open the recipe of a result in a modal.
+ * @param {Object} item - Media entry with a `recipe`
+ * @returns {{ close: Function }}
+ */
+export function showRecipeDialog(item) {
+  let modal = null;
+  modal = showModal({
+    title: `Recipe – ${item.name || 'Result'}`,
+    size: 'medium',
+    content: html`<${RecipeDialog} item=${item} onClose=${() => modal?.close()} />`,
+  });
+  return modal;
+}
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest'
+import { describeRecipeDiff, formatRecipeValue } from './recipe-dialog.mjs'
+
+const unchanged = {
+  workflow: 'wf',
+  workflowExists: true,
+  recordedBase: 'a.json',
+  currentBase: 'a.json',
+  baseChanged: false,
+  snapshotAvailable: true,
+  nodes: { added: [], removed: [], changed: [] },
+  replacements: { added: [], removed: [] },
+}
+
+describe('recipe dialog helpers', () => {
+  it('describes workflow changes since a recipe was recorded', () => {
+    expect(describeRecipeDiff(unchanged)).toEqual([])
+    expect(describeRecipeDiff({ ...unchanged, workflowExists: false })).toEqual(['Workflow "wf" no longer exists.'])
+    expect(describeRecipeDiff({
+      ...unchanged,
+      baseChanged: true,
+      nodes: {
+        added: [{ id: '12', classType: 'LoraLoader', title: null }],
+        removed: [],
+        changed: [{ id: '3', classType: 'KSampler', title: 'Sampler', inputs: [{ input: 'steps', before: 20, after: 30 }] }],
+      },
+      replacements: { added: [{ to: ['3', 'inputs', 'cfg'], from: 'cfg', conditional: true }], removed: [{ to: ['6', 'inputs', 'text'], value: 'x' }] },
+    })).toEqual([
+      'Added LoraLoader (#12).',
+      'Sampler (#3) steps: 20 → 30',
+      'Now also sets 3.inputs.cfg from cfg (when its condition is met).',
+      'No longer sets 6.inputs.text.',
+    ])
+    expect(formatRecipeValue('x'.repeat(100))).toHaveLength(80)
+    expect(formatRecipeValue(undefined)).toBe('(none)')
+  })
+})
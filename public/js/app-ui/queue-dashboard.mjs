@@ -12,6 +12,8 @@ import { useQueueStatus } from './use-queue-status.mjs';
 const SOURCE_LABELS = {
   'yaaiic': 'YAAIIC',
   'yaaiic-inpaint': 'YAAIIC Inpaint',
+  'yaaiic-batch': 'YAAIIC Batch',
+  'yaaiic-brew-draft': 'Brew Draft',
   'anytale': 'AnyTale',
 };
 
@@ -24,6 +26,37 @@ const TYPE_ICONS = {
 
 const ACTIVE_STATES = new Set(['running', 'cancelling', 'skipping', 'pausing']);
 
+// Lanes in preemption order; the lane button cycles through them
+const LANES = ['interactive', 'normal', 'batch'];
+
+const LANE_ICONS = {
+  interactive: 'up-arrow',
+  normal: 'list-ul',
+  batch: 'down-arrow',
+};
+
+/**
+ * Format a number of seconds as a short estimate, e.g. "45s", "12m", "1h 05m".
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatEta(seconds) {
+  if (seconds < 60) return `${Math.max(0, Math.round(seconds))}s`;
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+/** Status text for a row: running (and on which backend) / scheduled time / predicted start. */
+function itemStatusLabel(item, estimate) {
+  if (item.status === 'running' && item.backend && item.backend !== 'default') return `running on ${item.backend}`;
+  if (item.status !== 'queued') return item.status;
+  if (item.runAfter && Date.parse(item.runAfter) > Date.now()) {
+    return `after ${new Date(item.runAfter).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+  }
+  return estimate ? `#${estimate.position + 1} · in ~${formatEta(estimate.startsInSeconds)}` : item.status;
+}
+
 const ItemRow = styled('div')`
   display: flex;
   align-items: center;
@@ -74,7 +107,7 @@ EmptyMessage.className = 'queue-dashboard-empty';
  * @param {Function} props.onClose
  */
 export function QueueDashboardModal({ isOpen, onClose }) {
-  const { state, items } = useQueueStatus();
+  const { state, items, eta } = useQueueStatus();
   const activeItems = items.filter(i => i.status !== 'failed');
   const isActive = ACTIVE_STATES.has(state);
 
@@ -100,6 +133,15 @@ export function QueueDashboardModal({ isOpen, onClose }) {
     }
   }, [activeItems]);
 
+  const handleCycleLane = useCallback(async (item) => {
+    const lane = LANES[(LANES.indexOf(item.lane || 'normal') + 1) % LANES.length];
+    await fetch(`/queue/item/${item.id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ lane }),
+    });
+  }, []);
+
   const handleStart = useCallback(() => fetch('/queue/start', { method: 'POST' }), []);
   const handlePause = useCallback(() => fetch('/queue/pause', { method: 'POST' }), []);
 
@@ -110,12 +152,14 @@ export function QueueDashboardModal({ isOpen, onClose }) {
   }, []);
 
   const stateLabel = state ? state.charAt(0).toUpperCase() + state.slice(1) : '';
+  const etaLabel = eta?.totalSeconds > 0 ? ` – ~${formatEta(eta.totalSeconds)} left` : '';
 
-  // Pin index 0 when queue is actively running a task.
-  const canDrop = isActive ? (from, to) => from !== 0 && to !== 0 : undefined;
+  // Pin the running items (kept first, one per backend) while the queue is active.
+  const runningCount = activeItems.filter(i => i.status === 'running').length;
+  const canDrop = isActive ? (from, to) => from >= runningCount && to >= runningCount : undefined;
 
   const footer = html`
-    ${(state === 'running' || state === 'cancelling' || state === 'skipping' || state === 'pausing')
+    ${(isActive || state === 'waiting')
       ? html`<${Button} variant="medium-text" icon="pause" onClick=${handlePause}>Pause</${Button}>`
       : html`<${Button} variant="medium-text" color="primary" icon="play" onClick=${handleStart} disabled=${activeItems.length === 0}>Start</${Button}>`
     }
@@ -127,7 +171,7 @@ export function QueueDashboardModal({ isOpen, onClose }) {
     <${Modal}
       isOpen=${isOpen}
       onClose=${onClose}
-      title=${'Task Queue (' + stateLabel + ')'}
+      title=${'Task Queue (' + stateLabel + ')' + etaLabel}
       size="medium"
       footer=${footer}
     >
@@ -142,7 +186,14 @@ export function QueueDashboardModal({ isOpen, onClose }) {
                 <${SourceLabel}>${SOURCE_LABELS[item.source] || item.source}</${SourceLabel}>
                 <span style=${{ color: currentTheme.value.colors.text.secondary }}>–</span>
                 <${ItemName}>${item.name}${item.subLabel ? ` (${item.subLabel})` : ''}</${ItemName}>
-                <${RunningBadge}>${item.status}</${RunningBadge}>
+                <${RunningBadge}>${itemStatusLabel(item, eta?.items?.[item.id])}</${RunningBadge}>
+                <${Button}
+                  variant="small-icon"
+                  icon=${LANE_ICONS[item.lane] || LANE_ICONS.normal}
+                  tooltip=${`Lane: ${item.lane || 'normal'} (click to change)`}
+                  onClick=${() => handleCycleLane(item)}
+                  disabled=${item.status !== 'queued'}
+                />
               </${ItemRow}>
             `}
             createItem=${() => null}
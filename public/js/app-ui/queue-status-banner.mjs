@@ -5,7 +5,7 @@ import { currentTheme } from '../custom-ui/theme.mjs';
 import { Button } from '../custom-ui/io/button.mjs';
 import { Panel } from '../custom-ui/layout/panel.mjs';
 import { useQueueStatus } from './use-queue-status.mjs';
-import { QueueDashboardModal } from './queue-dashboard.mjs';
+import { QueueDashboardModal, formatEta } from './queue-dashboard.mjs';
 
 const BannerWrapper = styled('div')`
   position: fixed;
@@ -35,7 +35,7 @@ BannerContent.className = 'queue-status-banner-content';
  * @param {boolean} [props.progressVisible=false] - When true, offsets above the ProgressBanner.
  */
 export function QueueStatusBanner({ progressVisible = false }) {
-  const { state, items } = useQueueStatus();
+  const { state, items, eta } = useQueueStatus();
   const [dashboardOpen, setDashboardOpen] = useState(false);
 
   const activeItems = items.filter(i => i.status !== 'failed');
@@ -47,7 +47,8 @@ export function QueueStatusBanner({ progressVisible = false }) {
   if (activeItems.length === 0) return null;
 
   const stateLabel = state ? state.charAt(0).toUpperCase() + state.slice(1) : '';
-  const label = `${stateLabel} (${activeItems.length} Queued)`;
+  const etaLabel = eta?.totalSeconds > 0 ? ` · ~${formatEta(eta.totalSeconds)}` : '';
+  const label = `${stateLabel} (${activeItems.length} Queued)${etaLabel}`;
 
   return html`
     <${BannerWrapper} progressVisible=${progressVisible}>
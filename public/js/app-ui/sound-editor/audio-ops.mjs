@@ -0,0 +1,364 @@
+/**
+ * audio-ops.mjs – Pure AudioBuffer operations for the sound editor.
+ *
+ * Every operation returns a new buffer and leaves its input untouched, so the
+ * editor can keep earlier buffers as undo history. Times are in seconds.
+ * Clip region bookkeeping for the operations that move audio around lives
+ * here too (adjustClipRegions).
+ *
+ * @module app-ui/sound-editor/audio-ops
+ */
+
+// ============================================================================
+// Buffers
+// ============================================================================
+
+/** Create an empty AudioBuffer (at least one frame long). */
+export function createAudioBuffer(numberOfChannels, length, sampleRate) {
+  return new AudioBuffer({ numberOfChannels, length: Math.max(1, length), sampleRate });
+}
+
+/** Copy a buffer, then let `fn(data, channel)` modify each channel of the copy in place. */
+function mapChannels(src, fn) {
+  const dst = createAudioBuffer(src.numberOfChannels, src.length, src.sampleRate);
+  for (let c = 0; c < src.numberOfChannels; c++) {
+    const d = dst.getChannelData(c);
+    d.set(src.getChannelData(c));
+    fn(d, c);
+  }
+  return dst;
+}
+
+/** Sample range [s0, s1) for a time range, clamped to the buffer. */
+function sampleRange(buffer, start = 0, end = buffer.duration) {
+  const s0 = Math.max(0, Math.min(buffer.length, Math.round(start * buffer.sampleRate)));
+  const s1 = Math.max(s0, Math.min(buffer.length, Math.round(end * buffer.sampleRate)));
+  return [s0, s1];
+}
+
+export const dbToGain = (db) => 10 ** (db / 20);
+export const gainToDb = (gain) => 20 * Math.log10(gain);
+
+// ============================================================================
+// Trim / crop / reverse
+// ============================================================================
+
+/** Remove the audio between [selStart, selEnd] seconds. */
+export function applyTrim(src, selStart, selEnd) {
+  const [s0, s1] = sampleRange(src, selStart, selEnd);
+  const dst = createAudioBuffer(src.numberOfChannels, src.length - (s1 - s0), src.sampleRate);
+  for (let c = 0; c < src.numberOfChannels; c++) {
+    const s = src.getChannelData(c);
+    const d = dst.getChannelData(c);
+    d.set(s.subarray(0,  s0), 0);
+    d.set(s.subarray(s1),    s0);
+  }
+  return dst;
+}
+
+/** Keep only the audio between [selStart, selEnd] seconds. */
+export function applyCrop(src, selStart, selEnd) {
+  const [s0, s1] = sampleRange(src, selStart, selEnd);
+  const dst = createAudioBuffer(src.numberOfChannels, s1 - s0, src.sampleRate);
+  for (let c = 0; c < src.numberOfChannels; c++) {
+    dst.getChannelData(c).set(src.getChannelData(c).subarray(s0, s1));
+  }
+  return dst;
+}
+
+/** Play the audio between [start, end] seconds backwards. */
+export function applyReverse(src, start, end) {
+  const [s0, s1] = sampleRange(src, start, end);
+  return mapChannels(src, d => d.subarray(s0, s1).reverse());
+}
+
+/**
+ * Recalculate clip region timestamps after a trim, crop or reverse.
+ * @param {Array}                     clips     – [{id, label, start, end}]
+ * @param {'trim'|'crop'|'reverse'}   op
+ * @param {number}                    selStart  – seconds (relative to pre-edit buffer)
+ * @param {number}                    selEnd
+ * @returns {Array}
+ */
+export function adjustClipRegions(clips, op, selStart, selEnd) {
+  if (op === 'crop') {
+    return clips
+      .filter(c => c.start < selEnd && c.end > selStart)
+      .map(c => ({
+        ...c,
+        start: Math.max(0, c.start - selStart),
+        end:   Math.min(selEnd - selStart, c.end - selStart),
+      }));
+  }
+  if (op === 'reverse') {
+    // Clips inside the reversed range are mirrored; others keep their place.
+    return clips.map(c => (c.start >= selStart && c.end <= selEnd
+      ? { ...c, start: selStart + selEnd - c.end, end: selStart + selEnd - c.start }
+      : c));
+  }
+  // trim: delete [selStart, selEnd]
+  const deleted = selEnd - selStart;
+  return clips
+    .filter(c => !(c.start >= selStart && c.end <= selEnd)) // remove fully inside
+    .map(c => {
+      if (c.end   <= selStart) return c;                    // entirely before
+      if (c.start >= selEnd)   return { ...c, start: c.start - deleted, end: c.end - deleted };
+      // partial overlap – clamp
+      return {
+        ...c,
+        start: c.start < selStart ? c.start : selStart,
+        end:   c.end   > selEnd   ? c.end - deleted : selStart,
+      };
+    });
+}
+
+// ============================================================================
+// Fades and gain
+// ============================================================================
+
+/**
+ * Fade shapes, mapping progress 0→1 to gain 0→1. The names match the brew
+ * scene transition curves.
+ */
+export const FADE_CURVES = {
+  'linear':      t => t,
+  'ease-in':     t => t * t,
+  'ease-out':    t => 1 - (1 - t) * (1 - t),
+  'ease-in-out': t => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t)),
+  'equal-power': t => Math.sin(t * Math.PI / 2),
+};
+
+/**
+ * Fade in or out across [start, end] seconds; audio outside is unchanged.
+ * @param {AudioBuffer} src
+ * @param {Object} fade
+ * @param {'in'|'out'} fade.direction
+ * @param {number} fade.start
+ * @param {number} fade.end
+ * @param {string} [fade.curve='linear'] – key of FADE_CURVES
+ * @returns {AudioBuffer}
+ */
+export function applyFade(src, { direction, start, end, curve = 'linear' }) {
+  const shape = FADE_CURVES[curve] || FADE_CURVES.linear;
+  const [s0, s1] = sampleRange(src, start, end);
+  const span = Math.max(1, s1 - s0 - 1);
+  return mapChannels(src, d => {
+    for (let i = s0; i < s1; i++) {
+      const t = (i - s0) / span;
+      d[i] *= shape(direction === 'in' ? t : 1 - t);
+    }
+  });
+}
+
+/** Multiply [start, end] seconds (default: everything) by a linear gain. */
+export function applyGain(src, gain, start, end) {
+  const [s0, s1] = sampleRange(src, start, end);
+  return mapChannels(src, d => {
+    for (let i = s0; i < s1; i++) d[i] *= gain;
+  });
+}
+
+/**
+ * Gain envelope: linear gain interpolated between points. Before the first
+ * point and after the last, their gain holds.
+ * @param {AudioBuffer} src
+ * @param {{ time: number, gain: number }[]} points
+ * @returns {AudioBuffer}
+ */
+export function applyGainEnvelope(src, points) {
+  const sorted = [...points].sort((a, b) => a.time - b.time);
+  if (sorted.length === 0) return mapChannels(src, () => {});
+  const rate = src.sampleRate;
+  const gains = new Float32Array(src.length);
+  let p = 0;
+  for (let i = 0; i < src.length; i++) {
+    const time = i / rate;
+    while (p < sorted.length - 1 && sorted[p + 1].time <= time) p++;
+    const a = sorted[p];
+    const b = sorted[p + 1];
+    if (time <= a.time || !b) {
+      gains[i] = time <= sorted[0].time ? sorted[0].gain : a.gain;
+    } else {
+      gains[i] = a.gain + (b.gain - a.gain) * (time - a.time) / (b.time - a.time);
+    }
+  }
+  return mapChannels(src, d => {
+    for (let i = 0; i < d.length; i++) d[i] *= gains[i];
+  });
+}
+
+// ============================================================================
+// Levels
+// ============================================================================
+
+/** Highest absolute sample value across all channels (1 = 0 dBFS). */
+export function peakLevel(buffer) {
+  let peak = 0;
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const d = buffer.getChannelData(c);
+    for (let i = 0; i < d.length; i++) {
+      const v = Math.abs(d[i]);
+      if (v > peak) peak = v;
+    }
+  }
+  return peak;
+}
+
+/**
+ * Biquad coefficients for the two K-weighting stages (high shelf, then high
+ * pass), derived for any sample rate from the ITU-R BS.1770 analog prototype.
+ * At 48 kHz they reproduce the coefficients printed in the standard.
+ */
+function kWeightingStages(rate) {
+  const shelf = (() => {
+    const k  = Math.tan(Math.PI * 1681.9744509555319 / rate);
+    const q  = 0.7071752369554193;
+    const vh = 10 ** (3.99984385397 / 20);
+    const vb = vh ** 0.4996667741545416;
+    const a0 = 1 + k / q + k * k;
+    return {
+      b: [(vh + vb * k / q + k * k) / a0, 2 * (k * k - vh) / a0, (vh - vb * k / q + k * k) / a0],
+      a: [1, 2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0],
+    };
+  })();
+  const highPass = (() => {
+    const k  = Math.tan(Math.PI * 38.13547087613982 / rate);
+    const q  = 0.5003270373253953;
+    const a0 = 1 + k / q + k * k;
+    return { b: [1, -2, 1], a: [1, 2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0] };
+  })();
+  return [shelf, highPass];
+}
+
+function biquad(input, { b, a }) {
+  const out = new Float32Array(input.length);
+  let x1 = 0; let x2 = 0; let y1 = 0; let y2 = 0;
+  for (let i = 0; i < input.length; i++) {
+    const x = input[i];
+    const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[1] * y1 - a[2] * y2;
+    x2 = x1; x1 = x; y2 = y1; y1 = y;
+    out[i] = y;
+  }
+  return out;
+}
+
+/**
+ * Integrated loudness in LUFS (ITU-R BS.1770): K-weighted, 400 ms blocks with
+ * 75 % overlap, absolute gate at -70 LUFS and relative gate 10 LU below.
+ * All channels are weighted 1 (mono and stereo material).
+ * @param {AudioBuffer} buffer
+ * @returns {number} LUFS, or -Infinity for silence
+ */
+export function measureLoudness(buffer) {
+  const rate = buffer.sampleRate;
+  const stages = kWeightingStages(rate);
+  const weighted = [];
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    weighted.push(stages.reduce((data, s) => biquad(data, s), buffer.getChannelData(c)));
+  }
+
+  const blockSize = Math.min(buffer.length, Math.round(0.4 * rate));
+  const step = Math.max(1, Math.round(0.1 * rate));
+  const blocks = [];
+  for (let start = 0; start + blockSize <= buffer.length; start += step) {
+    let power = 0;
+    for (const data of weighted) {
+      let sum = 0;
+      for (let i = start; i < start + blockSize; i++) sum += data[i] * data[i];
+      power += sum / blockSize;
+    }
+    blocks.push(power);
+  }
+
+  const loudness = (power) => -0.691 + 10 * Math.log10(power);
+  const mean = (values) => values.reduce((a, v) => a + v, 0) / values.length;
+  const absolute = blocks.filter(power => loudness(power) > -70);
+  if (absolute.length === 0) return -Infinity;
+  const relativeGate = loudness(mean(absolute)) - 10;
+  const gated = absolute.filter(power => loudness(power) > relativeGate);
+  return loudness(mean(gated));
+}
+
+/**
+ * Linear gain that brings a buffer to a target level.
+ *
+ * Peak mode targets the highest sample in dBFS. Loudness mode targets LUFS but
+ * is held back so the peak stays at or below `ceilingDb`; `limited` says so.
+ *
+ * @param {AudioBuffer} buffer
+ * @param {Object} options
+ * @param {'peak'|'lufs'} options.mode
+ * @param {number} options.target – dBFS (peak) or LUFS
+ * @param {number} [options.ceilingDb=-1] – peak ceiling in loudness mode
+ * @returns {{ gain: number, limited: boolean }} gain is 1 for silence
+ */
+export function normalizeGain(buffer, { mode, target, ceilingDb = -1 }) {
+  const peak = peakLevel(buffer);
+  if (peak === 0) return { gain: 1, limited: false };
+  if (mode === 'peak') return { gain: dbToGain(target) / peak, limited: false };
+  const loudness = measureLoudness(buffer);
+  if (!Number.isFinite(loudness)) return { gain: 1, limited: false };
+  const gain = dbToGain(target - loudness);
+  const maxGain = dbToGain(ceilingDb) / peak;
+  return gain > maxGain ? { gain: maxGain, limited: true } : { gain, limited: false };
+}
+
+// ============================================================================
+// Silence detection
+// ============================================================================
+
+/**
+ * Find the non-silent stretches of audio, for splitting into clips.
+ *
+ * The level is measured in 10 ms windows (loudest channel). Gaps quieter than
+ * `thresholdDb` for at least `minSilence` seconds split the audio; stretches
+ * shorter than `minLength` are dropped, and each region is padded by `padding`
+ * seconds on both sides.
+ *
+ * @param {AudioBuffer} buffer
+ * @param {Object} [options]
+ * @param {number} [options.start=0]          – scan range, seconds
+ * @param {number} [options.end=duration]
+ * @param {number} [options.thresholdDb=-40]
+ * @param {number} [options.minSilence=0.3]
+ * @param {number} [options.minLength=0.1]
+ * @param {number} [options.padding=0.05]
+ * @returns {{ start: number, end: number }[]}
+ */
+export function detectSoundRegions(buffer, {
+  start = 0, end = buffer.duration, thresholdDb = -40, minSilence = 0.3, minLength = 0.1, padding = 0.05,
+} = {}) {
+  const rate = buffer.sampleRate;
+  const windowSize = Math.max(1, Math.round(0.01 * rate));
+  const threshold = dbToGain(thresholdDb);
+  const [s0, s1] = sampleRange(buffer, start, end);
+
+  const raw = [];
+  let soundStart = null;
+  let lastSound = null;
+  for (let w = s0; w < s1; w += windowSize) {
+    const wEnd = Math.min(s1, w + windowSize);
+    let level = 0;
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+      const d = buffer.getChannelData(c);
+      for (let i = w; i < wEnd; i++) level = Math.max(level, Math.abs(d[i]));
+    }
+    if (level >= threshold) {
+      if (soundStart === null) soundStart = w;
+      lastSound = wEnd;
+    } else if (soundStart !== null && (wEnd - lastSound) / rate >= minSilence) {
+      raw.push([soundStart, lastSound]);
+      soundStart = null;
+    }
+  }
+  if (soundStart !== null) raw.push([soundStart, lastSound]);
+
+  const lo = s0 / rate;
+  const hi = s1 / rate;
+  return raw
+    .filter(([a, b]) => (b - a) / rate >= minLength)
+    .map(([a, b]) => ({
+      start: Math.max(lo, a / rate - padding),
+      end:   Math.min(hi, b / rate + padding),
+    }));
+}
@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import {
+  createAudioBuffer,
+  applyFade,
+  applyReverse,
+  adjustClipRegions,
+  applyGainEnvelope,
+  measureLoudness,
+  normalizeGain,
+  detectSoundRegions,
+} from './audio-ops.mjs';
+
+// happy-dom has no Web Audio; this covers the part of AudioBuffer the ops use.
+class FakeAudioBuffer {
+  constructor({ numberOfChannels, length, sampleRate }) {
+    this.numberOfChannels = numberOfChannels;
+    this.length = length;
+    this.sampleRate = sampleRate;
+    this.duration = length / sampleRate;
+    this.channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+  }
+  getChannelData(c) { return this.channels[c]; }
+}
+
+function bufferOf(samples, sampleRate = 10) {
+  const buffer = createAudioBuffer(1, samples.length, sampleRate);
+  buffer.getChannelData(0).set(samples);
+  return buffer;
+}
+
+describe('sound editor audio ops', () => {
+  beforeAll(() => {
+    globalThis.AudioBuffer ??= FakeAudioBuffer;
+  });
+
+  it('fades within the range only, leaving the source untouched', () => {
+    const src = bufferOf(new Array(10).fill(1));
+    const faded = applyFade(src, { direction: 'in', start: 0, end: 0.5, curve: 'ease-in' });
+    expect(Array.from(faded.getChannelData(0))).toEqual([0, 0.0625, 0.25, 0.5625, 1, 1, 1, 1, 1, 1]);
+    const out = applyFade(src, { direction: 'out', start: 0.5, end: 1 });
+    expect(Array.from(out.getChannelData(0))).toEqual([1, 1, 1, 1, 1, 1, 0.75, 0.5, 0.25, 0]);
+    expect(src.getChannelData(0).every(v => v === 1)).toBe(true);
+  });
+
+  it('reverses a range and mirrors the clips inside it', () => {
+    const src = bufferOf([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    expect(Array.from(applyReverse(src, 0.2, 0.6).getChannelData(0))).toEqual([0, 1, 5, 4, 3, 2, 6, 7, 8, 9]);
+    const clips = [{ label: 'a', start: 0.2, end: 0.3 }, { label: 'b', start: 0.5, end: 0.8 }];
+    const mirrored = adjustClipRegions(clips, 'reverse', 0.2, 0.6);
+    expect(mirrored[0]).toMatchObject({ label: 'a' });
+    expect(mirrored[0].start).toBeCloseTo(0.5);
+    expect(mirrored[0].end).toBeCloseTo(0.6);
+    expect(mirrored[1]).toBe(clips[1]);
+  });
+
+  it('interpolates gain envelope points and holds the ends', () => {
+    const src = bufferOf(new Array(10).fill(1));
+    const out = applyGainEnvelope(src, [{ time: 0.6, gain: 0 }, { time: 0.2, gain: 1 }]);
+    const values = Array.from(out.getChannelData(0)).map(v => Number(v.toFixed(2)));
+    expect(values).toEqual([1, 1, 1, 0.75, 0.5, 0.25, 0, 0, 0, 0]);
+  });
+
+  it('splits sound separated by silence into regions', () => {
+    const rate = 1000;
+    const samples = new Float32Array(3 * rate);
+    samples.fill(0.5, 200, 700);    // 0.2–0.7 s
+    samples.fill(0.5, 800, 1000);   // gap of 0.1 s is too short to split
+    samples.fill(0.5, 1600, 1650);  // 50 ms blip is too short to keep
+    samples.fill(0.5, 2300, 2800);
+    const regions = detectSoundRegions(bufferOf(samples, rate), { padding: 0 });
+    expect(regions).toEqual([{ start: 0.2, end: 1 }, { start: 2.3, end: 2.8 }]);
+    expect(detectSoundRegions(bufferOf(samples, rate), { start: 2.5, padding: 0.1 }))
+      .toEqual([{ start: 2.5, end: 2.9 }]);
+  });
+
+  it('measures loudness per BS.1770 and normalizes under the peak ceiling', () => {
+    const rate = 48000;
+    const samples = new Float32Array(2 * rate);
+    for (let i = 0; i < samples.length; i++) samples[i] = Math.sin(2 * Math.PI * 997 * i / rate);
+    const sine = bufferOf(samples, rate);
+    // A full-scale 997 Hz sine reads -3.01 LUFS on one channel.
+    expect(measureLoudness(sine)).toBeCloseTo(-3.01, 1);
+    expect(measureLoudness(bufferOf(new Float32Array(rate), rate))).toBe(-Infinity);
+
+    expect(normalizeGain(sine, { mode: 'peak', target: -6 }).gain).toBeCloseTo(0.501, 3);
+    const quieter = normalizeGain(sine, { mode: 'lufs', target: -16 });
+    expect(quieter.limited).toBe(false);
+    expect(quieter.gain).toBeCloseTo(10 ** (-12.99 / 20), 2);
+    expect(normalizeGain(sine, { mode: 'lufs', target: 0 })).toMatchObject({ limited: true });
+  });
+});
@@ -1,9 +1,15 @@
 /**
  * sound-editor-modal.mjs – In-browser audio editor with waveform visualisation,
- * non-destructive region-based trim/crop, and labelled clip region management.
+ * non-destructive edits and labelled clip region management.
  *
- * Saving physical edits produces a new derived media entry (origin field set).
- * Saving clip-region-only changes updates the existing entry in place.
+ * Edits (trim, crop, fades, normalize, gain envelope, reverse, silence split,
+ * time stretch / pitch) act on the selection or the whole file and each push
+ * the previous buffer and clips onto an undo stack. The buffer operations live
+ * in audio-ops.mjs; stretch and pitch go through the server's ffmpeg
+ * (POST /audio-ops/stretch).
+ *
+ * Saving always produces a new derived media entry (origin field set) that
+ * lists the applied edits in `audioOps`; the source entry is left untouched.
  *
  * @module app-ui/sound-editor/sound-editor-modal
  */
@@ -17,6 +23,9 @@ import { createPortal } from 'preact/compat';
 import { currentTheme } from '../../custom-ui/theme.mjs';
 import { Button } from '../../custom-ui/io/button.mjs';
 import { HorizontalLayout, VerticalLayout } from '../../custom-ui/themed-base.mjs';
+import { Select } from '../../custom-ui/io/select.mjs';
+import { Slider } from '../../custom-ui/io/slider.mjs';
+import { Input } from '../../custom-ui/io/input.mjs';
 import { useToast } from '../../custom-ui/msg/toast.mjs';
 import {
   BaseOverlay,
@@ -26,8 +35,27 @@ import {
   BaseContent,
   BaseFooter,
 } from '../../custom-ui/overlays/modal-base.mjs';
-import { showTextPrompt } from '../../custom-ui/overlays/dialog.mjs';
+import { showDialog, showNumberPrompt, showTextPrompt } from '../../custom-ui/overlays/dialog.mjs';
 import { AppHeader } from '../themed-base.mjs';
+import { CURVE_OPTIONS } from '../brew-editor/scene-form.mjs';
+import {
+  applyTrim,
+  applyCrop,
+  applyReverse,
+  applyFade,
+  applyGain,
+  applyGainEnvelope,
+  adjustClipRegions,
+  detectSoundRegions,
+  normalizeGain,
+  gainToDb,
+} from './audio-ops.mjs';
+
+/** Fade length used when nothing is selected, in seconds. */
+const DEFAULT_FADE_SECONDS = 1;
+
+const NORMALIZE_PEAK     = 'Peak -1 dBFS';
+const NORMALIZE_LOUDNESS = 'Loudness -16 LUFS';
 
 // ============================================================================
 // Module-level helpers
@@ -92,68 +120,6 @@ function audioBufferToWavBlob(audioBuffer) {
   return new Blob([buf], { type: 'audio/wav' });
 }
 
-/** Remove the audio between [selStart, selEnd] seconds. */
-function applyTrim(src, selStart, selEnd) {
-  const { sampleRate: rate, numberOfChannels: ch } = src;
-  const s0     = Math.round(selStart * rate);
-  const s1     = Math.round(selEnd   * rate);
-  const newLen = src.length - (s1 - s0);
-  const dst    = new OfflineAudioContext(ch, newLen, rate).createBuffer(ch, newLen, rate);
-  for (let c = 0; c < ch; c++) {
-    const s = src.getChannelData(c);
-    const d = dst.getChannelData(c);
-    d.set(s.subarray(0,  s0), 0);
-    d.set(s.subarray(s1),    s0);
-  }
-  return dst;
-}
-
-/** Keep only the audio between [selStart, selEnd] seconds. */
-function applyCrop(src, selStart, selEnd) {
-  const { sampleRate: rate, numberOfChannels: ch } = src;
-  const s0  = Math.round(selStart * rate);
-  const s1  = Math.round(selEnd   * rate);
-  const dst = new OfflineAudioContext(ch, s1 - s0, rate).createBuffer(ch, s1 - s0, rate);
-  for (let c = 0; c < ch; c++) {
-    dst.getChannelData(c).set(src.getChannelData(c).subarray(s0, s1));
-  }
-  return dst;
-}
-
-/**
- * Recalculate clip region timestamps after a trim or crop.
- * @param {Array}           clips     – [{id, label, start, end}]
- * @param {'trim'|'crop'}   op
- * @param {number}          selStart  – seconds (relative to pre-edit buffer)
- * @param {number}          selEnd
- * @returns {Array}
- */
-function adjustClipRegions(clips, op, selStart, selEnd) {
-  if (op === 'crop') {
-    return clips
-      .filter(c => c.start < selEnd && c.end > selStart)
-      .map(c => ({
-        ...c,
-        start: Math.max(0, c.start - selStart),
-        end:   Math.min(selEnd - selStart, c.end - selStart),
-      }));
-  }
-  // trim: delete [selStart, selEnd]
-  const deleted = selEnd - selStart;
-  return clips
-    .filter(c => !(c.start >= selStart && c.end <= selEnd)) // remove fully inside
-    .map(c => {
-      if (c.end   <= selStart) return c;                    // entirely before
-      if (c.start >= selEnd)   return { ...c, start: c.start - deleted, end: c.end - deleted };
-      // partial overlap – clamp
-      return {
-        ...c,
-        start: c.start < selStart ? c.start : selStart,
-        end:   c.end   > selEnd   ? c.end - deleted : selStart,
-      };
-    });
-}
-
 // ============================================================================
 // Component
 // ============================================================================
@@ -164,18 +130,22 @@ function adjustClipRegions(clips, op, selStart, selEnd) {
  * @param {Object}   props
  * @param {Object}   props.item       – media-data entry for the audio being edited
  * @param {Function} props.onClose    – called when modal is dismissed without saving
- * @param {Function} props.onSaved    – called with the updated media-data entry after a metadata-only save
- * @param {Function} props.onSaveTask – called with a taskId after a physical edit upload starts;
+ * @param {Function} props.onSaveTask – called with a taskId after the upload of the edited audio starts;
  *                                      the caller should track completion via SSE (e.g. ProgressBanner)
  */
-export function SoundEditorModal({ item, onClose, onSaved, onSaveTask }) {
+export function SoundEditorModal({ item, onClose, onSaveTask }) {
   const theme = currentTheme.value;
   const toast = useToast();
 
   const [clipRegions, setClipRegions] = useState(
     (item.clips || []).map((c, i) => ({ ...c, id: `clip-${i}` }))
   );
-  const [hasPhysicalEdits, setHasPhysicalEdits] = useState(false);
+  // Undo stack: [{ op, buffer, clips }] with the state from before each edit.
+  const [history, setHistory]                 = useState([]);
+  const [isReady, setIsReady]                 = useState(false); // source audio decoded
+  const [isProcessing, setIsProcessing]       = useState(false); // waiting on the server
+  const [fadeCurve, setFadeCurve]             = useState('linear');
+  const [envelope, setEnvelope]               = useState(null);  // [{ time, gain }] while editing
   const [isSaving, setIsSaving]               = useState(false);
   const [hasSelection, setHasSelection]       = useState(false);
   const [isPlaying, setIsPlaying]             = useState(false);
@@ -223,13 +193,14 @@ export function SoundEditorModal({ item, onClose, onSaved, onSaveTask }) {
           const res = await fetch(item.audioUrl);
           const ab  = await res.arrayBuffer();
           audioBufferRef.current = await new AudioContext().decodeAudioData(ab);
+          setIsReady(true);
         })();
       }
 
       // Always re-render clip regions after any audio load. WaveSurfer clears
       // all regions when it reloads audio (including after loadBlob), so we
       // re-add them here rather than relying on a synchronous call made before
-      // ready fires. clipRegionsRef is kept current by the trim/crop handlers.
+      // ready fires. clipRegionsRef is kept current by the edit handlers.
       setTimeout(() => renderClipRegions(regions, clipRegionsRef.current, null, clipColor), 100);
     });
 
@@ -296,6 +267,49 @@ export function SoundEditorModal({ item, onClose, onSaved, onSaveTask }) {
     return () => ws.destroy();
   }, []); // runs once on mount
 
+  // ── Edit history ──────────────────────────────────────────────────────────
+
+  /** Current buffer and clips after applying `op`; the previous state goes on the undo stack. */
+  const commitEdit = useCallback((op, newBuffer, newClips = clipRegionsRef.current) => {
+    const prevBuffer = audioBufferRef.current;
+    setHistory(prev => [...prev, { op, buffer: prevBuffer, clips: clipRegionsRef.current }]);
+    audioBufferRef.current = newBuffer;
+    clipRegionsRef.current = newClips; // update ref so the 'ready' handler renders the correct clips
+    setClipRegions(newClips);
+    if (newBuffer !== prevBuffer) {
+      activeRegionRef.current = null;
+      setHasSelection(false);
+      wavesurferRef.current.loadBlob(audioBufferToWavBlob(newBuffer));
+      // clip regions are re-rendered by the 'ready' handler once loadBlob completes
+    } else {
+      renderClipRegions(wsRegionsRef.current, newClips, activeRegionRef.current, clipColor);
+    }
+  }, []);
+
+  const handleUndo = useCallback(() => {
+    const last = history[history.length - 1];
+    if (!last) return;
+    setHistory(history.slice(0, -1));
+    clipRegionsRef.current = last.clips;
+    setClipRegions(last.clips);
+    if (last.buffer !== audioBufferRef.current) {
+      audioBufferRef.current = last.buffer;
+      activeRegionRef.current = null;
+      setHasSelection(false);
+      wavesurferRef.current.loadBlob(audioBufferToWavBlob(last.buffer));
+    } else {
+      renderClipRegions(wsRegionsRef.current, last.clips, activeRegionRef.current, clipColor);
+    }
+  }, [history]);
+
+  /** The active selection, or the whole file when nothing is selected. */
+  const editRange = () => {
+    const region = activeRegionRef.current;
+    return region
+      ? { start: region.start, end: region.end }
+      : { start: 0, end: audioBufferRef.current.duration };
+  };
+
   // ── Button handlers ───────────────────────────────────────────────────────
 
   const handlePlayPause = useCallback(() => {
@@ -343,32 +357,142 @@ export function SoundEditorModal({ item, onClose, onSaved, onSaveTask }) {
   const handleTrim = useCallback(() => {
     const region = activeRegionRef.current;
     if (!region || !audioBufferRef.current) return;
-    const newBuffer = applyTrim(audioBufferRef.current, region.start, region.end);
-    const newClips  = adjustClipRegions(clipRegions, 'trim', region.start, region.end);
-    audioBufferRef.current = newBuffer;
-    clipRegionsRef.current = newClips; // update ref so the 'ready' handler renders the correct clips
-    activeRegionRef.current = null;
-    setHasSelection(false);
-    setClipRegions(newClips);
-    setHasPhysicalEdits(true);
-    wavesurferRef.current.loadBlob(audioBufferToWavBlob(newBuffer));
-    // clip regions are re-rendered by the 'ready' handler once loadBlob completes
-  }, [clipRegions]);
+    commitEdit(
+      { op: 'trim', start: region.start, end: region.end },
+      applyTrim(audioBufferRef.current, region.start, region.end),
+      adjustClipRegions(clipRegionsRef.current, 'trim', region.start, region.end),
+    );
+  }, [commitEdit]);
 
   const handleCrop = useCallback(() => {
     const region = activeRegionRef.current;
     if (!region || !audioBufferRef.current) return;
-    const newBuffer = applyCrop(audioBufferRef.current, region.start, region.end);
-    const newClips  = adjustClipRegions(clipRegions, 'crop', region.start, region.end);
-    audioBufferRef.current = newBuffer;
-    clipRegionsRef.current = newClips; // update ref so the 'ready' handler renders the correct clips
-    activeRegionRef.current = null;
-    setHasSelection(false);
-    setClipRegions(newClips);
-    setHasPhysicalEdits(true);
-    wavesurferRef.current.loadBlob(audioBufferToWavBlob(newBuffer));
-    // clip regions are re-rendered by the 'ready' handler once loadBlob completes
-  }, [clipRegions]);
+    commitEdit(
+      { op: 'crop', start: region.start, end: region.end },
+      applyCrop(audioBufferRef.current, region.start, region.end),
+      adjustClipRegions(clipRegionsRef.current, 'crop', region.start, region.end),
+    );
+  }, [commitEdit]);
+
+  // Fades cover the selection; without one, the first or last second.
+  const handleFade = useCallback((direction) => {
+    const buffer = audioBufferRef.current;
+    if (!buffer) return;
+    const length = Math.min(DEFAULT_FADE_SECONDS, buffer.duration);
+    const { start, end } = activeRegionRef.current
+      ? editRange()
+      : direction === 'in'
+        ? { start: 0, end: length }
+        : { start: buffer.duration - length, end: buffer.duration };
+    const op = { op: `fade-${direction}`, start, end, curve: fadeCurve };
+    commitEdit(op, applyFade(buffer, { direction, start, end, curve: fadeCurve }));
+  }, [commitEdit, fadeCurve]);
+
+  const handleNormalize = useCallback(async () => {
+    const buffer = audioBufferRef.current;
+    if (!buffer) return;
+    const choice = await showDialog(
+      'Bring the whole file to a peak level or to an integrated loudness. Loudness normalization stops short of clipping.',
+      'Normalize',
+      [NORMALIZE_PEAK, NORMALIZE_LOUDNESS, 'Cancel'],
+    );
+    const options = choice === NORMALIZE_PEAK
+      ? { mode: 'peak', target: -1 }
+      : choice === NORMALIZE_LOUDNESS
+        ? { mode: 'lufs', target: -16 }
+        : null;
+    if (!options) return;
+    const { gain, limited } = normalizeGain(buffer, options);
+    if (limited) toast.info(`Limited to ${gainToDb(gain).toFixed(1)} dB so the peak stays below -1 dBFS`);
+    commitEdit({ op: 'normalize', ...options, gainDb: Number(gainToDb(gain).toFixed(2)) }, applyGain(buffer, gain));
+  }, [commitEdit, toast]);
+
+  const handleToggleEnvelope = useCallback(() => {
+    setEnvelope(prev => (prev ? null : [
+      { time: 0, gain: 1 },
+      { time: Number(audioBufferRef.current.duration.toFixed(2)), gain: 1 },
+    ]));
+  }, []);
+
+  const handleAddEnvelopePoint = useCallback(() => {
+    const time = Number(wavesurferRef.current.getCurrentTime().toFixed(2));
+    setEnvelope(prev => [...prev, { time, gain: 1 }].sort((a, b) => a.time - b.time));
+  }, []);
+
+  const handleApplyEnvelope = useCallback(() => {
+    const points = envelope.filter(p => Number.isFinite(p.time));
+    commitEdit({ op: 'envelope', points }, applyGainEnvelope(audioBufferRef.current, points));
+    setEnvelope(null);
+  }, [commitEdit, envelope]);
+
+  // Replace the clips inside the range with one clip per stretch of sound.
+  const handleSplit = useCallback(async () => {
+    const buffer = audioBufferRef.current;
+    if (!buffer) return;
+    const { start, end } = editRange();
+    const found = detectSoundRegions(buffer, { start, end });
+    if (found.length === 0) {
+      toast.error('No sound above -40 dBFS found to split');
+      return;
+    }
+    const prefix = await showTextPrompt('Clip label prefix', item.name || 'Clip', 'e.g. Footstep');
+    if (!prefix) return;
+    const stamp = Date.now();
+    const kept = clipRegionsRef.current.filter(c => !(c.start >= start && c.end <= end));
+    const added = found.map((r, i) => ({ id: `clip-${stamp}-${i}`, label: `${prefix} ${i + 1}`, ...r }));
+    commitEdit(
+      { op: 'split', start, end, clips: added.length },
+      buffer,
+      [...kept, ...added].sort((a, b) => a.start - b.start),
+    );
+  }, [commitEdit, item, toast]);
+
+  const handleReverse = useCallback(() => {
+    const buffer = audioBufferRef.current;
+    if (!buffer) return;
+    const { start, end } = editRange();
+    commitEdit(
+      { op: 'reverse', start, end },
+      applyReverse(buffer, start, end),
+      adjustClipRegions(clipRegionsRef.current, 'reverse', start, end),
+    );
+  }, [commitEdit]);
+
+  // Time stretch and pitch shift need a real resampler, so the server runs them through ffmpeg.
+  const handleStretch = useCallback(async () => {
+    const buffer = audioBufferRef.current;
+    if (!buffer) return;
+    const tempo = await showNumberPrompt('Tempo factor (0.25–4, 1 = unchanged)', 1, 0.25);
+    if (tempo === null) return;
+    const semitones = await showNumberPrompt('Pitch shift in semitones (-12–12)', 0, -12);
+    if (semitones === null) return;
+    if (tempo === 1 && semitones === 0) return;
+
+    setIsProcessing(true);
+    try {
+      const formData = new FormData();
+      formData.append('audio',      audioBufferToWavBlob(buffer), 'edit.wav');
+      formData.append('tempo',      String(tempo));
+      formData.append('semitones',  String(semitones));
+      formData.append('sampleRate', String(buffer.sampleRate));
+      const res = await fetch('/audio-ops/stretch', { method: 'POST', body: formData });
+      if (!res.ok) {
+        const d = await res.json();
+        throw new Error(d.error || 'Stretch failed');
+      }
+      const stretched = await new AudioContext().decodeAudioData(await res.arrayBuffer());
+      const clips = clipRegionsRef.current.map(c => ({
+        ...c,
+        start: Math.min(stretched.duration, c.start / tempo),
+        end:   Math.min(stretched.duration, c.end / tempo),
+      }));
+      commitEdit({ op: 'stretch', tempo, semitones }, stretched, clips);
+    } catch (err) {
+      toast.error(`Stretch failed: ${err.message}`);
+    } finally {
+      setIsProcessing(false);
+    }
+  }, [commitEdit, toast]);
 
   const handleAddClip = useCallback(async () => {
     const region = activeRegionRef.current;
@@ -376,71 +500,53 @@ export function SoundEditorModal({ item, onClose, onSaved, onSaveTask }) {
     const label = await showTextPrompt('Clip label', '', 'e.g. Rain soft');
     if (!label) return;
     const newClip = { id: `clip-${Date.now()}`, label, start: region.start, end: region.end };
-    const updated = [...clipRegions, newClip];
-    clipRegionsRef.current = updated;
-    setClipRegions(updated);
-    renderClipRegions(wsRegionsRef.current, updated, activeRegionRef.current, clipColor);
-  }, [clipRegions]);
+    commitEdit({ op: 'add-clip', label, start: region.start, end: region.end }, audioBufferRef.current, [...clipRegionsRef.current, newClip]);
+  }, [commitEdit]);
 
   const handleScrub = useCallback(() => {
     const region = activeRegionRef.current;
     if (!region) return;
-    const updated = clipRegions.filter(
+    const updated = clipRegionsRef.current.filter(
       c => !(c.start >= region.start && c.end <= region.end)
     );
-    clipRegionsRef.current = updated;
-    setClipRegions(updated);
-    renderClipRegions(wsRegionsRef.current, updated, activeRegionRef.current, clipColor);
-  }, [clipRegions]);
+    commitEdit({ op: 'scrub', start: region.start, end: region.end }, audioBufferRef.current, updated);
+  }, [commitEdit]);
 
+  // Every save is a new entry linked to the source; the source is never overwritten.
   const handleSave = useCallback(async () => {
     setIsSaving(true);
     try {
       const clipsForStorage = clipRegions.map(({ label, start, end }) => ({ label, start, end }));
 
-      if (hasPhysicalEdits) {
-        // Upload produces a new derived entry via an async task (album cover generation).
-        // Pass clips in the FormData so the server saves them with the new entry from the start,
-        // rather than trying to patch an entry that doesn't exist yet.
-        const blob     = audioBufferToWavBlob(audioBufferRef.current);
-        const formData = new FormData();
-        formData.append('audio',  blob, 'edit.wav');
-        formData.append('name',   item.name);
-        formData.append('origin', String(item.uid));
-        // Always send clips (even as empty []) so the derived entry explicitly
-        // tracks clip state rather than inheriting stale data from the album pipeline.
-        formData.append('clips', JSON.stringify(clipsForStorage));
-        // Port original metadata so the album-generation LLM step doesn't overwrite it.
-        if (item.tags        != null) formData.append('tags',        JSON.stringify(item.tags));
-        if (item.description != null) formData.append('description', item.description);
-        if (item.summary     != null) formData.append('summary',     item.summary);
-        if (item.prompt      != null) formData.append('prompt',      item.prompt);
-        formData.append('audioFormat', 'mp3'); // request server-side conversion to mp3 for storage efficiency
-        const res  = await fetch('/upload/audio', { method: 'POST', body: formData });
-        const data = await res.json();
-        if (!res.ok) throw new Error(data.error || 'Upload failed');
-        // Hand off the taskId to the caller; the caller tracks SSE completion
-        // and adds the finished entry to history (e.g. via ProgressBanner).
-        onSaveTask(data.taskId);
-      } else {
-        // Metadata-only: patch the existing item in place
-        const updated = { ...item, clips: clipsForStorage };
-        const res = await fetch('/edit', {
-          method:  'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body:    JSON.stringify(updated),
-        });
-        if (!res.ok) {
-          const d = await res.json();
-          throw new Error(d.error || 'Save failed');
-        }
-        onSaved(updated);
-      }
+      // Upload produces a new derived entry via an async task (album cover generation).
+      // Pass clips in the FormData so the server saves them with the new entry from the start,
+      // rather than trying to patch an entry that doesn't exist yet.
+      const blob     = audioBufferToWavBlob(audioBufferRef.current);
+      const formData = new FormData();
+      formData.append('audio',  blob, 'edit.wav');
+      formData.append('name',   item.name);
+      formData.append('origin', String(item.uid));
+      // Always send clips (even as empty []) so the derived entry explicitly
+      // tracks clip state rather than inheriting stale data from the album pipeline.
+      formData.append('clips', JSON.stringify(clipsForStorage));
+      formData.append('audioOps', JSON.stringify(history.map(h => h.op)));
+      // Port original metadata so the album-generation LLM step doesn't overwrite it.
+      if (item.tags        != null) formData.append('tags',        JSON.stringify(item.tags));
+      if (item.description != null) formData.append('description', item.description);
+      if (item.summary     != null) formData.append('summary',     item.summary);
+      if (item.prompt      != null) formData.append('prompt',      item.prompt);
+      formData.append('audioFormat', 'mp3'); // request server-side conversion to mp3 for storage efficiency
+      const res  = await fetch('/upload/audio', { method: 'POST', body: formData });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Upload failed');
+      // Hand off the taskId to the caller; the caller tracks SSE completion
+      // and adds the finished entry to history (e.g. via ProgressBanner).
+      onSaveTask(data.taskId);
     } catch (err) {
       toast.error(`Save failed: ${err.message}`);
       setIsSaving(false);
     }
-  }, [clipRegions, hasPhysicalEdits, item, onSaved, onSaveTask, toast]);
+  }, [clipRegions, history, item, onSaveTask, toast]);
 
   // ── Render ────────────────────────────────────────────────────────────────
 
@@ -491,11 +597,19 @@ export function SoundEditorModal({ item, onClose, onSaved, onSaveTask }) {
           disabled=${!hasSelection}
           tooltip="Remove clip regions overlapping selection"
         >Scrub</${Button}>
+        <${Button}
+          variant="small-icon-text"
+          icon="undo"
+          onClick=${handleUndo}
+          disabled=${history.length === 0 || isProcessing || isSaving}
+          tooltip=${history.length ? `Undo ${history[history.length - 1].op.op}` : 'Nothing to undo'}
+        >Undo</${Button}>
         <${Button}
           variant="small-icon-text"
           icon="check"
           onClick=${handleSave}
-          disabled=${isSaving}
+          disabled=${isSaving || isProcessing || history.length === 0}
+          tooltip="Save the edited audio as a new entry linked to this one"
         >${isSaving ? 'Saving…' : 'Save'}</${Button}>
         <${Button}
           variant="small-icon-text"
@@ -507,6 +621,119 @@ export function SoundEditorModal({ item, onClose, onSaved, onSaveTask }) {
     </${HorizontalLayout}>
   `;
 
+  const toolsDisabled = !isReady || isProcessing || isSaving || envelope !== null;
+  const tools = html`
+    <${HorizontalLayout} gap="small" style=${{ flexWrap: 'wrap', alignItems: 'flex-end', marginTop: '12px' }}>
+      <${Select}
+        label="Fade Curve"
+        value=${fadeCurve}
+        options=${CURVE_OPTIONS}
+        heightScale="compact"
+        onChange=${(e) => setFadeCurve(e.target.value)}
+      />
+      <${Button}
+        variant="small-icon-text"
+        icon="volume"
+        onClick=${() => handleFade('in')}
+        disabled=${toolsDisabled}
+        tooltip="Fade in across the selection, or the first second"
+      >Fade In</${Button}>
+      <${Button}
+        variant="small-icon-text"
+        icon="volume-mute"
+        onClick=${() => handleFade('out')}
+        disabled=${toolsDisabled}
+        tooltip="Fade out across the selection, or the last second"
+      >Fade Out</${Button}>
+      <${Button}
+        variant="small-icon-text"
+        icon="volume-full"
+        onClick=${handleNormalize}
+        disabled=${toolsDisabled}
+        tooltip="Normalize the whole file to a peak or loudness target"
+      >Normalize</${Button}>
+      <${Button}
+        variant="small-icon-text"
+        icon="slider"
+        onClick=${handleToggleEnvelope}
+        disabled=${!isReady || isProcessing || isSaving}
+        tooltip="Draw a gain envelope with points along the file"
+      >Envelope</${Button}>
+      <${Button}
+        variant="small-icon-text"
+        icon="grid"
+        onClick=${handleSplit}
+        disabled=${toolsDisabled}
+        tooltip="Split the selection, or the whole file, into clips at silences"
+      >Split</${Button}>
+      <${Button}
+        variant="small-icon-text"
+        icon="swap-vertical"
+        onClick=${handleReverse}
+        disabled=${toolsDisabled}
+        tooltip="Reverse the selection, or the whole file"
+      >Reverse</${Button}>
+      <${Button}
+        variant="small-icon-text"
+        icon="time"
+        onClick=${handleStretch}
+        disabled=${toolsDisabled}
+        loading=${isProcessing}
+        tooltip="Change the tempo and/or pitch of the whole file"
+      >Stretch</${Button}>
+    </${HorizontalLayout}>
+  `;
+
+  const envelopeEditor = envelope && html`
+    <${VerticalLayout} gap="small" style=${{ marginTop: '12px' }}>
+      ${envelope.map((point, i) => html`
+        <${HorizontalLayout} gap="small" key=${i} style=${{ alignItems: 'flex-end' }}>
+          <${Input}
+            label="Time (s)"
+            type="number"
+            value=${point.time}
+            heightScale="compact"
+            onChange=${(e) => setEnvelope(envelope.map((p, j) => (j === i ? { ...p, time: Number(e.target.value) } : p)))}
+          />
+          <${Slider}
+            label=${`Gain ${gainToDb(point.gain) === -Infinity ? '-∞' : gainToDb(point.gain).toFixed(1)} dB`}
+            minAllowed=${0}
+            maxAllowed=${2}
+            snap=${0.01}
+            value=${point.gain}
+            widthScale="full"
+            onChange=${(v) => setEnvelope(envelope.map((p, j) => (j === i ? { ...p, gain: v } : p)))}
+          />
+          <${Button}
+            variant="small-icon"
+            icon="trash"
+            onClick=${() => setEnvelope(envelope.filter((_, j) => j !== i))}
+            disabled=${envelope.length <= 1}
+            tooltip="Remove point"
+          ></${Button}>
+        </${HorizontalLayout}>
+      `)}
+      <${HorizontalLayout} gap="small">
+        <${Button}
+          variant="small-icon-text"
+          icon="plus"
+          onClick=${handleAddEnvelopePoint}
+          tooltip="Add a point at the playhead"
+        >Point</${Button}>
+        <${Button}
+          variant="small-icon-text"
+          icon="check"
+          onClick=${handleApplyEnvelope}
+        >Apply Envelope</${Button}>
+        <${Button}
+          variant="small-icon-text"
+          icon="x"
+          onClick=${() => setEnvelope(null)}
+        >Discard</${Button}>
+      </${HorizontalLayout}>
+    </${VerticalLayout}>
+  `;
+
   const modalContent = html`
     <${BaseOverlay} bgColor=${theme.colors.overlay.background}>
       <${BaseContainer}
@@ -529,6 +756,8 @@ export function SoundEditorModal({ item, onClose, onSaved, onSaveTask }) {
           fontSize=${theme.typography.fontSize.medium}
         >
           <div ref=${containerRef} />
+          ${tools}
+          ${envelopeEditor}
         </${BaseContent}>
 
         <${BaseFooter} marginTop="0" gap=${theme.spacing.medium.gap}>
@@ -0,0 +1,222 @@
+/**
+ * storage-manager.mjs – Storage management modal.
+ *
+ * Lists storage files that nothing references (via `/admin/storage/scan`),
+ * moves them to the trash, and shows trash batches with restore / delete
+ * actions. Batches expire automatically on the server after the configured
+ * retention period.
+ *
+ * @module app-ui/storage-manager
+ */
+import { html } from 'htm/preact';
+import { useState, useEffect, useCallback } from 'preact/hooks';
+import { styled } from '../custom-ui/goober-setup.mjs';
+import { currentTheme } from '../custom-ui/theme.mjs';
+import { fetchJson } from '../custom-ui/util.mjs';
+import { showModal } from '../custom-ui/overlays/modal.mjs';
+import { showDialog } from '../custom-ui/overlays/dialog.mjs';
+import { Button } from '../custom-ui/io/button.mjs';
+import { H3, HorizontalEdgesLayout, HorizontalLayout, VerticalLayout } from '../custom-ui/themed-base.mjs';
+
+// Styled Components
+const FileList = styled('ul')`
+  list-style: none;
+  margin: 0;
+  padding: 0;
+  max-height: 220px;
+  overflow-y: auto;
+  border: 1px solid ${() => currentTheme.value.colors.border.secondary};
+  border-radius: 4px;
+`;
+FileList.className = 'storage-file-list';
+
+const FileRow = styled('li')`
+  display: flex;
+  justify-content: space-between;
+  gap: 12px;
+  padding: 4px 8px;
+  font-size: ${() => currentTheme.value.typography.fontSize.small};
+  color: ${() => currentTheme.value.colors.text.primary};
+
+  span:last-child {
+    color: ${() => currentTheme.value.colors.text.secondary};
+    white-space: nowrap;
+  }
+`;
+FileRow.className = 'storage-file-row';
+
+const Summary = styled('div')`
+  font-size: ${() => currentTheme.value.typography.fontSize.small};
+  color: ${() => currentTheme.value.colors.text.secondary};
+`;
+Summary.className = 'storage-summary';
+
+const FETCH_OPTIONS = { maxRetries: 0, showUserFeedback: false };
+
+/**
+ * Format a byte count for display.
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = -1;
+  do {
+    value /= 1024;
+    unit++;
+  } while (value >= 1024 && unit < units.length - 1);
+  return `${value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * StorageManager Component
+ *
+ * @returns {preact.VNode}
+ */
+export function StorageManager() {
+  const [scan, setScan] = useState(null);
+  const [trash, setTrash] = useState({ batches: [], totalSize: 0 });
+  const [busy, setBusy] = useState(false);
+
+  const loadTrash = useCallback(async () => {
+    try {
+      setTrash(await fetchJson('/admin/storage/trash', {}, FETCH_OPTIONS));
+    } catch (err) {
+      console.error('Failed to load trash:', err);
+    }
+  }, []);
+
+  useEffect(() => { loadTrash(); }, [loadTrash]);
+
+  // Wraps an admin request so buttons stay disabled while it runs
+  const run = async (label, action) => {
+    setBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      console.error(`Failed to ${label}:`, err);
+      if (window.showErrorToast) window.showErrorToast(`Failed to ${label}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleScan = () => run('scan storage', async () => {
+    setScan(await fetchJson('/admin/storage/scan', {}, FETCH_OPTIONS));
+  });
+
+  const handlePurge = () => run('move files to trash', async () => {
+    const result = await fetchJson('/admin/storage/purge', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ files: scan.files.map(f => f.name) }),
+    }, FETCH_OPTIONS);
+    if (window.showToast) window.showToast(`Moved ${result.movedCount} file(s) to trash`);
+    setScan(await fetchJson('/admin/storage/scan', {}, FETCH_OPTIONS));
+    await loadTrash();
+  });
+
+  const handleRestore = (batch) => run('restore files', async () => {
+    const result = await fetchJson(`/admin/storage/trash/${encodeURIComponent(batch.batchId)}/restore`, { method: 'POST' }, FETCH_OPTIONS);
+    if (result.conflicts.length > 0) {
+      await showDialog(`${result.conflicts.length} file(s) were not restored because a file with the same name already exists.`, 'Restore');
+    }
+    await loadTrash();
+  });
+
+  const handleDelete = async (batch) => {
+    const answer = await showDialog(`Permanently delete ${batch.files.length} file(s)?`, 'Delete Trash Batch', ['Delete', 'Cancel']);
+    if (answer !== 'Delete') return;
+    await run('delete trash batch', async () => {
+      await fetchJson(`/admin/storage/trash/${encodeURIComponent(batch.batchId)}`, { method: 'DELETE' }, FETCH_OPTIONS);
+      await loadTrash();
+    });
+  };
+
+  const handleEmpty = async () => {
+    const answer = await showDialog('Permanently delete everything in the trash?', 'Empty Trash', ['Empty Trash', 'Cancel']);
+    if (answer !== 'Empty Trash') return;
+    await run('empty trash', async () => {
+      await fetchJson('/admin/storage/trash', { method: 'DELETE' }, FETCH_OPTIONS);
+      await loadTrash();
+    });
+  };
+
+  return html`
+    <${VerticalLayout} gap="large">
+      <${VerticalLayout} gap="small">
+        <${HorizontalEdgesLayout}>
+          <${H3}>Unreferenced Files</${H3}>
+          <${HorizontalLayout} gap="small">
+            <${Button} variant="medium-icon-text" icon="search" onClick=${handleScan} disabled=${busy}>Scan</${Button}>
+            <${Button}
+              variant="medium-icon-text"
+              icon="trash"
+              color="danger"
+              onClick=${handlePurge}
+              disabled=${busy || !scan || scan.count === 0}
+            >Move to Trash</${Button}>
+          </${HorizontalLayout}>
+        </${HorizontalEdgesLayout}>
+        ${scan ? html`
+          <${Summary}>${scan.count} file(s), ${formatBytes(scan.totalSize)} not used by any gallery entry, AnyTale record or brew.</${Summary}>
+          ${scan.count > 0 ? html`
+            <${FileList}>
+              ${scan.files.map(file => html`
+                <${FileRow} key=${file.name}>
+                  <span>${file.name}</span>
+                  <span>${formatBytes(file.size)}</span>
+                </${FileRow}>
+              `)}
+            </${FileList}>
+          ` : null}
+        ` : html`<${Summary}>Scan storage to find files that are no longer used.</${Summary}>`}
+      </${VerticalLayout}>
+
+      <${VerticalLayout} gap="small">
+        <${HorizontalEdgesLayout}>
+          <${H3}>Trash</${H3}>
+          <${Button}
+            variant="medium-icon-text"
+            icon="trash"
+            color="danger"
+            onClick=${handleEmpty}
+            disabled=${busy || trash.batches.length === 0}
+          >Empty Trash</${Button}>
+        </${HorizontalEdgesLayout}>
+        ${trash.batches.length === 0 ? html`<${Summary}>The trash is empty.</${Summary}>` : html`
+          <${Summary}>${formatBytes(trash.totalSize)} in ${trash.batches.length} batch(es).</${Summary}>
+          <${FileList}>
+            ${trash.batches.map(batch => html`
+              <${FileRow} key=${batch.batchId}>
+                <span>
+                  ${batch.reason === 'delete' ? 'Deleted entries' : 'Purge'} · ${new Date(batch.createdAt).toLocaleString()}
+                  · ${batch.files.length} file(s), ${formatBytes(batch.totalSize)}
+                  · expires ${new Date(batch.expiresAt).toLocaleDateString()}
+                </span>
+                <${HorizontalLayout} gap="small">
+                  <${Button} variant="small-icon" icon="undo" title="Restore files" onClick=${() => handleRestore(batch)} disabled=${busy} />
+                  <${Button} variant="small-icon" icon="trash" color="danger" title="Delete permanently" onClick=${() => handleDelete(batch)} disabled=${busy} />
+                </${HorizontalLayout}>
+              </${FileRow}>
+            `)}
+          </${FileList}>
+        `}
+      </${VerticalLayout}>
+    </${VerticalLayout}>
+  `;
+}
+
+/**
+ * Open the storage manager in a modal.
+ * @returns {{ close: Function }}
+ */
+export function showStorageManager() {
+  return showModal({
+    title: 'Storage',
+    size: 'large',
+    content: html`<${StorageManager} />`,
+  });
+}
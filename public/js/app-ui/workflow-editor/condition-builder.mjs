@@ -2,13 +2,13 @@
  * condition-builder.mjs – AND/OR condition group builder.
  *
  * Renders an AND/OR toggle and a list of condition items. Each condition item
- * specifies a source (data / generationData), a field name, and an expected
- * value.
+ * specifies a field name (dotted paths reach nested values), an operator and
+ * an expected value.
  *
  * Output JSON structure:
  * { "and": [ { "where": { "data": "field" }, "equals": { "value": "v" } } ] }
  * or
- * { "or":  [ { "where": { "data": "field" }, "equals": { "value": true } } ] }
+ * { "or":  [ { "where": { "data": "extraInputs.steps" }, "gt": { "value": 20 } } ] }
  */
 import { html } from 'htm/preact';
 import { useCallback } from 'preact/hooks';
@@ -65,9 +65,32 @@ function coerceValue(raw) {
  */
 function valueToString(v) {
   if (v === undefined || v === null) return '';
+  if (Array.isArray(v)) return v.map(valueToString).join(', ');
   return String(v);
 }
 
+/**
+ * Parse the value input for an operator: `in` takes a comma separated list,
+ * `matches` keeps the raw pattern, everything else is coerced. Lists are
+ * parsed on change rather than input so a trailing comma survives typing.
+ */
+function parseOperand(operator, raw) {
+  if (operator === 'in') return raw.split(',').map(v => v.trim()).filter(v => v !== '').map(coerceValue);
+  if (operator === 'matches') return raw;
+  return coerceValue(raw);
+}
+
+/**
+ * Carry a value over when the operator changes, converting it to a shape the
+ * new operator accepts.
+ */
+function convertOperand(operator, value) {
+  if (operator === 'exists') return typeof value === 'boolean' ? value : true;
+  if (operator === 'in') return Array.isArray(value) ? value : parseOperand('in', valueToString(value));
+  if (Array.isArray(value)) return parseOperand(operator, valueToString(value[0]));
+  return operator === 'matches' ? valueToString(value) : value;
+}
+
 // ============================================================================
 // ConditionItem
 // ============================================================================
@@ -77,15 +100,29 @@ const MODE_OPTIONS = [
   { label: 'Satisfy One', value: 'or' },
 ];
 
+// Mirrors CONDITION_OPERATORS in server/util.mjs
 const CHECK_TYPE_OPTIONS = [
   { label: 'equals', value: 'equals' },
   { label: 'is not', value: 'isNot' },
+  { label: '>', value: 'gt' },
+  { label: '>=', value: 'gte' },
+  { label: '<', value: 'lt' },
+  { label: '<=', value: 'lte' },
+  { label: 'contains', value: 'contains' },
+  { label: 'matches regex', value: 'matches' },
+  { label: 'is one of', value: 'in' },
+  { label: 'is set', value: 'exists' },
+];
+
+const EXISTS_OPTIONS = [
+  { label: 'yes', value: 'true' },
+  { label: 'no', value: 'false' },
 ];
 
 function ConditionItem({ condition, index, onChange, onDelete }) {
   const theme = currentTheme.value;
   const fieldName = condition.where?.data ?? '';
-  const checkType = condition.isNot !== undefined ? 'isNot' : 'equals';
+  const checkType = CHECK_TYPE_OPTIONS.find(o => condition[o.value] !== undefined)?.value ?? 'equals';
   const rawValue  = condition[checkType]?.value;
 
   const updateCondition = useCallback((updates) => {
@@ -99,7 +136,7 @@ function ConditionItem({ condition, index, onChange, onDelete }) {
     const next = { ...condition };
     const preserved = next[oldType]?.value;
     delete next[oldType];
-    next[newType] = { value: preserved };
+    next[newType] = { value: convertOperand(newType, preserved) };
     onChange(index, next);
   }, [condition, checkType, index, onChange]);
 
@@ -107,7 +144,7 @@ function ConditionItem({ condition, index, onChange, onDelete }) {
     <${ConditionRow} theme=${theme}>
       <${Input}
         heightScale="compact"
-        placeholder="field name"
+        placeholder="field or path.to.field"
         value=${fieldName}
         onInput=${(e) => updateCondition({ where: { data: e.target.value } })}
       />
@@ -117,12 +154,31 @@ function ConditionItem({ condition, index, onChange, onDelete }) {
         value=${checkType}
         onChange=${handleCheckTypeChange}
       />
-      <${Input}
-        heightScale="compact"
-        placeholder="value"
-        value=${valueToString(rawValue)}
-        onInput=${(e) => updateCondition({ [checkType]: { value: coerceValue(e.target.value) } })}
-      />
+      ${checkType === 'exists' ? html`
+        <${Select}
+          heightScale="compact"
+          options=${EXISTS_OPTIONS}
+          value=${String(rawValue !== false)}
+          onChange=${(e) => updateCondition({ exists: { value: e.target.value === 'true' } })}
+        />
+      ` : html`
+        <${Input}
+          heightScale="compact"
+          placeholder=${checkType === 'in' ? 'a, b, c' : checkType === 'matches' ? 'pattern' : 'value'}
+          value=${valueToString(rawValue)}
+          onInput=${checkType === 'in' ? undefined : (e) => updateCondition({ [checkType]: { ...condition[checkType], value: parseOperand(checkType, e.target.value) } })}
+          onChange=${checkType === 'in' ? (e) => updateCondition({ in: { value: parseOperand('in', e.target.value) } }) : undefined}
+        />
+      `}
+      ${checkType === 'matches' && html`
+        <${Input}
+          heightScale="compact"
+          widthScale="compact"
+          placeholder="flags"
+          value=${condition.matches?.flags || ''}
+          onInput=${(e) => updateCondition({ matches: { ...condition.matches, flags: e.target.value || undefined } })}
+        />
+      `}
       <${Button}
         variant="small-icon"
         icon="trash"
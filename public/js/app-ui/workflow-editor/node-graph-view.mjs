@@ -0,0 +1,441 @@
+/**
+ * node-graph-view.mjs – Read-only canvas of a ComfyUI workflow graph.
+ *
+ * Draws the API-format graph's nodes (title, class type, inputs) and links
+ * as SVG, with pan (drag), zoom (wheel / buttons) and search. Node positions
+ * come from the UI-format graph the workflow was imported from when there
+ * is one; other nodes are laid out in columns by link depth.
+ *
+ * Inputs targeted by `replace` mappings are highlighted with their data
+ * field. Clicking a value input calls `onSelectInput(nodeId, inputName)` so
+ * the editor can create or edit the mapping.
+ */
+import { html } from 'htm/preact';
+import { useState, useEffect, useRef, useMemo, useCallback } from 'preact/hooks';
+import { styled } from '../../custom-ui/goober-setup.mjs';
+import { getThemeValue } from '../../custom-ui/theme.mjs';
+import { Button } from '../../custom-ui/io/button.mjs';
+import { Input } from '../../custom-ui/io/input.mjs';
+
+// ============================================================================
+// Layout constants (graph units; 1 unit = 1px at zoom 1)
+// ============================================================================
+
+const NODE_WIDTH = 240;
+const HEADER_HEIGHT = 40;
+const ROW_HEIGHT = 20;
+const NODE_PADDING = 8;
+const COLUMN_GAP = 80;
+const ROW_GAP = 30;
+const VALUE_PREVIEW_LENGTH = 18;
+const TITLE_LENGTH = 30;
+
+const VIEW_HEIGHT = 480;
+const MIN_SCALE = 0.1;
+const MAX_SCALE = 3;
+const ZOOM_STEP = 1.2;
+
+// ============================================================================
+// Styled Components
+// ============================================================================
+
+const ViewRoot = styled('div')`
+  display: flex;
+  flex-direction: column;
+  gap: ${getThemeValue('spacing.small.gap')};
+`;
+ViewRoot.className = 'node-graph-view';
+
+const Toolbar = styled('div')`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: flex-end;
+  gap: ${getThemeValue('spacing.small.gap')};
+`;
+Toolbar.className = 'node-graph-toolbar';
+
+const Viewport = styled('div')`
+  position: relative;
+  height: ${VIEW_HEIGHT}px;
+  overflow: hidden;
+  border-radius: ${getThemeValue('spacing.small.borderRadius')};
+  border: ${() => `${getThemeValue('border.width')} ${getThemeValue('border.style')} ${getThemeValue('colors.border.secondary')}`};
+  background-color: ${() => getThemeValue('colors.background.secondary')};
+  cursor: grab;
+  touch-action: none;
+
+  &.panning {
+    cursor: grabbing;
+  }
+
+  svg {
+    display: block;
+    width: 100%;
+    height: 100%;
+    user-select: none;
+  }
+`;
+Viewport.className = 'node-graph-viewport';
+
+const Hint = styled('div')`
+  font-family: ${getThemeValue('typography.fontFamily')};
+  font-size: ${getThemeValue('typography.fontSize.small')};
+  color: ${() => getThemeValue('colors.text.muted')};
+`;
+Hint.className = 'node-graph-hint';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/** Whether an input value is a link (`[sourceNodeId, outputSlot]`). */
+function isLink(value) {
+  return Array.isArray(value) && value.length === 2 && (typeof value[0] === 'string' || typeof value[0] === 'number');
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function previewValue(value) {
+  return truncate(typeof value === 'string' ? value : JSON.stringify(value), VALUE_PREVIEW_LENGTH);
+}
+
+/** UI-graph node positions by node id (`pos` is `[x, y]` or `{ 0: x, 1: y }`). */
+function uiPositions(uiGraph) {
+  const positions = new Map();
+  for (const node of uiGraph?.nodes || []) {
+    const x = node.pos?.[0] ?? node.pos?.['0'];
+    const y = node.pos?.[1] ?? node.pos?.['1'];
+    if (Number.isFinite(x) && Number.isFinite(y)) positions.set(String(node.id), { x, y });
+  }
+  return positions;
+}
+
+/**
+ * Lay out an API-format graph for drawing.
+ *
+ * @param {Object} workflowJson - `{ [nodeId]: { class_type, inputs, _meta } }`
+ * @param {Object|null} [uiGraph] - UI-format graph to take node positions from
+ * @returns {{ nodes: Object[], links: Object[], bounds: { x: number, y: number, width: number, height: number } }}
+ *   Nodes are `{ id, title, classType, x, y, width, height, inputs: [{ name, link, value }] }`;
+ *   links are `{ from: nodeId, slot, to: nodeId, input }`.
+ */
+export function layoutGraph(workflowJson, uiGraph = null) {
+  const entries = Object.entries(workflowJson || {}).filter(([, node]) => node && typeof node === 'object' && node.class_type);
+  const byId = new Map(entries);
+
+  const nodes = entries.map(([id, node]) => {
+    const inputs = Object.entries(node.inputs || {}).map(([name, value]) => (
+      isLink(value) && byId.has(String(value[0]))
+        ? { name, link: { from: String(value[0]), slot: value[1] } }
+        : { name, value }
+    ));
+    return {
+      id,
+      title: node._meta?.title || node.class_type,
+      classType: node.class_type,
+      inputs,
+      width: NODE_WIDTH,
+      height: HEADER_HEIGHT + Math.max(inputs.length, 1) * ROW_HEIGHT + NODE_PADDING,
+    };
+  });
+  const nodeById = new Map(nodes.map(node => [node.id, node]));
+
+  // Column = longest chain of links leading into the node
+  const depths = new Map();
+  const depthOf = (id, visiting = new Set()) => {
+    if (depths.has(id)) return depths.get(id);
+    if (visiting.has(id)) return 0;
+    visiting.add(id);
+    const sources = nodeById.get(id).inputs.filter(input => input.link).map(input => input.link.from);
+    const depth = sources.length ? 1 + Math.max(...sources.map(source => depthOf(source, visiting))) : 0;
+    depths.set(id, depth);
+    return depth;
+  };
+
+  const positions = uiPositions(uiGraph);
+  const placed = nodes.filter(node => positions.has(node.id));
+  placed.forEach(node => Object.assign(node, positions.get(node.id)));
+
+  // Nodes without a UI position go in columns to the right of the placed ones
+  const originX = placed.length ? Math.max(...placed.map(node => node.x + node.width)) + COLUMN_GAP : 0;
+  const originY = placed.length ? Math.min(...placed.map(node => node.y)) : 0;
+  const columnHeights = new Map();
+  const numeric = (a, b) => (parseFloat(a.id) - parseFloat(b.id)) || a.id.localeCompare(b.id);
+  for (const node of nodes.filter(n => !positions.has(n.id)).sort(numeric)) {
+    const depth = depthOf(node.id);
+    const y = columnHeights.get(depth) ?? originY;
+    Object.assign(node, { x: originX + depth * (NODE_WIDTH + COLUMN_GAP), y });
+    columnHeights.set(depth, y + node.height + ROW_GAP);
+  }
+
+  const links = nodes.flatMap(node => node.inputs
+    .filter(input => input.link)
+    .map(input => ({ from: input.link.from, slot: input.link.slot, to: node.id, input: input.name })));
+
+  const bounds = nodes.length
+    ? {
+      x: Math.min(...nodes.map(n => n.x)),
+      y: Math.min(...nodes.map(n => n.y)),
+      width: Math.max(...nodes.map(n => n.x + n.width)) - Math.min(...nodes.map(n => n.x)),
+      height: Math.max(...nodes.map(n => n.y + n.height)) - Math.min(...nodes.map(n => n.y)),
+    }
+    : { x: 0, y: 0, width: 0, height: 0 };
+
+  return { nodes, links, bounds };
+}
+
+/**
+ * Ids of the nodes with the query as id, or in their title or class type.
+ * @param {Object[]} nodes - Laid-out nodes (see layoutGraph)
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function searchNodes(nodes, query) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return [];
+  return nodes
+    .filter(node => node.id.toLowerCase() === needle
+      || node.title.toLowerCase().includes(needle)
+      || node.classType.toLowerCase().includes(needle))
+    .map(node => node.id);
+}
+
+/**
+ * Data fields mapped onto each node input by `replace` entries.
+ * @param {Object[]} replace - Workflow `replace` entries
+ * @returns {Map<string, string[]>} `"nodeId.inputName"` → `from` fields
+ */
+export function replaceTargets(replace) {
+  const targets = new Map();
+  for (const entry of replace || []) {
+    if (!Array.isArray(entry.to) || entry.to[1] !== 'inputs' || !entry.to[2]) continue;
+    const key = `${entry.to[0]}.${entry.to[2]}`;
+    targets.set(key, [...(targets.get(key) || []), entry.from || '?']);
+  }
+  return targets;
+}
+
+/** Scale and offset that fit a rectangle into the viewport. */
+function fitView(bounds, width, height) {
+  if (!bounds.width || !width) return { x: 0, y: 0, scale: 1 };
+  const margin = 20;
+  const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE,
+    Math.min((width - 2 * margin) / bounds.width, (height - 2 * margin) / bounds.height)));
+  return {
+    x: (width - bounds.width * scale) / 2 - bounds.x * scale,
+    y: (height - bounds.height * scale) / 2 - bounds.y * scale,
+    scale,
+  };
+}
+
+// ============================================================================
+// NodeGraphView Component
+// ============================================================================
+
+/**
+ * NodeGraphView – Pannable, zoomable read-only view of a workflow graph.
+ *
+ * @param {Object}   props
+ * @param {Object}   props.workflowJson      - The API-format ComfyUI workflow JSON.
+ * @param {Object}   [props.uiGraph]         - The UI-format graph it was imported from, for node positions.
+ * @param {Object[]} [props.replace]         - The workflow's `replace` entries, highlighted on the graph.
+ * @param {Function} props.onSelectInput     - Called with (nodeId, inputName) when a value input is clicked.
+ * @returns {preact.VNode}
+ */
+export function NodeGraphView({ workflowJson = {}, uiGraph = null, replace = [], onSelectInput }) {
+  const viewportRef = useRef(null);
+  const gestureRef = useRef(null);
+  const [view, setView] = useState({ x: 0, y: 0, scale: 1 });
+  const [panning, setPanning] = useState(false);
+  const [query, setQuery] = useState('');
+  const [matchIndex, setMatchIndex] = useState(0);
+
+  const layout = useMemo(() => layoutGraph(workflowJson, uiGraph), [workflowJson, uiGraph]);
+  const targets = useMemo(() => replaceTargets(replace), [replace]);
+  const matches = useMemo(() => searchNodes(layout.nodes, query), [layout, query]);
+  const nodeById = useMemo(() => new Map(layout.nodes.map(node => [node.id, node])), [layout]);
+
+  const fit = useCallback(() => {
+    const el = viewportRef.current;
+    if (el) setView(fitView(layout.bounds, el.clientWidth, el.clientHeight));
+  }, [layout]);
+
+  // Show the whole graph whenever a different graph is loaded
+  useEffect(() => { fit(); }, [fit]);
+
+  // Centre the current search match
+  useEffect(() => {
+    const node = nodeById.get(matches[matchIndex % matches.length]);
+    const el = viewportRef.current;
+    if (!node || !el) return;
+    setView(prev => {
+      const scale = Math.max(prev.scale, 1);
+      return {
+        x: el.clientWidth / 2 - (node.x + node.width / 2) * scale,
+        y: el.clientHeight / 2 - (node.y + node.height / 2) * scale,
+        scale,
+      };
+    });
+  }, [matches, matchIndex, nodeById]);
+
+  const zoomAt = useCallback((factor, cx, cy) => {
+    setView(prev => {
+      const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, prev.scale * factor));
+      const ratio = scale / prev.scale;
+      return { x: cx - (cx - prev.x) * ratio, y: cy - (cy - prev.y) * ratio, scale };
+    });
+  }, []);
+
+  const zoomCentre = (factor) => {
+    const el = viewportRef.current;
+    if (el) zoomAt(factor, el.clientWidth / 2, el.clientHeight / 2);
+  };
+
+  const handleWheel = (e) => {
+    e.preventDefault();
+    const rect = viewportRef.current.getBoundingClientRect();
+    zoomAt(e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP, e.clientX - rect.left, e.clientY - rect.top);
+  };
+
+  const handlePointerDown = (e) => {
+    if (e.button !== 0 || e.target.closest?.('[data-input]')) return;
+    gestureRef.current = { pointerX: e.clientX, pointerY: e.clientY, viewX: view.x, viewY: view.y };
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    setPanning(true);
+  };
+
+  const handlePointerMove = (e) => {
+    const gesture = gestureRef.current;
+    if (!gesture) return;
+    setView(prev => ({
+      ...prev,
+      x: gesture.viewX + e.clientX - gesture.pointerX,
+      y: gesture.viewY + e.clientY - gesture.pointerY,
+    }));
+  };
+
+  const handlePointerUp = () => {
+    gestureRef.current = null;
+    setPanning(false);
+  };
+
+  const colors = {
+    card: getThemeValue('colors.background.card'),
+    header: getThemeValue('colors.background.tertiary'),
+    border: getThemeValue('colors.border.primary'),
+    mapped: getThemeValue('colors.primary.background'),
+    match: getThemeValue('colors.warning.background'),
+    link: getThemeValue('colors.secondary.background'),
+    text: getThemeValue('colors.text.primary'),
+    muted: getThemeValue('colors.text.muted'),
+  };
+  const fontFamily = getThemeValue('typography.fontFamily');
+  const current = matches.length ? matches[matchIndex % matches.length] : null;
+
+  const renderLink = ({ from, slot, to, input }) => {
+    const source = nodeById.get(from);
+    const target = nodeById.get(to);
+    const row = target.inputs.findIndex(i => i.name === input);
+    const x1 = source.x + source.width;
+    const y1 = Math.min(source.y + HEADER_HEIGHT + (slot + 0.5) * ROW_HEIGHT, source.y + source.height - NODE_PADDING);
+    const x2 = target.x;
+    const y2 = target.y + HEADER_HEIGHT + (row + 0.5) * ROW_HEIGHT;
+    const bend = Math.max(40, Math.abs(x2 - x1) / 2);
+    return html`
+      <path
+        key=${`${from}:${slot}->${to}.${input}`}
+        d=${`M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`}
+        fill="none"
+        stroke=${colors.link}
+        stroke-width="2"
+      />
+    `;
+  };
+
+  const renderNode = (node) => {
+    const mapped = node.inputs.some(input => targets.has(`${node.id}.${input.name}`));
+    const stroke = node.id === current ? colors.match : mapped ? colors.mapped : colors.border;
+    return html`
+      <g key=${node.id} transform=${`translate(${node.x} ${node.y})`}>
+        <rect width=${node.width} height=${node.height} rx="6" fill=${colors.card} stroke=${stroke} stroke-width=${mapped || node.id === current ? 3 : 1} />
+        <rect width=${node.width} height=${HEADER_HEIGHT - 4} rx="6" fill=${colors.header} />
+        <text x="8" y="16" fill=${colors.text} font-family=${fontFamily} font-size="13" font-weight="bold">
+          ${truncate(`${node.id}. ${node.title}`, TITLE_LENGTH)}
+        </text>
+        <text x="8" y="31" fill=${colors.muted} font-family=${fontFamily} font-size="11">${node.classType}</text>
+        ${node.inputs.map((input, row) => {
+          const fields = targets.get(`${node.id}.${input.name}`);
+          const y = HEADER_HEIGHT + row * ROW_HEIGHT;
+          if (input.link) {
+            return html`
+              <g key=${input.name}>
+                <circle cx="0" cy=${y + ROW_HEIGHT / 2} r="4" fill=${colors.link} />
+                <text x="10" y=${y + 14} fill=${colors.muted} font-family=${fontFamily} font-size="12">${input.name}</text>
+              </g>
+            `;
+          }
+          return html`
+            <g
+              key=${input.name}
+              data-input=${input.name}
+              style="cursor:pointer"
+              onClick=${() => onSelectInput?.(node.id, input.name)}
+            >
+              <title>${fields ? `${fields.join(', ')} → ${input.name}` : `Map a data field to ${input.name}`}</title>
+              <rect x="2" y=${y} width=${node.width - 4} height=${ROW_HEIGHT} fill=${fields ? colors.mapped : 'transparent'} fill-opacity="0.25" />
+              <text x="10" y=${y + 14} fill=${colors.text} font-family=${fontFamily} font-size="12">
+                ${fields ? `${input.name} ← ${fields.join(', ')}` : input.name}
+              </text>
+              ${!fields && html`
+                <text x=${node.width - 8} y=${y + 14} fill=${colors.muted} font-family=${fontFamily} font-size="12" text-anchor="end">
+                  ${previewValue(input.value)}
+                </text>
+              `}
+            </g>
+          `;
+        })}
+      </g>
+    `;
+  };
+
+  return html`
+    <${ViewRoot}>
+      <${Toolbar}>
+        <${Input}
+          label="Find node"
+          value=${query}
+          placeholder="Title, class type or id"
+          onInput=${(e) => { setQuery(e.target.value); setMatchIndex(0); }}
+          onKeyDown=${(e) => { if (e.key === 'Enter' && matches.length) setMatchIndex(i => i + 1); }}
+        />
+        <${Button} variant="small-icon" icon="minus" tooltip="Zoom out" onClick=${() => zoomCentre(1 / ZOOM_STEP)} />
+        <${Button} variant="small-icon" icon="plus" tooltip="Zoom in" onClick=${() => zoomCentre(ZOOM_STEP)} />
+        <${Button} variant="small-text" onClick=${fit}>Fit</${Button}>
+      </${Toolbar}>
+      <${Viewport}
+        ref=${viewportRef}
+        className=${panning ? 'panning' : ''}
+        onWheel=${handleWheel}
+        onPointerDown=${handlePointerDown}
+        onPointerMove=${handlePointerMove}
+        onPointerUp=${handlePointerUp}
+        onPointerCancel=${handlePointerUp}
+      >
+        <svg>
+          <g transform=${`translate(${view.x} ${view.y}) scale(${view.scale})`}>
+            ${layout.links.map(renderLink)}
+            ${layout.nodes.map(renderNode)}
+          </g>
+        </svg>
+      </${Viewport}>
+      <${Hint}>
+        ${query && (matches.length
+          ? `Match ${(matchIndex % matches.length) + 1} of ${matches.length} (Enter for next). `
+          : 'No matching node. ')}
+        Drag to pan, scroll to zoom. Click an input to map a data field to it; highlighted inputs are already mapped.
+      </${Hint}>
+    </${ViewRoot}>
+  `;
+}
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest'
+import { layoutGraph, searchNodes, replaceTargets } from './node-graph-view.mjs'
+
+const workflowJson = {
+  4: { class_type: 'CheckpointLoaderSimple', inputs: { ckpt_name: 'flux.safetensors' }, _meta: { title: 'Load Checkpoint' } },
+  3: { class_type: 'KSampler', inputs: { seed: 1, model: ['4', 0] }, _meta: { title: 'KSampler' } },
+  8: { class_type: 'VAEDecode', inputs: { samples: ['3', 0], vae: ['4', 2] } },
+  9: { class_type: 'SaveImage', inputs: { images: ['8', 0], filename_prefix: 'out' }, _meta: { title: 'Save Frames' } },
+}
+
+describe('node graph view helpers', () => {
+  it('lays nodes out in columns by link depth', () => {
+    const { nodes, links } = layoutGraph(workflowJson)
+    const columns = Object.fromEntries(nodes.map(node => [node.id, node.x]))
+    expect(columns[4]).toBe(0)
+    expect(columns[3]).toBeGreaterThan(columns[4])
+    expect(columns[8]).toBeGreaterThan(columns[3])
+    expect(columns[9]).toBeGreaterThan(columns[8])
+    expect(links).toContainEqual({ from: '4', slot: 2, to: '8', input: 'vae' })
+    expect(nodes.find(node => node.id === '9').inputs).toEqual([
+      { name: 'images', link: { from: '8', slot: 0 } },
+      { name: 'filename_prefix', value: 'out' },
+    ])
+  })
+
+  it('keeps UI graph positions and places the other nodes beside them', () => {
+    const uiGraph = { nodes: [{ id: 4, pos: [100, 50] }, { id: 3, pos: { 0: 400, 1: 60 } }] }
+    const { nodes } = layoutGraph(workflowJson, uiGraph)
+    const byId = Object.fromEntries(nodes.map(node => [node.id, node]))
+    expect([byId[4].x, byId[4].y]).toEqual([100, 50])
+    expect([byId[3].x, byId[3].y]).toEqual([400, 60])
+    expect(byId[8].x).toBeGreaterThan(400 + byId[3].width)
+    expect(byId[8].y).toBe(50)
+  })
+
+  it('finds nodes and mapped inputs', () => {
+    const { nodes } = layoutGraph(workflowJson)
+    expect(searchNodes(nodes, 'frames')).toEqual(['9'])
+    expect(searchNodes(nodes, 'vae')).toEqual(['8'])
+    expect(searchNodes(nodes, '3')).toEqual(['3'])
+    expect(searchNodes(nodes, ' ')).toEqual([])
+
+    const targets = replaceTargets([
+      { from: 'seed', to: ['3', 'inputs', 'seed'] },
+      { from: 'seed2', to: ['3', 'inputs', 'seed'], condition: {} },
+      { from: 'saveImagePath', to: ['9', 'inputs', 'filename_prefix'] },
+      { from: 'broken', to: [] },
+    ])
+    expect([...targets]).toEqual([
+      ['3.seed', ['seed', 'seed2']],
+      ['9.filename_prefix', ['saveImagePath']],
+    ])
+  })
+})
@@ -0,0 +1,203 @@
+/**
+ * schema-form.mjs – Parameter form generated from a JSON schema.
+ *
+ * Renders one field per schema property:
+ *  - string            → Input (Select when the property has `enum`)
+ *  - number / integer  → number Input
+ *  - boolean           → Checkbox
+ *  - array of strings  → DynamicList of Inputs
+ *  - anything else     → JSON Textarea
+ *
+ * Property labels come from `title` (falling back to the key); `description`
+ * is shown as the placeholder. Used for processor task parameters.
+ */
+import { html } from 'htm/preact';
+import { useState } from 'preact/hooks';
+import { Input } from '../../custom-ui/io/input.mjs';
+import { Select } from '../../custom-ui/io/select.mjs';
+import { Textarea } from '../../custom-ui/io/textarea.mjs';
+import { Checkbox } from '../../custom-ui/io/checkbox.mjs';
+import { DynamicList } from '../../custom-ui/layout/dynamic-list.mjs';
+import { VerticalLayout } from '../../custom-ui/themed-base.mjs';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function primaryType(schema) {
+  return Array.isArray(schema?.type) ? schema.type.find(t => t !== 'null') : schema?.type;
+}
+
+/**
+ * Default parameter values for a schema: each property's `default`, or an
+ * empty value of its type for required properties.
+ * @param {Object} schema
+ * @returns {Object}
+ */
+export function getSchemaDefaults(schema) {
+  const defaults = {};
+  const required = schema?.required || [];
+  for (const [key, property] of Object.entries(schema?.properties || {})) {
+    if (property.default !== undefined) {
+      defaults[key] = structuredClone(property.default);
+    } else if (required.includes(key)) {
+      const type = primaryType(property);
+      defaults[key] = property.enum?.[0]
+        ?? (type === 'array' ? [] : type === 'boolean' ? false : type === 'number' || type === 'integer' ? 0 : type === 'object' ? {} : '');
+    }
+  }
+  return defaults;
+}
+
+// ============================================================================
+// Fields
+// ============================================================================
+
+function JsonField({ label, value, onChange }) {
+  const [text, setText] = useState(() => JSON.stringify(value ?? null, null, 2));
+  const [error, setError] = useState(null);
+
+  return html`
+    <${Textarea}
+      label=${label}
+      widthScale="full"
+      value=${text}
+      error=${error}
+      onInput=${(e) => {
+        setText(e.target.value);
+        try {
+          onChange(JSON.parse(e.target.value));
+          setError(null);
+        } catch {
+          setError('Invalid JSON');
+        }
+      }}
+    />
+  `;
+}
+
+function SchemaField({ name, schema, value, onChange }) {
+  const label = schema.title || name;
+  const placeholder = schema.description || '';
+  const type = primaryType(schema);
+
+  if (Array.isArray(schema.enum)) {
+    return html`
+      <${Select}
+        label=${label}
+        options=${schema.enum.map(option => ({ label: String(option), value: String(option) }))}
+        value=${value === undefined ? '' : String(value)}
+        onChange=${(e) => onChange(schema.enum.find(option => String(option) === e.target.value))}
+      />
+    `;
+  }
+
+  if (type === 'string') {
+    return html`
+      <${Input}
+        label=${label}
+        value=${value ?? ''}
+        onInput=${(e) => onChange(e.target.value)}
+        placeholder=${placeholder}
+      />
+    `;
+  }
+
+  if (type === 'number' || type === 'integer') {
+    return html`
+      <${Input}
+        label=${label}
+        type="number"
+        step=${type === 'integer' ? '1' : 'any'}
+        value=${value ?? ''}
+        onInput=${(e) => {
+          const parsed = type === 'integer' ? parseInt(e.target.value, 10) : parseFloat(e.target.value);
+          onChange(Number.isNaN(parsed) ? undefined : parsed);
+        }}
+        placeholder=${placeholder}
+      />
+    `;
+  }
+
+  if (type === 'boolean') {
+    return html`
+      <${Checkbox}
+        label=${label}
+        checked=${!!value}
+        onChange=${(e) => onChange(e.target.checked)}
+      />
+    `;
+  }
+
+  if (type === 'array' && primaryType(schema.items) === 'string') {
+    const items = Array.isArray(value) ? value : [];
+    return html`
+      <${DynamicList}
+        title=${label}
+        condensed
+        items=${items}
+        renderItem=${(item, i) => html`
+          <${Input}
+            heightScale="compact"
+            value=${item}
+            onInput=${(e) => {
+              const next = [...items];
+              next[i] = e.target.value;
+              onChange(next);
+            }}
+          />
+        `}
+        createItem=${() => ''}
+        onChange=${onChange}
+        addLabel="Add Item"
+      />
+    `;
+  }
+
+  return html`<${JsonField} label=${label} value=${value} onChange=${onChange} />`;
+}
+
+// ============================================================================
+// SchemaForm (main export)
+// ============================================================================
+
+/**
+ * SchemaForm – Edit an object value described by a JSON schema.
+ *
+ * @param {Object}   props
+ * @param {Object}   props.schema   - Object schema with `properties`.
+ * @param {Object}   props.value    - Current value.
+ * @param {Function} props.onChange - Called with the updated value; cleared
+ *   number fields are removed rather than stored as NaN.
+ * @returns {preact.VNode}
+ */
+export function SchemaForm({ schema, value, onChange }) {
+  const properties = Object.entries(schema?.properties || {});
+  const current = value || {};
+
+  const updateField = (key, fieldValue) => {
+    const next = { ...current };
+    if (fieldValue === undefined) {
+      delete next[key];
+    } else {
+      next[key] = fieldValue;
+    }
+    onChange(next);
+  };
+
+  if (properties.length === 0) return null;
+
+  return html`
+    <${VerticalLayout} gap="small">
+      ${properties.map(([key, property]) => html`
+        <${SchemaField}
+          key=${key}
+          name=${key}
+          schema=${property}
+          value=${current[key]}
+          onChange=${(fieldValue) => updateField(key, fieldValue)}
+        />
+      `)}
+    </${VerticalLayout}>
+  `;
+}
@@ -5,6 +5,7 @@
  *  - template             : { template, to, condition? }
  *  - from                 : { from, to, condition? }
  *  - model (LLM)          : { model, imagePath, prompt, to, condition? }
+ *                           or structured: { model, imagePath, prompt, format, mapTo, retries?, to?, condition? }
  *  - additionalProcessing : { process: <processorName>, parameters: {}, condition? }
  *  - executeWorkflow      : { process: "executeWorkflow", name, workflow, parameters: { inputMapping, outputMapping }, condition? }
  *
@@ -12,19 +13,22 @@
  *  - has `template` → "template"
  *  - has `from` → "from"
  *  - has `model` → "model"
- *  - has `process` matching ADDITIONAL_PROCESSORS → "additionalProcessing"
  *  - has `process === "executeWorkflow"` → "executeWorkflow"
+ *  - has any other `process` → "additionalProcessing" (processors and their
+ *    parameter schemas come from GET /api/processors, including plugins)
  */
 import { html } from 'htm/preact';
-import { useCallback, useState, useEffect } from 'preact/hooks';
+import { useCallback, useState, useEffect, useRef } from 'preact/hooks';
 import { styled } from '../../custom-ui/goober-setup.mjs';
 import { currentTheme } from '../../custom-ui/theme.mjs';
 import { Input } from '../../custom-ui/io/input.mjs';
 import { Select } from '../../custom-ui/io/select.mjs';
 import { Textarea } from '../../custom-ui/io/textarea.mjs';
+import { Checkbox } from '../../custom-ui/io/checkbox.mjs';
 import { DynamicList } from '../../custom-ui/layout/dynamic-list.mjs';
 import { Icon } from '../../custom-ui/layout/icon.mjs';
 import { ConditionBuilder } from './condition-builder.mjs';
+import { SchemaForm, getSchemaDefaults } from './schema-form.mjs';
 import { H3, HorizontalLayout, VerticalLayout } from '../../custom-ui/themed-base.mjs';
 
 // ============================================================================
@@ -43,23 +47,36 @@ const MathSpan = styled('span')`
 `;
 MathSpan.className = 'math-span';
 
+const ProcessorHint = styled('div')`
+  font-size: ${props => props.theme.typography.fontSize.small};
+  color: ${props => props.theme.colors.text.secondary};
+`;
+ProcessorHint.className = 'task-form-processor-hint';
+
 // ============================================================================
 // Helpers
 // ============================================================================
 
-const ADDITIONAL_PROCESSORS = [
-  { value: 'extractOutputMediaFromTextFile', label: 'Extract output media from text file' },
-  { value: 'crossfadeVideoFrames',           label: 'Crossfade video frames' },
-  { value: 'crossfadeAudioClip',             label: 'Crossfade audio clip' },
-  { value: 'extractOutputTexts',             label: 'Extract output texts' },
-];
+const DEFAULT_PROCESSOR = 'extractOutputMediaFromTextFile';
 
-const ADDITIONAL_PROCESSOR_DEFAULTS = {
-  extractOutputMediaFromTextFile: { filename: '' },
-  crossfadeVideoFrames:           { blendFrames: 10 },
-  crossfadeAudioClip:             { blendDuration: 3 },
-  extractOutputTexts:             { properties: [] },
-};
+// Processor list shared by every task form; fetched once per page load
+let processorsRequest = null;
+
+/**
+ * Fetch processors (built-in and plugins) with their parameter schemas.
+ * executeWorkflow has its own task type and is left out.
+ * @returns {Promise<Object[]>}
+ */
+function loadProcessors() {
+  processorsRequest ??= fetch('/api/processors')
+    .then(r => r.ok ? r.json() : { processors: [] })
+    .then(data => (data.processors || []).filter(p => p.name !== 'executeWorkflow'))
+    .catch(() => {
+      processorsRequest = null;
+      return [];
+    });
+  return processorsRequest;
+}
 
 /**
  * Build a compact formula string for a math task, e.g. `ceil((frames-1)*0.25)*4+1`.
@@ -97,7 +114,7 @@ export function buildMathFormula(item) {
  */
 export function getTaskType(task) {
   if (task.process === 'executeWorkflow')                              return 'executeWorkflow';
-  if (ADDITIONAL_PROCESSORS.some(p => p.value === task.process))     return 'additionalProcessing';
+  if (task.process  !== undefined)                                     return 'additionalProcessing';
   if (task.math     !== undefined)                                     return 'math';
   if (task.template !== undefined)                                     return 'template';
   if (task.from     !== undefined)                                     return 'from';
@@ -111,7 +128,7 @@ const BLANK_TASKS = {
   from:                 { from: '', to: '' },
   math:                 { from: '', to: '', math: [{ offset: 0, scale: 1, bias: 0, round: 'none' }] },
   model:                { model: '', imagePath: 'saveImagePath', prompt: '', to: '' },
-  additionalProcessing: { process: 'extractOutputMediaFromTextFile', parameters: { filename: '' } },
+  additionalProcessing: { process: DEFAULT_PROCESSOR, parameters: { filename: '' } },
   executeWorkflow:      { process: 'executeWorkflow', name: '', parameters: { workflow: '', inputMapping: [], outputMapping: [] } },
 };
 
@@ -286,6 +303,77 @@ function MathTaskForm({ task, onChange }) {
 // Sub-form: LLM task
 // ============================================================================
 
+const STRUCTURED_FIELD_TYPES = [
+  { value: 'string',  label: 'Text'    },
+  { value: 'number',  label: 'Number'  },
+  { value: 'boolean', label: 'Yes/No'  },
+  { value: 'array',   label: 'List'    },
+];
+
+/**
+ * Read the field-mapping rows of a structured LLM task.
+ * @param {Object} task
+ * @returns {{ property: string, type: string, field: string }[]}
+ */
+export function getStructuredFields(task) {
+  const properties = task.format?.properties || {};
+  return Object.entries(properties).map(([property, schema]) => ({
+    property,
+    type: schema?.type || 'string',
+    field: task.mapTo?.[property] ?? property,
+  }));
+}
+
+/**
+ * Write field-mapping rows back as the task's `format` schema and `mapTo`.
+ * Every property is required; lists are lists of strings.
+ * @param {Object} task
+ * @param {{ property: string, type: string, field: string }[]} rows
+ * @returns {Object} Updated task
+ */
+export function setStructuredFields(task, rows) {
+  const properties = {};
+  const mapTo = {};
+  for (const row of rows) {
+    if (!row.property) continue;
+    properties[row.property] = row.type === 'array' ? { type: 'array', items: { type: 'string' } } : { type: row.type };
+    mapTo[row.property] = row.field || row.property;
+  }
+  return {
+    ...task,
+    format: { type: 'object', properties, required: Object.keys(properties) },
+    mapTo,
+  };
+}
+
+function StructuredFieldForm({ row, onChange }) {
+  return html`
+    <${HorizontalLayout} gap="medium">
+      <${Input}
+        label="JSON Property"
+        value=${row.property}
+        onInput=${(e) => onChange({ ...row, property: e.target.value })}
+        placeholder="e.g. title"
+        heightScale="compact"
+      />
+      <${Select}
+        label="Type"
+        options=${STRUCTURED_FIELD_TYPES}
+        value=${row.type}
+        onChange=${(e) => onChange({ ...row, type: e.target.value })}
+        heightScale="compact"
+      />
+      <${Input}
+        label="Target Field"
+        value=${row.field}
+        onInput=${(e) => onChange({ ...row, field: e.target.value })}
+        placeholder="e.g. name"
+        heightScale="compact"
+      />
+    </${HorizontalLayout}>
+  `;
+}
+
 function ModelTaskForm({ task, onChange }) {
   const [modelOptions, setModelOptions] = useState([]);
 
@@ -299,6 +387,36 @@ function ModelTaskForm({ task, onChange }) {
       .catch(() => {});
   }, []);
 
+  const structured = task.format !== undefined;
+
+  // Rows are kept locally so blank or half-typed rows survive until they are
+  // complete; they are re-read whenever the task's format changes elsewhere.
+  const [fields, setFields] = useState(() => getStructuredFields(task));
+  const writtenFormat = useRef(task.format);
+  useEffect(() => {
+    if (task.format !== writtenFormat.current) {
+      writtenFormat.current = task.format;
+      setFields(getStructuredFields(task));
+    }
+  }, [task.format]);
+
+  const updateFields = useCallback((rows, base = task) => {
+    const next = setStructuredFields(base, rows);
+    writtenFormat.current = next.format;
+    setFields(rows);
+    onChange(next);
+  }, [task, onChange]);
+
+  const handleStructuredToggle = useCallback((e) => {
+    if (e.target.checked) {
+      const { to, ...rest } = task;
+      updateFields(to ? [{ property: to, type: 'string', field: to }] : [], rest);
+    } else {
+      const { format, mapTo, retries, ...rest } = task;
+      onChange({ ...rest, to: task.to || fields[0]?.field || '' });
+    }
+  }, [task, fields, onChange, updateFields]);
+
   return html`
     <${HorizontalLayout} gap="medium">
       <${Select}
@@ -315,13 +433,15 @@ function ModelTaskForm({ task, onChange }) {
         placeholder="e.g. saveImagePath"
         
       />
-      <${Input}
-        label="Target Field"
-        value=${task.to || ''}
-        onInput=${(e) => onChange({ ...task, to: e.target.value })}
-        placeholder="e.g. description"
-        
-      />
+      ${!structured && html`
+        <${Input}
+          label="Target Field"
+          value=${task.to || ''}
+          onInput=${(e) => onChange({ ...task, to: e.target.value })}
+          placeholder="e.g. description"
+          
+        />
+      `}
     </${HorizontalLayout}>
     <${Textarea}
       label="Prompt"
@@ -330,6 +450,39 @@ function ModelTaskForm({ task, onChange }) {
       onInput=${(e) => onChange({ ...task, prompt: e.target.value })}
       placeholder="LLM system prompt…"
     />
+    <${Checkbox}
+      label="Structured output (fill several fields from one JSON reply)"
+      checked=${structured}
+      onChange=${handleStructuredToggle}
+    />
+    ${structured && html`
+      <${DynamicList}
+        title="Field Mapping"
+        condensed
+        items=${fields}
+        renderItem=${(row, i) => html`
+          <${StructuredFieldForm}
+            row=${row}
+            onChange=${(updated) => {
+              const next = [...fields];
+              next[i] = updated;
+              updateFields(next);
+            }}
+          />
+        `}
+        createItem=${() => ({ property: '', type: 'string', field: '' })}
+        onChange=${(items) => updateFields(items)}
+        addLabel="Add Field"
+      />
+      <${Input}
+        label="Retries on invalid reply"
+        type="number"
+        min="0"
+        value=${task.retries ?? 2}
+        onInput=${(e) => onChange({ ...task, retries: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+        widthScale="compact"
+      />
+    `}
   `;
 }
 
@@ -338,76 +491,42 @@ function ModelTaskForm({ task, onChange }) {
 // ============================================================================
 
 function AdditionalProcessingTaskForm({ task, onChange }) {
-  const process = task.process || ADDITIONAL_PROCESSORS[0].value;
-  const params  = task.parameters || {};
+  const [processors, setProcessors] = useState([]);
+  const process = task.process || DEFAULT_PROCESSOR;
+  const selected = processors.find(p => p.name === process);
+
+  useEffect(() => {
+    loadProcessors().then(setProcessors);
+  }, []);
 
   const handleProcessChange = useCallback((e) => {
-    const newProcess = e.target.value;
-    onChange({ ...task, process: newProcess, parameters: { ...ADDITIONAL_PROCESSOR_DEFAULTS[newProcess] } });
-  }, [task, onChange]);
+    const next = processors.find(p => p.name === e.target.value);
+    onChange({ ...task, process: e.target.value, parameters: getSchemaDefaults(next?.schema) });
+  }, [task, processors, onChange]);
 
-  const updateParam = useCallback((key, value) => {
-    onChange({ ...task, parameters: { ...params, [key]: value } });
-  }, [task, params, onChange]);
+  // Keep a saved task selectable even if its plugin is not installed here
+  const options = processors.map(p => ({ value: p.name, label: p.builtIn ? p.label : `${p.label} (plugin)` }));
+  if (!selected) options.push({ value: process, label: processors.length > 0 ? `${process} (not installed)` : process });
 
   return html`
     <${Select}
       label="Processor"
-      options=${ADDITIONAL_PROCESSORS}
+      options=${options}
       value=${process}
       onChange=${handleProcessChange}
       
     />
-
-    ${process === 'extractOutputMediaFromTextFile' && html`
-      <${Input}
-        label="Filename"
-        value=${params.filename || ''}
-        onInput=${(e) => updateParam('filename', e.target.value)}
-        placeholder="output text file name"
-        
-      />
-    `}
-
-    ${process === 'crossfadeVideoFrames' && html`
-      <${Input}
-        label="Blend frames"
-        type="number"
-        value=${params.blendFrames ?? 10}
-        onInput=${(e) => updateParam('blendFrames', parseInt(e.target.value, 10) || 0)}
-        
-      />
-    `}
-
-    ${process === 'crossfadeAudioClip' && html`
-      <${Input}
-        label="Blend duration (seconds)"
-        type="number"
-        value=${params.blendDuration ?? 3}
-        onInput=${(e) => updateParam('blendDuration', parseFloat(e.target.value) || 0)}
-        
-      />
+    ${selected && html`
+      <${ProcessorHint} theme=${currentTheme.value}>
+        ${selected.description ? `${selected.description} ` : ''}Supports: ${selected.mediaTypes.join(', ')}
+      </${ProcessorHint}>
     `}
 
-    ${process === 'extractOutputTexts' && html`
-      <${DynamicList}
-        title="Properties"
-        condensed
-        items=${params.properties || []}
-        renderItem=${(item, i) => html`
-          <${Input}
-            heightScale="compact"
-            value=${item}
-            onInput=${(e) => {
-              const next = [...(params.properties || [])];
-              next[i] = e.target.value;
-              updateParam('properties', next);
-            }}
-          />
-        `}
-        createItem=${() => ''}
-        onChange=${(items) => updateParam('properties', items)}
-        addLabel="Add Property"
+    ${selected && html`
+      <${SchemaForm}
+        schema=${selected.schema}
+        value=${task.parameters || {}}
+        onChange=${(parameters) => onChange({ ...task, parameters })}
       />
     `}
   `;
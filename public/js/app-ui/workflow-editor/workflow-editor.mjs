@@ -4,6 +4,7 @@
  * Renders:
  *  - A header with an "Open" button that launches a ListSelectModal for workflow selection
  *  - A vertical form with all workflow configuration sections
+ *  - A node graph of the base workflow for mapping inputs by clicking them
  *  - Save / delete controls with validation
  *  - Toast notifications on save/error
  */
@@ -21,12 +22,13 @@ import { Panel } from '../../custom-ui/layout/panel.mjs';
 import { H1, VerticalLayout, HorizontalLayout, H3 } from '../../custom-ui/themed-base.mjs';
 import { DynamicList } from '../../custom-ui/layout/dynamic-list.mjs';
 import { NodeInputSelector } from './node-input-selector.mjs';
+import { NodeGraphView } from './node-graph-view.mjs';
 import { TaskForm, getTaskType, buildMathFormula } from './task-form.mjs';
 import { ConditionBuilder } from './condition-builder.mjs';
 import { HamburgerMenu } from '../hamburger-menu.mjs';
 import { Icon } from '../../custom-ui/layout/icon.mjs';
 import ListSelectModal from '../../custom-ui/overlays/list-select.mjs';
-import { showDialog } from '../../custom-ui/overlays/dialog.mjs';
+import { showDialog, showTextPrompt } from '../../custom-ui/overlays/dialog.mjs';
 import { AppHeader } from '../themed-base.mjs';
 
 // ============================================================================
@@ -108,6 +110,32 @@ function getWorkflowIcon(wf) {
 // Validation helpers (mirrors server-side logic)
 // ============================================================================
 
+// Mirrors TEMPLATE_PIPES in server/template-utils.mjs
+const TEMPLATE_PIPES = new Set([
+  'split-by-spaces', 'join-by-spaces', 'snakecase', 'camelcase', 'kebabcase', 'titlecase',
+  'lowercase', 'uppercase', 'truncate', 'default', 'date', 'pad', 'slug', 'sanitize-filename',
+  'join', 'first', 'last',
+]);
+
+/**
+ * Unknown pipe names used in a task template or prompt.
+ * @param {string} template
+ * @returns {string[]}
+ */
+function findUnknownPipes(template) {
+  const unknown = [];
+  for (const [, content] of String(template).matchAll(/\{\{([^}]+)\}\}/g)) {
+    const tag = content.trim();
+    // Section tags ({{#if x}}, {{else}}, {{/if}}) take no pipes
+    if (tag.startsWith('#') || tag.startsWith('/') || tag === 'else') continue;
+    for (const segment of tag.split('|').slice(1)) {
+      const name = segment.split(':')[0].trim();
+      if (!TEMPLATE_PIPES.has(name)) unknown.push(name);
+    }
+  }
+  return unknown;
+}
+
 function validateWorkflowFrontend(workflow) {
   if (!workflow) return ['No workflow loaded'];
   const errors = [];
@@ -118,6 +146,16 @@ function validateWorkflowFrontend(workflow) {
   if (!replace.some(r => r.from === 'saveImagePath' || r.from === 'saveAudioPath')
       && !(workflow.postGenerationTasks || []).some(t => t.process === 'extractOutputMediaFromTextFile'))
     errors.push('Missing required output path binding (saveImagePath, saveAudioPath, or extractOutputMediaFromTextFile post-task)');
+  for (const listName of ['preGenerationTasks', 'postGenerationTasks']) {
+    (workflow[listName] || []).forEach((task, i) => {
+      for (const field of ['template', 'prompt']) {
+        if (typeof task[field] !== 'string') continue;
+        for (const pipe of findUnknownPipes(task[field])) {
+          errors.push(`${listName}[${i}].${field}: unknown pipe "${pipe}"`);
+        }
+      }
+    });
+  }
   return errors;
 }
 
@@ -429,6 +467,7 @@ export function WorkflowEditor() {
   // Last version loaded from or saved to the server — used for dirty detection.
   const [savedWorkflow,   setSavedWorkflow]   = useState(null);
   const [workflowJson,    setWorkflowJson]    = useState({}); // raw ComfyUI JSON
+  const [uiGraph,         setUiGraph]         = useState(null); // UI-format graph the base was imported from
   const [isSaving,        setIsSaving]        = useState(false);
   const [isDeleting,      setIsDeleting]      = useState(false);
   const [showTooltip,     setShowTooltip]     = useState(false);
@@ -487,11 +526,21 @@ export function WorkflowEditor() {
           setWorkflowJson({});
         }
       }
+      await loadUiGraph(name);
     } catch (e) {
       toast.error(`Failed to load workflow: ${e.message}`);
     }
   }
 
+  async function loadUiGraph(name) {
+    try {
+      const res = await fetch(`/api/workflows/${encodeURIComponent(name)}/ui-graph`);
+      setUiGraph(res.ok ? await res.json() : null);
+    } catch {
+      setUiGraph(null);
+    }
+  }
+
   async function handleMoveWorkflow(name, direction) {
     const index = workflowList.findIndex(wf => wf.name === name);
     if (index === -1) return;
@@ -542,6 +591,8 @@ export function WorkflowEditor() {
           setWorkflowJson({});
         }
       }
+      // The copy shares the base file, so it shares the UI graph too
+      await loadUiGraph(name);
     } catch (e) {
       toast.error(`Failed to duplicate workflow: ${e.message}`);
     }
@@ -562,11 +613,16 @@ export function WorkflowEditor() {
       setSavedWorkflow(data.workflow);
       // Upload response includes the workflowJson directly
       setWorkflowJson(data.workflowJson || {});
+      if (data.converted) await loadUiGraph(data.workflow.name);
+      else setUiGraph(null);
 
       await loadWorkflowList();
       await loadBaseFiles();
       setIsModalOpen(false);
-      toast.success(`Uploaded "${data.workflow.name}"`);
+      toast.success(data.converted
+        ? `Uploaded "${data.workflow.name}" (converted from a ComfyUI UI graph)`
+        : `Uploaded "${data.workflow.name}"`);
+      (data.warnings || []).forEach(warning => toast.info(warning));
     } catch (e) {
       toast.error(`Upload failed: ${e.message}`);
     }
@@ -614,6 +670,7 @@ export function WorkflowEditor() {
         setWorkflow(null);
         setSavedWorkflow(null);
         setWorkflowJson({});
+        setUiGraph(null);
       }
       await loadWorkflowList();
       toast.success('Workflow deleted');
@@ -631,6 +688,7 @@ export function WorkflowEditor() {
   }
 
   async function handleBaseChange(filename) {
+    setUiGraph(null);
     try {
       const res = await fetch(`/api/workflows/base-files/${encodeURIComponent(filename)}`);
       if (res.ok) {
@@ -643,6 +701,27 @@ export function WorkflowEditor() {
     }
   }
 
+  // Clicking an input on the node graph creates or edits the replace mapping onto it
+  async function handleGraphInputSelect(nodeId, inputName) {
+    const replace = workflow.replace || [];
+    const index = replace.findIndex(r => Array.isArray(r.to) && String(r.to[0]) === nodeId && r.to[2] === inputName);
+    const nodeTitle = workflowJson[nodeId]?._meta?.title ?? workflowJson[nodeId]?.class_type ?? nodeId;
+    const from = await showTextPrompt(
+      `Source field for ${nodeId}. ${nodeTitle} → ${inputName}${index !== -1 ? ' (empty removes the mapping)' : ''}`,
+      index !== -1 ? replace[index].from || '' : '',
+      'e.g. seed, prompt, frames'
+    );
+    if (from === null) return;
+    const field = from.trim();
+    if (index === -1) {
+      if (field) updateWorkflow({ replace: [...replace, { from: field, to: [nodeId, 'inputs', inputName] }] });
+    } else if (field) {
+      updateWorkflow({ replace: replace.map((r, i) => (i === index ? { ...r, from: field } : r)) });
+    } else {
+      updateWorkflow({ replace: replace.filter((_, i) => i !== index) });
+    }
+  }
+
   const validationErrors = validateWorkflowFrontend(workflow);
   const canSave = validationErrors.length === 0;
   const workflowDirty = useMemo(
@@ -763,6 +842,21 @@ export function WorkflowEditor() {
             />
           </${Panel}>
 
+          <!-- Node Graph -->
+          ${Object.keys(workflowJson).length > 0 && html`
+            <${Panel} variant="outlined">
+              <${VerticalLayout} gap="small">
+                <${H3}>Node Graph</${H3}>
+                <${NodeGraphView}
+                  workflowJson=${workflowJson}
+                  uiGraph=${uiGraph}
+                  replace=${workflow.replace || []}
+                  onSelectInput=${handleGraphInputSelect}
+                />
+              </${VerticalLayout}>
+            </${Panel}>
+          `}
+
           <!-- Replace Mappings -->
           <${Panel} variant="outlined">
             <${DynamicList}
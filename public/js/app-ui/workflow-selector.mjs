@@ -121,11 +121,16 @@ export function WorkflowSelector({ value, onChange, disabled = false, filterType
     onChange(null);
   };
 
-  // Build options for select
+  // Build options for select; workflows missing nodes or models on ComfyUI are marked
   const options = [
     { label: loading ? 'Loading workflows...' : 'Select a workflow...', value: '' },
-    ...filteredWorkflows.map(w => ({ label: w.name, value: w.name }))
+    ...filteredWorkflows.map(w => ({ label: w.available === false ? `${w.name} (unavailable)` : w.name, value: w.name }))
   ];
+
+  const selected = workflows.find(w => w.name === value?.name);
+  const unavailableMessage = selected?.available === false
+    ? `Cannot run on ComfyUI – ${selected.unavailableReason}`
+    : null;
   
   const showTypeSelector = typeOptions && typeOptions.length > 1;
 
@@ -146,7 +151,7 @@ export function WorkflowSelector({ value, onChange, disabled = false, filterType
         value=${value?.name || ''}
         onChange=${handleChange}
         disabled=${loading || disabled}
-        error=${error}
+        error=${error || unavailableMessage}
         widthScale="full"
       />
     </${Container}>
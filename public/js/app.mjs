@@ -15,6 +15,9 @@ import { currentTheme } from './custom-ui/theme.mjs';
 
 import { WorkflowSelector } from './app-ui/workflow-selector.mjs';
 import { GenerationForm } from './app-ui/main/generation-form.mjs';
+import { showBatchDialog } from './app-ui/main/batch-dialog.mjs';
+import { showImageOpsDialog } from './app-ui/main/image-ops-dialog.mjs';
+import { describeDependents } from './app-ui/main/lineage-dialog.mjs';
 import { GeneratedResult } from './app-ui/main/generated-result.mjs';
 import { SoundEditorModal } from './app-ui/sound-editor/sound-editor-modal.mjs';
 import { Gallery } from './app-ui/main/gallery.mjs';
@@ -329,6 +332,30 @@ function App() {
   };
   
   // Handle Generate
+  // JSON body for /generate (and /generate/batch) from the current form state
+  const buildJsonRequest = (seed, orientation) => {
+    const requestBody = {
+      workflow: workflow.name,
+      name: formState.name,
+      description: formState.description,
+      prompt: formState.description,
+      seed,
+      orientation,
+      requestOrigin: 'yaaiic'
+    };
+
+    // Add all extra inputs from workflow configuration
+    if (workflow.extraInputs && Array.isArray(workflow.extraInputs)) {
+      workflow.extraInputs.forEach(input => {
+        const value = formState[input.id];
+        if (value !== undefined && value !== null && value !== '') {
+          requestBody[input.id] = value;
+        }
+      });
+    }
+    return requestBody;
+  };
+
   const handleGenerate = async () => {
     if (!workflow) {
       toast.error('Please select a workflow');
@@ -501,25 +528,7 @@ function App() {
         });
       } else {
         // No images - use JSON
-        const requestBody = {
-          workflow: workflow.name,
-          name: formState.name,
-          description: formState.description,
-          prompt: formState.description,
-          seed: seedToUse,
-          orientation: orientation,
-          requestOrigin: 'yaaiic'
-        };
-        
-        // Add all extra inputs from workflow configuration
-        if (workflow.extraInputs && Array.isArray(workflow.extraInputs)) {
-          workflow.extraInputs.forEach(input => {
-            const value = formState[input.id];
-            if (value !== undefined && value !== null && value !== '') {
-              requestBody[input.id] = value;
-            }
-          });
-        }
+        const requestBody = buildJsonRequest(seedToUse, orientation);
 
         response = await fetchJson('/generate?queueOnly=false', {
           method: 'POST',
@@ -536,6 +545,13 @@ function App() {
     }
   };
 
+  const handleBatch = () => {
+    if (!workflow) return;
+    const seed = formState.seedLocked ? formState.seed : generateRandomSeed();
+    const requestBody = buildJsonRequest(seed, workflow.orientation || 'detect');
+    showBatchDialog(workflow, { ...requestBody, clientId: getClientId() });
+  };
+
   const handleGenerationComplete = async (data) => {
     setTaskId(prev => (!data || !data.taskId || prev === data.taskId) ? null : prev);
 
@@ -739,8 +755,9 @@ function App() {
   const handleDeleteImage = async (image) => {
     if (!image) return;
 
+    const dependentsWarning = await describeDependents([image.uid]);
     const result = await showDialog(
-      `Are you sure you want to delete "${image.name || 'this image'}"? This action cannot be undone.`,
+      `Are you sure you want to delete "${image.name || 'this image'}"? This action cannot be undone.${dependentsWarning ? ` ${dependentsWarning}` : ''}`,
       'Confirm Deletion',
       ['Delete', 'Cancel']
     );
@@ -781,16 +798,21 @@ function App() {
     if (image.uid) window.location.href = `inpaint.html?uid=${image.uid}`;
   };
 
-  const handleSoundEdit = useCallback((item) => setSoundEditorItem(item), []);
+  // Crop / adjust edits are saved as a new entry, which becomes the current result
+  const handleImageEdit = (image) => {
+    showImageOpsDialog(image, {
+      onSaved: (entry) => {
+        const media = backfillMissingProperties([entry])[0];
+        setGeneratedImage(media);
+        setHistory(prev => [media, ...prev]);
+        historyNav.selectByIndex(0);
+      },
+    });
+  };
 
-  // Called after a metadata-only save (clip regions changed, no new file).
-  const handleSoundEditSaved = useCallback((savedEntry) => {
-    setSoundEditorItem(null);
-    setHistory(prev => prev.map(h => h.uid === savedEntry.uid ? savedEntry : h));
-    setGeneratedImage(prev => prev?.uid === savedEntry.uid ? savedEntry : prev);
-  }, []);
+  const handleSoundEdit = useCallback((item) => setSoundEditorItem(item), []);
 
-  // Called after a physical edit (trim/crop) upload starts.
+  // Called after the sound editor's upload starts.
   // The upload creates a new derived entry asynchronously (album cover generation),
   // so we close the modal and hand the taskId to the existing ProgressBanner mechanism
   // which fetches the finished entry via SSE and adds it to history.
@@ -1121,6 +1143,7 @@ function App() {
             formState=${formState}
             onFieldChange=${handleFieldChange}
             onGenerate=${handleGenerate}
+            onBatch=${handleBatch}
             onOpenGallery=${() => setIsGalleryOpen(true)}
             onUploadClick=${() => document.getElementById('upload-file-input')?.click()}
             inputImages=${inputImages}
@@ -1142,6 +1165,7 @@ function App() {
         onUseDescription=${handleUseDescription}
         onDelete=${handleDeleteImage}
         onInpaint=${handleInpaint}
+        onImageEdit=${handleImageEdit}
         onSoundEdit=${handleSoundEdit}
         onEdit=${handleEdit}
         onRegenerate=${handleRegenerate}
@@ -1188,7 +1212,6 @@ function App() {
       <${SoundEditorModal}
         item=${soundEditorItem}
         onClose=${() => setSoundEditorItem(null)}
-        onSaved=${handleSoundEditSaved}
         onSaveTask=${handleSoundEditSaveTask}
       />
     ` : null}
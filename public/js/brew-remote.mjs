@@ -0,0 +1,27 @@
+// Brew Remote page entry point
+import { render } from 'preact';
+import { html } from 'htm/preact';
+
+import { Page } from './custom-ui/layout/page.mjs';
+import { ToastProvider } from './custom-ui/msg/toast.mjs';
+import { HoverPanelProvider } from './custom-ui/overlays/hover-panel.mjs';
+import { TooltipProvider } from './custom-ui/overlays/tooltip.mjs';
+import { BrewRemote } from './app-ui/brew-session/brew-remote.mjs';
+
+document.addEventListener('DOMContentLoaded', () => {
+  const root = document.getElementById('app');
+  if (root) {
+    render(html`
+      <${HoverPanelProvider}>
+        <${TooltipProvider}>
+          <${Page}>
+            <${ToastProvider}>
+              <${BrewRemote} />
+            </${ToastProvider}>
+          </${Page}>
+        </${TooltipProvider}>
+      </${HoverPanelProvider}>
+    `, root);
+    console.log('Brew Remote mounted');
+  }
+});
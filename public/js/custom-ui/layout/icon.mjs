@@ -176,6 +176,7 @@ const ICON_MAP = {
   'arrow-left-stroke': 'arrow_left_alt',
   'cut': 'content_cut',
   'crop': 'crop',
+  'lineage': 'account_tree',
   'repeat': 'repeat',
   'drag-handle': 'drag_indicator',
   'expand-right': 'expand_content',
@@ -16,6 +16,13 @@ import { ProgressProvider, useProgress } from './custom-ui/msg/progress-context.
 import { WorkflowSelector } from './app-ui/workflow-selector.mjs';
 import { InpaintCanvas } from './app-ui/inpaint/inpaint-canvas.mjs';
 import { InpaintForm } from './app-ui/inpaint/inpaint-form.mjs';
+import { maskToBlob, getMaskBounds } from './app-ui/inpaint/mask-editor.mjs';
+import {
+  OutpaintPanel,
+  DEFAULT_OUTPAINT_SETTINGS,
+  getOutpaintPadding,
+  appendOutpaintSettings,
+} from './app-ui/inpaint/outpaint-panel.mjs';
 import { NavigatorControl } from './custom-ui/nav/navigator.mjs';
 import { useItemNavigation } from './custom-ui/nav/use-item-navigation.mjs';
 import { fetchJson, fetchWithRetry, getQueryParam } from './custom-ui/util.mjs';
@@ -51,38 +58,6 @@ function canvasToBlob(canvas, mimeType = 'image/png') {
   });
 }
 
-/**
- * Generate mask canvas from inpaint area
- */
-function generateMaskCanvas(width, height, inpaintArea) {
-  if (!inpaintArea) {
-    throw new Error('Invalid inpaint area');
-  }
-  
-  const maskCanvas = document.createElement('canvas');
-  maskCanvas.width = width;
-  maskCanvas.height = height;
-  
-  const ctx = maskCanvas.getContext('2d');
-  
-  // Clear canvas with black
-  ctx.fillStyle = 'rgb(0, 0, 0)';
-  ctx.fillRect(0, 0, maskCanvas.width, maskCanvas.height);
-  
-  // Calculate rectangle bounds
-  const { x1, y1, x2, y2 } = inpaintArea;
-  const left = Math.min(x1, x2);
-  const top = Math.min(y1, y2);
-  const width2 = Math.abs(x2 - x1);
-  const height2 = Math.abs(y2 - y1);
-  
-  // Draw filled rectangle in white
-  ctx.fillStyle = 'rgb(255, 255, 255)';
-  ctx.fillRect(left, top, width2, height2);
-  
-  return maskCanvas;
-}
-
 /**
  * Create original image canvas (clean, without overlays)
  */
@@ -119,7 +94,10 @@ function InpaintApp() {
   const [error, setError] = useState(null);
   const [workflow, setWorkflow] = useState(null);
   const [mediaData, setMediaData] = useState(null);
-  const [inpaintArea, setInpaintArea] = useState(null);
+  const [mask, setMask] = useState(null);
+  const [feather, setFeather] = useState(0);
+  const [mode, setMode] = useState(getQueryParam('mode') === 'outpaint' ? 'outpaint' : 'inpaint');
+  const [outpaintSettings, setOutpaintSettings] = useState(DEFAULT_OUTPAINT_SETTINGS);
   const [history, setHistory] = useState([]);
   const [taskId, setTaskId] = useState(null);
   
@@ -202,11 +180,6 @@ function InpaintApp() {
           seed: data.seed || generateRandomSeed()
         }));
         
-        // Restore inpaint area if available
-        if (data.inpaintArea) {
-          setInpaintArea(data.inpaintArea);
-        }
-        
         setLoading(false);
         toast.success('Image loaded for inpainting');
         
@@ -250,9 +223,9 @@ function InpaintApp() {
     }
   };
 
-  // Handle inpaint area change
-  const handleInpaintAreaChange = useCallback((newArea) => {
-    setInpaintArea(newArea);
+  // Handle mask change
+  const handleMaskChange = useCallback((newMask) => {
+    setMask(newMask);
   }, []);
 
   // Handle inpaint generation
@@ -262,8 +235,8 @@ function InpaintApp() {
       return;
     }
     
-    if (!inpaintArea) {
-      toast.error('Please select an inpaint area');
+    if (mode === 'inpaint' && !mask) {
+      toast.error('Please paint or select an area to inpaint');
       return;
     }
     
@@ -278,26 +251,21 @@ function InpaintApp() {
       // Get the original image canvas
       const imageCanvas = await createOriginalImageCanvas(mediaData.imageUrl);
       
+      // Outpaint generates at the extended size
+      const padding = mode === 'outpaint'
+        ? getOutpaintPadding(imageCanvas.width, imageCanvas.height, outpaintSettings)
+        : { left: 0, right: 0, top: 0, bottom: 0 };
+      const targetWidth = imageCanvas.width + padding.left + padding.right;
+      const targetHeight = imageCanvas.height + padding.top + padding.bottom;
+
       // Determine orientation from image dimensions - default to "detect" if undefined
       let orientation = workflow.orientation || 'detect';
       if (orientation === 'detect') {
-        orientation = imageCanvas.height > imageCanvas.width ? 'portrait' : 'landscape';
-        console.log(`Detected orientation: ${orientation} (${imageCanvas.width}x${imageCanvas.height})`);
+        orientation = targetHeight > targetWidth ? 'portrait' : 'landscape';
+        console.log(`Detected orientation: ${orientation} (${targetWidth}x${targetHeight})`);
       }
       
-      // Generate mask canvas
-      const maskCanvas = generateMaskCanvas(
-        imageCanvas.width, 
-        imageCanvas.height, 
-        inpaintArea
-      );
-      
-      // Convert canvases to blobs
       const imageBlob = await canvasToBlob(imageCanvas, 'image/png');
-      const maskBlob = await canvasToBlob(maskCanvas, 'image/png');
-      
-      // Generate mask filename based on dimensions and area
-      const maskFilename = `mask_${Math.round(imageCanvas.width)}_${Math.round(imageCanvas.height)}_${Math.round(inpaintArea.x1)}_${Math.round(inpaintArea.y1)}_${Math.round(inpaintArea.x2)}_${Math.round(inpaintArea.y2)}.png`;
       
       // Prepare form data
       const formData = new FormData();
@@ -306,10 +274,15 @@ function InpaintApp() {
       formData.append('seed', formState.seed);
       formData.append('prompt', formState.description.trim());
       formData.append('orientation', orientation);
-      formData.append('inpaintArea', JSON.stringify(inpaintArea));
-      formData.append('maskFilename', maskFilename);
       formData.append('image', imageBlob, 'image.png');
-      formData.append('mask', maskBlob, 'mask.png');
+      if (mode === 'outpaint') {
+        appendOutpaintSettings(formData, outpaintSettings);
+      } else {
+        // Feathered mask; the server stores it by content hash and records
+        // its URL on the new entry
+        formData.append('inpaintArea', JSON.stringify(getMaskBounds(mask)));
+        formData.append('mask', await maskToBlob(mask, feather), 'mask.png');
+      }
       formData.append('requestOrigin', 'inpaint');
       if (mediaData.uid) formData.append('origin', String(mediaData.uid));
       
@@ -336,10 +309,10 @@ function InpaintApp() {
       }
       
       formData.append('clientId', getClientId());
-      toast.show('Sending inpaint request...');
+      toast.show(`Sending ${mode} request...`);
 
       // Send request
-      const response = await fetchWithRetry('/generate/inpaint?queueOnly=false', {
+      const response = await fetchWithRetry(`/generate/${mode}?queueOnly=false`, {
         method: 'POST',
         body: formData
       }, {
@@ -350,8 +323,8 @@ function InpaintApp() {
       });
       
     } catch (err) {
-      console.error('Error during inpaint:', err);
-      toast.error(`Inpaint failed: ${err.message}`);
+      console.error(`Error during ${mode}:`, err);
+      toast.error(`${mode === 'outpaint' ? 'Outpaint' : 'Inpaint'} failed: ${err.message}`);
     }
   };
 
@@ -375,13 +348,6 @@ function InpaintApp() {
         newUrl.searchParams.set('uid', data.result.uid);
         window.history.pushState({}, '', newUrl);
         
-        // Reset or preserve inpaint area
-        if (data.result.inpaintArea) {
-          setInpaintArea(data.result.inpaintArea);
-        } else {
-          setInpaintArea(null);
-        }
-        
         // Update seed if not locked
         if (!formState.seedLocked) {
           handleFieldChange('seed', generateRandomSeed());
@@ -483,12 +449,7 @@ function InpaintApp() {
       description: item.prompt || prev.description
     }));
     
-    // Restore inpaint area if available
-    if (item.inpaintArea) {
-      setInpaintArea(item.inpaintArea);
-    } else {
-      setInpaintArea(null);
-    }
+    // The canvas rebuilds the mask from the entry's maskUrl / inpaintArea
   };
 
   // History navigation using useItemNavigation hook
@@ -501,11 +462,6 @@ function InpaintApp() {
     }
   }, [historyNav.currentItem]);
 
-  // Determine if we have a valid inpaint area
-  const hasValidInpaintArea = inpaintArea && 
-    inpaintArea.x1 !== inpaintArea.x2 && 
-    inpaintArea.y1 !== inpaintArea.y2;
-
   return html`
     <${VerticalLayout} gap="large">
       <${AppHeader}>
@@ -524,7 +480,7 @@ function InpaintApp() {
       </${AppHeader}>
       
       <${HorizontalLayout} gap="large">
-        <${Panel} variant="outlined">
+        <${Panel} variant="outlined" style=${{ display: 'flex', flexDirection: 'column', gap: getThemeValue('spacing.medium.gap') }}>
           ${loading && html`
             <p>Loading image for inpainting...</p>
           `}
@@ -534,10 +490,40 @@ function InpaintApp() {
           `}
           
           ${!loading && !error && mediaData?.imageUrl && html`
+            <${HorizontalLayout} gap="small">
+              <${Button}
+                variant="small-text"
+                color=${mode === 'inpaint' ? 'primary' : 'secondary'}
+                onClick=${() => setMode('inpaint')}
+              >
+                Inpaint
+              </${Button}>
+              <${Button}
+                variant="small-text"
+                color=${mode === 'outpaint' ? 'primary' : 'secondary'}
+                onClick=${() => setMode('outpaint')}
+              >
+                Outpaint
+              </${Button}>
+            </${HorizontalLayout}>
+          `}
+
+          ${!loading && !error && mediaData?.imageUrl && mode === 'outpaint' && html`
+            <${OutpaintPanel}
+              imageUrl=${mediaData.imageUrl}
+              settings=${outpaintSettings}
+              onChange=${setOutpaintSettings}
+            />
+          `}
+
+          ${!loading && !error && mediaData?.imageUrl && mode === 'inpaint' && html`
             <${InpaintCanvas}
               imageUrl=${mediaData.imageUrl}
-              inpaintArea=${inpaintArea}
-              onChangeInpaintArea=${handleInpaintAreaChange}
+              maskUrl=${mediaData.maskUrl || null}
+              inpaintArea=${mediaData.inpaintArea || null}
+              onChangeMask=${handleMaskChange}
+              feather=${feather}
+              onChangeFeather=${setFeather}
             />
           `}
           
@@ -560,7 +546,8 @@ function InpaintApp() {
             formState=${formState}
             onFieldChange=${handleFieldChange}
             onGenerate=${handleGenerate}
-            hasValidInpaintArea=${hasValidInpaintArea}
+            hasArea=${mode === 'outpaint' || !!mask}
+            mode=${mode}
           />
         </${Panel}>
       </${HorizontalLayout}>
@@ -0,0 +1,18 @@
+/**
+ * config migration v3 → v4
+ *
+ * Adds the storage section (trash retention and orphan grace period) used by
+ * the storage purge feature.
+ */
+
+export const fromVersion = 3;
+export const toVersion = 4;
+
+export function migrate(config) {
+  const storage = config.storage ?? {};
+
+  if (storage.trashRetentionDays === undefined) storage.trashRetentionDays = 7;
+  if (storage.orphanGraceMinutes === undefined) storage.orphanGraceMinutes = 60;
+
+  return { ...config, storage };
+}
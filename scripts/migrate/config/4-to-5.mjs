@@ -0,0 +1,19 @@
+/**
+ * config migration v4 → v5
+ *
+ * Adds the backup section (scheduled snapshot interval, how many scheduled
+ * snapshots to keep, and whether they include media files).
+ */
+
+export const fromVersion = 4;
+export const toVersion = 5;
+
+export function migrate(config) {
+  const backup = config.backup ?? {};
+
+  if (backup.intervalHours === undefined) backup.intervalHours = 24;
+  if (backup.keep === undefined) backup.keep = 7;
+  if (backup.includeMedia === undefined) backup.includeMedia = false;
+
+  return { ...config, backup };
+}
@@ -0,0 +1,19 @@
+/**
+ * config migration v5 → v6
+ *
+ * Adds the queue section: workflow grouping and per-source scheduling rules.
+ * AnyTale play renders go to the interactive lane so they are not stuck
+ * behind long batch jobs.
+ */
+
+export const fromVersion = 5;
+export const toVersion = 6;
+
+export function migrate(config) {
+  const queue = config.queue ?? {};
+
+  if (queue.groupByWorkflow === undefined) queue.groupByWorkflow = true;
+  if (queue.sources === undefined) queue.sources = { 'anytale-play': { lane: 'interactive' } };
+
+  return { ...config, queue };
+}
@@ -0,0 +1,16 @@
+/**
+ * config migration v6 → v7
+ *
+ * Adds the batch section (the most queue items one batch request may expand to).
+ */
+
+export const fromVersion = 6;
+export const toVersion = 7;
+
+export function migrate(config) {
+  const batch = config.batch ?? {};
+
+  if (batch.maxItems === undefined) batch.maxItems = 500;
+
+  return { ...config, batch };
+}
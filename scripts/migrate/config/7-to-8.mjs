@@ -0,0 +1,16 @@
+/**
+ * config migration v7 → v8
+ *
+ * Adds the imageOps section (the ComfyUI workflow used to upscale gallery images).
+ */
+
+export const fromVersion = 7;
+export const toVersion = 8;
+
+export function migrate(config) {
+  const imageOps = config.imageOps ?? {};
+
+  if (imageOps.upscaleWorkflow === undefined) imageOps.upscaleWorkflow = '';
+
+  return { ...config, imageOps };
+}
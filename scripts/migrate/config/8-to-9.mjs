@@ -0,0 +1,19 @@
+/**
+ * config migration v8 → v9
+ *
+ * Adds the brewDraft section (LLM model, sound workflow and sound limit for
+ * brews drafted from a text description).
+ */
+
+export const fromVersion = 8;
+export const toVersion = 9;
+
+export function migrate(config) {
+  const brewDraft = config.brewDraft ?? {};
+
+  if (brewDraft.model === undefined) brewDraft.model = 'gemma3:4b';
+  if (brewDraft.workflow === undefined) brewDraft.workflow = 'Text to Sound (StableAudio)';
+  if (brewDraft.maxSounds === undefined) brewDraft.maxSounds = 8;
+
+  return { ...config, brewDraft };
+}
@@ -0,0 +1,41 @@
+export const fromVersion = 0;
+export const toVersion = 1;
+
+/**
+ * Prepare the monolithic media-data file for the journaled store.
+ *
+ * v1 keeps the same top-level shape but the store now keys every record by
+ * uid. Entries without a numeric uid get a new one the way `addMediaDataEntry`
+ * assigns them (their timestamp in ms, bumped past uids already taken), and
+ * duplicate uids are collapsed (last occurrence wins, matching replay order).
+ * Only non-object entries are dropped; both counts are logged.
+ *
+ * @param {Object} data - Parsed media-data JSON
+ * @returns {Object} The migrated data object
+ */
+export function migrate(data) {
+  const entries = Array.isArray(data.mediaData) ? data.mediaData : [];
+  const byUid = new Map();
+  const withoutUid = [];
+  let dropped = 0;
+  for (const entry of entries) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) dropped++;
+    else if (typeof entry.uid !== 'number') withoutUid.push(entry);
+    else byUid.set(entry.uid, { ...entry, folder: entry.folder ?? '' });
+  }
+
+  const now = Date.now();
+  for (const entry of withoutUid) {
+    let uid = Date.parse(entry.timestamp) || now;
+    while (byUid.has(uid)) uid++;
+    byUid.set(uid, { ...entry, uid, folder: entry.folder ?? '' });
+  }
+
+  if (withoutUid.length > 0) console.log(`[0-to-1] Assigned new uids to ${withoutUid.length} media entr${withoutUid.length === 1 ? 'y' : 'ies'} without one`);
+  if (dropped > 0) console.log(`[0-to-1] Dropped ${dropped} media-data item(s) that are not entries`);
+
+  data.mediaData = [...byUid.values()];
+  data.folders = Array.isArray(data.folders) ? data.folders : [];
+  data.currentFolder = data.currentFolder ?? '';
+  return data;
+}
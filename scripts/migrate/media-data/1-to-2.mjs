@@ -0,0 +1,25 @@
+export const fromVersion = 1;
+export const toVersion = 2;
+
+/**
+ * Promote `origin` to a core media field.
+ *
+ * Derived entries (inpaint results, uploads from the sound editor) used to
+ * keep their source uid in `extraInputs.origin`, where the sanitizer could
+ * drop it. v2 stores it as the top-level `origin` field.
+ *
+ * @param {Object} data - Parsed media-data JSON
+ * @returns {Object} The migrated data object
+ */
+export function migrate(data) {
+  for (const entry of Array.isArray(data.mediaData) ? data.mediaData : []) {
+    const extras = entry.extraInputs;
+    const origin = Number(extras?.origin);
+    if (extras && 'origin' in extras) {
+      if (entry.origin == null && Number.isFinite(origin)) entry.origin = origin;
+      delete extras.origin;
+    }
+    entry.origin = entry.origin ?? null;
+  }
+  return data;
+}
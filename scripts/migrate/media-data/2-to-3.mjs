@@ -0,0 +1,38 @@
+import { inferOperation } from '../../../server/features/media/lineage.mjs';
+
+export const fromVersion = 2;
+export const toVersion = 3;
+
+/**
+ * Add lineage fields: `parents` (source uids) and `operation`.
+ *
+ * Parents are recovered from what older entries kept: `origin` and the
+ * `image_N_uid` / `audio_N_uid` extra inputs. Inputs that were only passed
+ * by filename were dropped by the sanitizer and cannot be recovered.
+ * The operation comes from `inferOperation`, the same function that names
+ * the operation of new entries.
+ *
+ * @param {Object} data - Parsed media-data JSON
+ * @returns {Object} The migrated data object
+ */
+export function migrate(data) {
+  const entries = Array.isArray(data.mediaData) ? data.mediaData : [];
+  const uids = new Set(entries.map(entry => entry.uid));
+
+  for (const entry of entries) {
+    const extras = entry.extraInputs || {};
+    const candidates = [
+      entry.origin,
+      ...Object.keys(extras).filter(key => /^(image|audio)_\d+_uid$/.test(key)).sort().map(key => extras[key]),
+    ];
+    const parents = [];
+    for (const value of candidates) {
+      const uid = Number(value);
+      if (value == null || value === '' || uid === entry.uid || parents.includes(uid)) continue;
+      if (uids.has(uid)) parents.push(uid);
+    }
+    entry.parents = parents;
+    entry.operation = inferOperation(entry);
+  }
+  return data;
+}
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * Usage: node scripts/run-processor.mjs <processor> <fixture> [--params '<json>'] [--out <dir>]
+ *
+ * Runs a built-in or plugin processor (server/plugins/processors/) against a
+ * fixture media file without ComfyUI, then prints the resulting generation
+ * data and the path of the processed copy. The fixture itself is not changed.
+ */
+
+import { loadProcessorPlugins } from '../server/features/generation/processors/index.mjs';
+import { runProcessorOnFixture } from '../server/features/generation/processors/harness.mjs';
+
+const args = process.argv.slice(2);
+const option = (flag) => {
+  const index = args.indexOf(flag);
+  if (index === -1) return undefined;
+  const [, value] = args.splice(index, 2);
+  return value;
+};
+
+const params = option('--params');
+const workDir = option('--out');
+const [name, fixture] = args;
+
+if (!name || !fixture) {
+  console.error("Usage: node scripts/run-processor.mjs <processor> <fixture> [--params '<json>'] [--out <dir>]");
+  process.exit(1);
+}
+
+let parameters = {};
+try {
+  parameters = params ? JSON.parse(params) : {};
+} catch (error) {
+  console.error(`--params is not valid JSON: ${error.message}`);
+  process.exit(1);
+}
+
+try {
+  const { errors } = await loadProcessorPlugins();
+  for (const { source, error } of errors) console.warn(`Skipped plugin ${source}: ${error}`);
+
+  const result = await runProcessorOnFixture(name, fixture, { parameters, workDir });
+  console.log(JSON.stringify(result.generationData, null, 2));
+  console.log(`Output: ${result.outputPath}`);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -1,6 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import { execSync } from 'child_process';
+import { randomUUID } from 'crypto';
 
 /**
  * Cross-fades the tail of an audio file into the head and trims the tail,
@@ -24,7 +25,8 @@ export async function createAudioCrossFade(inputPath, blendDuration = 3, outputP
 
   const ext = path.extname(inputPath);
   const dir = path.dirname(inputPath);
-  const tempOutputPath = path.join(dir, `_crossfade_temp${ext}`);
+  // Unique per call: crossfades of parallel generation runs must not share it
+  const tempOutputPath = path.join(dir, `_crossfade_temp_${randomUUID()}${ext}`);
 
   try {
     // 1. Probe the audio duration
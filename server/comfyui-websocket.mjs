@@ -1,7 +1,5 @@
 import WebSocket from 'ws';
-
-// Store ComfyUI API path locally
-let comfyUIAPIPath = null;
+import { promptKey } from './core/sse.mjs';
 
 // Import emit functions (will be set after module loads to avoid circular dependency)
 let emitProgressUpdate = null;
@@ -16,97 +14,108 @@ export function setEmitFunctions(functions) {
   logProgressEvent = functions.logProgressEvent;
 }
 
-// Initialize ComfyUI WebSocket with API path
-export function initComfyUIWebSocket(apiPath) {
-  comfyUIAPIPath = apiPath;
-  console.log('ComfyUI WebSocket module initialized with API path:', apiPath);
-  // Start the WebSocket connection
-  connectToComfyUI();
+// One connection per ComfyUI backend, keyed by backend name:
+// { apiPath, socket, reconnectTimer }
+const connections = new Map();
+
+// Initialize one WebSocket per backend ({ name, apiPath } from the backend pool)
+export function initComfyUIWebSocket(backends) {
+  for (const { name, apiPath } of backends) {
+    connections.set(name, { apiPath, socket: null, reconnectTimer: null });
+    console.log(`ComfyUI WebSocket module initialized for backend "${name}" with API path:`, apiPath);
+    // Start the WebSocket connection
+    connectToComfyUI(false, name);
+  }
 }
 
-// WebSocket connection to ComfyUI
-let comfyUIWebSocket = null;
-let wsReconnectTimer = null;
 const WS_RECONNECT_DELAY = 3000; // 3 seconds
 const CLIENT_ID = 'imagen-server-' + Date.now();
 
-// Track execution state for each prompt
+// Track execution state for each prompt, keyed by promptKey(promptId, backend)
 const promptExecutionState = new Map();
-// promptExecutionState.set(promptId, {
+// promptExecutionState.set(key, {
 //   status: 'starting' | 'executing' | 'completed' | 'error',
 //   progress: { value: 0, max: 0, percentage: 0 },
 //   currentNode: null,
 //   startTime: Date.now()
 // });
 
-// Initialize WebSocket connection to ComfyUI
-export function connectToComfyUI(forceReconnect = false) {
-  if (!comfyUIAPIPath) {
-    console.error('ComfyUI API path not initialized. Call initComfyUIWebSocket first.');
+// Initialize WebSocket connection to a ComfyUI backend (the first one when no name is given)
+export function connectToComfyUI(forceReconnect = false, backendName = connections.keys().next().value) {
+  const connection = connections.get(backendName);
+  if (!connection) {
+    console.error(`ComfyUI backend "${backendName}" not initialized. Call initComfyUIWebSocket first.`);
     return;
   }
   
-  if (forceReconnect && comfyUIWebSocket) {
-    console.log('Forcing ComfyUI WebSocket reconnection...');
+  if (forceReconnect && connection.socket) {
+    console.log(`Forcing ComfyUI WebSocket reconnection for backend "${backendName}"...`);
     try {
       // Remove all listeners to prevent 'close' event triggering auto-reconnect logic immediately
-      comfyUIWebSocket.removeAllListeners();
-      comfyUIWebSocket.terminate();
-      comfyUIWebSocket = null;
+      connection.socket.removeAllListeners();
+      connection.socket.terminate();
+      connection.socket = null;
     } catch (e) {
       console.warn('Error terminating existing WebSocket connection:', e);
     }
   }
 
   // If already connected and not forcing, do nothing
-  if (comfyUIWebSocket && comfyUIWebSocket.readyState === WebSocket.OPEN) {
+  if (connection.socket && connection.socket.readyState === WebSocket.OPEN) {
     return;
   }
   
   // Convert HTTP URL to WebSocket URL
-  const wsUrl = comfyUIAPIPath.replace(/^http/, 'ws') + '/ws?clientId=' + CLIENT_ID;
+  const wsUrl = connection.apiPath.replace(/^http/, 'ws') + '/ws?clientId=' + CLIENT_ID;
+  const reconnect = () => connectToComfyUI(false, backendName);
   
   console.log(`Connecting to ComfyUI WebSocket at ${wsUrl}`);
   
   try {
-    comfyUIWebSocket = new WebSocket(wsUrl);
+    const socket = new WebSocket(wsUrl);
+    connection.socket = socket;
     
-    comfyUIWebSocket.on('open', () => {
-      console.log('Connected to ComfyUI WebSocket');
+    socket.on('open', () => {
+      console.log(`Connected to ComfyUI WebSocket for backend "${backendName}"`);
       // Clear any pending reconnect timer
-      if (wsReconnectTimer) {
-        clearTimeout(wsReconnectTimer);
-        wsReconnectTimer = null;
+      if (connection.reconnectTimer) {
+        clearTimeout(connection.reconnectTimer);
+        connection.reconnectTimer = null;
       }
     });
     
-    comfyUIWebSocket.on('close', () => {
-      console.log('ComfyUI WebSocket connection closed, attempting to reconnect...');
-      comfyUIWebSocket = null;
+    socket.on('close', () => {
+      console.log(`ComfyUI WebSocket connection for backend "${backendName}" closed, attempting to reconnect...`);
+      connection.socket = null;
       // Schedule reconnection
-      if (!wsReconnectTimer) {
-        wsReconnectTimer = setTimeout(connectToComfyUI, WS_RECONNECT_DELAY);
+      if (!connection.reconnectTimer) {
+        connection.reconnectTimer = setTimeout(() => {
+          connection.reconnectTimer = null;
+          reconnect();
+        }, WS_RECONNECT_DELAY);
       }
     });
     
-    comfyUIWebSocket.on('error', (error) => {
-      console.error('ComfyUI WebSocket error:', error.message);
+    socket.on('error', (error) => {
+      console.error(`ComfyUI WebSocket error (backend "${backendName}"):`, error.message);
     });
     
-    // Message handler will be set up in next task
-    comfyUIWebSocket.on('message', handleComfyUIMessage);
+    socket.on('message', (data) => handleComfyUIMessage(data, backendName));
     
   } catch (error) {
     console.error('Failed to create ComfyUI WebSocket connection:', error);
     // Schedule reconnection
-    if (!wsReconnectTimer) {
-      wsReconnectTimer = setTimeout(connectToComfyUI, WS_RECONNECT_DELAY);
+    if (!connection.reconnectTimer) {
+      connection.reconnectTimer = setTimeout(() => {
+        connection.reconnectTimer = null;
+        reconnect();
+      }, WS_RECONNECT_DELAY);
     }
   }
 }
 
-// Message handler for ComfyUI WebSocket messages
-function handleComfyUIMessage(data) {
+// Message handler for ComfyUI WebSocket messages from one backend
+function handleComfyUIMessage(data, backendName) {
   let message = data.toString();
   try {
     message = JSON.parse(message);
@@ -116,37 +125,39 @@ function handleComfyUIMessage(data) {
   }
   try {
     const { type, data: messageData } = message;
+    // Prompt ids are only unique per backend, so state and events use the routing key
+    const key = messageData?.prompt_id ? promptKey(messageData.prompt_id, backendName) : null;
     
     // Log all messages for debugging
     // console.log('ComfyUI WebSocket message:', type, messageData);
     
     switch (type) {
       case 'execution_start':
-        handleExecutionStart(messageData);
+        handleExecutionStart(messageData, key);
         break;
         
       case 'executing':
-        handleExecuting(messageData);
+        handleExecuting(messageData, key);
         break;
         
       case 'progress':
-        handleProgress(messageData);
+        handleProgress(messageData, key);
         break;
         
       case 'execution_cached':
-        handleExecutionCached(messageData);
+        handleExecutionCached(messageData, key);
         break;
         
       case 'execution_error':
-        handleExecutionError(messageData);
+        handleExecutionError(messageData, key);
         break;
         
       case 'execution_success':
-        handleExecutionSuccess(messageData);
+        handleExecutionSuccess(messageData, key);
         break;
         
       case 'executed':
-        handleExecuted(messageData);
+        handleExecuted(messageData, key);
         break;
         
       case 'status':
@@ -165,11 +176,11 @@ function handleComfyUIMessage(data) {
 }
 
 // Handle execution_start message
-function handleExecutionStart(data) {
+function handleExecutionStart(data, key) {
   const { prompt_id } = data;
   console.log(`Execution started for prompt ${prompt_id}`);
   
-  promptExecutionState.set(prompt_id, {
+  promptExecutionState.set(key, {
     status: 'starting',
     progress: { value: 0, max: 0, percentage: 0 },
     currentNode: null,
@@ -187,12 +198,12 @@ function handleExecutionStart(data) {
 }
 
 // Handle executing message
-function handleExecuting(data) {
+function handleExecuting(data, key) {
   const { node, prompt_id } = data;
   
   if (!prompt_id) return;
   
-  const state = promptExecutionState.get(prompt_id);
+  const state = promptExecutionState.get(key);
   if (!state) return;
   
   if (node === null) {
@@ -219,18 +230,18 @@ function handleExecuting(data) {
     // Emit progress update with reset percentage for the new node
     // This prevents using stale progress data from the previous node
     if (emitProgressUpdate) {
-      emitProgressUpdate(prompt_id, { percentage: 0, value: 0, max: 0 }, null, node);
+      emitProgressUpdate(key, { percentage: 0, value: 0, max: 0 }, null, node);
     }
   }
 }
 
 // Handle progress message
-function handleProgress(data) {
+function handleProgress(data, key) {
   const { node, prompt_id, value, max } = data;
   
   if (!prompt_id) return;
   
-  const state = promptExecutionState.get(prompt_id);
+  const state = promptExecutionState.get(key);
   if (!state) return;
   
   // Update progress
@@ -250,16 +261,16 @@ function handleProgress(data) {
   
   // Emit progress update via SSE
   if (emitProgressUpdate) {
-    emitProgressUpdate(prompt_id, state.progress, null, node);
+    emitProgressUpdate(key, state.progress, null, node);
   }
 }
 
 // Handle execution_cached message
-function handleExecutionCached(data) {
+function handleExecutionCached(data, key) {
   const { prompt_id, nodes } = data;
   console.log(`Execution cached for prompt ${prompt_id}, nodes: ${nodes.join(', ')}`);
   
-  const state = promptExecutionState.get(prompt_id);
+  const state = promptExecutionState.get(key);
   if (state) {
     // Cached nodes are skipped, so they complete instantly
     state.cachedNodes = nodes;
@@ -269,11 +280,11 @@ function handleExecutionCached(data) {
 }
 
 // Handle execution_error message
-function handleExecutionError(data) {
+function handleExecutionError(data, key) {
   const { prompt_id } = data;
   console.error(`Execution error for prompt ${prompt_id}:`, data);
   
-  const state = promptExecutionState.get(prompt_id);
+  const state = promptExecutionState.get(key);
   if (state) {
     state.status = 'error';
     state.error = data;
@@ -281,16 +292,16 @@ function handleExecutionError(data) {
   
   // Emit error via SSE
   if (emitTaskError) {
-    emitTaskError(prompt_id, 'ComfyUI execution failed', JSON.stringify(data));
+    emitTaskError(key, 'ComfyUI execution failed', JSON.stringify(data));
   }
 }
 
 // Handle execution_success message
-function handleExecutionSuccess(data) {
+function handleExecutionSuccess(data, key) {
   const { prompt_id, timestamp } = data;
   console.log(`Execution succeeded for prompt ${prompt_id} at ${timestamp}`);
   
-  const state = promptExecutionState.get(prompt_id);
+  const state = promptExecutionState.get(key);
   if (state) {
     state.status = 'completed';
     state.progress.percentage = 100;
@@ -301,7 +312,7 @@ function handleExecutionSuccess(data) {
 }
 
 // Handle executed message (node completed)
-function handleExecuted(data) {
+function handleExecuted(data, key) {
   const { prompt_id, node } = data;
   // console.log(`Node ${node} executed for prompt ${prompt_id}`);
   
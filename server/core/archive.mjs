@@ -0,0 +1,244 @@
+/**
+ * Minimal streaming tar.gz writer / extractor.
+ *
+ * Only what snapshots need: regular files and directories, ustar headers
+ * (with a PAX `path` record for names that do not fit), gzip via zlib.
+ * Entries are streamed so large media files never have to fit in memory.
+ */
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { once } from 'events';
+import { finished } from 'stream/promises';
+
+const BLOCK = 512;
+
+/**
+ * @typedef {Object} ArchiveEntry
+ * @property {string} name               - Path inside the archive (forward slashes).
+ * @property {Buffer|string} [data]      - In-memory content.
+ * @property {string} [filePath]         - File on disk to stream instead of `data`.
+ */
+
+// ---------------------------------------------------------------------------
+// Headers
+// ---------------------------------------------------------------------------
+
+function writeString(buf, value, offset, length) {
+  buf.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+}
+
+function writeOctal(buf, value, offset, length) {
+  writeString(buf, value.toString(8).padStart(length - 1, '0') + '\0', offset, length);
+}
+
+/**
+ * Split a long name into ustar `prefix` / `name` fields.
+ * @returns {{ prefix: string, name: string }|null} Null when it cannot fit.
+ */
+function splitName(name) {
+  if (Buffer.byteLength(name) <= 100) return { prefix: '', name };
+  for (let i = name.lastIndexOf('/'); i > 0; i = name.lastIndexOf('/', i - 1)) {
+    const prefix = name.slice(0, i);
+    const rest = name.slice(i + 1);
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100) return { prefix, name: rest };
+  }
+  return null;
+}
+
+/** Build a PAX extended header record (`"<len> path=<value>\n"`, len counts itself). */
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  const bodyLength = Buffer.byteLength(body);
+  let length = bodyLength + String(bodyLength).length;
+  if (String(length).length !== String(bodyLength).length) length = bodyLength + String(length).length;
+  return `${length}${body}`;
+}
+
+function createHeader(name, size, mtime, type = '0') {
+  const header = Buffer.alloc(BLOCK);
+  const parts = splitName(name) ?? { prefix: '', name: name.slice(0, 100) };
+  writeString(header, parts.name, 0, 100);
+  writeOctal(header, type === '5' ? 0o755 : 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime / 1000), 136, 12);
+  header.fill(' ', 148, 156);
+  writeString(header, type, 156, 1);
+  writeString(header, 'ustar\0', 257, 6);
+  writeString(header, '00', 263, 2);
+  writeString(header, parts.prefix, 345, 155);
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  writeString(header, checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+  return header;
+}
+
+function readString(buf, offset, length) {
+  const end = buf.indexOf(0, offset);
+  return buf.toString('utf8', offset, end === -1 || end > offset + length ? offset + length : end);
+}
+
+function parsePax(data) {
+  const fields = {};
+  for (const record of data.toString('utf8').split('\n')) {
+    const match = /^\d+ ([^=]+)=(.*)$/.exec(record);
+    if (match) fields[match[1]] = match[2];
+  }
+  return fields;
+}
+
+function parseHeader(header) {
+  const name = readString(header, 0, 100);
+  const prefix = readString(header, 345, 155);
+  return {
+    name: prefix ? `${prefix}/${name}` : name,
+    size: parseInt(readString(header, 124, 12).trim() || '0', 8),
+    type: readString(header, 156, 1) || '0',
+  };
+}
+
+const padding = (size) => (BLOCK - (size % BLOCK)) % BLOCK;
+
+// ---------------------------------------------------------------------------
+// Write
+// ---------------------------------------------------------------------------
+
+async function write(stream, chunk) {
+  if (!stream.write(chunk)) await once(stream, 'drain');
+}
+
+/** Write an entry header, preceded by a PAX header when the name is too long for ustar. */
+async function writeHeader(stream, name, size, mtime) {
+  if (!splitName(name)) {
+    const pax = Buffer.from(paxRecord('path', name), 'utf8');
+    await write(stream, createHeader(`PaxHeader/${path.posix.basename(name).slice(0, 80)}`, pax.length, mtime, 'x'));
+    await write(stream, pax);
+    await write(stream, Buffer.alloc(padding(pax.length)));
+  }
+  await write(stream, createHeader(name, size, mtime));
+}
+
+/**
+ * Write entries to a gzip-compressed tar file.
+ * @param {string} archivePath
+ * @param {ArchiveEntry[]} entries
+ * @returns {Promise<void>}
+ */
+export async function writeTarGz(archivePath, entries) {
+  fs.mkdirSync(path.dirname(archivePath), { recursive: true });
+  const gzip = zlib.createGzip();
+  const out = fs.createWriteStream(archivePath);
+  gzip.pipe(out);
+
+  try {
+    for (const entry of entries) {
+      if (entry.filePath) {
+        const stat = fs.statSync(entry.filePath);
+        await writeHeader(gzip, entry.name, stat.size, stat.mtimeMs);
+        for await (const chunk of fs.createReadStream(entry.filePath)) await write(gzip, chunk);
+        await write(gzip, Buffer.alloc(padding(stat.size)));
+      } else {
+        const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data ?? '', 'utf8');
+        await writeHeader(gzip, entry.name, data.length, Date.now());
+        await write(gzip, data);
+        await write(gzip, Buffer.alloc(padding(data.length)));
+      }
+    }
+    await write(gzip, Buffer.alloc(BLOCK * 2));
+    gzip.end();
+    await finished(out);
+  } catch (error) {
+    gzip.destroy();
+    out.destroy();
+    await finished(out).catch(() => {});
+    fs.rmSync(archivePath, { force: true });
+    throw error;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Extract
+// ---------------------------------------------------------------------------
+
+/**
+ * Extract a tar.gz archive into `destDir`. Entries that would escape
+ * `destDir` and non-file entry types are skipped.
+ * @param {string} archivePath
+ * @param {string} destDir
+ * @returns {Promise<string[]>} Names of the extracted files.
+ */
+export async function extractTarGz(archivePath, destDir) {
+  const root = path.resolve(destDir);
+  fs.mkdirSync(root, { recursive: true });
+
+  const extracted = [];
+  let buffer = Buffer.alloc(0);
+  let current = null; // { out, toWrite, toSkip, pax? }
+  let paxPath = null;
+
+  const gunzip = fs.createReadStream(archivePath).pipe(zlib.createGunzip());
+  for await (const chunk of gunzip) {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+
+    while (true) {
+      if (current) {
+        if (current.toWrite > 0) {
+          if (buffer.length === 0) break;
+          const take = Math.min(current.toWrite, buffer.length);
+          if (current.out) await write(current.out, buffer.subarray(0, take));
+          if (current.pax) current.pax.push(Buffer.from(buffer.subarray(0, take)));
+          buffer = buffer.subarray(take);
+          current.toWrite -= take;
+          if (current.toWrite > 0) break;
+        }
+        if (buffer.length < current.toSkip) break;
+        buffer = buffer.subarray(current.toSkip);
+        if (current.out) {
+          current.out.end();
+          await finished(current.out);
+        }
+        if (current.pax) paxPath = parsePax(Buffer.concat(current.pax)).path ?? null;
+        current = null;
+      }
+
+      if (buffer.length < BLOCK) break;
+      const header = buffer.subarray(0, BLOCK);
+      buffer = buffer.subarray(BLOCK);
+      if (header.every(byte => byte === 0)) continue;
+
+      const parsed = parseHeader(header);
+      const { size, type } = parsed;
+      if (type === 'x') {
+        current = { out: null, pax: [], toWrite: size, toSkip: padding(size) };
+        continue;
+      }
+      const name = paxPath ?? parsed.name;
+      paxPath = null;
+      const target = path.resolve(root, name);
+      const inside = target.startsWith(root + path.sep);
+
+      if (type === '5') {
+        if (inside) fs.mkdirSync(target, { recursive: true });
+        current = { out: null, toWrite: size, toSkip: padding(size) };
+        continue;
+      }
+
+      let out = null;
+      if (inside && (type === '0' || type === '\0')) {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        out = fs.createWriteStream(target);
+        extracted.push(name);
+      }
+      current = { out, toWrite: size, toSkip: padding(size) };
+    }
+  }
+
+  if (current?.out) {
+    current.out.destroy();
+    throw new Error('Archive is truncated');
+  }
+  return extracted;
+}
@@ -0,0 +1,51 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { execFileSync } from 'child_process';
+import { writeTarGz, extractTarGz } from './archive.mjs';
+
+describe('tar.gz archive', () => {
+  let tmpDir;
+
+  beforeEach(() => { tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-test-')); });
+  afterEach(() => { fs.rmSync(tmpDir, { recursive: true, force: true }); });
+
+  it('round-trips in-memory and on-disk entries, including long names', async () => {
+    const bigFile = path.join(tmpDir, 'big.bin');
+    const big = Buffer.alloc(300 * 1024, 7);
+    fs.writeFileSync(bigFile, big);
+    const longName = `media/${'a'.repeat(120)}.png`;
+    const archivePath = path.join(tmpDir, 'out', 'test.tar.gz');
+
+    await writeTarGz(archivePath, [
+      { name: 'manifest.json', data: '{"ok":true}' },
+      { name: 'data/empty.json', data: '' },
+      { name: longName, filePath: bigFile },
+    ]);
+    const names = await extractTarGz(archivePath, path.join(tmpDir, 'x'));
+
+    expect(names).toEqual(['manifest.json', 'data/empty.json', longName]);
+    expect(fs.readFileSync(path.join(tmpDir, 'x', 'manifest.json'), 'utf8')).toBe('{"ok":true}');
+    expect(fs.readFileSync(path.join(tmpDir, 'x', 'data/empty.json'), 'utf8')).toBe('');
+    expect(fs.readFileSync(path.join(tmpDir, 'x', longName)).equals(big)).toBe(true);
+  });
+
+  it('skips entries that would escape the destination directory', async () => {
+    const archivePath = path.join(tmpDir, 'evil.tar.gz');
+    await writeTarGz(archivePath, [
+      { name: '../escaped.txt', data: 'nope' },
+      { name: 'ok.txt', data: 'yes' },
+    ]);
+
+    expect(await extractTarGz(archivePath, path.join(tmpDir, 'dest'))).toEqual(['ok.txt']);
+    expect(fs.existsSync(path.join(tmpDir, 'escaped.txt'))).toBe(false);
+  });
+
+  it('produces archives readable by system tar', async (ctx) => {
+    try { execFileSync('tar', ['--version'], { stdio: 'ignore' }); } catch { ctx.skip(); }
+    const archivePath = path.join(tmpDir, 'sys.tar.gz');
+    await writeTarGz(archivePath, [{ name: 'data/a.json', data: '[1]' }]);
+    expect(execFileSync('tar', ['-tzf', archivePath], { encoding: 'utf8' }).trim()).toBe('data/a.json');
+  });
+});
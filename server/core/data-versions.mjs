@@ -7,15 +7,24 @@
  *
  * Domains with no "version" field in their data file are treated as version 0.
  * queue-data is excluded — it is transient and not schema-versioned.
+ *
+ * Domains with a `journal` spec are stored as a snapshot plus an append-only
+ * journal (see core/journal.mjs); the migrator folds the journal into the
+ * snapshot before checking the version.
  */
 import path from 'path';
-import { CONFIG_PATH, DATABASE_DIR, WORKFLOWS_PATH } from './paths.mjs';
+import { CONFIG_PATH, DATABASE_DIR, MEDIA_DATA_PATH, MEDIA_JOURNAL_PATH, WORKFLOWS_PATH, BREW_DRAFTS_PATH } from './paths.mjs';
 
 export const DATA_DOMAINS = {
-  'config':        { currentVersion: 3, filePath: CONFIG_PATH },
+  'config':        { currentVersion: 9, filePath: CONFIG_PATH },
   'anytale-data':  { currentVersion: 5, filePath: path.join(DATABASE_DIR, 'anytale-data.json') },
-  'media-data':    { currentVersion: 0, filePath: path.join(DATABASE_DIR, 'media-data.json') },
+  'media-data':    {
+    currentVersion: 3,
+    filePath: MEDIA_DATA_PATH,
+    journal: { path: MEDIA_JOURNAL_PATH, collection: 'mediaData', key: 'uid' },
+  },
   'brew-data':     { currentVersion: 0, filePath: path.join(DATABASE_DIR, 'brew-data.json') },
   'sound-sources': { currentVersion: 0, filePath: path.join(DATABASE_DIR, 'sound-sources.json') },
+  'brew-drafts':   { currentVersion: 0, filePath: BREW_DRAFTS_PATH },
   'workflows':     { currentVersion: 1, filePath: WORKFLOWS_PATH },
 };
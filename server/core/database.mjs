@@ -1,56 +1,231 @@
 /**
  * Media-data persistence layer (Repository Pattern).
- * Owns loading / saving / mutating the in-memory globalData store.
+ * Owns loading / saving / mutating the in-memory media store.
  * All other modules should go through this module instead of touching the
- * JSON file or the globalData object directly.
+ * JSON files or the store object directly.
+ *
+ * Storage is a snapshot (`media-data.json`) plus an append-only journal
+ * (`media-data.journal.jsonl`, see core/journal.mjs). Every change appends
+ * only the affected records to the journal; the snapshot is rewritten via an
+ * atomic rename when the journal grows past COMPACT_THRESHOLD and on startup.
+ *
+ * In-memory lookups are indexed by uid, folder, workflow, tag, lineage parent
+ * and media URL.
  */
 import fs from 'fs';
-import { DATABASE_DIR, MEDIA_DATA_PATH } from './paths.mjs';
+import { MEDIA_DATA_PATH, MEDIA_JOURNAL_PATH } from './paths.mjs';
+import { DATA_DOMAINS } from './data-versions.mjs';
+import { appendJournal, applyJournal, readJournal, writeJsonAtomic } from './journal.mjs';
 import { sanitizeMediaEntry, loadWorkflowConfig } from '../features/media/sanitizer.mjs';
+import { resolveParents, inferOperation } from '../features/media/lineage.mjs';
+
+/** Journal operations accumulated before the snapshot is rewritten */
+const COMPACT_THRESHOLD = 500;
+
+const JOURNAL_SPEC = DATA_DOMAINS['media-data'].journal;
 
 /** In-memory store */
-let globalData = { mediaData: [], folders: [], currentFolder: '' };
+let store = { mediaData: [], folders: [], currentFolder: '', savedSearches: [] };
+
+/** uid → entry */
+let byUid = new Map();
+
+/**
+ * Secondary indexes: key → Set<uid>. Tag keys are lower-cased; parent keys are
+ * parent uids; url keys are the entry's `imageUrl` and `audioUrl`.
+ */
+let indexes = { folder: new Map(), workflow: new Map(), tag: new Map(), parent: new Map(), url: new Map() };
+
+/** uid → the index keys the entry was filed under (needed to un-index after in-place edits) */
+let indexedKeys = new Map();
+
+/** Pending changes not yet written to the journal */
+const dirtyUids = new Set();
+const deletedUids = new Set();
+/** Folders, current folder or saved searches changed */
+let metaDirty = false;
+
+/** Number of operations currently in the journal */
+let journalLength = 0;
+
+// ---------------------------------------------------------------------------
+// Indexing
+// ---------------------------------------------------------------------------
+
+/**
+ * Normalise an entry's tags (comma-separated string or array) to lower-case keys.
+ * @param {Object} entry
+ * @returns {string[]}
+ */
+function tagKeys(entry) {
+  const raw = typeof entry.tags === 'string'
+    ? entry.tags.split(',')
+    : (Array.isArray(entry.tags) ? entry.tags : []);
+  return [...new Set(raw.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+function addToIndex(index, key, uid) {
+  if (!index.has(key)) index.set(key, new Set());
+  index.get(key).add(uid);
+}
+
+function removeFromIndex(index, key, uid) {
+  const set = index.get(key);
+  if (!set) return;
+  set.delete(uid);
+  if (set.size === 0) index.delete(key);
+}
+
+function unindexEntry(uid) {
+  const keys = indexedKeys.get(uid);
+  if (!keys) return;
+  removeFromIndex(indexes.folder, keys.folder, uid);
+  removeFromIndex(indexes.workflow, keys.workflow, uid);
+  keys.tags.forEach(tag => removeFromIndex(indexes.tag, tag, uid));
+  keys.parents.forEach(parent => removeFromIndex(indexes.parent, parent, uid));
+  keys.urls.forEach(url => removeFromIndex(indexes.url, url, uid));
+  indexedKeys.delete(uid);
+}
+
+function indexEntry(entry) {
+  unindexEntry(entry.uid);
+  const keys = {
+    folder: entry.folder || '',
+    workflow: entry.workflow || '',
+    tags: tagKeys(entry),
+    parents: Array.isArray(entry.parents) ? [...new Set(entry.parents)] : [],
+    urls: [...new Set([entry.imageUrl, entry.audioUrl].filter(Boolean))],
+  };
+  addToIndex(indexes.folder, keys.folder, entry.uid);
+  addToIndex(indexes.workflow, keys.workflow, entry.uid);
+  keys.tags.forEach(tag => addToIndex(indexes.tag, tag, entry.uid));
+  keys.parents.forEach(parent => addToIndex(indexes.parent, parent, entry.uid));
+  keys.urls.forEach(url => addToIndex(indexes.url, url, entry.uid));
+  indexedKeys.set(entry.uid, keys);
+}
+
+function rebuildIndexes() {
+  byUid = new Map();
+  indexes = { folder: new Map(), workflow: new Map(), tag: new Map(), parent: new Map(), url: new Map() };
+  indexedKeys = new Map();
+  for (const entry of store.mediaData) {
+    byUid.set(entry.uid, entry);
+    indexEntry(entry);
+  }
+}
 
 // ---------------------------------------------------------------------------
 // Loading / Saving
 // ---------------------------------------------------------------------------
 
+function resetStore() {
+  store = { mediaData: [], folders: [], currentFolder: '', savedSearches: [] };
+  dirtyUids.clear();
+  deletedUids.clear();
+  metaDirty = false;
+  journalLength = 0;
+  rebuildIndexes();
+}
+
 /**
  * Load media data from disk into the in-memory store.
+ * Replays any pending journal operations, then compacts so each run starts
+ * from a clean snapshot.
  */
 export function loadMediaData() {
   try {
-    if (fs.existsSync(MEDIA_DATA_PATH)) {
-      const data = fs.readFileSync(MEDIA_DATA_PATH, 'utf8');
-      globalData = JSON.parse(data);
-
-      // Ensure required top-level keys
-      if (!globalData.folders) globalData.folders = [];
-      if (!globalData.currentFolder && globalData.currentFolder !== '') globalData.currentFolder = '';
-      if (!globalData.mediaData) globalData.mediaData = [];
+    const snapshot = fs.existsSync(MEDIA_DATA_PATH)
+      ? JSON.parse(fs.readFileSync(MEDIA_DATA_PATH, 'utf8'))
+      : null;
+    const ops = readJournal(MEDIA_JOURNAL_PATH);
 
-      console.log('Media data loaded:', globalData.mediaData.length, 'entries,', globalData.folders.length, 'folders');
-    } else {
+    if (!snapshot && ops.length === 0) {
       console.log('Media data file not found, starting with empty data');
-      globalData = { mediaData: [], folders: [], currentFolder: '' };
+      resetStore();
+      return;
     }
+
+    store = applyJournal(snapshot || {}, ops, JOURNAL_SPEC);
+
+    // Ensure required top-level keys
+    if (!store.folders) store.folders = [];
+    if (!store.currentFolder && store.currentFolder !== '') store.currentFolder = '';
+    if (!store.savedSearches) store.savedSearches = [];
+
+    dirtyUids.clear();
+    deletedUids.clear();
+    metaDirty = false;
+    rebuildIndexes();
+
+    if (ops.length > 0 || !snapshot) compactMediaData();
+
+    console.log('Media data loaded:', store.mediaData.length, 'entries,', store.folders.length, 'folders');
   } catch (error) {
     console.error('Failed to load media data:', error);
-    globalData = { mediaData: [], folders: [], currentFolder: '' };
+    resetStore();
   }
 }
 
 /**
- * Persist the in-memory store to disk.
+ * Rewrite the snapshot from the in-memory store (atomic rename) and clear
+ * the journal.
  */
-export function saveMediaData() {
+export function compactMediaData() {
   try {
-    if (!fs.existsSync(DATABASE_DIR)) {
-      fs.mkdirSync(DATABASE_DIR, { recursive: true });
-      console.log('Created database directory');
-    }
-    fs.writeFileSync(MEDIA_DATA_PATH, JSON.stringify(globalData, null, 2));
-    console.log('Media data saved successfully');
+    writeJsonAtomic(MEDIA_DATA_PATH, {
+      ...store,
+      version: DATA_DOMAINS['media-data'].currentVersion,
+    });
+    if (fs.existsSync(MEDIA_JOURNAL_PATH)) fs.rmSync(MEDIA_JOURNAL_PATH);
+    journalLength = 0;
+    dirtyUids.clear();
+    deletedUids.clear();
+    metaDirty = false;
+  } catch (error) {
+    console.error('Failed to compact media data:', error);
+  }
+}
+
+/**
+ * Persist pending changes to the journal.
+ *
+ * Changes made through this module's mutators are tracked automatically.
+ * Callers that edited entries in place can pass their uids so those records
+ * are re-indexed and journaled too.
+ *
+ * @param {number[]} [uids] - Entries modified in place since the last save.
+ */
+export function saveMediaData(uids = []) {
+  for (const uid of uids) {
+    const entry = byUid.get(uid);
+    if (!entry) continue;
+    indexEntry(entry);
+    dirtyUids.add(uid);
+  }
+
+  const ops = [];
+  if (deletedUids.size > 0) {
+    ops.push({ op: 'delete', keys: [...deletedUids] });
+  }
+  for (const uid of dirtyUids) {
+    const entry = byUid.get(uid);
+    if (entry) ops.push({ op: 'put', record: entry });
+  }
+  if (metaDirty) {
+    ops.push({
+      op: 'set',
+      fields: { folders: store.folders, currentFolder: store.currentFolder, savedSearches: store.savedSearches },
+    });
+  }
+  if (ops.length === 0) return;
+
+  try {
+    appendJournal(MEDIA_JOURNAL_PATH, ops);
+    journalLength += ops.length;
+    dirtyUids.clear();
+    deletedUids.clear();
+    metaDirty = false;
+    if (journalLength >= COMPACT_THRESHOLD) compactMediaData();
   } catch (error) {
     console.error('Failed to save media data:', error);
   }
@@ -60,8 +235,20 @@ export function saveMediaData() {
 // Media entries
 // ---------------------------------------------------------------------------
 
+/**
+ * Find the entry whose image or audio file is served at `url`.
+ * @param {string} url - e.g. '/media/image_42.png'
+ * @returns {Object|undefined}
+ */
+function findMediaByUrl(url) {
+  const uids = indexes.url.get(url);
+  return uids ? byUid.get(uids.values().next().value) : undefined;
+}
+
 /**
  * Add a new media-data entry with auto-generated UID and timestamp.
+ * Lineage (`parents`, `operation`) is resolved here, before sanitizing drops
+ * the `image_N_filename` inputs it is partly derived from.
  * @param {Object} entry - The media data entry to add.
  * @returns {Object} The entry with uid and timestamp filled in.
  */
@@ -69,10 +256,17 @@ export function addMediaDataEntry(entry) {
   const now = new Date();
   entry.timestamp = now.toISOString();
   entry.uid = now.getTime();
-  entry.folder = globalData.currentFolder || '';
+  // Two entries created in the same millisecond must not share a uid
+  while (byUid.has(entry.uid)) entry.uid++;
+  entry.folder = store.currentFolder || '';
+  entry.parents = resolveParents(entry, { findByUid: findMediaByUid, findByMediaUrl: findMediaByUrl });
+  entry.operation = inferOperation(entry);
   const workflowConfig = loadWorkflowConfig(entry.workflow);
   entry = sanitizeMediaEntry(entry, workflowConfig);
-  globalData.mediaData.push(entry);
+  store.mediaData.push(entry);
+  byUid.set(entry.uid, entry);
+  indexEntry(entry);
+  dirtyUids.add(entry.uid);
   saveMediaData();
   return entry;
 }
@@ -83,7 +277,7 @@ export function addMediaDataEntry(entry) {
  * @returns {Object|undefined}
  */
 export function findMediaByUid(uid) {
-  return globalData.mediaData.find(item => item.uid === uid);
+  return byUid.get(uid);
 }
 
 /**
@@ -92,7 +286,8 @@ export function findMediaByUid(uid) {
  * @returns {number} index or -1
  */
 export function findMediaIndexByUid(uid) {
-  return globalData.mediaData.findIndex(item => item.uid === uid);
+  const entry = byUid.get(uid);
+  return entry ? store.mediaData.indexOf(entry) : -1;
 }
 
 /**
@@ -101,7 +296,30 @@ export function findMediaIndexByUid(uid) {
  * @param {Object} newData
  */
 export function replaceMediaAtIndex(index, newData) {
-  globalData.mediaData[index] = newData;
+  const previous = store.mediaData[index];
+  if (previous && previous.uid !== newData.uid) {
+    unindexEntry(previous.uid);
+    byUid.delete(previous.uid);
+    deletedUids.add(previous.uid);
+  }
+  store.mediaData[index] = newData;
+  byUid.set(newData.uid, newData);
+  indexEntry(newData);
+  dirtyUids.add(newData.uid);
+}
+
+/**
+ * Merge fields into an existing entry, re-index it and persist the change.
+ * @param {number} uid
+ * @param {Object} patch
+ * @returns {Object|undefined} The updated entry, or undefined if not found.
+ */
+export function updateMediaEntry(uid, patch) {
+  const entry = byUid.get(uid);
+  if (!entry) return undefined;
+  Object.assign(entry, patch);
+  saveMediaData([uid]);
+  return entry;
 }
 
 /**
@@ -110,11 +328,19 @@ export function replaceMediaAtIndex(index, newData) {
  * @returns {number} Number of entries actually deleted.
  */
 export function deleteMediaByUids(uids) {
-  const before = globalData.mediaData.length;
-  globalData.mediaData = globalData.mediaData.filter(item => !uids.includes(item.uid));
-  const deleted = before - globalData.mediaData.length;
-  if (deleted > 0) saveMediaData();
-  return deleted;
+  const targets = uids.filter(uid => byUid.has(uid));
+  if (targets.length === 0) return 0;
+
+  const targetSet = new Set(targets);
+  store.mediaData = store.mediaData.filter(item => !targetSet.has(item.uid));
+  for (const uid of targets) {
+    unindexEntry(uid);
+    byUid.delete(uid);
+    dirtyUids.delete(uid);
+    deletedUids.add(uid);
+  }
+  saveMediaData();
+  return targets.length;
 }
 
 /**
@@ -122,7 +348,39 @@ export function deleteMediaByUids(uids) {
  * @returns {Object[]}
  */
 export function getAllMediaData() {
-  return globalData.mediaData;
+  return store.mediaData;
+}
+
+/**
+ * Look up entries through the secondary indexes. All supplied criteria must
+ * match (tags use AND logic, case-insensitive). Omitted criteria are ignored.
+ * Result order is unspecified – callers sort as needed.
+ *
+ * @param {Object} criteria
+ * @param {string} [criteria.folder]   - Folder UID ('' = Unsorted)
+ * @param {string} [criteria.workflow] - Workflow name
+ * @param {string[]} [criteria.tags]   - Tags that must all be present
+ * @param {number} [criteria.parent]   - Parent uid (returns its direct children)
+ * @returns {Object[]}
+ */
+export function queryMediaIndex({ folder, workflow, tags = [], parent } = {}) {
+  const sets = [];
+  if (parent !== undefined) sets.push(indexes.parent.get(parent) || new Set());
+  if (folder !== undefined) sets.push(indexes.folder.get(folder || '') || new Set());
+  if (workflow !== undefined) sets.push(indexes.workflow.get(workflow || '') || new Set());
+  for (const tag of tags) {
+    sets.push(indexes.tag.get(String(tag).trim().toLowerCase()) || new Set());
+  }
+
+  if (sets.length === 0) return [...store.mediaData];
+
+  sets.sort((a, b) => a.size - b.size);
+  const [smallest, ...rest] = sets;
+  const result = [];
+  for (const uid of smallest) {
+    if (rest.every(set => set.has(uid))) result.push(byUid.get(uid));
+  }
+  return result;
 }
 
 // ---------------------------------------------------------------------------
@@ -131,13 +389,13 @@ export function getAllMediaData() {
 
 /** @returns {Object[]} folders list */
 export function getFolders() {
-  if (!globalData.folders) globalData.folders = [];
-  return globalData.folders;
+  if (!store.folders) store.folders = [];
+  return store.folders;
 }
 
 /** @returns {string} current folder uid */
 export function getCurrentFolder() {
-  return globalData.currentFolder ?? '';
+  return store.currentFolder ?? '';
 }
 
 /**
@@ -145,7 +403,8 @@ export function getCurrentFolder() {
  * @param {string} uid
  */
 export function setCurrentFolder(uid) {
-  globalData.currentFolder = uid;
+  store.currentFolder = uid;
+  metaDirty = true;
 }
 
 /**
@@ -153,8 +412,9 @@ export function setCurrentFolder(uid) {
  * @param {{ uid: string, label: string }} folder
  */
 export function addFolder(folder) {
-  if (!globalData.folders) globalData.folders = [];
-  globalData.folders.push(folder);
+  if (!store.folders) store.folders = [];
+  store.folders.push(folder);
+  metaDirty = true;
 }
 
 /**
@@ -163,7 +423,7 @@ export function addFolder(folder) {
  * @returns {Object|undefined}
  */
 export function findFolderByUid(uid) {
-  return (globalData.folders || []).find(f => f.uid === uid);
+  return (store.folders || []).find(f => f.uid === uid);
 }
 
 /**
@@ -172,7 +432,21 @@ export function findFolderByUid(uid) {
  * @returns {Object|undefined}
  */
 export function findFolderByLabel(label) {
-  return (globalData.folders || []).find(f => f.label === label);
+  return (store.folders || []).find(f => f.label === label);
+}
+
+/**
+ * Rename a folder.
+ * @param {string} uid
+ * @param {string} label
+ * @returns {Object|undefined} The updated folder, or undefined if not found.
+ */
+export function renameFolderByUid(uid, label) {
+  const folder = findFolderByUid(uid);
+  if (!folder) return undefined;
+  folder.label = label;
+  metaDirty = true;
+  return folder;
 }
 
 /**
@@ -181,9 +455,10 @@ export function findFolderByLabel(label) {
  * @returns {Object|undefined} The removed folder, or undefined if not found.
  */
 export function removeFolderByUid(uid) {
-  const idx = (globalData.folders || []).findIndex(f => f.uid === uid);
+  const idx = (store.folders || []).findIndex(f => f.uid === uid);
   if (idx === -1) return undefined;
-  return globalData.folders.splice(idx, 1)[0];
+  metaDirty = true;
+  return store.folders.splice(idx, 1)[0];
 }
 
 /**
@@ -193,12 +468,47 @@ export function removeFolderByUid(uid) {
  * @returns {number} Number of entries updated.
  */
 export function reassignMediaFolder(fromUid, toUid) {
-  let count = 0;
-  globalData.mediaData.forEach(item => {
-    if (item.folder === fromUid) {
-      item.folder = toUid;
-      count++;
-    }
-  });
-  return count;
+  const uids = [...(indexes.folder.get(fromUid || '') || [])];
+  for (const uid of uids) {
+    const item = byUid.get(uid);
+    item.folder = toUid;
+    indexEntry(item);
+    dirtyUids.add(uid);
+  }
+  return uids.length;
+}
+
+// ---------------------------------------------------------------------------
+// Saved searches
+// ---------------------------------------------------------------------------
+
+/** @returns {Object[]} saved searches list */
+export function getSavedSearches() {
+  if (!store.savedSearches) store.savedSearches = [];
+  return store.savedSearches;
+}
+
+/**
+ * Insert or replace a saved search by uid.
+ * @param {{ uid: string, label: string, query: string, sort: string }} search
+ */
+export function putSavedSearch(search) {
+  const list = getSavedSearches();
+  const idx = list.findIndex(s => s.uid === search.uid);
+  if (idx === -1) list.push(search);
+  else list[idx] = search;
+  metaDirty = true;
+}
+
+/**
+ * Remove a saved search by uid.
+ * @param {string} uid
+ * @returns {Object|undefined} The removed search, or undefined if not found.
+ */
+export function removeSavedSearch(uid) {
+  const list = getSavedSearches();
+  const idx = list.findIndex(s => s.uid === uid);
+  if (idx === -1) return undefined;
+  metaDirty = true;
+  return list.splice(idx, 1)[0];
 }
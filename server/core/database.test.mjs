@@ -0,0 +1,187 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+// ── Mocks ────────────────────────────────────────────────────────────────────
+
+const tmp = vi.hoisted(() => ({ dir: '' }));
+
+vi.mock('./paths.mjs', () => ({
+  get MEDIA_DATA_PATH() { return `${tmp.dir}/media-data.json`; },
+  get MEDIA_JOURNAL_PATH() { return `${tmp.dir}/media-data.journal.jsonl`; },
+  CONFIG_PATH: '/unused/config.json',
+  DATABASE_DIR: '/unused',
+  WORKFLOWS_PATH: '/unused/workflows.json',
+}));
+
+vi.mock('./data-versions.mjs', () => ({
+  DATA_DOMAINS: {
+    'media-data': {
+      currentVersion: 1,
+      journal: {
+        get path() { return `${tmp.dir}/media-data.journal.jsonl`; },
+        collection: 'mediaData',
+        key: 'uid',
+      },
+    },
+  },
+}));
+
+vi.mock('../features/media/sanitizer.mjs', () => ({
+  loadWorkflowConfig: vi.fn(() => null),
+  sanitizeMediaEntry: vi.fn(entry => entry),
+}));
+
+const db = await import('./database.mjs');
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+const snapshotPath = () => path.join(tmp.dir, 'media-data.json');
+const journalPath = () => path.join(tmp.dir, 'media-data.journal.jsonl');
+
+function journalLines() {
+  if (!fs.existsSync(journalPath())) return [];
+  return fs.readFileSync(journalPath(), 'utf8').trim().split('\n').map(l => JSON.parse(l));
+}
+
+function writeSnapshot(data) {
+  fs.writeFileSync(snapshotPath(), JSON.stringify(data), 'utf8');
+}
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('media database', () => {
+  beforeEach(() => {
+    tmp.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-db-test-'));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    db.loadMediaData();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    fs.rmSync(tmp.dir, { recursive: true, force: true });
+  });
+
+  it('appends a put operation instead of rewriting the snapshot', () => {
+    const entry = db.addMediaDataEntry({ name: 'a', workflow: 'wf', tags: 'Cat, dog' });
+
+    expect(fs.existsSync(snapshotPath())).toBe(false);
+    const ops = journalLines();
+    expect(ops).toHaveLength(1);
+    expect(ops[0]).toMatchObject({ op: 'put', record: { uid: entry.uid, name: 'a' } });
+  });
+
+  it('assigns distinct uids to entries created in the same millisecond', () => {
+    vi.spyOn(Date.prototype, 'getTime').mockReturnValue(1000);
+    const a = db.addMediaDataEntry({ name: 'a' });
+    const b = db.addMediaDataEntry({ name: 'b' });
+    expect(a.uid).not.toBe(b.uid);
+  });
+
+  it('replays the journal over the snapshot on load and compacts it', () => {
+    writeSnapshot({ version: 1, mediaData: [{ uid: 1, name: 'old' }, { uid: 2, name: 'gone' }], folders: [], currentFolder: '' });
+    fs.writeFileSync(journalPath(), [
+      JSON.stringify({ op: 'put', record: { uid: 1, name: 'new' } }),
+      JSON.stringify({ op: 'delete', keys: [2] }),
+      JSON.stringify({ op: 'set', fields: { currentFolder: 'f1' } }),
+      '{"op":"put","rec', // torn tail from an interrupted append
+    ].join('\n'));
+
+    db.loadMediaData();
+
+    expect(db.getAllMediaData().map(e => e.name)).toEqual(['new']);
+    expect(db.getCurrentFolder()).toBe('f1');
+    expect(fs.existsSync(journalPath())).toBe(false);
+    const snapshot = JSON.parse(fs.readFileSync(snapshotPath(), 'utf8'));
+    expect(snapshot).toMatchObject({ version: 1, currentFolder: 'f1', mediaData: [{ uid: 1, name: 'new' }] });
+  });
+
+  it('journals deletions and folder changes', () => {
+    const entry = db.addMediaDataEntry({ name: 'a' });
+    db.addFolder({ uid: 'f1', label: 'One' });
+    db.setCurrentFolder('f1');
+    db.saveMediaData();
+    expect(db.deleteMediaByUids([entry.uid, 999])).toBe(1);
+
+    const ops = journalLines().map(o => o.op);
+    expect(ops).toEqual(['put', 'set', 'delete']);
+
+    db.loadMediaData();
+    expect(db.getAllMediaData()).toHaveLength(0);
+    expect(db.getFolders()).toEqual([{ uid: 'f1', label: 'One' }]);
+  });
+
+  it('persists in-place edits when their uids are passed to saveMediaData', () => {
+    const entry = db.addMediaDataEntry({ name: 'a', tags: 'cat' });
+    db.findMediaByUid(entry.uid).tags = 'dog';
+    db.saveMediaData([entry.uid]);
+
+    expect(db.queryMediaIndex({ tags: ['cat'] })).toHaveLength(0);
+    expect(db.queryMediaIndex({ tags: ['dog'] })).toHaveLength(1);
+
+    db.loadMediaData();
+    expect(db.findMediaByUid(entry.uid).tags).toBe('dog');
+  });
+
+  it('looks up entries by folder, workflow and tag indexes', () => {
+    const a = db.addMediaDataEntry({ name: 'a', workflow: 'wf1', tags: 'Cat, dog' });
+    db.setCurrentFolder('f1');
+    const b = db.addMediaDataEntry({ name: 'b', workflow: 'wf1', tags: 'cat' });
+    db.addMediaDataEntry({ name: 'c', workflow: 'wf2', tags: 'cat' });
+
+    expect(db.queryMediaIndex({ workflow: 'wf1', tags: ['CAT'] }).map(e => e.uid).sort()).toEqual([a.uid, b.uid].sort());
+    expect(db.queryMediaIndex({ folder: '', tags: ['dog'] }).map(e => e.uid)).toEqual([a.uid]);
+    expect(db.queryMediaIndex({ folder: 'f1', workflow: 'wf1' }).map(e => e.uid)).toEqual([b.uid]);
+
+    expect(db.reassignMediaFolder('f1', '')).toBe(2);
+    expect(db.queryMediaIndex({ folder: 'f1' })).toHaveLength(0);
+  });
+
+  it('records lineage parents before sanitizing and indexes children', () => {
+    const source = db.addMediaDataEntry({ name: 'src', imageUrl: '/media/image_1.png' });
+    const other = db.addMediaDataEntry({ name: 'other', audioUrl: '/media/audio_1.mp3' });
+    const derived = db.addMediaDataEntry({
+      name: 'video', image_0_filename: 'image_1.png', audio_0_uid: other.uid, image_1_uid: 424242,
+    });
+    const inpaint = db.addMediaDataEntry({ name: 'fix', inpaint: true, origin: derived.uid });
+
+    expect(source.parents).toEqual([]);
+    expect(source.operation).toBe('generate');
+    expect(derived.parents).toEqual([other.uid, source.uid]);
+    expect(inpaint).toMatchObject({ parents: [derived.uid], operation: 'inpaint' });
+    expect(db.queryMediaIndex({ parent: source.uid }).map(e => e.uid)).toEqual([derived.uid]);
+
+    db.deleteMediaByUids([inpaint.uid]);
+    expect(db.queryMediaIndex({ parent: derived.uid })).toHaveLength(0);
+  });
+
+  it('resolves lineage by media URL through an index kept in step with edits', () => {
+    const source = db.addMediaDataEntry({ name: 'src', imageUrl: '/media/image_1.png' });
+    const childOf = (filename) => db.addMediaDataEntry({ name: 'child', image_0_filename: filename }).parents;
+
+    db.updateMediaEntry(source.uid, { imageUrl: '/media/image_2.png' });
+    expect(childOf('image_1.png')).toEqual([]);
+    expect(childOf('image_2.png')).toEqual([source.uid]);
+
+    source.audioUrl = '/media/audio_1.mp3';
+    db.saveMediaData([source.uid]);
+    expect(db.addMediaDataEntry({ name: 'mix', audio_0_filename: 'audio_1.mp3' }).parents).toEqual([source.uid]);
+
+    db.deleteMediaByUids([source.uid]);
+    expect(childOf('image_2.png')).toEqual([]);
+
+    writeSnapshot({ version: 1, mediaData: [{ uid: 5, imageUrl: '/media/image_5.png' }], folders: [], currentFolder: '' });
+    db.loadMediaData();
+    expect(childOf('image_5.png')).toEqual([5]);
+  });
+
+  it('updateMediaEntry merges fields and journals the record', () => {
+    const entry = db.addMediaDataEntry({ name: 'a' });
+    const updated = db.updateMediaEntry(entry.uid, { imageUrl: '/media/x.png' });
+
+    expect(updated.imageUrl).toBe('/media/x.png');
+    expect(journalLines().at(-1)).toMatchObject({ op: 'put', record: { uid: entry.uid, imageUrl: '/media/x.png' } });
+    expect(db.updateMediaEntry(12345, { name: 'x' })).toBeUndefined();
+  });
+});
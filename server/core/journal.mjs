@@ -0,0 +1,126 @@
+/**
+ * Append-only journal + atomic snapshot helpers.
+ *
+ * A journaled data file is stored as two parts:
+ *   - `<name>.json`          – the snapshot, only ever replaced via write-to-temp + rename
+ *   - `<name>.journal.jsonl` – one JSON operation per line, appended after every change
+ *
+ * Loading reads the snapshot and replays the journal on top of it. Compaction
+ * folds the journal into a fresh snapshot and truncates the journal. A torn
+ * final line (e.g. from a crash mid-append) is ignored during replay.
+ *
+ * Operations target one keyed collection inside the snapshot object:
+ *   { op: 'put',    record: {...} }       – insert or replace by key
+ *   { op: 'delete', keys: [...] }         – remove records by key
+ *   { op: 'set',    fields: {...} }       – assign top-level (non-collection) fields
+ */
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * @typedef {Object} JournalSpec
+ * @property {string} path       - Absolute path of the .jsonl journal file
+ * @property {string} collection - Top-level array key the put/delete ops target (e.g. 'mediaData')
+ * @property {string} key        - Record field used as the primary key (e.g. 'uid')
+ */
+
+// ---------------------------------------------------------------------------
+// Writing
+// ---------------------------------------------------------------------------
+
+/**
+ * Write JSON to a file atomically: write a sibling temp file, then rename
+ * over the target so readers never observe a half-written file.
+ * @param {string} filePath
+ * @param {Object} data
+ */
+export function writeJsonAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), 'utf8');
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Append one or more operations to a journal file.
+ * @param {string} journalPath
+ * @param {Object|Object[]} ops
+ */
+export function appendJournal(journalPath, ops) {
+  const list = Array.isArray(ops) ? ops : [ops];
+  if (list.length === 0) return;
+  fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+  fs.appendFileSync(journalPath, list.map(op => JSON.stringify(op)).join('\n') + '\n', 'utf8');
+}
+
+// ---------------------------------------------------------------------------
+// Reading / replay
+// ---------------------------------------------------------------------------
+
+/**
+ * Read all complete operations from a journal file.
+ * Unparseable lines are skipped with a warning (normally only a torn tail).
+ * @param {string} journalPath
+ * @returns {Object[]}
+ */
+export function readJournal(journalPath) {
+  if (!fs.existsSync(journalPath)) return [];
+  const ops = [];
+  const lines = fs.readFileSync(journalPath, 'utf8').split('\n');
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      ops.push(JSON.parse(line));
+    } catch {
+      console.warn(`[journal] Skipping unreadable line ${i + 1} in ${path.basename(journalPath)}`);
+    }
+  });
+  return ops;
+}
+
+/**
+ * Apply journal operations to a snapshot object in place.
+ * @param {Object} data - Snapshot object (mutated)
+ * @param {Object[]} ops
+ * @param {{ collection: string, key: string }} spec
+ * @returns {Object} The same data object.
+ */
+export function applyJournal(data, ops, { collection, key }) {
+  if (!Array.isArray(data[collection])) data[collection] = [];
+  if (ops.length === 0) return data;
+
+  const byKey = new Map(data[collection].map(r => [r[key], r]));
+
+  for (const op of ops) {
+    if (op.op === 'put' && op.record) {
+      byKey.set(op.record[key], op.record);
+    } else if (op.op === 'delete' && Array.isArray(op.keys)) {
+      op.keys.forEach(k => byKey.delete(k));
+    } else if (op.op === 'set' && op.fields) {
+      Object.assign(data, op.fields);
+    }
+  }
+
+  data[collection] = [...byKey.values()];
+  return data;
+}
+
+/**
+ * Fold a journal into its snapshot and truncate the journal.
+ * No-op when the journal is missing or empty.
+ * @param {string} filePath - Snapshot path
+ * @param {JournalSpec} spec
+ * @returns {boolean} True if a compaction was performed.
+ */
+export function compactJournal(filePath, spec) {
+  const ops = readJournal(spec.path);
+  if (ops.length === 0) {
+    if (fs.existsSync(spec.path)) fs.rmSync(spec.path);
+    return false;
+  }
+  const data = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+  applyJournal(data, ops, spec);
+  writeJsonAtomic(filePath, data);
+  fs.rmSync(spec.path);
+  return true;
+}
@@ -0,0 +1,99 @@
+/**
+ * Minimal JSON Schema validator.
+ *
+ * Covers the subset used for LLM structured output (Ollama `format`):
+ * `type` (string, number, integer, boolean, array, object, null), `properties`,
+ * `required`, `items`, `enum`, `minItems` / `maxItems` and
+ * `minLength` / `maxLength`. Unknown keywords are ignored.
+ */
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object', 'null'];
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'null': return value === null;
+    default: return false;
+  }
+}
+
+/**
+ * Validate a value against a schema.
+ *
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [at='$'] - Path prefix for messages.
+ * @returns {string[]} Error messages (empty = valid).
+ */
+export function validateJsonSchema(value, schema, at = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+  const errors = [];
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${at} must be ${types.join(' or ')}`];
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(option => option === value)) {
+    errors.push(`${at} must be one of: ${schema.enum.map(o => JSON.stringify(o)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at} must have at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at} must have at most ${schema.maxLength} characters`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at} must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at} must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateJsonSchema(item, schema.items, `${at}[${i}]`)));
+    }
+  }
+
+  if (matchesType(value, 'object')) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}.${key} is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateJsonSchema(value[key], propertySchema, `${at}.${key}`));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check that a schema only uses types this validator understands.
+ *
+ * @param {*} schema
+ * @param {string} [at='$']
+ * @returns {string[]} Error messages (empty = valid).
+ */
+export function checkJsonSchema(schema, at = '$') {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return [`${at} must be a schema object`];
+  const errors = [];
+  const types = schema.type === undefined ? [] : (Array.isArray(schema.type) ? schema.type : [schema.type]);
+  for (const type of types) {
+    if (!TYPES.includes(type)) errors.push(`${at} has unknown type "${type}"`);
+  }
+  if (schema.properties !== undefined) {
+    if (!schema.properties || typeof schema.properties !== 'object') {
+      errors.push(`${at}.properties must be an object`);
+    } else {
+      for (const [key, propertySchema] of Object.entries(schema.properties)) {
+        errors.push(...checkJsonSchema(propertySchema, `${at}.${key}`));
+      }
+    }
+  }
+  if (schema.required !== undefined && !Array.isArray(schema.required)) errors.push(`${at}.required must be an array`);
+  if (schema.items !== undefined) errors.push(...checkJsonSchema(schema.items, `${at}[]`));
+  return errors;
+}
@@ -1,6 +1,8 @@
 import fs from 'fs';
 import path from 'path';
 import { getOllamaAPIPath, getOllamaUseCPU } from './service-manager.mjs';
+import { parseTemplate } from '../template-utils.mjs';
+import { validateJsonSchema } from './json-schema.mjs';
 
 // Track the last used model to manage VRAM
 let lastUsedModel = null;
@@ -50,6 +52,10 @@ function logPromptToFile(logEntry) {
   }
 }
 
+// Last encoded image, so consecutive prompts (and retries) over the same
+// image don't re-read and re-encode it
+let encodedImageCache = null;
+
 /**
  * Encode image file to base64 string
  * @param {string} imagePath - Path to the image file
@@ -57,8 +63,15 @@ function logPromptToFile(logEntry) {
  */
 export function encodeImageToBase64(imagePath) {
   try {
+    const { mtimeMs, size } = fs.statSync(imagePath);
+    const cached = encodedImageCache;
+    if (cached && cached.imagePath === imagePath && cached.mtimeMs === mtimeMs && cached.size === size) {
+      return cached.data;
+    }
     const imageBuffer = fs.readFileSync(imagePath);
-    return imageBuffer.toString('base64');
+    const data = imageBuffer.toString('base64');
+    encodedImageCache = { imagePath, mtimeMs, size, data };
+    return data;
   } catch (error) {
     throw new Error(`Failed to read image file: ${error.message}`);
   }
@@ -100,9 +113,11 @@ async function unloadOllamaModel(modelName) {
  * @param {string} prompt - Text prompt to send to the model
  * @param {string} model - Model to use for generation (default: 'gemma3:4b')
  * @param {string} to - Optional field name where result will be stored (for logging)
+ * @param {Object} [options]
+ * @param {Object|string} [options.format] - Ollama `format`: a JSON schema, or "json"
  * @returns {Promise<string>} Generated text response
  */
-export async function sendTextPrompt(prompt, model = 'gemma3:4b', to = null) {
+export async function sendTextPrompt(prompt, model = 'gemma3:4b', to = null, { format } = {}) {
   try {
     // Validate prompt
     if (!prompt || typeof prompt !== 'string') {
@@ -118,6 +133,7 @@ export async function sendTextPrompt(prompt, model = 'gemma3:4b', to = null) {
       prompt,
       stream: false
     };
+    if (format) payload.format = format;
 
     // Add CPU-only option if configured
     const useCPU = getOllamaUseCPU();
@@ -193,9 +209,11 @@ export async function sendTextPrompt(prompt, model = 'gemma3:4b', to = null) {
  * @param {string} prompt - Text prompt to guide the analysis
  * @param {string} model - Model to use for analysis (default: 'llava')
  * @param {string} to - Optional field name where result will be stored (for logging)
+ * @param {Object} [options]
+ * @param {Object|string} [options.format] - Ollama `format`: a JSON schema, or "json"
  * @returns {Promise<string>} Description of what's in the image
  */
-export async function sendImagePrompt(imagePath, prompt, model = 'llava', to = null) {
+export async function sendImagePrompt(imagePath, prompt, model = 'llava', to = null, { format } = {}) {
   try {
     // Validate image path
     if (!imagePath || typeof imagePath !== 'string') {
@@ -226,6 +244,7 @@ export async function sendImagePrompt(imagePath, prompt, model = 'llava', to = n
       images: [encodedImage],
       stream: false
     };
+    if (format) payload.format = format;
 
     // Add CPU-only option if configured
     const useCPU = getOllamaUseCPU();
@@ -310,23 +329,89 @@ export async function listOllamaModels() {
   return (data.models || []).map(m => m.name);
 }
 
+const DEFAULT_STRUCTURED_RETRIES = 2;
+
+/**
+ * The data fields a prompt task writes: the `mapTo` targets of a structured
+ * task (plus `to` if set), otherwise just `to`.
+ * @param {Object} promptData
+ * @returns {string[]}
+ */
+export function getPromptTaskTargets(promptData) {
+  if (promptData.format && typeof promptData.format === 'object') {
+    const mapTo = promptData.mapTo || Object.fromEntries(Object.keys(promptData.format.properties || {}).map(key => [key, key]));
+    return [...new Set([...Object.values(mapTo), ...(promptData.to ? [promptData.to] : [])])];
+  }
+  return promptData.to ? [promptData.to] : [];
+}
+
+/**
+ * Ask the model for JSON matching `format` and validate the reply, retrying
+ * when it does not parse or does not match the schema.
+ *
+ * @param {Object} request
+ * @param {string} request.prompt
+ * @param {string} request.model
+ * @param {Object} request.format - JSON schema passed to Ollama as `format`
+ * @param {string} [request.imagePath] - Image file for vision models
+ * @param {number} [request.retries=2] - Extra attempts after the first
+ * @param {string} [request.to] - Label for logging
+ * @returns {Promise<Object>} The parsed, validated reply
+ */
+export async function requestStructuredOutput({ prompt, model, format, imagePath, retries = DEFAULT_STRUCTURED_RETRIES, to = null }) {
+  let lastError = null;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    const responseText = imagePath
+      ? await sendImagePrompt(imagePath, prompt, model, to, { format })
+      : await sendTextPrompt(prompt, model, to, { format });
+
+    let reply;
+    try {
+      reply = JSON.parse(responseText);
+    } catch (error) {
+      lastError = `reply is not valid JSON (${error.message})`;
+      console.warn(`Structured output attempt ${attempt + 1} failed: ${lastError}`);
+      continue;
+    }
+
+    const errors = validateJsonSchema(reply, format);
+    if (errors.length === 0) return reply;
+    lastError = `reply does not match the schema: ${errors.join('; ')}`;
+    console.warn(`Structured output attempt ${attempt + 1} failed: ${lastError}`);
+  }
+  throw new Error(`Model "${model}" gave no usable JSON after ${retries + 1} attempt(s): ${lastError}`);
+}
+
+/**
+ * Convert a structured reply value for storage in a data field. Lists are
+ * joined with ", " to match comma separated fields such as `tags`.
+ */
+function toFieldValue(value) {
+  if (Array.isArray(value)) return value.map(item => (typeof item === 'object' ? JSON.stringify(item) : item)).join(', ');
+  return value;
+}
+
 /**
  * Modify data object with a prompt-based generation task
  * @param {Object} promptData - Configuration for the prompt task
  * @param {string} promptData.model - LLM model to use (optional if template is provided)
  * @param {string} promptData.template - Template string with placeholders (alternative to prompt)
  * @param {string} promptData.prompt - Direct prompt text
- * @param {string} promptData.to - Target field to store the result
+ * @param {string} promptData.to - Target field to store the result (optional for structured tasks)
  * @param {string} promptData.imagePath - Field name containing the image path (for image prompts)
+ * @param {Object} [promptData.format] - JSON schema; requests structured output (see requestStructuredOutput)
+ * @param {Object<string, string>} [promptData.mapTo] - Reply property → data field (default: same names)
+ * @param {number} [promptData.retries] - Extra attempts when the reply is not valid
  * @param {Object} dataObject - Object containing data fields
  * @returns {Promise<Object>} Modified data object
  */
 export async function modifyDataWithPrompt(promptData, dataObject) {
   try {
-    const { model, template, prompt, from, to, imagePath } = promptData;
-    
+    const { model, template, prompt, from, to, imagePath, format, mapTo, retries } = promptData;
+    const isStructured = !!format && !!prompt;
+
     // Validate that 'to' field is provided
-    if (!to) {
+    if (!to && !isStructured) {
       throw new Error('Generation task missing required "to" field');
     }
     
@@ -350,20 +435,14 @@ export async function modifyDataWithPrompt(promptData, dataObject) {
     // Extract prompt text from promptData.prompt or promptData.template
     let processedPrompt = prompt || template;
     
-    // Replace double curly brace placeholders (e.g., {{description}}) with values from dataObject
-    const bracketPattern = /\{\{(\w+)\}\}/g;
+    // Expand {{placeholders}}, pipes and {{#if}} sections with values from dataObject
     const missingKeys = [];
-    processedPrompt = processedPrompt.replace(bracketPattern, (match, key) => {
-      if (dataObject[key] === undefined || dataObject[key] === null || dataObject[key] === '') {
-        missingKeys.push(key);
-        return match; // Keep the placeholder if value is missing
-      }
-      return dataObject[key];
-    });
+    processedPrompt = parseTemplate(processedPrompt, dataObject, { missing: missingKeys });
     
-    // Throw error if any required bracket replacements are missing
+    // A placeholder is missing when its value is blank and its pipes leave it
+    // empty (`default` can fill it); skipped {{#if}} sections are not checked
     if (missingKeys.length > 0) {
-      throw new Error(`Generation task for "${to}": missing required data for placeholders: {{${missingKeys.join('}}, {{')}}}`);
+      throw new Error(`Generation task for "${to}": missing required data for placeholders: {{${[...new Set(missingKeys)].join('}}, {{')}}}`);
     }
     
     // If template is present instead of model, just do string replacement
@@ -381,18 +460,36 @@ export async function modifyDataWithPrompt(promptData, dataObject) {
       throw new Error(`Generation task for "${to}": "model" is required for LLM prompt generation`);
     }
     
-    console.log(`Processing prompt for ${to} with model ${model}`);
+    const label = to || getPromptTaskTargets(promptData).join(', ');
+    console.log(`Processing prompt for ${label} with model ${model}`);
     console.log(`Prompt: ${processedPrompt}`);
-    
-    let response;
-    
+
     // If imagePath is specified in promptData, resolve the actual path from dataObject
+    let actualImagePath = null;
     if (imagePath) {
-      const actualImagePath = dataObject[imagePath];
+      actualImagePath = dataObject[imagePath];
       if (!actualImagePath) {
-        throw new Error(`Generation task for "${to}": image path field '${imagePath}' not found in dataObject`);
+        throw new Error(`Generation task for "${label}": image path field '${imagePath}' not found in dataObject`);
       }
       console.log(`Using image path: ${actualImagePath}`);
+    }
+
+    // Structured output: one call fills several fields
+    if (isStructured) {
+      const reply = await requestStructuredOutput({
+        prompt: processedPrompt, model, format, imagePath: actualImagePath, retries, to: label,
+      });
+      const mapping = mapTo || Object.fromEntries(Object.keys(format.properties || {}).map(key => [key, key]));
+      for (const [key, field] of Object.entries(mapping)) {
+        if (reply[key] !== undefined) dataObject[field] = toFieldValue(reply[key]);
+      }
+      if (to) dataObject[to] = reply;
+      console.log(`Stored structured response in ${label}`);
+      return dataObject;
+    }
+
+    let response;
+    if (actualImagePath) {
       response = await sendImagePrompt(actualImagePath, processedPrompt, model, to);
     } else {
       response = await sendTextPrompt(processedPrompt, model, to);
@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+// ── Mocks ────────────────────────────────────────────────────────────────────
+
+vi.mock('./service-manager.mjs', () => ({
+  getOllamaAPIPath: vi.fn(() => 'http://ollama.test'),
+  getOllamaUseCPU: vi.fn(() => false),
+}));
+
+import { modifyDataWithPrompt, getPromptTaskTargets } from './llm.mjs';
+
+const format = {
+  type: 'object',
+  properties: {
+    title: { type: 'string' },
+    tags: { type: 'array', items: { type: 'string' } },
+  },
+  required: ['title', 'tags'],
+};
+
+let tmpDir;
+let replies;
+let requests;
+
+beforeEach(() => {
+  // sent-prompt.json is written under process.cwd()
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-test-'));
+  vi.spyOn(process, 'cwd').mockReturnValue(tmpDir);
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  requests = [];
+  replies = [];
+  vi.stubGlobal('fetch', vi.fn(async (url, init) => {
+    requests.push(JSON.parse(init.body));
+    return { ok: true, json: async () => ({ response: replies.shift() }) };
+  }));
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('structured LLM tasks', () => {
+  it('sends the schema as format and maps reply properties into fields', async () => {
+    replies.push(JSON.stringify({ title: 'Night Fox', tags: ['fox', 'night'] }));
+    const data = { prompt: 'a fox at night' };
+    await modifyDataWithPrompt({ model: 'm', prompt: 'Describe: {{prompt}}', format, mapTo: { title: 'name', tags: 'tags' } }, data);
+
+    expect(requests[0]).toMatchObject({ model: 'm', prompt: 'Describe: a fox at night', format });
+    expect(data).toMatchObject({ name: 'Night Fox', tags: 'fox, night' });
+  });
+
+  it('retries replies that do not parse or match the schema', async () => {
+    replies.push('not json', JSON.stringify({ title: 'x' }), JSON.stringify({ title: 'Fox', tags: [] }));
+    const data = {};
+    await modifyDataWithPrompt({ model: 'm', prompt: 'p', format, retries: 2 }, data);
+
+    expect(requests).toHaveLength(3);
+    expect(data).toMatchObject({ title: 'Fox', tags: '' });
+  });
+
+  it('fails with the last problem once retries run out', async () => {
+    replies.push('{', '{');
+    await expect(modifyDataWithPrompt({ model: 'm', prompt: 'p', format, retries: 1 }, {}))
+      .rejects.toThrow(/no usable JSON after 2 attempt\(s\): reply is not valid JSON/);
+  });
+
+  it('lists the fields a task writes', () => {
+    expect(getPromptTaskTargets({ model: 'm', prompt: 'p', to: 'description' })).toEqual(['description']);
+    expect(getPromptTaskTargets({ model: 'm', prompt: 'p', format, mapTo: { title: 'name', tags: 'tags' } })).toEqual(['name', 'tags']);
+    expect(getPromptTaskTargets({ model: 'm', prompt: 'p', format })).toEqual(['title', 'tags']);
+  });
+});
+
+describe('template placeholders', () => {
+  it('reports a blank field behind a pipe unless the pipe fills it', async () => {
+    await expect(modifyDataWithPrompt({ template: '{{name|uppercase}} {{name|join:", "}}', to: 'title' }, { name: '' }))
+      .rejects.toThrow('missing required data for placeholders: {{name}}');
+
+    const data = await modifyDataWithPrompt({ template: '{{name|default:"Untitled"}}', to: 'title' }, {});
+    expect(data.title).toBe('Untitled');
+  });
+
+  it('only reports missing fields in {{#if}} sections that are rendered', async () => {
+    const template = '{{#if style}}in {{style}} style, {{palette}}{{else}}plain{{/if}}';
+
+    expect((await modifyDataWithPrompt({ template, to: 'prompt' }, { palette: '' })).prompt).toBe('plain');
+    await expect(modifyDataWithPrompt({ template, to: 'prompt' }, { style: 'ink' }))
+      .rejects.toThrow('missing required data for placeholders: {{palette}}');
+  });
+});
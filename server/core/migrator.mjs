@@ -13,6 +13,7 @@ import path from 'path';
 import { pathToFileURL } from 'url';
 import { DATA_DOMAINS } from './data-versions.mjs';
 import { BACKUP_DIR } from './paths.mjs';
+import { compactJournal } from './journal.mjs';
 
 /**
  * Load and parse a JSON data file. Returns parsed object.
@@ -91,47 +92,95 @@ function writeBackup(domain, version, filePath) {
 }
 
 /**
- * Run migrations for a single domain.
+ * Work out the migration chain that brings `data` up to `currentVersion`.
+ * An empty chain means the data is already current.
+ *
  * @param {string} domain
- * @param {{ currentVersion: number, filePath: string }} domainConfig
+ * @param {Object} data
+ * @param {number} currentVersion
+ * @returns {Promise<Array<{fromVersion, toVersion, migrate}>>}
+ * @throws {Error} If the data is newer than the server expects (`code = 'DATA_TOO_NEW'`) or the chain has a gap.
  */
-async function migrateDomain(domain, { currentVersion, filePath }) {
-  if (!fs.existsSync(filePath)) return;
-
-  const data = readDataFile(filePath);
+async function planMigration(domain, data, currentVersion) {
   const dataVersion = typeof data.version === 'number' ? data.version : 0;
 
-  if (dataVersion === currentVersion) return;
+  if (dataVersion === currentVersion) return [];
 
   if (dataVersion > currentVersion) {
-    throw new Error(
+    throw Object.assign(new Error(
       `[${domain}] Data is at version ${dataVersion} but server expects ${currentVersion}. ` +
       `Please update the server to the latest version.`
-    );
+    ), { code: 'DATA_TOO_NEW' });
   }
 
-  // dataVersion < currentVersion — migration needed
   const migrations = await loadMigrations(domain);
-  const chain = buildChain(migrations, dataVersion, currentVersion, domain);
+  return buildChain(migrations, dataVersion, currentVersion, domain);
+}
+
+/**
+ * Run a migration chain over a data object.
+ * @param {string} domain
+ * @param {Object} data
+ * @param {Array<{fromVersion, toVersion, migrate}>} chain
+ * @returns {Object} Migrated data.
+ */
+function applyChain(domain, data, chain) {
+  let migrated = data;
+  for (const step of chain) {
+    console.log(`[${domain}] Migrating v${step.fromVersion} → v${step.toVersion}`);
+    try {
+      migrated = step.migrate(migrated);
+    } catch (err) {
+      throw new Error(`[${domain}] Migration from v${step.fromVersion} failed: ${err.message}`);
+    }
+    migrated.version = step.toVersion;
+  }
+  return migrated;
+}
 
+/**
+ * Upgrade a data object to `currentVersion` in memory, without touching any
+ * file. Used when restoring snapshots so older archives load on a newer server.
+ *
+ * @param {string} domain
+ * @param {Object} data
+ * @param {number} currentVersion
+ * @returns {Promise<Object>} Migrated data (the input object when already current).
+ * @throws {Error} See `planMigration`; also when a migration step fails.
+ */
+export async function migrateData(domain, data, currentVersion) {
+  const chain = await planMigration(domain, data, currentVersion);
+  return applyChain(domain, data, chain);
+}
+
+/**
+ * Run migrations for a single domain.
+ * @param {string} domain
+ * @param {{ currentVersion: number, filePath: string, journal?: import('./journal.mjs').JournalSpec }} domainConfig
+ */
+async function migrateDomain(domain, { currentVersion, filePath, journal }) {
+  // Journaled domains: fold pending operations so the snapshot is complete
+  if (journal && compactJournal(filePath, journal)) {
+    console.log(`[${domain}] Folded pending journal into ${path.basename(filePath)}`);
+  }
+
+  if (!fs.existsSync(filePath)) return;
+
+  const data = readDataFile(filePath);
+  const chain = await planMigration(domain, data, currentVersion);
+  if (chain.length === 0) return;
+
+  const dataVersion = chain[0].fromVersion;
   const backupPath = writeBackup(domain, dataVersion, filePath);
   console.log(`[${domain}] Backing up v${dataVersion} → ${backupPath}`);
 
-  let migrated = data;
   try {
-    for (const step of chain) {
-      console.log(`[${domain}] Migrating v${step.fromVersion} → v${step.toVersion}`);
-      migrated = step.migrate(migrated);
-      migrated.version = step.toVersion;
-    }
+    const migrated = applyChain(domain, data, chain);
     fs.writeFileSync(filePath, JSON.stringify(migrated, null, 2), 'utf8');
     console.log(`[${domain}] Migration complete (now at v${currentVersion})`);
   } catch (err) {
     fs.copyFileSync(backupPath, filePath);
-    throw new Error(
-      `[${domain}] Migration from v${migrated.version ?? dataVersion} failed: ${err.message}. ` +
-      `Original data restored from backup.`
-    );
+    throw new Error(`${err.message}. Original data restored from backup.`);
   }
 }
 
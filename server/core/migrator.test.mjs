@@ -210,3 +210,83 @@ describe('migrator', () => {
     expect(readJson(filePath)).toMatchObject({ original: true });
   });
 });
+
+describe('config migration steps', () => {
+  beforeEach(() => { vi.spyOn(console, 'log').mockImplementation(() => {}); });
+  afterEach(() => { vi.restoreAllMocks(); });
+
+  it('8 → 9 adds the brewDraft defaults and keeps values already set', async () => {
+    const { migrateData } = await import('./migrator.mjs');
+
+    const migrated = await migrateData('config', { version: 8, serverPort: 3000, brewDraft: { maxSounds: 4 } }, 9);
+
+    expect(migrated).toEqual({
+      version: 9,
+      serverPort: 3000,
+      brewDraft: { model: 'gemma3:4b', workflow: 'Text to Sound (StableAudio)', maxSounds: 4 },
+    });
+  });
+
+  it('brings a v7 config up to the current version', async () => {
+    const { migrateData } = await import('./migrator.mjs');
+    const { DATA_DOMAINS } = await import('./data-versions.mjs');
+
+    const migrated = await migrateData('config', { version: 7 }, DATA_DOMAINS.config.currentVersion);
+
+    expect(migrated).toMatchObject({ version: 9, imageOps: { upscaleWorkflow: '' }, brewDraft: { maxSounds: 8 } });
+  });
+});
+
+describe('media-data migration steps', () => {
+  beforeEach(() => { vi.spyOn(console, 'log').mockImplementation(() => {}); });
+  afterEach(() => { vi.restoreAllMocks(); });
+
+  it('0 → 1 gives entries without a numeric uid a new one instead of dropping them', async () => {
+    const { migrate } = await import('../../scripts/migrate/media-data/0-to-1.mjs');
+    const timestamp = '2025-01-01T00:00:00.000Z';
+    const taken = Date.parse(timestamp);
+
+    const migrated = migrate({
+      mediaData: [
+        { uid: taken, name: 'first' },
+        { uid: 2, name: 'old' },
+        { name: 'no uid', timestamp },
+        { uid: '17', name: 'string uid', timestamp },
+        null,
+        { uid: 2, name: 'new' },
+      ],
+    });
+
+    expect(migrated.mediaData.map(e => [e.uid, e.name])).toEqual([
+      [taken, 'first'],
+      [2, 'new'],
+      [taken + 1, 'no uid'],
+      [taken + 2, 'string uid'],
+    ]);
+    expect(migrated.mediaData.every(e => e.folder === '')).toBe(true);
+    expect(console.log).toHaveBeenCalledWith('[0-to-1] Assigned new uids to 2 media entries without one');
+    expect(console.log).toHaveBeenCalledWith('[0-to-1] Dropped 1 media-data item(s) that are not entries');
+  });
+
+  it('2 → 3 names operations with the same inference new entries use', async () => {
+    const { migrate } = await import('../../scripts/migrate/media-data/2-to-3.mjs');
+    const { inferOperation } = await import('../features/media/lineage.mjs');
+    const fixtures = [
+      { uid: 1, workflow: 'Text to Image' },
+      { uid: 2, workflow: 'Uploaded Image' },
+      { uid: 3, workflow: 'Uploaded Audio', origin: 1 },
+      { uid: 4, inpaint: true, origin: 1 },
+      { uid: 5, inpaint: true, outpaint: { left: 64 }, origin: 1 },
+      { uid: 6, imageOps: [{ op: 'crop' }], origin: 1 },
+      { uid: 7, imageOps: [{ op: 'upscale' }], origin: 1 },
+      { uid: 8, workflow: 'Image to Video', extraInputs: { image_0_uid: '2', audio_0_uid: 3, image_1_uid: 99 } },
+    ];
+    const expected = fixtures.map(entry => inferOperation(structuredClone(entry)));
+
+    const { mediaData } = migrate({ mediaData: structuredClone(fixtures) });
+
+    expect(mediaData.map(e => e.operation)).toEqual(expected);
+    expect(expected).toEqual(['generate', 'upload', 'edit', 'inpaint', 'outpaint', 'edit', 'upscale', 'generate']);
+    expect(mediaData.find(e => e.uid === 8).parents).toEqual([3, 2]);
+  });
+});
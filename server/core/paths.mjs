@@ -20,6 +20,12 @@ export const DATABASE_DIR = path.join(SERVER_DIR, 'database');
 /** Path to `server/storage/` (generated media) */
 export const STORAGE_DIR = path.join(SERVER_DIR, 'storage');
 
+/** Path to `server/trash/` (storage files moved aside by deletes and purges, expired after a retention period) */
+export const TRASH_DIR = path.join(SERVER_DIR, 'trash');
+
+/** Path to `server/snapshots/` (backup archives of every data domain) */
+export const SNAPSHOT_DIR = path.join(SERVER_DIR, 'snapshots');
+
 /** Path to `server/resource/` (workflow JSON files, CSV data) */
 export const RESOURCE_DIR = path.join(SERVER_DIR, 'resource');
 
@@ -38,18 +44,36 @@ export const DEFAULT_CONFIG_PATH = path.join(SERVER_DIR, 'config.default.json');
 /** Path to `server/database/media-data.json` */
 export const MEDIA_DATA_PATH = path.join(DATABASE_DIR, 'media-data.json');
 
+/** Path to `server/database/media-data.journal.jsonl` (append-only change log folded into media-data.json) */
+export const MEDIA_JOURNAL_PATH = path.join(DATABASE_DIR, 'media-data.journal.jsonl');
+
+/** Path to `server/database/wildcards/` (one `<name>.txt` value list per `__name__` prompt wildcard) */
+export const WILDCARDS_DIR = path.join(DATABASE_DIR, 'wildcards');
+
+/** Path to `server/database/workflow-history/` (base ComfyUI graphs referenced by generation recipes, one `<sha256>.json` each) */
+export const WORKFLOW_HISTORY_DIR = path.join(DATABASE_DIR, 'workflow-history');
+
 /** Path to `server/database/brew-data.json` */
 export const BREW_DATA_PATH = path.join(DATABASE_DIR, 'brew-data.json');
 
+/** Path to `server/database/brew-drafts.json` (brews being generated from a text description) */
+export const BREW_DRAFTS_PATH = path.join(DATABASE_DIR, 'brew-drafts.json');
+
 /** Path to `server/database/anytale-data.json` */
 export const ANYTALE_DATA_PATH = path.join(DATABASE_DIR, 'anytale-data.json');
 
 /** Path to `server/database/sound-sources.json` */
 export const SOUND_SOURCES_PATH = path.join(DATABASE_DIR, 'sound-sources.json');
 
+/** Path to `server/plugins/processors/` (user-installed post-processing modules) */
+export const PROCESSOR_PLUGINS_DIR = path.join(SERVER_DIR, 'plugins', 'processors');
+
 /** Path to `server/resource/workflows/` (individual ComfyUI workflow JSON files) */
 export const COMFYUI_WORKFLOWS_DIR = path.join(RESOURCE_DIR, 'workflows');
 
+/** Path to `server/resource/workflows/ui/` (UI-format graphs of imported workflows, by base filename) */
+export const COMFYUI_UI_GRAPHS_DIR = path.join(COMFYUI_WORKFLOWS_DIR, 'ui');
+
 /** Path to `server/resource/comfyui-workflows.json` */
 export const WORKFLOWS_PATH = path.join(RESOURCE_DIR, 'comfyui-workflows.json');
 
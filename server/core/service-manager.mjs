@@ -4,7 +4,9 @@ let config = null;
 
 // Service readiness state
 let ollamaReady = false;
-let comfyuiReady = false;
+
+// ComfyUI readiness per backend name (see getComfyUIBackendConfigs)
+const comfyuiBackendHealth = new Map();
 
 // Initialize services module with config
 export function initializeServices(appConfig) {
@@ -79,6 +81,66 @@ export async function checkComfyUIHealth(baseUrl) {
   }
 }
 
+/**
+ * The ComfyUI servers generations can run on. `config.comfyuiBackends` lists
+ * them as `{ name, apiPath, launchPath?, tags? }`; without it the single
+ * `comfyuiAPIPath` / `comfyuiLaunchPath` pair is one backend named "default".
+ * Workflows save their outputs straight to this server's storage path, so
+ * every backend must see that folder at the same path (same machine, or a
+ * network share mounted there).
+ * @param {Object} [appConfig] - Defaults to the initialized config.
+ * @returns {{ name: string, apiPath: string, launchPath: string, tags: string[] }[]}
+ */
+export function getComfyUIBackendConfigs(appConfig = config) {
+  const listed = Array.isArray(appConfig?.comfyuiBackends) ? appConfig.comfyuiBackends : [];
+  if (listed.length === 0) {
+    return [{ name: 'default', apiPath: appConfig?.comfyuiAPIPath, launchPath: appConfig?.comfyuiLaunchPath || '', tags: [] }];
+  }
+  return listed.map((backend, index) => ({
+    name: backend.name || `comfyui-${index + 1}`,
+    apiPath: backend.apiPath,
+    launchPath: backend.launchPath || '',
+    tags: Array.isArray(backend.tags) ? backend.tags : [],
+  }));
+}
+
+let _onComfyUIBackendChange = null;
+
+/** Register a callback fired whenever a ComfyUI backend comes up or goes down. */
+export function setOnComfyUIBackendChange(fn) {
+  _onComfyUIBackendChange = fn;
+}
+
+function _setComfyUIBackendHealth(name, healthy) {
+  const changed = comfyuiBackendHealth.get(name) !== healthy;
+  comfyuiBackendHealth.set(name, healthy);
+  if (changed && _onComfyUIBackendChange) _onComfyUIBackendChange(name, healthy);
+}
+
+/**
+ * @param {string} name - Backend name
+ * @returns {boolean} Whether the backend answered its last health check.
+ */
+export function isComfyUIBackendHealthy(name) {
+  return comfyuiBackendHealth.get(name) === true;
+}
+
+/**
+ * Record that a backend stopped answering (e.g. a refused prompt request).
+ * It is re-checked with the readiness polling until it is back.
+ * @param {string} name
+ */
+export function markComfyUIBackendDown(name) {
+  if (!isComfyUIBackendHealthy(name)) return;
+  console.log(`✗ ComfyUI backend "${name}" is not responding`);
+  _setComfyUIBackendHealth(name, false);
+  startReadinessPolling();
+}
+
+function _anyComfyUIBackendReady() {
+  return [...comfyuiBackendHealth.values()].some(Boolean);
+}
+
 // Function to check and start services
 export async function checkAndStartServices() {
   if (!config) {
@@ -95,54 +157,67 @@ export async function checkAndStartServices() {
     launchService(config.ollamaLaunchPath, 'Ollama');
   }
   
-  // Check ComfyUI using the history endpoint
-  const comfyuiRunning = await checkComfyUIHealth(config.comfyuiAPIPath);
-  if (comfyuiRunning) {
-    comfyuiReady = true;
-  } else {
-    launchService(config.comfyuiLaunchPath, 'ComfyUI');
+  // Check each ComfyUI backend using the history endpoint
+  for (const backend of getComfyUIBackendConfigs()) {
+    const comfyuiRunning = await checkComfyUIHealth(backend.apiPath);
+    _setComfyUIBackendHealth(backend.name, comfyuiRunning);
+    if (!comfyuiRunning) {
+      launchService(backend.launchPath, `ComfyUI (${backend.name})`);
+    }
   }
   
   console.log('🎯 Service initialization complete\n');
 }
 
-// Returns the current readiness state of both services
+// Returns the current readiness state of the services. `comfyui` is true
+// once any backend is up; `comfyuiBackends` has the state of each one.
 export function getServiceStatus() {
-  return { ollama: ollamaReady, comfyui: comfyuiReady };
+  return {
+    ollama: ollamaReady,
+    comfyui: _anyComfyUIBackendReady(),
+    comfyuiBackends: Object.fromEntries(getComfyUIBackendConfigs().map(({ name }) => [name, isComfyUIBackendHealthy(name)])),
+  };
 }
 
 let _onAllReadyCallback = null;
+let _allReadyNotified = false;
+let _readinessInterval = null;
 
 export function setOnAllReady(fn) {
   _onAllReadyCallback = fn;
   // If both services were already ready before this was registered, fire immediately
-  if (ollamaReady && comfyuiReady) fn();
+  if (_allReadyNotified) fn();
 }
 
 function _notifyAllReady() {
+  if (_allReadyNotified) return;
+  _allReadyNotified = true;
   console.log('✓ All services are ready');
   if (_onAllReadyCallback) _onAllReadyCallback();
 }
 
-// Polls both services every 15 seconds until both are ready
+// Polls every 15 seconds until Ollama and every ComfyUI backend are up.
+// The app counts as ready as soon as Ollama and one backend are.
 export function startReadinessPolling() {
-  if (ollamaReady && comfyuiReady) {
-    _notifyAllReady();
-    return;
-  }
+  const downBackends = () => getComfyUIBackendConfigs().filter(({ name }) => !isComfyUIBackendHealthy(name));
+  if (ollamaReady && _anyComfyUIBackendReady()) _notifyAllReady();
+  if ((ollamaReady && downBackends().length === 0) || _readinessInterval) return;
 
-  const interval = setInterval(async () => {
+  _readinessInterval = setInterval(async () => {
     if (!ollamaReady) {
       ollamaReady = await checkServiceHealth(config.ollamaAPIPath, 'Ollama');
       if (ollamaReady) console.log('✓ Ollama is now ready');
     }
-    if (!comfyuiReady) {
-      comfyuiReady = await checkComfyUIHealth(config.comfyuiAPIPath);
-      if (comfyuiReady) console.log('✓ ComfyUI is now ready');
+    for (const backend of downBackends()) {
+      if (await checkComfyUIHealth(backend.apiPath)) {
+        console.log(`✓ ComfyUI backend "${backend.name}" is now ready`);
+        _setComfyUIBackendHealth(backend.name, true);
+      }
     }
-    if (ollamaReady && comfyuiReady) {
-      clearInterval(interval);
-      _notifyAllReady();
+    if (ollamaReady && _anyComfyUIBackendReady()) _notifyAllReady();
+    if (ollamaReady && downBackends().length === 0) {
+      clearInterval(_readinessInterval);
+      _readinessInterval = null;
     }
   }, 15000);
 }
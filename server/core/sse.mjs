@@ -80,15 +80,28 @@ const activeTasks = new Map();
 //   progress: { percentage: 0, currentStep: "Starting..." },
 //   sseClients: Set of response objects,
 //   promptId: "comfyui-prompt-id",
+//   backend: "default",            // ComfyUI backend running the prompt
 //   requestData: { ... original request data ... },
 //   workflowConfig: { ... workflow configuration ... },
 //   messageBuffer: Array of buffered messages,
 //   heartbeatIntervals: Map of response -> interval
 // });
 
-// Map promptId to taskId for reverse lookup
+// Map prompt key (see promptKey) to taskId for reverse lookup
 const promptIdToTaskId = new Map();
 
+/**
+ * Lookup key for a ComfyUI prompt. Prompt ids are only unique per ComfyUI
+ * server, so events from a backend's WebSocket are routed by backend name
+ * and prompt id together.
+ * @param {string} promptId
+ * @param {string|null} [backend]
+ * @returns {string}
+ */
+export function promptKey(promptId, backend = null) {
+  return backend ? `${backend}:${promptId}` : promptId;
+}
+
 // Response format builders
 function createProgressResponse(taskId, progress, currentStep) {
   return {
@@ -207,7 +220,7 @@ function scheduleTaskCleanup(taskId) {
       }
       // Remove from maps
       if (task.promptId) {
-        promptIdToTaskId.delete(task.promptId);
+        promptIdToTaskId.delete(promptKey(task.promptId, task.backend));
       }
       activeTasks.delete(taskId);
       console.log(`Cleaned up task ${taskId}`);
@@ -507,7 +520,7 @@ export function updateTask(taskId, updates) {
 export function deleteTask(taskId) {
   const task = activeTasks.get(taskId);
   if (task?.promptId) {
-    promptIdToTaskId.delete(task.promptId);
+    promptIdToTaskId.delete(promptKey(task.promptId, task.backend));
   }
   activeTasks.delete(taskId);
 }
@@ -561,16 +574,23 @@ export function emitTaskCancelled(taskId) {
   scheduleTaskCleanup(taskId);
 }
 
-export function setTaskPromptId(taskId, promptId) {
+/**
+ * Link a task to the ComfyUI prompt running it.
+ * @param {string} taskId
+ * @param {string} promptId
+ * @param {string|null} [backend] - Name of the backend the prompt was sent to
+ */
+export function setTaskPromptId(taskId, promptId, backend = null) {
   const task = activeTasks.get(taskId);
   if (task) {
     task.promptId = promptId;
-    promptIdToTaskId.set(promptId, taskId);
+    task.backend = backend;
+    promptIdToTaskId.set(promptKey(promptId, backend), taskId);
   }
 }
 
-export function getTaskByPromptId(promptId) {
-  const taskId = promptIdToTaskId.get(promptId);
+export function getTaskByPromptId(promptId, backend = null) {
+  const taskId = promptIdToTaskId.get(promptKey(promptId, backend));
   return taskId ? activeTasks.get(taskId) : null;
 }
 
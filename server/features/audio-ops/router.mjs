@@ -0,0 +1,31 @@
+/**
+ * Audio Ops Router – server-side steps of the browser sound editor.
+ *
+ * @module features/audio-ops/router
+ */
+import { Router } from 'express';
+import { upload } from '../upload/router.mjs';
+import * as audioOpsService from './service.mjs';
+
+const router = Router();
+
+/**
+ * POST /audio-ops/stretch
+ * Time-stretch and/or pitch-shift an audio file.
+ * Payload: multipart `audio` plus `tempo`, `semitones` and `sampleRate`.
+ * Responds with the processed audio as `audio/wav`.
+ */
+router.post('/audio-ops/stretch', upload.single('audio'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'No audio file provided' });
+    const options = audioOpsService.parseStretchOptions(req.body);
+    const wav = await audioOpsService.stretchAudio(req.file.buffer, options);
+    res.type('audio/wav').send(wav);
+  } catch (error) {
+    const status = error.status || 500;
+    console.error('Error in audio stretch endpoint:', error);
+    res.status(status).json({ error: error.message });
+  }
+});
+
+export default router;
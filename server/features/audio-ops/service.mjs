@@ -0,0 +1,179 @@
+/**
+ * Audio Ops Service – ffmpeg processing for the browser sound editor.
+ *
+ * The sound editor applies most edits itself on a decoded AudioBuffer. Time
+ * stretch and pitch shift need a proper resampler, so the editor posts its
+ * current audio as WAV and gets the processed WAV back. The result becomes one
+ * more step in the editor's undo history; nothing is saved here.
+ *
+ * Pitch is shifted by resampling (`asetrate` + `aresample`), which also changes
+ * the tempo; `atempo` then brings the tempo to the requested factor.
+ *
+ * Saved edits are recorded on the new entry as `audioOps`; AUDIO_OP_SCHEMAS
+ * describes each operation so uploads can be checked before they are queued.
+ *
+ * @module features/audio-ops/service
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { validateJsonSchema } from '../../core/json-schema.mjs';
+
+const execFileAsync = promisify(execFile);
+
+/** Accepted ranges for a stretch request. */
+export const STRETCH_LIMITS = {
+  tempo: { min: 0.25, max: 4 },
+  semitones: { min: -12, max: 12 },
+  sampleRate: { min: 8000, max: 192000 },
+};
+
+const RANGE = { start: { type: 'number' }, end: { type: 'number' } };
+const rangeOp = (properties = {}, required = []) => ({
+  type: 'object',
+  properties: { ...RANGE, ...properties },
+  required: ['start', 'end', ...required],
+});
+const FADE = rangeOp({ curve: { type: 'string', enum: ['linear', 'ease-in', 'ease-out', 'ease-in-out', 'equal-power'] } }, ['curve']);
+
+/** Schema of each sound editor operation, keyed by `op` (see docs/server.md, Audio Ops API). */
+export const AUDIO_OP_SCHEMAS = {
+  'trim': rangeOp(),
+  'crop': rangeOp(),
+  'fade-in': FADE,
+  'fade-out': FADE,
+  'normalize': {
+    type: 'object',
+    properties: { mode: { type: 'string', enum: ['peak', 'lufs'] }, target: { type: 'number' }, gainDb: { type: 'number' } },
+    required: ['mode', 'target', 'gainDb'],
+  },
+  'envelope': {
+    type: 'object',
+    properties: {
+      points: {
+        type: 'array',
+        items: { type: 'object', properties: { time: { type: 'number' }, gain: { type: 'number' } }, required: ['time', 'gain'] },
+      },
+    },
+    required: ['points'],
+  },
+  'reverse': rangeOp(),
+  'split': rangeOp({ clips: { type: 'integer' } }, ['clips']),
+  'stretch': {
+    type: 'object',
+    properties: { tempo: { type: 'number' }, semitones: { type: 'number' } },
+    required: ['tempo', 'semitones'],
+  },
+  'add-clip': rangeOp({ label: { type: 'string' } }),
+  'scrub': rangeOp(),
+};
+
+/**
+ * Check a list of sound editor operations against AUDIO_OP_SCHEMAS.
+ * @param {*} ops
+ * @returns {string[]} Error messages (empty = valid).
+ */
+export function validateAudioOps(ops) {
+  if (!Array.isArray(ops)) return ['audioOps must be an array'];
+  return ops.flatMap((op, i) => {
+    const schema = AUDIO_OP_SCHEMAS[op?.op];
+    if (!schema) return [`audioOps[${i}].op must be one of: ${Object.keys(AUDIO_OP_SCHEMAS).join(', ')}`];
+    return validateJsonSchema(op, schema, `audioOps[${i}]`);
+  });
+}
+
+function httpError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * `atempo` only takes factors from 0.5 to 2 on older ffmpeg builds, so larger
+ * changes are chained.
+ * @param {number} factor
+ * @returns {string[]}
+ */
+function atempoChain(factor) {
+  const filters = [];
+  let remaining = factor;
+  while (remaining > 2) {
+    filters.push('atempo=2');
+    remaining /= 2;
+  }
+  while (remaining < 0.5) {
+    filters.push('atempo=0.5');
+    remaining /= 0.5;
+  }
+  if (Math.abs(remaining - 1) > 1e-6) filters.push(`atempo=${Number(remaining.toFixed(6))}`);
+  return filters;
+}
+
+/**
+ * Build the ffmpeg audio filter for a stretch.
+ * @param {Object} options
+ * @param {number} [options.tempo=1]     - Speed factor; 2 plays twice as fast
+ * @param {number} [options.semitones=0] - Pitch shift
+ * @param {number} options.sampleRate    - Sample rate of the input
+ * @returns {string} Filter graph for `-filter:a`
+ */
+export function buildStretchFilter({ tempo = 1, semitones = 0, sampleRate }) {
+  const pitchRatio = 2 ** (semitones / 12);
+  const filters = [];
+  if (semitones !== 0) {
+    filters.push(`asetrate=${Math.round(sampleRate * pitchRatio)}`, `aresample=${sampleRate}`);
+  }
+  // Resampling already sped the audio up by pitchRatio.
+  filters.push(...atempoChain(tempo / pitchRatio));
+  return filters.join(',');
+}
+
+/**
+ * Validate stretch fields from a form body.
+ * @param {Object} body - `{ tempo, semitones, sampleRate }`, numbers or numeric strings
+ * @returns {{ tempo: number, semitones: number, sampleRate: number }}
+ * @throws {Error} 400 on a missing or out-of-range value, or when nothing would change.
+ */
+export function parseStretchOptions(body = {}) {
+  const read = (key, fallback) => {
+    const value = body[key] === undefined || body[key] === '' ? fallback : Number(body[key]);
+    const { min, max } = STRETCH_LIMITS[key];
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw httpError(`${key} must be a number from ${min} to ${max}`);
+    }
+    return value;
+  };
+  const options = {
+    tempo: read('tempo', 1),
+    semitones: read('semitones', 0),
+    sampleRate: Math.round(read('sampleRate', undefined)),
+  };
+  if (options.tempo === 1 && options.semitones === 0) throw httpError('Set a tempo or pitch change');
+  return options;
+}
+
+/**
+ * Time-stretch and/or pitch-shift audio with ffmpeg.
+ * @param {Buffer} input - Audio file contents (any format ffmpeg reads)
+ * @param {{ tempo: number, semitones: number, sampleRate: number }} options - From parseStretchOptions
+ * @returns {Promise<Buffer>} 16-bit PCM WAV at `sampleRate`
+ */
+export async function stretchAudio(input, { tempo, semitones, sampleRate }) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yaaiic-stretch-'));
+  const inputPath = path.join(workDir, 'input');
+  const outputPath = path.join(workDir, 'output.wav');
+  try {
+    fs.writeFileSync(inputPath, input);
+    const filter = buildStretchFilter({ tempo, semitones, sampleRate });
+    try {
+      await execFileAsync('ffmpeg', ['-y', '-i', inputPath, '-filter:a', filter, '-ar', String(sampleRate), '-c:a', 'pcm_s16le', outputPath]);
+    } catch (err) {
+      if (err.code === 'ENOENT') throw new Error('FFmpeg not found on PATH. Ensure FFmpeg is installed and accessible.');
+      throw new Error(`FFmpeg stretch failed: ${err.stderr?.toString().trim().split('\n').pop() || err.message}`);
+    }
+    console.log(`[audio-ops] Stretched audio: tempo ${tempo}, ${semitones} semitone(s) (${filter})`);
+    return fs.readFileSync(outputPath);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { buildStretchFilter, parseStretchOptions, validateAudioOps } from './service.mjs';
+
+describe('audio ops service', () => {
+  it('builds tempo and pitch filters', () => {
+    expect(buildStretchFilter({ tempo: 1.5, sampleRate: 44100 })).toBe('atempo=1.5');
+    // Tempo changes beyond what one atempo accepts are chained.
+    expect(buildStretchFilter({ tempo: 0.25, sampleRate: 44100 })).toBe('atempo=0.5,atempo=0.5');
+    expect(buildStretchFilter({ tempo: 3, sampleRate: 48000 })).toBe('atempo=2,atempo=1.5');
+    // An octave up resamples to double speed, then halves the tempo back.
+    expect(buildStretchFilter({ semitones: 12, sampleRate: 44100 })).toBe('asetrate=88200,aresample=44100,atempo=0.5');
+    // ...unless the speed-up is wanted too.
+    expect(buildStretchFilter({ tempo: 2, semitones: 12, sampleRate: 44100 })).toBe('asetrate=88200,aresample=44100');
+  });
+
+  it('checks saved sound editor operations against their schemas', () => {
+    expect(validateAudioOps([
+      { op: 'trim', start: 0, end: 1 },
+      { op: 'normalize', mode: 'lufs', target: -16, gainDb: 2.5 },
+      { op: 'envelope', points: [{ time: 0, gain: 1 }] },
+      { op: 'split', start: 0, end: 4, clips: 2 },
+      { op: 'stretch', tempo: 1.2, semitones: 0 },
+    ])).toEqual([]);
+    expect(validateAudioOps({ op: 'trim' })).toEqual(['audioOps must be an array']);
+    expect(validateAudioOps([{ op: 'echo' }, { op: 'split', start: 0, end: 1, clips: 1.5 }])).toEqual([
+      expect.stringMatching(/^audioOps\[0\]\.op must be one of: trim, crop, /),
+      'audioOps[1].clips must be integer',
+    ]);
+  });
+
+  it('validates stretch fields', () => {
+    expect(parseStretchOptions({ tempo: '0.8', sampleRate: '44100' })).toEqual({ tempo: 0.8, semitones: 0, sampleRate: 44100 });
+    expect(parseStretchOptions({ semitones: -3, sampleRate: 48000 })).toEqual({ tempo: 1, semitones: -3, sampleRate: 48000 });
+    expect(() => parseStretchOptions({ tempo: 5, sampleRate: 44100 })).toThrow(/tempo must be a number from 0.25 to 4/);
+    expect(() => parseStretchOptions({ tempo: 2 })).toThrow(/sampleRate/);
+    expect(() => parseStretchOptions({ sampleRate: 44100 })).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
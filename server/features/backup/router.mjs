@@ -0,0 +1,143 @@
+/**
+ * Backup Router – admin endpoints to create, list, download, import and
+ * restore data snapshots.
+ *
+ * @module features/backup/router
+ */
+import { Router } from 'express';
+import multer from 'multer';
+import os from 'os';
+import { loadConfig } from '../../core/config.mjs';
+import * as backupService from './service.mjs';
+
+const router = Router();
+
+// ---------------------------------------------------------------------------
+// Multer – snapshot archives go to a temp file; they can include media
+// ---------------------------------------------------------------------------
+
+const upload = multer({
+  dest: os.tmpdir(),
+  fileFilter: (_req, file, cb) => {
+    if (file.originalname.toLowerCase().endsWith('.tar.gz')) {
+      cb(null, true);
+    } else {
+      cb(Object.assign(new Error('Only .tar.gz snapshot archives are allowed'), { status: 400 }), false);
+    }
+  },
+});
+
+// ---------------------------------------------------------------------------
+// Snapshots
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /admin/backups
+ * List snapshots, newest first.
+ */
+router.get('/admin/backups', (req, res) => {
+  try {
+    res.json(backupService.listSnapshots());
+  } catch (error) {
+    const status = error.status || 500;
+    console.error('Error in list backups endpoint:', error);
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/backups
+ * Take a snapshot now. Body: `{ label?, includeMedia? }`.
+ */
+router.post('/admin/backups', async (req, res) => {
+  try {
+    const { label, includeMedia } = req.body || {};
+    const snapshot = await backupService.createSnapshot({ label, includeMedia: includeMedia === true });
+    res.status(201).json(snapshot);
+  } catch (error) {
+    const status = error.status || 500;
+    console.error('Error in create backup endpoint:', error);
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/backups/import
+ * Upload a snapshot archive (multipart field `archive`) so it can be restored.
+ */
+router.post('/admin/backups/import', (req, res, next) => {
+  upload.single('archive')(req, res, (err) => {
+    if (err) return res.status(err.status || 400).json({ error: err.message });
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No archive uploaded' });
+    }
+    const snapshot = await backupService.importSnapshot(req.file.path);
+    res.status(201).json(snapshot);
+  } catch (error) {
+    const status = error.status || 500;
+    console.error('Error in import backup endpoint:', error);
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/backups/:id/download
+ * Download the snapshot archive.
+ */
+router.get('/admin/backups/:id/download', (req, res) => {
+  try {
+    const archivePath = backupService.getSnapshotPath(req.params.id);
+    res.download(archivePath, `${req.params.id}.tar.gz`);
+  } catch (error) {
+    const status = error.status || 500;
+    console.error('Error in download backup endpoint:', error);
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/backups/:id/restore
+ * Restore domains from a snapshot. Body: `{ domains? }` (default: all).
+ */
+router.post('/admin/backups/:id/restore', async (req, res) => {
+  try {
+    const { domains } = req.body || {};
+    if (domains !== undefined && (!Array.isArray(domains) || domains.length === 0)) {
+      return res.status(400).json({ error: 'domains must be a non-empty array' });
+    }
+
+    const result = await backupService.restoreSnapshot(req.params.id, { domains });
+
+    // Reload config so routers reading app.locals.config see the restored values;
+    // services started from it need a restart (result.restartRequired)
+    if (result.restoredDomains.includes('config')) {
+      req.app.locals.config = loadConfig();
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    const status = error.status || 500;
+    console.error('Error in restore backup endpoint:', error);
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /admin/backups/:id
+ * Delete a snapshot archive.
+ */
+router.delete('/admin/backups/:id', (req, res) => {
+  try {
+    backupService.deleteSnapshot(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    const status = error.status || 500;
+    console.error('Error in delete backup endpoint:', error);
+    res.status(status).json({ error: error.message });
+  }
+});
+
+export default router;
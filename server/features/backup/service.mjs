@@ -0,0 +1,454 @@
+/**
+ * Backup Service – snapshots of every data domain as a single archive.
+ *
+ * A snapshot is a tar.gz in SNAPSHOT_DIR holding:
+ *   manifest.json          – format, creation info, domain versions, media list
+ *   data/<domain>.json     – each DATA_DOMAINS file (journals folded in)
+ *   workflows/<file>.json  – ComfyUI workflow files from COMFYUI_WORKFLOWS_DIR
+ *   workflows/ui/<file>.json – UI-format graphs of imported workflows
+ *   files/<set>/<file>     – FILE_SETS folders (recipe base graphs, wildcards)
+ *   media/<file>           – referenced storage files (optional)
+ *
+ * Each archive has a `<id>.manifest.json` sidecar so listing never has to
+ * decompress archives. Restores run every domain through the migrator, so
+ * archives written by older servers upgrade on the way in.
+ *
+ * @module features/backup/service
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  SNAPSHOT_DIR, STORAGE_DIR, COMFYUI_WORKFLOWS_DIR, COMFYUI_UI_GRAPHS_DIR, WORKFLOW_HISTORY_DIR, WILDCARDS_DIR,
+} from '../../core/paths.mjs';
+import { DATA_DOMAINS } from '../../core/data-versions.mjs';
+import { migrateData } from '../../core/migrator.mjs';
+import { readJournal, applyJournal, writeJsonAtomic } from '../../core/journal.mjs';
+import { writeTarGz, extractTarGz } from '../../core/archive.mjs';
+import * as mediaRepo from '../media/repository.mjs';
+import { collectReferencedFiles } from '../storage/service.mjs';
+
+export const SNAPSHOT_FORMAT = 'yaaiic-snapshot';
+export const SNAPSHOT_FORMAT_VERSION = 1;
+
+const ARCHIVE_EXT = '.tar.gz';
+const MANIFEST_EXT = '.manifest.json';
+
+/**
+ * Unversioned data folders archived next to the domains. Each set can be
+ * selected for restore like a domain; `restoreWith` also restores it with
+ * that domain, since entries in it point into the set.
+ */
+const FILE_SETS = {
+  // Content-addressed, so existing files are never overwritten
+  'workflow-history': { dir: () => WORKFLOW_HISTORY_DIR, pattern: /\.json$/, overwrite: false, restoreWith: 'media-data' },
+  'wildcards':        { dir: () => WILDCARDS_DIR, pattern: /\.txt$/, overwrite: true },
+};
+
+/** Injected at server startup. */
+let _backupConfig = {};
+
+/**
+ * @typedef {Object} SnapshotManifest
+ * @property {string} format             - Always `yaaiic-snapshot`.
+ * @property {number} formatVersion      - Archive layout version.
+ * @property {string} id                 - Snapshot id (archive basename).
+ * @property {'manual'|'scheduled'|'pre-restore'|'import'} reason
+ * @property {string} label
+ * @property {string} createdAt          - ISO timestamp.
+ * @property {Object<string, { version: number }>} domains - Data version of each included domain.
+ * @property {string[]} workflows        - Workflow files included.
+ * @property {Object<string, string[]>} [files] - Files included per FILE_SETS entry.
+ * @property {{ name: string, size: number }[]} media - Media files included (empty unless requested).
+ * @property {number} [size]             - Archive size in bytes (added when listing).
+ */
+
+// ---------------------------------------------------------------------------
+// Init
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {Object} options
+ * @param {Object} options.config - App config; reads `config.backup`.
+ */
+export function initialize({ config }) {
+  _backupConfig = config?.backup ?? {};
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function archivePath(id) {
+  return path.join(SNAPSHOT_DIR, id + ARCHIVE_EXT);
+}
+
+function manifestPath(id) {
+  return path.join(SNAPSHOT_DIR, id + MANIFEST_EXT);
+}
+
+function requireSnapshot(id) {
+  if (!/^[\w-]+$/.test(id)) {
+    throw Object.assign(new Error('Invalid snapshot id'), { status: 400 });
+  }
+  if (!fs.existsSync(archivePath(id))) {
+    throw Object.assign(new Error(`Snapshot not found: ${id}`), { status: 404 });
+  }
+  return archivePath(id);
+}
+
+function newSnapshotId(reason, date) {
+  const base = `${reason}-${date.toISOString().replace(/[:.]/g, '').slice(0, 15)}`;
+  let id = base;
+  for (let n = 1; fs.existsSync(archivePath(id)); n++) id = `${base}-${n}`;
+  return id;
+}
+
+/** Read a domain file with any pending journal applied, or null if it does not exist. */
+function readDomainData({ filePath, journal }) {
+  if (!fs.existsSync(filePath) && !(journal && fs.existsSync(journal.path))) return null;
+  const data = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+  return journal ? applyJournal(data, readJournal(journal.path), journal) : data;
+}
+
+/** Workflow files relative to COMFYUI_WORKFLOWS_DIR; UI graphs as `ui/<file>`. */
+function listWorkflowFiles() {
+  if (!fs.existsSync(COMFYUI_WORKFLOWS_DIR)) return [];
+  const uiGraphs = fs.existsSync(COMFYUI_UI_GRAPHS_DIR)
+    ? fs.readdirSync(COMFYUI_UI_GRAPHS_DIR).filter(f => f.endsWith('.json')).map(f => `ui/${f}`)
+    : [];
+  return [...fs.readdirSync(COMFYUI_WORKFLOWS_DIR).filter(f => f.endsWith('.json')), ...uiGraphs];
+}
+
+/** Files of each FILE_SETS folder, by set name. */
+function listFileSets() {
+  const files = {};
+  for (const [set, { dir, pattern }] of Object.entries(FILE_SETS)) {
+    if (!fs.existsSync(dir())) continue;
+    files[set] = fs.readdirSync(dir()).filter(f => pattern.test(f)).sort();
+  }
+  return files;
+}
+
+/** A bare file name; anything else could reach outside the restore folders. */
+function isPlainFileName(name) {
+  return typeof name === 'string' && name !== '' && name !== '.' && name !== '..' && path.basename(name) === name;
+}
+
+/**
+ * Validate an extracted manifest; throws 400 for archives this server cannot
+ * read and for file lists naming anything but a plain file.
+ */
+function checkManifest(manifest) {
+  if (manifest?.format !== SNAPSHOT_FORMAT) {
+    throw Object.assign(new Error('Not a snapshot archive'), { status: 400 });
+  }
+  if (manifest.formatVersion > SNAPSHOT_FORMAT_VERSION) {
+    throw Object.assign(new Error(
+      `Snapshot format v${manifest.formatVersion} is newer than this server supports (v${SNAPSHOT_FORMAT_VERSION})`
+    ), { status: 400 });
+  }
+  const unsafe = [
+    ...(manifest.workflows ?? []).filter(file => !isPlainFileName(String(file).replace(/^ui\//, ''))),
+    ...(manifest.media ?? []).map(m => m?.name).filter(name => !isPlainFileName(name)),
+    ...Object.values(manifest.files ?? {}).flat().filter(name => !isPlainFileName(name)),
+  ];
+  if (unsafe.length > 0) {
+    throw Object.assign(new Error(`Snapshot lists invalid file names: ${unsafe.join(', ')}`), { status: 400 });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Create / list / delete
+// ---------------------------------------------------------------------------
+
+/**
+ * Write a snapshot of every data domain.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.label='']
+ * @param {boolean} [options.includeMedia=false] - Also archive storage files referenced by the data.
+ * @param {'manual'|'scheduled'|'pre-restore'} [options.reason='manual']
+ * @returns {Promise<SnapshotManifest>}
+ */
+export async function createSnapshot({ label = '', includeMedia = false, reason = 'manual' } = {}) {
+  const createdAt = new Date();
+  const id = newSnapshotId(reason, createdAt);
+
+  const entries = [];
+  const domains = {};
+  for (const [domain, spec] of Object.entries(DATA_DOMAINS)) {
+    const data = readDomainData(spec);
+    if (!data) continue;
+    domains[domain] = { version: typeof data.version === 'number' ? data.version : 0 };
+    entries.push({ name: `data/${domain}.json`, data: JSON.stringify(data, null, 2) });
+  }
+
+  const workflows = listWorkflowFiles();
+  for (const file of workflows) {
+    entries.push({ name: `workflows/${file}`, filePath: path.join(COMFYUI_WORKFLOWS_DIR, file) });
+  }
+
+  const files = listFileSets();
+  for (const [set, names] of Object.entries(files)) {
+    for (const name of names) {
+      entries.push({ name: `files/${set}/${name}`, filePath: path.join(FILE_SETS[set].dir(), name) });
+    }
+  }
+
+  const media = [];
+  if (includeMedia) {
+    for (const name of [...collectReferencedFiles()].sort()) {
+      const filePath = path.join(STORAGE_DIR, name);
+      if (!fs.existsSync(filePath)) continue;
+      media.push({ name, size: fs.statSync(filePath).size });
+      entries.push({ name: `media/${name}`, filePath });
+    }
+  }
+
+  /** @type {SnapshotManifest} */
+  const manifest = {
+    format: SNAPSHOT_FORMAT,
+    formatVersion: SNAPSHOT_FORMAT_VERSION,
+    id,
+    reason,
+    label: String(label || '').trim(),
+    createdAt: createdAt.toISOString(),
+    domains,
+    workflows,
+    files,
+    media,
+  };
+
+  await writeTarGz(archivePath(id), [{ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) }, ...entries]);
+  fs.writeFileSync(manifestPath(id), JSON.stringify(manifest, null, 2), 'utf8');
+  console.log(`[Backup] Wrote snapshot ${id} (${Object.keys(domains).length} domains, ${media.length} media files)`);
+  return manifest;
+}
+
+/**
+ * List snapshots, newest first.
+ * @returns {SnapshotManifest[]}
+ */
+export function listSnapshots() {
+  if (!fs.existsSync(SNAPSHOT_DIR)) return [];
+  return fs.readdirSync(SNAPSHOT_DIR)
+    .filter(f => f.endsWith(MANIFEST_EXT))
+    .map(f => f.slice(0, -MANIFEST_EXT.length))
+    .filter(id => fs.existsSync(archivePath(id)))
+    .map(id => ({
+      ...JSON.parse(fs.readFileSync(manifestPath(id), 'utf8')),
+      size: fs.statSync(archivePath(id)).size,
+    }))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Resolve the archive file for download.
+ * @param {string} id
+ * @returns {string} Absolute archive path.
+ * @throws {Error} With `status = 404` if the snapshot does not exist.
+ */
+export function getSnapshotPath(id) {
+  return requireSnapshot(id);
+}
+
+/**
+ * @param {string} id
+ * @throws {Error} With `status = 404` if the snapshot does not exist.
+ */
+export function deleteSnapshot(id) {
+  fs.rmSync(requireSnapshot(id), { force: true });
+  fs.rmSync(manifestPath(id), { force: true });
+}
+
+/**
+ * Add an uploaded archive to the snapshot list. The archive is validated by
+ * extracting its manifest before it is kept.
+ *
+ * @param {string} uploadedPath - Temporary file; moved into SNAPSHOT_DIR.
+ * @returns {Promise<SnapshotManifest>}
+ * @throws {Error} With `status = 400` if the file is not a readable snapshot.
+ */
+export async function importSnapshot(uploadedPath) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yaaiic-import-'));
+  try {
+    let manifest;
+    try {
+      await extractTarGz(uploadedPath, workDir);
+      manifest = JSON.parse(fs.readFileSync(path.join(workDir, 'manifest.json'), 'utf8'));
+    } catch {
+      throw Object.assign(new Error('Not a snapshot archive'), { status: 400 });
+    }
+    checkManifest(manifest);
+
+    const id = newSnapshotId('import', new Date());
+    fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    fs.copyFileSync(uploadedPath, archivePath(id));
+    const imported = { ...manifest, id, reason: 'import', label: manifest.label || manifest.id || '' };
+    fs.writeFileSync(manifestPath(id), JSON.stringify(imported, null, 2), 'utf8');
+    return imported;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+    fs.rmSync(uploadedPath, { force: true });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Restore
+// ---------------------------------------------------------------------------
+
+/**
+ * Restore data domains from a snapshot.
+ *
+ * Every selected domain is migrated to the version this server expects before
+ * anything is written; if any domain cannot be migrated nothing is changed.
+ * A `pre-restore` snapshot of the current data is taken first. Media files in
+ * the archive are copied back only where the storage file is missing.
+ * FILE_SETS (recipe base graphs, wildcards) are selected like domains; base
+ * graphs also come back with `media-data` so restored recipes can be replayed.
+ * Services started from the config keep running on the old one until the
+ * server restarts, which `restartRequired` reports.
+ *
+ * @param {string} id
+ * @param {Object} [options]
+ * @param {string[]} [options.domains] - Domains and file sets to restore (default: all in the archive).
+ * @returns {Promise<{ restoredDomains: string[], migrated: Object<string, { from: number, to: number }>, workflowsRestored: number, filesRestored: Object<string, number>, mediaRestored: number, preRestoreSnapshot: string, restartRequired: boolean }>}
+ * @throws {Error} With `status = 400` for unknown domains or unreadable archives, `409` if the archive is newer than the server.
+ */
+export async function restoreSnapshot(id, { domains } = {}) {
+  const archive = requireSnapshot(id);
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yaaiic-restore-'));
+
+  try {
+    await extractTarGz(archive, workDir);
+    const manifest = JSON.parse(fs.readFileSync(path.join(workDir, 'manifest.json'), 'utf8'));
+    checkManifest(manifest);
+
+    const availableSets = Object.keys(manifest.files ?? {}).filter(set => FILE_SETS[set]);
+    const available = [...Object.keys(manifest.domains), ...availableSets];
+    const selected = domains ?? available;
+    const unknown = selected.filter(d => !available.includes(d) || !(DATA_DOMAINS[d] || FILE_SETS[d]));
+    if (unknown.length > 0) {
+      throw Object.assign(new Error(`Snapshot does not contain domain(s): ${unknown.join(', ')}`), { status: 400 });
+    }
+    const selectedDomains = selected.filter(d => DATA_DOMAINS[d]);
+
+    // Migrate everything in memory first so a failure leaves current data untouched
+    const prepared = [];
+    const migrated = {};
+    for (const domain of selectedDomains) {
+      const data = JSON.parse(fs.readFileSync(path.join(workDir, 'data', `${domain}.json`), 'utf8'));
+      const from = typeof data.version === 'number' ? data.version : 0;
+      const { currentVersion } = DATA_DOMAINS[domain];
+      let upgraded;
+      try {
+        upgraded = await migrateData(domain, data, currentVersion);
+      } catch (error) {
+        throw Object.assign(error, { status: error.code === 'DATA_TOO_NEW' ? 409 : 400 });
+      }
+      if (from !== currentVersion) migrated[domain] = { from, to: currentVersion };
+      prepared.push({ domain, data: upgraded });
+    }
+
+    const preRestore = await createSnapshot({ reason: 'pre-restore', label: `Before restoring ${id}` });
+
+    for (const { domain, data } of prepared) {
+      const { filePath, journal } = DATA_DOMAINS[domain];
+      writeJsonAtomic(filePath, data);
+      if (journal) fs.rmSync(journal.path, { force: true });
+    }
+
+    let workflowsRestored = 0;
+    if (selected.includes('workflows')) {
+      fs.mkdirSync(COMFYUI_UI_GRAPHS_DIR, { recursive: true });
+      for (const file of manifest.workflows ?? []) {
+        const source = path.join(workDir, 'workflows', file);
+        if (!fs.existsSync(source)) continue;
+        const targetDir = file.startsWith('ui/') ? COMFYUI_UI_GRAPHS_DIR : COMFYUI_WORKFLOWS_DIR;
+        fs.copyFileSync(source, path.join(targetDir, path.basename(file)));
+        workflowsRestored++;
+      }
+    }
+
+    const filesRestored = {};
+    for (const set of availableSets) {
+      const { dir, overwrite, restoreWith } = FILE_SETS[set];
+      if (!selected.includes(set) && !selected.includes(restoreWith)) continue;
+      fs.mkdirSync(dir(), { recursive: true });
+      filesRestored[set] = 0;
+      for (const name of manifest.files[set]) {
+        const source = path.join(workDir, 'files', set, name);
+        const target = path.join(dir(), name);
+        if (!fs.existsSync(source) || (!overwrite && fs.existsSync(target))) continue;
+        fs.copyFileSync(source, target);
+        filesRestored[set]++;
+      }
+    }
+
+    let mediaRestored = 0;
+    fs.mkdirSync(STORAGE_DIR, { recursive: true });
+    for (const { name } of manifest.media ?? []) {
+      const source = path.join(workDir, 'media', name);
+      const target = path.join(STORAGE_DIR, name);
+      if (!fs.existsSync(source) || fs.existsSync(target)) continue;
+      fs.copyFileSync(source, target);
+      mediaRestored++;
+    }
+
+    // The media store is held in memory; everything else is read from disk per request
+    if (selected.includes('media-data')) mediaRepo.loadMediaData();
+
+    console.log(`[Backup] Restored ${selected.join(', ')} from ${id}`);
+    return {
+      restoredDomains: selected,
+      migrated,
+      workflowsRestored,
+      filesRestored,
+      mediaRestored,
+      preRestoreSnapshot: preRestore.id,
+      restartRequired: selected.includes('config'),
+    };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Schedule
+// ---------------------------------------------------------------------------
+
+/**
+ * Take a scheduled snapshot, then drop the oldest scheduled snapshots beyond
+ * `config.backup.keep`. Manual, imported and pre-restore snapshots are never pruned.
+ * @returns {Promise<SnapshotManifest>}
+ */
+export async function runScheduledSnapshot() {
+  const manifest = await createSnapshot({ reason: 'scheduled', includeMedia: !!_backupConfig.includeMedia });
+  const keep = _backupConfig.keep ?? 7;
+  const scheduled = listSnapshots().filter(s => s.reason === 'scheduled');
+  for (const old of scheduled.slice(Math.max(keep, 1))) {
+    deleteSnapshot(old.id);
+  }
+  return manifest;
+}
+
+/**
+ * Start the scheduled snapshot timer (no-op when `config.backup.intervalHours`
+ * is 0). A snapshot is taken right away when the last scheduled one is older
+ * than the interval, so frequent restarts do not postpone backups forever.
+ * @returns {NodeJS.Timeout|null}
+ */
+export function startSchedule() {
+  const hours = _backupConfig.intervalHours ?? 24;
+  if (!(hours > 0)) return null;
+  const intervalMs = hours * 60 * 60 * 1000;
+  const run = () => runScheduledSnapshot().catch(error => console.error('[Backup] Scheduled snapshot failed:', error));
+
+  const last = listSnapshots().find(s => s.reason === 'scheduled');
+  if (!last || Date.now() - Date.parse(last.createdAt) >= intervalMs) run();
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,183 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+// ── Mocks ────────────────────────────────────────────────────────────────────
+
+const tmp = vi.hoisted(() => ({ dir: '' }));
+
+vi.mock('../../core/paths.mjs', () => ({
+  get SNAPSHOT_DIR() { return `${tmp.dir}/snapshots`; },
+  get STORAGE_DIR() { return `${tmp.dir}/storage`; },
+  get COMFYUI_WORKFLOWS_DIR() { return `${tmp.dir}/workflows`; },
+  get COMFYUI_UI_GRAPHS_DIR() { return `${tmp.dir}/workflows/ui`; },
+  get BACKUP_DIR() { return `${tmp.dir}/migration-backups`; },
+  get WORKFLOW_HISTORY_DIR() { return `${tmp.dir}/workflow-history`; },
+  get WILDCARDS_DIR() { return `${tmp.dir}/wildcards`; },
+}));
+
+vi.mock('../../core/data-versions.mjs', () => ({
+  DATA_DOMAINS: {
+    // Real config migrations (3 → 4 → 5) run during restore
+    'config': { currentVersion: 5, get filePath() { return `${tmp.dir}/config.json`; } },
+    'media-data': {
+      currentVersion: 1,
+      get filePath() { return `${tmp.dir}/media-data.json`; },
+      journal: { get path() { return `${tmp.dir}/media-data.journal.jsonl`; }, collection: 'mediaData', key: 'uid' },
+    },
+    'brew-data': { currentVersion: 0, get filePath() { return `${tmp.dir}/brew-data.json`; } },
+    'brew-drafts': { currentVersion: 0, get filePath() { return `${tmp.dir}/brew-drafts.json`; } },
+    'workflows': { currentVersion: 1, get filePath() { return `${tmp.dir}/comfyui-workflows.json`; } },
+  },
+}));
+
+vi.mock('../media/repository.mjs', () => ({ loadMediaData: vi.fn() }));
+vi.mock('../storage/service.mjs', () => ({ collectReferencedFiles: vi.fn(() => new Set(['image_1.png'])) }));
+
+const backup = await import('./service.mjs');
+const { writeTarGz } = await import('../../core/archive.mjs');
+const { storeBaseWorkflow, buildReproduceRequest } = await import('../generation/recipe.mjs');
+const { loadMediaData } = await import('../media/repository.mjs');
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+const file = (name) => path.join(tmp.dir, name);
+const writeJson = (name, data) => fs.writeFileSync(file(name), JSON.stringify(data));
+const readJson = (name) => JSON.parse(fs.readFileSync(file(name), 'utf8'));
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('backup service', () => {
+  beforeEach(() => {
+    tmp.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-test-'));
+    fs.mkdirSync(file('storage'));
+    fs.mkdirSync(file('workflows'));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    loadMediaData.mockClear();
+    backup.initialize({ config: { backup: { keep: 2 } } });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    fs.rmSync(tmp.dir, { recursive: true, force: true });
+  });
+
+  it('snapshots every domain with the journal folded in, plus workflows and media', async () => {
+    writeJson('config.json', { version: 5, serverPort: 3000 });
+    writeJson('media-data.json', { version: 1, mediaData: [{ uid: 1, imageUrl: '/media/image_1.png' }] });
+    fs.writeFileSync(file('media-data.journal.jsonl'), JSON.stringify({ op: 'put', record: { uid: 2 } }) + '\n');
+    fs.writeFileSync(file('workflows/flow.json'), '{}');
+    fs.writeFileSync(file('storage/image_1.png'), 'png');
+
+    const manifest = await backup.createSnapshot({ label: ' nightly ', includeMedia: true });
+
+    expect(manifest).toMatchObject({
+      reason: 'manual',
+      label: 'nightly',
+      domains: { 'config': { version: 5 }, 'media-data': { version: 1 } },
+      workflows: ['flow.json'],
+      media: [{ name: 'image_1.png', size: 3 }],
+    });
+    expect(backup.listSnapshots()).toEqual([expect.objectContaining({ id: manifest.id, size: expect.any(Number) })]);
+  });
+
+  it('restores an older archive through the migrator and keeps a pre-restore snapshot', async () => {
+    writeJson('config.json', { version: 3, serverPort: 4000 });
+    writeJson('media-data.json', { version: 1, mediaData: [{ uid: 1 }] });
+    writeJson('comfyui-workflows.json', { version: 1, workflows: [{ name: 'Flow' }] });
+    fs.writeFileSync(file('workflows/flow.json'), '{"old":true}');
+    fs.writeFileSync(file('storage/image_1.png'), 'png');
+    const old = await backup.createSnapshot({ includeMedia: true });
+
+    writeJson('config.json', { version: 5, serverPort: 5000 });
+    writeJson('media-data.json', { version: 1, mediaData: [] });
+    fs.writeFileSync(file('media-data.journal.jsonl'), JSON.stringify({ op: 'put', record: { uid: 9 } }) + '\n');
+    writeJson('comfyui-workflows.json', { version: 1, workflows: [] });
+    fs.writeFileSync(file('workflows/flow.json'), '{"broken":true}');
+    fs.rmSync(file('storage/image_1.png'));
+
+    const result = await backup.restoreSnapshot(old.id);
+
+    expect(result).toMatchObject({
+      restoredDomains: ['config', 'media-data', 'workflows'],
+      migrated: { config: { from: 3, to: 5 } },
+      workflowsRestored: 1,
+      mediaRestored: 1,
+      restartRequired: true,
+    });
+    expect(readJson('config.json')).toMatchObject({ version: 5, serverPort: 4000, storage: { trashRetentionDays: 7 }, backup: { keep: 7 } });
+    expect(readJson('media-data.json').mediaData).toEqual([{ uid: 1 }]);
+    expect(fs.existsSync(file('media-data.journal.jsonl'))).toBe(false);
+    expect(readJson('comfyui-workflows.json').workflows).toEqual([{ name: 'Flow' }]);
+    expect(fs.readFileSync(file('workflows/flow.json'), 'utf8')).toBe('{"old":true}');
+    expect(loadMediaData).toHaveBeenCalled();
+
+    const pre = backup.listSnapshots().find(s => s.id === result.preRestoreSnapshot);
+    expect(pre).toMatchObject({ reason: 'pre-restore', domains: { config: { version: 5 } } });
+  });
+
+  it('round-trips recipe base graphs, wildcards and brew drafts so restored entries can be reproduced', async () => {
+    const baseHash = storeBaseWorkflow({ 9: { class_type: 'SaveImage', inputs: {} } });
+    const entry = { uid: 1, name: 'Fox', seed: 3, recipe: { version: 1, workflow: 'Flux', base: 'flux.json', baseHash, replacements: [], preTaskOutputs: {}, inputs: [] } };
+    writeJson('media-data.json', { version: 1, mediaData: [entry] });
+    writeJson('brew-drafts.json', [{ id: 'd1', description: 'rain' }]);
+    fs.mkdirSync(file('wildcards'));
+    fs.writeFileSync(file('wildcards/colors.txt'), 'teal\n');
+    const snapshot = await backup.createSnapshot();
+    expect(snapshot.files).toEqual({ 'workflow-history': [`${baseHash}.json`], 'wildcards': ['colors.txt'] });
+
+    fs.rmSync(file('workflow-history'), { recursive: true });
+    fs.rmSync(file('wildcards'), { recursive: true });
+    fs.rmSync(file('brew-drafts.json'));
+    expect(() => buildReproduceRequest(entry)).toThrow(/no longer stored/);
+
+    const result = await backup.restoreSnapshot(snapshot.id);
+
+    expect(result.filesRestored).toEqual({ 'workflow-history': 1, 'wildcards': 1 });
+    expect(buildReproduceRequest(readJson('media-data.json').mediaData[0])).toMatchObject({ workflow: 'Flux', parents: [1], operation: 'reproduce' });
+    expect(fs.readFileSync(file('wildcards/colors.txt'), 'utf8')).toBe('teal\n');
+    expect(readJson('brew-drafts.json')).toEqual([{ id: 'd1', description: 'rain' }]);
+
+    // Restoring media-data alone brings back the graphs its recipes need
+    fs.rmSync(file('workflow-history'), { recursive: true });
+    await backup.restoreSnapshot(snapshot.id, { domains: ['media-data'] });
+    expect(() => buildReproduceRequest(entry)).not.toThrow();
+  });
+
+  it('refuses archives whose manifest names files outside the archive folders', async () => {
+    writeJson('config.json', { version: 5, serverPort: 1 });
+    const snapshot = await backup.createSnapshot();
+    const manifest = { ...snapshot, media: [{ name: '../manifest.json', size: 1 }] };
+    await writeTarGz(file(`snapshots/${snapshot.id}.tar.gz`), [
+      { name: 'manifest.json', data: JSON.stringify(manifest) },
+      { name: 'data/config.json', data: JSON.stringify({ version: 5, serverPort: 2 }) },
+    ]);
+
+    await expect(backup.restoreSnapshot(snapshot.id)).rejects.toMatchObject({ status: 400, message: /invalid file names: \.\.\/manifest\.json/ });
+    expect(readJson('config.json')).toEqual({ version: 5, serverPort: 1 });
+    expect(fs.readdirSync(file('storage'))).toEqual([]);
+    expect(backup.listSnapshots()).toHaveLength(1);
+  });
+
+  it('refuses archives newer than the server without touching current data', async () => {
+    writeJson('config.json', { version: 9 });
+    const future = await backup.createSnapshot();
+    writeJson('config.json', { version: 5, serverPort: 1 });
+
+    await expect(backup.restoreSnapshot(future.id)).rejects.toMatchObject({ status: 409 });
+    await expect(backup.restoreSnapshot(future.id, { domains: ['brew-data'] })).rejects.toMatchObject({ status: 400 });
+    expect(readJson('config.json')).toEqual({ version: 5, serverPort: 1 });
+    expect(backup.listSnapshots()).toHaveLength(1);
+  });
+
+  it('prunes scheduled snapshots beyond the keep limit only', async () => {
+    writeJson('brew-data.json', []);
+    const manual = await backup.createSnapshot();
+    for (let i = 0; i < 3; i++) await backup.runScheduledSnapshot();
+
+    const snapshots = backup.listSnapshots();
+    expect(snapshots.filter(s => s.reason === 'scheduled')).toHaveLength(2);
+    expect(snapshots.map(s => s.id)).toContain(manual.id);
+  });
+});
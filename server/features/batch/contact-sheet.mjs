@@ -0,0 +1,126 @@
+/**
+ * Contact Sheet – renders a batch as one labelled X/Y grid image with sharp.
+ *
+ * @module features/batch/contact-sheet
+ */
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { STORAGE_DIR } from '../../core/paths.mjs';
+
+const TITLE_HEIGHT = 36;
+const HEADER_HEIGHT = 32;
+const ROW_LABEL_WIDTH = 160;
+const GAP = 4;
+const BACKGROUND = '#1e1e1e';
+const PLACEHOLDER = '#333333';
+const TEXT_COLOR = '#e0e0e0';
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[ch]));
+}
+
+/** Cut a label so it fits roughly `width` pixels of 13px text. */
+function fitLabel(text, width) {
+  const max = Math.max(4, Math.floor(width / 7.5));
+  const str = String(text);
+  return str.length > max ? `${str.slice(0, max - 1)}…` : str;
+}
+
+function textSvg(width, height, text, { size = 13, anchor = 'middle' } = {}) {
+  const x = anchor === 'middle' ? width / 2 : 8;
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<text x="${x}" y="${height / 2}" dominant-baseline="middle" text-anchor="${anchor}" ` +
+    `font-family="sans-serif" font-size="${size}" fill="${TEXT_COLOR}">${escapeXml(fitLabel(text, width))}</text></svg>`
+  );
+}
+
+async function cellImage(entry, size) {
+  const file = entry?.imageUrl ? path.join(STORAGE_DIR, path.basename(entry.imageUrl)) : null;
+  if (file && fs.existsSync(file)) {
+    try {
+      return await sharp(file).resize(size, size, { fit: 'cover' }).png().toBuffer();
+    } catch {
+      // Not an image sharp can read (e.g. a video) – fall through to the placeholder
+    }
+  }
+  return sharp({ create: { width: size, height: size, channels: 3, background: PLACEHOLDER } }).png().toBuffer();
+}
+
+/**
+ * Arrange batch entries on two axes. Entries are matched on the `fixed`
+ * values of the remaining axes; where several still match, the lowest batch
+ * index wins.
+ *
+ * @param {{ axes: import('./service.mjs').BatchAxis[], entries: Object[] }} batch
+ * @param {Object} layout
+ * @param {string} layout.x                - Axis key for columns.
+ * @param {string} [layout.y]              - Axis key for rows (one row if omitted).
+ * @param {Object<string, *>} [layout.fixed] - Values for the other axes.
+ * @returns {{ xValues: Array, yValues: Array, cells: (Object|null)[][] }}
+ * @throws {Error} status 400 for unknown axis keys.
+ */
+export function layoutGrid(batch, { x, y, fixed = {} }) {
+  const axisByKey = new Map(batch.axes.map(axis => [axis.key, axis]));
+  for (const key of [x, y, ...Object.keys(fixed)].filter(Boolean)) {
+    if (!axisByKey.has(key)) throw Object.assign(new Error(`Batch has no axis "${key}"`), { status: 400 });
+  }
+
+  const valueOf = (entry, key) => entry.batch.axes.find(a => a.key === key)?.value;
+  const xValues = axisByKey.get(x).values;
+  const yValues = y ? axisByKey.get(y).values : [null];
+  const candidates = batch.entries.filter(entry =>
+    Object.entries(fixed).every(([key, value]) => valueOf(entry, key) === value)
+  );
+
+  const cells = yValues.map(yValue => xValues.map(xValue =>
+    candidates.find(entry => valueOf(entry, x) === xValue && (!y || valueOf(entry, y) === yValue)) ?? null
+  ));
+  return { xValues, yValues, cells };
+}
+
+/**
+ * Render the contact sheet PNG.
+ *
+ * @param {Object} batch - From `getBatch()`.
+ * @param {Object} layout - See layoutGrid, plus `cellSize` (64–1024, default 256).
+ * @returns {Promise<Buffer>}
+ */
+export async function renderContactSheet(batch, { x, y, fixed = {}, cellSize = 256 } = {}) {
+  const size = Math.min(1024, Math.max(64, Math.round(Number(cellSize) || 256)));
+  const xKey = x || batch.axes[0].key;
+  const yKey = y === undefined ? batch.axes.find(axis => axis.key !== xKey)?.key : (y || undefined);
+  const { xValues, yValues, cells } = layoutGrid(batch, { x: xKey, y: yKey, fixed });
+
+  const labelWidth = yKey ? ROW_LABEL_WIDTH : 0;
+  const width = labelWidth + xValues.length * (size + GAP) + GAP;
+  const height = TITLE_HEIGHT + HEADER_HEIGHT + yValues.length * (size + GAP) + GAP;
+  const axisLabel = (key) => batch.axes.find(axis => axis.key === key).label;
+
+  const fixedText = Object.entries(fixed).map(([key, value]) => `${axisLabel(key)}: ${value}`).join(', ');
+  const title = [batch.workflow, `X: ${axisLabel(xKey)}`, yKey ? `Y: ${axisLabel(yKey)}` : null, fixedText || null]
+    .filter(Boolean).join('  ·  ');
+
+  const layers = [{ input: textSvg(width, TITLE_HEIGHT, title, { size: 15, anchor: 'start' }), left: 0, top: 0 }];
+  xValues.forEach((value, col) => {
+    layers.push({
+      input: textSvg(size, HEADER_HEIGHT, value),
+      left: labelWidth + GAP + col * (size + GAP),
+      top: TITLE_HEIGHT,
+    });
+  });
+
+  for (let row = 0; row < yValues.length; row++) {
+    const top = TITLE_HEIGHT + HEADER_HEIGHT + row * (size + GAP);
+    if (yKey) layers.push({ input: textSvg(ROW_LABEL_WIDTH, size, yValues[row], { anchor: 'start' }), left: 0, top });
+    for (let col = 0; col < xValues.length; col++) {
+      layers.push({ input: await cellImage(cells[row][col], size), left: labelWidth + GAP + col * (size + GAP), top });
+    }
+  }
+
+  return sharp({ create: { width, height, channels: 3, background: BACKGROUND } })
+    .composite(layers)
+    .png()
+    .toBuffer();
+}
@@ -0,0 +1,142 @@
+/**
+ * Batch Router – batch generation, batch lookup / contact sheets, and the
+ * wildcard lists used by `__name__` prompt wildcards.
+ *
+ * @module features/batch/router
+ */
+import { Router } from 'express';
+import * as batchService from './service.mjs';
+import { renderContactSheet } from './contact-sheet.mjs';
+
+const router = Router();
+
+// ---------------------------------------------------------------------------
+// Batch generation
+// ---------------------------------------------------------------------------
+
+/**
+ * POST /generate/batch
+ * Expand a generation request over its sweep axes and enqueue every item.
+ * Query: `dryRun=true` to only count items, `queueOnly=true` to not auto-start.
+ */
+router.post('/generate/batch', (req, res) => {
+  try {
+    const result = batchService.submitBatch(req.body, {
+      dryRun: req.query.dryRun === 'true',
+      autoStart: req.query.queueOnly !== 'true',
+    });
+    res.json(result);
+  } catch (error) {
+    const status = error.status || 500;
+    console.error('Error in batch generate endpoint:', error);
+    res.status(status).json(error.body ?? { error: error.message });
+  }
+});
+
+/**
+ * GET /batches
+ * Summaries of batches that have generated entries.
+ */
+router.get('/batches', (req, res) => {
+  try {
+    res.json(batchService.listBatches());
+  } catch (error) {
+    const status = error.status || 500;
+    console.error('Error in list batches endpoint:', error);
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /batches/:id
+ * One batch with its axes and entries.
+ */
+router.get('/batches/:id', (req, res) => {
+  try {
+    res.json(batchService.getBatch(req.params.id));
+  } catch (error) {
+    const status = error.status || 500;
+    console.error('Error in get batch endpoint:', error);
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /batches/:id/contact-sheet
+ * Render the batch grid as a PNG. Body: `{ x?, y?, fixed?, cellSize? }`.
+ */
+router.post('/batches/:id/contact-sheet', async (req, res) => {
+  try {
+    const batch = batchService.getBatch(req.params.id);
+    const { x, y, fixed, cellSize } = req.body || {};
+    const png = await renderContactSheet(batch, { x, y, fixed: fixed || {}, cellSize });
+    res.set('Content-Type', 'image/png');
+    res.set('Content-Disposition', `attachment; filename="batch-${req.params.id.slice(0, 8)}.png"`);
+    res.send(png);
+  } catch (error) {
+    const status = error.status || 500;
+    console.error('Error in contact sheet endpoint:', error);
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Wildcards
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /wildcards
+ * List wildcard files with their value counts.
+ */
+router.get('/wildcards', (req, res) => {
+  try {
+    res.json(batchService.listWildcards());
+  } catch (error) {
+    const status = error.status || 500;
+    console.error('Error in list wildcards endpoint:', error);
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /wildcards/:name
+ */
+router.get('/wildcards/:name', (req, res) => {
+  try {
+    res.json(batchService.getWildcard(req.params.name));
+  } catch (error) {
+    const status = error.status || 500;
+    console.error('Error in get wildcard endpoint:', error);
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /wildcards/:name
+ * Create or replace a wildcard list. Body: `{ values: string[] }`.
+ */
+router.put('/wildcards/:name', (req, res) => {
+  try {
+    res.json(batchService.saveWildcard(req.params.name, req.body?.values));
+  } catch (error) {
+    const status = error.status || 500;
+    console.error('Error in save wildcard endpoint:', error);
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /wildcards/:name
+ */
+router.delete('/wildcards/:name', (req, res) => {
+  try {
+    batchService.deleteWildcard(req.params.name);
+    res.json({ success: true });
+  } catch (error) {
+    const status = error.status || 500;
+    console.error('Error in delete wildcard endpoint:', error);
+    res.status(status).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,369 @@
+/**
+ * Batch Service – expands one generation request into a sweep of queue items.
+ *
+ * A batch is a normal `/generate` request plus sweep axes:
+ *   - `sweep.seed`            seed list or `{ start, count, step }` range
+ *   - `sweep.inputs.<id>`     value list for any workflow `extraInputs` id
+ *   - prompt wildcards        `{red|blue|green}` inline choices and
+ *                             `__name__` lists stored in `server/database/wildcards/`
+ *
+ * Every combination becomes one queue item; all of them carry the same
+ * batch id, which ends up on the resulting media entries (`entry.batch`) so
+ * the gallery can lay the batch out as a grid.
+ *
+ * @module features/batch/service
+ */
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { WILDCARDS_DIR } from '../../core/paths.mjs';
+import * as mediaRepo from '../media/repository.mjs';
+import { loadWorkflows, validateNoNestedExecuteWorkflow, applyRequestDefaults } from '../generation/workflow-validator.mjs';
+import { assertWorkflowAvailable } from '../workflows/service.mjs';
+import * as queueService from '../queue/service.mjs';
+
+// ---------------------------------------------------------------------------
+// Type Definitions
+// ---------------------------------------------------------------------------
+
+/**
+ * One sweep dimension.
+ * @typedef {Object} BatchAxis
+ * @property {string} key    - `seed`, `input:<extraInputId>` or `wildcard:<n>` (n-th wildcard in the prompt)
+ * @property {string} label  - Display label (input label, or the wildcard as written)
+ * @property {Array} values
+ */
+
+/**
+ * Stored on each generated media entry as `entry.batch`.
+ * @typedef {Object} BatchMembership
+ * @property {string} id
+ * @property {number} index - Position in the expansion order
+ * @property {number} total - Number of items the batch expanded to
+ * @property {{ key: string, label: string, value: * }[]} axes - This item's value on every axis
+ */
+
+// ---------------------------------------------------------------------------
+// Init
+// ---------------------------------------------------------------------------
+
+const DEFAULT_MAX_ITEMS = 500;
+
+let _batchConfig = {};
+
+export function initialize({ config }) {
+  _batchConfig = config?.batch ?? {};
+}
+
+function httpError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+// ---------------------------------------------------------------------------
+// Wildcard files
+// ---------------------------------------------------------------------------
+
+const WILDCARD_NAME = /^[\w-]+$/;
+
+function wildcardPath(name) {
+  if (!WILDCARD_NAME.test(name || '')) {
+    throw httpError('Wildcard names may only contain letters, numbers, "_" and "-"');
+  }
+  return path.join(WILDCARDS_DIR, `${name}.txt`);
+}
+
+/**
+ * Parse a wildcard file: one value per line, blank lines and `#` comments ignored.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseWildcardFile(text) {
+  return text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+}
+
+/** @returns {{ name: string, count: number }[]} */
+export function listWildcards() {
+  if (!fs.existsSync(WILDCARDS_DIR)) return [];
+  return fs.readdirSync(WILDCARDS_DIR)
+    .filter(file => file.endsWith('.txt') && WILDCARD_NAME.test(file.slice(0, -4)))
+    .map(file => ({
+      name: file.slice(0, -4),
+      count: parseWildcardFile(fs.readFileSync(path.join(WILDCARDS_DIR, file), 'utf8')).length,
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * @param {string} name
+ * @returns {{ name: string, values: string[] }}
+ * @throws {Error} 404 if the wildcard file does not exist.
+ */
+export function getWildcard(name) {
+  const filePath = wildcardPath(name);
+  if (!fs.existsSync(filePath)) throw httpError(`Wildcard "__${name}__" not found`, 404);
+  return { name, values: parseWildcardFile(fs.readFileSync(filePath, 'utf8')) };
+}
+
+/**
+ * Create or replace a wildcard list.
+ * @param {string} name
+ * @param {string[]} values
+ * @returns {{ name: string, values: string[] }}
+ */
+export function saveWildcard(name, values) {
+  const filePath = wildcardPath(name);
+  if (!Array.isArray(values) || values.some(v => typeof v !== 'string')) {
+    throw httpError('values must be an array of strings');
+  }
+  const cleaned = parseWildcardFile(values.join('\n'));
+  if (cleaned.length === 0) throw httpError('A wildcard needs at least one value');
+  fs.mkdirSync(WILDCARDS_DIR, { recursive: true });
+  fs.writeFileSync(filePath, cleaned.join('\n') + '\n', 'utf8');
+  return { name, values: cleaned };
+}
+
+export function deleteWildcard(name) {
+  const filePath = wildcardPath(name);
+  if (!fs.existsSync(filePath)) throw httpError(`Wildcard "__${name}__" not found`, 404);
+  fs.rmSync(filePath);
+}
+
+// ---------------------------------------------------------------------------
+// Expansion
+// ---------------------------------------------------------------------------
+
+/**
+ * `{a|b|c}` (needs at least one `|`) or `__name__`. Braces doubled on either
+ * side are template text, so `{{value|upper}}` is left alone.
+ */
+const WILDCARD_PATTERN = /(?<!\{)\{([^{}]*\|[^{}]*)\}(?!\})|__([\w-]+)__/g;
+
+/**
+ * Find the wildcards in a prompt, in order of appearance.
+ *
+ * @param {string} prompt
+ * @param {(name: string) => string[]} [loadValues] - Resolves `__name__` lists.
+ * @returns {{ raw: string, start: number, end: number, values: string[] }[]}
+ */
+export function findWildcards(prompt, loadValues = (name) => getWildcard(name).values) {
+  const found = [];
+  for (const match of prompt.matchAll(WILDCARD_PATTERN)) {
+    const [raw, choices, fileName] = match;
+    const values = choices !== undefined
+      ? choices.split('|').map(v => v.trim())
+      : loadValues(fileName);
+    if (values.length === 0) throw httpError(`Wildcard ${raw} has no values`);
+    found.push({ raw, start: match.index, end: match.index + raw.length, values });
+  }
+  return found;
+}
+
+function seedValues(spec) {
+  const isSeed = (n) => Number.isInteger(n) && n >= 0;
+  if (Array.isArray(spec)) {
+    if (spec.length === 0 || !spec.every(isSeed)) throw httpError('sweep.seed must be a non-empty list of non-negative integers');
+    return spec;
+  }
+  const { start, count, step = 1 } = spec ?? {};
+  if (!isSeed(start) || !Number.isInteger(count) || count < 1 || !Number.isInteger(step)) {
+    throw httpError('sweep.seed must be a list or { start, count, step? } with integer values');
+  }
+  return Array.from({ length: count }, (_, i) => start + i * step);
+}
+
+/**
+ * Expand a request into one body per combination of axis values. The first
+ * axis varies slowest, so items of the same row stay together in the queue.
+ *
+ * @param {Object} request      - Generation request with defaults applied.
+ * @param {Object} [sweep]      - `{ seed?, inputs? }`.
+ * @param {Object} workflowData - The workflow definition.
+ * @param {Object} [options]
+ * @param {(name: string) => string[]} [options.loadValues] - Resolves `__name__` lists.
+ * @param {number} [options.maxItems]
+ * @returns {{ axes: BatchAxis[], variants: { index: number, values: Array, body: Object }[] }}
+ * @throws {Error} status 400 for invalid axes, no axes, or too many items.
+ */
+export function planBatch(request, sweep = {}, workflowData, { loadValues, maxItems = DEFAULT_MAX_ITEMS } = {}) {
+  const axes = [];
+
+  if (sweep.seed !== undefined) {
+    axes.push({ key: 'seed', label: 'Seed', values: seedValues(sweep.seed) });
+  }
+
+  for (const [id, values] of Object.entries(sweep.inputs ?? {})) {
+    const input = workflowData.options?.extraInputs?.find(i => i.id === id);
+    if (!input) throw httpError(`Workflow '${workflowData.name}' has no extra input "${id}"`);
+    if (!Array.isArray(values) || values.length === 0) throw httpError(`sweep.inputs.${id} must be a non-empty array`);
+    axes.push({ key: `input:${id}`, label: input.label || id, values });
+  }
+
+  const prompt = String(request.prompt ?? '');
+  const wildcards = findWildcards(prompt, loadValues);
+  wildcards.forEach((wildcard, i) => {
+    axes.push({ key: `wildcard:${i}`, label: wildcard.raw, values: wildcard.values });
+  });
+
+  if (axes.length === 0) {
+    throw httpError('A batch needs at least one sweep axis or prompt wildcard');
+  }
+  const total = axes.reduce((product, axis) => product * axis.values.length, 1);
+  if (total > maxItems) {
+    throw httpError(`Batch would create ${total} items; the limit is ${maxItems} (config.batch.maxItems)`);
+  }
+
+  const variants = [];
+  for (let index = 0; index < total; index++) {
+    // Mixed-radix decode with the last axis varying fastest
+    const values = new Array(axes.length);
+    let rest = index;
+    for (let a = axes.length - 1; a >= 0; a--) {
+      values[a] = axes[a].values[rest % axes[a].values.length];
+      rest = Math.floor(rest / axes[a].values.length);
+    }
+
+    const body = { ...request };
+    axes.forEach((axis, a) => {
+      if (axis.key === 'seed') body.seed = values[a];
+      else if (axis.key.startsWith('input:')) body[axis.key.slice('input:'.length)] = values[a];
+    });
+
+    if (wildcards.length > 0) {
+      let expanded = '';
+      let cursor = 0;
+      wildcards.forEach((wildcard, i) => {
+        expanded += prompt.slice(cursor, wildcard.start) + values[axes.length - wildcards.length + i];
+        cursor = wildcard.end;
+      });
+      expanded += prompt.slice(cursor);
+      body.prompt = expanded;
+      // The main form sends the prompt as both fields
+      if (request.description === request.prompt) body.description = expanded;
+    }
+
+    variants.push({ index, values, body });
+  }
+
+  return { axes, variants };
+}
+
+// ---------------------------------------------------------------------------
+// Submission
+// ---------------------------------------------------------------------------
+
+/**
+ * Validate and expand a batch request, then enqueue every item.
+ *
+ * @param {Object} body - `/generate` JSON body plus `sweep` and optional `lane` / `priority` / `runAfter`.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false]  - Only report what would be queued.
+ * @param {boolean} [options.autoStart=true]
+ * @returns {{ batchId: string|null, count: number, axes: BatchAxis[] }}
+ * @throws {Error} 400 for an invalid request, 409 when the workflow cannot run on ComfyUI (see `assertWorkflowAvailable`).
+ */
+export function submitBatch(body, { dryRun = false, autoStart = true } = {}) {
+  const { sweep, lane, priority, runAfter, ...request } = body || {};
+
+  if (!request.workflow) throw httpError('Workflow parameter is required');
+  const comfyuiWorkflows = loadWorkflows();
+  const workflowData = comfyuiWorkflows.workflows.find(w => w.name === request.workflow);
+  if (!workflowData) throw httpError(`Workflow '${request.workflow}' not found`);
+  if ((workflowData.options?.inputImages || 0) > 0 || (workflowData.options?.inputAudios || 0) > 0) {
+    throw httpError('Batches do not support workflows that need input files');
+  }
+  const validation = validateNoNestedExecuteWorkflow(workflowData, comfyuiWorkflows.workflows);
+  if (!validation.valid) throw httpError(`Workflow validation failed: ${validation.error}`);
+
+  const scheduling = queueService.parseScheduling({ lane, priority, runAfter });
+
+  // One shared seed unless the seed is swept, so other axes compare like for like
+  applyRequestDefaults(request, workflowData);
+  const { axes, variants } = planBatch(request, sweep, workflowData, {
+    maxItems: _batchConfig.maxItems ?? DEFAULT_MAX_ITEMS,
+  });
+
+  if (dryRun) return { batchId: null, count: variants.length, axes };
+  assertWorkflowAvailable(request.workflow);
+
+  const batchId = randomUUID();
+  const rawType = workflowData.options?.type;
+  const type = rawType === 'inpaint' ? 'image' : (rawType || 'image');
+
+  queueService.enqueueMany(variants.map(variant => ({
+    lane: 'batch',
+    ...scheduling,
+    type,
+    source: 'yaaiic-batch',
+    clientId: request.clientId || null,
+    name: request.name || '',
+    subLabel: axes.map((axis, a) => `${axis.label}: ${variant.values[a]}`).join(', '),
+    endpointKey: 'generate',
+    taskData: {
+      ...variant.body,
+      requestOrigin: 'yaaiic',
+      batch: {
+        id: batchId,
+        index: variant.index,
+        total: variants.length,
+        axes: axes.map((axis, a) => ({ key: axis.key, label: axis.label, value: variant.values[a] })),
+      },
+    },
+  })), { autoStart });
+
+  console.log(`[batch] Enqueued batch ${batchId} with ${variants.length} item(s)`);
+  return { batchId, count: variants.length, axes };
+}
+
+// ---------------------------------------------------------------------------
+// Lookup
+// ---------------------------------------------------------------------------
+
+/**
+ * Summaries of every batch that has at least one media entry, newest first.
+ * @returns {{ id: string, workflow: string, total: number, count: number, createdAt: string,
+ *   axes: { key: string, label: string }[], coverUrl: string|null }[]}
+ */
+export function listBatches() {
+  const batches = new Map();
+  for (const entry of mediaRepo.getAll()) {
+    if (!entry.batch?.id) continue;
+    let summary = batches.get(entry.batch.id);
+    if (!summary) {
+      summary = {
+        id: entry.batch.id,
+        workflow: entry.workflow,
+        total: entry.batch.total,
+        count: 0,
+        createdAt: entry.timestamp,
+        axes: (entry.batch.axes || []).map(({ key, label }) => ({ key, label })),
+        coverUrl: entry.imageUrl || null,
+      };
+      batches.set(entry.batch.id, summary);
+    }
+    summary.count++;
+    if (entry.timestamp < summary.createdAt) summary.createdAt = entry.timestamp;
+  }
+  return [...batches.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * A batch with its axes (values in expansion order) and entries (by index).
+ * @param {string} id
+ * @returns {{ id: string, workflow: string, total: number, axes: BatchAxis[], entries: Object[] }}
+ * @throws {Error} 404 if no entry belongs to the batch.
+ */
+export function getBatch(id) {
+  const entries = mediaRepo.getAll()
+    .filter(entry => entry.batch?.id === id)
+    .sort((a, b) => a.batch.index - b.batch.index);
+  if (entries.length === 0) throw httpError(`Batch ${id} not found`, 404);
+
+  const axes = [];
+  for (const entry of entries) {
+    (entry.batch.axes || []).forEach(({ key, label, value }, a) => {
+      if (!axes[a]) axes[a] = { key, label, values: [] };
+      if (!axes[a].values.some(v => v === value)) axes[a].values.push(value);
+    });
+  }
+  return { id, workflow: entries[0].workflow, total: entries[0].batch.total, axes, entries };
+}
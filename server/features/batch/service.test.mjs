@@ -0,0 +1,178 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import sharp from 'sharp';
+
+// ── Mocks ────────────────────────────────────────────────────────────────────
+
+const tmp = vi.hoisted(() => ({ dir: '' }));
+
+vi.mock('../../core/paths.mjs', () => ({
+  get WILDCARDS_DIR() { return `${tmp.dir}/wildcards`; },
+  get STORAGE_DIR() { return `${tmp.dir}/storage`; },
+}));
+
+vi.mock('../media/repository.mjs', () => ({ getAll: vi.fn(() => []) }));
+
+vi.mock('../generation/workflow-validator.mjs', () => ({
+  loadWorkflows: vi.fn(() => ({
+    workflows: [
+      {
+        name: 'flux',
+        options: {
+          type: 'image',
+          extraInputs: [{ id: 'steps', type: 'number', label: 'Steps', default: 20 }],
+        },
+      },
+      { name: 'img2img', options: { type: 'image', inputImages: 1 } },
+    ],
+  })),
+  validateNoNestedExecuteWorkflow: vi.fn(() => ({ valid: true, error: null })),
+  applyRequestDefaults: vi.fn((body) => {
+    body.seed ??= 7;
+    return body;
+  }),
+}));
+
+vi.mock('../workflows/service.mjs', () => ({ assertWorkflowAvailable: vi.fn() }));
+
+vi.mock('../queue/service.mjs', () => ({
+  enqueueMany: vi.fn(),
+  parseScheduling: vi.fn(({ lane }) => (lane ? { lane } : {})),
+}));
+
+const batch = await import('./service.mjs');
+const { layoutGrid, renderContactSheet } = await import('./contact-sheet.mjs');
+const { enqueueMany } = await import('../queue/service.mjs');
+const { getAll } = await import('../media/repository.mjs');
+const { assertWorkflowAvailable } = await import('../workflows/service.mjs');
+
+const flux = { name: 'flux', options: { extraInputs: [{ id: 'steps', label: 'Steps' }] } };
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('batch service', () => {
+  beforeEach(() => {
+    tmp.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-test-'));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    enqueueMany.mockClear();
+    batch.initialize({ config: { batch: { maxItems: 50 } } });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    fs.rmSync(tmp.dir, { recursive: true, force: true });
+  });
+
+  it('expands seeds, inputs and inline wildcards as a cartesian product', () => {
+    const request = { workflow: 'flux', prompt: 'a {red|blue} fox', description: 'a {red|blue} fox', seed: 1 };
+    const { axes, variants } = batch.planBatch(request, { seed: { start: 10, count: 2 }, inputs: { steps: [20, 30] } }, flux);
+
+    expect(axes.map(a => [a.key, a.label, a.values])).toEqual([
+      ['seed', 'Seed', [10, 11]],
+      ['input:steps', 'Steps', [20, 30]],
+      ['wildcard:0', '{red|blue}', ['red', 'blue']],
+    ]);
+    expect(variants).toHaveLength(8);
+    // Last axis varies fastest
+    expect(variants.slice(0, 3).map(v => v.body)).toEqual([
+      { workflow: 'flux', prompt: 'a red fox', description: 'a red fox', seed: 10, steps: 20 },
+      { workflow: 'flux', prompt: 'a blue fox', description: 'a blue fox', seed: 10, steps: 20 },
+      { workflow: 'flux', prompt: 'a red fox', description: 'a red fox', seed: 10, steps: 30 },
+    ]);
+  });
+
+  it('resolves __file__ wildcards from the wildcards folder', () => {
+    batch.saveWildcard('colors', ['# palette', 'teal', '', ' amber ']);
+    expect(batch.listWildcards()).toEqual([{ name: 'colors', count: 2 }]);
+
+    const { axes, variants } = batch.planBatch({ prompt: '__colors__ hair, {{style}}' }, {}, flux);
+    expect(axes).toEqual([{ key: 'wildcard:0', label: '__colors__', values: ['teal', 'amber'] }]);
+    expect(variants.map(v => v.body.prompt)).toEqual(['teal hair, {{style}}', 'amber hair, {{style}}']);
+
+    expect(() => batch.planBatch({ prompt: '__missing__' }, {}, flux)).toThrow(/not found/);
+    expect(() => batch.getWildcard('../etc')).toThrow(/may only contain/);
+  });
+
+  it('leaves piped template placeholders alone', () => {
+    const { axes, variants } = batch.planBatch({ prompt: '{{name|upper}} in a {red|blue} coat' }, {}, flux);
+    expect(axes).toEqual([{ key: 'wildcard:0', label: '{red|blue}', values: ['red', 'blue'] }]);
+    expect(variants.map(v => v.body.prompt)).toEqual(['{{name|upper}} in a red coat', '{{name|upper}} in a blue coat']);
+  });
+
+  it('rejects unknown inputs, empty sweeps and oversized batches', () => {
+    expect(() => batch.planBatch({ prompt: 'x' }, { inputs: { cfg: [1] } }, flux)).toThrow(/no extra input "cfg"/);
+    expect(() => batch.planBatch({ prompt: 'x' }, {}, flux)).toThrow(/at least one sweep axis/);
+    expect(() => batch.planBatch({ prompt: 'x' }, { seed: { start: 0, count: 20 } }, flux, { maxItems: 10 }))
+      .toThrow(/20 items; the limit is 10/);
+  });
+
+  it('enqueues every item with a shared batch id in the batch lane', () => {
+    const dry = batch.submitBatch({ workflow: 'flux', prompt: '{a|b}', sweep: {} }, { dryRun: true });
+    expect(dry).toMatchObject({ batchId: null, count: 2 });
+    expect(enqueueMany).not.toHaveBeenCalled();
+
+    const result = batch.submitBatch({ workflow: 'flux', prompt: '{a|b}', name: 'cmp', sweep: { inputs: { steps: [4] } } });
+    expect(enqueueMany).toHaveBeenCalledTimes(1);
+    const [records, opts] = enqueueMany.mock.calls[0];
+    expect(records).toHaveLength(2);
+    expect(opts).toEqual({ autoStart: true });
+    const record = records[1];
+    expect(record).toMatchObject({
+      lane: 'batch',
+      source: 'yaaiic-batch',
+      endpointKey: 'generate',
+      subLabel: 'Steps: 4, {a|b}: b',
+      taskData: {
+        prompt: 'b',
+        seed: 7,
+        steps: 4,
+        batch: {
+          id: result.batchId,
+          index: 1,
+          total: 2,
+          axes: [{ key: 'input:steps', label: 'Steps', value: 4 }, { key: 'wildcard:0', label: '{a|b}', value: 'b' }],
+        },
+      },
+    });
+
+    expect(() => batch.submitBatch({ workflow: 'img2img', prompt: '{a|b}' })).toThrow(/input files/);
+  });
+
+  it('queues nothing for a workflow that cannot run on ComfyUI', () => {
+    assertWorkflowAvailable.mockImplementationOnce(() => {
+      throw Object.assign(new Error("Workflow 'flux' cannot run: missing nodes: X"), { status: 409 });
+    });
+    expect(() => batch.submitBatch({ workflow: 'flux', prompt: '{a|b}' })).toThrow(/cannot run/);
+    expect(assertWorkflowAvailable).toHaveBeenCalledWith('flux');
+    expect(enqueueMany).not.toHaveBeenCalled();
+  });
+
+  it('rebuilds batches from media entries and renders a contact sheet grid', async () => {
+    const axesFor = (seed, color) => [{ key: 'seed', label: 'Seed', value: seed }, { key: 'wildcard:0', label: '{red|blue}', value: color }];
+    fs.mkdirSync(path.join(tmp.dir, 'storage'));
+    await sharp({ create: { width: 32, height: 32, channels: 3, background: '#ff0000' } }).png().toFile(path.join(tmp.dir, 'storage', 'image_1.png'));
+    getAll.mockReturnValue([
+      { uid: 2, workflow: 'flux', timestamp: '2026-01-01T00:00:02Z', imageUrl: '/media/missing.png', batch: { id: 'b1', index: 1, total: 4, axes: axesFor(1, 'blue') } },
+      { uid: 1, workflow: 'flux', timestamp: '2026-01-01T00:00:01Z', imageUrl: '/media/image_1.png', batch: { id: 'b1', index: 0, total: 4, axes: axesFor(1, 'red') } },
+      { uid: 3, workflow: 'flux', timestamp: '2026-01-01T00:00:03Z', batch: { id: 'b1', index: 3, total: 4, axes: axesFor(2, 'blue') } },
+      { uid: 4, workflow: 'flux', timestamp: '2026-01-01T00:00:04Z' },
+    ]);
+
+    expect(batch.listBatches()).toEqual([expect.objectContaining({ id: 'b1', count: 3, total: 4, createdAt: '2026-01-01T00:00:01Z' })]);
+    const found = batch.getBatch('b1');
+    expect(found.axes.map(a => a.values)).toEqual([[1, 2], ['red', 'blue']]);
+    expect(() => batch.getBatch('nope')).toThrow(/not found/);
+
+    const grid = layoutGrid(found, { x: 'wildcard:0', y: 'seed' });
+    expect(grid.cells.map(row => row.map(cell => cell?.uid ?? null))).toEqual([[1, 2], [null, 3]]);
+    expect(() => layoutGrid(found, { x: 'cfg' })).toThrow(/no axis "cfg"/);
+
+    const png = await renderContactSheet(found, { x: 'wildcard:0', y: 'seed', cellSize: 64 });
+    const meta = await sharp(png).metadata();
+    expect(meta.format).toBe('png');
+    expect(meta.width).toBe(160 + 2 * (64 + 4) + 4);
+    expect(meta.height).toBe(36 + 32 + 2 * (64 + 4) + 4);
+  });
+});
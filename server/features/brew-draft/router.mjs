@@ -0,0 +1,56 @@
+/**
+ * Brew Draft Router – draft brews generated from a text scene description.
+ *
+ * Routes:
+ *   GET  /api/brew-drafts               – list drafts, newest first
+ *   POST /api/brew-drafts               – plan and queue a draft (body: { description, name?, model?, clientId? })
+ *   GET  /api/brew-drafts/:id           – draft with per-sound status
+ *   POST /api/brew-drafts/:id/assemble  – save the brew now from the sounds that finished
+ *
+ * @module features/brew-draft/router
+ */
+import { Router } from 'express';
+import { createDraft, listDrafts, getDraft, assembleDraft } from './service.mjs';
+
+const router = Router();
+
+function sendError(res, error, action) {
+  if (error.status) return res.status(error.status).json({ error: error.message });
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: `Failed ${action}` });
+}
+
+router.get('/api/brew-drafts', (req, res) => {
+  try {
+    res.json(listDrafts());
+  } catch (error) {
+    sendError(res, error, 'listing brew drafts');
+  }
+});
+
+router.post('/api/brew-drafts', async (req, res) => {
+  try {
+    const { description, name, model, clientId } = req.body || {};
+    res.json(await createDraft({ description, name, model, clientId }));
+  } catch (error) {
+    sendError(res, error, 'creating brew draft');
+  }
+});
+
+router.get('/api/brew-drafts/:id', (req, res) => {
+  try {
+    res.json(getDraft(req.params.id));
+  } catch (error) {
+    sendError(res, error, 'loading brew draft');
+  }
+});
+
+router.post('/api/brew-drafts/:id/assemble', async (req, res) => {
+  try {
+    res.json(await assembleDraft(req.params.id));
+  } catch (error) {
+    sendError(res, error, 'assembling brew draft');
+  }
+});
+
+export default router;
@@ -0,0 +1,509 @@
+/**
+ * Brew Draft Service – builds a draft brew from a text scene description.
+ *
+ * 1. An Ollama model plans the soundscape: the sounds it needs (looping beds
+ *    and one-shot events) and the channels of tracks that play them.
+ * 2. Every sound is queued on the audio workflow (`config.brewDraft.workflow`)
+ *    with `loop_audio` on for beds, so those come back crossfaded into
+ *    seamless loops. The items show in the queue dashboard as "Brew Draft".
+ * 3. As each one finishes, the orchestrator calls `recordDraftSound`, which
+ *    registers it as a global sound source.
+ * 4. Once every sound has finished or failed, the brew is assembled from the
+ *    plan and saved. Tracks whose sounds all failed are left out.
+ *
+ * Drafts are kept in `server/database/brew-drafts.json`, so queue items that
+ * finish after a restart still land in their brew.
+ *
+ * @module features/brew-draft/service
+ */
+import fs from 'fs';
+import { randomUUID } from 'crypto';
+import { BREW_DRAFTS_PATH } from '../../core/paths.mjs';
+import { requestStructuredOutput } from '../../core/llm.mjs';
+import { loadWorkflows, applyRequestDefaults } from '../generation/workflow-validator.mjs';
+import * as queueService from '../queue/service.mjs';
+import { listSources, upsertSource } from '../sound-sources/service.mjs';
+import { saveBrew } from '../brew/service.mjs';
+
+// ---------------------------------------------------------------------------
+// Type Definitions
+// ---------------------------------------------------------------------------
+
+/**
+ * One sound the plan asks for.
+ * @typedef {Object} DraftSound
+ * @property {string} label
+ * @property {string} prompt   - Text-to-audio prompt
+ * @property {boolean} loop    - Looping bed (true) or one-shot event (false)
+ * @property {number} length   - Seconds to generate
+ * @property {'queued'|'done'|'failed'|'skipped'} status
+ * @property {string|null} queueItemId
+ * @property {string|null} audioUrl
+ * @property {string|null} sourceLabel - Label of the registered sound source
+ * @property {string|null} error
+ */
+
+/**
+ * @typedef {Object} DraftTrack
+ * @property {string} label
+ * @property {'loop'|'event'} type
+ * @property {string[]} sounds - DraftSound labels; loops use the first
+ * @property {number} gain
+ * @property {{ min: number, max: number }} delay - Seconds between events
+ */
+
+// ---------------------------------------------------------------------------
+// Init
+// ---------------------------------------------------------------------------
+
+const DEFAULT_WORKFLOW = 'Text to Sound (StableAudio)';
+const DEFAULT_MODEL = 'gemma3:4b';
+const DEFAULT_MAX_SOUNDS = 8;
+
+const LOOP_LENGTH = { min: 10, max: 40, default: 30 };
+const ONE_SHOT_LENGTH = { min: 1, max: 15, default: 4 };
+const DEFAULT_EVENT_DELAY = { min: 5, max: 20 };
+
+let _draftConfig = {};
+
+export function initialize({ config }) {
+  _draftConfig = config?.brewDraft ?? {};
+}
+
+function httpError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+// ---------------------------------------------------------------------------
+// Storage
+// ---------------------------------------------------------------------------
+
+function readDrafts() {
+  try {
+    return JSON.parse(fs.readFileSync(BREW_DRAFTS_PATH, 'utf8'));
+  } catch {
+    return [];
+  }
+}
+
+function writeDrafts(drafts) {
+  fs.writeFileSync(BREW_DRAFTS_PATH, JSON.stringify(drafts, null, 2), 'utf8');
+}
+
+// Read-modify-write updates wait on source and brew I/O, so they run one at a time.
+let _updates = Promise.resolve();
+
+function serialized(fn) {
+  const run = _updates.then(fn);
+  _updates = run.catch(() => {});
+  return run;
+}
+
+// ---------------------------------------------------------------------------
+// Planning
+// ---------------------------------------------------------------------------
+
+const RANGE_FORMAT = {
+  type: 'object',
+  properties: { min: { type: 'number' }, max: { type: 'number' } },
+  required: ['min', 'max'],
+};
+
+/** JSON schema the model's plan must match. Value ranges are clamped afterwards. */
+export const PLAN_FORMAT = {
+  type: 'object',
+  properties: {
+    label: { type: 'string' },
+    sounds: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          label: { type: 'string' },
+          prompt: { type: 'string' },
+          loop: { type: 'boolean' },
+          seconds: { type: 'number' },
+        },
+        required: ['label', 'prompt', 'loop'],
+      },
+    },
+    channels: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          label: { type: 'string' },
+          gain: { type: 'number' },
+          tracks: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                label: { type: 'string' },
+                sounds: { type: 'array', items: { type: 'string' } },
+                gain: { type: 'number' },
+                delay: RANGE_FORMAT,
+              },
+              required: ['label', 'sounds'],
+            },
+          },
+        },
+        required: ['label', 'tracks'],
+      },
+    },
+  },
+  required: ['label', 'sounds', 'channels'],
+};
+
+/**
+ * Prompt asking the model to plan a soundscape for a scene.
+ * @param {string} description
+ * @param {number} maxSounds
+ * @returns {string}
+ */
+export function buildPlanPrompt(description, maxSounds) {
+  return [
+    'You are a sound designer planning a looping ambient soundscape for a tabletop game scene.',
+    `Scene: ${description}`,
+    '',
+    `List at most ${maxSounds} sounds to generate with a text-to-audio model:`,
+    '- "loop": true for continuous beds (rain, crowd murmur, fire crackle), false for short one-shot events (thunder, a door creak, a glass clinking).',
+    '- "prompt": a short, concrete description of only that sound, with no music unless the scene calls for it.',
+    `- "seconds": ${LOOP_LENGTH.min}-${LOOP_LENGTH.max} for loops, ${ONE_SHOT_LENGTH.min}-${ONE_SHOT_LENGTH.max} for events.`,
+    '',
+    'Then group tracks into a few channels (e.g. "Ambience", "Events"). Each track names the sounds it plays by label:',
+    '- A loop track plays one looping sound continuously.',
+    '- An event track picks one of its one-shot sounds every "delay" seconds ({ "min", "max" }), so rare events get long delays.',
+    '- "gain" runs from 0 (silent) to 1 (full); keep background beds around 0.4-0.7.',
+    '',
+    'Give the soundscape a short "label".',
+  ].join('\n');
+}
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function numberOr(value, fallback) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Clean up a model plan: trim labels, drop duplicate and empty sounds, cap
+ * the sound count, clamp lengths, gains and delays, and drop tracks that name
+ * no known sound (and channels left without tracks). A track is a loop when
+ * its first sound is a loop; event tracks only keep one-shot sounds.
+ *
+ * @param {Object} reply - Matches PLAN_FORMAT
+ * @param {Object} [options]
+ * @param {number} [options.maxSounds]
+ * @returns {{ label: string, sounds: Object[], channels: { label: string, gain: number, tracks: DraftTrack[] }[] }}
+ * @throws {Error} 502 if nothing playable is left.
+ */
+export function normalizePlan(reply, { maxSounds = DEFAULT_MAX_SOUNDS } = {}) {
+  const sounds = [];
+  for (const sound of reply.sounds || []) {
+    const label = sound.label?.trim();
+    const prompt = sound.prompt?.trim();
+    if (!label || !prompt || sounds.some(s => s.label === label)) continue;
+    if (sounds.length >= maxSounds) break;
+    const range = sound.loop ? LOOP_LENGTH : ONE_SHOT_LENGTH;
+    sounds.push({
+      label,
+      prompt,
+      loop: Boolean(sound.loop),
+      length: Math.round(clamp(numberOr(sound.seconds, range.default), range.min, range.max)),
+    });
+  }
+  const byLabel = new Map(sounds.map(s => [s.label, s]));
+  const used = new Set();
+
+  const channels = [];
+  for (const channel of reply.channels || []) {
+    const tracks = [];
+    for (const track of channel.tracks || []) {
+      const known = (track.sounds || []).map(label => byLabel.get(label?.trim())).filter(Boolean);
+      if (known.length === 0) continue;
+      const loop = known[0].loop;
+      const trackSounds = loop ? [known[0]] : known.filter(s => !s.loop);
+      const delayMin = clamp(numberOr(track.delay?.min, DEFAULT_EVENT_DELAY.min), 0.1, 60);
+      const delayMax = clamp(numberOr(track.delay?.max, DEFAULT_EVENT_DELAY.max), 0.1, 60);
+      trackSounds.forEach(s => used.add(s.label));
+      tracks.push({
+        label: track.label?.trim() || trackSounds[0].label,
+        type: loop ? 'loop' : 'event',
+        sounds: trackSounds.map(s => s.label),
+        gain: round2(clamp(numberOr(track.gain, 0.8), 0, 1)),
+        delay: { min: Math.min(delayMin, delayMax), max: Math.max(delayMin, delayMax) },
+      });
+    }
+    if (tracks.length === 0) continue;
+    channels.push({
+      label: channel.label?.trim() || `Channel ${channels.length + 1}`,
+      gain: round2(clamp(numberOr(channel.gain, 0.5), 0, 2)),
+      tracks,
+    });
+  }
+
+  // Sounds no track plays would only cost generation time.
+  const playedSounds = sounds.filter(s => used.has(s.label));
+  if (playedSounds.length === 0) throw httpError('The model planned no playable sounds; try a more concrete description', 502);
+  return { label: reply.label?.trim() || '', sounds: playedSounds, channels };
+}
+
+// ---------------------------------------------------------------------------
+// Assembly
+// ---------------------------------------------------------------------------
+
+/**
+ * Pick a label not in `taken`, adding " (2)", " (3)"… when needed.
+ * @param {string} base
+ * @param {Set<string>} taken
+ * @returns {string}
+ */
+export function uniqueLabel(base, taken) {
+  if (!taken.has(base)) return base;
+  let n = 2;
+  while (taken.has(`${base} (${n})`)) n++;
+  return `${base} (${n})`;
+}
+
+/**
+ * Build the brew recipe for a draft from the sounds that finished.
+ * @param {Object} draft
+ * @param {Object[]} sources - Registered sound sources of the finished sounds
+ * @param {number} uid
+ * @returns {Object|null} Brew data, or null if no track has a sound
+ */
+export function buildDraftBrew(draft, sources, uid) {
+  const sourceFor = new Map(draft.sounds
+    .filter(s => s.status === 'done')
+    .map(s => [s.label, s]));
+
+  const channels = draft.plan.channels.map((channel) => {
+    const tracks = channel.tracks.flatMap((track) => {
+      const done = track.sounds.map(label => sourceFor.get(label)).filter(Boolean);
+      if (done.length === 0) return [];
+      const gain = { min: track.gain, max: track.gain };
+      if (track.type === 'loop') {
+        const length = done[0].length;
+        return [{
+          label: track.label,
+          type: 'loop',
+          source: done[0].sourceLabel,
+          duration: { min: Math.max(4, Math.round(length / 2)), max: Math.max(4, length) },
+          gain,
+          pan: { mode: 'fixed', value: 0 },
+        }];
+      }
+      return [{
+        label: track.label,
+        type: 'event',
+        clones: 1,
+        sources: done.map(s => s.sourceLabel),
+        delay: track.delay,
+        delayAfterPrev: false,
+        gain: { min: round2(track.gain * 0.75), max: track.gain },
+        pan: { mode: 'random', min: -0.6, max: 0.6 },
+      }];
+    });
+    return {
+      label: channel.label,
+      gain: channel.gain,
+      muffle: null,
+      reverb: null,
+      radio: null,
+      underwater: false,
+      tracks,
+    };
+  }).filter(channel => channel.tracks.length > 0);
+
+  if (channels.length === 0) return null;
+  const usedLabels = new Set(channels.flatMap(ch => ch.tracks.flatMap(t => (t.type === 'loop' ? [t.source] : t.sources))));
+  return {
+    uid,
+    label: draft.label,
+    sources: sources.filter(s => usedLabels.has(s.label)),
+    channels,
+  };
+}
+
+/** Save the brew for a draft and mark the draft ready (or failed). Mutates `draft`. */
+async function assemble(draft) {
+  draft.sounds.forEach((sound) => {
+    if (sound.status === 'queued') sound.status = 'skipped';
+  });
+  const registered = new Set(draft.sounds.map(s => s.sourceLabel).filter(Boolean));
+  const sources = (await listSources()).filter(s => registered.has(s.label));
+  const uid = Date.now();
+  const brew = buildDraftBrew(draft, sources, uid);
+  if (!brew) {
+    draft.status = 'failed';
+    draft.error = 'None of the planned sounds were generated';
+    return;
+  }
+  await saveBrew(uid, draft.label, brew);
+  draft.status = 'ready';
+  draft.brewUid = uid;
+  console.log(`[brew-draft] Draft ${draft.id} saved as brew ${uid} ("${draft.label}")`);
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Plan a soundscape for a description and queue every sound it needs.
+ *
+ * @param {Object} request
+ * @param {string} request.description - e.g. "rainy tavern at night"
+ * @param {string} [request.name]  - Brew name; defaults to the model's label
+ * @param {string} [request.model] - Ollama model; defaults to `config.brewDraft.model`
+ * @param {string|null} [request.clientId]
+ * @returns {Promise<Object>} The new draft
+ * @throws {Error} 400 on a missing description, 502 if the plan is unusable.
+ */
+export async function createDraft({ description, name, model, clientId = null } = {}) {
+  if (typeof description !== 'string' || !description.trim()) throw httpError('A scene description is required');
+
+  const workflowName = _draftConfig.workflow || DEFAULT_WORKFLOW;
+  const workflowData = loadWorkflows().workflows.find(w => w.name === workflowName);
+  if (!workflowData) throw httpError(`Sound workflow '${workflowName}' not found; set brewDraft.workflow in config.json`, 500);
+
+  const maxSounds = _draftConfig.maxSounds ?? DEFAULT_MAX_SOUNDS;
+  let reply;
+  try {
+    reply = await requestStructuredOutput({
+      prompt: buildPlanPrompt(description.trim(), maxSounds),
+      model: model || _draftConfig.model || DEFAULT_MODEL,
+      format: PLAN_FORMAT,
+      to: 'brew draft plan',
+    });
+  } catch (error) {
+    throw httpError(`Could not plan the soundscape: ${error.message}`, 502);
+  }
+  const plan = normalizePlan(reply, { maxSounds });
+
+  const draft = {
+    id: randomUUID(),
+    description: description.trim(),
+    label: name?.trim() || plan.label || description.trim(),
+    status: 'generating',
+    createdAt: new Date().toISOString(),
+    workflow: workflowName,
+    plan: { channels: plan.channels },
+    sounds: [],
+    brewUid: null,
+    error: null,
+  };
+
+  // Queue and store in one step, so a sound that finishes early finds its draft.
+  await serialized(() => {
+    for (const sound of plan.sounds) {
+      const item = queueService.enqueue({
+        type: 'audio',
+        source: 'yaaiic-brew-draft',
+        clientId,
+        name: sound.label,
+        subLabel: draft.label,
+        endpointKey: 'brew-draft-sound',
+        taskData: applyRequestDefaults({
+          workflow: workflowName,
+          name: sound.label,
+          prompt: sound.prompt,
+          length: sound.length,
+          loop_audio: sound.loop,
+          requestOrigin: 'yaaiic',
+          brewDraft: { id: draft.id, sound: sound.label },
+        }, workflowData),
+      }, { autoStart: true });
+      draft.sounds.push({
+        ...sound, status: 'queued', queueItemId: item.id, audioUrl: null, sourceLabel: null, error: null,
+      });
+    }
+
+    const drafts = readDrafts();
+    drafts.push(draft);
+    writeDrafts(drafts);
+  });
+  console.log(`[brew-draft] Draft ${draft.id} queued ${draft.sounds.length} sound(s) for "${draft.label}"`);
+  return draft;
+}
+
+/**
+ * Record the outcome of one draft sound. A finished sound is registered as a
+ * global sound source; once no sound is still queued the brew is assembled.
+ * Called by the orchestrator when a `brew-draft-sound` queue item ends.
+ *
+ * @param {string} id - Draft id
+ * @param {string} soundLabel
+ * @param {{ audioUrl?: string, error?: string }} outcome
+ * @returns {Promise<Object|null>} The updated draft, or null if the draft or sound is gone or already settled
+ */
+export function recordDraftSound(id, soundLabel, { audioUrl, error } = {}) {
+  return serialized(async () => {
+    const drafts = readDrafts();
+    const draft = drafts.find(d => d.id === id);
+    const sound = draft?.sounds.find(s => s.label === soundLabel);
+    if (!sound || sound.status !== 'queued') return null;
+
+    if (audioUrl) {
+      const existing = await listSources();
+      let uid = Date.now();
+      while (existing.some(s => s.uid === uid)) uid++;
+      const sourceLabel = uniqueLabel(sound.label, new Set(existing.map(s => s.label)));
+      await upsertSource({
+        uid,
+        label: sourceLabel,
+        clips: [{ url: audioUrl, label: sound.label }],
+        repeatCount: { min: 1, max: 1 },
+        repeatDelay: { min: 0.1, max: 0.1 },
+        attack: { min: 0, max: 0.5 },
+        decay: { min: 0, max: 0.5 },
+      });
+      Object.assign(sound, { status: 'done', audioUrl, sourceLabel });
+    } else {
+      Object.assign(sound, { status: 'failed', error: error || 'Generation failed' });
+    }
+
+    if (!draft.sounds.some(s => s.status === 'queued')) await assemble(draft);
+    writeDrafts(drafts);
+    return draft;
+  });
+}
+
+/**
+ * Assemble a draft now from the sounds that have finished, skipping the rest
+ * (e.g. after their queue items were cancelled).
+ * @param {string} id
+ * @returns {Promise<Object>} The updated draft
+ * @throws {Error} 404 if not found, 409 if the draft is already assembled.
+ */
+export function assembleDraft(id) {
+  return serialized(async () => {
+    const drafts = readDrafts();
+    const draft = drafts.find(d => d.id === id);
+    if (!draft) throw httpError(`Draft not found: ${id}`, 404);
+    if (draft.status !== 'generating') throw httpError('This draft has already been assembled', 409);
+    await assemble(draft);
+    writeDrafts(drafts);
+    return draft;
+  });
+}
+
+/** @returns {Object[]} All drafts, newest first */
+export function listDrafts() {
+  return readDrafts().reverse();
+}
+
+/**
+ * @param {string} id
+ * @returns {Object}
+ * @throws {Error} 404 if not found.
+ */
+export function getDraft(id) {
+  const draft = readDrafts().find(d => d.id === id);
+  if (!draft) throw httpError(`Draft not found: ${id}`, 404);
+  return draft;
+}
@@ -0,0 +1,165 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+// ── Mocks ────────────────────────────────────────────────────────────────────
+
+const tmp = vi.hoisted(() => ({ dir: '' }));
+const store = vi.hoisted(() => ({ sources: [], brews: [] }));
+
+vi.mock('../../core/paths.mjs', () => ({
+  get BREW_DRAFTS_PATH() { return `${tmp.dir}/brew-drafts.json`; },
+}));
+
+vi.mock('../../core/llm.mjs', () => ({ requestStructuredOutput: vi.fn() }));
+
+vi.mock('../generation/workflow-validator.mjs', () => ({
+  loadWorkflows: vi.fn(() => ({ workflows: [{ name: 'Text to Sound (StableAudio)', options: { type: 'audio' } }] })),
+  applyRequestDefaults: vi.fn((body) => {
+    body.seed ??= 7;
+    return body;
+  }),
+}));
+
+vi.mock('../queue/service.mjs', () => {
+  let n = 0;
+  return { enqueue: vi.fn(() => ({ id: `q${++n}` })) };
+});
+
+vi.mock('../sound-sources/service.mjs', () => ({
+  listSources: vi.fn(async () => store.sources),
+  upsertSource: vi.fn(async (source) => { store.sources.push(source); }),
+}));
+
+vi.mock('../brew/service.mjs', () => ({
+  saveBrew: vi.fn(async (uid, name, data) => { store.brews.push({ uid, name, data }); }),
+}));
+
+const drafts = await import('./service.mjs');
+const { requestStructuredOutput } = await import('../../core/llm.mjs');
+const { enqueue } = await import('../queue/service.mjs');
+
+const tavernPlan = {
+  label: 'Rainy Tavern',
+  sounds: [
+    { label: 'rain', prompt: 'steady rain on a roof', loop: true, seconds: 90 },
+    { label: 'murmur', prompt: 'tavern crowd murmur', loop: true },
+    { label: 'clink', prompt: 'glasses clinking', loop: false, seconds: 2 },
+    { label: 'thunder', prompt: 'distant thunder', loop: false },
+    { label: 'rain', prompt: 'duplicate label', loop: true },
+    { label: 'unused', prompt: 'never played', loop: false },
+  ],
+  channels: [
+    {
+      label: 'Ambience',
+      gain: 0.6,
+      tracks: [
+        { label: 'Rain', sounds: ['rain'], gain: 3 },
+        { label: 'Crowd', sounds: ['murmur'], gain: 0.5 },
+      ],
+    },
+    {
+      label: 'Events',
+      tracks: [
+        { label: 'Bar', sounds: ['clink', 'rain', 'thunder'], delay: { min: 30, max: 4 } },
+        { label: 'Ghost', sounds: ['missing'] },
+      ],
+    },
+    { label: 'Empty', tracks: [] },
+  ],
+};
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('brew draft service', () => {
+  beforeEach(() => {
+    tmp.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'brew-draft-test-'));
+    store.sources = [{ uid: 1, label: 'rain', clips: [] }];
+    store.brews = [];
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    enqueue.mockClear();
+    requestStructuredOutput.mockResolvedValue(structuredClone(tavernPlan));
+    drafts.initialize({ config: { brewDraft: { model: 'test-model' } } });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    fs.rmSync(tmp.dir, { recursive: true, force: true });
+  });
+
+  it('cleans up the model plan', () => {
+    const plan = drafts.normalizePlan(structuredClone(tavernPlan));
+    expect(plan.sounds.map(s => [s.label, s.loop, s.length])).toEqual([
+      ['rain', true, 40], ['murmur', true, 30], ['clink', false, 2], ['thunder', false, 4],
+    ]);
+    expect(plan.channels.map(ch => ch.label)).toEqual(['Ambience', 'Events']);
+    expect(plan.channels[0].tracks[0]).toMatchObject({ type: 'loop', sounds: ['rain'], gain: 1 });
+    // Event tracks drop loop sounds and put their delay range in order.
+    expect(plan.channels[1].tracks).toEqual([
+      { label: 'Bar', type: 'event', sounds: ['clink', 'thunder'], gain: 0.8, delay: { min: 4, max: 30 } },
+    ]);
+
+    expect(() => drafts.normalizePlan({ label: 'x', sounds: tavernPlan.sounds, channels: [] }))
+      .toThrow(expect.objectContaining({ status: 502 }));
+  });
+
+  it('queues every planned sound, with loops crossfaded', async () => {
+    const draft = await drafts.createDraft({ description: '  rainy tavern at night ' });
+    expect(requestStructuredOutput).toHaveBeenCalledWith(expect.objectContaining({ model: 'test-model' }));
+    expect(draft).toMatchObject({ label: 'Rainy Tavern', status: 'generating', description: 'rainy tavern at night' });
+    expect(enqueue).toHaveBeenCalledTimes(4);
+    expect(enqueue.mock.calls[0][0]).toMatchObject({
+      type: 'audio',
+      source: 'yaaiic-brew-draft',
+      endpointKey: 'brew-draft-sound',
+      name: 'rain',
+      subLabel: 'Rainy Tavern',
+      taskData: {
+        workflow: 'Text to Sound (StableAudio)', prompt: 'steady rain on a roof', length: 40, loop_audio: true,
+        brewDraft: { id: draft.id, sound: 'rain' },
+      },
+    });
+    expect(enqueue.mock.calls[2][0].taskData.loop_audio).toBe(false);
+    expect(drafts.getDraft(draft.id).sounds.map(s => s.status)).toEqual(['queued', 'queued', 'queued', 'queued']);
+
+    await expect(drafts.createDraft({ description: ' ' })).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('registers finished sounds and assembles the brew once all have settled', async () => {
+    const { id } = await drafts.createDraft({ description: 'rainy tavern', name: 'Tavern' });
+
+    await drafts.recordDraftSound(id, 'rain', { audioUrl: '/media/audio_1.mp3' });
+    await drafts.recordDraftSound(id, 'murmur', { error: 'ComfyUI exploded' });
+    await drafts.recordDraftSound(id, 'clink', { audioUrl: '/media/audio_2.mp3' });
+    expect(store.brews).toEqual([]);
+    // An existing global "rain" source is not overwritten.
+    expect(store.sources.map(s => s.label)).toEqual(['rain', 'rain (2)', 'clink']);
+
+    const draft = await drafts.recordDraftSound(id, 'thunder', { audioUrl: '/media/audio_3.mp3' });
+    expect(draft.status).toBe('ready');
+    expect(store.brews).toHaveLength(1);
+    const [{ uid, name, data }] = store.brews;
+    expect(draft.brewUid).toBe(uid);
+    expect(name).toBe('Tavern');
+    expect(data.sources.map(s => s.label)).toEqual(['rain (2)', 'clink', 'thunder']);
+    expect(data.channels.map(ch => ch.tracks.map(t => t.label))).toEqual([['Rain'], ['Bar']]);
+    expect(data.channels[0].tracks[0]).toMatchObject({ type: 'loop', source: 'rain (2)', duration: { min: 20, max: 40 } });
+    expect(data.channels[1].tracks[0]).toMatchObject({ type: 'event', sources: ['clink', 'thunder'] });
+
+    // Late or repeated results are ignored.
+    expect(await drafts.recordDraftSound(id, 'thunder', { audioUrl: '/media/audio_4.mp3' })).toBeNull();
+  });
+
+  it('assembles early on request and skips sounds still queued', async () => {
+    const { id } = await drafts.createDraft({ description: 'rainy tavern' });
+    await drafts.recordDraftSound(id, 'clink', { audioUrl: '/media/audio_2.mp3' });
+
+    const draft = await drafts.assembleDraft(id);
+    expect(draft.status).toBe('ready');
+    expect(draft.sounds.map(s => s.status)).toEqual(['skipped', 'skipped', 'done', 'skipped']);
+    expect(store.brews[0].data.channels.map(ch => ch.label)).toEqual(['Events']);
+    await expect(drafts.assembleDraft(id)).rejects.toMatchObject({ status: 409 });
+    expect(drafts.listDrafts().map(d => d.id)).toEqual([id]);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Brew Session Router – remote-controlled brew playback sessions.
+ *
+ * Routes:
+ *   GET    /api/brew-sessions               – list open sessions
+ *   POST   /api/brew-sessions               – start a session (body: { brewUid })
+ *   GET    /api/brew-sessions/clock         – server time, for listener clock sync
+ *   GET    /api/brew-sessions/:id           – session state
+ *   DELETE /api/brew-sessions/:id           – end a session
+ *   POST   /api/brew-sessions/:id/commands  – apply a controller command
+ *   GET    /api/brew-sessions/:id/events    – SSE stream of session state and commands
+ *                                             (?role=listener counts the client as a listener)
+ *
+ * @module features/brew-session/router
+ */
+import { Router } from 'express';
+import {
+  createSession, getSession, listSessions, deleteSession, applyCommand, setEmitSessionEvent,
+} from './service.mjs';
+
+const router = Router();
+
+// ---------------------------------------------------------------------------
+// Session SSE streams – GET /api/brew-sessions/:id/events
+// ---------------------------------------------------------------------------
+
+const SESSION_SSE_HEARTBEAT_MS = 30000;
+
+/** @type {Map<string, Map<import('express').Response, string>>} session id → client → role */
+const sessionSseClients = new Map();
+
+function listenerCount(id) {
+  return [...(sessionSseClients.get(id)?.values() ?? [])].filter(role => role === 'listener').length;
+}
+
+export function emitSessionEvent(id, event, payload) {
+  const clients = sessionSseClients.get(id);
+  if (!clients) return;
+  const msg = `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+  const disconnected = new Set();
+  clients.forEach((_role, res) => {
+    try { res.write(msg); }
+    catch { disconnected.add(res); }
+  });
+  disconnected.forEach(res => clients.delete(res));
+  if (event === 'session:closed') {
+    clients.forEach((_role, res) => res.end());
+    sessionSseClients.delete(id);
+  }
+}
+
+// Wire the emitter into the service before any requests arrive
+setEmitSessionEvent(emitSessionEvent);
+
+function sendError(res, error, action) {
+  if (error.status) return res.status(error.status).json({ error: error.message });
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: `Failed ${action}` });
+}
+
+router.get('/api/brew-sessions/:id/events', (req, res) => {
+  const { id } = req.params;
+  const state = getSession(id);
+  if (!state) return res.status(404).json({ error: `Session not found: ${id}` });
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  const role = req.query.role === 'listener' ? 'listener' : 'controller';
+  if (!sessionSseClients.has(id)) sessionSseClients.set(id, new Map());
+  sessionSseClients.get(id).set(res, role);
+
+  // Send the current state immediately, so a reconnecting listener catches up.
+  res.write(`event: session:state\ndata: ${JSON.stringify({ state, serverTime: Date.now() })}\n\n`);
+  if (role === 'listener') emitSessionEvent(id, 'session:listeners', { count: listenerCount(id) });
+  else res.write(`event: session:listeners\ndata: ${JSON.stringify({ count: listenerCount(id) })}\n\n`);
+
+  const heartbeat = setInterval(() => {
+    try { res.write(': heartbeat\n\n'); }
+    catch { clearInterval(heartbeat); }
+  }, SESSION_SSE_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const clients = sessionSseClients.get(id);
+    if (!clients?.delete(res)) return;
+    if (clients.size === 0) sessionSseClients.delete(id);
+    else if (role === 'listener') emitSessionEvent(id, 'session:listeners', { count: listenerCount(id) });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// REST endpoints
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /api/brew-sessions
+ * Returns the state of every open session, newest first, with listener counts.
+ */
+router.get('/api/brew-sessions', (_req, res) => {
+  res.json(listSessions().map(state => ({ ...state, listeners: listenerCount(state.id) })));
+});
+
+/**
+ * POST /api/brew-sessions
+ * Starts a session for a saved brew. Body: { brewUid: number }
+ */
+router.post('/api/brew-sessions', async (req, res) => {
+  try {
+    res.json(await createSession(req.body?.brewUid));
+  } catch (error) {
+    sendError(res, error, 'creating brew session');
+  }
+});
+
+/**
+ * GET /api/brew-sessions/clock
+ * Returns { now } in server milliseconds. Listeners sample this to estimate
+ * their offset from the server clock.
+ */
+router.get('/api/brew-sessions/clock', (_req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.json({ now: Date.now() });
+});
+
+/**
+ * GET /api/brew-sessions/:id
+ */
+router.get('/api/brew-sessions/:id', (req, res) => {
+  const state = getSession(req.params.id);
+  if (!state) return res.status(404).json({ error: `Session not found: ${req.params.id}` });
+  res.json({ ...state, listeners: listenerCount(state.id) });
+});
+
+/**
+ * DELETE /api/brew-sessions/:id
+ * Ends the session; connected clients receive session:closed.
+ */
+router.delete('/api/brew-sessions/:id', (req, res) => {
+  if (!deleteSession(req.params.id)) return res.status(404).json({ error: `Session not found: ${req.params.id}` });
+  res.json({ success: true });
+});
+
+/**
+ * POST /api/brew-sessions/:id/commands
+ * Applies a controller command (see service applyCommand) and returns
+ * { command, state }. Listeners receive the same payload as session:command.
+ */
+router.post('/api/brew-sessions/:id/commands', async (req, res) => {
+  try {
+    res.json(await applyCommand(req.params.id, req.body));
+  } catch (error) {
+    sendError(res, error, 'applying brew session command');
+  }
+});
+
+export default router;
@@ -0,0 +1,249 @@
+/**
+ * Brew Session Service – shared, remote-controlled brew playback.
+ *
+ * A session holds the playback state of one brew: whether it plays, the scene
+ * it is on, per-channel gain/enabled overrides and the master volume. A
+ * controller changes it with commands; listeners follow it and play the brew.
+ *
+ * Every accepted command is stamped with `at`, a server time a little in the
+ * future, so listeners that know their offset to the server clock can apply it
+ * at the same moment. The full state is kept so a listener that reconnects can
+ * catch up without replaying history.
+ *
+ * Sessions live in memory and end when deleted, after idling without any
+ * command for SESSION_IDLE_MS, or when the server restarts.
+ *
+ * @module features/brew-session/service
+ */
+import { loadBrew } from '../brew/service.mjs';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** How far ahead of "now" commands are scheduled, so every listener receives them in time. */
+export const COMMAND_LEAD_MS = 300;
+
+/** Sessions untouched for this long are dropped when the next one is created. */
+const SESSION_IDLE_MS = 12 * 60 * 60 * 1000;
+
+/** Easy to read aloud and type on a phone: no 0/O or 1/I. */
+const SESSION_ID_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const SESSION_ID_LENGTH = 5;
+
+export const COMMAND_TYPES = ['play', 'stop', 'brew', 'scene', 'channel', 'volume'];
+
+// ---------------------------------------------------------------------------
+// State
+// ---------------------------------------------------------------------------
+
+/** @type {Map<string, Object>} session id → session */
+const sessions = new Map();
+
+/** Set by the router; called as (sessionId, event, payload). */
+let _emitSessionEvent = null;
+
+export function setEmitSessionEvent(fn) {
+  _emitSessionEvent = fn;
+}
+
+function emit(sessionId, event, payload) {
+  if (_emitSessionEvent) _emitSessionEvent(sessionId, event, payload);
+}
+
+function sessionError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+function createSessionId() {
+  let id;
+  do {
+    id = Array.from({ length: SESSION_ID_LENGTH }, () =>
+      SESSION_ID_CHARS[Math.floor(Math.random() * SESSION_ID_CHARS.length)]).join('');
+  } while (sessions.has(id));
+  return id;
+}
+
+/** Load a brew for a session, as a 404 when it does not exist. */
+async function loadSessionBrew(uid) {
+  if (typeof uid !== 'number' || !Number.isFinite(uid)) throw sessionError('brew uid must be a number');
+  try {
+    return await loadBrew(uid);
+  } catch (error) {
+    if (error.code === 'ENOENT') throw sessionError(`Brew not found: ${uid}`, 404);
+    throw error;
+  }
+}
+
+function pruneIdleSessions(now) {
+  for (const [id, session] of sessions) {
+    if (now - session.updatedAt > SESSION_IDLE_MS) {
+      sessions.delete(id);
+      emit(id, 'session:closed', { id });
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Sessions
+// ---------------------------------------------------------------------------
+
+/**
+ * The shareable state of a session, as sent to listeners and controllers.
+ * @param {Object} session
+ * @returns {Object}
+ */
+function snapshot(session) {
+  const { id, brewUid, brewName, scenes, revision, playing, startedAt, scene, channels, volume, updatedAt } = session;
+  return { id, brewUid, brewName, scenes, revision, playing, startedAt, scene, channels, volume, updatedAt };
+}
+
+/**
+ * Start a session for a saved brew. Nothing plays until a `play` command.
+ * @param {number} brewUid
+ * @param {number} [now]
+ * @returns {Promise<Object>} Session state
+ */
+export async function createSession(brewUid, now = Date.now()) {
+  pruneIdleSessions(now);
+  const brew = await loadSessionBrew(brewUid);
+  const session = {
+    id: createSessionId(),
+    brewUid,
+    brewName: brew.label || String(brewUid),
+    scenes: (brew.scenes || []).map(s => s.label),
+    revision: 0,
+    playing: false,
+    startedAt: null,
+    scene: null,
+    channels: {},
+    volume: 1,
+    updatedAt: now,
+  };
+  sessions.set(session.id, session);
+  return snapshot(session);
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|null} Session state, or null when there is no such session
+ */
+export function getSession(id) {
+  const session = sessions.get(id);
+  return session ? snapshot(session) : null;
+}
+
+/** @returns {Object[]} Every open session, newest first */
+export function listSessions() {
+  return [...sessions.values()].sort((a, b) => b.updatedAt - a.updatedAt).map(snapshot);
+}
+
+/**
+ * End a session and tell everyone following it.
+ * @param {string} id
+ * @returns {boolean} false when there was no such session
+ */
+export function deleteSession(id) {
+  if (!sessions.delete(id)) return false;
+  emit(id, 'session:closed', { id });
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// Commands
+// ---------------------------------------------------------------------------
+
+function checkTransition(transition) {
+  if (transition == null) return null;
+  if (typeof transition !== 'object') throw sessionError('transition must be an object');
+  if (transition.duration != null && !(typeof transition.duration === 'number' && transition.duration >= 0)) {
+    throw sessionError('transition duration must be a number of seconds >= 0');
+  }
+  return transition;
+}
+
+function checkGain(value, name) {
+  if (!(typeof value === 'number' && value >= 0 && value <= 2)) throw sessionError(`${name} must be a number from 0 to 2`);
+  return value;
+}
+
+/**
+ * Apply a controller command to a session and broadcast it to listeners.
+ *
+ * Commands:
+ *   { type: 'play' }                                   – start (or restart) the brew
+ *   { type: 'stop' }                                   – stop playback
+ *   { type: 'brew', uid }                              – switch to another brew, resetting scene and overrides
+ *   { type: 'scene', label, transition? }              – move to a scene; clears channel overrides
+ *   { type: 'channel', label, gain?, enabled? }        – override one channel
+ *   { type: 'volume', value }                          – master volume (0–2)
+ *
+ * @param {string} id - Session id
+ * @param {Object} command
+ * @param {number} [now]
+ * @returns {Promise<{ command: Object, state: Object }>} The stamped command (with `at` and `revision`) and the new state
+ * @throws {Error} with `status` 404 for an unknown session or brew, 400 for an invalid command
+ */
+export async function applyCommand(id, command, now = Date.now()) {
+  const session = sessions.get(id);
+  if (!session) throw sessionError(`Session not found: ${id}`, 404);
+  if (!command || !COMMAND_TYPES.includes(command.type)) {
+    throw sessionError(`command type must be one of: ${COMMAND_TYPES.join(', ')}`);
+  }
+
+  const at = now + COMMAND_LEAD_MS;
+  let stamped;
+  switch (command.type) {
+    case 'play':
+      session.playing = true;
+      session.startedAt = at;
+      stamped = { type: 'play' };
+      break;
+    case 'stop':
+      session.playing = false;
+      session.startedAt = null;
+      stamped = { type: 'stop' };
+      break;
+    case 'brew': {
+      const brew = await loadSessionBrew(command.uid);
+      Object.assign(session, {
+        brewUid: command.uid,
+        brewName: brew.label || String(command.uid),
+        scenes: (brew.scenes || []).map(s => s.label),
+        scene: null,
+        channels: {},
+        startedAt: session.playing ? at : null,
+      });
+      stamped = { type: 'brew', uid: command.uid };
+      break;
+    }
+    case 'scene': {
+      if (!session.scenes.includes(command.label)) throw sessionError(`Unknown scene "${command.label}"`);
+      const transition = checkTransition(command.transition);
+      session.scene = command.label;
+      session.channels = {};
+      stamped = { type: 'scene', label: command.label, ...(transition && { transition }) };
+      break;
+    }
+    case 'channel': {
+      if (typeof command.label !== 'string' || !command.label) throw sessionError('channel label is required');
+      const patch = {};
+      if (command.gain != null) patch.gain = checkGain(command.gain, 'gain');
+      if (command.enabled != null) patch.enabled = !!command.enabled;
+      if (Object.keys(patch).length === 0) throw sessionError('channel command needs gain or enabled');
+      session.channels = { ...session.channels, [command.label]: { ...session.channels[command.label], ...patch } };
+      stamped = { type: 'channel', label: command.label, ...patch };
+      break;
+    }
+    case 'volume':
+      session.volume = checkGain(command.value, 'volume');
+      stamped = { type: 'volume', value: session.volume };
+      break;
+  }
+
+  session.revision++;
+  session.updatedAt = now;
+  const result = { command: { ...stamped, at, revision: session.revision }, state: snapshot(session) };
+  emit(id, 'session:command', result);
+  return result;
+}
@@ -0,0 +1,100 @@
+import { vi, describe, test, expect, beforeEach } from 'vitest';
+
+const brews = {
+  1: { label: 'Tavern', scenes: [{ label: 'Quiet' }, { label: 'Busy' }] },
+  2: { label: 'Forest' },
+};
+
+vi.mock('../brew/service.mjs', () => ({
+  loadBrew: vi.fn(async (uid) => {
+    if (!brews[uid]) throw Object.assign(new Error(`Brew not found: ${uid}`), { code: 'ENOENT' });
+    return { ...brews[uid], uid };
+  }),
+}));
+
+const {
+  createSession, getSession, listSessions, deleteSession, applyCommand, setEmitSessionEvent, COMMAND_LEAD_MS,
+} = await import('./service.mjs');
+
+async function rejection(promise) {
+  try { await promise; } catch (error) { return error; }
+  return null;
+}
+
+describe('brew session service', () => {
+  let events;
+
+  beforeEach(() => {
+    events = [];
+    setEmitSessionEvent((id, event, payload) => events.push([id, event, payload]));
+    listSessions().forEach(session => deleteSession(session.id));
+    events = [];
+  });
+
+  test('creates a stopped session for a saved brew', async () => {
+    const state = await createSession(1, 1000);
+    expect(state).toMatchObject({
+      brewUid: 1, brewName: 'Tavern', scenes: ['Quiet', 'Busy'], playing: false, scene: null, channels: {}, volume: 1, revision: 0,
+    });
+    expect(state.id).toMatch(/^[A-Z2-9]{5}$/);
+    expect(getSession(state.id)).toEqual(state);
+
+    expect((await rejection(createSession(99))).status).toBe(404);
+    expect((await rejection(createSession('1'))).status).toBe(400);
+  });
+
+  test('stamps commands ahead of now and keeps the state a reconnecting listener needs', async () => {
+    const { id } = await createSession(1, 1000);
+
+    const play = await applyCommand(id, { type: 'play' }, 2000);
+    expect(play.command).toEqual({ type: 'play', at: 2000 + COMMAND_LEAD_MS, revision: 1 });
+    expect(play.state).toMatchObject({ playing: true, startedAt: 2000 + COMMAND_LEAD_MS });
+
+    await applyCommand(id, { type: 'channel', label: 'Rain', gain: 0.4 }, 3000);
+    await applyCommand(id, { type: 'scene', label: 'Busy', transition: { duration: 10 } }, 4000);
+    await applyCommand(id, { type: 'channel', label: 'Crowd', enabled: false }, 5000);
+    const { state } = await applyCommand(id, { type: 'volume', value: 0.7 }, 6000);
+
+    // The scene clears overrides made before it; later ones stay.
+    expect(state).toMatchObject({ scene: 'Busy', channels: { Crowd: { enabled: false } }, volume: 0.7, revision: 5 });
+    expect(getSession(id)).toEqual(state);
+    expect(events.map(([, event, payload]) => [event, payload.command.type])).toEqual([
+      ['session:command', 'play'], ['session:command', 'channel'], ['session:command', 'scene'],
+      ['session:command', 'channel'], ['session:command', 'volume'],
+    ]);
+
+    const switched = await applyCommand(id, { type: 'brew', uid: 2 }, 7000);
+    expect(switched.state).toMatchObject({ brewUid: 2, brewName: 'Forest', scenes: [], scene: null, channels: {}, playing: true });
+
+    const stopped = await applyCommand(id, { type: 'stop' }, 8000);
+    expect(stopped.state).toMatchObject({ playing: false, startedAt: null });
+  });
+
+  test('rejects bad commands without changing the session', async () => {
+    const { id } = await createSession(1);
+    const cases = [
+      [{ type: 'dance' }, 400, /command type must be/],
+      [{ type: 'scene', label: 'Storm' }, 400, /Unknown scene "Storm"/],
+      [{ type: 'scene', label: 'Quiet', transition: { duration: -1 } }, 400, /duration/],
+      [{ type: 'channel', label: 'Rain' }, 400, /needs gain or enabled/],
+      [{ type: 'channel', label: 'Rain', gain: 3 }, 400, /gain must be/],
+      [{ type: 'volume', value: 'loud' }, 400, /volume must be/],
+      [{ type: 'brew', uid: 99 }, 404, /Brew not found/],
+    ];
+    for (const [command, status, message] of cases) {
+      const error = await rejection(applyCommand(id, command));
+      expect(error.status).toBe(status);
+      expect(error.message).toMatch(message);
+    }
+    expect(getSession(id).revision).toBe(0);
+    expect((await rejection(applyCommand('NOPE0', { type: 'play' }))).status).toBe(404);
+  });
+
+  test('closes deleted sessions', async () => {
+    const { id } = await createSession(2);
+    expect(deleteSession(id)).toBe(true);
+    expect(deleteSession(id)).toBe(false);
+    expect(getSession(id)).toBeNull();
+    expect(events).toEqual([[id, 'session:closed', { id }]]);
+  });
+});
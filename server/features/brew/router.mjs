@@ -65,6 +65,9 @@ router.post('/api/brews', async (req, res) => {
     await saveBrew(uid, name, data);
     res.json({ success: true });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error saving brew:', error);
     res.status(500).json({ error: 'Failed to save brew' });
   }
@@ -7,6 +7,9 @@
  * UIDs are stable numeric timestamps (Date.now()) assigned on first save.
  * Existing entries without a uid are migrated automatically on the first read.
  *
+ * A brew's data may carry `scenes` (named snapshots of channel settings) and a
+ * `timeline` that steps through them; both are checked on save.
+ *
  * @module features/brew/service
  */
 import fs from 'fs';
@@ -49,6 +52,70 @@ function writeBrewData(entries) {
   fs.writeFileSync(BREW_DATA_PATH, JSON.stringify(entries, null, 2), 'utf8');
 }
 
+// ---------------------------------------------------------------------------
+// Scenes
+// ---------------------------------------------------------------------------
+
+/** Transition curves the player knows (TRANSITION_CURVES in ambient-coffee.mjs). */
+export const SCENE_CURVES = ['linear', 'ease-in', 'ease-out', 'ease-in-out', 'equal-power'];
+
+function sceneError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function checkTransition(transition, where) {
+  if (transition == null) return;
+  if (typeof transition !== 'object') throw sceneError(`${where}: transition must be an object`);
+  const { duration, curve } = transition;
+  if (duration != null && !(typeof duration === 'number' && duration >= 0)) {
+    throw sceneError(`${where}: transition duration must be a number of seconds >= 0`);
+  }
+  if (curve != null && !SCENE_CURVES.includes(curve)) {
+    throw sceneError(`${where}: unknown transition curve "${curve}"`);
+  }
+}
+
+/**
+ * Check the scenes and timeline of a brew's data.
+ *
+ * Scenes need unique, non-empty labels, a `channels` object keyed by channel
+ * label and an optional `transition`. Timeline steps must name a scene and hold
+ * for zero or more seconds. Scenes may list channels the brew no longer has;
+ * the player skips them.
+ *
+ * @param {Object} data - Brew recipe.
+ * @throws {Error} with `status` 400 describing the first problem found.
+ */
+export function validateBrewScenes(data) {
+  const scenes = data?.scenes ?? [];
+  if (!Array.isArray(scenes)) throw sceneError('scenes must be an array');
+
+  const labels = new Set();
+  scenes.forEach((scene, i) => {
+    const label = scene?.label;
+    if (typeof label !== 'string' || !label.trim()) throw sceneError(`Scene ${i + 1} needs a label`);
+    if (labels.has(label)) throw sceneError(`Duplicate scene label "${label}"`);
+    labels.add(label);
+    if (scene.channels != null && (typeof scene.channels !== 'object' || Array.isArray(scene.channels))) {
+      throw sceneError(`Scene "${label}": channels must be an object keyed by channel label`);
+    }
+    checkTransition(scene.transition, `Scene "${label}"`);
+  });
+
+  const timeline = data?.timeline;
+  if (timeline == null) return;
+  if (typeof timeline !== 'object' || !Array.isArray(timeline.steps)) {
+    throw sceneError('timeline must be an object with a steps array');
+  }
+  timeline.steps.forEach((step, i) => {
+    if (!labels.has(step?.scene)) throw sceneError(`Timeline step ${i + 1} names unknown scene "${step?.scene}"`);
+    if (step.hold != null && !(typeof step.hold === 'number' && step.hold >= 0)) {
+      throw sceneError(`Timeline step ${i + 1}: hold must be a number of seconds >= 0`);
+    }
+    checkTransition(step.transition, `Timeline step ${i + 1}`);
+  });
+}
+
 // ---------------------------------------------------------------------------
 // Public API
 // ---------------------------------------------------------------------------
@@ -86,8 +153,10 @@ export async function loadBrew(uid) {
  * @param {string} name  – display name (may differ from data.label if renamed)
  * @param {Object} data  – the full brew recipe object
  * @returns {Promise<void>}
+ * @throws {Error} with `status` 400 when the scenes or timeline are invalid
  */
 export async function saveBrew(uid, name, data) {
+  validateBrewScenes(data);
   const entries = readBrewData();
   const idx = entries.findIndex(e => e.uid === uid);
   if (idx >= 0) {
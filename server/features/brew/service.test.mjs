@@ -0,0 +1,34 @@
+import { describe, test, expect } from 'vitest';
+import { validateBrewScenes } from './service.mjs';
+
+const scene = (label, extra = {}) => ({ label, channels: { Rain: { enabled: true, gain: 0.8 } }, ...extra });
+
+describe('brew scene validation', () => {
+  test('accepts scenes with a timeline', () => {
+    expect(() => validateBrewScenes({})).not.toThrow();
+    expect(() => validateBrewScenes({
+      scenes: [scene('Calm'), scene('Storm', { transition: { duration: 300, curve: 'ease-in' } })],
+      timeline: { loop: true, steps: [{ scene: 'Calm', hold: 120 }, { scene: 'Storm', hold: 0, transition: { duration: 10 } }] },
+    })).not.toThrow();
+  });
+
+  test('rejects bad labels, transitions and timeline steps', () => {
+    const cases = [
+      [{ scenes: {} }, /scenes must be an array/],
+      [{ scenes: [scene(' ')] }, /Scene 1 needs a label/],
+      [{ scenes: [scene('Calm'), scene('Calm')] }, /Duplicate scene label "Calm"/],
+      [{ scenes: [scene('Calm', { channels: [] })] }, /channels must be an object/],
+      [{ scenes: [scene('Calm', { transition: { duration: -1 } })] }, /duration must be/],
+      [{ scenes: [scene('Calm', { transition: { curve: 'wobble' } })] }, /unknown transition curve "wobble"/],
+      [{ scenes: [scene('Calm')], timeline: { steps: {} } }, /steps array/],
+      [{ scenes: [scene('Calm')], timeline: { steps: [{ scene: 'Storm' }] } }, /unknown scene "Storm"/],
+      [{ scenes: [scene('Calm')], timeline: { steps: [{ scene: 'Calm', hold: '5' }] } }, /hold must be/],
+    ];
+    for (const [data, message] of cases) {
+      let error;
+      try { validateBrewScenes(data); } catch (e) { error = e; }
+      expect(error?.message).toMatch(message);
+      expect(error.status).toBe(400);
+    }
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Backend pool – the named ComfyUI servers generations can run on.
+ *
+ * The members come from `config.comfyuiBackends` (see
+ * getComfyUIBackendConfigs in core/service-manager.mjs); a config without it
+ * has one member, "default", at `comfyuiAPIPath`. Each backend has:
+ *
+ *   - its own WebSocket (comfyui-websocket.mjs), so progress events are
+ *     routed by backend name and prompt id;
+ *   - health state, owned by service-manager.mjs;
+ *   - capability tags such as "video" or "audio". A video or audio workflow
+ *     only runs on a backend carrying that tag; image workflows run anywhere,
+ *     and a backend without tags runs everything;
+ *   - model affinity: the workflow the queue last sent it and the base file it
+ *     last loaded. The queue prefers to give a backend more of the same
+ *     workflow, and the orchestrator frees VRAM when the base file changes;
+ *   - missing dependencies: workflows whose custom nodes or model files it
+ *     lacks (see checkWorkflowDependencies in features/workflows/service.mjs).
+ *     Those never run on it.
+ *
+ * The queue leases one backend per running item (`acquire` / `release`);
+ * generations started outside the queue use `selectBackend`.
+ *
+ * @module features/generation/backend-pool
+ */
+import { getComfyUIBackendConfigs, isComfyUIBackendHealthy } from '../../core/service-manager.mjs';
+import { loadWorkflows } from './workflow-validator.mjs';
+
+/** Workflow types that need a backend tagged with the same name. */
+const TAGGED_TYPES = ['video', 'audio'];
+
+// ---------------------------------------------------------------------------
+// State
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} Backend
+ * @property {string}   name
+ * @property {string}   apiPath      - e.g. `http://127.0.0.1:8188`
+ * @property {string[]} tags
+ * @property {boolean}  busy         - Leased to a running queue item.
+ * @property {string|null} workflow  - Workflow name of the last leased item.
+ * @property {string|null} loadedBase - Base file of the last prompt it ran.
+ */
+
+/** @type {Backend[]} */
+let backends = [];
+
+/** Map<workflow name, required tags>, rebuilt on each dispatch pass (see slots). */
+let tagsByWorkflow = null;
+
+/** Map<workflow name, Set<backend name>> of backends known to lack its dependencies. */
+let missingDependencies = new Map();
+
+/**
+ * Build the pool from the config. Must be called once at startup.
+ * @param {Object} config
+ */
+export function initializePool(config) {
+  backends = getComfyUIBackendConfigs(config).map(({ name, apiPath, tags }) => ({
+    name, apiPath, tags, busy: false, workflow: null, loadedBase: null,
+  }));
+  console.log(`ComfyUI backend pool: ${backends.map(b => `${b.name} (${b.apiPath})`).join(', ')}`);
+}
+
+// ---------------------------------------------------------------------------
+// Lookup
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {string} [name] - Omit for the first configured backend.
+ * @returns {Backend}
+ * @throws {Error} When the pool is empty or has no backend with that name.
+ */
+export function getBackend(name) {
+  const backend = name ? backends.find(b => b.name === name) : backends[0];
+  if (!backend) {
+    throw new Error(name ? `Unknown ComfyUI backend "${name}"` : 'ComfyUI backend pool not initialized');
+  }
+  return backend;
+}
+
+/** @returns {Backend[]} Every configured backend, in config order. */
+export function getBackends() {
+  return backends;
+}
+
+/**
+ * Pool state for status displays.
+ * @returns {{ name: string, apiPath: string, tags: string[], healthy: boolean, busy: boolean, workflow: string|null }[]}
+ */
+export function describeBackends() {
+  return backends.map(({ name, apiPath, tags, busy, workflow }) => ({
+    name, apiPath, tags, healthy: isComfyUIBackendHealthy(name), busy, workflow,
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// Capabilities and selection
+// ---------------------------------------------------------------------------
+
+/**
+ * Tags a backend needs to run a workflow.
+ * @param {Object|null} workflowConfig
+ * @returns {string[]}
+ */
+export function requiredTags(workflowConfig) {
+  const type = workflowConfig?.options?.type;
+  return TAGGED_TYPES.includes(type) ? [type] : [];
+}
+
+/**
+ * Whether a backend's tags allow a workflow, regardless of what it has installed.
+ * @param {Backend} backend
+ * @param {Object|null} workflowConfig
+ * @returns {boolean}
+ */
+export function hasCapabilities(backend, workflowConfig) {
+  if (backend.tags.length === 0) return true;
+  return requiredTags(workflowConfig).every(tag => backend.tags.includes(tag));
+}
+
+/**
+ * @param {Backend} backend
+ * @param {Object|null} workflowConfig
+ * @returns {boolean}
+ */
+export function canRunWorkflow(backend, workflowConfig) {
+  return hasCapabilities(backend, workflowConfig)
+    && !missingDependencies.get(workflowConfig?.name)?.has(backend.name);
+}
+
+/**
+ * Record which backends lack each workflow's dependencies. Backends not listed
+ * (including ones that were not checked) are assumed to have them.
+ * @param {Map<string, Set<string>>} map - Workflow name → backend names
+ */
+export function setMissingDependencies(map) {
+  missingDependencies = map;
+}
+
+/**
+ * Backend for a generation started outside the queue (or a nested one).
+ * Among backends that can run it, prefers a healthy, idle one that already has
+ * the workflow's base file loaded, then any healthy idle one, then any healthy one.
+ *
+ * @param {Object} workflowConfig
+ * @returns {Backend}
+ * @throws {Error} status 503 when no configured backend can run the workflow.
+ */
+export function selectBackend(workflowConfig) {
+  const capable = backends.filter(b => canRunWorkflow(b, workflowConfig));
+  if (capable.length === 0) {
+    const tagged = backends.some(b => hasCapabilities(b, workflowConfig));
+    throw Object.assign(
+      new Error(tagged
+        ? `No ComfyUI backend has the nodes and models "${workflowConfig?.name}" needs`
+        : `No ComfyUI backend is tagged to run ${requiredTags(workflowConfig).join(', ')} workflows`),
+      { status: 503 }
+    );
+  }
+  const healthy = capable.filter(b => isComfyUIBackendHealthy(b.name));
+  const idle = healthy.filter(b => !b.busy);
+  return idle.find(b => b.loadedBase && b.loadedBase === workflowConfig?.base)
+    || idle[0] || healthy[0] || capable[0];
+}
+
+/**
+ * Record the base file a backend is about to load.
+ * @param {string} name
+ * @param {string} base
+ * @returns {string|null} The base it had loaded before.
+ */
+export function markLoaded(name, base) {
+  const backend = getBackend(name);
+  const previous = backend.loadedBase;
+  backend.loadedBase = base;
+  return previous;
+}
+
+// ---------------------------------------------------------------------------
+// Queue leases (see queue/service.mjs)
+// ---------------------------------------------------------------------------
+
+/**
+ * Healthy backends the queue can dispatch to. The queue calls this at the
+ * start of each dispatch pass, so workflow edits are picked up there.
+ * @returns {{ name: string, busy: boolean, affinity: string|null }[]}
+ */
+export function slots() {
+  tagsByWorkflow = null;
+  return backends
+    .filter(b => isComfyUIBackendHealthy(b.name))
+    .map(({ name, busy, workflow }) => ({ name, busy, affinity: workflow }));
+}
+
+/**
+ * Whether a backend can run a queue item (`item.group` is its workflow name;
+ * items without one, such as LLM regeneration, run anywhere).
+ * @param {string} name
+ * @param {Object} item
+ * @returns {boolean}
+ */
+export function canRun(name, item) {
+  const backend = backends.find(b => b.name === name);
+  if (!backend) return false;
+  if (!item.group) return true;
+  if (missingDependencies.get(item.group)?.has(name)) return false;
+  if (backend.tags.length === 0) return true;
+  if (!tagsByWorkflow) {
+    tagsByWorkflow = new Map(loadWorkflows().workflows.map(w => [w.name, requiredTags(w)]));
+  }
+  return (tagsByWorkflow.get(item.group) || []).every(tag => backend.tags.includes(tag));
+}
+
+/**
+ * Lease a backend to a queue item.
+ * @param {string} name
+ * @param {string|null} group - The item's workflow name
+ */
+export function acquire(name, group) {
+  const backend = getBackend(name);
+  backend.busy = true;
+  backend.workflow = group ?? null;
+}
+
+/** @param {string} name */
+export function release(name) {
+  const backend = backends.find(b => b.name === name);
+  if (backend) backend.busy = false;
+}
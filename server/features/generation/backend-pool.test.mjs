@@ -0,0 +1,138 @@
+import { vi, describe, test, expect, beforeAll, afterAll } from 'vitest';
+import { startComfyMock, stopComfyMock } from '../../test/mocks/comfy-mock.mjs';
+
+vi.mock('./workflow-validator.mjs', () => ({
+  loadWorkflows: vi.fn(() => ({
+    workflows: [
+      { name: 'Text to Image', base: 'image.json', options: { type: 'image' } },
+      { name: 'Text to Video', base: 'video.json', options: { type: 'video' } },
+    ],
+  })),
+}));
+
+vi.mock('../queue/repository.mjs', () => ({
+  loadQueue: vi.fn(() => []),
+  saveQueue: vi.fn(),
+}));
+
+import { initializeServices, checkAndStartServices, getServiceStatus } from '../../core/service-manager.mjs';
+import * as backendPool from './backend-pool.mjs';
+import { initComfyUIWebSocket, setEmitFunctions, promptExecutionState } from '../../comfyui-websocket.mjs';
+import { createTask, setTaskPromptId, getTask, getTaskByPromptId, emitTaskCompletion } from '../../core/sse.mjs';
+import * as queueService from '../queue/service.mjs';
+
+const config = {
+  ollamaAPIPath: 'http://localhost:21434',
+  comfyuiBackends: [
+    { name: 'gpu-a', apiPath: 'http://localhost:17862', tags: ['image'] },
+    { name: 'gpu-b', apiPath: 'http://localhost:17863', tags: ['image', 'video'] },
+  ],
+};
+
+const imageWorkflow = { name: 'Text to Image', base: 'image.json', options: { type: 'image' } };
+const videoWorkflow = { name: 'Text to Video', base: 'video.json', options: { type: 'video' } };
+
+function flushAsync() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+describe('ComfyUI backend pool', () => {
+  let mockB;
+
+  beforeAll(async () => {
+    [, mockB] = await Promise.all([startComfyMock(17862), startComfyMock(17863)]);
+    initializeServices(config);
+    await checkAndStartServices();
+    backendPool.initializePool(config);
+  });
+
+  afterAll(async () => {
+    await Promise.all([stopComfyMock(17862), stopComfyMock(17863)]);
+  });
+
+  test('selects backends by capability tags and loaded base file', () => {
+    expect(getServiceStatus().comfyuiBackends).toEqual({ 'gpu-a': true, 'gpu-b': true });
+    expect(backendPool.selectBackend(videoWorkflow).name).toBe('gpu-b');
+    expect(backendPool.selectBackend(imageWorkflow).name).toBe('gpu-a');
+
+    // The backend that already has the base loaded wins while it is idle
+    expect(backendPool.markLoaded('gpu-b', 'image.json')).toBeNull();
+    expect(backendPool.selectBackend(imageWorkflow).name).toBe('gpu-b');
+    backendPool.acquire('gpu-b', 'Text to Image');
+    expect(backendPool.selectBackend(imageWorkflow).name).toBe('gpu-a');
+    backendPool.release('gpu-b');
+
+    expect(() => backendPool.selectBackend({ options: { type: 'audio' } })).toThrow(/audio/);
+    expect(() => backendPool.getBackend('gpu-c')).toThrow(/Unknown ComfyUI backend/);
+  });
+
+  test('the queue runs one item per backend, matching workflow tags', async () => {
+    const started = [];
+    queueService.initialize({
+      config: {},
+      uploadFileToComfyUI: vi.fn(),
+      backendPool,
+      executeQueuedTask: vi.fn(async (item, { backend }) => {
+        const taskId = `task-${item.name}`;
+        createTask(taskId, {});
+        started.push(`${item.name}@${backend}`);
+        return { taskId };
+      }),
+    });
+    const job = (name, workflow) => ({
+      endpointKey: 'generate', type: 'image', name, source: 'yaaiic', taskData: { workflow },
+    });
+
+    queueService.enqueue(job('video1', 'Text to Video'), { autoStart: true });
+    queueService.enqueue(job('video2', 'Text to Video'));
+    queueService.enqueue(job('image1', 'Text to Image'));
+    await flushAsync();
+
+    expect(started).toEqual(['video1@gpu-b', 'image1@gpu-a']);
+    expect(queueService.getStatus().items.map(i => i.status)).toEqual(['running', 'running', 'queued']);
+    expect(backendPool.describeBackends().map(b => b.workflow)).toEqual(['Text to Image', 'Text to Video']);
+
+    // gpu-a frees up first but cannot run video; video2 waits for gpu-b
+    emitTaskCompletion('task-image1', {});
+    await flushAsync();
+    expect(started).toHaveLength(2);
+
+    emitTaskCompletion('task-video1', {});
+    await flushAsync();
+    expect(started.at(-1)).toBe('video2@gpu-b');
+
+    emitTaskCompletion('task-video2', {});
+    await flushAsync();
+    expect(queueService.getStatus()).toMatchObject({ state: 'stopped', items: [] });
+  });
+
+  test('routes WebSocket progress by backend and prompt id', async () => {
+    const progressKeys = [];
+    setEmitFunctions({
+      emitProgressUpdate: (key) => progressKeys.push(key),
+      emitTaskCompletion: vi.fn(),
+      emitTaskError: vi.fn(),
+      logProgressEvent: vi.fn(),
+    });
+    initComfyUIWebSocket(backendPool.getBackends());
+
+    // Both mocks report the same prompt id on connect
+    await vi.waitFor(() => {
+      expect(promptExecutionState.has('gpu-a:fake-prompt-id')).toBe(true);
+      expect(promptExecutionState.has('gpu-b:fake-prompt-id')).toBe(true);
+    });
+
+    createTask('task-a', {});
+    createTask('task-b', {});
+    setTaskPromptId('task-a', 'fake-prompt-id', 'gpu-a');
+    setTaskPromptId('task-b', 'fake-prompt-id', 'gpu-b');
+
+    mockB.send({ type: 'progress', data: { prompt_id: 'fake-prompt-id', node: '3', value: 5, max: 10 } });
+    await vi.waitFor(() => expect(progressKeys).toEqual(['gpu-b:fake-prompt-id']));
+
+    expect(promptExecutionState.get('gpu-b:fake-prompt-id').progress.percentage).toBe(50);
+    expect(promptExecutionState.get('gpu-a:fake-prompt-id').progress.percentage).toBe(100);
+    expect(getTaskByPromptId('fake-prompt-id', 'gpu-b')).toBe(getTask('task-b'));
+    expect(getTaskByPromptId('fake-prompt-id', 'gpu-a')).toBe(getTask('task-a'));
+  });
+});
@@ -1,9 +1,9 @@
 /**
  * ComfyUI Client – wraps all HTTP / WebSocket communication with ComfyUI.
  *
- * This module is the single point of contact with the ComfyUI backend.
+ * This module is the single point of contact with the ComfyUI backends.
  * It consolidates:
- *   - API-path initialisation
+ *   - API-path lookup per backend (features/generation/backend-pool.mjs)
  *   - File upload (image & audio)
  *   - Prompt submission helpers
  *   - VRAM / memory management
@@ -11,6 +11,9 @@
  *   - WebSocket re-exports (CLIENT_ID, promptExecutionState, connectToComfyUI)
  *   - Important-node-type list (used for progress-step calculation)
  *
+ * Functions take an optional backend name; without one they address the
+ * first configured backend.
+ *
  * Other generation-domain modules should import from here rather than
  * reaching into generate.mjs or comfyui-websocket.mjs directly.
  *
@@ -19,37 +22,23 @@
 import FormData from 'form-data';
 import https from 'https';
 import http from 'http';
+import { getBackend, getBackends } from './backend-pool.mjs';
+import { isComfyUIBackendHealthy } from '../../core/service-manager.mjs';
 
 // Re-export WebSocket-layer exports so consumers only need this module.
 export { CLIENT_ID, promptExecutionState, connectToComfyUI } from '../../comfyui-websocket.mjs';
 
 // ---------------------------------------------------------------------------
-// State
-// ---------------------------------------------------------------------------
-
-let comfyUIAPIPath = null;
-
+// Backends
 // ---------------------------------------------------------------------------
-// Initialisation
-// ---------------------------------------------------------------------------
-
-/**
- * Store the ComfyUI API base URL (e.g. `http://127.0.0.1:8188`).
- * Must be called once at startup before any other function in this module.
- *
- * @param {string} apiPath
- */
-export function initialize(apiPath) {
-  comfyUIAPIPath = apiPath;
-  console.log('ComfyUI client initialized with API path:', apiPath);
-}
 
 /**
- * Return the stored API base URL.
- * @returns {string|null}
+ * Return the API base URL of a backend.
+ * @param {string} [backendName] - Defaults to the first configured backend.
+ * @returns {string}
  */
-export function getApiPath() {
-  return comfyUIAPIPath;
+export function getApiPath(backendName) {
+  return getBackend(backendName).apiPath;
 }
 
 // ---------------------------------------------------------------------------
@@ -85,18 +74,30 @@ export const IMPORTANT_NODE_TYPES = [
 /**
  * Upload a file buffer to ComfyUI's storage.
  *
+ * Without a backend name the file goes to every healthy backend, because
+ * files uploaded while a request is queued must be there whichever backend
+ * the queue later runs it on.
+ *
  * @param {Buffer} fileBuffer
  * @param {string} filename
  * @param {'image'|'audio'} [fileType='image']
  * @param {'input'|'output'|'temp'} [storageType='input']
  * @param {boolean} [overwrite=false]
+ * @param {string|null} [backendName=null]
  * @returns {Promise<{ success: boolean, filename: string, type: string, response: string }>}
  */
-export async function uploadFile(fileBuffer, filename, fileType = 'image', storageType = 'input', overwrite = false) {
-  if (!comfyUIAPIPath) {
-    throw new Error('ComfyUI client not initialized – call initialize() first');
+export async function uploadFile(fileBuffer, filename, fileType = 'image', storageType = 'input', overwrite = false, backendName = null) {
+  if (backendName) {
+    return uploadFileTo(getApiPath(backendName), fileBuffer, filename, fileType, storageType, overwrite);
   }
+  const healthy = getBackends().filter(b => isComfyUIBackendHealthy(b.name));
+  const targets = healthy.length > 0 ? healthy : [getBackend()];
+  const results = await Promise.all(targets.map(b => uploadFileTo(b.apiPath, fileBuffer, filename, fileType, storageType, overwrite)));
+  return results[0];
+}
 
+/** Upload to one backend (see uploadFile). */
+function uploadFileTo(comfyUIAPIPath, fileBuffer, filename, fileType, storageType, overwrite) {
   return new Promise((resolve, reject) => {
     try {
       const formData = new FormData();
@@ -119,7 +120,7 @@ export async function uploadFile(fileBuffer, filename, fileType = 'image', stora
       formData.append('type', storageType);
       formData.append('overwrite', overwrite.toString().toLowerCase());
 
-      console.log(`Uploading ${fileType} to ComfyUI: ${filename} (type: ${storageType})`);
+      console.log(`Uploading ${fileType} to ComfyUI at ${comfyUIAPIPath}: ${filename} (type: ${storageType})`);
 
       const url = new URL(`${comfyUIAPIPath}/upload/image`);
       const httpModule = url.protocol === 'https:' ? https : http;
@@ -169,10 +170,11 @@ export async function uploadFile(fileBuffer, filename, fileType = 'image', stora
 /**
  * Send an interrupt signal to ComfyUI, causing it to stop the currently
  * executing prompt as soon as possible.
+ * @param {string} [backendName] - Backend running the prompt
  */
-export async function interruptGeneration() {
-  if (!comfyUIAPIPath) return;
+export async function interruptGeneration(backendName) {
   try {
+    const comfyUIAPIPath = getApiPath(backendName);
     await fetch(`${comfyUIAPIPath}/interrupt`, { method: 'POST' });
     console.log('ComfyUI interrupt signal sent');
   } catch (error) {
@@ -186,11 +188,11 @@ export async function interruptGeneration() {
 
 /**
  * Ask ComfyUI to unload models and free VRAM.
+ * @param {string} [backendName]
  */
-export async function freeMemory() {
-  if (!comfyUIAPIPath) return;
-
+export async function freeMemory(backendName) {
   try {
+    const comfyUIAPIPath = getApiPath(backendName);
     console.log('Freeing ComfyUI memory...');
     const response = await fetch(`${comfyUIAPIPath}/free`, {
       method: 'POST',
@@ -217,14 +219,13 @@ export async function freeMemory() {
  * errors, with a configurable timeout.
  *
  * @param {string} promptId
+ * @param {string} [backendName] - Backend the prompt was sent to
  * @param {number} [maxAttempts=1800]
  * @param {number} [intervalMs=1000]
  * @returns {Promise<{ completed: boolean, error?: boolean, data: Object }>}
  */
-export async function checkPromptStatus(promptId, maxAttempts = 1800, intervalMs = 1000) {
-  if (!comfyUIAPIPath) {
-    throw new Error('ComfyUI client not initialized – call initialize() first');
-  }
+export async function checkPromptStatus(promptId, backendName, maxAttempts = 1800, intervalMs = 1000) {
+  const comfyUIAPIPath = getApiPath(backendName);
 
   for (let attempt = 0; attempt < maxAttempts; attempt++) {
     try {
@@ -0,0 +1,132 @@
+/**
+ * Inpaint masks – build, normalise and store the mask PNG for an inpaint
+ * request.
+ *
+ * Masks are grayscale PNGs the size of the source image: white is repainted,
+ * black is kept, greys (feathered edges) blend. Each mask is stored once in
+ * STORAGE_DIR as `mask_<hash>.png` and referenced from the media entry's
+ * `maskUrl`, so later inpaints can replay it and storage cleanup treats it
+ * like any other referenced file.
+ *
+ * @module features/generation/inpaint-mask
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { STORAGE_DIR } from '../../core/paths.mjs';
+
+const MASK_URL_PATTERN = /^\/media\/(mask_[0-9a-f]{16}\.png)$/;
+
+/**
+ * Render the legacy rectangle selection as a mask.
+ * @param {number} width
+ * @param {number} height
+ * @param {{ x1: number, y1: number, x2: number, y2: number }} area
+ * @returns {Promise<Buffer>} PNG
+ */
+export async function createRectangleMask(width, height, area) {
+  const left = Math.max(0, Math.round(Math.min(area.x1, area.x2)));
+  const top = Math.max(0, Math.round(Math.min(area.y1, area.y2)));
+  const rectWidth = Math.min(width - left, Math.round(Math.abs(area.x2 - area.x1)));
+  const rectHeight = Math.min(height - top, Math.round(Math.abs(area.y2 - area.y1)));
+  if (rectWidth <= 0 || rectHeight <= 0) {
+    throw Object.assign(new Error('inpaintArea is empty or outside the image'), { status: 400 });
+  }
+
+  const pixels = Buffer.alloc(width * height);
+  for (let y = top; y < top + rectHeight; y++) {
+    pixels.fill(255, y * width + left, y * width + left + rectWidth);
+  }
+  return sharp(pixels, { raw: { width, height, channels: 1 } }).png().toBuffer();
+}
+
+/**
+ * Convert an uploaded mask to a grayscale PNG matching the image size.
+ * Transparent pixels count as black, so a painted layer exported with
+ * alpha works as well as a flattened black/white image.
+ *
+ * @param {Buffer} buffer - Uploaded mask (any format sharp reads)
+ * @param {number} width
+ * @param {number} height
+ * @returns {Promise<Buffer>} PNG
+ */
+export async function normalizeMask(buffer, width, height) {
+  try {
+    return await sharp(buffer)
+      .flatten({ background: '#000000' })
+      .resize(width, height, { fit: 'fill' })
+      .toColourspace('b-w')
+      .png()
+      .toBuffer();
+  } catch (error) {
+    throw Object.assign(new Error(`Mask is not a readable image: ${error.message}`), { status: 400 });
+  }
+}
+
+/**
+ * Store a mask PNG in STORAGE_DIR, named by content so identical masks share a file.
+ * @param {Buffer} png
+ * @returns {{ filename: string, maskUrl: string }}
+ */
+export function saveMask(png) {
+  const hash = crypto.createHash('sha256').update(png).digest('hex').slice(0, 16);
+  const filename = `mask_${hash}.png`;
+  const filePath = path.join(STORAGE_DIR, filename);
+  if (!fs.existsSync(filePath)) {
+    fs.mkdirSync(STORAGE_DIR, { recursive: true });
+    fs.writeFileSync(filePath, png);
+  }
+  return { filename, maskUrl: `/media/${filename}` };
+}
+
+/**
+ * Read a stored mask by its `maskUrl`.
+ * @param {string} maskUrl
+ * @returns {Buffer}
+ */
+export function readStoredMask(maskUrl) {
+  const match = MASK_URL_PATTERN.exec(maskUrl || '');
+  if (!match) {
+    throw Object.assign(new Error(`Invalid maskUrl: ${maskUrl}`), { status: 400 });
+  }
+  const filePath = path.join(STORAGE_DIR, match[1]);
+  if (!fs.existsSync(filePath)) {
+    throw Object.assign(new Error(`Mask not found: ${maskUrl}`), { status: 404 });
+  }
+  return fs.readFileSync(filePath);
+}
+
+/**
+ * Resolve the mask for an inpaint request from, in order of preference, an
+ * uploaded file, a stored `maskUrl` or an `inpaintArea` rectangle, and store it.
+ *
+ * @param {Object} sources
+ * @param {Buffer} sources.image - Source image (for its size)
+ * @param {Buffer} [sources.maskFile] - Uploaded mask
+ * @param {string} [sources.maskUrl] - Previously stored mask to replay
+ * @param {{ x1: number, y1: number, x2: number, y2: number }} [sources.inpaintArea]
+ * @returns {Promise<{ png: Buffer, filename: string, maskUrl: string }>}
+ */
+export async function resolveInpaintMask({ image, maskFile, maskUrl, inpaintArea }) {
+  let width;
+  let height;
+  try {
+    ({ width, height } = await sharp(image).metadata());
+  } catch (error) {
+    throw Object.assign(new Error(`Image is not readable: ${error.message}`), { status: 400 });
+  }
+
+  let png;
+  if (maskFile) {
+    png = await normalizeMask(maskFile, width, height);
+  } else if (maskUrl) {
+    png = await normalizeMask(readStoredMask(maskUrl), width, height);
+  } else if (inpaintArea) {
+    png = await createRectangleMask(width, height, inpaintArea);
+  } else {
+    throw Object.assign(new Error('Provide a mask file, a maskUrl or an inpaintArea'), { status: 400 });
+  }
+
+  return { png, ...saveMask(png) };
+}
@@ -0,0 +1,58 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import sharp from 'sharp';
+
+// ── Mocks ────────────────────────────────────────────────────────────────────
+
+const tmp = vi.hoisted(() => ({ dir: '' }));
+
+vi.mock('../../core/paths.mjs', () => ({
+  get STORAGE_DIR() { return `${tmp.dir}/storage`; },
+}));
+
+import { resolveInpaintMask, readStoredMask } from './inpaint-mask.mjs';
+
+const image = () => sharp({ create: { width: 4, height: 2, channels: 3, background: '#808080' } }).png().toBuffer();
+const pixels = async (png) => [...(await sharp(png).extractChannel(0).raw().toBuffer())];
+
+beforeEach(() => {
+  tmp.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inpaint-mask-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmp.dir, { recursive: true, force: true });
+});
+
+describe('resolveInpaintMask', () => {
+  it('renders an inpaintArea rectangle when no mask is uploaded', async () => {
+    const mask = await resolveInpaintMask({ image: await image(), inpaintArea: { x1: 3, y1: 0, x2: 1, y2: 1 } });
+
+    expect(mask.maskUrl).toMatch(/^\/media\/mask_[0-9a-f]{16}\.png$/);
+    expect(await pixels(mask.png)).toEqual([0, 255, 255, 0, 0, 0, 0, 0]);
+    expect(fs.existsSync(path.join(tmp.dir, 'storage', mask.filename))).toBe(true);
+  });
+
+  it('flattens and resizes an uploaded mask to one channel, sharing the file with identical masks', async () => {
+    // 2x1 RGBA: left transparent (kept), right opaque white (repainted); stretched to 4x2
+    const upload = await sharp(Buffer.from([0, 0, 0, 0, 255, 255, 255, 255]), { raw: { width: 2, height: 1, channels: 4 } }).png().toBuffer();
+    const mask = await resolveInpaintMask({ image: await image(), maskFile: upload });
+
+    const values = await pixels(mask.png);
+    expect(values).toHaveLength(8);
+    expect([values[0], values[3], values[4], values[7]]).toEqual([0, 255, 0, 255]);
+
+    const replay = await resolveInpaintMask({ image: await image(), maskUrl: mask.maskUrl });
+    expect(replay.maskUrl).toBe(mask.maskUrl);
+    expect(fs.readdirSync(path.join(tmp.dir, 'storage'))).toEqual([mask.filename]);
+  });
+
+  it('rejects missing, empty and unknown masks with a 400/404 status', async () => {
+    await expect(resolveInpaintMask({ image: await image() })).rejects.toMatchObject({ status: 400 });
+    await expect(resolveInpaintMask({ image: await image(), inpaintArea: { x1: 9, y1: 9, x2: 12, y2: 12 } }))
+      .rejects.toMatchObject({ status: 400, message: 'inpaintArea is empty or outside the image' });
+    expect(() => readStoredMask('/media/../secrets.png')).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => readStoredMask('/media/mask_0123456789abcdef.png')).toThrow(expect.objectContaining({ status: 404 }));
+  });
+});
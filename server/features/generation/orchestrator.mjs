@@ -8,10 +8,12 @@
  */
 import fs from 'fs';
 import path from 'path';
-import { connectToComfyUI, CLIENT_ID } from '../../comfyui-websocket.mjs';
+import { connectToComfyUI, CLIENT_ID, freeMemory, checkPromptStatus } from './comfy-client.mjs';
+import { getBackend, selectBackend, markLoaded } from './backend-pool.mjs';
+import { markComfyUIBackendDown } from '../../core/service-manager.mjs';
 import { setObjectPathValue, checkExecutionCondition, findNextIndex } from '../../util.mjs';
 
-import { PROCESS_HANDLERS } from './processors/index.mjs';
+import { runProcessor } from './processors/index.mjs';
 import {
   generateTaskId,
   createTask,
@@ -25,23 +27,23 @@ import {
   deleteTask,
   resetProgressLog
 } from '../../core/sse.mjs';
-import { modifyDataWithPrompt, resetPromptLog } from '../../core/llm.mjs';
+import { modifyDataWithPrompt, resetPromptLog, getPromptTaskTargets } from '../../core/llm.mjs';
 import { COMFYUI_WORKFLOWS_DIR, STORAGE_DIR, LOGS_DIR, SERVER_DIR } from '../../core/paths.mjs';
 import { loadWorkflows } from './workflow-validator.mjs';
-import { findMediaByUid, getAllMediaData, saveMediaData } from '../../core/database.mjs';
+import {
+  storeBaseWorkflow, loadBaseWorkflow, changedFields, recordReplacement,
+  collectInputs, buildRecipe, applyRecipeReplacements
+} from './recipe.mjs';
+import { findMediaByUid, updateMediaEntry } from '../../core/database.mjs';
+import { embedEntryMetadata } from '../media/embedded-metadata.mjs';
 import { randomUUID } from 'crypto';
 import { getAllCharacters, saveCharacter, updateCharacterField, updateOutfitField, addTrackToGenre, setPlayIntroImageUrl } from '../anytale/service.mjs';
+import { recordDraftSound } from '../brew-draft/service.mjs';
 
 // ---------------------------------------------------------------------------
 // Module state
 // ---------------------------------------------------------------------------
 
-/** ComfyUI HTTP API base URL (set via {@link initializeOrchestrator}). */
-let comfyUIAPIPath = null;
-
-/** Track the last used workflow to manage VRAM. */
-let lastUsedWorkflow = null;
-
 /** Function to add a new media-data entry (set via {@link setAddMediaDataEntry}). */
 let addMediaDataEntry = null;
 
@@ -74,15 +76,6 @@ const IMPORTANT_NODE_TYPES = [
 // Initialization helpers (called from server.mjs)
 // ---------------------------------------------------------------------------
 
-/**
- * Set the ComfyUI API base URL for this module.
- * @param {string} apiPath - e.g. `http://127.0.0.1:8188`
- */
-export function initializeOrchestrator(apiPath) {
-  comfyUIAPIPath = apiPath;
-  console.log('Orchestrator initialized with ComfyUI API path:', apiPath);
-}
-
 /**
  * Provide the database-entry callback.
  * @param {Function} func - `addMediaDataEntry` from `core/database.mjs`.
@@ -95,72 +88,29 @@ export function setAddMediaDataEntry(func) {
 // Private helpers
 // ---------------------------------------------------------------------------
 
-/** Free VRAM on the ComfyUI server. */
-async function freeComfyUIMemory() {
-  if (!comfyUIAPIPath) return;
-
-  try {
-    console.log('Freeing ComfyUI memory...');
-    const response = await fetch(`${comfyUIAPIPath}/free`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ unload_models: true, free_memory: true })
-    });
-
-    if (!response.ok) {
-      console.warn(`Failed to free ComfyUI memory: ${response.status} ${response.statusText}`);
-    } else {
-      console.log('ComfyUI memory freed successfully');
-    }
-  } catch (error) {
-    console.error('Error freeing ComfyUI memory:', error);
-  }
+/**
+ * Backend a task runs on: the one recorded on the task (the queue's lease, or
+ * the parent's for a nested run), otherwise the best available one for the
+ * workflow. The choice is recorded on the task for nested runs and cancels.
+ * @param {string} taskId
+ * @param {Object} workflowConfig
+ * @returns {import('./backend-pool.mjs').Backend}
+ */
+function resolveTaskBackend(taskId, workflowConfig) {
+  const assigned = getTask(taskId)?.backend;
+  const backend = assigned ? getBackend(assigned) : selectBackend(workflowConfig);
+  updateTask(taskId, { backend: backend.name });
+  return backend;
 }
 
 /**
- * Poll the ComfyUI `/history` endpoint until the prompt completes or errors.
- * @param {string} promptId
- * @param {number} [maxAttempts=1800]
- * @param {number} [intervalMs=1000]
- * @returns {Promise<{completed: boolean, error?: boolean, data?: Object}>}
+ * Outputs are written by ComfyUI straight into STORAGE_DIR, so a backend on
+ * another host only works when it shares that folder at the same path.
+ * @param {import('./backend-pool.mjs').Backend} backend
+ * @returns {string} Hint to append to a missing-output error
  */
-export async function checkPromptStatus(promptId, maxAttempts = 1800, intervalMs = 1000) {
-  if (!comfyUIAPIPath) {
-    throw new Error('Orchestrator not initialized – ComfyUI API path not available');
-  }
-
-  for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    try {
-      const response = await fetch(`${comfyUIAPIPath}/history/${promptId}`);
-
-      if (!response.ok) {
-        throw new Error(`History request failed: ${response.status}`);
-      }
-
-      const history = await response.json();
-
-      if (history[promptId]) {
-        const promptData = history[promptId];
-
-        if (promptData.status && promptData.status.completed) {
-          console.log(`Prompt ${promptId} completed successfully`);
-          return { completed: true, data: promptData };
-        }
-
-        if (promptData.status && promptData.status.status_str === 'error') {
-          console.log(`Prompt ${promptId} failed with error`);
-          return { completed: false, error: true, data: promptData };
-        }
-      }
-
-      await new Promise(resolve => setTimeout(resolve, intervalMs));
-    } catch (error) {
-      console.error(`Error checking prompt status (attempt ${attempt + 1}):`, error);
-      await new Promise(resolve => setTimeout(resolve, intervalMs));
-    }
-  }
-
-  throw new Error(`Prompt ${promptId} did not complete within ${maxAttempts * intervalMs / 1000} seconds`);
+function sharedStorageHint(backend) {
+  return ` (backend "${backend.name}" must write to this server's storage folder at the same path)`;
 }
 
 /**
@@ -281,6 +231,10 @@ export async function handleMediaGeneration(req, res, workflowConfig, serverConf
  * @param {Object}  serverConfig
  * @param {boolean} [silent=false] - If true, skip database entry (nested workflows).
  * @param {Function} uploadFileToComfyUI - File-upload helper (injected).
+ *
+ * When `requestData.recipe` is set (see features/generation/recipe.mjs) the
+ * run replays it: pre-generation tasks are skipped and the recorded base
+ * graph and replacements are used instead of the current workflow files.
  */
 export async function processGenerationTask(taskId, requestData, workflowConfig, serverConfig, silent = false, uploadFileToComfyUI) {
   try {
@@ -289,7 +243,7 @@ export async function processGenerationTask(taskId, requestData, workflowConfig,
 
     // Load fresh from disk so any edits made via the workflow editor are reflected.
     const workflowsData = loadWorkflows();
-    const { seed, workflow, imagePath, maskPath, inpaint, inpaintArea } = requestData;
+    const { seed, workflow, imagePath, maskPath, inpaint, inpaintArea, recipe: replay } = requestData;
     const { ollamaAPIPath } = serverConfig;
 
     // Create generationData as a copy of requestData
@@ -306,9 +260,14 @@ export async function processGenerationTask(taskId, requestData, workflowConfig,
       generationData.type = (type === 'inpaint') ? 'image' : type;
     }
 
+    const backend = resolveTaskBackend(taskId, workflowConfig);
+    // Uploads made during the run go to the backend that will read them
+    const uploadToBackend = uploadFileToComfyUI && ((buffer, filename, fileType, storageType, overwrite) =>
+      uploadFileToComfyUI(buffer, filename, fileType, storageType, overwrite, backend.name));
+
     // Ensure ComfyUI WebSocket connection is fresh/active
-    console.log(`Refreshing ComfyUI WebSocket connection for task ${taskId}...`);
-    connectToComfyUI(true);
+    console.log(`Refreshing ComfyUI WebSocket connection to backend "${backend.name}" for task ${taskId}...`);
+    connectToComfyUI(true, backend.name);
 
     // Small delay to allow connection to stabilize
     await new Promise(resolve => setTimeout(resolve, 500));
@@ -338,18 +297,25 @@ export async function processGenerationTask(taskId, requestData, workflowConfig,
       }
     }
 
-    // Check if workflow has changed and free memory if needed
-    if (lastUsedWorkflow && lastUsedWorkflow !== workflowBasePath) {
-      console.log(`Workflow changed from ${lastUsedWorkflow} to ${workflowBasePath}. Freeing memory...`);
-      await freeComfyUIMemory();
+    // Free the backend's memory if it last ran a different workflow
+    const previousBase = markLoaded(backend.name, workflowBasePath);
+    if (previousBase && previousBase !== workflowBasePath) {
+      console.log(`Workflow on backend "${backend.name}" changed from ${previousBase} to ${workflowBasePath}. Freeing memory...`);
+      await freeMemory(backend.name);
     }
 
-    // Update last used workflow
-    lastUsedWorkflow = workflowBasePath;
-
-    // Load the ComfyUI workflow
-    const workflowPath = path.join(COMFYUI_WORKFLOWS_DIR, workflowBasePath);
-    let workflowData = JSON.parse(fs.readFileSync(workflowPath, 'utf8'));
+    // Load the ComfyUI workflow (a replay uses the version its recipe recorded)
+    let workflowData;
+    let baseHash;
+    if (replay) {
+      workflowData = loadBaseWorkflow(replay.baseHash);
+      if (!workflowData) throw new Error(`Recorded workflow version ${replay.baseHash} is no longer stored`);
+      baseHash = replay.baseHash;
+    } else {
+      const workflowPath = path.join(COMFYUI_WORKFLOWS_DIR, workflowBasePath);
+      workflowData = JSON.parse(fs.readFileSync(workflowPath, 'utf8'));
+      baseHash = storeBaseWorkflow(workflowData);
+    }
 
     // storagePath: absolute path to /storage folder
     generationData.storagePath = STORAGE_DIR;
@@ -362,7 +328,7 @@ export async function processGenerationTask(taskId, requestData, workflowConfig,
     let totalSteps = 1;
 
     // Calculate total steps using the dynamic calculation
-    const stepCalc = calculateTotalSteps(preGenerationTasks, workflowData, postGenerationTasks);
+    const stepCalc = calculateTotalSteps(replay ? [] : preGenerationTasks, workflowData, postGenerationTasks);
     totalSteps = stepCalc.totalSteps;
     const preGenCount = stepCalc.preGenCount;
     const importantNodeCount = stepCalc.importantNodeCount;
@@ -385,7 +351,10 @@ export async function processGenerationTask(taskId, requestData, workflowConfig,
     // -----------------------------------------------------------------------
     // PRE-GENERATION TASKS
     // -----------------------------------------------------------------------
-    if (preGenerationTasks && Array.isArray(preGenerationTasks) && preGenerationTasks.length > 0) {
+    // Snapshot for the recipe; a replay already carries the recorded outputs
+    const beforePreTasks = JSON.parse(JSON.stringify(generationData));
+
+    if (!replay && preGenerationTasks && Array.isArray(preGenerationTasks) && preGenerationTasks.length > 0) {
       console.log(`Processing ${preGenerationTasks.length} pre-generation tasks...`);
 
       const storagePath = STORAGE_DIR;
@@ -420,22 +389,17 @@ export async function processGenerationTask(taskId, requestData, workflowConfig,
 
             emitProgressUpdate(taskId, { percentage, value: currentStep, max: totalSteps }, stepName + '...');
 
-            const handler = PROCESS_HANDLERS[taskConfig.process];
-            if (!handler) {
-              throw new Error(`Unknown process handler: ${taskConfig.process}`);
-            }
-
             const saveImagePath = generationData.saveImagePath || '';
-            const context = { storagePath, saveImagePath, workflowsData, serverConfig, uploadFileToComfyUI, generateTaskId, createTask, getTask, processGenerationTask };
+            const context = { storagePath, saveImagePath, mediaType: options?.type, workflowsData, serverConfig, uploadFileToComfyUI: uploadToBackend, backend: backend.name, generateTaskId, createTask, getTask, processGenerationTask };
 
-            await handler(taskConfig.parameters || {}, generationData, context);
+            await runProcessor(taskConfig.process, taskConfig.parameters || {}, generationData, context);
 
             currentStep++;
             const completionPercentage = Math.round((currentStep / totalSteps) * 100);
             emitProgressUpdate(taskId, { percentage: completionPercentage, value: currentStep, max: totalSteps }, stepName + ' complete');
           } else if (hasPrompt) {
             const percentage = Math.round((currentStep / totalSteps) * 100);
-            const stepName = taskConfig.name || `Generating ${taskConfig.to}`;
+            const stepName = taskConfig.name || `Generating ${getPromptTaskTargets(taskConfig).join(', ')}`;
 
             emitProgressUpdate(taskId, { percentage, value: currentStep, max: totalSteps }, stepName + '...');
 
@@ -524,7 +488,20 @@ export async function processGenerationTask(taskId, requestData, workflowConfig,
     // -----------------------------------------------------------------------
     // APPLY WORKFLOW MODIFICATIONS
     // -----------------------------------------------------------------------
-    if (modifications && Array.isArray(modifications)) {
+    const appliedReplacements = [];
+    if (replay) {
+      // Inputs may have been cleared from ComfyUI since; upload them again from storage
+      for (const { filename, type: inputType } of replay.inputs || []) {
+        const inputPath = path.join(STORAGE_DIR, filename);
+        if (!fs.existsSync(inputPath)) {
+          console.warn(`Recipe input ${filename} is missing from storage; relying on the ComfyUI copy`);
+          continue;
+        }
+        await uploadToBackend(fs.readFileSync(inputPath), filename, inputType, 'input', true);
+      }
+      workflowData = applyRecipeReplacements(workflowData, replay.replacements, generationData);
+      appliedReplacements.push(...replay.replacements);
+    } else if (modifications && Array.isArray(modifications)) {
       modifications.forEach(mod => {
         if (mod.condition) {
           const dataSources = {
@@ -553,10 +530,20 @@ export async function processGenerationTask(taskId, requestData, workflowConfig,
 
         if (value !== undefined && to && Array.isArray(to)) {
           workflowData = setObjectPathValue(workflowData, to, value);
+          appliedReplacements.push(recordReplacement(mod, value));
         }
       });
     }
 
+    const recipe = buildRecipe({
+      workflow,
+      base: replay ? replay.base : workflowBasePath,
+      baseHash,
+      replacements: appliedReplacements,
+      preTaskOutputs: replay ? replay.preTaskOutputs : changedFields(beforePreTasks, generationData),
+      inputs: replay ? replay.inputs : collectInputs(generationData),
+    });
+
     // Write the modified workflow to logs for debugging
     if (!fs.existsSync(LOGS_DIR)) {
       fs.mkdirSync(LOGS_DIR, { recursive: true });
@@ -570,14 +557,15 @@ export async function processGenerationTask(taskId, requestData, workflowConfig,
     // -----------------------------------------------------------------------
     let comfyResponse;
     try {
-      comfyResponse = await fetch(`${comfyUIAPIPath}/prompt`, {
+      comfyResponse = await fetch(`${backend.apiPath}/prompt`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ prompt: workflowData, client_id: CLIENT_ID })
       });
     } catch (err) {
       if (err.cause?.code === 'ECONNREFUSED') {
-        throw new Error(`Cannot connect to ComfyUI at ${comfyUIAPIPath}`);
+        markComfyUIBackendDown(backend.name);
+        throw new Error(`Cannot connect to ComfyUI backend "${backend.name}" at ${backend.apiPath}`);
       }
       throw err;
     }
@@ -594,10 +582,10 @@ export async function processGenerationTask(taskId, requestData, workflowConfig,
       throw new Error('No prompt_id received from ComfyUI');
     }
 
-    setTaskPromptId(taskId, promptId);
-    console.log(`Task ${taskId} linked to prompt ${promptId}, waiting for completion...`);
+    setTaskPromptId(taskId, promptId, backend.name);
+    console.log(`Task ${taskId} linked to prompt ${promptId} on backend "${backend.name}", waiting for completion...`);
 
-    const statusResult = await checkPromptStatus(promptId);
+    const statusResult = await checkPromptStatus(promptId, backend.name);
 
     if (statusResult.error) {
       throw new Error('ComfyUI generation failed');
@@ -648,7 +636,7 @@ export async function processGenerationTask(taskId, requestData, workflowConfig,
           };
           const shouldExecute = checkExecutionCondition(dataSources, taskConfig.condition);
           if (!shouldExecute) {
-            const taskName = taskConfig.name || (hasProcess ? `process ${taskConfig.process}` : `prompt to ${taskConfig.to}`);
+            const taskName = taskConfig.name || (hasProcess ? `process ${taskConfig.process}` : `prompt to ${getPromptTaskTargets(taskConfig).join(', ')}`);
             console.log(`Skipping post-generation task ${taskName} due to unmet condition`);
             if (shouldCount) {
               currentStep++;
@@ -664,14 +652,9 @@ export async function processGenerationTask(taskId, requestData, workflowConfig,
 
             emitProgressUpdate(taskId, { percentage, value: currentStep, max: totalSteps }, stepName + '...');
 
-            const handler = PROCESS_HANDLERS[taskConfig.process];
-            if (!handler) {
-              throw new Error(`Unknown process handler: ${taskConfig.process}`);
-            }
-
-            const context = { storagePath, saveImagePath, workflowsData, serverConfig, uploadFileToComfyUI, generateTaskId, createTask, getTask, processGenerationTask };
+            const context = { storagePath, saveImagePath, mediaType: options?.type, workflowsData, serverConfig, uploadFileToComfyUI: uploadToBackend, backend: backend.name, generateTaskId, createTask, getTask, processGenerationTask };
 
-            await handler(taskConfig.parameters || {}, generationData, context);
+            await runProcessor(taskConfig.process, taskConfig.parameters || {}, generationData, context);
 
             currentStep++;
             const completionPercentage = Math.round((currentStep / totalSteps) * 100);
@@ -680,7 +663,7 @@ export async function processGenerationTask(taskId, requestData, workflowConfig,
             const percentage = Math.round((currentStep / totalSteps) * 100);
             const stepName = taskConfig.name || (taskConfig.to === 'description'
               ? `Analyzing Image`
-              : `Generating ${taskConfig.to}`);
+              : `Generating ${getPromptTaskTargets(taskConfig).join(', ')}`);
 
             emitProgressUpdate(taskId, { percentage, value: currentStep, max: totalSteps }, stepName + '...');
 
@@ -707,13 +690,16 @@ export async function processGenerationTask(taskId, requestData, workflowConfig,
             console.error(`Post-generation process task failed:`, error.message);
             throw error;
           } else if (hasPrompt) {
-            console.warn(`Failed to process prompt for ${taskConfig.to}:`, error.message);
-            postGenErrors.push({ field: taskConfig.to, error: error.message });
-
-            if (!generationData[taskConfig.to]) {
-              generationData[taskConfig.to] = taskConfig.to === 'description'
-                ? 'Image analysis unavailable'
-                : 'Generated Content';
+            const targets = getPromptTaskTargets(taskConfig);
+            console.warn(`Failed to process prompt for ${targets.join(', ')}:`, error.message);
+            for (const field of targets) {
+              postGenErrors.push({ field, error: error.message });
+
+              if (!generationData[field]) {
+                generationData[field] = field === 'description'
+                  ? 'Image analysis unavailable'
+                  : 'Generated Content';
+              }
             }
             currentStep++;
           } else {
@@ -736,7 +722,7 @@ export async function processGenerationTask(taskId, requestData, workflowConfig,
 
     if (isAudio && generationData.saveAudioPath) {
       if (!fs.existsSync(generationData.saveAudioPath)) {
-        throw new Error(`Generated audio file not found at: ${generationData.saveAudioPath}`);
+        throw new Error(`Generated audio file not found at: ${generationData.saveAudioPath}${sharedStorageHint(backend)}`);
       }
       if (!fs.existsSync(generationData.saveImagePath)) {
         delete generationData.saveImagePath;
@@ -746,7 +732,7 @@ export async function processGenerationTask(taskId, requestData, workflowConfig,
       console.log(`Audio file generated successfully at: ${generationData.saveAudioPath}`);
     } else {
       if (!fs.existsSync(generationData.saveImagePath)) {
-        throw new Error(`Generated image file not found at: ${generationData.saveImagePath}`);
+        throw new Error(`Generated image file not found at: ${generationData.saveImagePath}${sharedStorageHint(backend)}`);
       }
       console.log(`Image generated successfully`);
     }
@@ -761,6 +747,7 @@ export async function processGenerationTask(taskId, requestData, workflowConfig,
     generationData.inpaint = inpaint || false;
     generationData.inpaintArea = inpaintArea || null;
     generationData.timeTaken = timeTaken;
+    generationData.recipe = recipe;
 
     if (!generationData.description) generationData.description = '';
     if (!generationData.summary) generationData.summary = '';
@@ -782,6 +769,12 @@ export async function processGenerationTask(taskId, requestData, workflowConfig,
       }
     }
 
+    // Write name, prompt, seed, etc. into the output files so they survive
+    // sharing and re-import (nested workflow outputs are intermediates)
+    if (!silent) {
+      await embedEntryMetadata(generationData);
+    }
+
     // Save to database (skip if silent mode / nested workflow)
     if (!silent && addMediaDataEntry) {
       addMediaDataEntry(generationData);
@@ -828,15 +821,23 @@ export async function processGenerationTask(taskId, requestData, workflowConfig,
 
 /**
  * Execute a fully-formed queue record through the generation pipeline.
- * Called by queue/service.mjs._runNext().
+ * Called by queue/service.mjs when it dispatches the item.
  *
+ * @param {Object} queueItem
+ * @param {Object} deps
+ * @param {Object} deps.config
+ * @param {Function} deps.uploadFileToComfyUI
+ * @param {string} [deps.backend] - ComfyUI backend the queue leased to the item
  * @returns {{ taskId: string }}
  */
-export async function executeQueuedTask(queueItem, { config, uploadFileToComfyUI }) {
+export async function executeQueuedTask(queueItem, { config, uploadFileToComfyUI, backend = null }) {
   const { endpointKey, taskData } = queueItem;
 
   if (endpointKey === 'regenerate') {
-    return _runRegenerateTask(taskData, config, uploadFileToComfyUI);
+    return _runRegenerateTask(taskData, config, uploadFileToComfyUI, backend);
+  }
+  if (endpointKey === 'image-upscale') {
+    return _runUpscaleTask(taskData, config, uploadFileToComfyUI, backend);
   }
 
   const comfyuiWorkflows = loadWorkflows();
@@ -859,6 +860,7 @@ export async function executeQueuedTask(queueItem, { config, uploadFileToComfyUI
 
   const { taskId } = initializeGenerationTask(taskData, workflowData, config);
 
+  if (backend) updateTask(taskId, { backend });
   if (taskData.entityType) updateTask(taskId, { entityType: taskData.entityType });
   if (taskData.requestOrigin) updateTask(taskId, { requestOrigin: taskData.requestOrigin });
   if (taskData.characterUid) updateTask(taskId, { characterUid: taskData.characterUid });
@@ -896,6 +898,15 @@ export async function executeQueuedTask(queueItem, { config, uploadFileToComfyUI
         };
         try { addTrackToGenre(taskData.genreUid, track); } catch { /* genre may have been deleted */ }
       }
+      if (endpointKey === 'brew-draft-sound' && taskData.brewDraft) {
+        return recordDraftSound(taskData.brewDraft.id, taskData.brewDraft.sound, { audioUrl: result?.audioUrl });
+      }
+    }, error => {
+      // A failed sound still counts towards its draft, which assembles without it
+      if (endpointKey === 'brew-draft-sound' && taskData.brewDraft) {
+        return recordDraftSound(taskData.brewDraft.id, taskData.brewDraft.sound, { error: error.message });
+      }
+      throw error;
     })
     .catch(err => console.error(`[queue] executeQueuedTask(${endpointKey}) post-processing failed:`, err));
 
@@ -905,18 +916,18 @@ export async function executeQueuedTask(queueItem, { config, uploadFileToComfyUI
 /**
  * Run the regenerate pipeline (LLM-only, no ComfyUI) from a queue item.
  */
-async function _runRegenerateTask(taskData, config, uploadFileToComfyUI) {
+async function _runRegenerateTask(taskData, config, uploadFileToComfyUI, backend) {
   const { uid, fields, albumArt } = taskData;
 
   resetPromptLog();
 
   const taskId = `regenerate-${uid}-${Date.now()}`;
-  createTask(taskId, { type: 'regenerate', uid, fields });
+  createTask(taskId, { type: 'regenerate', uid, fields, backend });
 
-  const mediaIndex = getAllMediaData().findIndex(m => m.uid === uid);
-  if (mediaIndex === -1) throw new Error(`Media entry ${uid} not found`);
+  const existing = findMediaByUid(uid);
+  if (!existing) throw new Error(`Media entry ${uid} not found`);
 
-  const imageEntry = { ...getAllMediaData()[mediaIndex] };
+  const imageEntry = { ...existing };
 
   if (imageEntry.imageUrl) {
     const filename = imageEntry.imageUrl.replace(/^\/media\//, '');
@@ -938,13 +949,11 @@ async function _runRegenerateTask(taskData, config, uploadFileToComfyUI) {
           seed: Math.floor(Math.random() * 4294967295),
         };
         const { taskId: innerTaskId } = initializeGenerationTask(requestData, albumWorkflow, config);
+        if (backend) updateTask(innerTaskId, { backend });
         const completionData = await processGenerationTask(innerTaskId, requestData, albumWorkflow, config, true, uploadFileToComfyUI);
 
         // Update media entry
-        const allData = getAllMediaData();
-        const entry = allData[allData.findIndex(m => m.uid === uid)];
-        if (entry) entry.imageUrl = completionData.imageUrl;
-        saveMediaData();
+        const entry = updateMediaEntry(uid, { imageUrl: completionData.imageUrl });
 
         const { saveImagePath: _sip, saveAudioPath: _sap, ...forClient } = entry || imageEntry;
         emitTaskCompletion(taskId, {
@@ -958,22 +967,27 @@ async function _runRegenerateTask(taskData, config, uploadFileToComfyUI) {
         let completed = 0;
         const total = fields.length;
 
+        // A structured task fills several fields in one call: run each task
+        // once and copy back only the fields that were asked for
+        const taskFields = new Map();
         for (const field of fields) {
-          const task = postGenTasks.find(t => t.to === field);
+          const task = postGenTasks.find(t => getPromptTaskTargets(t).includes(field));
           if (!task) { completed++; continue; }
+          if (!taskFields.has(task)) taskFields.set(task, []);
+          taskFields.get(task).push(field);
+        }
 
-          emitProgressUpdate(taskId, { percentage: Math.round(completed / total * 100), value: completed, max: total }, `Regenerating ${field}...`);
-          await modifyDataWithPrompt(task, imageEntry);
-          completed++;
+        for (const [task, taskTargets] of taskFields) {
+          emitProgressUpdate(taskId, { percentage: Math.round(completed / total * 100), value: completed, max: total }, `Regenerating ${taskTargets.join(', ')}...`);
+          const result = await modifyDataWithPrompt(task, { ...imageEntry });
+          for (const field of taskTargets) imageEntry[field] = result[field];
+          completed += taskTargets.length;
         }
 
         // Persist
-        const allData = getAllMediaData();
-        const entryInDb = allData[allData.findIndex(m => m.uid === uid)];
-        if (entryInDb) Object.assign(entryInDb, imageEntry);
-        saveMediaData();
-
         const { saveImagePath, ...forClient } = imageEntry;
+        updateMediaEntry(uid, forClient);
+
         emitTaskCompletion(taskId, { ...forClient, maxValue: total, message: 'Regeneration complete' });
       }
     } catch (err) {
@@ -983,3 +997,77 @@ async function _runRegenerateTask(taskData, config, uploadFileToComfyUI) {
 
   return { taskId };
 }
+
+/** Text fields handed to the upscale workflow alongside the image. */
+const UPSCALE_TEXT_FIELDS = ['name', 'description', 'summary', 'tags', 'prompt'];
+
+/**
+ * Upscale a gallery image through a ComfyUI workflow (queued by
+ * features/image-ops). The workflow runs as an `executeWorkflow` hand-off with
+ * the image as input 0; its output becomes a new entry linked to the source.
+ */
+async function _runUpscaleTask(taskData, config, uploadFileToComfyUI, backend) {
+  const { uid, workflow } = taskData;
+
+  const taskId = `upscale-${uid}-${Date.now()}`;
+  createTask(taskId, { type: 'upscale', uid, workflow, requestOrigin: 'yaaiic', backend });
+
+  const source = findMediaByUid(uid);
+  if (!source) throw new Error(`Media entry ${uid} not found`);
+
+  const sourcePath = path.join(STORAGE_DIR, path.basename(source.imageUrl || ''));
+  const generationData = { ...source, saveImagePath: sourcePath };
+  const startTime = Date.now();
+
+  (async () => {
+    try {
+      emitProgressUpdate(taskId, { percentage: 0, value: 0, max: 1 }, `Upscaling with ${workflow}...`);
+
+      // The image is uploaded to, and the workflow runs on, the same backend
+      const workflowsData = loadWorkflows();
+      const upscaleBackend = backend || selectBackend(workflowsData.workflows.find(w => w.name === workflow)).name;
+      const context = {
+        storagePath: STORAGE_DIR, saveImagePath: sourcePath, mediaType: 'image',
+        workflowsData, serverConfig: config,
+        uploadFileToComfyUI: (buffer, filename, fileType, storageType, overwrite) =>
+          uploadFileToComfyUI(buffer, filename, fileType, storageType, overwrite, upscaleBackend),
+        backend: upscaleBackend, generateTaskId, createTask, getTask, processGenerationTask,
+      };
+      await runProcessor('executeWorkflow', {
+        workflow,
+        inputMapping: [
+          { image: 'generated', toMediaInput: 0 },
+          ...UPSCALE_TEXT_FIELDS.map(field => ({ from: field, to: field })),
+        ],
+      }, generationData, context);
+
+      if (generationData.saveImagePath === sourcePath) {
+        throw new Error(`Workflow '${workflow}' did not produce an image`);
+      }
+
+      const entry = addMediaDataEntry({
+        name: source.name,
+        description: source.description,
+        summary: source.summary,
+        tags: source.tags,
+        prompt: source.prompt,
+        seed: source.seed,
+        workflow: source.workflow,
+        extraInputs: structuredClone(source.extraInputs ?? {}),
+        type: 'image',
+        imageUrl: generationData.imageUrl,
+        imageFormat: path.extname(generationData.saveImagePath).slice(1).toLowerCase(),
+        orientation: source.orientation,
+        origin: source.uid,
+        imageOps: [{ op: 'upscale', workflow }],
+        timeTaken: Math.round((Date.now() - startTime) / 1000),
+      });
+
+      emitTaskCompletion(taskId, { ...entry, maxValue: 1, message: 'Upscale complete' });
+    } catch (err) {
+      emitTaskErrorByTaskId(taskId, `Upscale failed: ${err.message}`);
+    }
+  })();
+
+  return { taskId };
+}
@@ -0,0 +1,99 @@
+import { vi, describe, test, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startComfyMock, stopComfyMock } from '../../test/mocks/comfy-mock.mjs';
+
+// ── Mocks ────────────────────────────────────────────────────────────────────
+
+const tmp = vi.hoisted(() => ({ dir: '' }));
+const comfy = vi.hoisted(() => ({ mocks: {} }));
+
+vi.mock('../../core/paths.mjs', async (importOriginal) => ({
+  ...await importOriginal(),
+  get STORAGE_DIR() { return path.join(tmp.dir, 'storage'); },
+  get LOGS_DIR() { return path.join(tmp.dir, 'logs'); },
+  get COMFYUI_WORKFLOWS_DIR() { return path.join(tmp.dir, 'workflows'); },
+  get WORKFLOW_HISTORY_DIR() { return path.join(tmp.dir, 'workflow-history'); },
+}));
+
+// ComfyUI "runs" the prompt by writing the file named in its SaveImage node
+vi.mock('./comfy-client.mjs', () => ({
+  CLIENT_ID: 'test-client',
+  connectToComfyUI: vi.fn(),
+  freeMemory: vi.fn(async () => {}),
+  checkPromptStatus: vi.fn(async (_promptId, backend) => {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const { prompt } = comfy.mocks[backend].prompts.at(-1);
+    fs.writeFileSync(prompt['9'].inputs.filename_prefix, `rendered by ${backend}`);
+    return { success: true };
+  }),
+}));
+
+vi.mock('./processors/index.mjs', () => ({ runProcessor: vi.fn() }));
+vi.mock('./workflow-validator.mjs', () => ({ loadWorkflows: vi.fn(() => ({ workflows: [] })) }));
+vi.mock('../../core/llm.mjs', () => ({
+  modifyDataWithPrompt: vi.fn(),
+  resetPromptLog: vi.fn(),
+  getPromptTaskTargets: vi.fn(() => []),
+}));
+vi.mock('../../core/database.mjs', () => ({ findMediaByUid: vi.fn(), updateMediaEntry: vi.fn() }));
+vi.mock('../media/embedded-metadata.mjs', () => ({ embedEntryMetadata: vi.fn(async () => {}) }));
+vi.mock('../anytale/service.mjs', () => ({}));
+vi.mock('../brew-draft/service.mjs', () => ({ recordDraftSound: vi.fn() }));
+
+import * as backendPool from './backend-pool.mjs';
+import { createTask } from '../../core/sse.mjs';
+import { processGenerationTask, setAddMediaDataEntry } from './orchestrator.mjs';
+
+const config = {
+  comfyuiBackends: [
+    { name: 'gpu-a', apiPath: 'http://localhost:17864' },
+    { name: 'gpu-b', apiPath: 'http://localhost:17865' },
+  ],
+};
+
+const workflowConfig = {
+  base: 'image.json',
+  options: { type: 'image' },
+  replace: [{ from: 'saveImagePath', to: ['9', 'inputs', 'filename_prefix'] }],
+};
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('generation orchestrator', () => {
+  beforeAll(async () => {
+    tmp.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'orchestrator-test-'));
+    fs.mkdirSync(path.join(tmp.dir, 'workflows'));
+    fs.writeFileSync(path.join(tmp.dir, 'workflows', 'image.json'), JSON.stringify({
+      9: { class_type: 'SaveImage', inputs: { images: ['8', 0], filename_prefix: '' } },
+    }));
+    [comfy.mocks['gpu-a'], comfy.mocks['gpu-b']] = await Promise.all([startComfyMock(17864), startComfyMock(17865)]);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    backendPool.initializePool(config);
+  });
+
+  afterAll(async () => {
+    vi.restoreAllMocks();
+    await Promise.all([stopComfyMock(17864), stopComfyMock(17865)]);
+    fs.rmSync(tmp.dir, { recursive: true, force: true });
+  });
+
+  test('parallel runs on two backends get their own output files', async () => {
+    const entries = [];
+    setAddMediaDataEntry(entry => entries.push(entry));
+    createTask('task-a', { backend: 'gpu-a' });
+    createTask('task-b', { backend: 'gpu-b' });
+
+    const request = { workflow: 'Text to Image', seed: 1, imageFormat: 'png' };
+    await Promise.all([
+      processGenerationTask('task-a', { ...request, name: 'a' }, workflowConfig, config),
+      processGenerationTask('task-b', { ...request, name: 'b' }, workflowConfig, config),
+    ]);
+
+    const urls = entries.map(e => e.imageUrl);
+    expect(new Set(urls).size).toBe(2);
+    const contents = entries.map(e => fs.readFileSync(e.saveImagePath, 'utf8'));
+    expect(contents.sort()).toEqual(['rendered by gpu-a', 'rendered by gpu-b']);
+  });
+});
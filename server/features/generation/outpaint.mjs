@@ -0,0 +1,200 @@
+/**
+ * Outpaint – extend an image's canvas and build the matching inpaint mask.
+ *
+ * The source is padded on the chosen sides (filled from its edge pixels by
+ * default, which gives the sampler colours to continue from), and the mask
+ * marks the new area white. `overlap` pixels of the original along each
+ * extended edge are repainted too, and a further `feather` pixels blend from
+ * white to black so the seam disappears. The result then runs through the
+ * ordinary inpaint workflows.
+ *
+ * @module features/generation/outpaint
+ */
+import sharp from 'sharp';
+
+export const OUTPAINT_DEFAULTS = { overlap: 32, feather: 32, fill: 'edge' };
+
+/** Largest width or height an outpainted canvas may reach. */
+export const MAX_OUTPAINT_SIZE = 4096;
+
+// Diffusion models work on 8-pixel latent blocks
+const SIZE_MULTIPLE = 8;
+
+const SIDES = ['left', 'right', 'top', 'bottom'];
+
+const FILL_MODES = {
+  edge: { extendWith: 'copy' },
+  mirror: { extendWith: 'mirror' },
+  blank: { extendWith: 'background', background: '#808080' },
+};
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Parse an aspect ratio written as "16:9", "16/9" or a number.
+ * @param {string|number} value
+ * @returns {number} width / height
+ */
+export function parseAspectRatio(value) {
+  if (typeof value === 'number') {
+    if (value > 0 && Number.isFinite(value)) return value;
+  } else {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*[:/x]\s*(\d+(?:\.\d+)?)\s*$/.exec(String(value ?? ''));
+    if (match && Number(match[1]) > 0 && Number(match[2]) > 0) return Number(match[1]) / Number(match[2]);
+    const ratio = Number(value);
+    if (ratio > 0 && Number.isFinite(ratio)) return ratio;
+  }
+  throw badRequest(`Invalid aspectRatio: ${value}`);
+}
+
+// Split `total` between two sides; anchor 'start' keeps the image at the start
+function split(total, anchor) {
+  if (anchor === 'start') return [0, total];
+  if (anchor === 'end') return [total, 0];
+  const before = Math.floor(total / 2);
+  return [before, total - before];
+}
+
+/**
+ * Padding that extends the image on each side. Either pass explicit pixel
+ * amounts or an aspect ratio to reach; with an aspect ratio the image is
+ * placed by `anchor` ('center', 'left', 'right', 'top' or 'bottom' – the side
+ * the image stays against). Each extended dimension is rounded up to a
+ * multiple of 8.
+ *
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {Object} options
+ * @param {{ left?: number, right?: number, top?: number, bottom?: number }} [options.padding]
+ * @param {string|number} [options.aspectRatio]
+ * @param {string} [options.anchor='center']
+ * @returns {{ left: number, right: number, top: number, bottom: number }}
+ */
+export function computeOutpaintPadding(width, height, { padding, aspectRatio, anchor = 'center' } = {}) {
+  let result;
+  if (aspectRatio !== undefined && aspectRatio !== null && aspectRatio !== '') {
+    const ratio = parseAspectRatio(aspectRatio);
+    result = { left: 0, right: 0, top: 0, bottom: 0 };
+    if (ratio > width / height) {
+      const extra = Math.round(height * ratio) - width;
+      [result.left, result.right] = split(extra, anchor === 'left' ? 'start' : anchor === 'right' ? 'end' : 'center');
+    } else {
+      const extra = Math.round(width / ratio) - height;
+      [result.top, result.bottom] = split(extra, anchor === 'top' ? 'start' : anchor === 'bottom' ? 'end' : 'center');
+    }
+  } else {
+    result = {};
+    for (const side of SIDES) {
+      const value = Number(padding?.[side] ?? 0);
+      if (!Number.isInteger(value) || value < 0) {
+        throw badRequest(`padding.${side} must be a non-negative integer`);
+      }
+      result[side] = value;
+    }
+  }
+
+  // Round extended dimensions up to the latent block size, adding to the far side
+  const roundUp = (size, before, after) => {
+    if (before + after === 0) return [before, after];
+    const extra = (SIZE_MULTIPLE - ((size + before + after) % SIZE_MULTIPLE)) % SIZE_MULTIPLE;
+    return after > 0 || before === 0 ? [before, after + extra] : [before + extra, after];
+  };
+  [result.left, result.right] = roundUp(width, result.left, result.right);
+  [result.top, result.bottom] = roundUp(height, result.top, result.bottom);
+
+  if (SIDES.every(side => result[side] === 0)) {
+    throw badRequest('Outpaint needs padding on at least one side');
+  }
+  const finalWidth = width + result.left + result.right;
+  const finalHeight = height + result.top + result.bottom;
+  if (finalWidth > MAX_OUTPAINT_SIZE || finalHeight > MAX_OUTPAINT_SIZE) {
+    throw badRequest(`Outpainted size ${finalWidth}x${finalHeight} exceeds ${MAX_OUTPAINT_SIZE}px`);
+  }
+  return result;
+}
+
+/**
+ * Mask for a padded canvas: white outside the kept part of the original,
+ * fading to black over `feather` pixels inside it.
+ *
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {{ left: number, right: number, top: number, bottom: number }} padding
+ * @param {{ overlap: number, feather: number }} options
+ * @returns {Promise<Buffer>} PNG the size of the padded canvas
+ */
+export async function createOutpaintMask(width, height, padding, { overlap, feather }) {
+  const canvasWidth = width + padding.left + padding.right;
+  const canvasHeight = height + padding.top + padding.bottom;
+
+  // Kept rectangle: the original, pulled in by `overlap` on extended sides
+  const inset = (side, size) => (padding[side] > 0 ? Math.min(overlap, size) : 0);
+  const keptLeft = padding.left + inset('left', width);
+  const keptRight = padding.left + width - inset('right', width);
+  const keptTop = padding.top + inset('top', height);
+  const keptBottom = padding.top + height - inset('bottom', height);
+
+  const pixels = Buffer.alloc(canvasWidth * canvasHeight, 255);
+  for (let y = keptTop; y < keptBottom; y++) {
+    for (let x = keptLeft; x < keptRight; x++) {
+      // Distance to the nearest extended edge of the kept rectangle
+      let distance = Infinity;
+      if (padding.left > 0) distance = Math.min(distance, x - keptLeft);
+      if (padding.right > 0) distance = Math.min(distance, keptRight - 1 - x);
+      if (padding.top > 0) distance = Math.min(distance, y - keptTop);
+      if (padding.bottom > 0) distance = Math.min(distance, keptBottom - 1 - y);
+      pixels[y * canvasWidth + x] = distance < feather
+        ? Math.round(255 * (1 - (distance + 1) / (feather + 1)))
+        : 0;
+    }
+  }
+  return sharp(pixels, { raw: { width: canvasWidth, height: canvasHeight, channels: 1 } }).png().toBuffer();
+}
+
+/**
+ * Pad an image for outpainting and build its mask.
+ *
+ * @param {Buffer} image - Source image
+ * @param {Object} options
+ * @param {{ left?: number, right?: number, top?: number, bottom?: number }} [options.padding]
+ * @param {string|number} [options.aspectRatio] - Alternative to `padding`
+ * @param {string} [options.anchor='center']
+ * @param {number} [options.overlap=32] - Pixels of the original repainted along extended edges
+ * @param {number} [options.feather=32] - Pixels blended beyond the overlap
+ * @param {'edge'|'mirror'|'blank'} [options.fill='edge'] - How the new area is pre-filled
+ * @returns {Promise<{ image: Buffer, mask: Buffer, outpaint: Object }>} Padded PNG, mask PNG
+ *   and the settings used (padding plus overlap, feather and fill) for the media entry
+ */
+export async function createOutpaintInputs(image, { padding, aspectRatio, anchor, overlap, feather, fill } = {}) {
+  let metadata;
+  try {
+    metadata = await sharp(image).metadata();
+  } catch (error) {
+    throw badRequest(`Image is not readable: ${error.message}`);
+  }
+
+  const settings = {
+    overlap: overlap ?? OUTPAINT_DEFAULTS.overlap,
+    feather: feather ?? OUTPAINT_DEFAULTS.feather,
+    fill: fill || OUTPAINT_DEFAULTS.fill,
+  };
+  for (const key of ['overlap', 'feather']) {
+    if (!Number.isInteger(settings[key]) || settings[key] < 0) {
+      throw badRequest(`${key} must be a non-negative integer`);
+    }
+  }
+  if (!FILL_MODES[settings.fill]) {
+    throw badRequest(`fill must be one of: ${Object.keys(FILL_MODES).join(', ')}`);
+  }
+
+  const { width, height } = metadata;
+  const sides = computeOutpaintPadding(width, height, { padding, aspectRatio, anchor });
+
+  const padded = await sharp(image)
+    .extend({ ...sides, ...FILL_MODES[settings.fill] })
+    .png()
+    .toBuffer();
+  const mask = await createOutpaintMask(width, height, sides, settings);
+
+  return { image: padded, mask, outpaint: { ...sides, ...settings } };
+}
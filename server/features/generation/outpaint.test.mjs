@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import sharp from 'sharp';
+import { computeOutpaintPadding, createOutpaintInputs, parseAspectRatio } from './outpaint.mjs';
+
+const column = async (png, x) => {
+  const { data, info } = await sharp(png).extractChannel(0).raw().toBuffer({ resolveWithObject: true });
+  return Array.from({ length: info.height }, (_, y) => data[y * info.width + x]);
+};
+
+describe('computeOutpaintPadding', () => {
+  it('reaches an aspect ratio around the chosen anchor', () => {
+    expect(computeOutpaintPadding(512, 768, { aspectRatio: '16:9' })).toEqual({ left: 426, right: 430, top: 0, bottom: 0 });
+    expect(computeOutpaintPadding(512, 768, { aspectRatio: '3/2', anchor: 'left' })).toEqual({ left: 0, right: 640, top: 0, bottom: 0 });
+    expect(computeOutpaintPadding(768, 512, { aspectRatio: 1, anchor: 'bottom' })).toEqual({ left: 0, right: 0, top: 256, bottom: 0 });
+    expect(parseAspectRatio('21x9')).toBeCloseTo(21 / 9);
+  });
+
+  it('rounds extended sides up to a multiple of 8 and rejects bad input', () => {
+    expect(computeOutpaintPadding(100, 100, { padding: { left: 10, top: 3 } })).toEqual({ left: 12, right: 0, top: 4, bottom: 0 });
+    expect(() => computeOutpaintPadding(100, 100, { padding: { left: -1 } })).toThrow('padding.left must be a non-negative integer');
+    expect(() => computeOutpaintPadding(100, 100, {})).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => computeOutpaintPadding(4000, 100, { padding: { right: 200 } })).toThrow(/exceeds 4096px/);
+    expect(() => parseAspectRatio('wide')).toThrow('Invalid aspectRatio: wide');
+  });
+});
+
+describe('createOutpaintInputs', () => {
+  it('pads from the edge pixels and masks the new area with overlap and feathering', async () => {
+    const image = await sharp({ create: { width: 8, height: 16, channels: 3, background: '#ff0000' } }).png().toBuffer();
+    const result = await createOutpaintInputs(image, { padding: { top: 8 }, overlap: 2, feather: 3 });
+
+    expect(result.outpaint).toEqual({ left: 0, right: 0, top: 8, bottom: 0, overlap: 2, feather: 3, fill: 'edge' });
+    expect(await sharp(result.image).metadata()).toMatchObject({ width: 8, height: 24 });
+    expect((await column(result.image, 0))[0]).toBe(255);
+
+    // 8 new rows + 2 overlap rows are white, then 3 blended rows, then black
+    expect(await column(result.mask, 4)).toEqual([
+      ...Array(10).fill(255), 191, 128, 64, ...Array(11).fill(0),
+    ]);
+  });
+
+  it('rejects unknown fill modes', async () => {
+    const image = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#000' } }).png().toBuffer();
+    await expect(createOutpaintInputs(image, { padding: { left: 8 }, fill: 'noise' }))
+      .rejects.toMatchObject({ status: 400, message: 'fill must be one of: edge, mirror, blank' });
+  });
+});
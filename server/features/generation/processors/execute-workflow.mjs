@@ -23,6 +23,8 @@ import path from 'path';
  * @param {Object}   context.workflowsData        - Parsed comfyui-workflows.json.
  * @param {Object}   context.serverConfig          - Server configuration.
  * @param {Function} context.uploadFileToComfyUI   - File upload helper.
+ * @param {string}   [context.backend]             - ComfyUI backend of the parent run;
+ *   the nested workflow runs there too, next to the files uploaded for it.
  * @param {Function} context.generateTaskId        - SSE task-id generator.
  * @param {Function} context.createTask            - SSE task creator.
  * @param {Function} context.getTask               - SSE task getter.
@@ -38,7 +40,7 @@ export async function executeWorkflow(parameters, generationData, context) {
   console.log(`[Process] Executing nested workflow: ${targetWorkflowName}`);
 
   const {
-    workflowsData, serverConfig,
+    workflowsData, serverConfig, backend,
     uploadFileToComfyUI, generateTaskId, createTask, getTask,
     processGenerationTask
   } = context;
@@ -175,7 +177,8 @@ export async function executeWorkflow(parameters, generationData, context) {
     workflow: targetWorkflowName,
     promptId: null,
     requestData: nestedRequestData,
-    workflowConfig: targetWorkflow
+    workflowConfig: targetWorkflow,
+    backend
   });
 
   try {
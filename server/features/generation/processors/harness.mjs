@@ -0,0 +1,61 @@
+/**
+ * harness – Run a processor against a fixture media file without ComfyUI.
+ *
+ * The fixture is copied into a scratch folder that stands in for both the
+ * storage folder and the output path, so a processor sees the same
+ * `generationData` / `context` shape it gets after a real generation. Used by
+ * processor tests and `scripts/run-processor.mjs`.
+ *
+ * @module features/generation/processors/harness
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runProcessor } from './index.mjs';
+
+const MEDIA_TYPE_BY_EXTENSION = {
+  png: 'image', jpg: 'image', jpeg: 'image', webp: 'image', gif: 'image',
+  mp4: 'video', webm: 'video', mov: 'video',
+  mp3: 'audio', wav: 'audio', ogg: 'audio', flac: 'audio',
+};
+
+/**
+ * @param {string} name - Processor name
+ * @param {string} fixturePath - Media file to process (left untouched)
+ * @param {Object} [options]
+ * @param {Object} [options.parameters={}] - Task parameters
+ * @param {Object} [options.generationData={}] - Extra generation data fields
+ * @param {string} [options.mediaType] - Workflow type (default: from the fixture extension)
+ * @param {string} [options.workDir] - Scratch folder (default: a new temp folder)
+ * @returns {Promise<{ generationData: Object, outputPath: string, workDir: string }>}
+ *   The caller owns `workDir` and should remove it when done.
+ */
+export async function runProcessorOnFixture(name, fixturePath, { parameters = {}, generationData = {}, mediaType, workDir } = {}) {
+  if (!fs.existsSync(fixturePath)) {
+    throw new Error(`Fixture not found: ${fixturePath}`);
+  }
+  const extension = path.extname(fixturePath).slice(1).toLowerCase();
+  const type = mediaType || MEDIA_TYPE_BY_EXTENSION[extension];
+  if (!type) {
+    throw new Error(`Cannot tell the media type of "${fixturePath}"; pass options.mediaType`);
+  }
+
+  const dir = workDir || fs.mkdtempSync(path.join(os.tmpdir(), 'processor-harness-'));
+  fs.mkdirSync(dir, { recursive: true });
+  const outputPath = path.join(dir, `output.${extension}`);
+  fs.copyFileSync(fixturePath, outputPath);
+
+  const data = {
+    imageFormat: extension,
+    ...(type === 'audio' ? { saveAudioPath: outputPath } : { saveImagePath: outputPath }),
+    ...generationData,
+  };
+  const context = {
+    storagePath: dir,
+    saveImagePath: data.saveImagePath || '',
+    mediaType: type,
+  };
+
+  await runProcessor(name, parameters, data, context);
+  return { generationData: data, outputPath, workDir: dir };
+}
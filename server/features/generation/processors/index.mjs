@@ -1,26 +1,322 @@
 /**
  * Processor registry – maps process names (as they appear in
- * `comfyui-workflows.json`) to their handler functions.
+ * `comfyui-workflows.json`) to processor descriptors.
  *
  * Each handler has the signature:
  *   (parameters, generationData, context) => Promise<void>
  *
- * New processors can be added here by importing the handler and registering it
- * in the `PROCESS_HANDLERS` map.
+ * Built-in processors are registered below. User processors are discovered
+ * from `server/plugins/processors/` at startup (see `loadProcessorPlugins`):
+ * every `*.mjs` file, or folder with an `index.mjs`, exports
+ *
+ *   name        – process name used in workflow tasks
+ *   handler     – the handler function
+ *   schema      – JSON schema for `parameters` (rendered as a form in the editor)
+ *   mediaTypes  – workflow types it supports ('image', 'video', 'audio', 'inpaint')
+ *   label?, description?, timeout? (ms, default 2 minutes)
+ *
+ * either as named exports or as one default export object. Plugin handlers
+ * run in a worker thread (see `plugin-worker.mjs`) that is terminated when
+ * their timeout expires, so a hung plugin fails its task instead of the queue.
  *
  * @module features/generation/processors
  */
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { Worker } from 'worker_threads';
+import { PROCESSOR_PLUGINS_DIR } from '../../../core/paths.mjs';
+import { validateJsonSchema, checkJsonSchema } from '../../../core/json-schema.mjs';
 import { extractOutputMediaFromTextFile } from './extract-output-media.mjs';
 import { crossfadeVideoFrames } from './crossfade.mjs';
 import { crossfadeAudioClip } from './crossfade-audio.mjs';
 import { extractOutputTexts } from './extract-output-texts.mjs';
 import { executeWorkflow } from './execute-workflow.mjs';
 
-/** @type {Record<string, (params, genData, ctx) => Promise<void>>} */
-export const PROCESS_HANDLERS = {
-  extractOutputMediaFromTextFile,
-  crossfadeVideoFrames,
-  crossfadeAudioClip,
-  extractOutputTexts,
-  executeWorkflow,
-};
+export const MEDIA_TYPES = ['image', 'video', 'audio', 'inpaint'];
+
+/** Timeout for plugin handlers that do not declare their own */
+export const DEFAULT_PLUGIN_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * @typedef {Object} ProcessorDescriptor
+ * @property {string} name
+ * @property {string} label
+ * @property {string} [description]
+ * @property {(params: Object, genData: Object, ctx: Object) => Promise<void>} handler
+ * @property {Object} schema - JSON schema for the task's `parameters`
+ * @property {string[]} mediaTypes
+ * @property {number|null} timeout - Milliseconds, or null for no limit
+ * @property {boolean} builtIn
+ * @property {string} [source] - Plugin file path
+ * @property {string} [moduleUrl] - URL the plugin was imported from; the worker imports the same one
+ */
+
+/** @type {ProcessorDescriptor[]} */
+const BUILT_IN_PROCESSORS = [
+  {
+    name: 'extractOutputMediaFromTextFile',
+    label: 'Extract output media from text file',
+    description: 'Copy the file whose path ComfyUI wrote to a text file into the output path.',
+    handler: extractOutputMediaFromTextFile,
+    schema: {
+      type: 'object',
+      properties: { filename: { type: 'string', title: 'Filename', minLength: 1 } },
+      required: ['filename'],
+    },
+    mediaTypes: ['image', 'video', 'audio'],
+  },
+  {
+    name: 'crossfadeVideoFrames',
+    label: 'Crossfade video frames',
+    description: 'Blend the last frames into the first ones so the video loops.',
+    handler: crossfadeVideoFrames,
+    schema: {
+      type: 'object',
+      properties: { blendFrames: { type: 'integer', title: 'Blend frames', default: 10 } },
+    },
+    mediaTypes: ['video'],
+  },
+  {
+    name: 'crossfadeAudioClip',
+    label: 'Crossfade audio clip',
+    description: 'Blend the tail of the clip into its head so it loops.',
+    handler: crossfadeAudioClip,
+    schema: {
+      type: 'object',
+      properties: { blendDuration: { type: 'number', title: 'Blend duration (seconds)', default: 3 } },
+    },
+    mediaTypes: ['audio'],
+  },
+  {
+    name: 'extractOutputTexts',
+    label: 'Extract output texts',
+    description: 'Read `<property>.txt` files from storage into generation data.',
+    handler: extractOutputTexts,
+    schema: {
+      type: 'object',
+      properties: { properties: { type: 'array', title: 'Properties', items: { type: 'string' }, default: [] } },
+      required: ['properties'],
+    },
+    mediaTypes: ['image', 'video', 'audio', 'inpaint'],
+  },
+  {
+    name: 'executeWorkflow',
+    label: 'Execute workflow',
+    description: 'Run another workflow as a nested generation.',
+    handler: executeWorkflow,
+    schema: {
+      type: 'object',
+      properties: {
+        workflow: { type: 'string', minLength: 1 },
+        inputMapping: { type: 'array', items: { type: 'object' } },
+        outputMapping: { type: 'array', items: { type: 'object' } },
+      },
+      required: ['workflow'],
+    },
+    mediaTypes: ['image', 'video', 'audio', 'inpaint'],
+  },
+].map(processor => ({ ...processor, timeout: null, builtIn: true }));
+
+/** @type {Map<string, ProcessorDescriptor>} */
+const registry = new Map(BUILT_IN_PROCESSORS.map(processor => [processor.name, processor]));
+
+/** Plugins that failed to load: `{ source, error }` */
+let pluginErrors = [];
+
+// ---------------------------------------------------------------------------
+// Plugin loading
+// ---------------------------------------------------------------------------
+
+/**
+ * Check a plugin module's exports and build its descriptor.
+ * @param {Object} exports - Module namespace (or its default export)
+ * @param {string} source
+ * @param {string} moduleUrl
+ * @returns {ProcessorDescriptor}
+ */
+function toDescriptor(exports, source, moduleUrl) {
+  const { name, label, description, handler, schema, mediaTypes, timeout } = exports;
+  const problems = [];
+  if (typeof name !== 'string' || !/^[A-Za-z][\w-]*$/.test(name)) problems.push('"name" must be an identifier-like string');
+  if (typeof handler !== 'function') problems.push('"handler" must be a function');
+  problems.push(...checkJsonSchema(schema, 'schema'));
+  if (!Array.isArray(mediaTypes) || mediaTypes.length === 0 || !mediaTypes.every(type => MEDIA_TYPES.includes(type))) {
+    problems.push(`"mediaTypes" must list one or more of: ${MEDIA_TYPES.join(', ')}`);
+  }
+  if (timeout !== undefined && !(Number.isFinite(timeout) && timeout > 0)) problems.push('"timeout" must be a positive number of milliseconds');
+  if (problems.length > 0) throw new Error(problems.join('; '));
+
+  return {
+    name,
+    label: label || name,
+    description: description || '',
+    handler,
+    schema,
+    mediaTypes,
+    timeout: timeout ?? DEFAULT_PLUGIN_TIMEOUT_MS,
+    builtIn: false,
+    source,
+    moduleUrl,
+  };
+}
+
+/**
+ * Discover processor plugins and register them next to the built-ins.
+ * Replaces plugins from an earlier call; a plugin that fails to import or
+ * validate is skipped and reported by `listProcessors()`.
+ *
+ * @param {string} [dir=PROCESSOR_PLUGINS_DIR]
+ * @returns {Promise<{ loaded: string[], errors: { source: string, error: string }[] }>}
+ */
+export async function loadProcessorPlugins(dir = PROCESSOR_PLUGINS_DIR) {
+  for (const [name, processor] of registry) {
+    if (!processor.builtIn) registry.delete(name);
+  }
+  pluginErrors = [];
+  const loaded = [];
+
+  const entries = fs.existsSync(dir) ? fs.readdirSync(dir, { withFileTypes: true }) : [];
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    let source = null;
+    if (entry.isFile() && entry.name.endsWith('.mjs')) source = path.join(dir, entry.name);
+    if (entry.isDirectory() && fs.existsSync(path.join(dir, entry.name, 'index.mjs'))) source = path.join(dir, entry.name, 'index.mjs');
+    if (!source) continue;
+
+    try {
+      // Cache-bust so a reload picks up edited plugins
+      const url = `${pathToFileURL(source).href}?t=${fs.statSync(source).mtimeMs}`;
+      const mod = await import(url);
+      const descriptor = toDescriptor(mod.default ?? mod, source, url);
+      if (registry.has(descriptor.name)) {
+        throw new Error(`processor "${descriptor.name}" is already registered`);
+      }
+      registry.set(descriptor.name, descriptor);
+      loaded.push(descriptor.name);
+    } catch (error) {
+      console.error(`[Process] Failed to load processor plugin ${source}:`, error.message);
+      pluginErrors.push({ source, error: error.message });
+    }
+  }
+
+  if (loaded.length > 0) console.log(`[Process] Loaded processor plugin(s): ${loaded.join(', ')}`);
+  return { loaded, errors: [...pluginErrors] };
+}
+
+// ---------------------------------------------------------------------------
+// Lookup & execution
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {string} name
+ * @returns {ProcessorDescriptor|undefined}
+ */
+export function getProcessor(name) {
+  return registry.get(name);
+}
+
+/**
+ * Processors for the workflow editor, without their handlers.
+ * @returns {{ processors: Object[], errors: { source: string, error: string }[] }}
+ */
+export function listProcessors() {
+  const processors = [...registry.values()].map(({ handler: _handler, source: _source, moduleUrl: _moduleUrl, ...rest }) => rest);
+  return { processors, errors: [...pluginErrors] };
+}
+
+/**
+ * Validate task parameters (and the workflow type, if given) for a processor.
+ * @param {string} name
+ * @param {Object} parameters
+ * @param {string} [mediaType] - Workflow `options.type`
+ * @param {string} [label='parameters'] - Prefix for messages
+ * @returns {string[]} Error messages (empty = valid)
+ */
+export function validateProcessorTask(name, parameters, mediaType, label = 'parameters') {
+  const processor = registry.get(name);
+  if (!processor) return [`Unknown process handler: ${name}`];
+  const errors = validateJsonSchema(parameters ?? {}, processor.schema, label);
+  if (mediaType && !processor.mediaTypes.includes(mediaType)) {
+    errors.push(`Processor "${name}" does not support ${mediaType} workflows (supports: ${processor.mediaTypes.join(', ')})`);
+  }
+  return errors;
+}
+
+/**
+ * Run a plugin handler in its own worker thread.
+ * @param {ProcessorDescriptor} processor
+ * @param {Object} parameters
+ * @param {Object} generationData
+ * @param {Object} context
+ * @returns {Promise<Object>} The handler's copy of `generationData`
+ */
+function runInWorker(processor, parameters, generationData, context) {
+  // Functions cannot cross the thread boundary; plugins get the plain-data part of the context
+  const pluginContext = Object.fromEntries(Object.entries(context ?? {}).filter(([, value]) => typeof value !== 'function'));
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./plugin-worker.mjs', import.meta.url), {
+      workerData: { moduleUrl: processor.moduleUrl, parameters, generationData, context: pluginContext },
+    });
+    let settled = false;
+    const settle = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      worker.terminate();
+      fn(value);
+    };
+
+    const timer = setTimeout(() => settle(reject, Object.assign(
+      new Error(`Processor "${processor.name}" timed out after ${processor.timeout / 1000}s`),
+      { timedOut: true },
+    )), processor.timeout);
+
+    worker.once('message', (message) => {
+      if (message.error !== undefined) settle(reject, new Error(message.error));
+      else settle(resolve, message.generationData);
+    });
+    worker.once('error', (error) => settle(reject, error));
+    worker.once('exit', (code) => settle(reject, new Error(`worker exited with code ${code}`)));
+  });
+}
+
+/**
+ * Run a processor. Parameters are checked against its schema first. Built-in
+ * handlers run in-process; plugin handlers run in a worker thread that is
+ * terminated when their timeout expires. A plugin works on a copy of
+ * `generationData` that is only copied back when it finishes in time, and its
+ * `context` holds only plain data (no functions such as `createTask`).
+ *
+ * @param {string} name
+ * @param {Object} parameters
+ * @param {Object} generationData
+ * @param {Object} context - Passed to the handler; `context.mediaType` is checked against `mediaTypes`
+ * @returns {Promise<void>}
+ */
+export async function runProcessor(name, parameters, generationData, context) {
+  const processor = registry.get(name);
+  if (!processor) {
+    throw new Error(`Unknown process handler: ${name}`);
+  }
+
+  const errors = validateProcessorTask(name, parameters, context?.mediaType);
+  if (errors.length > 0) {
+    throw new Error(`Processor "${name}": ${errors.join('; ')}`);
+  }
+
+  if (processor.builtIn) {
+    return Promise.resolve().then(() => processor.handler(parameters, generationData, context));
+  }
+
+  try {
+    const working = await runInWorker(processor, parameters, generationData, context);
+    for (const key of Object.keys(generationData)) {
+      if (!(key in working)) delete generationData[key];
+    }
+    Object.assign(generationData, working);
+  } catch (error) {
+    if (error.timedOut) throw error;
+    throw new Error(`Processor plugin "${name}" failed: ${error.message}`);
+  }
+}
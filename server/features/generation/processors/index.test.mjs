@@ -0,0 +1,187 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import sharp from 'sharp';
+
+// ── Mocks ────────────────────────────────────────────────────────────────────
+
+vi.mock('../../../image-utils.mjs', () => ({ createCrossFade: vi.fn() }));
+vi.mock('../../../audio-utils.mjs', () => ({ createAudioCrossFade: vi.fn() }));
+
+import {
+  loadProcessorPlugins,
+  listProcessors,
+  runProcessor,
+  validateProcessorTask,
+} from './index.mjs';
+import { runProcessorOnFixture } from './harness.mjs';
+
+const GOOD_PLUGIN = `
+import sharp from 'sharp';
+export const name = 'flipImage';
+export const label = 'Flip image';
+export const mediaTypes = ['image'];
+export const schema = { type: 'object', properties: { axis: { type: 'string', enum: ['x', 'y'] } }, required: ['axis'] };
+export async function handler({ axis }, generationData) {
+  const buffer = await sharp(generationData.saveImagePath)[axis === 'x' ? 'flop' : 'flip']().toBuffer();
+  await sharp(buffer).toFile(generationData.saveImagePath);
+  generationData.flipped = axis;
+}
+`;
+
+const HANGING_PLUGIN = `
+export default {
+  name: 'hang',
+  mediaTypes: ['image'],
+  schema: { type: 'object' },
+  timeout: 50,
+  handler: () => new Promise(() => {}),
+};
+`;
+
+const LATE_PLUGIN = `
+export default {
+  name: 'late',
+  mediaTypes: ['image'],
+  schema: { type: 'object' },
+  timeout: 50,
+  handler: (_parameters, generationData) => new Promise((resolve) => {
+    generationData.started = true;
+    setTimeout(() => { generationData.name = 'overwritten'; resolve(); }, 100);
+  }),
+};
+`;
+
+const BLOCKING_PLUGIN = `
+export default {
+  name: 'spin',
+  mediaTypes: ['image'],
+  schema: { type: 'object' },
+  timeout: 50,
+  handler: () => { for (;;) {} },
+};
+`;
+
+const CONTEXT_PLUGIN = `
+export default {
+  name: 'inspect',
+  mediaTypes: ['image'],
+  schema: { type: 'object' },
+  handler: (parameters, generationData, context) => {
+    if (parameters.fail) throw new Error('no luck');
+    generationData.contextKeys = Object.keys(context);
+    delete generationData.scratch;
+  },
+};
+`;
+
+let tmpDir;
+let pluginDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'processors-test-'));
+  pluginDir = path.join(tmpDir, 'plugins');
+  fs.mkdirSync(pluginDir);
+  // Plugins run in worker threads, which resolve packages from the plugin's folder
+  fs.symlinkSync(path.resolve('node_modules'), path.join(tmpDir, 'node_modules'), 'dir');
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  await loadProcessorPlugins(path.join(tmpDir, 'none'));
+  vi.restoreAllMocks();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('processor plugins', () => {
+  it('registers valid plugins next to the built-ins and reports broken ones', async () => {
+    fs.writeFileSync(path.join(pluginDir, 'flip.mjs'), GOOD_PLUGIN);
+    fs.mkdirSync(path.join(pluginDir, 'hang'));
+    fs.writeFileSync(path.join(pluginDir, 'hang', 'index.mjs'), HANGING_PLUGIN);
+    fs.writeFileSync(path.join(pluginDir, 'broken.mjs'), 'export const name = "broken";');
+    fs.writeFileSync(path.join(pluginDir, 'clash.mjs'), GOOD_PLUGIN.replace("'flipImage'", "'crossfadeVideoFrames'"));
+
+    const { loaded } = await loadProcessorPlugins(pluginDir);
+    expect(loaded).toEqual(['flipImage', 'hang']);
+
+    const { processors, errors } = listProcessors();
+    expect(processors.map(p => p.name)).toEqual(expect.arrayContaining(['crossfadeVideoFrames', 'flipImage', 'hang']));
+    expect(processors.find(p => p.name === 'flipImage')).toMatchObject({ label: 'Flip image', builtIn: false, mediaTypes: ['image'] });
+    expect(processors[0].handler).toBeUndefined();
+    expect(errors.map(e => path.basename(e.source))).toEqual(['broken.mjs', 'clash.mjs']);
+    expect(errors[1].error).toMatch(/already registered/);
+  });
+
+  it('checks parameters and media types before running', async () => {
+    fs.writeFileSync(path.join(pluginDir, 'flip.mjs'), GOOD_PLUGIN);
+    await loadProcessorPlugins(pluginDir);
+
+    expect(validateProcessorTask('flipImage', { axis: 'z' }, 'audio')).toEqual([
+      'parameters.axis must be one of: "x", "y"',
+      'Processor "flipImage" does not support audio workflows (supports: image)',
+    ]);
+    expect(validateProcessorTask('missing', {})).toEqual(['Unknown process handler: missing']);
+    await expect(runProcessor('flipImage', {}, {}, { mediaType: 'image' })).rejects.toThrow('parameters.axis is required');
+  });
+
+  it('times out plugins that never finish', async () => {
+    fs.mkdirSync(path.join(pluginDir, 'hang'));
+    fs.writeFileSync(path.join(pluginDir, 'hang', 'index.mjs'), HANGING_PLUGIN);
+    await loadProcessorPlugins(pluginDir);
+
+    await expect(runProcessor('hang', {}, {}, {})).rejects.toThrow('Processor "hang" timed out after 0.05s');
+  });
+
+  it('drops changes a timed-out plugin makes to the generation data', async () => {
+    fs.writeFileSync(path.join(pluginDir, 'late.mjs'), LATE_PLUGIN);
+    await loadProcessorPlugins(pluginDir);
+
+    const generationData = { name: 'original' };
+    await expect(runProcessor('late', {}, generationData, {})).rejects.toThrow(/timed out/);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(generationData).toEqual({ name: 'original' });
+  });
+
+  it('stops plugins that block synchronously', async () => {
+    fs.writeFileSync(path.join(pluginDir, 'spin.mjs'), BLOCKING_PLUGIN);
+    await loadProcessorPlugins(pluginDir);
+
+    let ticked = false;
+    setTimeout(() => { ticked = true; }, 10);
+    await expect(runProcessor('spin', {}, {}, {})).rejects.toThrow('Processor "spin" timed out after 0.05s');
+    expect(ticked).toBe(true);
+  });
+
+  it('passes plain context data to plugins and reports their errors', async () => {
+    fs.writeFileSync(path.join(pluginDir, 'inspect.mjs'), CONTEXT_PLUGIN);
+    await loadProcessorPlugins(pluginDir);
+
+    const generationData = { name: 'kept', scratch: 1 };
+    await runProcessor('inspect', {}, generationData, { mediaType: 'image', storagePath: '/tmp', createTask: () => {} });
+    expect(generationData).toEqual({ name: 'kept', contextKeys: ['mediaType', 'storagePath'] });
+
+    await expect(runProcessor('inspect', { fail: true }, {}, {})).rejects.toThrow('Processor plugin "inspect" failed: no luck');
+  });
+});
+
+describe('runProcessorOnFixture', () => {
+  it('runs a plugin on a copy of the fixture', async () => {
+    fs.writeFileSync(path.join(pluginDir, 'flip.mjs'), GOOD_PLUGIN);
+    await loadProcessorPlugins(pluginDir);
+
+    const fixture = path.join(tmpDir, 'fixture.png');
+    await sharp({ create: { width: 2, height: 1, channels: 3, background: '#000' } })
+      .composite([{ input: { create: { width: 1, height: 1, channels: 3, background: '#fff' } }, left: 0, top: 0 }])
+      .png().toFile(fixture);
+
+    const result = await runProcessorOnFixture('flipImage', fixture, { parameters: { axis: 'x' }, workDir: path.join(tmpDir, 'work') });
+
+    expect(result.generationData).toMatchObject({ flipped: 'x', imageFormat: 'png', saveImagePath: result.outputPath });
+    const { data } = await sharp(result.outputPath).raw().toBuffer({ resolveWithObject: true });
+    expect([...data.subarray(0, 3)]).toEqual([0, 0, 0]);
+    const original = await sharp(fixture).raw().toBuffer();
+    expect([...original.subarray(0, 3)]).toEqual([255, 255, 255]);
+  });
+});
@@ -0,0 +1,28 @@
+/**
+ * plugin-worker – Worker thread entry that runs one processor plugin handler.
+ *
+ * `runProcessor` starts a worker per plugin task with `workerData`
+ * `{ moduleUrl, parameters, generationData, context }`. The worker imports the
+ * plugin, runs its handler and posts back `{ generationData }` on success or
+ * `{ error }` on failure. The main thread terminates the worker on timeout.
+ *
+ * @module features/generation/processors/plugin-worker
+ */
+import { parentPort, workerData } from 'worker_threads';
+
+const { moduleUrl, parameters, generationData, context } = workerData;
+
+// A handler promise that never settles would end the worker early (exit code
+// 13); keep it running so the main thread reports it as a timeout instead.
+const keepAlive = setInterval(() => {}, 60 * 60 * 1000);
+
+try {
+  const mod = await import(moduleUrl);
+  const { handler } = mod.default ?? mod;
+  await handler(parameters, generationData, context);
+  parentPort.postMessage({ generationData });
+} catch (error) {
+  parentPort.postMessage({ error: error?.message ?? String(error) });
+} finally {
+  clearInterval(keepAlive);
+}
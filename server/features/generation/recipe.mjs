@@ -0,0 +1,271 @@
+/**
+ * Generation recipes – what is needed to re-run a generation exactly.
+ *
+ * A recipe is stored on each media entry the orchestrator saves:
+ *
+ *   {
+ *     version: 1,
+ *     workflow: 'Text to Image (Flux)',
+ *     base: 'flux.json',                // base file the workflow pointed at
+ *     baseHash: '<sha256>',             // of the parsed base graph
+ *     replacements: [                   // modifications in the order they were applied
+ *       { to: ['6', 'inputs', 'text'], value: 'a cat' },
+ *       { to: ['9', 'inputs', 'filename_prefix'], from: 'saveImageFilename' },
+ *     ],
+ *     preTaskOutputs: { prompt: '...' }, // fields the pre-generation tasks set or changed
+ *     inputs: [{ field: 'image_0_filename', filename: 'image_3.png', type: 'image' }],
+ *   }
+ *
+ * Base graphs are kept in a content-addressed store (WORKFLOW_HISTORY_DIR,
+ * one `<hash>.json` per distinct version) so edits made in the workflow
+ * editor never make an old recipe unreplayable. Replacements that point at
+ * per-run output paths keep only their `from` field and are re-resolved on
+ * replay, so a reproduction writes new files instead of overwriting.
+ *
+ * @module features/generation/recipe
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { COMFYUI_WORKFLOWS_DIR, STORAGE_DIR, WORKFLOW_HISTORY_DIR } from '../../core/paths.mjs';
+import { setObjectPathValue } from '../../util.mjs';
+
+export const RECIPE_VERSION = 1;
+
+/** Generation-data fields that differ on every run (output paths, URLs). */
+export const RUN_FIELDS = ['saveImagePath', 'saveImageFilename', 'saveAudioPath', 'imageUrl', 'audioUrl', 'storagePath'];
+
+/** Fields never recorded as pre-task outputs. */
+const UNRECORDED_FIELDS = new Set([...RUN_FIELDS, 'ollamaAPIPath', 'recipe']);
+
+const INPUT_FILENAME_KEY = /^(image_\d+|audio_\d+|mask)_filename$/;
+
+function httpError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+// ---------------------------------------------------------------------------
+// Base workflow store
+// ---------------------------------------------------------------------------
+
+/**
+ * Content hash of a ComfyUI graph. Hashes the parsed graph so whitespace
+ * changes to the file do not count as a new version.
+ * @param {Object} graph
+ * @returns {string} sha256 hex
+ */
+export function hashWorkflow(graph) {
+  return crypto.createHash('sha256').update(JSON.stringify(graph)).digest('hex');
+}
+
+/**
+ * Keep a copy of a base graph in the history store (once per hash).
+ * @param {Object} graph
+ * @returns {string} The graph's hash.
+ */
+export function storeBaseWorkflow(graph) {
+  const hash = hashWorkflow(graph);
+  const file = path.join(WORKFLOW_HISTORY_DIR, `${hash}.json`);
+  if (!fs.existsSync(file)) {
+    fs.mkdirSync(WORKFLOW_HISTORY_DIR, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(graph), 'utf8');
+  }
+  return hash;
+}
+
+/**
+ * @param {string} hash
+ * @returns {Object|null} The stored graph, or null when it is not in the store.
+ */
+export function loadBaseWorkflow(hash) {
+  if (!/^[0-9a-f]{64}$/.test(String(hash))) return null;
+  const file = path.join(WORKFLOW_HISTORY_DIR, `${hash}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+// ---------------------------------------------------------------------------
+// Recording
+// ---------------------------------------------------------------------------
+
+/**
+ * Fields whose value the pre-generation tasks set or changed.
+ * @param {Object} before - Generation data before the tasks ran (a copy)
+ * @param {Object} after
+ * @returns {Object}
+ */
+export function changedFields(before, after) {
+  const changed = {};
+  for (const [key, value] of Object.entries(after)) {
+    if (UNRECORDED_FIELDS.has(key) || value === undefined) continue;
+    if (JSON.stringify(before[key]) !== JSON.stringify(value)) changed[key] = value;
+  }
+  return changed;
+}
+
+/**
+ * Recipe entry for one applied workflow modification.
+ * @param {{ from?: string, to: string[] }} mod
+ * @param {*} value - The value that was written
+ * @returns {{ to: string[], value?: *, from?: string }}
+ */
+export function recordReplacement(mod, value) {
+  return RUN_FIELDS.includes(mod.from) ? { to: [...mod.to], from: mod.from } : { to: [...mod.to], value };
+}
+
+/**
+ * Input files handed to ComfyUI by name (`image_N_filename`, `audio_N_filename`,
+ * `mask_filename`) that can be re-uploaded from storage on replay.
+ * @param {Object} generationData
+ * @returns {{ field: string, filename: string, type: 'image'|'audio' }[]}
+ */
+export function collectInputs(generationData) {
+  return Object.keys(generationData)
+    .filter(key => INPUT_FILENAME_KEY.test(key) && typeof generationData[key] === 'string' && generationData[key])
+    .sort()
+    .map(field => ({ field, filename: generationData[field], type: field.startsWith('audio_') ? 'audio' : 'image' }))
+    .filter(({ filename }) => fs.existsSync(path.join(STORAGE_DIR, filename)));
+}
+
+/**
+ * Assemble the recipe saved with an entry.
+ * @param {Object} parts
+ * @param {string} parts.workflow
+ * @param {string} parts.base
+ * @param {string} parts.baseHash
+ * @param {Object[]} parts.replacements
+ * @param {Object} parts.preTaskOutputs
+ * @param {Object[]} parts.inputs
+ * @returns {Object}
+ */
+export function buildRecipe({ workflow, base, baseHash, replacements, preTaskOutputs, inputs }) {
+  return { version: RECIPE_VERSION, workflow, base, baseHash, replacements, preTaskOutputs, inputs };
+}
+
+// ---------------------------------------------------------------------------
+// Replay
+// ---------------------------------------------------------------------------
+
+/**
+ * Apply a recipe's replacements to its base graph. Run-field replacements
+ * take their value from the new run's generation data.
+ * @param {Object} graph - Base graph from the history store
+ * @param {Object[]} replacements
+ * @param {Object} generationData
+ * @returns {Object} The resolved graph.
+ */
+export function applyRecipeReplacements(graph, replacements, generationData) {
+  let resolved = graph;
+  for (const replacement of replacements || []) {
+    const value = 'from' in replacement ? generationData[replacement.from] : replacement.value;
+    if (value !== undefined) resolved = setObjectPathValue(resolved, replacement.to, value);
+  }
+  return resolved;
+}
+
+/**
+ * Queue task data that replays an entry's recipe. Pre-generation task
+ * outputs are copied in so the tasks do not run again.
+ * @param {Object} entry - Media entry with a `recipe`
+ * @returns {Object}
+ * @throws {Error} 400 when the entry has no recipe, 409 when its base graph is gone.
+ */
+export function buildReproduceRequest(entry) {
+  const { recipe } = entry;
+  if (!recipe || recipe.version !== RECIPE_VERSION) {
+    throw httpError(`Media entry ${entry.uid} has no generation recipe`);
+  }
+  if (!loadBaseWorkflow(recipe.baseHash)) {
+    throw httpError(`The workflow version entry ${entry.uid} was made with is no longer stored`, 409);
+  }
+  const { extraInputs = {}, name = '', description = '', summary = '', tags = '', prompt = '', seed, maskUrl, origin } = entry;
+  return {
+    ...extraInputs,
+    name, description, summary, tags, prompt, seed,
+    ...(entry.inpaint && { inpaint: true, inpaintArea: entry.inpaintArea, maskUrl, origin, outpaint: entry.outpaint }),
+    ...recipe.preTaskOutputs,
+    workflow: recipe.workflow,
+    recipe,
+    parents: [entry.uid],
+    operation: 'reproduce',
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Diff
+// ---------------------------------------------------------------------------
+
+const sortIds = (ids) => [...ids].sort((a, b) => (Number(a) - Number(b)) || String(a).localeCompare(String(b)));
+
+/**
+ * Node-level difference between two ComfyUI API graphs.
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {{ added: Object[], removed: Object[], changed: Object[] }}
+ *   `changed` items list `{ input, before, after }` per differing input, and
+ *   `classType: { before, after }` when the node type was swapped.
+ */
+export function diffGraphs(before, after) {
+  const describe = (id, node) => ({ id, classType: node?.class_type || null, title: node?._meta?.title || null });
+  const added = sortIds(Object.keys(after).filter(id => !(id in before))).map(id => describe(id, after[id]));
+  const removed = sortIds(Object.keys(before).filter(id => !(id in after))).map(id => describe(id, before[id]));
+  const changed = [];
+  for (const id of sortIds(Object.keys(before).filter(id => id in after))) {
+    const oldNode = before[id] || {};
+    const newNode = after[id] || {};
+    const oldInputs = oldNode.inputs || {};
+    const newInputs = newNode.inputs || {};
+    const inputs = [...new Set([...Object.keys(oldInputs), ...Object.keys(newInputs)])]
+      .filter(input => JSON.stringify(oldInputs[input]) !== JSON.stringify(newInputs[input]))
+      .map(input => ({ input, before: oldInputs[input], after: newInputs[input] }));
+    const typeChanged = oldNode.class_type !== newNode.class_type;
+    if (inputs.length > 0 || typeChanged) {
+      changed.push({
+        ...describe(id, newNode),
+        ...(typeChanged && { classType: { before: oldNode.class_type, after: newNode.class_type } }),
+        inputs,
+      });
+    }
+  }
+  return { added, removed, changed };
+}
+
+/**
+ * Compare an entry's recipe with the workflow as it is configured now.
+ * @param {Object} entry - Media entry with a `recipe`
+ * @param {Object[]} workflows - Current workflow configs (comfyui-workflows.json `workflows`)
+ * @returns {Object} See docs/server.md (Get Recipe Diff).
+ * @throws {Error} 400 when the entry has no recipe.
+ */
+export function diffRecipe(entry, workflows) {
+  const { recipe } = entry;
+  if (!recipe || recipe.version !== RECIPE_VERSION) {
+    throw httpError(`Media entry ${entry.uid} has no generation recipe`);
+  }
+  const config = workflows.find(w => w.name === recipe.workflow) || null;
+  const recordedGraph = loadBaseWorkflow(recipe.baseHash);
+  const currentFile = config ? path.join(COMFYUI_WORKFLOWS_DIR, config.base || '') : null;
+  const currentGraph = currentFile && config.base && fs.existsSync(currentFile)
+    ? JSON.parse(fs.readFileSync(currentFile, 'utf8'))
+    : null;
+
+  const pathKey = (to) => to.join('.');
+  const recordedTargets = new Set((recipe.replacements || []).map(r => pathKey(r.to)));
+  const currentMods = config?.replace || [];
+  const currentTargets = new Set(currentMods.map(mod => pathKey(mod.to || [])));
+
+  return {
+    workflow: recipe.workflow,
+    workflowExists: !!config,
+    recordedBase: recipe.base,
+    currentBase: config?.base || null,
+    baseChanged: currentGraph ? hashWorkflow(currentGraph) !== recipe.baseHash : true,
+    snapshotAvailable: !!recordedGraph,
+    nodes: recordedGraph && currentGraph ? diffGraphs(recordedGraph, currentGraph) : null,
+    replacements: {
+      added: currentMods
+        .filter(mod => !recordedTargets.has(pathKey(mod.to || [])))
+        .map(mod => ({ to: mod.to, from: mod.from ?? null, conditional: !!mod.condition })),
+      removed: (recipe.replacements || []).filter(r => !currentTargets.has(pathKey(r.to))),
+    },
+  };
+}
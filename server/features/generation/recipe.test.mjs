@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+// ── Mocks ────────────────────────────────────────────────────────────────────
+
+const tmp = vi.hoisted(() => ({ dir: '' }));
+
+vi.mock('../../core/paths.mjs', () => ({
+  get STORAGE_DIR() { return `${tmp.dir}/storage`; },
+  get COMFYUI_WORKFLOWS_DIR() { return `${tmp.dir}/workflows`; },
+  get WORKFLOW_HISTORY_DIR() { return `${tmp.dir}/history`; },
+}));
+
+const recipes = await import('./recipe.mjs');
+
+const graph = () => ({
+  3: { class_type: 'KSampler', inputs: { seed: 1, steps: 20, model: ['4', 0] } },
+  6: { class_type: 'CLIPTextEncode', inputs: { text: '' } },
+  9: { class_type: 'SaveImage', inputs: { filename_prefix: '' } },
+});
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('generation recipes', () => {
+  beforeEach(() => {
+    tmp.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recipe-test-'));
+    for (const dir of ['storage', 'workflows']) fs.mkdirSync(path.join(tmp.dir, dir));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmp.dir, { recursive: true, force: true });
+  });
+
+  it('records replacements and pre-task outputs and replays them onto the stored base', () => {
+    const hash = recipes.storeBaseWorkflow(graph());
+    expect(recipes.storeBaseWorkflow(graph())).toBe(hash);
+    expect(fs.readdirSync(path.join(tmp.dir, 'history'))).toEqual([`${hash}.json`]);
+
+    const replacements = [
+      recipes.recordReplacement({ from: 'prompt', to: ['6', 'inputs', 'text'] }, 'a cat'),
+      recipes.recordReplacement({ from: 'saveImageFilename', to: ['9', 'inputs', 'filename_prefix'] }, 'image_1'),
+    ];
+    expect(replacements).toEqual([
+      { to: ['6', 'inputs', 'text'], value: 'a cat' },
+      { to: ['9', 'inputs', 'filename_prefix'], from: 'saveImageFilename' },
+    ]);
+    expect(recipes.changedFields(
+      { prompt: 'cat', seed: 1 },
+      { prompt: 'a cat', seed: 1, tags: 'cat', saveImagePath: '/x.png', ollamaAPIPath: 'http://llm' },
+    )).toEqual({ prompt: 'a cat', tags: 'cat' });
+
+    // The current file may have changed; a replay only uses the stored version
+    fs.writeFileSync(path.join(tmp.dir, 'workflows', 'flux.json'), '{}');
+    const replayed = recipes.applyRecipeReplacements(recipes.loadBaseWorkflow(hash), replacements, { saveImageFilename: 'image_2' });
+    expect(replayed[6].inputs.text).toBe('a cat');
+    expect(replayed[9].inputs.filename_prefix).toBe('image_2');
+    expect(recipes.loadBaseWorkflow('../config')).toBeNull();
+  });
+
+  it('builds reproduce requests and rejects entries without a replayable recipe', () => {
+    fs.writeFileSync(path.join(tmp.dir, 'storage', 'image_3.png'), '');
+    const inputs = recipes.collectInputs({ image_0_filename: 'image_3.png', image_1_filename: 'image_123.png', mask_filename: '' });
+    expect(inputs).toEqual([{ field: 'image_0_filename', filename: 'image_3.png', type: 'image' }]);
+
+    const recipe = recipes.buildRecipe({
+      workflow: 'flux', base: 'flux.json', baseHash: recipes.storeBaseWorkflow(graph()),
+      replacements: [], preTaskOutputs: { prompt: 'a cat' }, inputs,
+    });
+    const entry = { uid: 7, name: 'Cat', prompt: 'cat', seed: 5, extraInputs: { steps: 30 }, recipe };
+    expect(recipes.buildReproduceRequest(entry)).toMatchObject({
+      workflow: 'flux', name: 'Cat', prompt: 'a cat', seed: 5, steps: 30, recipe, parents: [7], operation: 'reproduce',
+    });
+
+    expect(() => recipes.buildReproduceRequest({ uid: 8 })).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => recipes.buildReproduceRequest({ uid: 9, recipe: { ...recipe, baseHash: 'f'.repeat(64) } }))
+      .toThrow(expect.objectContaining({ status: 409 }));
+  });
+
+  it('diffs the recorded workflow against the current one', () => {
+    const recipe = recipes.buildRecipe({
+      workflow: 'flux', base: 'flux.json', baseHash: recipes.storeBaseWorkflow(graph()),
+      replacements: [{ to: ['6', 'inputs', 'text'], value: 'a cat' }, { to: ['3', 'inputs', 'seed'], value: 5 }],
+      preTaskOutputs: {}, inputs: [],
+    });
+    const current = graph();
+    current[3].inputs.steps = 30;
+    delete current[9];
+    current[10] = { class_type: 'SaveImageWebp', inputs: {}, _meta: { title: 'Save' } };
+    fs.writeFileSync(path.join(tmp.dir, 'workflows', 'flux-v2.json'), JSON.stringify(current));
+    const workflows = [{
+      name: 'flux',
+      base: 'flux-v2.json',
+      replace: [{ from: 'prompt', to: ['6', 'inputs', 'text'] }, { from: 'cfg', to: ['3', 'inputs', 'cfg'], condition: { where: { cfg: 1 } } }],
+    }];
+
+    const diff = recipes.diffRecipe({ uid: 1, recipe }, workflows);
+    expect(diff).toMatchObject({ workflowExists: true, recordedBase: 'flux.json', currentBase: 'flux-v2.json', baseChanged: true, snapshotAvailable: true });
+    expect(diff.nodes).toEqual({
+      added: [{ id: '10', classType: 'SaveImageWebp', title: 'Save' }],
+      removed: [{ id: '9', classType: 'SaveImage', title: null }],
+      changed: [{ id: '3', classType: 'KSampler', title: null, inputs: [{ input: 'steps', before: 20, after: 30 }] }],
+    });
+    expect(diff.replacements).toEqual({
+      added: [{ to: ['3', 'inputs', 'cfg'], from: 'cfg', conditional: true }],
+      removed: [{ to: ['3', 'inputs', 'seed'], value: 5 }],
+    });
+    expect(recipes.diffRecipe({ uid: 1, recipe }, [])).toMatchObject({ workflowExists: false, baseChanged: true, nodes: null });
+  });
+});
@@ -11,7 +11,10 @@ import { Router } from 'express';
 import path from 'path';
 import { upload } from '../upload/router.mjs';
 import { initializeGenerationTask, processGenerationTask } from './orchestrator.mjs';
-import { loadWorkflows, validateNoNestedExecuteWorkflow } from './workflow-validator.mjs';
+import { loadWorkflows, validateNoNestedExecuteWorkflow, applyRequestDefaults } from './workflow-validator.mjs';
+import { resolveInpaintMask, saveMask } from './inpaint-mask.mjs';
+import { createOutpaintInputs } from './outpaint.mjs';
+import { buildReproduceRequest, diffRecipe } from './recipe.mjs';
 import { modifyDataWithPrompt, resetPromptLog } from '../../core/llm.mjs';
 import {
   createTask, deleteTask, getTask, getActiveTasks, updateTask,
@@ -24,6 +27,7 @@ import {
 } from '../../core/database.mjs';
 import { SERVER_DIR } from '../../core/paths.mjs';
 import { interruptGeneration } from './comfy-client.mjs';
+import { assertWorkflowAvailable } from '../workflows/service.mjs';
 import * as queueService from '../queue/service.mjs';
 
 const router = Router();
@@ -40,6 +44,30 @@ router.get('/generation/tasks/active', (req, res) => {
 // POST /generate – kick off a ComfyUI media-generation pipeline
 // ---------------------------------------------------------------------------
 
+/** Multipart fields arrive as strings; turn integer text back into a number and blanks into "not set". */
+function formInteger(value) {
+  if (typeof value !== 'string') return value;
+  const text = value.trim();
+  if (text === '') return undefined;
+  return /^-?\d+$/.test(text) ? Number(text) : value;
+}
+
+/**
+ * Answer 409 when the workflow's nodes or models are missing on ComfyUI.
+ * @param {import('express').Response} res
+ * @param {string} workflow
+ * @returns {boolean} True when the request was refused
+ */
+function rejectUnavailableWorkflow(res, workflow) {
+  try {
+    assertWorkflowAvailable(workflow);
+    return false;
+  } catch (error) {
+    res.status(error.status).json(error.body);
+    return true;
+  }
+}
+
 /**
  * POST /generate
  *
@@ -65,20 +93,11 @@ router.post('/generate', upload.any(), async (req, res) => {
       return res.status(400).json({ error: `Workflow '${workflow}' not found` });
     }
 
-    // --- Generate random seed if not provided ---
-    if (!req.body.seed) {
-      req.body.seed = Math.floor(Math.random() * 4294967295);
-      console.log('Generated random seed:', req.body.seed);
-    }
+    // --- Refuse workflows whose nodes or models are missing on ComfyUI ---
+    if (rejectUnavailableWorkflow(res, workflow)) return;
 
-    // --- Fill in expected but missing image-data fields ---
-    const requiredImageDataFields = ['tags', 'prompt', 'description', 'summary'];
-    requiredImageDataFields.forEach(field => {
-      if (req.body[field] === undefined || req.body[field] === null) {
-        req.body[field] = '';
-        console.log(`Filled missing field '${field}' with blank string`);
-      }
-    });
+    // --- Seed, blank text fields and extra-input defaults ---
+    applyRequestDefaults(req.body, workflowData);
 
     // --- Validate required input files ---
     const requiredImages = workflowData.options?.inputImages || 0;
@@ -162,20 +181,6 @@ router.post('/generate', upload.any(), async (req, res) => {
       }
     }
 
-    // --- Coerce / backfill extra inputs ---
-    if (workflowData.options?.extraInputs && Array.isArray(workflowData.options.extraInputs)) {
-      workflowData.options.extraInputs.forEach(input => {
-        // Backfill missing fields with workflow defaults before anything else uses them
-        if (req.body[input.id] === undefined && input.default !== undefined) {
-          req.body[input.id] = input.default;
-        }
-        // Coerce checkbox strings to booleans (FormData serializes false as "false")
-        if (input.type === 'checkbox' && req.body[input.id] !== undefined) {
-          req.body[input.id] = req.body[input.id] === 'true' || req.body[input.id] === true;
-        }
-      });
-    }
-
     // --- Validate no nested executeWorkflow ---
     const validation = validateNoNestedExecuteWorkflow(workflowData, comfyuiWorkflows.workflows);
     if (!validation.valid) {
@@ -190,8 +195,17 @@ router.post('/generate', upload.any(), async (req, res) => {
     const rawType = workflowData.options?.type;
     const type = rawType === 'inpaint' ? 'image' : (rawType || 'image');
 
+    // Optional lane / priority / runAfter for the queue item
+    let scheduling;
+    try {
+      scheduling = queueService.parseScheduling({ ...req.body, priority: formInteger(req.body.priority) });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
     const autoStart = req.query.queueOnly !== 'true';
     const queueItem = queueService.enqueue({
+      ...scheduling,
       type,
       source,
       clientId: req.body.clientId || null,
@@ -238,6 +252,7 @@ router.post('/generate/silent/sync', async (req, res) => {
     if (!workflowData) {
       return res.status(400).json({ error: `Workflow '${workflow}' not found` });
     }
+    if (rejectUnavailableWorkflow(res, workflow)) return;
 
     if (!req.body.seed) {
       req.body.seed = Math.floor(Math.random() * 4294967295);
@@ -316,6 +331,70 @@ router.post('/regenerate', async (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// Generation recipes – exact re-runs and diffs against the current workflow
+// ---------------------------------------------------------------------------
+
+/**
+ * POST /media-data/:uid/reproduce
+ *
+ * Queue a replay of the entry's recipe: the recorded base graph with the
+ * recorded replacements and pre-generation task outputs. The result is a new
+ * entry linked to the original. Query: `queueOnly=true` to not auto-start.
+ */
+router.post('/media-data/:uid/reproduce', (req, res) => {
+  try {
+    const entry = findMediaByUid(parseInt(req.params.uid));
+    if (!entry) {
+      return res.status(404).json({ error: `Media entry ${req.params.uid} not found` });
+    }
+    const taskData = buildReproduceRequest(entry);
+    const workflowData = loadWorkflows().workflows.find(w => w.name === taskData.workflow);
+    if (!workflowData) {
+      return res.status(409).json({ error: `Workflow '${taskData.workflow}' no longer exists` });
+    }
+    assertWorkflowAvailable(taskData.workflow);
+
+    const rawType = workflowData.options?.type;
+    const autoStart = req.query.queueOnly !== 'true';
+    queueService.enqueue({
+      type: rawType === 'inpaint' ? 'image' : (rawType || 'image'),
+      source: entry.inpaint ? 'yaaiic-inpaint' : 'yaaiic',
+      clientId: req.body?.clientId || null,
+      name: entry.name || String(entry.uid),
+      subLabel: 'Reproduce',
+      endpointKey: entry.inpaint ? 'generate-inpaint' : 'generate',
+      taskData: { ...taskData, requestOrigin: 'yaaiic' },
+    }, { autoStart });
+
+    res.json({});
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) console.error('Error in reproduce endpoint:', error);
+    res.status(status).json(error.body ?? { error: error.message });
+  }
+});
+
+/**
+ * GET /media-data/:uid/recipe/diff
+ *
+ * What changed in the entry's workflow since it was generated: base graph
+ * nodes added / removed / changed, and replacements added or dropped.
+ */
+router.get('/media-data/:uid/recipe/diff', (req, res) => {
+  try {
+    const entry = findMediaByUid(parseInt(req.params.uid));
+    if (!entry) {
+      return res.status(404).json({ error: `Media entry ${req.params.uid} not found` });
+    }
+    res.json(diffRecipe(entry, loadWorkflows().workflows));
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) console.error('Error in recipe diff endpoint:', error);
+    res.status(status).json({ error: error.message });
+  }
+});
+
 // ---------------------------------------------------------------------------
 // POST /generate/cancel – interrupt an active generation task
 // ---------------------------------------------------------------------------
@@ -341,7 +420,7 @@ router.post('/generate/cancel', async (req, res) => {
   }
 
   cancelTask(taskId);
-  interruptGeneration().catch(err => console.error('Failed to interrupt ComfyUI:', err));
+  interruptGeneration(task.backend).catch(err => console.error('Failed to interrupt ComfyUI:', err));
 
   return res.status(202).json({ success: true, message: 'Cancellation requested' });
 });
@@ -373,6 +452,7 @@ router.post('/generate/silent/async', async (req, res) => {
     if (!workflowData) {
       return res.status(400).json({ error: `Workflow '${workflow}' not found` });
     }
+    if (rejectUnavailableWorkflow(res, workflow)) return;
 
     if (!req.body.seed) {
       req.body.seed = Math.floor(Math.random() * 4294967295);
@@ -406,6 +486,106 @@ router.post('/generate/silent/async', async (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// Inpaint / outpaint shared queueing
+// ---------------------------------------------------------------------------
+
+/**
+ * Upload an inpaint image and its resolved mask to ComfyUI, then queue the
+ * generation. Shared by /generate/inpaint and /generate/outpaint; both run
+ * the inpaint workflows and report progress under the 'yaaiic-inpaint' source.
+ *
+ * @param {import('express').Request} req - Body already validated (workflow, name, prompt)
+ * @param {import('express').Response} res
+ * @param {Object} inputs
+ * @param {Buffer} inputs.image - Image to inpaint
+ * @param {string} inputs.imageFilename - Name to upload the image under
+ * @param {{ png: Buffer, filename: string, maskUrl: string }} inputs.mask - From resolveInpaintMask / saveMask
+ */
+async function queueInpaintTask(req, res, { image, imageFilename, mask }) {
+  const { workflow } = req.body;
+
+  // Retrieve shared dependencies from app.locals
+  const comfyuiWorkflows = loadWorkflows();
+  const uploadFileToComfyUI = req.app.locals.uploadFileToComfyUI;
+
+  try {
+    // Upload both images to ComfyUI; the mask's content-hashed name means
+    // identical masks are uploaded once
+    console.log('Uploading images to ComfyUI...');
+
+    const [imageUploadResult, maskUploadResult] = await Promise.all([
+      uploadFileToComfyUI(image, imageFilename, "image", "input", true),
+      uploadFileToComfyUI(mask.png, mask.filename, "image", "input", true)
+    ]);
+
+    console.log('Both images uploaded successfully to ComfyUI');
+
+    // Find the workflow in comfyuiWorkflows
+    const workflowData = comfyuiWorkflows.workflows.find(w => w.name === workflow);
+    if (!workflowData) {
+      return res.status(400).json({ error: `Workflow '${workflow}' not found` });
+    }
+
+    // Add postGenerationTasks from comfyui-workflows to workflowData
+    if (comfyuiWorkflows.postGenerationTasks) {
+      workflowData.postGenerationTasks = comfyuiWorkflows.postGenerationTasks;
+    }
+
+    // Generate random seed if not provided
+    if (!req.body.seed) {
+      req.body.seed = Math.floor(Math.random() * 4294967295);
+      console.log('Generated random seed:', req.body.seed);
+    }
+
+    // Fill in expected but missing image data values with blank strings
+    const requiredImageDataFields = ['tags', 'prompt', 'description', 'summary'];
+    requiredImageDataFields.forEach(field => {
+      if (req.body[field] === undefined || req.body[field] === null) {
+        req.body[`image_0_${field}`] = '';
+        console.log(`Filled missing field '${field}' with blank string`);
+      }
+    });
+
+    // Prepare request body with imagePath and maskPath from uploaded filenames
+    req.body.image_0_filename = imageUploadResult.filename;
+    req.body.mask_filename = maskUploadResult.filename;
+    req.body.maskUrl = mask.maskUrl;
+    req.body.inpaint = true;
+    delete req.body.maskFilename;
+    req.body.origin = req.body.origin ? parseInt(req.body.origin) : undefined;
+
+    delete req.body.uploads;
+
+    // Validate that workflow doesn't contain nested executeWorkflow processes
+    const validation = validateNoNestedExecuteWorkflow(workflowData, comfyuiWorkflows.workflows);
+    if (!validation.valid) {
+      console.error('Workflow validation failed:', validation.error);
+      return res.status(500).json({ error: 'Workflow validation failed', details: validation.error });
+    }
+
+    const autoStart = req.query.queueOnly !== 'true';
+    queueService.enqueue({
+      type: 'image',
+      source: 'yaaiic-inpaint',
+      clientId: req.body.clientId || null,
+      name: req.body.name || '',
+      subLabel: null,
+      endpointKey: 'generate-inpaint',
+      taskData: { ...req.body, workflowName: workflow },
+    }, { autoStart });
+
+    res.json({});
+
+  } catch (uploadError) {
+    console.error('Failed to upload images to ComfyUI:', uploadError);
+    return res.status(500).json({
+      error: 'Failed to upload images to ComfyUI',
+      details: uploadError.message
+    });
+  }
+}
+
 // ---------------------------------------------------------------------------
 // POST /generate/inpaint – specialized generation with image + mask inputs
 // ---------------------------------------------------------------------------
@@ -413,9 +593,11 @@ router.post('/generate/silent/async', async (req, res) => {
 /**
  * POST /generate/inpaint
  *
- * Specialized generation endpoint for inpainting workflows. Accepts both an
- * image and mask file, uploads them to ComfyUI, and processes through the
- * standard generation pipeline with additional inpaint-specific parameters.
+ * Specialized generation endpoint for inpainting workflows. Accepts an image
+ * plus its mask – an uploaded `mask` file, the `maskUrl` of a stored mask, or
+ * an `inpaintArea` rectangle – stores the mask next to the media (its URL is
+ * saved on the new entry as `maskUrl`), uploads both to ComfyUI and processes
+ * through the standard generation pipeline with inpaint-specific parameters.
  */
 router.post('/generate/inpaint', upload.fields([
   { name: 'image', maxCount: 1 },
@@ -445,6 +627,7 @@ router.post('/generate/inpaint', upload.fields([
     if (!prompt) {
       return res.status(400).json({ error: 'Prompt parameter is required' });
     }
+    if (rejectUnavailableWorkflow(res, workflow)) return;
     
     // Validate and parse inpaintArea if provided
     let parsedInpaintArea = null;
@@ -466,107 +649,41 @@ router.post('/generate/inpaint', upload.fields([
     }
     
     // Validate uploaded files
-    if (!req.files || !req.files.image || !req.files.mask) {
-      return res.status(400).json({ error: 'Both image and mask files are required' });
+    if (!req.files || !req.files.image) {
+      return res.status(400).json({ error: 'Image file is required' });
     }
     
     const imageFile = req.files.image[0];
-    const maskFile = req.files.mask[0];
+    const maskFile = req.files.mask?.[0] || null;
     
     console.log('Files received:');
     console.log('- image:', imageFile.originalname, 'size:', imageFile.size, 'type:', imageFile.mimetype);
-    console.log('- mask:', maskFile.originalname, 'size:', maskFile.size, 'type:', maskFile.mimetype);
-    
-    // Retrieve shared dependencies from app.locals
-    const comfyuiWorkflows = loadWorkflows();
-    const config = req.app.locals.config;
-    const uploadFileToComfyUI = req.app.locals.uploadFileToComfyUI;
+    if (maskFile) console.log('- mask:', maskFile.originalname, 'size:', maskFile.size, 'type:', maskFile.mimetype);
+
+    // Mask: uploaded file, stored maskUrl (replay) or inpaintArea rectangle
+    let mask;
+    try {
+      mask = await resolveInpaintMask({
+        image: imageFile.buffer,
+        maskFile: maskFile?.buffer,
+        maskUrl: req.body.maskUrl,
+        inpaintArea: parsedInpaintArea,
+      });
+    } catch (maskError) {
+      return res.status(maskError.status || 500).json({ error: maskError.message });
+    }
+    console.log('- mask stored as:', mask.maskUrl);
     
-    // Generate filenames for ComfyUI upload
     // For inpaint image: reuse storage filename if from gallery, otherwise use temp name
     const imageUrl = req.body.imageUrl;
     const imageFilename = imageUrl ? imageUrl.replace('/media/', '') : `inpaint_image_${Date.now()}.png`;
-    
-    // For mask: use filename provided by client (includes dimensions and area for deduplication)
-    const maskFilename = req.body.maskFilename || `mask_${Date.now()}.png`;
-    
-    try {
-      // Upload both images to ComfyUI
-      console.log('Uploading images to ComfyUI...');
-      
-      const [imageUploadResult, maskUploadResult] = await Promise.all([
-        uploadFileToComfyUI(imageFile.buffer, imageFilename, "image", "input", true),
-        uploadFileToComfyUI(maskFile.buffer, maskFilename, "image", "input", true)
-      ]);
-      
-      console.log('Both images uploaded successfully to ComfyUI');
-      
-      // Find the workflow in comfyuiWorkflows
-      const workflowData = comfyuiWorkflows.workflows.find(w => w.name === workflow);
-      if (!workflowData) {
-        return res.status(400).json({ error: `Workflow '${workflow}' not found` });
-      }
-      
-      // Add postGenerationTasks from comfyui-workflows to workflowData
-      if (comfyuiWorkflows.postGenerationTasks) {
-        workflowData.postGenerationTasks = comfyuiWorkflows.postGenerationTasks;
-      }
-      
-      // Generate random seed if not provided
-      if (!req.body.seed) {
-        req.body.seed = Math.floor(Math.random() * 4294967295);
-        console.log('Generated random seed:', req.body.seed);
-      }
-      
-      // Fill in expected but missing image data values with blank strings
-      const requiredImageDataFields = ['tags', 'prompt', 'description', 'summary'];
-      requiredImageDataFields.forEach(field => {
-        if (req.body[field] === undefined || req.body[field] === null) {
-          req.body[`image_0_${field}`] = '';
-          console.log(`Filled missing field '${field}' with blank string`);
-        }
-      });
-      
-      // Prepare request body with imagePath and maskPath from uploaded filenames
-      req.body.image_0_filename = imageUploadResult.filename;
-      req.body.mask_filename = maskUploadResult.filename;
-      req.body.inpaint = true;
-      req.body.origin = req.body.origin ? parseInt(req.body.origin) : undefined;
-      
-      // Include parsed inpaintArea if provided
-      if (parsedInpaintArea) {
-        req.body.inpaintArea = parsedInpaintArea;
-      }
-      
-      delete req.body.uploads;
-      
-      // Validate that workflow doesn't contain nested executeWorkflow processes
-      const validation = validateNoNestedExecuteWorkflow(workflowData, comfyuiWorkflows.workflows);
-      if (!validation.valid) {
-        console.error('Workflow validation failed:', validation.error);
-        return res.status(500).json({ error: 'Workflow validation failed', details: validation.error });
-      }
-      
-      const autoStart = req.query.queueOnly !== 'true';
-      const queueItem = queueService.enqueue({
-        type: 'image',
-        source: 'yaaiic-inpaint',
-        clientId: req.body.clientId || null,
-        name: req.body.name || '',
-        subLabel: null,
-        endpointKey: 'generate-inpaint',
-        taskData: { ...req.body, workflowName: workflow },
-      }, { autoStart });
-
-      res.json({});
-
-    } catch (uploadError) {
-      console.error('Failed to upload images to ComfyUI:', uploadError);
-      return res.status(500).json({
-        error: 'Failed to upload images to ComfyUI',
-        details: uploadError.message
-      });
+
+    // Include parsed inpaintArea if provided
+    if (parsedInpaintArea) {
+      req.body.inpaintArea = parsedInpaintArea;
     }
+
+    return await queueInpaintTask(req, res, { image: imageFile.buffer, imageFilename, mask });
     
   } catch (error) {
     console.error('Error in inpaint endpoint:', error);
@@ -577,4 +694,78 @@ router.post('/generate/inpaint', upload.fields([
   }
 });
 
+// ---------------------------------------------------------------------------
+// POST /generate/outpaint – extend the canvas and inpaint the new area
+// ---------------------------------------------------------------------------
+
+/**
+ * POST /generate/outpaint
+ *
+ * Pads the uploaded image (explicit `padding` per side, or an `aspectRatio`
+ * to reach with an `anchor`), builds a feathered mask over the new area and
+ * queues it through an inpaint workflow. The new entry records the settings
+ * as `outpaint` and links to the source through `origin`.
+ */
+router.post('/generate/outpaint', upload.fields([
+  { name: 'image', maxCount: 1 }
+]), async (req, res) => {
+  try {
+    const { workflow, name, prompt } = req.body;
+    console.log('=== Outpaint endpoint called ===', { workflow, name, padding: req.body.padding, aspectRatio: req.body.aspectRatio });
+
+    if (!workflow) {
+      return res.status(400).json({ error: 'Workflow parameter is required' });
+    }
+    if (!name) {
+      return res.status(400).json({ error: 'Name parameter is required' });
+    }
+    if (!prompt) {
+      return res.status(400).json({ error: 'Prompt parameter is required' });
+    }
+    if (!req.files || !req.files.image) {
+      return res.status(400).json({ error: 'Image file is required' });
+    }
+    if (rejectUnavailableWorkflow(res, workflow)) return;
+
+    let padding;
+    try {
+      padding = req.body.padding ? JSON.parse(req.body.padding) : undefined;
+    } catch {
+      return res.status(400).json({ error: 'Invalid padding JSON format' });
+    }
+    const toInteger = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+    let outpaintInputs;
+    try {
+      outpaintInputs = await createOutpaintInputs(req.files.image[0].buffer, {
+        padding,
+        aspectRatio: req.body.aspectRatio,
+        anchor: req.body.anchor,
+        overlap: toInteger(req.body.overlap),
+        feather: toInteger(req.body.feather),
+        fill: req.body.fill,
+      });
+    } catch (outpaintError) {
+      return res.status(outpaintError.status || 500).json({ error: outpaintError.message });
+    }
+    const { image, mask, outpaint } = outpaintInputs;
+    console.log('- outpaint:', outpaint);
+
+    for (const key of ['padding', 'aspectRatio', 'anchor', 'overlap', 'feather', 'fill', 'inpaintArea', 'imageUrl']) {
+      delete req.body[key];
+    }
+    req.body.outpaint = outpaint;
+
+    const imageFilename = `outpaint_image_${Date.now()}.png`;
+    return await queueInpaintTask(req, res, { image, imageFilename, mask: { png: mask, ...saveMask(mask) } });
+
+  } catch (error) {
+    console.error('Error in outpaint endpoint:', error);
+    res.status(500).json({
+      error: 'Failed to process outpaint request',
+      details: error.message
+    });
+  }
+});
+
 export default router;
@@ -1,6 +1,7 @@
 import { vi, describe, test, expect, beforeEach } from 'vitest'
 import request from 'supertest'
 import express from 'express'
+import sharp from 'sharp'
 
 // ── Mocks (hoisted before imports) ─────────────────────────────────────────
 
@@ -11,10 +12,12 @@ vi.mock('./workflow-validator.mjs', () => ({
     ],
   })),
   validateNoNestedExecuteWorkflow: vi.fn(() => ({ valid: true, error: null })),
+  applyRequestDefaults: vi.fn(body => body),
 }))
 
 vi.mock('../queue/service.mjs', () => ({
   enqueue: vi.fn(() => ({ id: 'queue-item-1' })),
+  parseScheduling: vi.fn(() => ({})),
   initialize: vi.fn(),
 }))
 
@@ -48,11 +51,22 @@ vi.mock('./orchestrator.mjs', () => ({
   initializeGenerationTask: vi.fn(() => ({ taskId: 'gen-task-id' })),
   processGenerationTask: vi.fn(() => Promise.resolve({ success: true, outputs: [] })),
   handleMediaGeneration: vi.fn(),
-  initializeOrchestrator: vi.fn(),
   setAddMediaDataEntry: vi.fn(),
   executeQueuedTask: vi.fn(),
   modifyGenerationDataWithPrompt: vi.fn(),
-  checkPromptStatus: vi.fn(),
+}))
+
+vi.mock('./recipe.mjs', () => ({
+  buildReproduceRequest: vi.fn((entry) => {
+    if (!entry.recipe) throw Object.assign(new Error(`Media entry ${entry.uid} has no generation recipe`), { status: 400 })
+    return { workflow: entry.recipe.workflow, seed: entry.seed, recipe: entry.recipe, parents: [entry.uid], operation: 'reproduce' }
+  }),
+  diffRecipe: vi.fn(() => ({ workflow: 'test-workflow', baseChanged: false })),
+}))
+
+vi.mock('./inpaint-mask.mjs', () => ({
+  resolveInpaintMask: vi.fn(),
+  saveMask: vi.fn(() => ({ filename: 'mask_0123456789abcdef.png', maskUrl: '/media/mask_0123456789abcdef.png' })),
 }))
 
 vi.mock('./comfy-client.mjs', () => ({
@@ -71,6 +85,10 @@ vi.mock('../../core/llm.mjs', () => ({
   resetPromptLog: vi.fn(),
 }))
 
+vi.mock('../workflows/service.mjs', () => ({
+  assertWorkflowAvailable: vi.fn(),
+}))
+
 vi.mock('../../comfyui-websocket.mjs', () => ({
   CLIENT_ID: 'test-client-id',
   promptExecutionState: {},
@@ -82,7 +100,24 @@ vi.mock('../../comfyui-websocket.mjs', () => ({
 // ── App setup ───────────────────────────────────────────────────────────────
 
 const { default: router } = await import('./router.mjs')
-const { enqueue } = await import('../queue/service.mjs')
+const { enqueue, parseScheduling } = await import('../queue/service.mjs')
+const { assertWorkflowAvailable } = await import('../workflows/service.mjs')
+
+const unavailableDependencies = {
+  available: false, readyOn: [], missingNodes: ['VHS_VideoCombine'], missingModels: [], invalidValues: [], unavailableWorkflows: [],
+}
+const unavailableBody = {
+  error: "Workflow 'test-workflow' cannot run: missing nodes: VHS_VideoCombine",
+  code: 'WORKFLOW_UNAVAILABLE',
+  workflow: 'test-workflow',
+  dependencies: unavailableDependencies,
+}
+/** Make the next availability check fail the way the workflows service does. */
+function refuseNextWorkflow() {
+  assertWorkflowAvailable.mockImplementationOnce(() => {
+    throw Object.assign(new Error(unavailableBody.error), { status: 409, body: unavailableBody })
+  })
+}
 
 const app = express()
 app.use(express.json())
@@ -139,6 +174,127 @@ describe('Generation Router', () => {
       expect(queuePayload.endpointKey).toBe('generate')
       expect(queuePayload.taskData).toHaveProperty('workflow', 'test-workflow')
     })
+
+    test('reads a multipart priority as a number', async () => {
+      const actual = await vi.importActual('../queue/service.mjs')
+      parseScheduling.mockImplementationOnce(actual.parseScheduling).mockImplementationOnce(actual.parseScheduling)
+
+      const res = await request(app)
+        .post('/generate')
+        .field('workflow', 'test-workflow')
+        .field('lane', 'batch')
+        .field('priority', '5')
+      expect(res.status).toBe(200)
+      expect(enqueue.mock.calls[0][0]).toMatchObject({ lane: 'batch', priority: 5 })
+
+      const bad = await request(app)
+        .post('/generate')
+        .field('workflow', 'test-workflow')
+        .field('priority', 'high')
+      expect(bad.status).toBe(400)
+      expect(bad.body.error).toBe('priority must be an integer')
+    })
+
+    test('returns 409 with the missing dependencies for an unavailable workflow', async () => {
+      refuseNextWorkflow()
+
+      const res = await request(app)
+        .post('/generate')
+        .send({ workflow: 'test-workflow', name: 'gen-name' })
+      expect(res.status).toBe(409)
+      expect(res.body).toEqual(unavailableBody)
+      expect(assertWorkflowAvailable).toHaveBeenCalledWith('test-workflow')
+      expect(enqueue).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('POST /generate/outpaint', () => {
+    const portrait = () => sharp({ create: { width: 32, height: 48, channels: 3, background: '#336699' } }).png().toBuffer()
+
+    test('pads the image to the aspect ratio and queues it as an inpaint task', async () => {
+      const res = await request(app)
+        .post('/generate/outpaint')
+        .field('workflow', 'test-workflow')
+        .field('name', 'wide')
+        .field('prompt', 'castle')
+        .field('aspectRatio', '16:9')
+        .field('overlap', '4')
+        .field('origin', '42')
+        .attach('image', await portrait(), 'image.png')
+      expect(res.status).toBe(200)
+
+      const [imageBuffer] = app.locals.uploadFileToComfyUI.mock.calls[0]
+      expect(await sharp(imageBuffer).metadata()).toMatchObject({ width: 88, height: 48 })
+
+      const [{ source, endpointKey, taskData }] = enqueue.mock.calls[0]
+      expect(source).toBe('yaaiic-inpaint')
+      expect(endpointKey).toBe('generate-inpaint')
+      expect(taskData).toMatchObject({
+        inpaint: true,
+        origin: 42,
+        maskUrl: '/media/mask_0123456789abcdef.png',
+        outpaint: { left: 26, right: 30, top: 0, bottom: 0, overlap: 4, feather: 32, fill: 'edge' },
+      })
+      expect(taskData).not.toHaveProperty('aspectRatio')
+    })
+
+    test('returns 400 when nothing would be added', async () => {
+      const res = await request(app)
+        .post('/generate/outpaint')
+        .field('workflow', 'test-workflow')
+        .field('name', 'same')
+        .field('prompt', 'castle')
+        .field('padding', JSON.stringify({ left: 0 }))
+        .attach('image', await portrait(), 'image.png')
+      expect(res.status).toBe(400)
+      expect(res.body.error).toMatch(/at least one side/)
+      expect(enqueue).not.toHaveBeenCalled()
+    })
+
+    test('returns 409 for an unavailable workflow before uploading anything', async () => {
+      refuseNextWorkflow()
+
+      const res = await request(app)
+        .post('/generate/outpaint')
+        .field('workflow', 'test-workflow')
+        .field('name', 'wide')
+        .field('prompt', 'castle')
+        .field('aspectRatio', '16:9')
+        .attach('image', await portrait(), 'image.png')
+      expect(res.status).toBe(409)
+      expect(res.body).toEqual(unavailableBody)
+      expect(app.locals.uploadFileToComfyUI).not.toHaveBeenCalled()
+      expect(enqueue).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('recipes', () => {
+    test('POST /media-data/:uid/reproduce queues a replay of the recipe', async () => {
+      const { findMediaByUid } = await import('../../core/database.mjs')
+      const recipe = { version: 1, workflow: 'test-workflow', baseHash: 'abc' }
+      findMediaByUid.mockImplementation((uid) => ({ 7: { uid: 7, name: 'cat', seed: 5, recipe }, 8: { uid: 8 } })[uid])
+
+      const res = await request(app).post('/media-data/7/reproduce').send({ clientId: 'c1' })
+      expect(res.status).toBe(200)
+      const [{ endpointKey, subLabel, clientId, taskData }] = enqueue.mock.calls[0]
+      expect({ endpointKey, subLabel, clientId }).toEqual({ endpointKey: 'generate', subLabel: 'Reproduce', clientId: 'c1' })
+      expect(taskData).toMatchObject({ workflow: 'test-workflow', seed: 5, recipe, parents: [7] })
+
+      expect((await request(app).post('/media-data/8/reproduce').send({})).status).toBe(400)
+      expect((await request(app).post('/media-data/9/reproduce').send({})).status).toBe(404)
+      expect((await request(app).get('/media-data/7/recipe/diff')).body).toEqual({ workflow: 'test-workflow', baseChanged: false })
+    })
+
+    test('POST /media-data/:uid/reproduce refuses a workflow that cannot run', async () => {
+      const { findMediaByUid } = await import('../../core/database.mjs')
+      findMediaByUid.mockReturnValue({ uid: 7, seed: 5, recipe: { version: 1, workflow: 'test-workflow', baseHash: 'abc' } })
+      refuseNextWorkflow()
+
+      const res = await request(app).post('/media-data/7/reproduce').send({})
+      expect(res.status).toBe(409)
+      expect(res.body).toEqual(unavailableBody)
+      expect(enqueue).not.toHaveBeenCalled()
+    })
   })
 
   describe('GET /generation/tasks/active', () => {
@@ -73,10 +73,13 @@ import { WORKFLOWS_PATH } from '../../core/paths.mjs';
 /**
  * LLM inference, template expansion, or field copy task. Exactly one of `model`, `template`, or `from` must be set.
  * @typedef {Object} LLMTask
- * @property {string} to - Target field in generationData to write the result
+ * @property {string} [to] - Target field in generationData to write the result (required unless `format` is set)
  * @property {string} [model] - Ollama model name for LLM inference (mutually exclusive with template/from)
  * @property {string} [prompt] - Prompt with {{variableName}} placeholders (used with model)
  * @property {string} [imagePath] - generationData field containing the image path for vision tasks
+ * @property {Object} [format] - JSON schema for structured output; the reply's properties are written to fields
+ * @property {Object<string, string>} [mapTo] - Schema property → generationData field (default: same name)
+ * @property {number} [retries=2] - Extra attempts when the structured reply is not valid JSON for `format`
  * @property {string} [template] - Template string with {{variableName}} placeholders (mutually exclusive with model/from)
  * @property {string} [from] - Source field to copy (mutually exclusive with model/template)
  * @property {Condition} [condition] - Task is skipped when condition is false
@@ -105,9 +108,20 @@ import { WORKFLOWS_PATH } from '../../core/paths.mjs';
  */
 
 /**
+ * A field check with exactly one operator. Operands are `{ value }` literals or
+ * `{ data: "field" }` references; see `checkExecutionCondition` in util.mjs.
  * @typedef {Object} SimpleCondition
- * @property {{ data?: string, generationData?: string }} where - Names the field to inspect (undefined/null/whitespace treated as empty string when comparing with '')
- * @property {{ value: * }} equals - The expected value
+ * @property {{ data?: string, generationData?: string }} where - Names the field to inspect; dotted paths reach nested values (e.g. `extraInputs.steps`)
+ * @property {{ value: * }} [equals] - Strict match (undefined/null/whitespace treated as empty string when comparing with '')
+ * @property {{ value: * }} [isNot] - Negated `equals`
+ * @property {{ value: number }} [gt]
+ * @property {{ value: number }} [lt]
+ * @property {{ value: number }} [gte]
+ * @property {{ value: number }} [lte]
+ * @property {{ value: string }} [contains] - Case-insensitive substring, or element of an array field
+ * @property {{ value: string, flags?: string }} [matches] - Regular expression test
+ * @property {{ value: Array }} [in] - Value is one of the list
+ * @property {{ value: boolean }} [exists] - Value is (true) or is not (false) set to a non-blank value
  */
 
 /** @typedef {{ or: Condition[] }} OrCondition - True if any sub-condition is true */
@@ -216,3 +230,45 @@ export function validateNoNestedExecuteWorkflow(workflowConfig, allWorkflows, vi
 
   return { valid: true, error: null };
 }
+
+// ---------------------------------------------------------------------------
+// Request Defaults
+// ---------------------------------------------------------------------------
+
+/**
+ * Fill in what a generation request may omit, in place: a random seed, blank
+ * media text fields, and extra-input defaults from the workflow (checkbox
+ * values sent as "true"/"false" strings are coerced to booleans).
+ *
+ * @param {Object} body - Generation request body.
+ * @param {WorkflowDefinition} workflowData
+ * @returns {Object} The same body.
+ */
+export function applyRequestDefaults(body, workflowData) {
+  if (!body.seed) {
+    body.seed = Math.floor(Math.random() * 4294967295);
+    console.log('Generated random seed:', body.seed);
+  }
+
+  const requiredImageDataFields = ['tags', 'prompt', 'description', 'summary'];
+  requiredImageDataFields.forEach(field => {
+    if (body[field] === undefined || body[field] === null) {
+      body[field] = '';
+    }
+  });
+
+  const extraInputs = workflowData.options?.extraInputs;
+  if (Array.isArray(extraInputs)) {
+    extraInputs.forEach(input => {
+      // Backfill missing fields with workflow defaults before anything else uses them
+      if (body[input.id] === undefined && input.default !== undefined) {
+        body[input.id] = input.default;
+      }
+      // Coerce checkbox strings to booleans (FormData serializes false as "false")
+      if (input.type === 'checkbox' && body[input.id] !== undefined) {
+        body[input.id] = body[input.id] === 'true' || body[input.id] === true;
+      }
+    });
+  }
+  return body;
+}
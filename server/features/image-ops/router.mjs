@@ -0,0 +1,56 @@
+/**
+ * Image Ops Router – crop / resize / rotate / adjust / convert edits of
+ * gallery images, and the upscale hand-off to ComfyUI.
+ *
+ * @module features/image-ops/router
+ */
+import { Router } from 'express';
+import * as imageOpsService from './service.mjs';
+
+const router = Router();
+
+/**
+ * GET /image-ops/options
+ * Crop aspect presets, output formats and the configured upscale workflow.
+ */
+router.get('/image-ops/options', (req, res) => {
+  res.json(imageOpsService.getImageOpsOptions());
+});
+
+/**
+ * POST /media-data/:uid/image-ops
+ * Apply `{ ops: ImageOp[] }` to an image and save the result as a new entry.
+ * Responds with the new entry.
+ */
+router.post('/media-data/:uid/image-ops', async (req, res) => {
+  try {
+    const entry = await imageOpsService.createImageOpsEntry(req.params.uid, req.body?.ops);
+    res.json(entry);
+  } catch (error) {
+    const status = error.status || 500;
+    console.error('Error in image ops endpoint:', error);
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /media-data/:uid/upscale
+ * Queue an upscale through `config.imageOps.upscaleWorkflow` (or `body.workflow`).
+ * Query: `queueOnly=true` to not auto-start.
+ */
+router.post('/media-data/:uid/upscale', (req, res) => {
+  try {
+    imageOpsService.queueUpscale(req.params.uid, {
+      workflow: req.body?.workflow,
+      clientId: req.body?.clientId || null,
+      autoStart: req.query.queueOnly !== 'true',
+    });
+    res.json({});
+  } catch (error) {
+    const status = error.status || 500;
+    console.error('Error in upscale endpoint:', error);
+    res.status(status).json({ error: error.message });
+  }
+});
+
+export default router;
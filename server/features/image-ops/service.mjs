@@ -0,0 +1,380 @@
+/**
+ * Image Ops Service – non-destructive edits of gallery images.
+ *
+ * An edit is an ordered list of operations applied with sharp:
+ *
+ *   { op: 'crop', x, y, width, height }           pixel rectangle
+ *   { op: 'crop', aspect: '16:9', anchor? }       largest crop at that ratio
+ *   { op: 'resize', width?, height?, fit? }       'inside' (default), 'cover', 'fill'
+ *   { op: 'rotate', angle }                       degrees clockwise
+ *   { op: 'flip', axis }                          'horizontal' or 'vertical'
+ *   { op: 'adjust', brightness?, saturation?, contrast?, hue? }
+ *   { op: 'convert', format, quality? }           'png', 'jpg' or 'webp'
+ *
+ * The source file is never touched: the result is saved as a new image and a
+ * new media entry that links back to the source (`origin`) and records the
+ * operations it was made with (`imageOps`). Upscaling needs a model, so it is
+ * queued as an `executeWorkflow` hand-off to the ComfyUI workflow named by
+ * `config.imageOps.upscaleWorkflow` (see orchestrator `image-upscale`).
+ *
+ * @module features/image-ops/service
+ */
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { STORAGE_DIR } from '../../core/paths.mjs';
+import { findNextIndex } from '../../util.mjs';
+import { validateJsonSchema } from '../../core/json-schema.mjs';
+import { parseAspectRatio } from '../generation/outpaint.mjs';
+import { loadWorkflows } from '../generation/workflow-validator.mjs';
+import * as mediaRepo from '../media/repository.mjs';
+import * as queueService from '../queue/service.mjs';
+
+// ---------------------------------------------------------------------------
+// Type Definitions
+// ---------------------------------------------------------------------------
+
+/**
+ * One step of an edit, stored on the resulting entry as `entry.imageOps[]`.
+ * Upscaled entries carry `{ op: 'upscale', workflow }`.
+ * @typedef {Object} ImageOp
+ * @property {'crop'|'resize'|'rotate'|'flip'|'adjust'|'convert'|'upscale'} op
+ */
+
+// ---------------------------------------------------------------------------
+// Init
+// ---------------------------------------------------------------------------
+
+/** Aspect ratios offered by the crop tool. */
+export const CROP_ASPECT_PRESETS = ['1:1', '4:3', '3:4', '3:2', '2:3', '16:9', '9:16', '21:9'];
+
+export const OUTPUT_FORMATS = ['png', 'jpg', 'webp'];
+
+/** Largest width or height a resize may produce. */
+export const MAX_IMAGE_SIZE = 8192;
+
+const MAX_OPS = 20;
+
+let _imageOpsConfig = {};
+
+export function initialize({ config }) {
+  _imageOpsConfig = config?.imageOps ?? {};
+}
+
+function httpError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+// ---------------------------------------------------------------------------
+// Operations
+// ---------------------------------------------------------------------------
+
+const ANCHORS = ['center', 'left', 'right', 'top', 'bottom'];
+
+// `check` returns a problem with the operation's values (or null) before any
+// decoding; `apply` receives a sharp instance of the current pixels plus their
+// size and returns it with the operation applied.
+const OPERATIONS = {
+  crop: {
+    schema: {
+      type: 'object',
+      properties: {
+        x: { type: 'integer' },
+        y: { type: 'integer' },
+        width: { type: 'integer' },
+        height: { type: 'integer' },
+        aspect: { type: ['string', 'number'] },
+        anchor: { type: 'string', enum: ANCHORS },
+      },
+    },
+    check(op) {
+      if (op.aspect !== undefined) {
+        parseAspectRatio(op.aspect); // throws 400 for malformed ratios
+        return null;
+      }
+      return op.width > 0 && op.height > 0 ? null : 'needs a positive width and height, or an aspect ratio';
+    },
+    apply(image, op, { width, height }) {
+      let region;
+      if (op.aspect !== undefined) {
+        region = aspectCrop(width, height, parseAspectRatio(op.aspect), op.anchor);
+      } else {
+        region = { left: op.x ?? 0, top: op.y ?? 0, width: op.width, height: op.height };
+        if (region.left < 0 || region.top < 0 || region.left + region.width > width || region.top + region.height > height) {
+          throw httpError(`crop ${region.width}x${region.height}+${region.left}+${region.top} is outside the ${width}x${height} image`);
+        }
+      }
+      return image.extract(region);
+    },
+  },
+  resize: {
+    schema: {
+      type: 'object',
+      properties: {
+        width: { type: 'integer' },
+        height: { type: 'integer' },
+        fit: { type: 'string', enum: ['inside', 'cover', 'fill'] },
+      },
+    },
+    check(op) {
+      if (op.width === undefined && op.height === undefined) return 'needs a width or a height';
+      for (const key of ['width', 'height']) {
+        if (op[key] !== undefined && (op[key] < 1 || op[key] > MAX_IMAGE_SIZE)) {
+          return `${key} must be between 1 and ${MAX_IMAGE_SIZE}`;
+        }
+      }
+      return null;
+    },
+    apply(image, op) {
+      return image.resize({ width: op.width, height: op.height, fit: op.fit || 'inside' });
+    },
+  },
+  rotate: {
+    schema: { type: 'object', required: ['angle'], properties: { angle: { type: 'number' } } },
+    apply(image, op) {
+      // Corners uncovered by odd angles stay transparent
+      return image.rotate(op.angle, { background: { r: 0, g: 0, b: 0, alpha: 0 } });
+    },
+  },
+  flip: {
+    schema: {
+      type: 'object',
+      required: ['axis'],
+      properties: { axis: { type: 'string', enum: ['horizontal', 'vertical'] } },
+    },
+    apply(image, op) {
+      return op.axis === 'horizontal' ? image.flop() : image.flip();
+    },
+  },
+  adjust: {
+    schema: {
+      type: 'object',
+      properties: {
+        brightness: { type: 'number' },
+        saturation: { type: 'number' },
+        contrast: { type: 'number' },
+        hue: { type: 'number' },
+      },
+    },
+    check(op) {
+      const negative = ['brightness', 'saturation', 'contrast'].find(key => op[key] < 0);
+      return negative ? `${negative} must not be negative` : null;
+    },
+    apply(image, op) {
+      // Multipliers: 1 leaves the image unchanged; hue is a rotation in degrees
+      const { brightness = 1, saturation = 1, contrast = 1, hue = 0 } = op;
+      let result = image.modulate({ brightness, saturation, hue: Math.round(hue) });
+      if (contrast !== 1) result = result.linear(contrast, 128 * (1 - contrast));
+      return result;
+    },
+  },
+  convert: {
+    schema: {
+      type: 'object',
+      required: ['format'],
+      properties: {
+        format: { type: 'string', enum: OUTPUT_FORMATS },
+        quality: { type: 'integer' },
+      },
+    },
+    check(op) {
+      return op.quality !== undefined && (op.quality < 1 || op.quality > 100) ? 'quality must be between 1 and 100' : null;
+    },
+    apply(image) {
+      // Encoding happens once, after the last operation
+      return image;
+    },
+  },
+};
+
+// Largest rectangle of the given ratio, placed against the anchor side
+function aspectCrop(width, height, ratio, anchor = 'center') {
+  let cropWidth = width;
+  let cropHeight = Math.round(width / ratio);
+  if (cropHeight > height) {
+    cropHeight = height;
+    cropWidth = Math.round(height * ratio);
+  }
+  const place = (free, start, end) => (anchor === start ? 0 : anchor === end ? free : Math.floor(free / 2));
+  return {
+    left: place(width - cropWidth, 'left', 'right'),
+    top: place(height - cropHeight, 'top', 'bottom'),
+    width: cropWidth,
+    height: cropHeight,
+  };
+}
+
+/**
+ * Check an operation list before any work is done.
+ * @param {*} ops
+ * @throws {Error} status 400 describing the first invalid operation
+ */
+export function validateImageOps(ops) {
+  if (!Array.isArray(ops) || ops.length === 0) throw httpError('ops must be a non-empty array');
+  if (ops.length > MAX_OPS) throw httpError(`At most ${MAX_OPS} operations may be applied at once`);
+  ops.forEach((op, i) => {
+    const operation = OPERATIONS[op?.op];
+    if (!operation) {
+      throw httpError(`ops[${i}].op must be one of: ${Object.keys(OPERATIONS).join(', ')}`);
+    }
+    const errors = validateJsonSchema(op, operation.schema, `ops[${i}]`);
+    if (errors.length > 0) throw httpError(errors.join('; '));
+    const problem = operation.check?.(op);
+    if (problem) throw httpError(`ops[${i}] (${op.op}) ${problem}`);
+  });
+}
+
+/**
+ * Apply operations to an image.
+ *
+ * Each operation works on the output of the previous one (sharp would
+ * otherwise reorder them), so a crop after a rotate crops the rotated image.
+ *
+ * @param {Buffer} buffer - Source image
+ * @param {ImageOp[]} ops
+ * @returns {Promise<{ buffer: Buffer, format: string, width: number, height: number }>}
+ */
+export async function applyImageOps(buffer, ops) {
+  validateImageOps(ops);
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw httpError(`Image is not readable: ${error.message}`);
+  }
+  if ((metadata.pages || 1) > 1) throw httpError('Animated images cannot be edited');
+
+  let format = { jpeg: 'jpg', webp: 'webp' }[metadata.format] || 'png';
+  let quality;
+  // Only rotations off the right angles add transparency to an opaque image
+  const keepAlpha = metadata.hasAlpha || ops.some(op => op.op === 'rotate' && op.angle % 90 !== 0);
+
+  // Work on raw pixels between operations; the file is encoded once at the end
+  let { data, info } = await sharp(buffer).rotate().ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  for (const op of ops) {
+    const image = sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+    ({ data, info } = await OPERATIONS[op.op]
+      .apply(image, op, info)
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true }));
+    if (op.op === 'convert') ({ format, quality } = op);
+  }
+
+  let output = sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+  if (!keepAlpha) output = output.removeAlpha();
+  const encoded = format === 'jpg'
+    ? output.flatten({ background: '#ffffff' }).jpeg({ quality: quality ?? 90 })
+    : format === 'webp'
+      ? output.webp({ quality: quality ?? 90 })
+      : output.png();
+  return { buffer: await encoded.toBuffer(), format, width: info.width, height: info.height };
+}
+
+// ---------------------------------------------------------------------------
+// Media entries
+// ---------------------------------------------------------------------------
+
+// Fields a derived entry inherits from its source
+const INHERITED_FIELDS = ['name', 'description', 'summary', 'tags', 'prompt', 'seed', 'workflow', 'extraInputs'];
+
+function findSourceImage(uid) {
+  const source = mediaRepo.findByUid(Number(uid));
+  if (!source) throw httpError(`Media entry ${uid} not found`, 404);
+  if (!source.imageUrl || (source.type && source.type !== 'image')) {
+    throw httpError(`Media entry ${uid} is not an image`);
+  }
+  const filePath = path.join(STORAGE_DIR, path.basename(source.imageUrl));
+  if (!fs.existsSync(filePath)) throw httpError(`Image file for entry ${uid} is missing`, 404);
+  return { source, filePath };
+}
+
+/**
+ * Fields for a new entry derived from `source`.
+ * @param {Object} source - Source media entry
+ * @param {Object} fields - Overrides (imageUrl, imageFormat, orientation, imageOps…)
+ * @returns {Object}
+ */
+export function deriveEntry(source, fields) {
+  const entry = {};
+  for (const key of INHERITED_FIELDS) {
+    if (source[key] !== undefined) entry[key] = structuredClone(source[key]);
+  }
+  return { ...entry, type: 'image', origin: source.uid, timeTaken: 0, ...fields };
+}
+
+/**
+ * Apply operations to a gallery image and save the result as a new entry.
+ *
+ * @param {number|string} uid - Source entry
+ * @param {ImageOp[]} ops
+ * @returns {Promise<Object>} The new media entry
+ * @throws {Error} status 404 for unknown entries, 400 for invalid operations
+ */
+export async function createImageOpsEntry(uid, ops) {
+  validateImageOps(ops);
+  const { source, filePath } = findSourceImage(uid);
+
+  const result = await applyImageOps(fs.readFileSync(filePath), ops);
+
+  const filename = `image_${findNextIndex('image', STORAGE_DIR)}.${result.format}`;
+  fs.writeFileSync(path.join(STORAGE_DIR, filename), result.buffer);
+  console.log(`[image-ops] Saved ${filename} from entry ${source.uid} (${ops.map(op => op.op).join(', ')})`);
+
+  return mediaRepo.addMediaDataEntry(deriveEntry(source, {
+    imageUrl: `/media/${filename}`,
+    imageFormat: result.format,
+    orientation: result.width > result.height ? 'landscape' : 'portrait',
+    imageOps: structuredClone(ops),
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// Upscale hand-off
+// ---------------------------------------------------------------------------
+
+/**
+ * What the client needs to build the edit dialog.
+ * @returns {{ aspectRatios: string[], formats: string[], upscaleWorkflow: string|null }}
+ */
+export function getImageOpsOptions() {
+  return {
+    aspectRatios: CROP_ASPECT_PRESETS,
+    formats: OUTPUT_FORMATS,
+    upscaleWorkflow: _imageOpsConfig.upscaleWorkflow || null,
+  };
+}
+
+/**
+ * Queue an upscale of a gallery image through the configured ComfyUI workflow.
+ *
+ * @param {number|string} uid - Source entry
+ * @param {Object} [options]
+ * @param {string} [options.workflow] - Overrides `config.imageOps.upscaleWorkflow`
+ * @param {string} [options.clientId]
+ * @param {boolean} [options.autoStart=true]
+ * @returns {Object} The queue item
+ * @throws {Error} status 400 when no usable upscale workflow is configured, 404 for unknown entries
+ */
+export function queueUpscale(uid, { workflow, clientId = null, autoStart = true } = {}) {
+  const { source } = findSourceImage(uid);
+
+  const workflowName = workflow || _imageOpsConfig.upscaleWorkflow;
+  if (!workflowName) throw httpError('No upscale workflow configured (config.imageOps.upscaleWorkflow)');
+  const workflowData = loadWorkflows().workflows.find(w => w.name === workflowName);
+  if (!workflowData) throw httpError(`Upscale workflow '${workflowName}' not found`);
+  if (!(workflowData.options?.inputImages >= 1)) {
+    throw httpError(`Upscale workflow '${workflowName}' does not take an input image`);
+  }
+
+  return queueService.enqueue({
+    type: 'image',
+    source: 'yaaiic',
+    clientId,
+    name: source.name || String(source.uid),
+    subLabel: 'Upscale',
+    endpointKey: 'image-upscale',
+    taskData: { uid: source.uid, workflow: workflowName },
+  }, { autoStart });
+}
@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import sharp from 'sharp';
+
+// ── Mocks ────────────────────────────────────────────────────────────────────
+
+const tmp = vi.hoisted(() => ({ dir: '' }));
+
+vi.mock('../../core/paths.mjs', () => ({
+  get STORAGE_DIR() { return `${tmp.dir}/storage`; },
+  get TRASH_DIR() { return `${tmp.dir}/trash`; },
+}));
+
+vi.mock('../media/repository.mjs', () => ({
+  findByUid: vi.fn(),
+  addMediaDataEntry: vi.fn((entry) => ({ ...entry, uid: 99 })),
+}));
+
+vi.mock('../generation/workflow-validator.mjs', () => ({
+  loadWorkflows: vi.fn(() => ({
+    workflows: [
+      { name: 'Upscale 2x', options: { type: 'image', inputImages: 1 } },
+      { name: 'flux', options: { type: 'image' } },
+    ],
+  })),
+}));
+
+vi.mock('../queue/service.mjs', () => ({
+  enqueue: vi.fn((record) => ({ id: 'q1', ...record })),
+}));
+
+const imageOps = await import('./service.mjs');
+const { findByUid, addMediaDataEntry } = await import('../media/repository.mjs');
+const { enqueue } = await import('../queue/service.mjs');
+
+// 4x2: left half red, right half blue
+const source = () => sharp(Buffer.from([
+  255, 0, 0, 255, 0, 0, 0, 0, 255, 0, 0, 255,
+  255, 0, 0, 255, 0, 0, 0, 0, 255, 0, 0, 255,
+]), { raw: { width: 4, height: 2, channels: 3 } }).png().toBuffer();
+
+const pixel = async (buffer, x, y) => {
+  const { data, info } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+  const at = (y * info.width + x) * info.channels;
+  return [...data.subarray(at, at + 3)];
+};
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('image ops service', () => {
+  beforeEach(() => {
+    tmp.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-ops-test-'));
+    fs.mkdirSync(path.join(tmp.dir, 'storage'));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    addMediaDataEntry.mockClear();
+    enqueue.mockClear();
+    imageOps.initialize({ config: { imageOps: { upscaleWorkflow: 'Upscale 2x' } } });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmp.dir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('applies operations in order and keeps the source format unless converted', async () => {
+    // Square crop keeping the right (blue) side, then rotate and mirror
+    const result = await imageOps.applyImageOps(await source(), [
+      { op: 'crop', aspect: '1:1', anchor: 'right' },
+      { op: 'rotate', angle: 90 },
+      { op: 'flip', axis: 'horizontal' },
+      { op: 'resize', width: 4 },
+    ]);
+    expect(result).toMatchObject({ format: 'png', width: 4, height: 4 });
+    expect((await sharp(result.buffer).metadata()).hasAlpha).toBe(false);
+    expect(await pixel(result.buffer, 0, 0)).toEqual([0, 0, 255]);
+
+    const jpg = await imageOps.applyImageOps(await source(), [
+      { op: 'adjust', brightness: 0.5 },
+      { op: 'convert', format: 'jpg', quality: 80 },
+    ]);
+    expect(jpg.format).toBe('jpg');
+    expect((await sharp(jpg.buffer).metadata()).format).toBe('jpeg');
+    expect((await pixel(jpg.buffer, 0, 0))[0]).toBeLessThan(200);
+  });
+
+  it('rejects invalid operation lists with status 400', async () => {
+    const image = await source();
+    await expect(imageOps.applyImageOps(image, [])).rejects.toMatchObject({ status: 400 });
+    await expect(imageOps.applyImageOps(image, [{ op: 'sharpen' }])).rejects.toMatchObject({ status: 400 });
+    await expect(imageOps.applyImageOps(image, [{ op: 'flip', axis: 'diagonal' }])).rejects.toMatchObject({ status: 400 });
+    await expect(imageOps.applyImageOps(image, [{ op: 'convert', format: 'webp', quality: 0 }]))
+      .rejects.toMatchObject({ status: 400, message: 'ops[0] (convert) quality must be between 1 and 100' });
+    await expect(imageOps.applyImageOps(image, [{ op: 'crop', x: 2, y: 0, width: 4, height: 2 }]))
+      .rejects.toMatchObject({ status: 400, message: 'crop 4x2+2+0 is outside the 4x2 image' });
+  });
+
+  it('saves the result as a new entry linked to its source', async () => {
+    fs.writeFileSync(path.join(tmp.dir, 'storage', 'image_3.png'), await source());
+    findByUid.mockImplementation((uid) => (uid === 7 ? {
+      uid: 7, name: 'Sunset', tags: 'sky', workflow: 'flux', imageUrl: '/media/image_3.png', type: 'image', maskUrl: '/media/m.png',
+    } : undefined));
+
+    const ops = [{ op: 'crop', x: 0, y: 0, width: 2, height: 2 }, { op: 'convert', format: 'webp' }];
+    const entry = await imageOps.createImageOpsEntry('7', ops);
+
+    expect(entry).toMatchObject({
+      uid: 99, origin: 7, name: 'Sunset', tags: 'sky', workflow: 'flux',
+      imageUrl: '/media/image_4.webp', imageFormat: 'webp', orientation: 'portrait', imageOps: ops,
+    });
+    expect(entry.maskUrl).toBeUndefined();
+    expect((await sharp(path.join(tmp.dir, 'storage', 'image_4.webp')).metadata()).width).toBe(2);
+
+    await expect(imageOps.createImageOpsEntry(8, ops)).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('queues upscales through the configured workflow', () => {
+    findByUid.mockReturnValue({ uid: 7, name: 'Sunset', imageUrl: '/media/image_3.png', type: 'image' });
+    fs.writeFileSync(path.join(tmp.dir, 'storage', 'image_3.png'), '');
+
+    imageOps.queueUpscale(7, { clientId: 'c1' });
+    expect(enqueue).toHaveBeenCalledWith(expect.objectContaining({
+      endpointKey: 'image-upscale', clientId: 'c1', taskData: { uid: 7, workflow: 'Upscale 2x' },
+    }), { autoStart: true });
+
+    expect(() => imageOps.queueUpscale(7, { workflow: 'flux' })).toThrow(expect.objectContaining({ status: 400 }));
+    imageOps.initialize({ config: {} });
+    expect(() => imageOps.queueUpscale(7)).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
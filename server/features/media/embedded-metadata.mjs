@@ -0,0 +1,525 @@
+/**
+ * Embedded media metadata – generation details stored inside output files.
+ *
+ * Writing (after a generation is saved):
+ * - PNG  – `tEXt` chunks: `yaaiic` (the JSON payload), `Title`, `Description`
+ * - WebP – XMP packet (`yaaiic:metadata` attribute plus dc:title / dc:description)
+ *          and an EXIF IFD0 `ImageDescription` holding the payload, via node-webpmux
+ * - MP3  – ID3v2 tags via ffmpeg: title, comment and a `YAAIIC` TXXX frame
+ *
+ * The payload is `{ generator: 'YAAIIC', version: 1, name, prompt, seed,
+ * workflow, tags, description, summary }`, serialized as ASCII-only JSON so
+ * it fits latin1 text chunks and ID3 frames unchanged.
+ *
+ * Reading (on upload) recognizes that payload and the metadata other tools
+ * write: A1111 `parameters` text, ComfyUI `prompt` graphs in PNG text chunks
+ * and in WebP EXIF (`prompt:` Model tag).
+ *
+ * @module features/media/embedded-metadata
+ */
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { randomUUID } from 'crypto';
+import WebP from 'node-webpmux';
+
+const execFileAsync = promisify(execFile);
+
+export const METADATA_GENERATOR = 'YAAIIC';
+export const METADATA_VERSION = 1;
+
+/** Entry fields carried in the payload, in the order they are written. */
+export const EMBEDDED_FIELDS = ['name', 'prompt', 'seed', 'workflow', 'tags', 'description', 'summary'];
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PNG_KEYWORD = 'yaaiic';
+const ID3_DESCRIPTION = 'YAAIIC';
+const XMP_NAMESPACE = 'https://github.com/AlexSzeto/YAAIIC/ns/1.0/';
+
+const EXIF_IMAGE_DESCRIPTION = 0x010e;
+const EXIF_MAKE = 0x010f;
+const EXIF_MODEL = 0x0110;
+const EXIF_SOFTWARE = 0x0131;
+
+// ---------------------------------------------------------------------------
+// Payload
+// ---------------------------------------------------------------------------
+
+/**
+ * JSON with every non-ASCII character escaped, so it survives latin1 storage.
+ * @param {*} value
+ * @returns {string}
+ */
+function asciiJson(value) {
+  return JSON.stringify(value).replace(/[\u007f-\uffff]/g, c => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+/**
+ * Payload embedded for a media entry. Empty fields are left out.
+ * @param {Object} entry - Generation data / media entry
+ * @returns {Object}
+ */
+export function buildEmbeddedMetadata(entry) {
+  const payload = { generator: METADATA_GENERATOR, version: METADATA_VERSION };
+  for (const field of EMBEDDED_FIELDS) {
+    const value = entry[field];
+    if (value !== undefined && value !== null && value !== '') payload[field] = value;
+  }
+  return payload;
+}
+
+/**
+ * Keep the known fields of a payload, with their expected types.
+ * @param {Object} payload
+ * @returns {Object}
+ */
+function pickFields(payload) {
+  const fields = {};
+  for (const field of EMBEDDED_FIELDS) {
+    const value = payload?.[field];
+    if (field === 'seed') {
+      if (Number.isFinite(Number(value)) && value !== '' && value !== null) fields.seed = Number(value);
+    } else if (typeof value === 'string' && value.trim()) {
+      fields[field] = value;
+    }
+  }
+  return fields;
+}
+
+function parsePayload(text) {
+  try {
+    const payload = JSON.parse(text);
+    return payload?.generator === METADATA_GENERATOR ? pickFields(payload) : null;
+  } catch {
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Other tools
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse A1111 / Forge `parameters` text: the prompt, an optional
+ * `Negative prompt:` line and a final `Steps: ..., Seed: ...` settings line.
+ * @param {string} text
+ * @returns {Object|null} `{ prompt, seed? }`
+ */
+export function parseA1111Parameters(text) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const settingsIndex = lines.findLastIndex(line => /^Steps:\s*\d+/.test(line));
+  const settings = settingsIndex >= 0 ? lines[settingsIndex] : '';
+  let promptLines = settingsIndex >= 0 ? lines.slice(0, settingsIndex) : lines;
+  const negativeIndex = promptLines.findIndex(line => line.startsWith('Negative prompt:'));
+  if (negativeIndex >= 0) promptLines = promptLines.slice(0, negativeIndex);
+
+  const fields = {};
+  const prompt = promptLines.join('\n').trim();
+  if (prompt) fields.prompt = prompt;
+  const seed = settings.match(/(?:^|,\s*)Seed:\s*(\d+)/);
+  if (seed) fields.seed = Number(seed[1]);
+  return Object.keys(fields).length > 0 ? fields : null;
+}
+
+/**
+ * Pull the prompt and seed out of a ComfyUI API-format graph. The prompt is
+ * the text of the encoder wired to a sampler's `positive` input, falling back
+ * to the longest text-encoder prompt.
+ * @param {Object|string} graph
+ * @returns {Object|null} `{ prompt?, seed? }`
+ */
+export function parseComfyPrompt(graph) {
+  let nodes = graph;
+  if (typeof nodes === 'string') {
+    try { nodes = JSON.parse(nodes); } catch { return null; }
+  }
+  if (!nodes || typeof nodes !== 'object') return null;
+
+  const fields = {};
+  const list = Object.values(nodes).filter(node => node && typeof node === 'object' && node.inputs);
+  const textOf = (node) => (typeof node?.inputs?.text === 'string' ? node.inputs.text : null);
+
+  for (const node of list) {
+    const seed = node.inputs.seed ?? node.inputs.noise_seed;
+    if (fields.seed === undefined && Number.isFinite(seed)) fields.seed = seed;
+    const positive = node.inputs.positive;
+    if (!fields.prompt && Array.isArray(positive)) {
+      const text = textOf(nodes[positive[0]]);
+      if (text?.trim()) fields.prompt = text;
+    }
+  }
+  if (!fields.prompt) {
+    const texts = list
+      .filter(node => /TextEncode/i.test(node.class_type || ''))
+      .map(textOf)
+      .filter(text => text?.trim())
+      .sort((a, b) => b.length - a.length);
+    if (texts.length > 0) fields.prompt = texts[0];
+  }
+  return Object.keys(fields).length > 0 ? fields : null;
+}
+
+// ---------------------------------------------------------------------------
+// PNG text chunks
+// ---------------------------------------------------------------------------
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunks(buffer) {
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buffer.length) break;
+    chunks.push({ type, data: buffer.subarray(offset + 8, offset + 8 + length), raw: buffer.subarray(offset, end) });
+    offset = end;
+    if (type === 'IEND') break;
+  }
+  return chunks;
+}
+
+function textChunk(keyword, text) {
+  const data = Buffer.concat([Buffer.from(keyword, 'latin1'), Buffer.from([0]), Buffer.from(text, 'latin1')]);
+  const type = Buffer.from('tEXt', 'latin1');
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([type, data])));
+  return Buffer.concat([length, type, data, crc]);
+}
+
+/**
+ * Read the `tEXt`, `zTXt` and `iTXt` chunks of a PNG.
+ * @param {Buffer} buffer
+ * @returns {Object<string, string>} keyword → text
+ */
+export function readPngText(buffer) {
+  const texts = {};
+  for (const { type, data } of pngChunks(buffer)) {
+    const nul = data.indexOf(0);
+    if (nul < 0) continue;
+    const keyword = data.toString('latin1', 0, nul);
+    try {
+      if (type === 'tEXt') {
+        texts[keyword] = data.toString('latin1', nul + 1);
+      } else if (type === 'zTXt') {
+        texts[keyword] = zlib.inflateSync(data.subarray(nul + 2)).toString('latin1');
+      } else if (type === 'iTXt') {
+        const compressed = data[nul + 1] === 1;
+        const langEnd = data.indexOf(0, nul + 3);
+        const keywordEnd = data.indexOf(0, langEnd + 1);
+        const body = data.subarray(keywordEnd + 1);
+        texts[keyword] = (compressed ? zlib.inflateSync(body) : body).toString('utf8');
+      }
+    } catch {
+      // Corrupt chunk – skip it
+    }
+  }
+  return texts;
+}
+
+/**
+ * Return a PNG with `texts` as `tEXt` chunks before IEND, replacing existing
+ * chunks with the same keywords.
+ * @param {Buffer} buffer
+ * @param {Object<string, string>} texts - keyword → latin1 text
+ * @returns {Buffer}
+ */
+export function writePngText(buffer, texts) {
+  if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) throw new Error('Not a PNG file');
+  const keywords = new Set(Object.keys(texts));
+  const parts = [PNG_SIGNATURE];
+  for (const chunk of pngChunks(buffer)) {
+    if (chunk.type === 'IEND') {
+      for (const [keyword, text] of Object.entries(texts)) parts.push(textChunk(keyword, text));
+    } else if (['tEXt', 'zTXt', 'iTXt'].includes(chunk.type)) {
+      const keyword = chunk.data.toString('latin1', 0, Math.max(chunk.data.indexOf(0), 0));
+      if (keywords.has(keyword)) continue;
+    }
+    parts.push(chunk.raw);
+  }
+  return Buffer.concat(parts);
+}
+
+// ---------------------------------------------------------------------------
+// EXIF / XMP
+// ---------------------------------------------------------------------------
+
+/**
+ * Minimal little-endian TIFF block with ASCII IFD0 tags.
+ * @param {[number, string][]} tags - `[tag, text]`, any order
+ * @returns {Buffer}
+ */
+function buildExif(tags) {
+  const sorted = [...tags].sort((a, b) => a[0] - b[0]);
+  const values = sorted.map(([, text]) => Buffer.concat([Buffer.from(text, 'latin1'), Buffer.from([0])]));
+  const ifdSize = 2 + sorted.length * 12 + 4;
+  const header = Buffer.alloc(8 + ifdSize);
+  header.write('II', 0, 'latin1');
+  header.writeUInt16LE(42, 2);
+  header.writeUInt32LE(8, 4);
+  header.writeUInt16LE(sorted.length, 8);
+  let dataOffset = 8 + ifdSize;
+  sorted.forEach(([tag], i) => {
+    const at = 10 + i * 12;
+    header.writeUInt16LE(tag, at);
+    header.writeUInt16LE(2, at + 2); // ASCII
+    header.writeUInt32LE(values[i].length, at + 4);
+    if (values[i].length <= 4) {
+      values[i].copy(header, at + 8);
+    } else {
+      header.writeUInt32LE(dataOffset, at + 8);
+      dataOffset += values[i].length;
+    }
+  });
+  return Buffer.concat([header, ...values.filter(value => value.length > 4)]);
+}
+
+/**
+ * Read the ASCII tags of an EXIF block's IFD0.
+ * @param {Buffer} buffer - TIFF data, optionally prefixed with `Exif\0\0`
+ * @returns {Map<number, string>}
+ */
+export function readExifText(buffer) {
+  const tags = new Map();
+  let tiff = buffer;
+  if (tiff.toString('latin1', 0, 6) === 'Exif\0\0') tiff = tiff.subarray(6);
+  const order = tiff.toString('latin1', 0, 2);
+  if (order !== 'II' && order !== 'MM') return tags;
+  const le = order === 'II';
+  const u16 = (at) => (le ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+  const u32 = (at) => (le ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+  try {
+    const ifd = u32(4);
+    const count = u16(ifd);
+    for (let i = 0; i < count; i++) {
+      const at = ifd + 2 + i * 12;
+      if (u16(at + 2) !== 2) continue;
+      const length = u32(at + 4);
+      const start = length <= 4 ? at + 8 : u32(at + 8);
+      tags.set(u16(at), tiff.toString('latin1', start, start + length).replace(/\0+$/, ''));
+    }
+  } catch {
+    // Truncated block – keep what was read
+  }
+  return tags;
+}
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const unescapeXml = (text) => text
+  .replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+
+function buildXmp(payload) {
+  const alt = (tag, text) => text
+    ? `<dc:${tag}><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(text)}</rdf:li></rdf:Alt></dc:${tag}>`
+    : '';
+  return [
+    '<?xpacket begin="\ufeff" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    `<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:yaaiic="${XMP_NAMESPACE}" yaaiic:metadata="${escapeXml(JSON.stringify(payload))}">`,
+    alt('title', payload.name),
+    alt('description', payload.prompt),
+    '</rdf:Description>',
+    '</rdf:RDF>',
+    '</x:xmpmeta>',
+    '<?xpacket end="w"?>',
+  ].join('');
+}
+
+// ---------------------------------------------------------------------------
+// ID3
+// ---------------------------------------------------------------------------
+
+function decodeId3Text(encoding, bytes) {
+  if (encoding === 1 || encoding === 2) {
+    let body = bytes;
+    let bigEndian = encoding === 2;
+    if (body[0] === 0xfe && body[1] === 0xff) { bigEndian = true; body = body.subarray(2); }
+    else if (body[0] === 0xff && body[1] === 0xfe) { bigEndian = false; body = body.subarray(2); }
+    const copy = Buffer.from(body.subarray(0, body.length - (body.length % 2)));
+    if (bigEndian) copy.swap16();
+    return copy.toString('utf16le').replace(/\0+$/, '');
+  }
+  return bytes.toString(encoding === 3 ? 'utf8' : 'latin1').replace(/\0+$/, '');
+}
+
+/** Split `bytes` at the first string terminator for `encoding`. */
+function splitId3Terminated(encoding, bytes) {
+  const wide = encoding === 1 || encoding === 2;
+  for (let i = 0; i < bytes.length; i += wide ? 2 : 1) {
+    if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) {
+      return [bytes.subarray(0, i), bytes.subarray(i + (wide ? 2 : 1))];
+    }
+  }
+  return [bytes, Buffer.alloc(0)];
+}
+
+/**
+ * Read the text frames of an ID3v2.3 / v2.4 tag.
+ * @param {Buffer} buffer - Start of an MP3 file
+ * @returns {{ title?: string, comment?: string, txxx: Object<string, string> }}
+ */
+export function readId3Tags(buffer) {
+  const tags = { txxx: {} };
+  if (buffer.toString('latin1', 0, 3) !== 'ID3') return tags;
+  const version = buffer[3];
+  const syncsafe = (at) => (buffer[at] << 21) | (buffer[at + 1] << 14) | (buffer[at + 2] << 7) | buffer[at + 3];
+  const end = Math.min(10 + syncsafe(6), buffer.length);
+  let offset = 10;
+  if (buffer[5] & 0x40) offset += version === 4 ? syncsafe(10) : buffer.readUInt32BE(10) + 4;
+
+  while (offset + 10 <= end) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    if (!/^[A-Z0-9]{4}$/.test(id)) break;
+    const size = version === 4 ? syncsafe(offset + 4) : buffer.readUInt32BE(offset + 4);
+    const frame = buffer.subarray(offset + 10, Math.min(offset + 10 + size, end));
+    offset += 10 + size;
+    if (frame.length === 0) continue;
+    const encoding = frame[0];
+    if (id === 'TIT2') {
+      tags.title = decodeId3Text(encoding, frame.subarray(1));
+    } else if (id === 'COMM' && tags.comment === undefined) {
+      const [, text] = splitId3Terminated(encoding, frame.subarray(4));
+      tags.comment = decodeId3Text(encoding, text);
+    } else if (id === 'TXXX') {
+      const [description, value] = splitId3Terminated(encoding, frame.subarray(1));
+      tags.txxx[decodeId3Text(encoding, description)] = decodeId3Text(encoding, value);
+    }
+  }
+  return tags;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Write `payload` into a media file in place. Formats other than PNG, WebP
+ * and MP3 are left untouched.
+ * @param {string} filePath
+ * @param {Object} payload - From {@link buildEmbeddedMetadata}
+ * @returns {Promise<boolean>} Whether metadata was written.
+ * @throws {Error} When the file cannot be read or rewritten (e.g. ffmpeg missing).
+ */
+export async function embedMetadata(filePath, payload) {
+  const ext = path.extname(filePath).toLowerCase();
+  const json = asciiJson(payload);
+  const asciiText = (text) => String(text).replace(/[^\x20-\x7e\n]/g, '?');
+
+  if (ext === '.png') {
+    const texts = { [PNG_KEYWORD]: json };
+    if (payload.name) texts.Title = asciiText(payload.name);
+    if (payload.prompt) texts.Description = asciiText(payload.prompt);
+    fs.writeFileSync(filePath, writePngText(fs.readFileSync(filePath), texts));
+    return true;
+  }
+
+  if (ext === '.webp') {
+    const image = new WebP.Image();
+    await image.load(filePath);
+    image.xmp = Buffer.from(buildXmp(payload), 'utf8');
+    image.exif = buildExif([[EXIF_IMAGE_DESCRIPTION, json], [EXIF_SOFTWARE, METADATA_GENERATOR]]);
+    await image.save(filePath);
+    return true;
+  }
+
+  if (ext === '.mp3') {
+    // Unique per call: audio runs on different backends can finish together
+    const tempPath = path.join(path.dirname(filePath), `_metadata_temp_${randomUUID()}${ext}`);
+    const tag = (key, value) => ['-metadata', `${key}=${value}`];
+    try {
+      await execFileAsync('ffmpeg', [
+        '-y', '-i', filePath, '-map', '0', '-c', 'copy', '-id3v2_version', '3',
+        ...(payload.name ? tag('title', payload.name) : []),
+        ...(payload.prompt ? tag('comment', payload.prompt) : []),
+        ...tag(ID3_DESCRIPTION, json),
+        tempPath,
+      ]);
+    } catch (err) {
+      if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+      throw new Error(err.code === 'ENOENT' ? 'FFmpeg not found on PATH' : `FFmpeg tagging failed: ${err.message}`);
+    }
+    fs.renameSync(tempPath, filePath);
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Embed the payload of a finished generation into its saved image and audio
+ * files. Failures are logged and never fail the generation.
+ * @param {Object} generationData - With `saveImagePath` / `saveAudioPath`
+ * @returns {Promise<string[]>} Paths that were tagged.
+ */
+export async function embedEntryMetadata(generationData) {
+  const payload = buildEmbeddedMetadata(generationData);
+  const tagged = [];
+  for (const filePath of [generationData.saveImagePath, generationData.saveAudioPath]) {
+    if (!filePath || !fs.existsSync(filePath)) continue;
+    try {
+      if (await embedMetadata(filePath, payload)) tagged.push(filePath);
+    } catch (error) {
+      console.warn(`Failed to embed metadata in ${path.basename(filePath)}:`, error.message);
+    }
+  }
+  return tagged;
+}
+
+/**
+ * Recognize generation metadata in an uploaded file.
+ *
+ * YAAIIC's own payload wins; otherwise A1111 `parameters` and ComfyUI
+ * `prompt` graphs (PNG text, WebP EXIF) are used.
+ *
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<{ source: 'yaaiic'|'a1111'|'comfyui', fields: Object }|null>}
+ *   `fields` holds any of name, prompt, seed, workflow, tags, description, summary.
+ */
+export async function readEmbeddedMetadata(buffer) {
+  const found = (source, fields) => (fields && Object.keys(fields).length > 0 ? { source, fields } : null);
+
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    const texts = readPngText(buffer);
+    return found('yaaiic', texts[PNG_KEYWORD] && parsePayload(texts[PNG_KEYWORD]))
+      || found('a1111', parseA1111Parameters(texts.parameters))
+      || found('comfyui', texts.prompt && parseComfyPrompt(texts.prompt));
+  }
+
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    const image = new WebP.Image();
+    await image.load(buffer);
+    const xmp = image.xmp?.toString('utf8').match(/yaaiic:metadata="([^"]*)"/);
+    const exif = image.exif ? readExifText(image.exif) : new Map();
+    const comfy = [exif.get(EXIF_MODEL), exif.get(EXIF_MAKE)].find(text => text?.startsWith('prompt:'));
+    return found('yaaiic', xmp && parsePayload(unescapeXml(xmp[1])))
+      || found('yaaiic', exif.has(EXIF_IMAGE_DESCRIPTION) && parsePayload(exif.get(EXIF_IMAGE_DESCRIPTION)))
+      || found('comfyui', comfy && parseComfyPrompt(comfy.slice('prompt:'.length)));
+  }
+
+  if (buffer.toString('latin1', 0, 3) === 'ID3') {
+    const tags = readId3Tags(buffer);
+    const key = Object.keys(tags.txxx).find(description => description.toUpperCase() === ID3_DESCRIPTION);
+    return found('yaaiic', key && parsePayload(tags.txxx[key]));
+  }
+
+  return null;
+}
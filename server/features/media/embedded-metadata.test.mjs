@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import sharp from 'sharp';
+import {
+  buildEmbeddedMetadata, embedMetadata, readEmbeddedMetadata,
+  parseA1111Parameters, parseComfyPrompt, readId3Tags, writePngText,
+} from './embedded-metadata.mjs';
+
+const entry = { name: 'Café cat', prompt: 'a cat ☕', seed: 42, workflow: 'Text to Image', tags: 'cat, cup', summary: '', uid: 7 };
+
+describe('embedded metadata', () => {
+  let dir;
+  beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'embedded-metadata-test-')); });
+  afterEach(() => { fs.rmSync(dir, { recursive: true, force: true }); });
+
+  it('round-trips the payload through PNG and WebP files', async () => {
+    const payload = buildEmbeddedMetadata(entry);
+    expect(payload).toEqual({
+      generator: 'YAAIIC', version: 1, name: 'Café cat', prompt: 'a cat ☕', seed: 42, workflow: 'Text to Image', tags: 'cat, cup',
+    });
+
+    for (const format of ['png', 'webp']) {
+      const file = path.join(dir, `image.${format}`);
+      await sharp({ create: { width: 4, height: 4, channels: 3, background: '#f00' } }).toFormat(format).toFile(file);
+      expect(await embedMetadata(file, payload)).toBe(true);
+      // Embedding twice replaces rather than duplicates
+      await embedMetadata(file, { ...payload, seed: 43 });
+
+      const { generator, version, ...fields } = payload;
+      expect(await readEmbeddedMetadata(fs.readFileSync(file))).toEqual({ source: 'yaaiic', fields: { ...fields, seed: 43 } });
+      expect((await sharp(file).metadata()).width).toBe(4);
+    }
+    expect(await embedMetadata(path.join(dir, 'clip.wav'), payload)).toBe(false);
+  });
+
+  it('reads A1111 parameters and ComfyUI prompt graphs', async () => {
+    const parameters = 'a red fox,\nsnow\nNegative prompt: blurry\nSteps: 20, Sampler: Euler a, Seed: 1234, Size: 512x512';
+    expect(parseA1111Parameters(parameters)).toEqual({ prompt: 'a red fox,\nsnow', seed: 1234 });
+
+    const graph = {
+      3: { class_type: 'KSampler', inputs: { seed: 99, positive: ['6', 0], negative: ['7', 0] } },
+      6: { class_type: 'CLIPTextEncode', inputs: { text: 'a fox' } },
+      7: { class_type: 'CLIPTextEncode', inputs: { text: 'a much longer negative prompt' } },
+    };
+    expect(parseComfyPrompt(graph)).toEqual({ prompt: 'a fox', seed: 99 });
+
+    const png = await sharp({ create: { width: 2, height: 2, channels: 3, background: '#000' } }).png().toBuffer();
+    expect(await readEmbeddedMetadata(writePngText(png, { parameters }))).toEqual({
+      source: 'a1111', fields: { prompt: 'a red fox,\nsnow', seed: 1234 },
+    });
+    expect(await readEmbeddedMetadata(writePngText(png, { prompt: JSON.stringify(graph), workflow: '{}' }))).toEqual({
+      source: 'comfyui', fields: { prompt: 'a fox', seed: 99 },
+    });
+    expect(await readEmbeddedMetadata(png)).toBeNull();
+  });
+
+  it('reads ID3 text frames in latin1 and UTF-16', async () => {
+    const frame = (id, body) => {
+      const header = Buffer.alloc(10);
+      header.write(id, 0, 'latin1');
+      header.writeUInt32BE(body.length, 4);
+      return Buffer.concat([header, body]);
+    };
+    const utf16 = (text) => Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(text, 'utf16le')]);
+    const frames = Buffer.concat([
+      frame('TIT2', Buffer.concat([Buffer.from([1]), utf16('Café')])),
+      frame('TXXX', Buffer.concat([Buffer.from([0]), Buffer.from('YAAIIC\0{"generator":"YAAIIC","name":"Song","seed":5}', 'latin1')])),
+    ]);
+    const size = frames.length;
+    const header = Buffer.from([0x49, 0x44, 0x33, 3, 0, 0, (size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f]);
+    const mp3 = Buffer.concat([header, frames, Buffer.alloc(16)]);
+
+    expect(readId3Tags(mp3)).toMatchObject({ title: 'Café', txxx: { YAAIIC: '{"generator":"YAAIIC","name":"Song","seed":5}' } });
+    expect(await readEmbeddedMetadata(mp3)).toEqual({ source: 'yaaiic', fields: { name: 'Song', seed: 5 } });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Media lineage – which entries an entry was made from, and how.
+ *
+ * Every entry records `parents` (source uids, most direct first) and the
+ * `operation` that produced it. Both are resolved once, when the entry is
+ * added, from the fields the producing feature already sets:
+ *
+ * - `origin`                         – inpaint, outpaint, image ops, upscales, sound edits
+ * - `image_N_uid` / `audio_N_uid`    – gallery inputs picked in the generation form
+ * - `image_N_filename` / `audio_N_filename` – inputs handed over by storage path
+ *   (nested `executeWorkflow` hand-offs, AnyTale voices); these are dropped by
+ *   the sanitizer, so they must be resolved before it runs.
+ *
+ * The children side of the graph is served by the database `parent` index.
+ *
+ * @module features/media/lineage
+ */
+
+/** Operations an entry can be produced by. */
+export const LINEAGE_OPERATIONS = ['generate', 'inpaint', 'outpaint', 'edit', 'upscale', 'upload', 'reproduce', 'render'];
+
+const INPUT_UID_KEY = /^(image|audio)_\d+_uid$/;
+const INPUT_FILENAME_KEY = /^(image|audio)_\d+_filename$/;
+
+/**
+ * Collect the values of input keys matching `pattern`, ordered by input
+ * index, from the top level of an entry and from its `extraInputs`.
+ */
+function inputValues(entry, pattern) {
+  const extras = (entry.extraInputs && typeof entry.extraInputs === 'object') ? entry.extraInputs : {};
+  const found = new Map();
+  for (const source of [extras, entry]) {
+    for (const [key, value] of Object.entries(source)) {
+      if (pattern.test(key) && value !== undefined && value !== null && value !== '') found.set(key, value);
+    }
+  }
+  return [...found.keys()].sort().map(key => found.get(key));
+}
+
+/**
+ * Resolve the uids an entry was derived from.
+ *
+ * @param {Object} entry - Raw (unsanitized) entry.
+ * @param {Object} lookup
+ * @param {(uid: number) => Object|undefined} lookup.findByUid
+ * @param {(url: string) => Object|undefined} lookup.findByMediaUrl - Entry whose imageUrl / audioUrl is `url`.
+ * @returns {number[]} Existing parent uids, de-duplicated, never including the entry itself.
+ */
+export function resolveParents(entry, { findByUid, findByMediaUrl }) {
+  const candidates = [];
+  if (Array.isArray(entry.parents)) candidates.push(...entry.parents);
+  if (entry.origin != null) candidates.push(entry.origin);
+  candidates.push(...inputValues(entry, INPUT_UID_KEY));
+
+  const parents = [];
+  const add = (uid) => {
+    if (!Number.isFinite(uid) || uid === entry.uid || parents.includes(uid)) return;
+    if (findByUid(uid)) parents.push(uid);
+  };
+  candidates.forEach(value => add(Number(value)));
+
+  for (const filename of inputValues(entry, INPUT_FILENAME_KEY)) {
+    const source = findByMediaUrl(`/media/${String(filename).replace(/^\/?(media\/)?/, '')}`);
+    if (source) add(source.uid);
+  }
+  return parents;
+}
+
+/**
+ * Name the operation that produced an entry. An explicit `operation` wins;
+ * otherwise it is inferred from the fields the producing feature sets.
+ *
+ * @param {Object} entry
+ * @returns {string} One of LINEAGE_OPERATIONS.
+ */
+export function inferOperation(entry) {
+  if (LINEAGE_OPERATIONS.includes(entry.operation)) return entry.operation;
+  if (entry.outpaint) return 'outpaint';
+  if (entry.inpaint) return 'inpaint';
+  if (Array.isArray(entry.imageOps) && entry.imageOps.length > 0) {
+    return entry.imageOps.some(op => op?.op === 'upscale') ? 'upscale' : 'edit';
+  }
+  if (/^Uploaded (Image|Audio)$/.test(entry.workflow || '')) {
+    return entry.origin != null ? 'edit' : 'upload';
+  }
+  return 'generate';
+}
+
+/**
+ * Walk the lineage graph around `uid` in both directions.
+ *
+ * Ancestors follow `parents`, descendants follow the children lookup. Nodes
+ * are listed once at their nearest distance; the walk is cycle-safe and
+ * parents that no longer exist are reported in `missing`.
+ *
+ * @param {number} uid
+ * @param {Object} lookup
+ * @param {(uid: number) => Object|undefined} lookup.findByUid
+ * @param {(uid: number) => Object[]} lookup.findChildren
+ * @param {number} [depth=Infinity] - Maximum generations to walk each way.
+ * @returns {{ ancestors: { entry: Object, depth: number }[], descendants: { entry: Object, depth: number }[],
+ *   edges: { parent: number, child: number }[], missing: number[] }}
+ */
+export function walkLineage(uid, { findByUid, findChildren }, depth = Infinity) {
+  const edges = new Map();
+  const addEdge = (parent, child) => edges.set(`${parent}>${child}`, { parent, child });
+  const missing = new Set();
+
+  const walk = (next) => {
+    const seen = new Set([uid]);
+    const nodes = [];
+    let frontier = [findByUid(uid)];
+    for (let level = 1; level <= depth && frontier.length > 0; level++) {
+      const upcoming = [];
+      for (const entry of frontier) {
+        for (const node of next(entry)) {
+          if (seen.has(node.uid)) continue;
+          seen.add(node.uid);
+          nodes.push({ entry: node, depth: level });
+          upcoming.push(node);
+        }
+      }
+      frontier = upcoming;
+    }
+    return nodes;
+  };
+
+  const ancestors = walk((entry) => (entry.parents || []).flatMap((parentUid) => {
+    const parent = findByUid(parentUid);
+    if (!parent) { missing.add(parentUid); return []; }
+    addEdge(parentUid, entry.uid);
+    return [parent];
+  }));
+  const descendants = walk((entry) => findChildren(entry.uid).map((child) => {
+    addEdge(entry.uid, child.uid);
+    return child;
+  }));
+
+  return { ancestors, descendants, edges: [...edges.values()], missing: [...missing] };
+}
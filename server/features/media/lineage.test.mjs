@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { resolveParents, inferOperation, walkLineage } from './lineage.mjs';
+
+const graph = (entries) => {
+  const byUid = new Map(entries.map(entry => [entry.uid, entry]));
+  return {
+    findByUid: (uid) => byUid.get(uid),
+    findByMediaUrl: (url) => entries.find(entry => entry.imageUrl === url || entry.audioUrl === url),
+    findChildren: (uid) => entries.filter(entry => (entry.parents || []).includes(uid)),
+  };
+};
+
+describe('media lineage', () => {
+  it('resolves parents from origin, input uids and input filenames', () => {
+    const lookup = graph([
+      { uid: 1, imageUrl: '/media/image_1.png' },
+      { uid: 2, audioUrl: '/media/voices/v.mp3' },
+      { uid: 3 },
+    ]);
+    expect(resolveParents({
+      uid: 9,
+      origin: 3,
+      extraInputs: { image_0_uid: '1' },
+      image_0_uid: 1,
+      image_1_filename: 'image_1.png',
+      audio_0_filename: 'voices/v.mp3',
+      image_2_uid: 77,
+    }, lookup)).toEqual([3, 1, 2]);
+    expect(resolveParents({ uid: 3, origin: 3 }, lookup)).toEqual([]);
+  });
+
+  it('infers the producing operation', () => {
+    expect(inferOperation({ workflow: 'flux' })).toBe('generate');
+    expect(inferOperation({ inpaint: true })).toBe('inpaint');
+    expect(inferOperation({ inpaint: true, outpaint: { left: 64 } })).toBe('outpaint');
+    expect(inferOperation({ imageOps: [{ op: 'crop' }] })).toBe('edit');
+    expect(inferOperation({ imageOps: [{ op: 'upscale' }] })).toBe('upscale');
+    expect(inferOperation({ workflow: 'Uploaded Audio' })).toBe('upload');
+    expect(inferOperation({ workflow: 'Uploaded Audio', origin: 4 })).toBe('edit');
+    expect(inferOperation({ operation: 'upscale', workflow: 'flux' })).toBe('upscale');
+  });
+
+  it('walks ancestors and descendants without looping on cycles', () => {
+    const lookup = graph([
+      { uid: 1, parents: [4] },
+      { uid: 2, parents: [1, 99] },
+      { uid: 3, parents: [2] },
+      { uid: 4, parents: [3] },
+    ]);
+    const { ancestors, descendants, missing, edges } = walkLineage(2, lookup);
+
+    expect(ancestors.map(({ entry, depth }) => [entry.uid, depth])).toEqual([[1, 1], [4, 2], [3, 3]]);
+    expect(descendants.map(({ entry, depth }) => [entry.uid, depth])).toEqual([[3, 1], [4, 2], [1, 3]]);
+    expect(missing).toEqual([99]);
+    expect(edges).toHaveLength(4);
+    expect(walkLineage(2, lookup, 1).ancestors.map(({ entry }) => entry.uid)).toEqual([1]);
+  });
+});
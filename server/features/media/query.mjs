@@ -0,0 +1,448 @@
+/**
+ * Media Query Language – parser and compiler for gallery search expressions.
+ *
+ * Syntax (terms are AND-ed unless joined with OR):
+ *   cat dog                       free text across name/description/prompt/date
+ *   "red fox"                     quoted phrase
+ *   tag:cat OR tag:dog            OR logic (binds looser than AND)
+ *   -tag:sketch  NOT tag:sketch   negation
+ *   (tag:cat OR tag:dog) type:image
+ *   workflow:"Image to Video (WAN22)"
+ *   seed:123  timeTaken:>30  length:10..60
+ *   date:2025-06  date:>=2025-06-01  date:2025-01-01..2025-03-31
+ *   batch:<batch id>
+ *
+ * Parse errors are thrown as `Error` with `status = 400` so the router can
+ * forward them to the client unchanged.
+ *
+ * @module features/media/query
+ */
+
+// ---------------------------------------------------------------------------
+// Field definitions
+// ---------------------------------------------------------------------------
+
+/** Case-insensitive substring fields */
+const TEXT_FIELDS = ['name', 'description', 'prompt', 'summary'];
+
+/** Fields searched by unscoped free-text terms (plus the YYYY-MM-DD date) */
+const FREE_TEXT_FIELDS = ['name', 'description', 'prompt'];
+
+/** Case-insensitive exact-match fields */
+const EXACT_FIELDS = ['workflow', 'type', 'orientation'];
+
+/** Numeric fields supporting comparisons and ranges */
+const NUMERIC_FIELDS = ['seed', 'uid', 'timeTaken', 'length'];
+
+/** Field aliases accepted in queries */
+const FIELD_ALIASES = { tags: 'tag', duration: 'length', time: 'timeTaken' };
+
+/** Every field name accepted by the parser (after alias resolution) */
+export const QUERY_FIELDS = [...TEXT_FIELDS, ...EXACT_FIELDS, ...NUMERIC_FIELDS, 'tag', 'date', 'batch'];
+
+/** Sort keys accepted by `resolveSort` and their default direction */
+export const SORT_KEYS = {
+  time:      { field: 'timestamp', defaultOrder: 'desc' },
+  name:      { field: 'name',      defaultOrder: 'asc' },
+  duration:  { field: 'length',    defaultOrder: 'desc' },
+  timeTaken: { field: 'timeTaken', defaultOrder: 'desc' },
+};
+
+function queryError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// ---------------------------------------------------------------------------
+// Tokenizer
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} QueryToken
+ * @property {'lparen'|'rparen'|'or'|'and'|'not'|'term'} type
+ * @property {string} [field] - Field name for field-scoped terms
+ * @property {string} [op]    - Comparison operator ('', '=', '>', '>=', '<', '<=')
+ * @property {string} [value]
+ */
+
+const COMPARATORS = ['>=', '<=', '>', '<', '='];
+
+function readQuoted(input, start) {
+  let i = start + 1;
+  let value = '';
+  while (i < input.length && input[i] !== '"') {
+    if (input[i] === '\\' && i + 1 < input.length) i++;
+    value += input[i++];
+  }
+  if (i >= input.length) throw queryError('Unterminated quote in search query');
+  return { value, end: i + 1 };
+}
+
+function readBare(input, start) {
+  let i = start;
+  while (i < input.length && !/[\s()]/.test(input[i])) i++;
+  return { value: input.slice(start, i), end: i };
+}
+
+/**
+ * Split a query string into tokens.
+ * @param {string} input
+ * @returns {QueryToken[]}
+ */
+export function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const ch = input[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch === '(') { tokens.push({ type: 'lparen' }); i++; continue; }
+    if (ch === ')') { tokens.push({ type: 'rparen' }); i++; continue; }
+    if (ch === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+      tokens.push({ type: 'not' });
+      i++;
+      continue;
+    }
+    if (ch === '"') {
+      const { value, end } = readQuoted(input, i);
+      tokens.push({ type: 'term', value });
+      i = end;
+      continue;
+    }
+
+    // Bare word, possibly `field:[op]value`. An unknown prefix (`http://...`,
+    // `note:`) is plain text.
+    const fieldMatch = /^([A-Za-z]+):/.exec(input.slice(i));
+    const field = fieldMatch && (FIELD_ALIASES[fieldMatch[1]] || fieldMatch[1]);
+    if (fieldMatch && QUERY_FIELDS.includes(field)) {
+      const rawField = fieldMatch[1];
+      i += fieldMatch[0].length;
+      const op = COMPARATORS.find(c => input.startsWith(c, i)) || '';
+      i += op.length;
+      const { value, end } = input[i] === '"' ? readQuoted(input, i) : readBare(input, i);
+      if (value === '') throw queryError(`Missing value for search field "${rawField}"`);
+      tokens.push({ type: 'term', field, op, value });
+      i = end;
+      continue;
+    }
+
+    const { value, end } = readBare(input, i);
+    i = end;
+    if (value === 'OR') tokens.push({ type: 'or' });
+    else if (value === 'AND') tokens.push({ type: 'and' });
+    else if (value === 'NOT') tokens.push({ type: 'not' });
+    else tokens.push({ type: 'term', value });
+  }
+
+  return tokens;
+}
+
+// ---------------------------------------------------------------------------
+// Parser
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {{ type: 'and'|'or', children: QueryNode[] }
+ *          | { type: 'not', child: QueryNode }
+ *          | { type: 'term', field?: string, op?: string, value: string }} QueryNode
+ */
+
+/**
+ * Parse a query string into an expression tree.
+ * @param {string} input
+ * @returns {QueryNode|null} null for an empty query.
+ */
+export function parseMediaQuery(input) {
+  const tokens = tokenize(input || '');
+  if (tokens.length === 0) return null;
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek()?.type === 'or') {
+      pos++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  function parseAnd() {
+    const children = [parseUnary()];
+    while (pos < tokens.length && peek().type !== 'or' && peek().type !== 'rparen') {
+      if (peek().type === 'and') pos++;
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseUnary() {
+    const token = tokens[pos++];
+    if (!token) throw queryError('Unexpected end of search query');
+    if (token.type === 'not') return { type: 'not', child: parseUnary() };
+    if (token.type === 'lparen') {
+      const node = parseOr();
+      if (tokens[pos++]?.type !== 'rparen') throw queryError('Missing closing parenthesis in search query');
+      return node;
+    }
+    if (token.type === 'term') {
+      const { type, ...rest } = token;
+      return { type: 'term', ...rest };
+    }
+    throw queryError(`Unexpected "${token.type.toUpperCase()}" in search query`);
+  }
+
+  const tree = parseOr();
+  if (pos < tokens.length) throw queryError('Unexpected ")" in search query');
+  return tree;
+}
+
+// ---------------------------------------------------------------------------
+// Value helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Split an entry's tags into lower-cased, trimmed values.
+ * @param {Object} entry
+ * @returns {string[]}
+ */
+function entryTags(entry) {
+  const raw = typeof entry.tags === 'string'
+    ? entry.tags.split(',')
+    : (Array.isArray(entry.tags) ? entry.tags : []);
+  return raw.map(t => String(t).trim().toLowerCase());
+}
+
+function parseNumber(value, field) {
+  const n = Number(value);
+  if (value === '' || Number.isNaN(n)) throw queryError(`"${value}" is not a number (field "${field}")`);
+  return n;
+}
+
+/**
+ * Parse a partial ISO date (YYYY, YYYY-MM or YYYY-MM-DD) into a half-open
+ * [start, end) millisecond range covering that period in UTC.
+ * @param {string} value
+ * @returns {{ start: number, end: number }}
+ */
+function parseDatePeriod(value) {
+  const m = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/.exec(value);
+  if (!m) throw queryError(`"${value}" is not a date (expected YYYY, YYYY-MM or YYYY-MM-DD)`);
+  const [, y, mo, d] = m;
+  const year = Number(y);
+  const month = mo ? Number(mo) - 1 : 0;
+  const day = d ? Number(d) : 1;
+  const start = Date.UTC(year, month, day);
+  const end = d ? Date.UTC(year, month, day + 1) : (mo ? Date.UTC(year, month + 1, 1) : Date.UTC(year + 1, 0, 1));
+  return { start, end };
+}
+
+/**
+ * Build a predicate over a numeric value from an operator + value pair.
+ * Ranges use `a..b` (inclusive); either side may be omitted.
+ */
+function numericPredicate(op, value, field) {
+  if (!op && value.includes('..')) {
+    const [lo, hi] = value.split('..');
+    const min = lo === '' ? -Infinity : parseNumber(lo, field);
+    const max = hi === '' ? Infinity : parseNumber(hi, field);
+    return n => n >= min && n <= max;
+  }
+  const target = parseNumber(value, field);
+  switch (op) {
+    case '>':  return n => n > target;
+    case '>=': return n => n >= target;
+    case '<':  return n => n < target;
+    case '<=': return n => n <= target;
+    default:   return n => n === target;
+  }
+}
+
+function datePredicate(op, value) {
+  if (!op && value.includes('..')) {
+    const [lo, hi] = value.split('..');
+    const min = lo === '' ? -Infinity : parseDatePeriod(lo).start;
+    const max = hi === '' ? Infinity : parseDatePeriod(hi).end;
+    return t => t >= min && t < max;
+  }
+  const { start, end } = parseDatePeriod(value);
+  switch (op) {
+    case '>':  return t => t >= end;
+    case '>=': return t => t >= start;
+    case '<':  return t => t < start;
+    case '<=': return t => t < end;
+    default:   return t => t >= start && t < end;
+  }
+}
+
+function freeTextPredicate(value) {
+  const q = value.toLowerCase();
+  return entry => {
+    if (FREE_TEXT_FIELDS.some(f => typeof entry[f] === 'string' && entry[f].toLowerCase().includes(q))) {
+      return true;
+    }
+    if (!entry.timestamp) return false;
+    const date = new Date(entry.timestamp);
+    return !Number.isNaN(date.getTime()) && date.toISOString().split('T')[0].includes(value);
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Compiler
+// ---------------------------------------------------------------------------
+
+function compileTerm({ field, op, value }) {
+  if (!field) return freeTextPredicate(value);
+
+  if (TEXT_FIELDS.includes(field)) {
+    const q = value.toLowerCase();
+    return entry => typeof entry[field] === 'string' && entry[field].toLowerCase().includes(q);
+  }
+  if (EXACT_FIELDS.includes(field)) {
+    const q = value.toLowerCase();
+    // Entries without a type predate video/audio support and are images
+    const read = field === 'type' ? (e => e.type || 'image') : (e => e[field]);
+    return entry => String(read(entry) ?? '').toLowerCase() === q;
+  }
+  if (field === 'tag') {
+    const q = value.toLowerCase();
+    return entry => entryTags(entry).includes(q);
+  }
+  if (NUMERIC_FIELDS.includes(field)) {
+    const test = numericPredicate(op, value, field);
+    return entry => typeof entry[field] === 'number' && test(entry[field]);
+  }
+  if (field === 'batch') {
+    return entry => entry.batch?.id === value;
+  }
+  if (field === 'date') {
+    const test = datePredicate(op, value);
+    return entry => {
+      const t = entry.timestamp ? Date.parse(entry.timestamp) : NaN;
+      return !Number.isNaN(t) && test(t);
+    };
+  }
+  throw queryError(`Unknown search field "${field}"`);
+}
+
+/**
+ * Compile an expression tree into an entry predicate.
+ * @param {QueryNode|null} node
+ * @returns {(entry: Object) => boolean}
+ */
+export function compileMediaQuery(node) {
+  if (!node) return () => true;
+  switch (node.type) {
+    case 'and': {
+      const preds = node.children.map(compileMediaQuery);
+      return entry => preds.every(p => p(entry));
+    }
+    case 'or': {
+      const preds = node.children.map(compileMediaQuery);
+      return entry => preds.some(p => p(entry));
+    }
+    case 'not': {
+      const pred = compileMediaQuery(node.child);
+      return entry => !pred(entry);
+    }
+    default:
+      return compileTerm(node);
+  }
+}
+
+/**
+ * Collect tags that every match must carry (top-level AND'ed, non-negated
+ * tag terms). Used to narrow the candidate set through the tag index.
+ * @param {QueryNode|null} node
+ * @returns {string[]}
+ */
+export function requiredTags(node) {
+  if (!node) return [];
+  if (node.type === 'term') return node.field === 'tag' ? [node.value] : [];
+  if (node.type === 'and') return node.children.flatMap(requiredTags);
+  return [];
+}
+
+// ---------------------------------------------------------------------------
+// Sorting & cursors
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolve a sort parameter into a key + direction.
+ * Accepts the legacy 'ascending' / 'descending' (by time), a bare key
+ * (`name`, `duration`, `time`, `timeTaken`) or `key:asc` / `key:desc`.
+ * @param {string} [sort]
+ * @returns {{ key: string, field: string, order: 'asc'|'desc' }}
+ */
+export function resolveSort(sort = 'descending') {
+  if (sort === 'ascending') return { key: 'time', field: 'timestamp', order: 'asc' };
+  if (sort === 'descending' || !sort) return { key: 'time', field: 'timestamp', order: 'desc' };
+
+  const [key, order] = sort.split(':');
+  const def = SORT_KEYS[key];
+  if (!def) throw queryError(`Unknown sort "${key}". Valid sorts: ${Object.keys(SORT_KEYS).join(', ')}`);
+  if (order && order !== 'asc' && order !== 'desc') throw queryError(`Sort order must be "asc" or "desc"`);
+  return { key, field: def.field, order: order || def.defaultOrder };
+}
+
+/**
+ * Read the comparable sort value for an entry. Missing values become null.
+ * @param {Object} entry
+ * @param {string} field
+ * @returns {number|string|null}
+ */
+export function sortValue(entry, field) {
+  const v = entry[field];
+  if (field === 'timestamp') {
+    const t = v ? Date.parse(v) : NaN;
+    return Number.isNaN(t) ? null : t;
+  }
+  if (field === 'name') return typeof v === 'string' && v !== '' ? v.toLowerCase() : null;
+  return typeof v === 'number' ? v : null;
+}
+
+/**
+ * Build a comparator over `[value, uid]` keys. Nulls always sort last; uid
+ * breaks ties so the order is total and cursors are stable.
+ * @param {'asc'|'desc'} order
+ * @returns {(a: Array, b: Array) => number}
+ */
+export function keyComparator(order) {
+  const dir = order === 'asc' ? 1 : -1;
+  return ([va, ua], [vb, ub]) => {
+    if (va !== vb) {
+      if (va === null) return 1;
+      if (vb === null) return -1;
+      return (va < vb ? -1 : 1) * dir;
+    }
+    return (ua - ub) * dir;
+  };
+}
+
+/**
+ * Encode a sort key as an opaque cursor string.
+ * @param {string} sortKey
+ * @param {Array} key - [value, uid]
+ * @returns {string}
+ */
+export function encodeCursor(sortKey, key) {
+  return Buffer.from(JSON.stringify({ s: sortKey, k: key })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by `encodeCursor`.
+ * @param {string} cursor
+ * @param {string} sortKey - Must match the sort the cursor was issued for.
+ * @returns {Array} [value, uid]
+ */
+export function decodeCursor(cursor, sortKey) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw queryError('Invalid cursor');
+  }
+  if (!parsed || !Array.isArray(parsed.k) || parsed.k.length !== 2) throw queryError('Invalid cursor');
+  if (parsed.s !== sortKey) throw queryError('Cursor was issued for a different sort order');
+  return parsed.k;
+}
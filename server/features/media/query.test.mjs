@@ -0,0 +1,98 @@
+import { describe, test, expect } from 'vitest'
+import {
+  parseMediaQuery, compileMediaQuery, requiredTags, resolveSort,
+  keyComparator, encodeCursor, decodeCursor,
+} from './query.mjs'
+
+const entries = [
+  { uid: 1, name: 'Red Fox', tags: 'fox, forest', workflow: 'Text to Image', type: 'image', seed: 123, orientation: 'landscape', timeTaken: 12, timestamp: '2025-06-15T10:00:00.000Z' },
+  { uid: 2, name: 'Night Song', tags: 'music', workflow: 'Text to Audio', type: 'audio', length: 95, timeTaken: 40, timestamp: '2025-07-01T00:00:00.000Z' },
+  { uid: 3, name: 'Cat Nap', prompt: 'a sleepy cat', tags: 'cat, sketch', workflow: 'Image to Video (WAN22)', type: 'video', length: 5, timeTaken: 300, timestamp: '2024-12-31T23:59:59.000Z' },
+  { uid: 4, name: '', tags: 'cat', timeTaken: 8, timestamp: '2025-06-01T00:00:00.000Z' },
+]
+
+const run = (q) => entries.filter(compileMediaQuery(parseMediaQuery(q))).map(e => e.uid)
+
+describe('parseMediaQuery / compileMediaQuery', () => {
+  test('empty query matches everything', () => {
+    expect(parseMediaQuery('')).toBeNull()
+    expect(run('')).toEqual([1, 2, 3, 4])
+  })
+
+  test('free text searches name, prompt and date', () => {
+    expect(run('fox')).toEqual([1])
+    expect(run('sleepy')).toEqual([3])
+    expect(run('2025-06')).toEqual([1, 4])
+  })
+
+  test('words with an unknown field prefix are free text', () => {
+    expect(parseMediaQuery('http://example.com/fox')).toEqual({ type: 'term', value: 'http://example.com/fox' })
+    expect(parseMediaQuery('note: fox')).toEqual({
+      type: 'and', children: [{ type: 'term', value: 'note:' }, { type: 'term', value: 'fox' }],
+    })
+    expect(run('bogus:1')).toEqual([])
+  })
+
+  test('tag OR / NOT logic', () => {
+    expect(run('tag:fox OR tag:music')).toEqual([1, 2])
+    expect(run('tag:cat -tag:sketch')).toEqual([4])
+    expect(run('tag:cat NOT tag:sketch')).toEqual([4])
+    expect(run('(tag:fox OR tag:cat) type:image')).toEqual([1, 4])
+  })
+
+  test('field-scoped exact terms, including quoted values', () => {
+    expect(run('workflow:"Image to Video (WAN22)"')).toEqual([3])
+    expect(run('type:audio')).toEqual([2])
+    expect(run('seed:123')).toEqual([1])
+    expect(run('orientation:landscape')).toEqual([1])
+  })
+
+  test('numeric comparisons and ranges', () => {
+    expect(run('timeTaken:>30')).toEqual([2, 3])
+    expect(run('timeTaken:<=12')).toEqual([1, 4])
+    expect(run('length:10..100')).toEqual([2])
+    expect(run('duration:>=5')).toEqual([2, 3])
+  })
+
+  test('date periods, comparisons and ranges', () => {
+    expect(run('date:2025-06')).toEqual([1, 4])
+    expect(run('date:>2025-06')).toEqual([2])
+    expect(run('date:<2025')).toEqual([3])
+    expect(run('date:2025-06-02..2025-07-01')).toEqual([1, 2])
+  })
+
+  test('malformed queries throw 400 errors', () => {
+    for (const q of ['"unterminated', '(tag:cat', 'tag:cat)', 'seed:abc', 'date:June', 'tag:', 'OR']) {
+      let error
+      try { compileMediaQuery(parseMediaQuery(q)) } catch (err) { error = err }
+      expect(error, q).toBeDefined()
+      expect(error.status, q).toBe(400)
+    }
+  })
+
+  test('requiredTags only collects top-level AND-ed positive tags', () => {
+    expect(requiredTags(parseMediaQuery('tag:cat type:image -tag:dog'))).toEqual(['cat'])
+    expect(requiredTags(parseMediaQuery('tag:cat OR tag:dog'))).toEqual([])
+  })
+})
+
+describe('sorting and cursors', () => {
+  test('resolveSort accepts legacy and keyed forms', () => {
+    expect(resolveSort('ascending')).toMatchObject({ key: 'time', order: 'asc' })
+    expect(resolveSort('name')).toMatchObject({ field: 'name', order: 'asc' })
+    expect(resolveSort('duration:asc')).toMatchObject({ field: 'length', order: 'asc' })
+    expect(() => resolveSort('size')).toThrow(/Unknown sort/)
+  })
+
+  test('keyComparator puts nulls last and breaks ties by uid', () => {
+    const keys = [[null, 1], ['b', 2], ['a', 4], ['a', 3]]
+    expect(keys.sort(keyComparator('asc'))).toEqual([['a', 3], ['a', 4], ['b', 2], [null, 1]])
+  })
+
+  test('cursors round-trip and are bound to their sort', () => {
+    const cursor = encodeCursor('name:asc', ['fox', 1])
+    expect(decodeCursor(cursor, 'name:asc')).toEqual(['fox', 1])
+    expect(() => decodeCursor(cursor, 'time:desc')).toThrow(/different sort/)
+    expect(() => decodeCursor('not-a-cursor', 'name:asc')).toThrow(/Invalid cursor/)
+  })
+})
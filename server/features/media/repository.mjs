@@ -3,18 +3,21 @@
  *
  * Wraps the core database module so that the media service/router never
  * need to import core/database.mjs directly.  If persistence details change
- * (e.g. switching from JSON to SQLite), only this file needs updating.
+ * (e.g. switching from the JSON journal to SQLite), only this file needs updating.
  *
  * @module features/media/repository
  */
 import {
   loadMediaData as _loadMediaData,
   saveMediaData as _saveMediaData,
+  compactMediaData as _compactMediaData,
   addMediaDataEntry as _addMediaDataEntry,
   getAllMediaData as _getAllMediaData,
   findMediaByUid as _findMediaByUid,
   findMediaIndexByUid as _findMediaIndexByUid,
   replaceMediaAtIndex as _replaceMediaAtIndex,
+  updateMediaEntry as _updateMediaEntry,
+  queryMediaIndex as _queryMediaIndex,
   deleteMediaByUids as _deleteMediaByUids,
   getFolders as _getFolders,
   getCurrentFolder as _getCurrentFolder,
@@ -22,8 +25,12 @@ import {
   addFolder as _addFolder,
   findFolderByUid as _findFolderByUid,
   findFolderByLabel as _findFolderByLabel,
+  renameFolderByUid as _renameFolderByUid,
   removeFolderByUid as _removeFolderByUid,
-  reassignMediaFolder as _reassignMediaFolder
+  reassignMediaFolder as _reassignMediaFolder,
+  getSavedSearches as _getSavedSearches,
+  putSavedSearch as _putSavedSearch,
+  removeSavedSearch as _removeSavedSearch
 } from '../../core/database.mjs';
 
 // ---------------------------------------------------------------------------
@@ -49,6 +56,15 @@ import {
  * @property {'portrait'|'landscape'|'square'|null} [orientation]
  * @property {boolean} [inpaint=false]
  * @property {{ x: number, y: number, width: number, height: number }|null} [inpaintArea]
+ * @property {string|null} [maskUrl] - Inpaint mask PNG used to create this entry, e.g. '/media/mask_<hash>.png'
+ * @property {{ left: number, right: number, top: number, bottom: number, overlap: number, feather: number, fill: string }|null} [outpaint] - Canvas extension this entry was outpainted with
+ * @property {number|null} [origin] - uid of the entry this one was derived from (inpaint, outpaint, edits)
+ * @property {Object[]|null} [imageOps] - Operations this entry was made from `origin` with, e.g. `[{ op: 'crop', aspect: '16:9' }]`
+ * @property {Object[]|null} [audioOps] - Sound editor edits an audio entry was made from `origin` with, e.g. `[{ op: 'reverse' }]`
+ * @property {number[]} [parents=[]] - uids of the entries this one was derived from, most direct first (see features/media/lineage)
+ * @property {'generate'|'inpaint'|'outpaint'|'edit'|'upscale'|'upload'|'reproduce'|'render'|null} [operation] - How this entry was produced
+ * @property {Object|null} [recipe] - Resolved replacements, base workflow hash and pre-task outputs needed to re-run the generation exactly (see features/generation/recipe)
+ * @property {{ uid: number, seed: number, length: number|null }|null} [brew] - Ambient brew an audio entry was rendered from, with the render seed and length in seconds
  * @property {number} [timeTaken=0] - Wall-clock seconds from task start to completion
  * @property {number|null} [length] - Duration in seconds (video/audio only)
  * @property {number|null} [framerate] - Frames per second (video only)
@@ -58,6 +74,8 @@ import {
  * @property {Object} [extraInputs={}] - Extra-input values keyed by ExtraInput.id
  * @property {Object|null} [parts] - Anytale character parts snapshot (anytale-generated entries only)
  * @property {Object|null} [plot] - Anytale plot snapshot (anytale-generated entries only)
+ * @property {{ id: string, index: number, total: number, axes: { key: string, label: string, value: * }[] }|null} [batch]
+ *   - Batch membership for entries generated by `POST /generate/batch`
  */
 
 /**
@@ -66,6 +84,16 @@ import {
  * @property {string} label
  */
 
+/**
+ * A named gallery search persisted alongside the media data.
+ * @typedef {Object} SavedSearch
+ * @property {string} uid
+ * @property {string} label
+ * @property {string} query - Media query-language expression
+ * @property {string} sort  - Sort parameter as accepted by GET /media-data
+ * @property {string} [folder] - Folder UID the search is scoped to
+ */
+
 // ---------------------------------------------------------------------------
 // Media entries
 // ---------------------------------------------------------------------------
@@ -73,9 +101,15 @@ import {
 /** Load persisted media data into memory. */
 export const loadMediaData = _loadMediaData;
 
-/** Persist current in-memory state to disk. */
+/**
+ * Journal pending changes to disk.
+ * @param {number[]} [uids] - Entries edited in place that should be persisted too.
+ */
 export const saveMediaData = _saveMediaData;
 
+/** Fold the journal into a fresh snapshot file. */
+export const compactMediaData = _compactMediaData;
+
 /**
  * Add a new media entry (uid & timestamp auto-generated).
  * @param {Object} entry
@@ -110,6 +144,28 @@ export const findIndexByUid = _findMediaIndexByUid;
  */
 export const replaceAtIndex = _replaceMediaAtIndex;
 
+/**
+ * Merge fields into an entry and persist it.
+ * @param {number} uid
+ * @param {Object} patch
+ * @returns {Object|undefined} The updated entry.
+ */
+export const updateEntry = _updateMediaEntry;
+
+/**
+ * Indexed lookup by folder, workflow, tags and/or lineage parent (AND logic).
+ * @param {{ folder?: string, workflow?: string, tags?: string[], parent?: number }} criteria
+ * @returns {Object[]} Matching entries, unsorted.
+ */
+export const findByIndex = _queryMediaIndex;
+
+/**
+ * Entries listing `uid` among their lineage parents.
+ * @param {number} uid
+ * @returns {Object[]}
+ */
+export const findChildren = (uid) => _queryMediaIndex({ parent: uid });
+
 /**
  * Bulk-delete entries by UID list.
  * @param {number[]} uids
@@ -151,6 +207,14 @@ export const findFolderByUid = _findFolderByUid;
  */
 export const findFolderByLabel = _findFolderByLabel;
 
+/**
+ * Rename a folder.
+ * @param {string} uid
+ * @param {string} label
+ * @returns {Object|undefined} The updated folder.
+ */
+export const renameFolderByUid = _renameFolderByUid;
+
 /**
  * Remove a folder.
  * @param {string} uid
@@ -165,3 +229,22 @@ export const removeFolderByUid = _removeFolderByUid;
  * @returns {number} Count of updated entries.
  */
 export const reassignMediaFolder = _reassignMediaFolder;
+
+// ---------------------------------------------------------------------------
+// Saved searches
+// ---------------------------------------------------------------------------
+
+/** @returns {SavedSearch[]} */
+export const getSavedSearches = _getSavedSearches;
+
+/**
+ * Insert or replace a saved search (matched by uid).
+ * @param {SavedSearch} search
+ */
+export const putSavedSearch = _putSavedSearch;
+
+/**
+ * @param {string} uid
+ * @returns {SavedSearch|undefined} The removed search.
+ */
+export const removeSavedSearch = _removeSavedSearch;
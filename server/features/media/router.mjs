@@ -56,6 +56,10 @@ router.get('/tag-definitions', (_req, res) => {
 /**
  * GET /media-data
  * Search & filter media entries.
+ *
+ * `query` accepts the media query language (see features/media/query.mjs).
+ * Responds with an array; pagination metadata is returned in the
+ * `X-Next-Cursor` (absent on the last page) and `X-Total-Count` headers.
  */
 router.get('/media-data', (req, res) => {
   try {
@@ -63,19 +67,23 @@ router.get('/media-data', (req, res) => {
     const tagsParam = req.query.tags || '';
     const sort = req.query.sort || 'descending';
     const limit = parseInt(req.query.limit) || 10;
+    const cursor = req.query.cursor || undefined;
     const folderParam = req.query.folder !== undefined ? req.query.folder : undefined;
 
     const tags = tagsParam ? tagsParam.split(',').map(t => t.trim()).filter(t => t.length > 0) : [];
 
-    console.log(`Image data endpoint called with query="${query}", tags=[${tags.join(', ')}], folder="${folderParam ?? '(current)'}", sort="${sort}", limit=${limit}`);
+    console.log(`Image data endpoint called with query="${query}", tags=[${tags.join(', ')}], folder="${folderParam ?? '(current)'}", sort="${sort}", limit=${limit}${cursor ? ', cursor' : ''}`);
 
-    const results = mediaService.searchMedia({ query, tags, folder: folderParam, sort, limit });
+    const { items, nextCursor, total } = mediaService.queryMedia({ query, tags, folder: folderParam, sort, limit, cursor });
 
-    console.log(`Returning ${results.length} entries`);
-    res.json(results);
+    console.log(`Returning ${items.length} of ${total} entries`);
+    if (nextCursor) res.set('X-Next-Cursor', nextCursor);
+    res.set('X-Total-Count', String(total));
+    res.json(items);
   } catch (error) {
+    const status = error.status || 500;
     console.error('Error in media-data endpoint:', error);
-    res.status(500).json({ error: 'Failed to retrieve image data' });
+    res.status(status).json({ error: status === 400 ? error.message : 'Failed to retrieve image data' });
   }
 });
 
@@ -106,6 +114,38 @@ router.get('/media-data/:uid', (req, res) => {
   }
 });
 
+/**
+ * GET /media-data/:uid/lineage
+ * Ancestors and descendants of an entry. Query: `depth` (generations each way).
+ */
+router.get('/media-data/:uid/lineage', (req, res) => {
+  try {
+    const uid = parseInt(req.params.uid);
+    if (isNaN(uid)) {
+      return res.status(400).json({ error: 'UID must be a valid number' });
+    }
+    const depth = req.query.depth !== undefined ? parseInt(req.query.depth) : undefined;
+    res.json(mediaService.getLineage(uid, { depth }));
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) console.error('Error in media-data lineage endpoint:', error);
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /media-data/dependents
+ * Entries derived from any of `{ uids }` that would be left without a parent
+ * if those were deleted. Used to warn before deleting.
+ */
+router.post('/media-data/dependents', (req, res) => {
+  const { uids } = req.body || {};
+  if (!Array.isArray(uids) || uids.some(uid => !Number.isInteger(uid))) {
+    return res.status(400).json({ error: 'uids must be an array of integers' });
+  }
+  res.json({ dependents: mediaService.findDependents(uids) });
+});
+
 /**
  * DELETE /media-data/delete
  * Bulk-delete media entries by UID list.
@@ -126,10 +166,10 @@ router.delete('/media-data/delete', (req, res) => {
     }
 
     console.log(`Delete request for UIDs: ${uids.join(', ')}`);
-    const { deletedCount } = mediaService.deleteMedia(uids);
+    const { deletedCount, deletedFiles } = mediaService.deleteMedia(uids);
 
-    console.log(`Successfully deleted ${deletedCount} entries`);
-    res.json({ success: true, deletedCount, message: `Successfully deleted ${deletedCount} entries` });
+    console.log(`Successfully deleted ${deletedCount} entries (${deletedFiles.length} files moved to trash)`);
+    res.json({ success: true, deletedCount, deletedFiles, message: `Successfully deleted ${deletedCount} entries` });
   } catch (error) {
     console.error('Error in media-data delete endpoint:', error);
     res.status(500).json({ error: 'Failed to process deletion request', details: error.message });
@@ -241,4 +281,49 @@ router.delete('/folder/:uid', (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// Saved searches
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /saved-searches
+ * List saved gallery searches.
+ */
+router.get('/saved-searches', (_req, res) => {
+  try {
+    res.json(mediaService.listSavedSearches());
+  } catch (error) {
+    console.error('Error in GET /saved-searches endpoint:', error);
+    res.status(500).json({ error: 'Failed to retrieve saved searches' });
+  }
+});
+
+/**
+ * POST /saved-searches
+ * Save (or overwrite by label) a gallery search.
+ */
+router.post('/saved-searches', (req, res) => {
+  try {
+    res.json(mediaService.saveSearch(req.body || {}));
+  } catch (error) {
+    const status = error.status || 500;
+    console.error('Error in POST /saved-searches endpoint:', error);
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /saved-searches/:uid
+ * Delete a saved search.
+ */
+router.delete('/saved-searches/:uid', (req, res) => {
+  try {
+    res.json(mediaService.deleteSavedSearch(req.params.uid));
+  } catch (error) {
+    const status = error.status || 500;
+    console.error('Error in DELETE /saved-searches/:uid endpoint:', error);
+    res.status(status).json({ error: error.message });
+  }
+});
+
 export default router;
@@ -3,15 +3,28 @@ import request from 'supertest'
 import express from 'express'
 
 vi.mock('./service.mjs', () => ({
-  searchMedia: vi.fn(() => [
-    { uid: 1, name: 'test-image', imageUrl: '/media/test.png' },
-  ]),
+  queryMedia: vi.fn(() => ({
+    items: [{ uid: 1, name: 'test-image', imageUrl: '/media/test.png' }],
+    nextCursor: 'abc',
+    total: 2,
+  })),
+  listSavedSearches: vi.fn(() => [{ uid: 'search-1', label: 'Cats', query: 'tag:cat', sort: 'descending' }]),
+  saveSearch: vi.fn(({ label }) => {
+    if (!label) throw Object.assign(new Error('Missing or invalid search label'), { status: 400 })
+    return [{ uid: 'search-1', label, query: '', sort: 'descending' }]
+  }),
+  deleteSavedSearch: vi.fn(() => []),
   getMediaByUid: vi.fn((uid) =>
     uid === 1
       ? { found: true, data: { uid: 1, name: 'test-image' } }
       : { found: false },
   ),
-  deleteMedia: vi.fn(() => ({ deletedCount: 1 })),
+  deleteMedia: vi.fn(() => ({ deletedCount: 1, deletedFiles: ['image_1.png'] })),
+  getLineage: vi.fn((uid) => {
+    if (uid !== 1) throw Object.assign(new Error(`Media entry ${uid} not found`), { status: 404 })
+    return { uid, entry: { uid }, ancestors: [], descendants: [{ uid: 2, depth: 1 }], edges: [{ parent: 1, child: 2 }], missing: [] }
+  }),
+  findDependents: vi.fn(() => [{ uid: 2, name: 'child', parents: [1] }]),
   loadTags: vi.fn(() =>
     Promise.resolve({
       tags: ['foo', 'bar'],
@@ -46,6 +59,35 @@ describe('Media Router', () => {
       expect(res.body.length).toBeGreaterThanOrEqual(1)
       expect(res.body[0]).toHaveProperty('uid')
     })
+
+    test('exposes pagination headers', async () => {
+      const res = await request(app).get('/media-data')
+      expect(res.headers['x-next-cursor']).toBe('abc')
+      expect(res.headers['x-total-count']).toBe('2')
+    })
+
+    test('returns 400 with the parser message for malformed queries', async () => {
+      const { queryMedia } = await import('./service.mjs')
+      queryMedia.mockImplementationOnce(() => {
+        throw Object.assign(new Error('Unterminated quote in search query'), { status: 400 })
+      })
+      const res = await request(app).get('/media-data?query=%22oops')
+      expect(res.status).toBe(400)
+      expect(res.body.error).toMatch(/Unterminated quote/)
+    })
+  })
+
+  describe('saved searches', () => {
+    test('GET /saved-searches returns the list', async () => {
+      const res = await request(app).get('/saved-searches')
+      expect(res.status).toBe(200)
+      expect(res.body[0].label).toBe('Cats')
+    })
+
+    test('POST /saved-searches without a label returns 400', async () => {
+      const res = await request(app).post('/saved-searches').send({ query: 'tag:cat' })
+      expect(res.status).toBe(400)
+    })
   })
 
   describe('GET /tags', () => {
@@ -62,6 +104,25 @@ describe('Media Router', () => {
     })
   })
 
+  describe('lineage', () => {
+    test('GET /media-data/:uid/lineage returns the graph and 404s unknown entries', async () => {
+      const res = await request(app).get('/media-data/1/lineage?depth=2')
+      expect(res.status).toBe(200)
+      expect(res.body.edges).toEqual([{ parent: 1, child: 2 }])
+      const { getLineage } = await import('./service.mjs')
+      expect(getLineage).toHaveBeenCalledWith(1, { depth: 2 })
+
+      expect((await request(app).get('/media-data/9/lineage')).status).toBe(404)
+    })
+
+    test('POST /media-data/dependents lists derived entries', async () => {
+      const res = await request(app).post('/media-data/dependents').send({ uids: [1] })
+      expect(res.status).toBe(200)
+      expect(res.body.dependents[0].uid).toBe(2)
+      expect((await request(app).post('/media-data/dependents').send({ uids: ['x'] })).status).toBe(400)
+    })
+  })
+
   describe('DELETE /media-data/delete', () => {
     test('accepts uid array and returns success', async () => {
       const res = await request(app)
@@ -70,6 +131,7 @@ describe('Media Router', () => {
       expect(res.status).toBe(200)
       expect(res.body.success).toBe(true)
       expect(typeof res.body.deletedCount).toBe('number')
+      expect(res.body.deletedFiles).toEqual(['image_1.png'])
     })
 
     test('rejects missing uids', async () => {
@@ -115,7 +115,8 @@ export function sanitizeMediaEntry(entry, workflowConfig) {
   for (const [field, def] of Object.entries(schema.fields)) {
     if (def.autoGenerated) continue; // leave auto-generated fields to the database layer
     if (cleanedEntry[field] === undefined) {
-      cleanedEntry[field] = def.default !== undefined ? def.default : null;
+      // Clone so entries never share a default array / object
+      cleanedEntry[field] = def.default !== undefined ? structuredClone(def.default) : null;
     }
   }
 
@@ -13,79 +13,132 @@ import csv from 'csv-parser';
 import { RESOURCE_DIR, STORAGE_DIR } from '../../core/paths.mjs';
 import * as repo from './repository.mjs';
 import { sanitizeMediaEntry, loadWorkflowConfig } from './sanitizer.mjs';
+import * as storageService from '../storage/service.mjs';
+import { walkLineage } from './lineage.mjs';
+import {
+  parseMediaQuery, compileMediaQuery, requiredTags, resolveSort,
+  sortValue, keyComparator, encodeCursor, decodeCursor
+} from './query.mjs';
 
 // ---------------------------------------------------------------------------
 // Media search / filter
 // ---------------------------------------------------------------------------
 
 /**
- * Search and filter media entries.
+ * Run a structured media query with keyset (cursor) pagination.
+ *
+ * `query` uses the media query language (see features/media/query.mjs):
+ * free-text terms, `field:value` terms, OR / NOT / parentheses, numeric
+ * comparisons and date ranges. `tags` is the legacy comma-list filter and is
+ * AND-ed with the query.
  *
  * @param {Object} options
- * @param {string} [options.query]       - Free-text search across name, description, prompt, and timestamp.
+ * @param {string} [options.query]       - Query-language expression.
  * @param {string[]} [options.tags]      - Every tag must match (AND logic).
  * @param {string} [options.folder]      - Folder UID (empty string = Unsorted). Falls back to current folder if undefined.
- * @param {string} [options.sort]        - 'ascending' or 'descending' (default).
+ * @param {string} [options.sort]        - 'ascending' / 'descending' (by time), or `name|duration|time|timeTaken[:asc|:desc]`.
  * @param {number} [options.limit]       - Max entries to return (default 10).
- * @returns {Object[]} Filtered, sorted, and limited slice of media data.
+ * @param {string} [options.cursor]      - `nextCursor` from a previous page.
+ * @returns {{ items: Object[], nextCursor: string|null, total: number }}
+ * @throws {Error} With `status = 400` for malformed queries, sorts or cursors.
  */
-export function searchMedia({ query = '', tags = [], folder, sort = 'descending', limit = 10 } = {}) {
+export function queryMedia({ query = '', tags = [], folder, sort = 'descending', limit = 10, cursor } = {}) {
   // Default to current folder when caller did not supply one
   const folderId = folder !== undefined ? folder : repo.getCurrentFolder();
 
-  let filtered = repo.getAll().filter(item => {
-    // --- Folder match ---
-    let folderMatch;
-    if (folderId === '') {
-      folderMatch = !item.folder || item.folder === '';
-    } else {
-      folderMatch = item.folder === folderId;
-    }
+  const tree = parseMediaQuery(query);
+  const predicate = compileMediaQuery(tree);
+  const { key: sortKey, field: sortField, order } = resolveSort(sort);
+  const cursorScope = `${sortKey}:${order}`;
+
+  // Folder and required tags are resolved through the repository indexes
+  const candidates = repo.findByIndex({ folder: folderId, tags: [...tags, ...requiredTags(tree)] });
+  const compare = keyComparator(order);
+  const keyed = candidates
+    .filter(predicate)
+    .map(item => ({ item, key: [sortValue(item, sortField), item.uid] }))
+    .sort((a, b) => compare(a.key, b.key));
+
+  let start = 0;
+  if (cursor) {
+    const after = decodeCursor(cursor, cursorScope);
+    start = keyed.findIndex(({ key }) => compare(key, after) > 0);
+    if (start === -1) start = keyed.length;
+  }
 
-    // --- Free-text query ---
-    let queryMatch = true;
-    if (query) {
-      const q = query.toLowerCase();
-      const nameMatch = item.name && item.name.toLowerCase().includes(q);
-      const descriptionMatch = item.description && item.description.toLowerCase().includes(q);
-      const promptMatch = item.prompt && item.prompt.toLowerCase().includes(q);
-
-      let timestampMatch = false;
-      if (item.timestamp) {
-        const formatted = new Date(item.timestamp).toISOString().split('T')[0];
-        timestampMatch = formatted.includes(query);
-      }
-
-      queryMatch = nameMatch || descriptionMatch || promptMatch || timestampMatch;
-    }
+  const page = keyed.slice(start, start + limit);
+  const hasMore = start + limit < keyed.length;
+  return {
+    items: page.map(({ item }) => item),
+    nextCursor: hasMore && page.length > 0 ? encodeCursor(cursorScope, page[page.length - 1].key) : null,
+    total: keyed.length,
+  };
+}
 
-    // --- Tag match (AND) ---
-    let tagMatch = true;
-    if (tags.length > 0) {
-      if (!item.tags) {
-        tagMatch = false;
-      } else {
-        const itemTags = typeof item.tags === 'string'
-          ? item.tags.split(',').map(t => t.trim())
-          : (Array.isArray(item.tags) ? item.tags : []);
-
-        tagMatch = tags.every(searchTag =>
-          itemTags.some(itemTag => itemTag.toLowerCase() === searchTag.toLowerCase())
-        );
-      }
-    }
+/**
+ * Search and filter media entries (first page only).
+ * @param {Object} options - Same as `queryMedia`.
+ * @returns {Object[]} Filtered, sorted, and limited slice of media data.
+ */
+export function searchMedia(options = {}) {
+  return queryMedia(options).items;
+}
 
-    return folderMatch && queryMatch && tagMatch;
-  });
+// ---------------------------------------------------------------------------
+// Saved searches
+// ---------------------------------------------------------------------------
 
-  // --- Sort ---
-  filtered.sort((a, b) => {
-    const dateA = new Date(a.timestamp || 0);
-    const dateB = new Date(b.timestamp || 0);
-    return sort === 'ascending' ? dateA - dateB : dateB - dateA;
-  });
+/**
+ * List saved searches.
+ * @returns {Object[]}
+ */
+export function listSavedSearches() {
+  return repo.getSavedSearches();
+}
+
+/**
+ * Save a named search. The query is parsed first so broken searches are
+ * rejected up front. Saving with an existing label replaces that search.
+ *
+ * @param {{ label: string, query?: string, sort?: string, folder?: string }} search
+ * @returns {Object[]} Updated saved-search list.
+ * @throws {Error} With `status = 400` on missing label or invalid query/sort.
+ */
+export function saveSearch({ label, query = '', sort = 'descending', folder } = {}) {
+  if (!label || typeof label !== 'string' || label.trim().length === 0) {
+    throw Object.assign(new Error('Missing or invalid search label'), { status: 400 });
+  }
+  if (typeof query !== 'string') {
+    throw Object.assign(new Error('query must be a string'), { status: 400 });
+  }
+  parseMediaQuery(query);
+  resolveSort(sort);
+
+  const existing = repo.getSavedSearches().find(s => s.label === label.trim());
+  const search = {
+    uid: existing?.uid ?? `search-${Date.now()}`,
+    label: label.trim(),
+    query,
+    sort,
+    ...(folder !== undefined ? { folder } : {}),
+  };
+  repo.putSavedSearch(search);
+  repo.saveMediaData();
+  return repo.getSavedSearches();
+}
 
-  return filtered.slice(0, limit);
+/**
+ * Delete a saved search.
+ * @param {string} uid
+ * @returns {Object[]} Updated saved-search list.
+ * @throws {Error} With `status = 404` when not found.
+ */
+export function deleteSavedSearch(uid) {
+  if (!repo.removeSavedSearch(uid)) {
+    throw Object.assign(new Error(`Saved search ${uid} not found`), { status: 404 });
+  }
+  repo.saveMediaData();
+  return repo.getSavedSearches();
 }
 
 // ---------------------------------------------------------------------------
@@ -102,6 +155,58 @@ export function getMediaByUid(uid) {
   return data ? { found: true, data } : { found: false };
 }
 
+// ---------------------------------------------------------------------------
+// Lineage
+// ---------------------------------------------------------------------------
+
+/** Maximum generations walked in each direction when no depth is given. */
+const MAX_LINEAGE_DEPTH = 50;
+
+/**
+ * Ancestors and descendants of an entry (see features/media/lineage).
+ *
+ * @param {number} uid
+ * @param {Object} [options]
+ * @param {number} [options.depth] - Generations to walk each way (1 = parents and children only).
+ * @returns {{ uid: number, entry: Object, ancestors: Object[], descendants: Object[],
+ *   edges: { parent: number, child: number }[], missing: number[] }}
+ *   Ancestor / descendant items are entries with an added `depth`.
+ * @throws {Error} With `status = 404` when the entry does not exist.
+ */
+export function getLineage(uid, { depth } = {}) {
+  const entry = repo.findByUid(uid);
+  if (!entry) throw Object.assign(new Error(`Media entry ${uid} not found`), { status: 404 });
+
+  const limit = Number.isInteger(depth) && depth > 0 ? Math.min(depth, MAX_LINEAGE_DEPTH) : MAX_LINEAGE_DEPTH;
+  const { ancestors, descendants, edges, missing } = walkLineage(uid, {
+    findByUid: repo.findByUid,
+    findChildren: repo.findChildren,
+  }, limit);
+  const withDepth = ({ entry: node, depth: level }) => ({ ...node, depth: level });
+
+  return { uid, entry, ancestors: ancestors.map(withDepth), descendants: descendants.map(withDepth), edges, missing };
+}
+
+/**
+ * Entries derived directly from any of `uids` that are not themselves in
+ * `uids` – the ones left with a dangling parent if `uids` were deleted.
+ *
+ * @param {number[]} uids
+ * @returns {{ uid: number, name: string, type: string, imageUrl: string|null, audioUrl: string|null, parents: number[] }[]}
+ */
+export function findDependents(uids) {
+  const deleting = new Set(uids);
+  const dependents = new Map();
+  for (const uid of deleting) {
+    for (const child of repo.findChildren(uid)) {
+      if (deleting.has(child.uid) || dependents.has(child.uid)) continue;
+      const { name, type, imageUrl, audioUrl, parents } = child;
+      dependents.set(child.uid, { uid: child.uid, name, type, imageUrl, audioUrl, parents });
+    }
+  }
+  return [...dependents.values()];
+}
+
 // ---------------------------------------------------------------------------
 // Delete
 // ---------------------------------------------------------------------------
@@ -109,14 +214,26 @@ export function getMediaByUid(uid) {
 /**
  * Delete media entries by UID list.
  *
+ * The entries' files (outputs, album covers, intermediates) are moved to the
+ * storage trash unless another entry or data file still references them.
+ *
  * @param {number[]} uids
- * @returns {{ deletedCount: number }}
+ * @returns {{ deletedCount: number, deletedFiles: string[] }}
  * @throws {Error} On save failure.
  */
 export function deleteMedia(uids) {
+  const entries = uids.map(uid => repo.findByUid(uid)).filter(Boolean);
   const deletedCount = repo.deleteByUids(uids);
   repo.saveMediaData();
-  return { deletedCount };
+
+  let deletedFiles = [];
+  try {
+    deletedFiles = storageService.trashEntryFiles(entries);
+  } catch (error) {
+    // The records are already gone; leftover files are picked up by the orphan scan
+    console.error('Failed to move deleted media files to trash:', error);
+  }
+  return { deletedCount, deletedFiles };
 }
 
 // ---------------------------------------------------------------------------
@@ -306,10 +423,9 @@ export function renameFolder(uid, label) {
     throw Object.assign(new Error('Cannot rename the Unsorted folder'), { status: 400 });
   }
 
-  const folder = repo.findFolderByUid(uid);
+  const folder = repo.renameFolderByUid(uid, label.trim());
   if (!folder) throw Object.assign(new Error(`Folder with uid ${uid} not found`), { status: 404 });
 
-  folder.label = label.trim();
   repo.saveMediaData();
   return listFolders();
 }
@@ -80,6 +80,19 @@ router.delete('/queue/item/:id', (req, res) => {
   res.json({ success: true });
 });
 
+router.patch('/queue/item/:id', (req, res) => {
+  try {
+    const { lane, priority, runAfter } = req.body || {};
+    const item = service.updateItem(req.params.id, { lane, priority, runAfter });
+    if (!item) return res.status(404).json({ error: 'Item not found' });
+    res.json(item);
+  } catch (error) {
+    const status = error.status || 500;
+    console.error('Error in update queue item endpoint:', error);
+    res.status(status).json({ error: error.message });
+  }
+});
+
 router.post('/queue/clear', (req, res) => {
   service.clear();
   res.json({ success: true });
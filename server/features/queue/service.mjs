@@ -8,6 +8,31 @@ import {
 } from '../../core/sse.mjs';
 import { interruptGeneration } from '../generation/comfy-client.mjs';
 
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Lanes in preemption order. Before each item starts, the queue picks from the
+ * highest lane that has an eligible item, so interactive work never waits
+ * behind more than the items that are already running.
+ */
+export const LANES = ['interactive', 'normal', 'batch'];
+
+const DEFAULT_LANE = 'normal';
+
+/** Estimate used for every item until any workflow has a recorded timeTaken. */
+const DEFAULT_ESTIMATE_SECONDS = 30;
+
+/** Recent durations kept per workflow for ETA averaging. */
+const TIMING_SAMPLES = 20;
+
+/** setTimeout delays above this overflow and fire immediately. */
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/** How long an unchanged queue reuses its ETA estimate (the estimate is O(n²)). */
+const ETA_CACHE_MS = 1000;
+
 // ---------------------------------------------------------------------------
 // Module state
 // ---------------------------------------------------------------------------
@@ -17,20 +42,43 @@ let items = [];
 
 /**
  * Queue state machine.
- * stopped | paused | running | cancelling | skipping | pausing
+ * stopped | paused | running | cancelling | skipping | pausing | waiting
+ *
+ * Items run concurrently, one per ComfyUI backend (see `backendPool`); each
+ * running item carries the `backend` it leased and its SSE `taskId`.
+ * `running` means at least one item is running. `skipping` means some running
+ * items are being cancelled while the rest carry on.
+ *
+ * `waiting` means queued items exist but none can start: they have a future
+ * `runAfter` (a timer resumes the queue when the earliest one comes due) or no
+ * healthy backend can run them (notifyBackendsChanged resumes it).
  */
 let state = 'stopped';
 
-/** taskId of the currently running SSE task (assigned by orchestrator). */
-let runningTaskId = null;
+/**
+ * Map<item id, 'requeue' | 'remove'> for running items whose cancellation was
+ * requested: what to do with the item once the cancel lands.
+ */
+let cancelIntents = new Map();
+
+/** Source of the last started item(s) and how many ran back to back (for `maxConsecutive`). */
+let streak = { source: null, count: 0 };
+
+/** Timer that wakes a `waiting` queue when the earliest `runAfter` comes due. */
+let scheduleTimer = null;
+
+/** Map<workflow, seconds[]> of recent durations; built lazily from history. */
+let timings = null;
 
-/** Set when a delete-of-running-item triggered the cancel; id of the item. */
-let deletingRunningItemId = null;
+/** `{ at, eta }` from the last _estimateSchedule call; cleared whenever the queue changes. */
+let etaCache = null;
 
 /** Injected at server startup. */
 let _config = null;
 let _uploadFileToComfyUI = null;
 let _executeQueuedTask = null;
+let _getTimingHistory = null;
+let _pool = null;
 
 /** emitQueueEvent is set by router.mjs after it creates the SSE infrastructure. */
 let _emitQueueEvent = null;
@@ -39,15 +87,45 @@ let _emitQueueEvent = null;
 // Init
 // ---------------------------------------------------------------------------
 
-export function initialize({ config, uploadFileToComfyUI, executeQueuedTask }) {
+/**
+ * Stand-in pool with one backend that runs everything, used when none is
+ * injected; the queue then runs one item at a time.
+ */
+function _singleSlotPool() {
+  const slot = { name: 'default', busy: false, affinity: null };
+  return {
+    slots: () => [{ ...slot }],
+    canRun: () => true,
+    acquire: (name, group) => { slot.busy = true; slot.affinity = group ?? null; },
+    release: () => { slot.busy = false; },
+  };
+}
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.config
+ * @param {Function} deps.uploadFileToComfyUI
+ * @param {Function} deps.executeQueuedTask
+ * @param {Function} [deps.getTimingHistory] - Returns past `{ workflow, timeTaken }`
+ *   records (the media entries) used to seed ETA estimates.
+ * @param {Object} [deps.backendPool] - ComfyUI backends to dispatch to
+ *   (features/generation/backend-pool.mjs): `slots()`, `canRun(name, item)`,
+ *   `acquire(name, group)` and `release(name)`.
+ */
+export function initialize({ config, uploadFileToComfyUI, executeQueuedTask, getTimingHistory = null, backendPool = null }) {
   _config = config;
   _uploadFileToComfyUI = uploadFileToComfyUI;
   _executeQueuedTask = executeQueuedTask;
+  _getTimingHistory = getTimingHistory;
+  _pool = backendPool ?? _singleSlotPool();
 
   // Reset runtime state (important for test isolation and clean server restart)
   state = 'stopped';
-  runningTaskId = null;
-  deletingRunningItemId = null;
+  cancelIntents = new Map();
+  streak = { source: null, count: 0 };
+  timings = null;
+  etaCache = null;
+  _clearScheduleTimer();
 
   // Load persisted queue
   items = loadQueue();
@@ -59,6 +137,7 @@ export function initialize({ config, uploadFileToComfyUI, executeQueuedTask }) {
   items = items.filter(i => i.status !== 'failed');
   for (const item of items) {
     if (item.status === 'running') item.status = 'queued';
+    delete item.backend;
   }
   if (items.length !== before || items.some(i => i.status === 'queued')) saveQueue(items);
 
@@ -83,6 +162,7 @@ function emit(event, payload) {
 }
 
 function emitUpdated() {
+  etaCache = null;
   emit('queue:updated', getStatus());
 }
 
@@ -91,23 +171,113 @@ function emitUpdated() {
 // ---------------------------------------------------------------------------
 
 export function getStatus() {
-  return { state, items };
+  const now = Date.now();
+  if (!etaCache || now - etaCache.at > ETA_CACHE_MS) etaCache = { at: now, eta: _estimateSchedule(now) };
+  return { state, items, eta: etaCache.eta };
+}
+
+/**
+ * Validate client-supplied scheduling fields. Only the fields that are present
+ * are returned, so the result can be spread over a record without clobbering
+ * the per-source defaults.
+ *
+ * @param {Object} [fields]
+ * @param {string} [fields.lane]       - One of LANES.
+ * @param {number} [fields.priority]   - Integer; higher runs first within a lane.
+ * @param {string|null} [fields.runAfter] - ISO date-time before which the item will not start.
+ * @returns {{ lane?: string, priority?: number, runAfter?: string|null }}
+ * @throws {Error} status 400 on an invalid field.
+ */
+export function parseScheduling({ lane, priority, runAfter } = {}) {
+  const scheduling = {};
+  if (lane !== undefined && lane !== null) {
+    if (!LANES.includes(lane)) {
+      throw Object.assign(new Error(`lane must be one of: ${LANES.join(', ')}`), { status: 400 });
+    }
+    scheduling.lane = lane;
+  }
+  if (priority !== undefined && priority !== null) {
+    if (!Number.isInteger(priority)) {
+      throw Object.assign(new Error('priority must be an integer'), { status: 400 });
+    }
+    scheduling.priority = priority;
+  }
+  if (runAfter !== undefined) {
+    if (runAfter === null || runAfter === '') {
+      scheduling.runAfter = null;
+    } else {
+      const time = Date.parse(runAfter);
+      if (Number.isNaN(time)) {
+        throw Object.assign(new Error('runAfter must be an ISO date-time'), { status: 400 });
+      }
+      scheduling.runAfter = new Date(time).toISOString();
+    }
+  }
+  return scheduling;
 }
 
+/**
+ * Add a record to the queue. Lane and priority default to the source's rule in
+ * `config.queue.sources`; the record's own `lane` / `priority` / `runAfter`
+ * (see parseScheduling) take precedence. Items are grouped by `taskData.workflow`.
+ * A running queue starts the item straight away when a backend is idle.
+ */
 export function enqueue(record, { autoStart = false } = {}) {
-  const item = {
-    id: randomUUID(),
-    status: 'queued',
-    createdAt: new Date().toISOString(),
-    ...record,
-  };
-  items.push(item);
+  return enqueueMany([record], { autoStart })[0];
+}
+
+/**
+ * Add several records at once (see enqueue). The queue is saved and
+ * `queue:updated` is emitted once for the whole list, so large batches do not
+ * re-estimate the schedule per item.
+ *
+ * @param {Object[]} records
+ * @param {{ autoStart?: boolean }} [options]
+ * @returns {Object[]} The new items, in order.
+ */
+export function enqueueMany(records, { autoStart = false } = {}) {
+  const added = records.map((record) => {
+    const rule = _sourceRule(record.source);
+    return {
+      id: randomUUID(),
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      lane: rule.lane ?? DEFAULT_LANE,
+      priority: rule.priority ?? 0,
+      runAfter: null,
+      group: record.taskData?.workflow || null,
+      ...record,
+    };
+  });
+  if (added.length === 0) return added;
+  items.push(...added);
   saveQueue(items);
   emitUpdated();
-  console.log(`[queue] Enqueued ${item.id} (${item.endpointKey})`);
-  if (autoStart && state === 'stopped') {
-    _runNext();
+  for (const item of added) console.log(`[queue] Enqueued ${item.id} (${item.endpointKey}, ${item.lane})`);
+  if (state === 'running' || state === 'skipping' || (autoStart && (state === 'stopped' || state === 'waiting'))) {
+    _dispatch();
   }
+  return added;
+}
+
+/**
+ * Change the lane, priority or run-after time of a queued item.
+ *
+ * @param {string} id
+ * @param {Object} changes - Validated with parseScheduling.
+ * @returns {Object|null} The updated item, or null if not found.
+ * @throws {Error} status 400 on invalid fields, 409 if the item is already running.
+ */
+export function updateItem(id, changes) {
+  const item = items.find(i => i.id === id);
+  if (!item) return null;
+  if (item.status !== 'queued') {
+    throw Object.assign(new Error('Only queued items can be rescheduled'), { status: 409 });
+  }
+  Object.assign(item, parseScheduling(changes));
+  saveQueue(items);
+  emitUpdated();
+  _reevaluate();
   return item;
 }
 
@@ -118,20 +288,17 @@ export function deleteItem(id) {
   const item = items[idx];
 
   if (item.status === 'running') {
-    if (state === 'cancelling' || state === 'skipping' || state === 'pausing') {
-      // Already waiting for cancellation — force-abandon so the item is gone immediately
-      _forceAbandonRunningTask();
-      saveQueue(items);
-      emitUpdated();
-      _runNext();
+    if (cancelIntents.has(id)) {
+      // Already waiting for this cancellation — force-abandon so the item is gone immediately
+      _forceAbandon(item);
+      _settle();
       return true;
     }
-    // Use 'skipping' so _handleTaskCancelled calls _runNext() after the interrupt
-    // lands, transitioning to 'stopped' (not 'paused') when no items follow.
+    // Use 'skipping' so the other running items carry on and the queue moves to
+    // 'stopped' (not 'paused') once the interrupt lands with nothing queued.
     // This keeps autoStart working for items enqueued after the delete.
-    deletingRunningItemId = id;
-    state = 'skipping';
-    _cancelRunningTask();
+    if (state === 'running') state = 'skipping';
+    _cancelItem(item, 'remove');
     emitUpdated();
     return true;
   }
@@ -139,6 +306,7 @@ export function deleteItem(id) {
   items.splice(idx, 1);
   saveQueue(items);
   emitUpdated();
+  _reevaluate();
   return true;
 }
 
@@ -155,34 +323,30 @@ export function reorder({ id, toIndex }) {
 }
 
 export function clear() {
-  if (state === 'running') {
+  _clearScheduleTimer();
+  // Immediately drop queued items so the UI reflects the clear right away.
+  // Running items are removed by _handleTaskCancelled once their cancel completes;
+  // those already being cancelled are force-abandoned so the queue empties now.
+  items = items.filter(i => i.status === 'running');
+  for (const item of [...items]) {
+    if (cancelIntents.has(item.id)) _forceAbandon(item);
+    else _cancelItem(item, 'remove');
+  }
+  if (items.length > 0) {
     state = 'cancelling';
-    // Immediately drop queued items so the UI reflects the clear right away.
-    // The running item will be removed in _handleTaskCancelled once the cancel completes.
-    items = items.filter(i => i.status !== 'queued');
-    saveQueue(items);
-    emitUpdated();
-    _cancelRunningTask();
-  } else if (state === 'cancelling' || state === 'skipping' || state === 'pausing') {
-    // Already waiting for cancellation — force-abandon so the queue is empty immediately
-    items = items.filter(i => i.status !== 'queued');
-    _forceAbandonRunningTask();
-    state = 'stopped';
-    saveQueue(items);
-    emit('queue:stopped', { state: 'stopped', reason: 'user-paused' });
-    emitUpdated();
-  } else {
-    items = [];
     saveQueue(items);
-    state = 'stopped';
-    emit('queue:stopped', { state, reason: 'user-paused' });
     emitUpdated();
+    return;
   }
+  state = 'stopped';
+  saveQueue(items);
+  emit('queue:stopped', { state, reason: 'user-paused' });
+  emitUpdated();
 }
 
 /**
- * Remove all queued items from a specific source and cancel the running item
- * if it also belongs to that source. Items from other sources are unaffected.
+ * Remove all queued items from a specific source and cancel the running items
+ * that also belong to it. Items from other sources are unaffected.
  *
  * @param {string} source - e.g. 'anytale-play'
  */
@@ -190,48 +354,58 @@ export function clearBySource(source) {
   // Drop all not-yet-running items from this source immediately
   items = items.filter(i => i.source !== source || i.status === 'running');
 
-  // If the running item belongs to this source, cancel it.
-  // Use 'skipping' (not 'pausing') so _handleTaskCancelled calls _runNext() after
-  // the interrupt, keeping the queue in 'stopped' state for items enqueued later.
-  const runningItem = items.find(i => i.status === 'running');
-  if (runningItem?.source === source) {
-    if (state === 'cancelling' || state === 'skipping' || state === 'pausing') {
+  // Use 'skipping' (not 'pausing') so the queue carries on after the interrupt,
+  // staying in 'stopped' state for items enqueued later.
+  let abandoned = false;
+  for (const item of _running().filter(i => i.source === source)) {
+    if (cancelIntents.has(item.id)) {
       // Already waiting for cancellation — force-abandon immediately
-      _forceAbandonRunningTask();
-      saveQueue(items);
-      emitUpdated();
-      _runNext();
-      return;
+      _forceAbandon(item);
+      abandoned = true;
+    } else {
+      if (state === 'running') state = 'skipping';
+      _cancelItem(item, 'remove');
     }
-    deletingRunningItemId = runningItem.id;
-    state = 'skipping';
-    _cancelRunningTask();
+  }
+  if (abandoned) {
+    _settle();
+    return;
   }
 
   saveQueue(items);
   emitUpdated();
+  _reevaluate();
 }
 
 export function start() {
   if (state === 'running' || state === 'cancelling' || state === 'skipping' || state === 'pausing') {
     return false; // 409
   }
-  _runNext();
+  _dispatch();
   return true;
 }
 
 export function pause() {
+  if (state === 'waiting') {
+    // Nothing is running; just stop the wake-up timer
+    _clearScheduleTimer();
+    state = 'paused';
+    emit('queue:stopped', { state: 'paused', reason: 'user-paused' });
+    emitUpdated();
+    return true;
+  }
   if (state !== 'running') return false; // 409
   state = 'pausing';
-  _cancelRunningTask();
+  for (const item of _running()) _cancelItem(item, 'requeue');
   emitUpdated();
   return true;
 }
 
+/** Cancel every running item and carry on with the next ones. */
 export function skip() {
   if (state !== 'running') return false; // 409
   state = 'skipping';
-  _cancelRunningTask();
+  for (const item of _running()) _cancelItem(item, 'remove');
   emitUpdated();
   return true;
 }
@@ -244,166 +418,418 @@ export function resume() {
     return;
   }
   console.log('[queue] Resuming...');
-  _runNext();
+  _dispatch();
+}
+
+/**
+ * A ComfyUI backend came up or went down (see setOnComfyUIBackendChange in
+ * core/service-manager.mjs): start items on newly available backends.
+ */
+export function notifyBackendsChanged() {
+  _reevaluate();
 }
 
 // ---------------------------------------------------------------------------
-// Internal: cancel the running task
+// Internal: cancel running items
 // ---------------------------------------------------------------------------
 
-function _cancelRunningTask() {
-  if (!runningTaskId) return;
-  cancelTask(runningTaskId);
-  interruptGeneration().catch(err => console.error('[queue] Failed to interrupt ComfyUI:', err));
+function _running() {
+  return items.filter(i => i.status === 'running');
 }
 
 /**
- * Immediately removes the running item and resets all task tracking without
- * waiting for ComfyUI or Ollama to acknowledge the cancellation. Used when a
- * second cancel arrives while already in a transition state — sending another
- * interrupt would cause ComfyUI to emit "Global interrupt (no prompt_id
- * specified)" because the prompt is no longer tracked.
+ * Cancel a running item and remember what to do with it once the cancel lands.
+ * An item that is still starting has no task yet; _execute cancels it as soon
+ * as the task exists.
+ *
+ * @param {Object} item
+ * @param {'requeue'|'remove'} intent - Ignored if a cancel is already pending.
+ */
+function _cancelItem(item, intent) {
+  if (!cancelIntents.has(item.id)) cancelIntents.set(item.id, intent);
+  if (!item.taskId) return;
+  cancelTask(item.taskId);
+  interruptGeneration(item.backend).catch(err => console.error('[queue] Failed to interrupt ComfyUI:', err));
+}
+
+/** Remove a running item and hand its backend back to the pool. */
+function _finish(item) {
+  items = items.filter(i => i !== item);
+  cancelIntents.delete(item.id);
+  _pool.release(item.backend);
+}
+
+/**
+ * Immediately removes a running item without waiting for ComfyUI or Ollama to
+ * acknowledge its cancellation. Used when a second cancel arrives while the
+ * first is still pending — sending another interrupt would cause ComfyUI to
+ * emit "Global interrupt (no prompt_id specified)" because the prompt is no
+ * longer tracked.
  *
  * Callers must update `state`, persist the queue, and emit events afterward.
  */
-function _forceAbandonRunningTask() {
-  const runningItem = items.find(i => i.status === 'running');
-  if (runningItem) {
-    items = items.filter(i => i.id !== runningItem.id);
-    emit('queue:task-cancelled', { id: runningItem.id });
-    console.log(`[queue] Force-abandoned item ${runningItem.id} (taskId ${runningTaskId})`);
+function _forceAbandon(item) {
+  _finish(item);
+  emit('queue:task-cancelled', { id: item.id });
+  console.log(`[queue] Force-abandoned item ${item.id} (taskId ${item.taskId ?? 'pending'})`);
+}
+
+// ---------------------------------------------------------------------------
+// Internal: scheduling
+// ---------------------------------------------------------------------------
+
+/** Per-source rule from `config.queue.sources`: `{ lane?, priority?, maxConsecutive? }`. */
+function _sourceRule(source) {
+  return _config?.queue?.sources?.[source] ?? {};
+}
+
+function _laneIndex(item) {
+  const index = LANES.indexOf(item.lane);
+  return index === -1 ? LANES.indexOf(DEFAULT_LANE) : index;
+}
+
+/**
+ * Choose the item that should start next.
+ *
+ * 1. Only queued items whose `runAfter` has passed are eligible.
+ * 2. The highest lane wins, then the highest priority within it.
+ * 3. If the last source has hit its `maxConsecutive` limit and another source
+ *    is waiting in the same tier, the other source goes first.
+ * 4. Within the tier, an item using the same workflow as the last one is
+ *    preferred (unless `config.queue.groupByWorkflow` is false), so the
+ *    orchestrator does not free and reload models between items.
+ * 5. Otherwise queue order (manual reorder) decides.
+ *
+ * Pure apart from reading config, so the ETA simulation can reuse it.
+ *
+ * @param {Object[]} candidates
+ * @param {{ now: number, group: string|null, streak: { source: string|null, count: number } }} context
+ * @returns {Object|null}
+ */
+function _pickNext(candidates, { now, group, streak: lastStreak }) {
+  let tier = [];
+  for (const item of candidates) {
+    if (item.status !== 'queued') continue;
+    if (item.runAfter && Date.parse(item.runAfter) > now) continue;
+    const cmp = tier.length === 0 ? -1
+      : (_laneIndex(item) - _laneIndex(tier[0])) || ((tier[0].priority ?? 0) - (item.priority ?? 0));
+    if (cmp < 0) tier = [item];
+    else if (cmp === 0) tier.push(item);
   }
-  runningTaskId = null;
-  deletingRunningItemId = null;
+  if (tier.length === 0) return null;
+
+  const limit = _sourceRule(lastStreak.source).maxConsecutive;
+  if (limit && lastStreak.count >= limit) {
+    const others = tier.filter(i => i.source !== lastStreak.source);
+    if (others.length > 0) tier = others;
+  }
+
+  if (group && _config?.queue?.groupByWorkflow !== false) {
+    const sameGroup = tier.find(i => i.group === group);
+    if (sameGroup) return sameGroup;
+  }
+  return tier[0];
+}
+
+function _nextStreak(current, source) {
+  return current.source === source
+    ? { source, count: current.count + 1 }
+    : { source, count: 1 };
+}
+
+function _clearScheduleTimer() {
+  if (scheduleTimer) clearTimeout(scheduleTimer);
+  scheduleTimer = null;
+}
+
+/** Arm the wake-up timer for the earliest `runAfter` among deferred items. */
+function _scheduleWake(deferred) {
+  const wakeAt = deferred.reduce((min, i) => Math.min(min, Date.parse(i.runAfter)), Infinity);
+  const delay = Math.min(Math.max(wakeAt - Date.now(), 0), MAX_TIMER_MS);
+  scheduleTimer = setTimeout(() => {
+    scheduleTimer = null;
+    _reevaluate();
+  }, delay);
+  scheduleTimer.unref?.();
+}
+
+/** A change may have made an item eligible, freed a backend, or emptied the queue. */
+function _reevaluate() {
+  if (state === 'running' || state === 'skipping' || state === 'waiting') _dispatch();
 }
 
 // ---------------------------------------------------------------------------
-// Internal: run the next queued item
+// Internal: ETA
 // ---------------------------------------------------------------------------
 
-async function _runNext() {
-  const next = items.find(i => i.status === 'queued');
-  if (!next) {
-    state = 'stopped';
-    runningTaskId = null;
+function _addTimingSample(workflow, seconds) {
+  if (!workflow || !(seconds > 0)) return;
+  const samples = timings.get(workflow) ?? [];
+  samples.push(seconds);
+  if (samples.length > TIMING_SAMPLES) samples.shift();
+  timings.set(workflow, samples);
+}
+
+function _getTimings() {
+  if (!timings) {
+    timings = new Map();
+    for (const entry of _getTimingHistory?.() ?? []) _addTimingSample(entry.workflow, entry.timeTaken);
+  }
+  return timings;
+}
+
+/** Average recent duration of the item's workflow, else of all workflows. */
+function _estimateSeconds(item) {
+  const all = _getTimings();
+  const average = (samples) => samples.reduce((sum, s) => sum + s, 0) / samples.length;
+  const own = item.group ? all.get(item.group) : null;
+  if (own?.length) return Math.round(average(own));
+  const every = [...all.values()].flat();
+  return every.length ? Math.round(average(every)) : DEFAULT_ESTIMATE_SECONDS;
+}
+
+/**
+ * Simulate the scheduler over the current items to predict start times. Each
+ * backend runs one item at a time; the next item goes to whichever backend
+ * frees up first, among those that can run it.
+ *
+ * @param {number} now - Epoch ms.
+ * @returns {{ totalSeconds: number, completesAt: string|null,
+ *   items: Object<string, { position: number, startsInSeconds: number, estimatedSeconds: number }> }}
+ */
+function _estimateSchedule(now) {
+  const eta = { totalSeconds: 0, completesAt: null, items: {} };
+  // When each backend is next free, and the workflow it last ran
+  let backends = _pool.slots().map(slot => ({ name: slot.name, freeAt: now, group: slot.affinity }));
+  if (backends.length === 0) backends = [{ name: null, freeAt: now, group: null }];
+  let simulatedStreak = streak;
+  let position = 0;
+  let end = now;
+
+  for (const running of _running()) {
+    const estimatedSeconds = _estimateSeconds(running);
+    const elapsed = running.startedAt ? (now - Date.parse(running.startedAt)) / 1000 : 0;
+    const remaining = Math.max(0, Math.round(estimatedSeconds - elapsed));
+    eta.items[running.id] = { position: position++, startsInSeconds: 0, estimatedSeconds };
+    const backend = backends.find(b => b.name === running.backend);
+    if (backend) backend.freeAt = now + remaining * 1000;
+    end = Math.max(end, now + remaining * 1000);
+  }
+
+  const pending = items.filter(i => i.status === 'queued');
+  while (pending.length > 0 && backends.length > 0) {
+    const backend = backends.reduce((first, b) => (b.freeAt < first.freeAt ? b : first));
+    const candidates = backend.name === null ? pending : pending.filter(i => _pool.canRun(backend.name, i));
+    const next = _pickNext(candidates, { now: backend.freeAt, group: backend.group, streak: simulatedStreak });
+    if (!next) {
+      if (candidates.length === 0) {
+        // Nothing left that this backend can run
+        backends = backends.filter(b => b !== backend);
+      } else {
+        // Everything left for it is deferred; jump to the earliest runAfter
+        backend.freeAt = candidates.reduce((min, i) => Math.min(min, Date.parse(i.runAfter)), Infinity);
+      }
+      continue;
+    }
+    const estimatedSeconds = _estimateSeconds(next);
+    eta.items[next.id] = {
+      position: position++,
+      startsInSeconds: Math.round((backend.freeAt - now) / 1000),
+      estimatedSeconds,
+    };
+    backend.freeAt += estimatedSeconds * 1000;
+    backend.group = next.group ?? null;
+    end = Math.max(end, backend.freeAt);
+    simulatedStreak = _nextStreak(simulatedStreak, next.source);
+    pending.splice(pending.indexOf(next), 1);
+  }
+
+  if (position > 0) {
+    eta.totalSeconds = Math.round((end - now) / 1000);
+    eta.completesAt = new Date(end).toISOString();
+  }
+  return eta;
+}
+
+/** Record how long a finished item took so later estimates improve. */
+function _recordTiming(item) {
+  if (!item?.startedAt) return;
+  _getTimings();
+  _addTimingSample(item.group, Math.round((Date.now() - Date.parse(item.startedAt)) / 1000));
+}
+
+// ---------------------------------------------------------------------------
+// Internal: dispatch queued items to idle backends
+// ---------------------------------------------------------------------------
+
+/**
+ * Start the best eligible item on every idle backend, then settle the queue
+ * state: `running` while anything runs, else `waiting` while items are
+ * deferred or no backend can take them, else `stopped`.
+ */
+function _dispatch() {
+  _clearScheduleTimer();
+  const now = Date.now();
+  for (const slot of _pool.slots()) {
+    if (slot.busy) continue;
+    const candidates = items.filter(i => i.status === 'queued' && _pool.canRun(slot.name, i));
+    const next = _pickNext(candidates, { now, group: slot.affinity, streak });
+    if (next) _start(next, slot.name);
+  }
+
+  const queued = items.filter(i => i.status === 'queued');
+  const deferred = queued.filter(i => i.runAfter && Date.parse(i.runAfter) > now);
+  if (deferred.length > 0) _scheduleWake(deferred);
+
+  if (_running().length > 0) {
+    state = cancelIntents.size > 0 ? 'skipping' : 'running';
     saveQueue(items);
-    emit('queue:stopped', { state: 'stopped', reason: 'user-paused' });
     emitUpdated();
     return;
   }
+  if (queued.length > 0) {
+    state = 'waiting';
+    saveQueue(items);
+    emit('queue:stopped', { state: 'waiting', reason: deferred.length === queued.length ? 'scheduled' : 'no-backend' });
+    emitUpdated();
+    return;
+  }
+  state = 'stopped';
+  saveQueue(items);
+  emit('queue:stopped', { state: 'stopped', reason: 'user-paused' });
+  emitUpdated();
+}
 
-  next.status = 'running';
-  state = 'running';
+/** Lease a backend to an item and start it. */
+function _start(item, backend) {
+  // Keep running items first so clients can pin them in place
+  items.splice(items.indexOf(item), 1);
+  items.splice(_running().length, 0, item);
+  _pool.acquire(backend, item.group ?? null);
+  item.status = 'running';
+  item.backend = backend;
+  item.startedAt = new Date().toISOString();
+  streak = _nextStreak(streak, item.source);
+  if (state !== 'running' && state !== 'skipping') {
+    state = 'running';
+    saveQueue(items);
+    emit('queue:started', { state: 'running' });
+  }
   saveQueue(items);
-  emit('queue:started', { state: 'running' });
   emitUpdated();
+  _execute(item);
+}
 
+async function _execute(item) {
   try {
-    const { taskId } = await _executeQueuedTask(next, {
+    const { taskId } = await _executeQueuedTask(item, {
       config: _config,
       uploadFileToComfyUI: _uploadFileToComfyUI,
+      backend: item.backend,
     });
-    runningTaskId = taskId;
-    next.taskId = taskId;
+    if (!items.includes(item)) {
+      // Force-abandoned while starting
+      cancelTask(taskId);
+      return;
+    }
+    item.taskId = taskId;
+    if (cancelIntents.has(item.id)) {
+      _cancelItem(item, cancelIntents.get(item.id));
+      return;
+    }
     emit('queue:task-started', {
-      id: next.id,
+      id: item.id,
       taskId,
-      clientId: next.clientId || null,
-      type: next.type,
-      source: next.source,
-      name: next.name,
-      subLabel: next.subLabel || null,
-      endpointKey: next.endpointKey,
-      taskData: next.taskData,
+      backend: item.backend,
+      clientId: item.clientId || null,
+      type: item.type,
+      source: item.source,
+      name: item.name,
+      subLabel: item.subLabel || null,
+      endpointKey: item.endpointKey,
+      taskData: item.taskData,
     });
     emitUpdated();
-    console.log(`[queue] Started item ${next.id} → taskId ${taskId}`);
+    console.log(`[queue] Started item ${item.id} on ${item.backend} → taskId ${taskId}`);
   } catch (err) {
-    console.error(`[queue] Failed to start item ${next.id} — removing and continuing:`, err);
-    items = items.filter(i => i.id !== next.id);
-    runningTaskId = null;
-    saveQueue(items);
-    _runNext();
+    if (!items.includes(item)) return;
+    console.error(`[queue] Failed to start item ${item.id} — removing and continuing:`, err);
+    _finish(item);
+    _settle();
   }
 }
 
+/**
+ * Continue after a running item left the queue: finish a pause or clear once
+ * nothing runs any more, otherwise dispatch the next items.
+ */
+function _settle() {
+  if (state === 'pausing' || state === 'cancelling') {
+    if (_running().length === 0) {
+      state = state === 'pausing' ? 'paused' : 'stopped';
+      saveQueue(items);
+      emit('queue:stopped', { state, reason: 'user-paused' });
+    } else {
+      saveQueue(items);
+    }
+    emitUpdated();
+    return;
+  }
+  saveQueue(items);
+  _dispatch();
+}
+
 // ---------------------------------------------------------------------------
 // Internal: task lifecycle handlers (called by sse.mjs callbacks)
 // ---------------------------------------------------------------------------
 
-function _handleTaskCancelled(taskId) {
-  if (taskId !== runningTaskId) return;
-
-  const runningItem = items.find(i => i.status === 'running');
-
-  if (state === 'pausing') {
-    if (deletingRunningItemId && runningItem?.id === deletingRunningItemId) {
-      // Delete-triggered pause: remove the item entirely
-      items = items.filter(i => i.id !== deletingRunningItemId);
-      deletingRunningItemId = null;
-    } else if (runningItem) {
-      runningItem.status = 'queued';
-    }
-    state = 'paused';
-    runningTaskId = null;
-    saveQueue(items);
-    emit('queue:task-cancelled', { id: runningItem?.id });
-    emit('queue:stopped', { state: 'paused', reason: 'user-paused' });
-    emitUpdated();
-
-  } else if (state === 'skipping') {
-    if (runningItem) items = items.filter(i => i.id !== runningItem.id);
-    const wasDeleting = deletingRunningItemId;
-    deletingRunningItemId = null;
-    runningTaskId = null;
-    emit('queue:task-cancelled', { id: runningItem?.id });
-    saveQueue(items);
-    if (!wasDeleting) {
-      _runNext();
-    } else {
-      _runNext();
-    }
+function _findRunning(taskId) {
+  return items.find(i => i.status === 'running' && i.taskId === taskId);
+}
 
-  } else if (state === 'cancelling') {
-    emit('queue:task-cancelled', { id: runningItem?.id });
-    items = [];
-    state = 'stopped';
-    runningTaskId = null;
-    saveQueue(items);
-    emit('queue:stopped', { state: 'stopped', reason: 'user-paused' });
-    emitUpdated();
+function _handleTaskCancelled(taskId) {
+  const item = _findRunning(taskId);
+  if (!item) return;
+
+  if (cancelIntents.get(item.id) === 'requeue') {
+    cancelIntents.delete(item.id);
+    _pool.release(item.backend);
+    item.status = 'queued';
+    delete item.taskId;
+    delete item.backend;
+  } else {
+    _finish(item);
   }
+  emit('queue:task-cancelled', { id: item.id });
+  _settle();
 }
 
 function _handleTaskCompleted(taskId, result) {
-  if (taskId !== runningTaskId) return;
+  const item = _findRunning(taskId);
+  if (!item) return;
 
-  const runningItem = items.find(i => i.status === 'running');
-  if (runningItem) items = items.filter(i => i.id !== runningItem.id);
-  runningTaskId = null;
+  _recordTiming(item);
+  _finish(item);
   saveQueue(items);
-  emit('queue:task-complete', { id: runningItem?.id });
+  emit('queue:task-complete', { id: item.id });
   emitUpdated();
-  _runNext();
+  _settle();
 }
 
 function _handleTaskError(taskId, errorMessage) {
-  if (taskId !== runningTaskId) return;
+  const item = _findRunning(taskId);
+  if (!item) return;
 
   // An interrupt sent by pause/skip/cancel causes ComfyUI to reject with an error.
   // Route it to the cancellation handler so the correct state transition fires.
-  if (state === 'pausing' || state === 'skipping' || state === 'cancelling') {
+  if (cancelIntents.has(item.id)) {
     _handleTaskCancelled(taskId);
     return;
   }
 
-  const runningItem = items.find(i => i.status === 'running');
-  if (runningItem) {
-    console.warn(`[queue] Task ${taskId} failed — removing item ${runningItem.id} and continuing`);
-    items = items.filter(i => i.id !== runningItem.id);
-  }
-  runningTaskId = null;
+  console.warn(`[queue] Task ${taskId} failed — removing item ${item.id} and continuing`);
+  _finish(item);
   saveQueue(items);
-  emit('queue:task-complete', { id: runningItem?.id });
-  _runNext();
+  emit('queue:task-complete', { id: item.id });
+  _settle();
 }
@@ -16,7 +16,9 @@ vi.mock('../generation/comfy-client.mjs', () => ({
   interruptGeneration: vi.fn().mockResolvedValue(undefined),
 }));
 
-import { initialize, setEmitQueueEvent, enqueue, clearBySource, deleteItem, clear, getStatus } from './service.mjs';
+import {
+  initialize, setEmitQueueEvent, enqueue, enqueueMany, clearBySource, deleteItem, clear, getStatus, parseScheduling, updateItem,
+} from './service.mjs';
 import { setTaskCancelledCallback, setTaskCompletedCallback } from '../../core/sse.mjs';
 
 function flushAsync() {
@@ -173,3 +175,146 @@ describe('queue service — _handleTaskCompleted', () => {
     }
   });
 });
+
+describe('queue service — lanes, scheduling and ETA', () => {
+  let completedCallback;
+  let started;
+
+  function setup(config = {}, history = []) {
+    started = [];
+    vi.mocked(setTaskCompletedCallback).mockImplementation(fn => { completedCallback = fn; });
+    initialize({
+      config,
+      uploadFileToComfyUI: vi.fn(),
+      executeQueuedTask: vi.fn(async (item) => {
+        started.push(item.name);
+        return { taskId: `task-${item.name}` };
+      }),
+      getTimingHistory: () => history,
+    });
+    setEmitQueueEvent(() => {});
+  }
+
+  async function finishRunning() {
+    completedCallback(`task-${started.at(-1)}`);
+    await flushAsync();
+  }
+
+  const job = (name, workflow, extra = {}) => ({
+    endpointKey: 'generate', type: 'image', name, source: 'yaaiic', taskData: { workflow }, ...extra,
+  });
+
+  test('interactive sources preempt batch work at the next item boundary', async () => {
+    setup({ queue: { sources: { 'anytale-play': { lane: 'interactive' } } } });
+    enqueue(job('video1', 'WAN22', { lane: 'batch' }), { autoStart: true });
+    enqueue(job('video2', 'WAN22', { lane: 'batch' }));
+    const page = enqueue(job('page', 'Illustrious', { source: 'anytale-play' }));
+    await flushAsync();
+
+    expect(page.lane).toBe('interactive');
+    await finishRunning();
+    expect(started).toEqual(['video1', 'page']);
+    expect(getStatus().items[0].name).toBe('page'); // running item is kept first
+  });
+
+  test('higher priority runs first, then same-workflow items are grouped', async () => {
+    setup();
+    enqueue(job('a1', 'A'), { autoStart: true });
+    enqueue(job('b1', 'B'));
+    enqueue(job('a2', 'A'));
+    enqueue(job('c1', 'C', { priority: 5 }));
+    await flushAsync();
+
+    await finishRunning();
+    await finishRunning();
+    await finishRunning();
+    expect(started).toEqual(['a1', 'c1', 'b1', 'a2']);
+
+    setup({ queue: { groupByWorkflow: true } });
+    enqueue(job('a1', 'A'), { autoStart: true });
+    enqueue(job('b1', 'B'));
+    enqueue(job('a2', 'A'));
+    await flushAsync();
+    await finishRunning();
+    expect(started).toEqual(['a1', 'a2']);
+  });
+
+  test('maxConsecutive lets another source in after the limit', async () => {
+    setup({ queue: { groupByWorkflow: false, sources: { yaaiic: { maxConsecutive: 2 } } } });
+    enqueue(job('y1', 'A'), { autoStart: true });
+    enqueue(job('y2', 'A'));
+    enqueue(job('y3', 'A'));
+    enqueue(job('t1', 'A', { source: 'anytale' }));
+    await flushAsync();
+
+    await finishRunning();
+    await finishRunning();
+    expect(started).toEqual(['y1', 'y2', 't1']);
+  });
+
+  test('runAfter items wait, and the queue reports waiting until they are due', async () => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+    try {
+      setup();
+      const later = new Date(Date.now() + 60_000).toISOString();
+      enqueue(job('overnight', 'A', { runAfter: later }), { autoStart: true });
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(getStatus().state).toBe('waiting');
+      expect(started).toEqual([]);
+
+      await vi.advanceTimersByTimeAsync(60_000);
+      expect(started).toEqual(['overnight']);
+      expect(getStatus().state).toBe('running');
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  test('parseScheduling rejects invalid fields', () => {
+    expect(() => parseScheduling({ lane: 'urgent' })).toThrow(/lane must be one of/);
+    expect(() => parseScheduling({ priority: 1.5 })).toThrow(/integer/);
+    expect(() => parseScheduling({ runAfter: 'tonight' })).toThrow(/ISO/);
+    expect(parseScheduling({ priority: 2, runAfter: null })).toEqual({ priority: 2, runAfter: null });
+  });
+
+  test('ETA uses per-workflow history and simulates the run order', async () => {
+    setup({}, [
+      { workflow: 'A', timeTaken: 10 },
+      { workflow: 'A', timeTaken: 20 },
+      { workflow: 'B', timeTaken: 100 },
+    ]);
+    const b = enqueue(job('b', 'B'));
+    const a = enqueue(job('a', 'A', { priority: 1 }));
+    const unknown = enqueue(job('x', 'Unseen'));
+
+    const { eta } = getStatus();
+    expect(eta.items[a.id]).toEqual({ position: 0, startsInSeconds: 0, estimatedSeconds: 15 });
+    expect(eta.items[b.id]).toEqual({ position: 1, startsInSeconds: 15, estimatedSeconds: 100 });
+    // Unknown workflows fall back to the average across all history
+    expect(eta.items[unknown.id]).toEqual({ position: 2, startsInSeconds: 115, estimatedSeconds: 43 });
+    expect(eta.totalSeconds).toBe(158);
+  });
+
+  test('enqueueMany saves and announces a whole batch at once', async () => {
+    setup();
+    const updates = [];
+    setEmitQueueEvent((event, payload) => { if (event === 'queue:updated') updates.push(payload.items.length); });
+
+    const added = enqueueMany([job('a', 'A'), job('b', 'B', { lane: 'batch' }), job('c', 'A')]);
+    expect(added.map(i => [i.name, i.lane])).toEqual([['a', 'normal'], ['b', 'batch'], ['c', 'normal']]);
+    expect(updates).toEqual([3]);
+    expect(Object.keys(getStatus().eta.items).sort()).toEqual(added.map(i => i.id).sort());
+  });
+
+  test('updateItem reschedules queued items only', async () => {
+    setup();
+    const running = enqueue(job('r', 'A'), { autoStart: true });
+    const queued = enqueue(job('q', 'A'));
+    await flushAsync();
+
+    expect(updateItem(queued.id, { lane: 'batch', priority: 3 })).toMatchObject({ lane: 'batch', priority: 3 });
+    expect(() => updateItem(running.id, { lane: 'batch' })).toThrow(/queued/);
+    expect(updateItem('missing', {})).toBeNull();
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Storage Router – admin endpoints for orphan scans, purges and the trash.
+ *
+ * @module features/storage/router
+ */
+import { Router } from 'express';
+import * as storageService from './service.mjs';
+
+const router = Router();
+
+function parseMinAge(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const minutes = Number(value);
+  if (!Number.isFinite(minutes) || minutes < 0) {
+    throw Object.assign(new Error('minAgeMinutes must be a non-negative number'), { status: 400 });
+  }
+  return minutes;
+}
+
+// ---------------------------------------------------------------------------
+// Orphan scan / purge
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /admin/storage/scan
+ * Report storage files that no media entry, AnyTale record or brew references.
+ */
+router.get('/admin/storage/scan', (req, res) => {
+  try {
+    res.json(storageService.scanOrphans({ minAgeMinutes: parseMinAge(req.query.minAgeMinutes) }));
+  } catch (error) {
+    const status = error.status || 500;
+    console.error('Error in storage scan endpoint:', error);
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/storage/purge
+ * Move orphaned files (optionally a subset) to a new trash batch.
+ */
+router.post('/admin/storage/purge', (req, res) => {
+  try {
+    const { files, minAgeMinutes } = req.body || {};
+    const batch = storageService.purgeOrphans({ files, minAgeMinutes: parseMinAge(minAgeMinutes) });
+    res.json({ success: true, movedCount: batch ? batch.files.length : 0, batch });
+  } catch (error) {
+    const status = error.status || 500;
+    console.error('Error in storage purge endpoint:', error);
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Trash
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /admin/storage/trash
+ * List trash batches with their files and expiry.
+ */
+router.get('/admin/storage/trash', (req, res) => {
+  try {
+    res.json(storageService.listTrash());
+  } catch (error) {
+    const status = error.status || 500;
+    console.error('Error in storage trash list endpoint:', error);
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/storage/trash/:batchId/restore
+ * Move a batch's files back into storage.
+ */
+router.post('/admin/storage/trash/:batchId/restore', (req, res) => {
+  try {
+    res.json({ success: true, ...storageService.restoreTrashBatch(req.params.batchId) });
+  } catch (error) {
+    const status = error.status || 500;
+    console.error('Error in storage trash restore endpoint:', error);
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /admin/storage/trash/:batchId
+ * Permanently delete one trash batch.
+ */
+router.delete('/admin/storage/trash/:batchId', (req, res) => {
+  try {
+    storageService.deleteTrashBatch(req.params.batchId);
+    res.json({ success: true });
+  } catch (error) {
+    const status = error.status || 500;
+    console.error('Error in storage trash delete endpoint:', error);
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /admin/storage/trash
+ * Permanently delete every trash batch.
+ */
+router.delete('/admin/storage/trash', (req, res) => {
+  try {
+    res.json({ success: true, ...storageService.emptyTrash() });
+  } catch (error) {
+    const status = error.status || 500;
+    console.error('Error in storage trash empty endpoint:', error);
+    res.status(status).json({ error: error.message });
+  }
+});
+
+export default router;
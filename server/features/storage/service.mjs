@@ -0,0 +1,372 @@
+/**
+ * Storage Service – file lifecycle for generated media in STORAGE_DIR.
+ *
+ * Media files are never unlinked directly. Deleting a gallery entry or
+ * purging unreferenced ("orphan") files moves them into a trash batch under
+ * TRASH_DIR, where they can be restored until the batch expires.
+ *
+ * A file counts as referenced when any media entry, AnyTale record, brew or
+ * sound source contains a `/media/<filename>` URL pointing at it.
+ *
+ * @module features/storage/service
+ */
+import fs from 'fs';
+import path from 'path';
+import {
+  STORAGE_DIR, TRASH_DIR, ANYTALE_DATA_PATH, BREW_DATA_PATH, SOUND_SOURCES_PATH
+} from '../../core/paths.mjs';
+import * as mediaRepo from '../media/repository.mjs';
+
+/** Matches `/media/<filename>` URLs inside stored strings. */
+const MEDIA_URL_PATTERN = /\/media\/([^\s"'?#)\\]+)/g;
+
+/** Hash-named AnyTale preview caches; regenerated on demand, never reported as orphans. */
+const HASH_CACHE_PATTERN = /^portrait_[0-9a-f]{16}\.png$/;
+
+const MANIFEST_NAME = 'manifest.json';
+const DEFAULT_RETENTION_DAYS = 7;
+const DEFAULT_GRACE_MINUTES = 60;
+
+/** Injected at server startup. */
+let _storageConfig = {};
+
+/**
+ * @typedef {Object} TrashBatch
+ * @property {string} batchId   - Folder name under TRASH_DIR.
+ * @property {'delete'|'purge'} reason - What moved the files.
+ * @property {string} createdAt - ISO timestamp.
+ * @property {string} expiresAt - ISO timestamp after which the batch is removed.
+ * @property {{ name: string, size: number }[]} files
+ * @property {number} [totalSize] - Sum of file sizes (added when listing).
+ */
+
+// ---------------------------------------------------------------------------
+// Init
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {Object} options
+ * @param {Object} options.config - App config; reads `config.storage`.
+ */
+export function initialize({ config }) {
+  _storageConfig = config?.storage ?? {};
+}
+
+function retentionMs() {
+  const days = _storageConfig.trashRetentionDays ?? DEFAULT_RETENTION_DAYS;
+  return days * 24 * 60 * 60 * 1000;
+}
+
+// ---------------------------------------------------------------------------
+// References
+// ---------------------------------------------------------------------------
+
+/**
+ * Add every storage filename referenced via a `/media/` URL in `text` to `into`.
+ * @param {string} text
+ * @param {Set<string>} [into]
+ * @returns {Set<string>}
+ */
+export function extractMediaFilenames(text, into = new Set()) {
+  for (const match of text.matchAll(MEDIA_URL_PATTERN)) {
+    let name = match[1];
+    try { name = decodeURIComponent(name); } catch { /* keep raw */ }
+    into.add(path.basename(name));
+  }
+  return into;
+}
+
+/**
+ * Collect every storage filename referenced by the media store and the
+ * AnyTale, brew and sound-source data files.
+ * @returns {Set<string>}
+ */
+export function collectReferencedFiles() {
+  const referenced = new Set();
+  for (const entry of mediaRepo.getAll()) {
+    extractMediaFilenames(JSON.stringify(entry), referenced);
+  }
+  // Data files besides the media store that may point at storage files
+  for (const filePath of [ANYTALE_DATA_PATH, BREW_DATA_PATH, SOUND_SOURCES_PATH]) {
+    if (!fs.existsSync(filePath)) continue;
+    extractMediaFilenames(fs.readFileSync(filePath, 'utf8'), referenced);
+  }
+  return referenced;
+}
+
+/**
+ * Files belonging to a media entry: everything it references plus sibling
+ * intermediates written next to its outputs (e.g. `image_12_0.png`,
+ * `image_12_00001_.png`).
+ * @param {Object} entry
+ * @param {string[]} [storageFiles] - Directory listing of STORAGE_DIR.
+ * @returns {string[]}
+ */
+export function getEntryFiles(entry, storageFiles = []) {
+  const files = extractMediaFilenames(JSON.stringify(entry));
+  for (const name of [...files]) {
+    const base = path.basename(name, path.extname(name));
+    const sibling = new RegExp(`^${escapeRegExp(base)}_\\d+_?\\.[a-z0-9]+$`, 'i');
+    for (const candidate of storageFiles) {
+      if (sibling.test(candidate)) files.add(candidate);
+    }
+  }
+  return [...files];
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function listStorageFiles() {
+  if (!fs.existsSync(STORAGE_DIR)) return [];
+  return fs.readdirSync(STORAGE_DIR, { withFileTypes: true })
+    .filter(dirent => dirent.isFile() && !dirent.name.startsWith('.'))
+    .map(dirent => dirent.name);
+}
+
+// ---------------------------------------------------------------------------
+// Entry deletion
+// ---------------------------------------------------------------------------
+
+/**
+ * Move the files of already-deleted media entries to the trash. Files still
+ * referenced by a remaining entry or another data file are left in place.
+ *
+ * @param {Object[]} entries - Entries that were removed from the media store.
+ * @returns {string[]} Filenames moved to the trash.
+ */
+export function trashEntryFiles(entries) {
+  if (entries.length === 0) return [];
+  const storageFiles = listStorageFiles();
+  const present = new Set(storageFiles);
+  const referenced = collectReferencedFiles();
+
+  const candidates = new Set();
+  for (const entry of entries) {
+    for (const name of getEntryFiles(entry, storageFiles)) {
+      if (present.has(name) && !referenced.has(name)) candidates.add(name);
+    }
+  }
+
+  const batch = moveToTrash([...candidates], 'delete');
+  return batch ? batch.files.map(f => f.name) : [];
+}
+
+// ---------------------------------------------------------------------------
+// Orphan scan / purge
+// ---------------------------------------------------------------------------
+
+/**
+ * Find storage files that nothing references. Files modified within the
+ * grace period are skipped so outputs of in-flight generations are not
+ * reported before their entry is saved.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.minAgeMinutes] - Grace period (default `config.storage.orphanGraceMinutes` or 60).
+ * @returns {{ files: { name: string, size: number, modifiedAt: string }[], count: number, totalSize: number }}
+ */
+export function scanOrphans({ minAgeMinutes } = {}) {
+  const graceMinutes = minAgeMinutes ?? _storageConfig.orphanGraceMinutes ?? DEFAULT_GRACE_MINUTES;
+  const cutoff = Date.now() - graceMinutes * 60 * 1000;
+  const referenced = collectReferencedFiles();
+
+  const files = [];
+  for (const name of listStorageFiles()) {
+    if (referenced.has(name) || HASH_CACHE_PATTERN.test(name)) continue;
+    const stat = fs.statSync(path.join(STORAGE_DIR, name));
+    if (stat.mtimeMs > cutoff) continue;
+    files.push({ name, size: stat.size, modifiedAt: stat.mtime.toISOString() });
+  }
+  files.sort((a, b) => b.size - a.size);
+
+  return { files, count: files.length, totalSize: sumSizes(files) };
+}
+
+/**
+ * Move orphaned files to the trash. The orphan set is recomputed so a file
+ * that became referenced since the caller's scan is never moved.
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.files]      - Restrict the purge to these filenames.
+ * @param {number} [options.minAgeMinutes] - Grace period passed to `scanOrphans`.
+ * @returns {TrashBatch|null} The created batch, or null when nothing was moved.
+ * @throws {Error} With `status = 400` if `files` is not an array of strings.
+ */
+export function purgeOrphans({ files, minAgeMinutes } = {}) {
+  if (files !== undefined && (!Array.isArray(files) || files.some(f => typeof f !== 'string'))) {
+    throw Object.assign(new Error('files must be an array of filenames'), { status: 400 });
+  }
+  let names = scanOrphans({ minAgeMinutes }).files.map(f => f.name);
+  if (files) {
+    const requested = new Set(files);
+    names = names.filter(name => requested.has(name));
+  }
+  return moveToTrash(names, 'purge');
+}
+
+// ---------------------------------------------------------------------------
+// Trash
+// ---------------------------------------------------------------------------
+
+function sumSizes(files) {
+  return files.reduce((sum, f) => sum + f.size, 0);
+}
+
+function moveFile(from, to) {
+  try {
+    fs.renameSync(from, to);
+  } catch (error) {
+    // Cross-device moves cannot be renamed
+    if (error.code !== 'EXDEV') throw error;
+    fs.copyFileSync(from, to);
+    fs.unlinkSync(from);
+  }
+}
+
+function batchDir(batchId) {
+  if (!/^[\w-]+$/.test(batchId)) {
+    throw Object.assign(new Error('Invalid trash batch id'), { status: 400 });
+  }
+  const dir = path.join(TRASH_DIR, batchId);
+  if (!fs.existsSync(path.join(dir, MANIFEST_NAME))) {
+    throw Object.assign(new Error(`Trash batch not found: ${batchId}`), { status: 404 });
+  }
+  return dir;
+}
+
+function readManifest(dir) {
+  return JSON.parse(fs.readFileSync(path.join(dir, MANIFEST_NAME), 'utf8'));
+}
+
+/**
+ * Move storage files into a new trash batch.
+ * @param {string[]} names - Filenames in STORAGE_DIR.
+ * @param {'delete'|'purge'} reason
+ * @returns {TrashBatch|null} Null when `names` is empty.
+ */
+export function moveToTrash(names, reason) {
+  if (names.length === 0) return null;
+
+  const now = new Date();
+  let batchId = `${reason}-${now.getTime()}`;
+  for (let n = 1; fs.existsSync(path.join(TRASH_DIR, batchId)); n++) {
+    batchId = `${reason}-${now.getTime()}-${n}`;
+  }
+  const dir = path.join(TRASH_DIR, batchId);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const files = [];
+  for (const name of names) {
+    const source = path.join(STORAGE_DIR, path.basename(name));
+    if (!fs.existsSync(source)) continue;
+    const { size } = fs.statSync(source);
+    moveFile(source, path.join(dir, path.basename(name)));
+    files.push({ name: path.basename(name), size });
+  }
+
+  /** @type {TrashBatch} */
+  const manifest = {
+    batchId,
+    reason,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + retentionMs()).toISOString(),
+    files,
+  };
+  fs.writeFileSync(path.join(dir, MANIFEST_NAME), JSON.stringify(manifest, null, 2), 'utf8');
+  console.log(`[Storage] Moved ${files.length} file(s) to trash batch ${batchId}`);
+  return manifest;
+}
+
+/**
+ * List trash batches, newest first.
+ * @returns {{ batches: TrashBatch[], totalSize: number }}
+ */
+export function listTrash() {
+  if (!fs.existsSync(TRASH_DIR)) return { batches: [], totalSize: 0 };
+
+  const batches = [];
+  for (const dirent of fs.readdirSync(TRASH_DIR, { withFileTypes: true })) {
+    if (!dirent.isDirectory()) continue;
+    const dir = path.join(TRASH_DIR, dirent.name);
+    if (!fs.existsSync(path.join(dir, MANIFEST_NAME))) continue;
+    const manifest = readManifest(dir);
+    batches.push({ ...manifest, totalSize: sumSizes(manifest.files) });
+  }
+  batches.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return { batches, totalSize: batches.reduce((sum, b) => sum + b.totalSize, 0) };
+}
+
+/**
+ * Move a batch's files back into STORAGE_DIR and remove the batch.
+ * Files whose name is taken again in storage are left in the batch.
+ *
+ * @param {string} batchId
+ * @returns {{ restored: string[], conflicts: string[] }}
+ * @throws {Error} With `status = 404` if the batch does not exist.
+ */
+export function restoreTrashBatch(batchId) {
+  const dir = batchDir(batchId);
+  const manifest = readManifest(dir);
+  fs.mkdirSync(STORAGE_DIR, { recursive: true });
+
+  const restored = [];
+  const conflicts = [];
+  for (const file of manifest.files) {
+    const source = path.join(dir, file.name);
+    const target = path.join(STORAGE_DIR, file.name);
+    if (!fs.existsSync(source)) continue;
+    if (fs.existsSync(target)) {
+      conflicts.push(file.name);
+      continue;
+    }
+    moveFile(source, target);
+    restored.push(file.name);
+  }
+
+  if (conflicts.length === 0) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  } else {
+    manifest.files = manifest.files.filter(f => conflicts.includes(f.name));
+    fs.writeFileSync(path.join(dir, MANIFEST_NAME), JSON.stringify(manifest, null, 2), 'utf8');
+  }
+  return { restored, conflicts };
+}
+
+/**
+ * Permanently delete a trash batch.
+ * @param {string} batchId
+ * @throws {Error} With `status = 404` if the batch does not exist.
+ */
+export function deleteTrashBatch(batchId) {
+  fs.rmSync(batchDir(batchId), { recursive: true, force: true });
+}
+
+/**
+ * Permanently delete every trash batch.
+ * @returns {{ deletedBatches: number }}
+ */
+export function emptyTrash() {
+  const { batches } = listTrash();
+  for (const batch of batches) {
+    fs.rmSync(path.join(TRASH_DIR, batch.batchId), { recursive: true, force: true });
+  }
+  return { deletedBatches: batches.length };
+}
+
+/**
+ * Permanently delete batches whose `expiresAt` has passed.
+ * @param {number} [now=Date.now()]
+ * @returns {string[]} Expired batch ids.
+ */
+export function expireTrash(now = Date.now()) {
+  const expired = listTrash().batches.filter(b => Date.parse(b.expiresAt) <= now);
+  for (const batch of expired) {
+    fs.rmSync(path.join(TRASH_DIR, batch.batchId), { recursive: true, force: true });
+  }
+  if (expired.length > 0) {
+    console.log(`[Storage] Expired ${expired.length} trash batch(es)`);
+  }
+  return expired.map(b => b.batchId);
+}
@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+// ── Mocks ────────────────────────────────────────────────────────────────────
+
+const tmp = vi.hoisted(() => ({ dir: '', entries: [] }));
+
+vi.mock('../../core/paths.mjs', () => ({
+  get STORAGE_DIR() { return `${tmp.dir}/storage`; },
+  get TRASH_DIR() { return `${tmp.dir}/trash`; },
+  get ANYTALE_DATA_PATH() { return `${tmp.dir}/anytale-data.json`; },
+  get BREW_DATA_PATH() { return `${tmp.dir}/brew-data.json`; },
+  get SOUND_SOURCES_PATH() { return `${tmp.dir}/sound-sources.json`; },
+}));
+
+vi.mock('../media/repository.mjs', () => ({
+  getAll: vi.fn(() => tmp.entries),
+}));
+
+const storage = await import('./service.mjs');
+const { findNextIndex } = await import('../../util.mjs');
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+const storagePath = (name) => path.join(tmp.dir, 'storage', name);
+
+function writeStorageFile(name, content = 'x', ageMinutes = 120) {
+  fs.writeFileSync(storagePath(name), content);
+  const time = new Date(Date.now() - ageMinutes * 60 * 1000);
+  fs.utimesSync(storagePath(name), time, time);
+}
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('storage service', () => {
+  beforeEach(() => {
+    tmp.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+    fs.mkdirSync(path.join(tmp.dir, 'storage'));
+    tmp.entries = [];
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    storage.initialize({ config: { storage: { trashRetentionDays: 7 } } });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    fs.rmSync(tmp.dir, { recursive: true, force: true });
+  });
+
+  it('reports only unreferenced files older than the grace period', () => {
+    tmp.entries = [{ uid: 1, imageUrl: '/media/image_1.png', clips: [{ audioUrl: '/media/clip_1.mp3' }] }];
+    fs.writeFileSync(path.join(tmp.dir, 'brew-data.json'), JSON.stringify([{ data: { url: '/media/audio_9.mp3' } }]));
+    for (const name of ['image_1.png', 'clip_1.mp3', 'audio_9.mp3', 'image_2.png', 'portrait_0123456789abcdef.png']) {
+      writeStorageFile(name);
+    }
+    writeStorageFile('image_3.png', 'x', 1);
+
+    const result = storage.scanOrphans();
+    expect(result.files.map(f => f.name)).toEqual(['image_2.png']);
+    expect(result.totalSize).toBe(1);
+    expect(storage.scanOrphans({ minAgeMinutes: 0 }).count).toBe(2);
+  });
+
+  it('moves a deleted entry\'s files and intermediates to the trash, keeping shared files', () => {
+    const deleted = { uid: 1, imageUrl: '/media/album_1.png', audioUrl: '/media/audio_1.mp3' };
+    tmp.entries = [{ uid: 2, imageUrl: '/media/album_1.png', audioUrl: '/media/audio_2.mp3' }];
+    for (const name of ['album_1.png', 'audio_1.mp3', 'audio_1_0.mp3', 'audio_1_00001_.flac', 'audio_12.mp3']) {
+      writeStorageFile(name);
+    }
+
+    const moved = storage.trashEntryFiles([deleted]);
+
+    expect(moved.sort()).toEqual(['audio_1.mp3', 'audio_1_0.mp3', 'audio_1_00001_.flac']);
+    expect(fs.existsSync(storagePath('album_1.png'))).toBe(true);
+    expect(fs.existsSync(storagePath('audio_12.mp3'))).toBe(true);
+    const { batches } = storage.listTrash();
+    expect(batches).toHaveLength(1);
+    expect(batches[0]).toMatchObject({ reason: 'delete', totalSize: 3 });
+  });
+
+  it('purges orphans into a batch that can be restored', () => {
+    writeStorageFile('image_5.png');
+    writeStorageFile('image_6.png');
+
+    const batch = storage.purgeOrphans({ files: ['image_5.png', 'not-an-orphan.png'] });
+    expect(batch.files.map(f => f.name)).toEqual(['image_5.png']);
+    expect(fs.existsSync(storagePath('image_5.png'))).toBe(false);
+
+    expect(storage.restoreTrashBatch(batch.batchId)).toEqual({ restored: ['image_5.png'], conflicts: [] });
+    expect(fs.existsSync(storagePath('image_5.png'))).toBe(true);
+    expect(storage.listTrash().batches).toHaveLength(0);
+  });
+
+  it('keeps the indices of trashed files taken so a restore never conflicts', () => {
+    writeStorageFile('image_2.png');
+    writeStorageFile('image_3.png');
+    const batch = storage.purgeOrphans({ files: ['image_3.png'] });
+
+    expect(findNextIndex('image', path.join(tmp.dir, 'storage'))).toBe(4);
+    writeStorageFile('image_4.png');
+    expect(storage.restoreTrashBatch(batch.batchId)).toEqual({ restored: ['image_3.png'], conflicts: [] });
+  });
+
+  it('expires batches past their retention and rejects unknown batch ids', () => {
+    writeStorageFile('image_7.png');
+    const batch = storage.purgeOrphans();
+
+    expect(storage.expireTrash(Date.now())).toEqual([]);
+    expect(storage.expireTrash(Date.now() + 8 * 24 * 60 * 60 * 1000)).toEqual([batch.batchId]);
+    expect(storage.listTrash().batches).toHaveLength(0);
+
+    expect(() => storage.deleteTrashBatch(batch.batchId)).toThrow(expect.objectContaining({ status: 404 }));
+    expect(() => storage.restoreTrashBatch('../storage')).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
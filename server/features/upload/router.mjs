@@ -10,6 +10,7 @@ import { Router } from 'express';
 import multer from 'multer';
 import { processMediaUpload } from './service.mjs';
 import { loadWorkflows } from '../generation/workflow-validator.mjs';
+import { validateAudioOps } from '../audio-ops/service.mjs';
 
 const router = Router();
 
@@ -35,6 +36,43 @@ const upload = multer({
 // Re-export so generation/inpaint routes can reuse the same Multer instance
 export { upload };
 
+// Audio uploads get a larger limit: an hour-long brew render arrives as WAV
+// (about 640 MB) before the server converts it.
+const audioUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 1024 * 1024 * 1024, // 1 GB
+    files: 1
+  },
+  fileFilter: (_req, file, cb) => {
+    if (file.mimetype.startsWith('audio/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only audio files are allowed'), false);
+    }
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse a JSON form field.
+ * @param {Object} body - `req.body`
+ * @param {string} field
+ * @returns {*} The parsed value, or null when the field is empty.
+ * @throws {Error} With `status = 400` when the field is not valid JSON.
+ */
+function parseJsonField(body, field) {
+  if (!body[field]) return null;
+  try {
+    return JSON.parse(body[field]);
+  } catch {
+    throw Object.assign(new Error(`${field} must be valid JSON`), { status: 400 });
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Routes
 // ---------------------------------------------------------------------------
@@ -65,7 +103,7 @@ router.post('/upload/image', upload.single('image'), async (req, res) => {
  * POST /upload/audio
  * Upload an audio file for processing.
  */
-router.post('/upload/audio', upload.single('audio'), async (req, res) => {
+router.post('/upload/audio', audioUpload.single('audio'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No audio file provided' });
@@ -80,15 +118,30 @@ router.post('/upload/audio', upload.single('audio'), async (req, res) => {
     const extractedSummary     = req.body.summary     || null;
     const extractedPrompt      = req.body.prompt      || null;
     const extractedAudioFormat = req.body.audioFormat || null;
+    const extractedBrew        = parseJsonField(req.body, 'brew');
+    const extractedAudioOps    = parseJsonField(req.body, 'audioOps');
+
+    if (extractedBrew && !Number.isFinite(Number(extractedBrew.uid))) {
+      return res.status(400).json({ error: 'brew.uid must be a number' });
+    }
+    const audioOpsErrors = extractedAudioOps ? validateAudioOps(extractedAudioOps) : [];
+    if (audioOpsErrors.length > 0) {
+      return res.status(400).json({ error: audioOpsErrors.join('; ') });
+    }
 
     const metadata = (extractedTags || extractedDescription || extractedSummary || extractedPrompt)
       ? { tags: extractedTags, description: extractedDescription, summary: extractedSummary, prompt: extractedPrompt }
       : null;
 
-    const taskId = await processMediaUpload(req.file, loadWorkflows(), extractedName, extractedOrigin, extractedClips, metadata, extractedAudioFormat);
+    const brew = extractedBrew
+      ? { uid: Number(extractedBrew.uid), seed: Number(extractedBrew.seed) || 0, length: Number(extractedBrew.length) || null }
+      : null;
+
+    const taskId = await processMediaUpload(req.file, loadWorkflows(), extractedName, extractedOrigin, extractedClips, metadata, extractedAudioFormat, brew, extractedAudioOps);
 
     res.json({ success: true, taskId, message: 'Upload task created' });
   } catch (error) {
+    if (error.status === 400) return res.status(400).json({ error: error.message });
     console.error('Error uploading audio:', error);
     res.status(500).json({ error: 'Failed to upload audio', details: error.message });
   }
@@ -61,5 +61,64 @@ describe('Upload Router', () => {
       const res = await request(app).post('/upload/audio')
       expect(res.status).toBe(400)
     })
+
+    test('passes a brew render link through to the upload', async () => {
+      const { processMediaUpload } = await import('./service.mjs')
+      const res = await request(app)
+        .post('/upload/audio')
+        .field('audioFormat', 'mp3')
+        .field('brew', JSON.stringify({ uid: '42', seed: 7, length: 3600 }))
+        .attach('audio', minimalMp3, { filename: 'brew-render-rain.wav', contentType: 'audio/wav' })
+      expect(res.status).toBe(200)
+      expect(processMediaUpload.mock.lastCall.slice(6)).toEqual(['mp3', { uid: 42, seed: 7, length: 3600 }, null])
+
+      const bad = await request(app)
+        .post('/upload/audio')
+        .field('brew', JSON.stringify({ seed: 7 }))
+        .attach('audio', minimalMp3, { filename: 'brew-render-rain.wav', contentType: 'audio/wav' })
+      expect(bad.status).toBe(400)
+
+      const malformed = await request(app)
+        .post('/upload/audio')
+        .field('brew', '{uid: 42')
+        .attach('audio', minimalMp3, { filename: 'brew-render-rain.wav', contentType: 'audio/wav' })
+      expect(malformed.status).toBe(400)
+      expect(malformed.body).toEqual({ error: 'brew must be valid JSON' })
+    })
+
+    test('passes sound editor operations through to the upload', async () => {
+      const { processMediaUpload } = await import('./service.mjs')
+      const audioOps = [{ op: 'fade-in', start: 0, end: 1, curve: 'linear' }, { op: 'reverse', start: 0, end: 2 }]
+      const res = await request(app)
+        .post('/upload/audio')
+        .field('origin', '12')
+        .field('audioOps', JSON.stringify(audioOps))
+        .attach('audio', minimalMp3, { filename: 'edit.wav', contentType: 'audio/wav' })
+      expect(res.status).toBe(200)
+      expect(processMediaUpload.mock.lastCall[3]).toBe(12)
+      expect(processMediaUpload.mock.lastCall[8]).toEqual(audioOps)
+
+      const bad = await request(app)
+        .post('/upload/audio')
+        .field('audioOps', JSON.stringify([{ start: 0 }]))
+        .attach('audio', minimalMp3, { filename: 'edit.wav', contentType: 'audio/wav' })
+      expect(bad.status).toBe(400)
+
+      const invalid = await request(app)
+        .post('/upload/audio')
+        .field('audioOps', JSON.stringify([{ op: 'fade-in', start: 0, end: '1', curve: 'wobbly' }]))
+        .attach('audio', minimalMp3, { filename: 'edit.wav', contentType: 'audio/wav' })
+      expect(invalid.status).toBe(400)
+      expect(invalid.body.error).toBe('audioOps[0].end must be number; audioOps[0].curve must be one of: "linear", "ease-in", "ease-out", "ease-in-out", "equal-power"')
+
+      const calls = processMediaUpload.mock.calls.length
+      const malformed = await request(app)
+        .post('/upload/audio')
+        .field('audioOps', '[{"op": "trim"')
+        .attach('audio', minimalMp3, { filename: 'edit.wav', contentType: 'audio/wav' })
+      expect(malformed.status).toBe(400)
+      expect(malformed.body).toEqual({ error: 'audioOps must be valid JSON' })
+      expect(processMediaUpload.mock.calls.length).toBe(calls)
+    })
   })
 })
@@ -4,7 +4,9 @@
  * Handles processing of uploaded media files (images and audio),
  * including saving to storage, generating album covers for audio files,
  * running post-generation tasks (LLM-driven descriptions, tags, etc.),
- * and creating database entries.
+ * and creating database entries. Generation metadata embedded in the file
+ * (by YAAIIC, A1111 or ComfyUI) pre-fills the entry; the LLM tasks only run
+ * for the fields it does not provide.
  *
  * @module features/upload/service
  */
@@ -14,8 +16,8 @@ import { execFile } from 'child_process';
 import { promisify } from 'util';
 import sharp from 'sharp';
 import { modifyGenerationDataWithPrompt } from '../generation/orchestrator.mjs';
-import { checkPromptStatus } from '../generation/orchestrator.mjs';
-import { uploadFile } from '../generation/comfy-client.mjs';
+import { uploadFile, checkPromptStatus } from '../generation/comfy-client.mjs';
+import { selectBackend } from '../generation/backend-pool.mjs';
 import { CLIENT_ID } from '../../comfyui-websocket.mjs';
 import { setObjectPathValue, findNextIndex } from '../../util.mjs';
 import { STORAGE_DIR, COMFYUI_WORKFLOWS_DIR } from '../../core/paths.mjs';
@@ -30,6 +32,7 @@ import {
   resetProgressLog
 } from '../../core/sse.mjs';
 import { resetPromptLog } from '../../core/llm.mjs';
+import { readEmbeddedMetadata } from '../media/embedded-metadata.mjs';
 
 const execFileAsync = promisify(execFile);
 
@@ -67,9 +70,11 @@ export { uploadFile as uploadFileToComfyUI };
  * @param {Object} file             - Multer file object (buffer, originalname, mimetype, …).
  * @param {Object} workflowsConfig  - Parsed comfyui-workflows.json.
  * @param {string|null} [name]      - Optional user-supplied name.
+ * @param {{ uid: number, seed: number, length: number|null }|null} [brew] - Ambient brew an audio file was rendered from.
+ * @param {Object[]|null} [audioOps] - Sound editor operations an audio edit was made with.
  * @returns {Promise<string>} Task ID.
  */
-export async function processMediaUpload(file, workflowsConfig, name = null, origin = null, clips = null, metadata = null, audioFormat = null) {
+export async function processMediaUpload(file, workflowsConfig, name = null, origin = null, clips = null, metadata = null, audioFormat = null, brew = null, audioOps = null) {
   // Reset per-request logs
   resetPromptLog();
   resetProgressLog();
@@ -91,7 +96,7 @@ export async function processMediaUpload(file, workflowsConfig, name = null, ori
   console.log(`Created upload task ${taskId}`);
 
   // Process upload task asynchronously
-  processUploadTask(taskId, file, workflowsConfig, name, origin, clips, metadata, audioFormat).catch(error => {
+  processUploadTask(taskId, file, workflowsConfig, name, origin, clips, metadata, audioFormat, brew, audioOps).catch(error => {
     console.error(`Error in upload task ${taskId}:`, error);
     emitTaskErrorByTaskId(taskId, 'Upload failed', error.message);
   });
@@ -105,15 +110,18 @@ export async function processMediaUpload(file, workflowsConfig, name = null, ori
 
 /**
  * Helper: generate album cover for audio uploads.
+ * Pre- and post-generation tasks are skipped for fields in `supplied`
+ * (metadata embedded in the file or sent by the client); those values are
+ * used as they are.
  */
-async function generateAlbumCover(taskId, requestData, workflowConfig, workflowsConfig) {
+async function generateAlbumCover(taskId, requestData, workflowConfig, workflowsConfig, supplied = {}) {
   const { base: workflowBasePath, replace: modifications, preGenerationTasks, postGenerationTasks, options } = workflowConfig;
   const { seed, saveImagePath, prompt } = requestData;
 
   console.log(`Generating album cover with workflow: ${workflowBasePath}`);
 
   // Create generationData for the album cover
-  const generationData = { ...requestData };
+  const generationData = { ...supplied, ...requestData };
 
   // Load the ComfyUI workflow
   const workflowPath = path.join(COMFYUI_WORKFLOWS_DIR, workflowBasePath);
@@ -130,6 +138,7 @@ async function generateAlbumCover(taskId, requestData, workflowConfig, workflows
   // applying modifications, so their results can feed into the workflow.
   if (preGenerationTasks && Array.isArray(preGenerationTasks)) {
     for (const taskConfig of preGenerationTasks) {
+      if (supplied[taskConfig.to]) continue;
       try {
         await modifyGenerationDataWithPrompt(taskConfig, generationData);
       } catch (error) {
@@ -152,11 +161,10 @@ async function generateAlbumCover(taskId, requestData, workflowConfig, workflows
     });
   }
 
-  // Send request to ComfyUI
-  const { getApiPath } = await import('../generation/comfy-client.mjs');
-  const comfyUIAPIPath = getApiPath();
+  // Send request to the best available ComfyUI backend
+  const backend = selectBackend(workflowConfig);
 
-  const comfyResponse = await fetch(`${comfyUIAPIPath}/prompt`, {
+  const comfyResponse = await fetch(`${backend.apiPath}/prompt`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({
@@ -179,7 +187,7 @@ async function generateAlbumCover(taskId, requestData, workflowConfig, workflows
   console.log(`Album cover generation prompt ${promptId} submitted, waiting for completion...`);
 
   // Wait for the prompt to complete
-  const statusResult = await checkPromptStatus(promptId);
+  const statusResult = await checkPromptStatus(promptId, backend.name);
 
   if (statusResult.error) {
     throw new Error('Album cover generation failed');
@@ -192,6 +200,7 @@ async function generateAlbumCover(taskId, requestData, workflowConfig, workflows
   // Run post-generation tasks if configured
   if (postGenerationTasks && Array.isArray(postGenerationTasks)) {
     for (const promptConfig of postGenerationTasks) {
+      if (supplied[promptConfig.to]) continue;
       try {
         await modifyGenerationDataWithPrompt(promptConfig, generationData);
       } catch (error) {
@@ -203,10 +212,29 @@ async function generateAlbumCover(taskId, requestData, workflowConfig, workflows
   return generationData;
 }
 
+/**
+ * Helper: entry fields recovered from metadata embedded in an uploaded file.
+ * The workflow name is only kept when that workflow exists here.
+ * @returns {Promise<Object>} Empty when the file carries none.
+ */
+async function readUploadMetadata(file, workflowsConfig) {
+  try {
+    const found = await readEmbeddedMetadata(file.buffer);
+    if (!found) return {};
+    console.log(`Found ${found.source} metadata in ${file.originalname}`);
+    const { workflow, ...fields } = found.fields;
+    const known = workflow && (workflowsConfig.workflows || []).some(w => w.name === workflow);
+    return known ? { ...fields, workflow } : fields;
+  } catch (error) {
+    console.warn(`Failed to read metadata from ${file.originalname}:`, error.message);
+    return {};
+  }
+}
+
 /**
  * Process upload task asynchronously.
  */
-async function processUploadTask(taskId, file, workflowsConfig, extractedName = null, origin = null, clips = null, metadata = null, audioFormat = null) {
+async function processUploadTask(taskId, file, workflowsConfig, extractedName = null, origin = null, clips = null, metadata = null, audioFormat = null, brew = null, audioOps = null) {
   try {
     // Detect file type
     const isAudio = file.mimetype.startsWith('audio/');
@@ -215,6 +243,8 @@ async function processUploadTask(taskId, file, workflowsConfig, extractedName =
     // Emit progress: Uploading file
     emitProgressUpdate(taskId, { percentage: 10, value: 1, max: 4 }, `Uploading ${fileTypeLabel.toLowerCase()}...`);
 
+    const embedded = await readUploadMetadata(file, workflowsConfig);
+
     // Determine file type and extension
     let ext = path.extname(file.originalname).toLowerCase() || (isAudio ? '.mp3' : '.png');
     const fileType = isAudio ? 'audio' : 'image';
@@ -270,7 +300,7 @@ async function processUploadTask(taskId, file, workflowsConfig, extractedName =
         .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
         .join(' ');
 
-      const baseName = extractedName || formattedName;
+      const baseName = extractedName || embedded.name || formattedName;
 
       // Generate album cover using the defaultAudioGenerationWorkflow
       emitProgressUpdate(taskId, { percentage: 40, value: 2, max: 4 }, 'Generating album cover...');
@@ -293,21 +323,33 @@ async function processUploadTask(taskId, file, workflowsConfig, extractedName =
         saveImageFilename: `album_${timestamp}`
       };
 
+      // Fields the file or the client already provide need no LLM task
+      const { workflow: _embeddedWorkflow, ...supplied } = embedded;
+      for (const field of ['tags', 'description', 'summary', 'prompt']) {
+        if (metadata?.[field] != null) supplied[field] = metadata[field];
+      }
+
       // Generate the album cover
       try {
-        const albumResult = await generateAlbumCover(taskId, albumRequestData, albumWorkflow, workflowsConfig);
+        const albumResult = await generateAlbumCover(taskId, albumRequestData, albumWorkflow, workflowsConfig, supplied);
 
         // Create generationData with both audio and image info.
-        // Metadata provided by the client (ported from the original audio entry)
-        // overrides the LLM-generated values from the album generation pipeline.
+        // Metadata embedded in the file, then metadata provided by the client
+        // (ported from the original audio entry), override the LLM-generated
+        // values from the album generation pipeline.
         const generationData = {
           ...albumResult,
+          ...embedded,
+          name: baseName,
           saveAudioPath: saveMediaPath,
           audioUrl: `/media/${filename}`,
           audioFormat: ext.substring(1), // Remove leading dot
-          workflow: 'Uploaded Audio',
+          workflow: embedded.workflow || 'Uploaded Audio',
+          operation: brew ? 'render' : origin != null ? 'edit' : 'upload',
           type: 'audio',
           ...(origin != null && { origin }),
+          ...(brew && { brew }),
+          ...(audioOps?.length && { audioOps }),
           // Always persist clips explicitly — null means "no clips", [] means "cleared".
           clips: clips !== null ? clips : (albumResult.clips ?? []),
           // Port original entry metadata when this is a derived audio edit.
@@ -365,12 +407,13 @@ async function processUploadTask(taskId, file, workflowsConfig, extractedName =
 
     // Create generationData object with the saved path
     const generationData = {
+      ...embedded,
       saveImagePath: saveMediaPath,
-      prompt: '',
-      seed: 0,
-      workflow: 'Uploaded Image',
-      name: extractedName || '',
-      description: '',
+      prompt: embedded.prompt || '',
+      seed: embedded.seed ?? 0,
+      workflow: embedded.workflow || 'Uploaded Image',
+      name: extractedName || embedded.name || '',
+      description: embedded.description || '',
       orientation: orientation
     };
 
@@ -380,6 +423,7 @@ async function processUploadTask(taskId, file, workflowsConfig, extractedName =
 
       let promptIndex = 0;
       for (const promptConfig of workflowsConfig.defaultImageGenerationTasks) {
+        if (embedded[promptConfig.to]) continue;
         try {
           promptIndex++;
           // Emit progress for each prompt
@@ -409,12 +453,11 @@ async function processUploadTask(taskId, file, workflowsConfig, extractedName =
 
     // Add all fields to generationData before saving
     generationData.imageUrl = `/media/${filename}`;
-    generationData.workflow = 'Uploaded Image';
+    generationData.operation = 'upload';
     generationData.type = 'image';
     generationData.inpaint = false;
     generationData.inpaintArea = null;
     generationData.timeTaken = timeTaken;
-    generationData.seed = 0;
 
     // Ensure defaults for optional fields
     if (!generationData.prompt) generationData.prompt = '';
@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+// ── Mocks ────────────────────────────────────────────────────────────────────
+
+const tmp = vi.hoisted(() => ({ dir: '' }));
+
+vi.mock('../../core/paths.mjs', () => ({
+  get STORAGE_DIR() { return `${tmp.dir}/storage`; },
+  get TRASH_DIR() { return `${tmp.dir}/trash`; },
+  get COMFYUI_WORKFLOWS_DIR() { return `${tmp.dir}/workflows`; },
+}));
+
+vi.mock('../generation/orchestrator.mjs', () => ({
+  modifyGenerationDataWithPrompt: vi.fn(async (taskConfig, generationData) => {
+    generationData[taskConfig.to] = taskConfig.template ?? `llm ${taskConfig.to}`;
+  }),
+}));
+
+vi.mock('../generation/comfy-client.mjs', () => ({
+  uploadFile: vi.fn(),
+  checkPromptStatus: vi.fn(async () => ({})),
+}));
+
+vi.mock('../generation/backend-pool.mjs', () => ({
+  selectBackend: vi.fn(() => ({ name: 'local', apiPath: 'http://comfyui' })),
+}));
+
+vi.mock('../../comfyui-websocket.mjs', () => ({ CLIENT_ID: 'test-client' }));
+
+vi.mock('../../core/sse.mjs', () => ({
+  generateTaskId: vi.fn(() => 'upload-task'),
+  createTask: vi.fn(),
+  getTask: vi.fn(),
+  updateTask: vi.fn(),
+  emitProgressUpdate: vi.fn(),
+  emitTaskCompletion: vi.fn(),
+  emitTaskErrorByTaskId: vi.fn(),
+  resetProgressLog: vi.fn(),
+}));
+
+vi.mock('../../core/llm.mjs', () => ({ resetPromptLog: vi.fn() }));
+
+vi.mock('../media/embedded-metadata.mjs', () => ({ readEmbeddedMetadata: vi.fn(async () => null) }));
+
+const { processMediaUpload, setUploadAddMediaDataEntry } = await import('./service.mjs');
+const { modifyGenerationDataWithPrompt } = await import('../generation/orchestrator.mjs');
+const { emitTaskCompletion, emitTaskErrorByTaskId } = await import('../../core/sse.mjs');
+const { readEmbeddedMetadata } = await import('../media/embedded-metadata.mjs');
+
+const workflowsConfig = {
+  defaultAudioGenerationWorkflow: 'Album',
+  workflows: [{
+    name: 'Album',
+    base: 'album.json',
+    replace: [{ from: 'prompt', to: ['1', 'inputs', 'text'] }],
+    preGenerationTasks: [
+      { template: 'jpg', to: 'imageFormat' },
+      { model: 'llm', prompt: 'Describe a cover for {{name}}', to: 'prompt' },
+    ],
+    postGenerationTasks: [{ model: 'llm', prompt: 'Describe the cover', to: 'description' }],
+  }],
+};
+
+const audioFile = () => ({ originalname: 'rain_loop.mp3', mimetype: 'audio/mpeg', buffer: Buffer.from('ID3') });
+
+/** Run an audio upload to completion; returns the saved entry and the graph sent to ComfyUI. */
+async function uploadAudio(...args) {
+  const entries = [];
+  setUploadAddMediaDataEntry(entry => entries.push(entry));
+  await processMediaUpload(audioFile(), workflowsConfig, null, null, null, ...args);
+  await vi.waitFor(() => {
+    if (emitTaskErrorByTaskId.mock.calls.length) throw new Error(emitTaskErrorByTaskId.mock.calls[0][2]);
+    expect(emitTaskCompletion).toHaveBeenCalled();
+  });
+  const graph = JSON.parse(fetch.mock.calls[0][1].body).prompt;
+  return { entry: entries[0], graph };
+}
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('upload service – audio', () => {
+  beforeEach(() => {
+    tmp.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-test-'));
+    fs.mkdirSync(path.join(tmp.dir, 'workflows'));
+    fs.writeFileSync(path.join(tmp.dir, 'workflows', 'album.json'), JSON.stringify({ 1: { inputs: { text: '' } } }));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.stubGlobal('fetch', vi.fn(async () => ({ ok: true, json: async () => ({ prompt_id: 'p1' }) })));
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+    fs.rmSync(tmp.dir, { recursive: true, force: true });
+  });
+
+  it('runs the album cover LLM tasks when the file carries no metadata', async () => {
+    const { entry, graph } = await uploadAudio();
+
+    expect(modifyGenerationDataWithPrompt.mock.calls.map(([task]) => task.to)).toEqual(['imageFormat', 'prompt', 'description']);
+    expect(graph[1].inputs.text).toBe('llm prompt');
+    expect(entry).toMatchObject({ name: 'Rain Loop', prompt: 'llm prompt', description: 'llm description', workflow: 'Uploaded Audio' });
+  });
+
+  it('skips the LLM tasks for fields the embedded ID3 metadata or the client supply', async () => {
+    readEmbeddedMetadata.mockResolvedValueOnce({
+      source: 'yaaiic',
+      fields: { name: 'Rain', prompt: 'rain on a tin roof', seed: 12 },
+    });
+
+    const { entry, graph } = await uploadAudio({ description: 'Steady rain.', tags: null, summary: null, prompt: null });
+
+    expect(modifyGenerationDataWithPrompt.mock.calls.map(([task]) => task.to)).toEqual(['imageFormat']);
+    expect(modifyGenerationDataWithPrompt.mock.calls.some(([task]) => task.model)).toBe(false);
+    expect(graph[1].inputs.text).toBe('rain on a tin roof');
+    expect(entry).toMatchObject({ name: 'Rain', prompt: 'rain on a tin roof', description: 'Steady rain.', seed: 12 });
+  });
+});
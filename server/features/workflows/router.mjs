@@ -3,10 +3,14 @@
  *
  * Endpoints:
  *   GET    /api/workflows          - List all workflows (including hidden)
+ *   GET    /api/workflows/dependencies - Nodes, models and values each workflow is missing on ComfyUI
  *   GET    /api/workflows/:name    - Fetch a specific workflow by name
- *   POST   /api/workflows/upload   - Upload a ComfyUI JSON and auto-detect mappings
+ *   GET    /api/workflows/:name/ui-graph - Fetch the UI-format graph a workflow was imported from
+ *   POST   /api/workflows/upload   - Upload a ComfyUI JSON (API or UI format) and auto-detect mappings
  *   POST   /api/workflows          - Save / update a workflow configuration
  *   DELETE /api/workflows/:name    - Remove a workflow
+ *   GET    /api/processors         - List post-processing processors (built-in and plugins)
+ *   POST   /api/processors/reload  - Re-scan the processor plugin directory
  *
  * @module features/workflows/router
  */
@@ -14,7 +18,7 @@ import { Router } from 'express';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
-import { COMFYUI_WORKFLOWS_DIR, WORKFLOWS_PATH } from '../../core/paths.mjs';
+import { COMFYUI_WORKFLOWS_DIR, COMFYUI_UI_GRAPHS_DIR, WORKFLOWS_PATH } from '../../core/paths.mjs';
 import {
   getWorkflowByName,
   listWorkflowSummaries,
@@ -24,7 +28,10 @@ import {
   reorderWorkflows,
   autoDetectWorkflow,
   parseWorkflowName,
+  checkWorkflowDependencies,
+  importWorkflowJson,
 } from './service.mjs';
+import { listProcessors, loadProcessorPlugins } from '../generation/processors/index.mjs';
 
 const router = Router();
 
@@ -61,32 +68,77 @@ router.get('/api/workflows', (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// GET /api/processors – processors with their parameter schemas
+// ---------------------------------------------------------------------------
+
+router.get('/api/processors', (req, res) => {
+  try {
+    res.json(listProcessors());
+  } catch (error) {
+    console.error('Error listing processors:', error);
+    res.status(500).json({ error: 'Failed to list processors' });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/processors/reload – pick up added or edited plugins
+// ---------------------------------------------------------------------------
+
+router.post('/api/processors/reload', async (req, res) => {
+  try {
+    await loadProcessorPlugins();
+    res.json(listProcessors());
+  } catch (error) {
+    console.error('Error reloading processors:', error);
+    res.status(500).json({ error: 'Failed to reload processors' });
+  }
+});
+
 // ---------------------------------------------------------------------------
 // POST /api/workflows/upload – upload and auto-detect
 // ---------------------------------------------------------------------------
 // NOTE: must come BEFORE /:name to avoid route shadowing
 
-router.post('/api/workflows/upload', upload.single('workflow'), (req, res) => {
+router.post('/api/workflows/upload', upload.single('workflow'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No workflow file provided' });
     }
 
-    let workflowJson;
+    let uploadedJson;
     try {
-      workflowJson = JSON.parse(req.file.buffer.toString('utf8'));
+      uploadedJson = JSON.parse(req.file.buffer.toString('utf8'));
     } catch {
       return res.status(400).json({ error: 'Invalid JSON file' });
     }
 
+    // UI-format graphs are converted to API format; the original is kept for the editor
+    let imported;
+    try {
+      imported = await importWorkflowJson(uploadedJson);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({ error: error.message });
+    }
+    const { workflowJson, uiGraph, warnings } = imported;
+
     // Sanitise filename and save to resource/
     const originalName  = req.file.originalname;
     const sanitized     = originalName.replace(/[^a-zA-Z0-9._-]/g, '_');
     const baseFilename  = sanitized.endsWith('.json') ? sanitized : `${sanitized}.json`;
     const destPath      = path.join(COMFYUI_WORKFLOWS_DIR, baseFilename);
+    const uiGraphPath   = path.join(COMFYUI_UI_GRAPHS_DIR, baseFilename);
 
     fs.writeFileSync(destPath, JSON.stringify(workflowJson, null, 2), 'utf8');
     console.log(`Workflow JSON saved to ${destPath}`);
+    if (uiGraph) {
+      fs.mkdirSync(COMFYUI_UI_GRAPHS_DIR, { recursive: true });
+      fs.writeFileSync(uiGraphPath, JSON.stringify(uiGraph, null, 2), 'utf8');
+      warnings.forEach(warning => console.warn(`[workflows] ${baseFilename}: ${warning}`));
+    } else {
+      fs.rmSync(uiGraphPath, { force: true });
+    }
 
     // Derive display name from filename
     const suggestedName = parseWorkflowName(baseFilename);
@@ -107,7 +159,7 @@ router.post('/api/workflows/upload', upload.single('workflow'), (req, res) => {
 
     fs.writeFileSync(WORKFLOWS_PATH, JSON.stringify(data, null, 2), 'utf8');
 
-    res.json({ workflow, detectedNodes, baseFilename, workflowJson });
+    res.json({ workflow, detectedNodes, baseFilename, workflowJson, converted: !!uiGraph, warnings });
   } catch (error) {
     console.error('Error uploading workflow:', error);
     res.status(500).json({ error: 'Failed to upload workflow', details: error.message });
@@ -129,6 +181,21 @@ router.get('/api/workflows/base-files', (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// GET /api/workflows/dependencies – check workflows against ComfyUI's nodes and models
+// ---------------------------------------------------------------------------
+// NOTE: must come BEFORE /:name to avoid route shadowing
+
+router.get('/api/workflows/dependencies', async (req, res) => {
+  try {
+    const report = await checkWorkflowDependencies({ refresh: req.query.refresh === 'true' });
+    res.json(report ?? { checkedAt: null, backends: [], workflows: {} });
+  } catch (error) {
+    console.error('Error checking workflow dependencies:', error);
+    res.status(500).json({ error: 'Failed to check workflow dependencies' });
+  }
+});
+
 // ---------------------------------------------------------------------------
 // GET /api/workflows/base-files/:filename – serve a raw ComfyUI JSON by filename
 // ---------------------------------------------------------------------------
@@ -183,6 +250,29 @@ router.get('/api/workflows/:name/base', (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// GET /api/workflows/:name/ui-graph – serve the UI-format graph a workflow was imported from
+// ---------------------------------------------------------------------------
+// NOTE: must come BEFORE /:name to avoid being swallowed by the generic route
+
+router.get('/api/workflows/:name/ui-graph', (req, res) => {
+  try {
+    const name      = decodeURIComponent(req.params.name);
+    const workflow  = getWorkflowByName(name);
+    const graphPath = workflow?.base ? path.join(COMFYUI_UI_GRAPHS_DIR, workflow.base) : null;
+
+    if (!graphPath || !fs.existsSync(graphPath)) {
+      return res.status(404).json({ error: 'No UI graph stored for this workflow' });
+    }
+
+    res.setHeader('Content-Type', 'application/json');
+    res.sendFile(graphPath);
+  } catch (error) {
+    console.error('Error serving UI graph:', error);
+    res.status(500).json({ error: 'Failed to load UI graph' });
+  }
+});
+
 // ---------------------------------------------------------------------------
 // PUT /api/workflows/reorder – persist a new workflow display order
 // ---------------------------------------------------------------------------
@@ -5,13 +5,22 @@
  *   - Loading, saving, and deleting workflow entries in comfyui-workflows.json
  *   - Parsing workflow filenames into display names
  *   - Auto-detecting nodes in uploaded ComfyUI workflow JSON
+ *   - Checking workflows against the nodes and models installed on ComfyUI
+ *   - Converting uploaded UI-format graphs to API format (see ui-graph.mjs)
  *
  * @module features/workflows/service
  */
 import fs from 'fs';
 import path from 'path';
 import { randomUUID } from 'crypto';
-import { WORKFLOWS_PATH, COMFYUI_WORKFLOWS_DIR } from '../../core/paths.mjs';
+import { WORKFLOWS_PATH, COMFYUI_WORKFLOWS_DIR, COMFYUI_UI_GRAPHS_DIR } from '../../core/paths.mjs';
+import { validateCondition } from '../../util.mjs';
+import { validateTemplate } from '../../template-utils.mjs';
+import { checkJsonSchema } from '../../core/json-schema.mjs';
+import { validateProcessorTask } from '../generation/processors/index.mjs';
+import { getBackends, hasCapabilities, setMissingDependencies } from '../generation/backend-pool.mjs';
+import { isComfyUIBackendHealthy } from '../../core/service-manager.mjs';
+import { isUIGraph, convertUIGraph } from './ui-graph.mjs';
 
 // ---------------------------------------------------------------------------
 // Helpers: file I/O for comfyui-workflows.json
@@ -425,12 +434,15 @@ export function listWorkflowNames() {
 
 /**
  * List all workflows (including hidden) as lightweight summaries.
+ * `available` is false when the last dependency check found it cannot run.
  *
- * @returns {{ name: string, hidden: boolean }[]}
+ * @returns {{ name: string, hidden: boolean, type: string, available: boolean }[]}
  */
 export function listWorkflowSummaries() {
   const data = readWorkflowsFile();
-  return data.workflows.map(({ name, hidden, options }) => ({ name, hidden: !!hidden, type: options?.type }));
+  return data.workflows.map(({ name, hidden, options }) => ({
+    name, hidden: !!hidden, type: options?.type, available: getWorkflowDependencies(name)?.available ?? true,
+  }));
 }
 
 /**
@@ -463,6 +475,7 @@ export function saveWorkflow(workflowData) {
   }
 
   writeWorkflowsFile(data);
+  evaluateWorkflowDependencies();
   return { success: true, workflow: entry, errors: [] };
 }
 
@@ -521,13 +534,345 @@ export function deleteWorkflow(name) {
       if (fs.existsSync(basePath)) {
         fs.unlinkSync(basePath);
       }
+      fs.rmSync(path.join(COMFYUI_UI_GRAPHS_DIR, removed.base), { force: true });
     }
   }
 
   writeWorkflowsFile(data);
+  evaluateWorkflowDependencies();
   return { success: true };
 }
 
+// ---------------------------------------------------------------------------
+// Dependency Check
+// ---------------------------------------------------------------------------
+
+/** Widget values with these extensions name model files. */
+const MODEL_FILE_PATTERN = /\.(safetensors|sft|ckpt|pt|pth|bin|gguf|onnx)$/i;
+
+/** Input spec flags of combos filled with a file uploaded at generation time. */
+const UPLOAD_FLAGS = ['image_upload', 'audio_upload', 'video_upload'];
+
+/** Map<backend name, catalog> fetched from healthy backends (see fetchComfyUICatalog). */
+const catalogs = new Map();
+
+/** Latest result of evaluateWorkflowDependencies, or null before a backend was checked. */
+let dependencyReport = null;
+
+/** In-flight checkWorkflowDependencies call, shared by concurrent callers. */
+let checking = null;
+
+/** Per-request limit when reading a backend's catalog; a hung backend must not stall the check. */
+const CATALOG_TIMEOUT_MS = 15000;
+
+/** Model paths are listed with the server's separator; compare them with forward slashes. */
+function normalizeModelPath(value) {
+  return typeof value === 'string' ? value.replace(/\\/g, '/') : value;
+}
+
+/** Choices of a combo input spec: legacy `[[...options], {...}]` or `['COMBO', { options }]`. */
+function comboOptions(spec) {
+  if (!Array.isArray(spec)) return null;
+  if (Array.isArray(spec[0])) return spec[0];
+  if (spec[0] === 'COMBO' && Array.isArray(spec[1]?.options)) return spec[1].options;
+  return null;
+}
+
+/**
+ * Fetch what a ComfyUI server has installed: node definitions from
+ * `/object_info` and model files from `/models/{folder}`. The model listing is
+ * optional (older servers lack it).
+ *
+ * @param {string} apiPath - e.g. `http://127.0.0.1:8188`
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=15000] - Limit for each request
+ * @returns {Promise<{ objectInfo: Object, modelFiles: Set<string> }>}
+ * @throws {Error} When `/object_info` cannot be read in time.
+ */
+export async function fetchComfyUICatalog(apiPath, { timeoutMs = CATALOG_TIMEOUT_MS } = {}) {
+  const getJson = async (url) => {
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!response.ok) throw new Error(`${url} returned ${response.status}`);
+    return response.json();
+  };
+  const objectInfo = await getJson(`${apiPath}/object_info`);
+  const modelFiles = new Set();
+  try {
+    for (const folder of await getJson(`${apiPath}/models`)) {
+      for (const file of await getJson(`${apiPath}/models/${encodeURIComponent(folder)}`)) {
+        modelFiles.add(normalizeModelPath(file));
+      }
+    }
+  } catch (error) {
+    console.warn(`[workflows] Model listing unavailable at ${apiPath}: ${error.message}`);
+  }
+  return { objectInfo, modelFiles };
+}
+
+/**
+ * Find what an API-format graph needs that a ComfyUI server does not have.
+ * Linked inputs, inputs set at generation time and upload combos are skipped.
+ * A combo value that is not an option counts as a missing model when it names a
+ * model file or the combo lists model files, else as an invalid value.
+ *
+ * @param {Object} graph - `{ [nodeId]: { class_type, inputs } }`
+ * @param {{ objectInfo: Object, modelFiles: Set<string> }} catalog
+ * @param {Array<Array<string>>} [runtimeInputs] - `replace[].to` paths (`[nodeId, 'inputs', name]`).
+ * @returns {{ missingNodes: string[], missingModels: Object[], invalidValues: Object[] }}
+ *   Model and value entries are `{ nodeId, classType, input, value }`; invalid
+ *   values also carry the first `options`.
+ */
+export function findMissingDependencies(graph, { objectInfo, modelFiles }, runtimeInputs = []) {
+  const runtime = new Set(runtimeInputs.filter(Array.isArray).map(to => `${to[0]}.${to[2]}`));
+  const missingNodes = new Set();
+  const missingModels = [];
+  const invalidValues = [];
+
+  for (const [nodeId, node] of Object.entries(graph || {})) {
+    const classType = node?.class_type;
+    if (!classType) continue;
+    const info = objectInfo[classType];
+    if (!info) {
+      missingNodes.add(classType);
+      continue;
+    }
+    for (const [input, value] of Object.entries(node.inputs || {})) {
+      if (Array.isArray(value) || runtime.has(`${nodeId}.${input}`)) continue;
+      const spec = info.input?.required?.[input] ?? info.input?.optional?.[input];
+      const options = comboOptions(spec);
+      if (!options || UPLOAD_FLAGS.some(flag => spec[1]?.[flag])) continue;
+      const normalizedOptions = options.map(normalizeModelPath);
+      if (normalizedOptions.includes(normalizeModelPath(value))) continue;
+
+      const entry = { nodeId, classType, input, value };
+      const isModel = (typeof value === 'string' && MODEL_FILE_PATTERN.test(value))
+        || normalizedOptions.some(option => modelFiles.has(option));
+      if (isModel) missingModels.push(entry);
+      else invalidValues.push({ ...entry, options: options.slice(0, 20) });
+    }
+  }
+  return { missingNodes: [...missingNodes], missingModels, invalidValues };
+}
+
+/**
+ * Re-read the catalogs of the healthy backends (or reuse cached ones) and
+ * re-evaluate every workflow against them. Called when the services become
+ * ready and whenever a backend comes up or goes down.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=false] - Refetch cached catalogs too.
+ * @returns {Promise<Object|null>} See evaluateWorkflowDependencies.
+ */
+export function checkWorkflowDependencies({ refresh = false } = {}) {
+  if (checking && !refresh) return checking;
+  const run = (async () => {
+    const healthy = getBackends().filter(b => isComfyUIBackendHealthy(b.name));
+    for (const name of [...catalogs.keys()]) {
+      if (!healthy.some(b => b.name === name)) catalogs.delete(name);
+    }
+    await Promise.all(healthy.map(async (backend) => {
+      if (catalogs.has(backend.name) && !refresh) return;
+      try {
+        catalogs.set(backend.name, await fetchComfyUICatalog(backend.apiPath));
+      } catch (error) {
+        catalogs.delete(backend.name);
+        console.warn(`[workflows] Could not read nodes of ComfyUI backend "${backend.name}": ${error.message}`);
+      }
+    }));
+    return evaluateWorkflowDependencies();
+  })();
+  checking = run.finally(() => { if (checking === run) checking = null; });
+  return run;
+}
+
+/**
+ * Check every workflow against the cached catalogs and update the backend
+ * pool, so the queue only sends a workflow where it can run. A workflow is
+ * available when at least one checked backend that is tagged for it has
+ * everything, including the workflows it runs unconditionally through
+ * `executeWorkflow` tasks. When none has, the problems of the backend closest
+ * to running it are reported.
+ *
+ * @returns {{ checkedAt: string, backends: string[], workflows: Object<string, {
+ *   available: boolean, readyOn: string[], missingNodes: string[], missingModels: Object[],
+ *   invalidValues: Object[], unavailableWorkflows: string[] }> }|null}
+ *   Null when no backend could be checked; every workflow is then assumed to run.
+ */
+export function evaluateWorkflowDependencies() {
+  if (catalogs.size === 0) {
+    dependencyReport = null;
+    setMissingDependencies(new Map());
+    return null;
+  }
+  const { workflows } = readWorkflowsFile();
+  const byName = new Map(workflows.map(w => [w.name, w]));
+  const checked = getBackends().filter(b => catalogs.has(b.name));
+  const graphs = new Map();
+  const readGraph = (base) => {
+    if (!graphs.has(base)) {
+      try {
+        graphs.set(base, JSON.parse(fs.readFileSync(path.join(COMFYUI_WORKFLOWS_DIR, base), 'utf8')));
+      } catch {
+        graphs.set(base, null);
+      }
+    }
+    return graphs.get(base);
+  };
+
+  // Problems of each workflow's own graph on each checked backend tagged for it
+  const direct = new Map();
+  for (const workflow of workflows) {
+    const graph = workflow.base ? readGraph(workflow.base) : null;
+    const problems = new Map();
+    for (const backend of checked) {
+      if (!hasCapabilities(backend, workflow)) continue;
+      problems.set(backend.name, graph
+        ? findMissingDependencies(graph, catalogs.get(backend.name), (workflow.replace || []).map(r => r.to))
+        : { missingNodes: [], missingModels: [], invalidValues: [] });
+    }
+    direct.set(workflow.name, problems);
+  }
+
+  // Backends that can run a workflow, nested workflows included; null when no
+  // checked backend is tagged for it
+  const readyOn = new Map();
+  const resolveReady = (name, visiting = new Set()) => {
+    if (readyOn.has(name)) return readyOn.get(name);
+    const workflow = byName.get(name);
+    if (!workflow || visiting.has(name)) return new Set();
+    if (direct.get(name).size === 0) return null;
+    visiting.add(name);
+    const ready = new Set([...direct.get(name)].filter(([, p]) => _problemCount(p) === 0).map(([backend]) => backend));
+    for (const target of _nestedWorkflowNames(workflow)) {
+      const nested = resolveReady(target, visiting);
+      if (nested) for (const backend of [...ready]) if (!nested.has(backend)) ready.delete(backend);
+    }
+    readyOn.set(name, ready);
+    return ready;
+  };
+
+  const report = { checkedAt: new Date().toISOString(), backends: checked.map(b => b.name), workflows: {} };
+  const missingOn = new Map();
+  for (const workflow of workflows) {
+    const problems = direct.get(workflow.name);
+    const ready = resolveReady(workflow.name) ?? new Set();
+    // With no checked backend tagged for it there is nothing to go by
+    const available = problems.size === 0 || ready.size > 0;
+    const closest = available ? null
+      : [...problems.values()].sort((a, b) => _problemCount(a) - _problemCount(b))[0];
+    report.workflows[workflow.name] = {
+      available,
+      readyOn: [...ready],
+      missingNodes: closest?.missingNodes ?? [],
+      missingModels: closest?.missingModels ?? [],
+      invalidValues: closest?.invalidValues ?? [],
+      unavailableWorkflows: available ? []
+        : _nestedWorkflowNames(workflow).filter(target => resolveReady(target)?.size === 0),
+    };
+    const missing = new Set([...problems.keys()].filter(backend => !ready.has(backend)));
+    if (missing.size > 0) missingOn.set(workflow.name, missing);
+  }
+
+  dependencyReport = report;
+  setMissingDependencies(missingOn);
+  return report;
+}
+
+function _problemCount({ missingNodes, missingModels, invalidValues }) {
+  return missingNodes.length + missingModels.length + invalidValues.length;
+}
+
+/** Workflows run through `executeWorkflow` tasks that have no condition. */
+function _nestedWorkflowNames(workflow) {
+  return [...(workflow.preGenerationTasks || []), ...(workflow.postGenerationTasks || [])]
+    .filter(task => task?.process === 'executeWorkflow' && !task.condition && task.parameters?.workflow)
+    .map(task => task.parameters.workflow);
+}
+
+/** @returns {Object|null} The latest dependency report (see evaluateWorkflowDependencies). */
+export function getDependencyReport() {
+  return dependencyReport;
+}
+
+/**
+ * @param {string} name
+ * @returns {Object|null} The workflow's entry in the latest report; null when unknown.
+ */
+export function getWorkflowDependencies(name) {
+  return dependencyReport?.workflows[name] ?? null;
+}
+
+/**
+ * Node definitions known to any healthy backend, for converting UI-format
+ * graphs. Reads the backends' catalogs first if none was checked yet.
+ *
+ * @returns {Promise<Object>} Merged `/object_info`
+ * @throws {Error} 503 when no ComfyUI backend could be read.
+ */
+export async function getComfyUIObjectInfo() {
+  if (catalogs.size === 0) await checkWorkflowDependencies();
+  if (catalogs.size === 0) {
+    throw Object.assign(new Error('ComfyUI must be running to read the node definitions of a UI-format workflow'), { status: 503 });
+  }
+  return Object.assign({}, ...[...catalogs.values()].map(catalog => catalog.objectInfo));
+}
+
+/**
+ * One-line reason a workflow cannot run, for selectors and error messages.
+ * @param {Object} dependencies - A report entry
+ * @returns {string}
+ */
+export function describeMissingDependencies({ missingNodes, missingModels, invalidValues, unavailableWorkflows }) {
+  const parts = [];
+  if (missingNodes.length) parts.push(`missing nodes: ${missingNodes.join(', ')}`);
+  if (missingModels.length) parts.push(`missing models: ${[...new Set(missingModels.map(m => m.value))].join(', ')}`);
+  if (invalidValues.length) {
+    parts.push(`invalid values: ${invalidValues.map(v => `${v.classType}.${v.input} = ${JSON.stringify(v.value)}`).join(', ')}`);
+  }
+  if (unavailableWorkflows.length) parts.push(`needs unavailable workflows: ${unavailableWorkflows.join(', ')}`);
+  return parts.join('; ');
+}
+
+/**
+ * Refuse a workflow whose nodes or models are missing on ComfyUI. Every route
+ * that starts a generation calls this before queuing anything.
+ *
+ * @param {string} name - Workflow name
+ * @throws {Error} 409 whose `body` is `{ error, code: 'WORKFLOW_UNAVAILABLE', workflow, dependencies }`
+ */
+export function assertWorkflowAvailable(name) {
+  const dependencies = getWorkflowDependencies(name);
+  if (!dependencies || dependencies.available) return;
+  const message = `Workflow '${name}' cannot run: ${describeMissingDependencies(dependencies)}`;
+  throw Object.assign(new Error(message), {
+    status: 409,
+    body: { error: message, code: 'WORKFLOW_UNAVAILABLE', workflow: name, dependencies },
+  });
+}
+
+// ---------------------------------------------------------------------------
+// UI Graph Import
+// ---------------------------------------------------------------------------
+
+/**
+ * Bring an uploaded workflow file to API format. API-format files pass
+ * through; UI-format graphs (ComfyUI's "Save") are converted with the node
+ * definitions of the running backends.
+ *
+ * @param {Object} json - Parsed upload
+ * @returns {Promise<{ workflowJson: Object, uiGraph: Object|null, warnings: string[] }>}
+ *   `uiGraph` is the original graph when one was converted.
+ * @throws {Error} 503 without a reachable backend, 400 when nothing is left to run.
+ */
+export async function importWorkflowJson(json) {
+  if (!isUIGraph(json)) return { workflowJson: json, uiGraph: null, warnings: [] };
+  const { prompt, warnings } = convertUIGraph(json, await getComfyUIObjectInfo());
+  if (Object.keys(prompt).length === 0) {
+    throw Object.assign(new Error('The UI-format workflow has no nodes to run'), { status: 400 });
+  }
+  return { workflowJson: prompt, uiGraph: json, warnings };
+}
+
 // ---------------------------------------------------------------------------
 // Validation
 // ---------------------------------------------------------------------------
@@ -566,6 +911,42 @@ export function validateWorkflow(workflowData) {
 
   if (!hasOutput)  errors.push('Missing required output path binding (saveImagePath, saveAudioPath, or extractOutputMediaFromTextFile post-task)');
 
+  // Conditions on replacements and pre/post tasks, templates and prompts on tasks
+  for (const listName of ['replace', 'preGenerationTasks', 'postGenerationTasks']) {
+    (workflowData[listName] || []).forEach((item, i) => {
+      if (item?.condition !== undefined && item.condition !== null) {
+        errors.push(...validateCondition(item.condition, `${listName}[${i}].condition`));
+      }
+      for (const field of ['template', 'prompt']) {
+        if (typeof item?.[field] === 'string') {
+          errors.push(...validateTemplate(item[field]).map(error => `${listName}[${i}].${field}: ${error}`));
+        }
+      }
+      if (listName !== 'replace' && typeof item?.process === 'string') {
+        errors.push(...validateProcessorTask(item.process, item.parameters, workflowData.options?.type, `${listName}[${i}].parameters`)
+          .map(error => (error.startsWith(`${listName}[${i}]`) ? error : `${listName}[${i}]: ${error}`)));
+      }
+      if (listName !== 'replace' && item?.format !== undefined) {
+        errors.push(...checkJsonSchema(item.format, `${listName}[${i}].format`));
+        if (!item.prompt) errors.push(`${listName}[${i}].format needs a "prompt" (structured output is for LLM tasks)`);
+        if (item.mapTo !== undefined) {
+          const entries = item.mapTo && typeof item.mapTo === 'object' && !Array.isArray(item.mapTo) ? Object.entries(item.mapTo) : null;
+          if (!entries) {
+            errors.push(`${listName}[${i}].mapTo must be an object of { property: field }`);
+          } else {
+            for (const [key, field] of entries) {
+              if (typeof field !== 'string' || !field) errors.push(`${listName}[${i}].mapTo.${key} must be a field name`);
+              if (!item.format?.properties?.[key]) errors.push(`${listName}[${i}].mapTo.${key} is not a property of format`);
+            }
+          }
+        }
+        if (item.retries !== undefined && !(Number.isInteger(item.retries) && item.retries >= 0)) {
+          errors.push(`${listName}[${i}].retries must be a whole number of 0 or more`);
+        }
+      }
+    });
+  }
+
   return errors;
 }
 
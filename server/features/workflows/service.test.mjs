@@ -0,0 +1,57 @@
+import { vi, describe, test, expect } from 'vitest';
+import http from 'http';
+
+vi.mock('../generation/processors/index.mjs', () => ({
+  validateProcessorTask: vi.fn(() => []),
+}));
+
+import { fetchComfyUICatalog, findMissingDependencies, describeMissingDependencies } from './service.mjs';
+
+// The global setup runs the ComfyUI mock here (server/test/mocks/comfy-mock.mjs)
+const COMFY_MOCK = 'http://localhost:17861';
+
+describe('workflow dependency check', () => {
+  test('reads node definitions and model files from ComfyUI', async () => {
+    const { objectInfo, modelFiles } = await fetchComfyUICatalog(COMFY_MOCK);
+    expect(Object.keys(objectInfo)).toContain('KSampler');
+    expect([...modelFiles]).toEqual(['sdxl/base.safetensors', 'flux.safetensors']);
+  });
+
+  test('gives up on a backend that accepts the connection but never answers', async () => {
+    const server = http.createServer(() => {});
+    await new Promise(resolve => server.listen(0, resolve));
+    try {
+      const apiPath = `http://localhost:${server.address().port}`;
+      await expect(fetchComfyUICatalog(apiPath, { timeoutMs: 50 })).rejects.toThrow(/timeout|aborted/i);
+    } finally {
+      server.closeAllConnections();
+      server.close();
+    }
+  });
+
+  test('reports missing nodes, missing models and invalid values', async () => {
+    const catalog = await fetchComfyUICatalog(COMFY_MOCK);
+    const graph = {
+      4: { class_type: 'CheckpointLoaderSimple', inputs: { ckpt_name: 'sdxl/base.safetensors' } },
+      5: { class_type: 'CheckpointLoaderSimple', inputs: { ckpt_name: 'pony.safetensors' } },
+      3: { class_type: 'KSampler', inputs: { seed: 1, sampler_name: 'euler_cfg_pp', model: ['4', 0] } },
+      10: { class_type: 'LoadImage', inputs: { image: 'uploaded-later.png' } },
+      11: { class_type: 'KSampler', inputs: { sampler_name: 'set-at-runtime' } },
+      18: { class_type: 'VHS_VideoCombine', inputs: {} },
+      19: { class_type: 'VHS_VideoCombine', inputs: {} },
+    };
+
+    const result = findMissingDependencies(graph, catalog, [['11', 'inputs', 'sampler_name']]);
+    expect(result).toEqual({
+      missingNodes: ['VHS_VideoCombine'],
+      missingModels: [{ nodeId: '5', classType: 'CheckpointLoaderSimple', input: 'ckpt_name', value: 'pony.safetensors' }],
+      invalidValues: [{
+        nodeId: '3', classType: 'KSampler', input: 'sampler_name', value: 'euler_cfg_pp', options: ['euler', 'dpmpp_2m'],
+      }],
+    });
+    expect(describeMissingDependencies({ ...result, unavailableWorkflows: ['Text to Image (Album)'] })).toBe(
+      'missing nodes: VHS_VideoCombine; missing models: pony.safetensors; '
+      + 'invalid values: KSampler.sampler_name = "euler_cfg_pp"; needs unavailable workflows: Text to Image (Album)'
+    );
+  });
+});
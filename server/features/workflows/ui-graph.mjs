@@ -0,0 +1,337 @@
+/**
+ * UI Graph – converts ComfyUI's UI-format workflow (what "Save" writes:
+ * `nodes`, `links`, `widgets_values`) to the API format the server submits
+ * (`{ [nodeId]: { class_type, inputs } }`).
+ *
+ * Widget values are stored positionally in the UI format, so the node
+ * definitions from ComfyUI's `/object_info` name them. On the way:
+ *
+ *   - Reroute nodes are followed to their source;
+ *   - PrimitiveNode values are written into the inputs they feed;
+ *   - muted nodes (mode 2) are dropped along with the inputs they fed;
+ *   - bypassed nodes (mode 4) pass their matching input through;
+ *   - group nodes (legacy `workflow>Name` nodes defined in
+ *     `extra.groupNodes`) and subgraphs (`definitions.subgraphs`) are expanded.
+ *     Their inner nodes get ids like `12:3` (instance 12, inner node 3), as in
+ *     ComfyUI's own API export.
+ *
+ * @module features/workflows/ui-graph
+ */
+
+/** Node modes (LiteGraph). */
+const MODE_MUTED = 2;
+const MODE_BYPASS = 4;
+
+/** Frontend-only nodes that never reach the API graph. */
+const VIRTUAL_NODES = new Set(['Reroute', 'PrimitiveNode', 'Note', 'MarkdownNote']);
+
+/** Input types edited with a widget; every other type is a connection. */
+const WIDGET_TYPES = new Set(['INT', 'FLOAT', 'STRING', 'BOOLEAN', 'COMBO']);
+
+/** Values of the extra "control after generate" widget that follows seed inputs. */
+const CONTROL_VALUES = new Set(['fixed', 'increment', 'decrement', 'randomize']);
+
+/** Subgraph inner link endpoints for the subgraph's own inputs and outputs. */
+const SUBGRAPH_INPUT_NODE = -10;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Whether a parsed workflow file is in UI format rather than API format.
+ * @param {*} json
+ * @returns {boolean}
+ */
+export function isUIGraph(json) {
+  return Array.isArray(json?.nodes) && Array.isArray(json?.links);
+}
+
+/** Links are `[id, originId, originSlot, targetId, targetSlot, type]` or objects. */
+function normalizeLink(link) {
+  if (Array.isArray(link)) {
+    const [id, originId, originSlot, targetId, targetSlot, type] = link;
+    return { id, originId, originSlot, targetId, targetSlot, type };
+  }
+  return {
+    id: link.id, originId: link.origin_id, originSlot: link.origin_slot,
+    targetId: link.target_id, targetSlot: link.target_slot, type: link.type,
+  };
+}
+
+/**
+ * Widget inputs of a node class, in the order the UI stores their values.
+ * @returns {{ name: string, control: boolean }[]|null} Null for unknown classes.
+ */
+function widgetInputs(objectInfo, classType) {
+  const info = objectInfo[classType];
+  if (!info) return null;
+  const specs = { ...info.input?.required, ...info.input?.optional };
+  return Object.entries(specs)
+    .filter(([, spec]) => Array.isArray(spec) && (Array.isArray(spec[0]) || WIDGET_TYPES.has(spec[0])) && !spec[1]?.forceInput)
+    .map(([name, spec]) => ({
+      name,
+      control: !!spec[1]?.control_after_generate || (spec[0] === 'INT' && (name === 'seed' || name === 'noise_seed')),
+    }));
+}
+
+/**
+ * Take widget values for a list of widget inputs from a positional array,
+ * skipping the control values that follow seed widgets.
+ * @param {{ name: string, control: boolean }[]} widgets
+ * @param {Array} values
+ * @param {{ index: number }} cursor - Shared position in `values`.
+ * @returns {Object} name → value
+ */
+function consumeWidgetValues(widgets, values, cursor) {
+  const result = {};
+  for (const { name, control } of widgets) {
+    if (cursor.index >= values.length) break;
+    result[name] = values[cursor.index++];
+    if (control && CONTROL_VALUES.has(values[cursor.index])) cursor.index++;
+  }
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// Scopes: the root graph and every expanded group node or subgraph instance
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} Scope
+ * @property {string} prefix        - Prepended to local node ids (`'12:'` inside instance 12).
+ * @property {Map<*, Object>} nodes - Local id → UI node
+ * @property {Map<*, Object>} links - Link id → normalized link
+ * @property {Array} outputs        - Instance output slot → `{ originId, originSlot }` of the inner source
+ * @property {{ scope: Scope, node: Object }|null} parent - The instance this scope expands
+ */
+
+function rootScope(graph) {
+  return {
+    prefix: '',
+    nodes: new Map(graph.nodes.map(node => [node.id, node])),
+    links: new Map(graph.links.filter(Boolean).map(link => [normalizeLink(link).id, normalizeLink(link)])),
+    outputs: [],
+    parent: null,
+  };
+}
+
+/** Subgraph definition for an instance node, from `definitions.subgraphs`. */
+function subgraphDefinition(context, node) {
+  return context.subgraphs.find(subgraph => subgraph.id === node.type) || null;
+}
+
+/** Legacy group node definition for an instance node, from `extra.groupNodes`. */
+function groupNodeDefinition(context, node) {
+  const match = /^workflow[>/](.+)$/.exec(node.type || '');
+  return match ? context.groupNodes[match[1]] || null : null;
+}
+
+function isInstance(context, node) {
+  return !!(subgraphDefinition(context, node) || groupNodeDefinition(context, node));
+}
+
+/**
+ * Scope for a group node or subgraph instance. Scopes are built once per
+ * instance and cached on the context.
+ */
+function instanceScope(context, scope, node) {
+  const prefix = `${scope.prefix}${node.id}:`;
+  if (context.scopes.has(prefix)) return context.scopes.get(prefix);
+  const parent = { scope, node };
+  const subgraph = subgraphDefinition(context, node);
+  const child = subgraph
+    ? subgraphScope(subgraph, prefix, parent)
+    : groupNodeScope(context, groupNodeDefinition(context, node), prefix, parent);
+  context.scopes.set(prefix, child);
+  return child;
+}
+
+function subgraphScope(subgraph, prefix, parent) {
+  const links = new Map((subgraph.links || []).filter(Boolean).map(link => [normalizeLink(link).id, normalizeLink(link)]));
+  return {
+    prefix,
+    nodes: new Map((subgraph.nodes || []).map(node => [node.id, node])),
+    links,
+    outputs: (subgraph.outputs || []).map(output => {
+      const link = links.get(output.linkIds?.[0]);
+      return link ? { originId: link.originId, originSlot: link.originSlot } : null;
+    }),
+    parent,
+  };
+}
+
+/**
+ * Legacy group nodes keep their inner nodes by `index` and wire them with
+ * `[originIndex, originSlot, targetIndex, targetSlot]` links. The instance's
+ * inputs are the inner inputs left unconnected, its widget values are the
+ * inner widgets in order, and its outputs are the inner outputs left
+ * unconnected plus those listed in `external`.
+ */
+function groupNodeScope(context, definition, prefix, parent) {
+  const instance = parent.node;
+  const innerLinks = (definition.links || []).map(([originId, originSlot, targetId, targetSlot]) => ({
+    originId, originSlot, targetId, targetSlot,
+  }));
+  const links = new Map();
+  const nodes = new Map();
+  for (const inner of definition.nodes || []) {
+    const id = inner.index;
+    nodes.set(id, { ...inner, id, inputs: (inner.inputs || []).map(input => ({ ...input, link: null })) });
+  }
+  innerLinks.forEach((link, i) => {
+    const target = nodes.get(link.targetId)?.inputs[link.targetSlot];
+    if (!target) return;
+    target.link = `group:${i}`;
+    links.set(target.link, { id: target.link, ...link });
+  });
+
+  // Instance inputs → inner inputs left unconnected, in order
+  const openInputs = [];
+  for (const inner of nodes.values()) {
+    inner.inputs.forEach(input => { if (input.link === null && !input.widget) openInputs.push({ inner, input }); });
+  }
+  let nextOpen = 0;
+  (instance.inputs || []).forEach((input, slot) => {
+    let target = null;
+    if (input.widget) {
+      // Widgets converted to inputs are named "<widget>" or "<inner title> <widget>"
+      for (const inner of nodes.values()) {
+        const widget = (widgetInputs(context.objectInfo, inner.type) || [])
+          .find(({ name }) => input.widget.name === name || input.widget.name === `${inner.title || inner.type} ${name}`);
+        if (widget) {
+          target = inner.inputs.find(i => i.widget?.name === widget.name)
+            || inner.inputs[inner.inputs.push({ name: widget.name, widget: { name: widget.name }, link: null }) - 1];
+          break;
+        }
+      }
+    } else {
+      target = openInputs[nextOpen++]?.input || null;
+    }
+    if (!target) return;
+    target.link = `input:${slot}`;
+    links.set(target.link, { id: target.link, originId: SUBGRAPH_INPUT_NODE, originSlot: slot });
+  });
+
+  // Instance widget values → inner widgets not fed by another inner node, in order
+  if (Array.isArray(instance.widgets_values)) {
+    const cursor = { index: 0 };
+    for (const inner of nodes.values()) {
+      const linked = new Set(inner.inputs.filter(i => typeof i.link === 'string' && i.link.startsWith('group:')).map(i => i.widget?.name || i.name));
+      const widgets = (widgetInputs(context.objectInfo, inner.type) || []).filter(({ name }) => !linked.has(name));
+      inner.widgets_values = { ...namedWidgetValues(context, inner), ...consumeWidgetValues(widgets, instance.widgets_values, cursor) };
+    }
+  }
+
+  const external = new Set((definition.external || []).map(([index, slot]) => `${index}:${slot}`));
+  const outputs = [];
+  for (const inner of nodes.values()) {
+    (inner.outputs || []).forEach((_, slot) => {
+      const usedInside = innerLinks.some(link => link.originId === inner.id && link.originSlot === slot);
+      if (!usedInside || external.has(`${inner.id}:${slot}`)) outputs.push({ originId: inner.id, originSlot: slot });
+    });
+  }
+  return { prefix, nodes, links, outputs, parent };
+}
+
+// ---------------------------------------------------------------------------
+// Link resolution
+// ---------------------------------------------------------------------------
+
+/**
+ * What feeds a link: an API-graph output (`{ id, slot }`), a literal value
+ * from a primitive (`{ value }`), or null when nothing does (muted source,
+ * dangling reroute, unconnected instance input).
+ */
+function resolveLink(context, scope, linkId, depth = 0) {
+  if (linkId === null || linkId === undefined || depth > 100) return null;
+  const link = scope.links.get(linkId);
+  if (!link) return null;
+  return resolveOutput(context, scope, link.originId, link.originSlot, depth + 1);
+}
+
+function resolveOutput(context, scope, originId, originSlot, depth) {
+  if (originId === SUBGRAPH_INPUT_NODE) {
+    // An input of the instance this scope expands
+    if (!scope.parent) return null;
+    const input = scope.parent.node.inputs?.[originSlot];
+    return input ? resolveLink(context, scope.parent.scope, input.link, depth) : null;
+  }
+  const node = scope.nodes.get(originId);
+  if (!node || node.mode === MODE_MUTED) return null;
+
+  if (node.mode === MODE_BYPASS) {
+    const type = node.outputs?.[originSlot]?.type;
+    const inputs = node.inputs || [];
+    const through = inputs[originSlot]?.type === type ? inputs[originSlot] : inputs.find(input => input.type === type);
+    return through ? resolveLink(context, scope, through.link, depth) : null;
+  }
+  if (node.type === 'Reroute') return resolveLink(context, scope, node.inputs?.[0]?.link, depth);
+  if (node.type === 'PrimitiveNode') {
+    const values = node.widgets_values;
+    return { value: Array.isArray(values) ? values[0] : values?.value };
+  }
+  if (isInstance(context, node)) {
+    const child = instanceScope(context, scope, node);
+    const source = child.outputs[originSlot];
+    return source ? resolveOutput(context, child, source.originId, source.originSlot, depth) : null;
+  }
+  return { id: `${scope.prefix}${node.id}`, slot: originSlot };
+}
+
+// ---------------------------------------------------------------------------
+// Conversion
+// ---------------------------------------------------------------------------
+
+/** A node's widget values by input name (positional or already named). */
+function namedWidgetValues(context, node) {
+  const values = node.widgets_values;
+  if (values && !Array.isArray(values) && typeof values === 'object') return { ...values };
+  const widgets = widgetInputs(context.objectInfo, node.type);
+  if (!widgets || !Array.isArray(values)) return {};
+  return consumeWidgetValues(widgets, values, { index: 0 });
+}
+
+function emitScope(context, scope) {
+  for (const node of scope.nodes.values()) {
+    if (node.mode === MODE_MUTED || node.mode === MODE_BYPASS || VIRTUAL_NODES.has(node.type)) continue;
+    if (isInstance(context, node)) {
+      emitScope(context, instanceScope(context, scope, node));
+      continue;
+    }
+    if (!context.objectInfo[node.type]) {
+      context.warnings.push(`Node ${scope.prefix}${node.id} (${node.type}) is not installed on ComfyUI; its widget values were not converted`);
+    }
+    const inputs = namedWidgetValues(context, node);
+    for (const input of node.inputs || []) {
+      if (input.link === null || input.link === undefined) continue;
+      const name = input.widget?.name || input.name;
+      const source = resolveLink(context, scope, input.link);
+      if (source?.id !== undefined) inputs[name] = [source.id, source.slot];
+      else if (source && 'value' in source) inputs[name] = source.value;
+      else if (!input.widget) delete inputs[name];
+    }
+    const title = node.title || context.objectInfo[node.type]?.display_name || node.type;
+    context.prompt[`${scope.prefix}${node.id}`] = { inputs, class_type: node.type, _meta: { title } };
+  }
+}
+
+/**
+ * Convert a UI-format workflow to API format.
+ *
+ * @param {Object} graph - Parsed UI-format workflow (see isUIGraph)
+ * @param {Object} objectInfo - Response of ComfyUI's `/object_info`
+ * @returns {{ prompt: Object, warnings: string[] }} `prompt` is the API-format graph.
+ */
+export function convertUIGraph(graph, objectInfo) {
+  const context = {
+    objectInfo,
+    subgraphs: graph.definitions?.subgraphs || [],
+    groupNodes: graph.extra?.groupNodes || {},
+    scopes: new Map(),
+    prompt: {},
+    warnings: [],
+  };
+  emitScope(context, rootScope(graph));
+  return { prompt: context.prompt, warnings: context.warnings };
+}
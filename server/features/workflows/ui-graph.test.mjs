@@ -0,0 +1,144 @@
+import { describe, test, expect } from 'vitest';
+import { isUIGraph, convertUIGraph } from './ui-graph.mjs';
+import { OBJECT_INFO } from '../../test/mocks/comfy-mock.mjs';
+
+const objectInfo = {
+  ...OBJECT_INFO,
+  VAEDecode: { input: { required: { samples: ['LATENT'], vae: ['VAE'] } } },
+  ImageScaleBy: {
+    input: { required: { image: ['IMAGE'], upscale_method: [['nearest-exact', 'lanczos'], {}], scale_by: ['FLOAT', { default: 1 }] } },
+  },
+  PreviewImage: { input: { required: { images: ['IMAGE'] } } },
+};
+
+/** Strip titles so expectations stay short. */
+function apiGraph(graph) {
+  const { prompt, warnings } = convertUIGraph(graph, objectInfo);
+  const stripped = Object.fromEntries(Object.entries(prompt).map(([id, { class_type, inputs }]) => [id, { class_type, inputs }]));
+  return { prompt: stripped, warnings };
+}
+
+const checkpoint = (id, extra = {}) => ({
+  id, type: 'CheckpointLoaderSimple', mode: 0, inputs: [],
+  outputs: [{ name: 'MODEL', type: 'MODEL' }, { name: 'CLIP', type: 'CLIP' }, { name: 'VAE', type: 'VAE' }],
+  widgets_values: ['flux.safetensors'], ...extra,
+});
+
+describe('UI graph conversion', () => {
+  test('follows reroutes, primitives, bypassed and muted nodes', () => {
+    const graph = {
+      nodes: [
+        checkpoint(4),
+        { id: 10, type: 'Reroute', inputs: [{ name: '', type: '*', link: 1 }], outputs: [{ name: '', type: 'MODEL' }] },
+        { id: 7, type: 'PrimitiveNode', outputs: [{ name: 'INT', type: 'INT' }], widgets_values: [1234, 'fixed'] },
+        {
+          id: 3, type: 'KSampler', mode: 0,
+          inputs: [{ name: 'model', type: 'MODEL', link: 2 }, { name: 'seed', type: 'INT', link: 3, widget: { name: 'seed' } }],
+          outputs: [{ name: 'LATENT', type: 'LATENT' }],
+          widgets_values: [42, 'randomize', 'euler'],
+        },
+        {
+          id: 8, type: 'VAEDecode', mode: 0,
+          inputs: [{ name: 'samples', type: 'LATENT', link: 4 }, { name: 'vae', type: 'VAE', link: 5 }],
+          outputs: [{ name: 'IMAGE', type: 'IMAGE' }],
+        },
+        {
+          id: 11, type: 'ImageScaleBy', mode: 4,
+          inputs: [{ name: 'image', type: 'IMAGE', link: 6 }], outputs: [{ name: 'IMAGE', type: 'IMAGE' }],
+          widgets_values: ['lanczos', 2],
+        },
+        { id: 9, type: 'SaveImage', mode: 0, inputs: [{ name: 'images', type: 'IMAGE', link: 7 }], widgets_values: ['out'] },
+        { id: 12, type: 'PreviewImage', mode: 2, inputs: [{ name: 'images', type: 'IMAGE', link: 8 }] },
+        { id: 20, type: 'Note', widgets_values: ['remember to pick a model'] },
+        { id: 21, type: 'VHS_VideoCombine', mode: 0, inputs: [], widgets_values: { frame_rate: 8 } },
+      ],
+      links: [
+        [1, 4, 0, 10, 0, 'MODEL'],
+        [2, 10, 0, 3, 0, 'MODEL'],
+        [3, 7, 0, 3, 1, 'INT'],
+        [4, 3, 0, 8, 0, 'LATENT'],
+        [5, 4, 2, 8, 1, 'VAE'],
+        [6, 8, 0, 11, 0, 'IMAGE'],
+        [7, 11, 0, 9, 0, 'IMAGE'],
+        [8, 8, 0, 12, 0, 'IMAGE'],
+      ],
+    };
+
+    expect(isUIGraph(graph)).toBe(true);
+    expect(isUIGraph({ 3: { class_type: 'KSampler', inputs: {} } })).toBe(false);
+
+    const { prompt, warnings } = apiGraph(graph);
+    expect(prompt).toEqual({
+      4: { class_type: 'CheckpointLoaderSimple', inputs: { ckpt_name: 'flux.safetensors' } },
+      3: { class_type: 'KSampler', inputs: { seed: 1234, sampler_name: 'euler', model: ['4', 0] } },
+      8: { class_type: 'VAEDecode', inputs: { samples: ['3', 0], vae: ['4', 2] } },
+      9: { class_type: 'SaveImage', inputs: { images: ['8', 0], filename_prefix: 'out' } },
+      21: { class_type: 'VHS_VideoCombine', inputs: { frame_rate: 8 } },
+    });
+    expect(warnings).toEqual([expect.stringMatching(/21 \(VHS_VideoCombine\) is not installed/)]);
+  });
+
+  test('expands group nodes and subgraphs', () => {
+    const graph = {
+      nodes: [
+        {
+          id: 5, type: 'workflow>Sampler', mode: 0, inputs: [],
+          outputs: [{ name: 'CLIP', type: 'CLIP' }, { name: 'VAE', type: 'VAE' }, { name: 'LATENT', type: 'LATENT' }],
+          widgets_values: ['flux.safetensors', 7, 'fixed', 'dpmpp_2m'],
+        },
+        {
+          id: 6, type: 'decode-subgraph', mode: 0,
+          inputs: [{ name: 'samples', type: 'LATENT', link: 10 }, { name: 'vae', type: 'VAE', link: 11 }],
+          outputs: [{ name: 'IMAGE', type: 'IMAGE' }],
+        },
+        { id: 9, type: 'SaveImage', mode: 0, inputs: [{ name: 'images', type: 'IMAGE', link: 12 }], widgets_values: ['out'] },
+      ],
+      links: [
+        [10, 5, 2, 6, 0, 'LATENT'],
+        [11, 5, 1, 6, 1, 'VAE'],
+        [12, 6, 0, 9, 0, 'IMAGE'],
+      ],
+      extra: {
+        groupNodes: {
+          Sampler: {
+            nodes: [
+              { ...checkpoint(undefined), index: 0, widgets_values: ['sdxl\\base.safetensors'] },
+              {
+                index: 1, type: 'KSampler', inputs: [{ name: 'model', type: 'MODEL', link: null }],
+                outputs: [{ name: 'LATENT', type: 'LATENT' }], widgets_values: [0, 'fixed', 'euler'],
+              },
+            ],
+            links: [[0, 0, 1, 0, null, 'MODEL']],
+            external: [],
+          },
+        },
+      },
+      definitions: {
+        subgraphs: [{
+          id: 'decode-subgraph',
+          nodes: [{
+            id: 1, type: 'VAEDecode', mode: 0,
+            inputs: [{ name: 'samples', type: 'LATENT', link: 1 }, { name: 'vae', type: 'VAE', link: 2 }],
+            outputs: [{ name: 'IMAGE', type: 'IMAGE', links: [3] }],
+          }],
+          links: [
+            { id: 1, origin_id: -10, origin_slot: 0, target_id: 1, target_slot: 0, type: 'LATENT' },
+            { id: 2, origin_id: -10, origin_slot: 1, target_id: 1, target_slot: 1, type: 'VAE' },
+            { id: 3, origin_id: 1, origin_slot: 0, target_id: -20, target_slot: 0, type: 'IMAGE' },
+          ],
+          inputs: [{ name: 'samples', linkIds: [1] }, { name: 'vae', linkIds: [2] }],
+          outputs: [{ name: 'IMAGE', linkIds: [3] }],
+        }],
+      },
+    };
+
+    const { prompt, warnings } = apiGraph(graph);
+    expect(prompt).toEqual({
+      '5:0': { class_type: 'CheckpointLoaderSimple', inputs: { ckpt_name: 'flux.safetensors' } },
+      '5:1': { class_type: 'KSampler', inputs: { seed: 7, sampler_name: 'dpmpp_2m', model: ['5:0', 0] } },
+      '6:1': { class_type: 'VAEDecode', inputs: { samples: ['5:1', 0], vae: ['5:0', 2] } },
+      9: { class_type: 'SaveImage', inputs: { images: ['6:1', 0], filename_prefix: 'out' } },
+    });
+    expect(warnings).toEqual([]);
+  });
+});
@@ -1,12 +1,13 @@
 import express from 'express';
 import path from 'path';
 import os from 'os';
-import { initializeOrchestrator, setAddMediaDataEntry } from './features/generation/orchestrator.mjs';
+import { setAddMediaDataEntry } from './features/generation/orchestrator.mjs';
 import { loadWorkflows } from './features/generation/workflow-validator.mjs';
+import { loadProcessorPlugins } from './features/generation/processors/index.mjs';
 import { handleMediaGeneration } from './features/generation/orchestrator.mjs';
-import { initialize as initComfyClient } from './features/generation/comfy-client.mjs';
+import * as backendPool from './features/generation/backend-pool.mjs';
 import { uploadFileToComfyUI, setUploadAddMediaDataEntry } from './features/upload/service.mjs';
-import { initializeServices, checkAndStartServices, getServiceStatus, startReadinessPolling, setOnAllReady } from './core/service-manager.mjs';
+import { initializeServices, checkAndStartServices, getServiceStatus, startReadinessPolling, setOnAllReady, setOnComfyUIBackendChange } from './core/service-manager.mjs';
 import { setEmitFunctions, initComfyUIWebSocket } from './comfyui-websocket.mjs';
 
 // Core infrastructure
@@ -14,7 +15,7 @@ import { SERVER_DIR, PUBLIC_DIR, STORAGE_DIR } from './core/paths.mjs';
 import { loadConfig } from './core/config.mjs';
 import { migrateAll } from './core/migrator.mjs';
 import {
-  loadMediaData, addMediaDataEntry, findMediaByUid
+  loadMediaData, addMediaDataEntry, findMediaByUid, getAllMediaData
 } from './core/database.mjs';
 import { logProgressEvent, emitProgressUpdate, emitTaskCompletion, emitTaskError, handleSSEConnection } from './core/sse.mjs';
 
@@ -22,16 +23,29 @@ import { logProgressEvent, emitProgressUpdate, emitTaskCompletion, emitTaskError
 import mediaRouter from './features/media/router.mjs';
 import uploadRouter from './features/upload/router.mjs';
 import generationRouter from './features/generation/router.mjs';
+import batchRouter from './features/batch/router.mjs';
+import * as batchService from './features/batch/service.mjs';
 import exportRouter from './features/export/router.mjs';
 import workflowsRouter from './features/workflows/router.mjs';
 import llmRouter from './features/llm/router.mjs';
 import chatRouter from './features/chat/router.mjs';
 import brewRouter from './features/brew/router.mjs';
+import brewSessionRouter from './features/brew-session/router.mjs';
+import brewDraftRouter from './features/brew-draft/router.mjs';
+import * as brewDraftService from './features/brew-draft/service.mjs';
 import soundSourcesRouter from './features/sound-sources/router.mjs';
 import anytaleRouter from './features/anytale/router.mjs';
 import queueRouter from './features/queue/router.mjs';
 import adminRouter from './features/admin/router.mjs';
+import storageRouter from './features/storage/router.mjs';
+import * as storageService from './features/storage/service.mjs';
+import backupRouter from './features/backup/router.mjs';
+import * as backupService from './features/backup/service.mjs';
+import imageOpsRouter from './features/image-ops/router.mjs';
+import audioOpsRouter from './features/audio-ops/router.mjs';
+import * as imageOpsService from './features/image-ops/service.mjs';
 import * as queueService from './features/queue/service.mjs';
+import { checkWorkflowDependencies, getWorkflowDependencies, describeMissingDependencies } from './features/workflows/service.mjs';
 import { executeQueuedTask } from './features/generation/orchestrator.mjs';
 
 const app = express();
@@ -54,17 +68,19 @@ try {
   // Set up emit functions for WebSocket handlers
   setEmitFunctions({ emitProgressUpdate, emitTaskCompletion, emitTaskError, logProgressEvent });
 
-  // Initialize ComfyUI client with API path (used for file uploads)
-  initComfyClient(config.comfyuiAPIPath);
+  // ComfyUI backends (config.comfyuiBackends, else comfyuiAPIPath), one WebSocket each
+  backendPool.initializePool(config);
+  initComfyUIWebSocket(backendPool.getBackends());
 
-  // Initialize orchestrator with ComfyUI API path
-  initializeOrchestrator(config.comfyuiAPIPath);
-
-  // Initialize ComfyUI WebSocket with API path from config
-  initComfyUIWebSocket(config.comfyuiAPIPath);
-
-  // Initialize the queue service
-  queueService.initialize({ config, uploadFileToComfyUI, executeQueuedTask });
+  // Initialize the queue service; past media timeTaken values seed its ETA estimates
+  queueService.initialize({
+    config, uploadFileToComfyUI, executeQueuedTask, getTimingHistory: getAllMediaData, backendPool,
+  });
+  // Re-check workflow dependencies on the backends that are up, then dispatch to them
+  setOnComfyUIBackendChange(async () => {
+    await checkWorkflowDependencies().catch(error => console.error('Workflow dependency check failed:', error));
+    queueService.notifyBackendsChanged();
+  });
 } catch (error) {
   console.error('Failed to load configuration files:', error);
   process.exit(1);
@@ -102,15 +118,22 @@ app.locals.uploadFileToComfyUI = uploadFileToComfyUI;
 app.use(mediaRouter);
 app.use(uploadRouter);
 app.use(generationRouter);
+app.use(batchRouter);
 app.use(exportRouter);
 app.use(workflowsRouter);
 app.use(llmRouter);
 app.use(chatRouter);
 app.use(brewRouter);
+app.use(brewSessionRouter);
+app.use(brewDraftRouter);
 app.use(soundSourcesRouter);
 app.use(anytaleRouter);
 app.use(queueRouter);
 app.use(adminRouter);
+app.use(storageRouter);
+app.use(backupRouter);
+app.use(imageOpsRouter);
+app.use(audioOpsRouter);
 
 // ---------------------------------------------------------------------------
 // Routes that remain in server.mjs (not yet migrated to a feature domain)
@@ -121,6 +144,11 @@ app.get('/status', (req, res) => {
   res.json(getServiceStatus());
 });
 
+// ComfyUI backend pool: health, tags and what each one is running
+app.get('/status/backends', (req, res) => {
+  res.json({ backends: backendPool.describeBackends() });
+});
+
 // Serve textarea-caret-position library from node_modules
 app.get('/lib/textarea-caret-position.js', (req, res) => {
   res.sendFile(path.join(SERVER_DIR, '../node_modules/textarea-caret-position/index.js'));
@@ -143,10 +171,17 @@ app.get('/workflows', (req, res) => {
     const data = loadWorkflows();
     const workflows = data.workflows
       .filter(workflow => !workflow.hidden)
-      .map(workflow => ({
-        name: workflow.name,
-        ...workflow.options
-      }));
+      .map(workflow => {
+        // Workflows whose nodes or models are missing on ComfyUI stay listed, marked unavailable
+        const dependencies = getWorkflowDependencies(workflow.name);
+        const available = dependencies?.available ?? true;
+        return {
+          name: workflow.name,
+          ...workflow.options,
+          available,
+          ...(available ? {} : { unavailableReason: describeMissingDependencies(dependencies) }),
+        };
+      });
     res.json(workflows);
   } catch (error) {
     console.error('Error getting workflows:', error);
@@ -166,11 +201,37 @@ async function startServer() {
   // Load image data on server initialization
   loadMediaData();
 
+  // Drop expired trash batches now and hourly from then on
+  storageService.initialize({ config: app.locals.config });
+  storageService.expireTrash();
+  setInterval(() => storageService.expireTrash(), 60 * 60 * 1000).unref();
+
+  // User post-processing modules (server/plugins/processors/)
+  await loadProcessorPlugins();
+
+  // Batch generation limits (config.batch.maxItems)
+  batchService.initialize({ config: app.locals.config });
+
+  // Brew drafts from a scene description (config.brewDraft)
+  brewDraftService.initialize({ config: app.locals.config });
+
+  // Upscale hand-off workflow (config.imageOps.upscaleWorkflow)
+  imageOpsService.initialize({ config: app.locals.config });
+
+  // Scheduled data snapshots (config.backup.intervalHours)
+  backupService.initialize({ config: app.locals.config });
+  backupService.startSchedule();
+
   const clearQueue = process.argv.includes('--clear-queue');
 
+  // The dependency check narrows where workflows run once it finishes; a slow
+  // backend must not keep the queue paused until then.
   setOnAllReady(() => {
     if (clearQueue) queueService.clear();
     queueService.resume();
+    checkWorkflowDependencies()
+      .catch(error => console.error('Workflow dependency check failed:', error))
+      .then(() => queueService.notifyBackendsChanged());
   });
 
   await checkAndStartServices();
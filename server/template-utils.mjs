@@ -1,15 +1,102 @@
 /**
  * Template Utilities
- * Parses {{property|pipe1|pipe2}} syntax and substitutes values from data objects.
+ * The template engine shared by exports (filenames, prepareDataTasks) and
+ * workflow template / LLM prompt tasks.
+ *
+ * Syntax:
+ *   {{property.path|pipe1|pipe2:arg}}            – value with pipe transformations
+ *   {{#if property}}…{{else}}…{{/if}}           – conditional sections (may nest)
  */
 
+/**
+ * Every known pipe. Pipes marked with `:arg` below take an argument after a
+ * colon; wrap it in double quotes to keep surrounding spaces (`join:", "`).
+ */
+export const TEMPLATE_PIPES = [
+  'split-by-spaces', 'join-by-spaces', 'snakecase', 'camelcase', 'kebabcase', 'titlecase',
+  'lowercase', 'uppercase',
+  'truncate',          // truncate:N
+  'default',           // default:text
+  'date',              // date:YYYY-MM-DD (UTC)
+  'pad',               // pad:N
+  'slug', 'sanitize-filename',
+  'join',              // join:separator (default ", ")
+  'first', 'last',
+];
+
+// Pipes whose argument must be a positive integer
+const COUNT_PIPES = new Set(['truncate', 'pad']);
+
+/**
+ * Check if a value counts as empty for `default`, `#if` and missing-field checks
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isBlank(value) {
+  if (value === null || value === undefined || value === false) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  return false;
+}
+
+/**
+ * Treat a value as a list: arrays as-is, strings split on commas (tag lists)
+ * @param {*} value
+ * @returns {Array}
+ */
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string') return [value];
+  return value.split(',').map(s => s.trim()).filter(s => s.length > 0);
+}
+
+/**
+ * Format a timestamp (ISO string or epoch milliseconds) in UTC.
+ * Tokens: YYYY, MM, DD, HH, mm, ss.
+ * @param {*} value
+ * @param {string} format
+ * @returns {string|*} Formatted date, or the value unchanged if it is not a date
+ */
+function formatDate(value, format) {
+  const numeric = typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : value;
+  const date = new Date(numeric);
+  if (value === '' || Number.isNaN(date.getTime())) return value;
+  const two = (n) => String(n).padStart(2, '0');
+  const tokens = {
+    YYYY: String(date.getUTCFullYear()),
+    MM: two(date.getUTCMonth() + 1),
+    DD: two(date.getUTCDate()),
+    HH: two(date.getUTCHours()),
+    mm: two(date.getUTCMinutes()),
+    ss: two(date.getUTCSeconds()),
+  };
+  return format.replace(/YYYY|MM|DD|HH|mm|ss/g, token => tokens[token]);
+}
+
+function slugify(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function sanitizeFilename(text) {
+  return String(text)
+    .replace(/[<>:"/\\|?*\x00-\x1f]/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.]+|[\s.]+$/g, '');
+}
+
 /**
  * Apply a single pipe transformation to a value
  * @param {string|string[]} value - Current value (string or array of strings)
  * @param {string} pipeName - Name of the pipe to apply
+ * @param {string} [arg] - Pipe argument (text after the colon)
  * @returns {string|string[]} Transformed value
  */
-function applyPipe(value, pipeName) {
+function applyPipe(value, pipeName, arg) {
   switch (pipeName) {
     case 'split-by-spaces':
       // Split string by spaces into array
@@ -17,110 +104,276 @@ function applyPipe(value, pipeName) {
         return value.split(/\s+/).filter(s => s.length > 0);
       }
       return value;
-    
+
     case 'snakecase':
       // Join array with underscores
       if (Array.isArray(value)) {
         return value.join('_');
       }
       return value;
-    
+
     case 'camelcase':
       // Join array in camelCase
       if (Array.isArray(value)) {
-        return value.map((s, i) => 
+        return value.map((s, i) =>
           i === 0 ? s.toLowerCase() : s.charAt(0).toUpperCase() + s.slice(1).toLowerCase()
         ).join('');
       }
       return value;
-    
+
     case 'kebabcase':
       // Join array with hyphens
       if (Array.isArray(value)) {
         return value.join('-');
       }
       return value;
-    
+
     case 'titlecase':
       // Join array in Title Case with spaces
       if (Array.isArray(value)) {
-        return value.map(s => 
+        return value.map(s =>
           s.charAt(0).toUpperCase() + s.slice(1).toLowerCase()
         ).join(' ');
       }
       return value;
-    
+
     case 'join-by-spaces':
       // Join array with spaces
       if (Array.isArray(value)) {
         return value.join(' ');
       }
       return value;
-    
+
     case 'lowercase':
       // Lowercase string or each array element
       if (Array.isArray(value)) {
         return value.map(s => s.toLowerCase());
       }
       return typeof value === 'string' ? value.toLowerCase() : value;
-    
+
     case 'uppercase':
       // Uppercase string or each array element
       if (Array.isArray(value)) {
         return value.map(s => s.toUpperCase());
       }
       return typeof value === 'string' ? value.toUpperCase() : value;
-    
+
+    case 'truncate': {
+      // Keep the first N characters (or list items)
+      const max = parseInt(arg, 10);
+      if (!(max > 0)) return value;
+      if (Array.isArray(value)) return value.slice(0, max);
+      return value.length > max ? value.slice(0, max).trimEnd() : value;
+    }
+
+    case 'default':
+      // Fallback text for blank values
+      return isBlank(value) ? (arg ?? '') : value;
+
+    case 'date':
+      // Format a timestamp (UTC)
+      return formatDate(value, arg || 'YYYY-MM-DD');
+
+    case 'pad': {
+      // Zero-pad whole numbers to N digits
+      const width = parseInt(arg, 10);
+      if (!(width > 0) || typeof value !== 'string' || !/^\d+$/.test(value)) return value;
+      return value.padStart(width, '0');
+    }
+
+    case 'slug':
+      // Lowercase, ASCII, hyphen separated
+      return slugify(Array.isArray(value) ? value.join(' ') : value);
+
+    case 'sanitize-filename':
+      // Strip characters that are invalid in file names
+      if (Array.isArray(value)) {
+        return value.map(sanitizeFilename);
+      }
+      return sanitizeFilename(value);
+
+    case 'join':
+      // Join a list (or comma separated string) with a separator
+      return toList(value).join(arg ?? ', ');
+
+    case 'first':
+      return toList(value)[0] ?? '';
+
+    case 'last': {
+      const list = toList(value);
+      return list.length > 0 ? list[list.length - 1] : '';
+    }
+
     default:
-      console.warn(`Unknown pipe: ${pipeName}`);
+      // Unknown pipes are reported by validateTemplate(); leave the value as-is
       return value;
   }
 }
 
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Split a pipe segment like `join:", "` into its name and argument.
+ * @param {string} segment
+ * @returns {{ name: string, arg: string|undefined }}
+ */
+function parsePipe(segment) {
+  const colon = segment.indexOf(':');
+  if (colon === -1) return { name: segment.trim(), arg: undefined };
+  let arg = segment.slice(colon + 1).trim();
+  if (arg.length >= 2 && arg.startsWith('"') && arg.endsWith('"')) arg = arg.slice(1, -1);
+  return { name: segment.slice(0, colon).trim(), arg };
+}
+
+/**
+ * Parse a template into a node tree.
+ * Nodes: `{ type: 'text', text }`, `{ type: 'value', path, pipes, raw }`,
+ * `{ type: 'if', path, then, otherwise }`.
+ *
+ * @param {string} template
+ * @returns {{ nodes: Object[], errors: string[] }}
+ */
+function parseTemplateNodes(template) {
+  const pattern = /\{\{([^}]+)\}\}/g;
+  const root = { children: [] };
+  const stack = [root];
+  const errors = [];
+  let cursor = 0;
+  let match;
+
+  const current = () => stack[stack.length - 1];
+  const push = (node) => current().children.push(node);
+
+  while ((match = pattern.exec(template)) !== null) {
+    if (match.index > cursor) push({ type: 'text', text: template.slice(cursor, match.index) });
+    cursor = match.index + match[0].length;
+    const content = match[1].trim();
+
+    if (content.startsWith('#if')) {
+      const path = content.slice(3).trim();
+      if (!path) errors.push(`${match[0]} needs a property name`);
+      const node = { type: 'if', path, then: [], otherwise: [] };
+      push(node);
+      stack.push({ node, children: node.then });
+    } else if (content === 'else' || content === '/if') {
+      const frame = current();
+      if (!frame.node) {
+        errors.push(`${match[0]} without a matching {{#if}}`);
+        push({ type: 'text', text: match[0] });
+      } else if (content === 'else') {
+        frame.children = frame.node.otherwise;
+      } else {
+        stack.pop();
+      }
+    } else {
+      const [path, ...segments] = content.split('|');
+      push({ type: 'value', path: path.trim(), pipes: segments.map(parsePipe), raw: match[0] });
+    }
+  }
+  if (cursor < template.length) push({ type: 'text', text: template.slice(cursor) });
+
+  for (const frame of stack.slice(1)) errors.push(`{{#if ${frame.node.path}}} is missing its {{/if}}`);
+  return { nodes: root.children, errors };
+}
+
+/**
+ * Read a dotted property path from data
+ * @param {object} data
+ * @param {string} propertyPath
+ * @returns {*}
+ */
+function readPath(data, propertyPath) {
+  if (data && typeof data === 'object' && propertyPath in data) return data[propertyPath];
+  return propertyPath.split('.').reduce((obj, key) => {
+    return obj && obj[key] !== undefined ? obj[key] : undefined;
+  }, data);
+}
+
+function renderNodes(nodes, data, missing) {
+  let output = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.text;
+    } else if (node.type === 'if') {
+      const branch = isBlank(readPath(data, node.path)) ? node.otherwise : node.then;
+      output += renderNodes(branch, data, missing);
+    } else {
+      const raw = readPath(data, node.path);
+
+      // Convert to string if not already
+      let value = raw;
+      if (value === null || value === undefined) {
+        value = '';
+      } else if (typeof value !== 'string' && !Array.isArray(value)) {
+        value = String(value);
+      }
+
+      // Apply each pipe in order
+      for (const pipe of node.pipes) {
+        value = applyPipe(value, pipe.name, pipe.arg);
+      }
+
+      // If final result is an array, join without separator
+      if (Array.isArray(value)) {
+        value = value.join('');
+      }
+
+      if (missing && isBlank(raw) && value === '') missing.push(node.path);
+      output += value;
+    }
+  }
+  return output;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
 /**
  * Parse a template string and substitute values from data object
- * Supports {{property|pipe1|pipe2}} syntax
+ * Supports {{property|pipe1|pipe2}} and {{#if property}}…{{/if}} syntax
  * @param {string} template - Template string with {{property|pipes}} placeholders
  * @param {object} data - Data object to pull values from
+ * @param {object} [options]
+ * @param {string[]} [options.missing] - Receives the paths of placeholders that
+ *   rendered empty because their value was blank (sections not taken are skipped)
  * @returns {string} Parsed template with substituted values
  */
-export function parseTemplate(template, data) {
+export function parseTemplate(template, data, { missing } = {}) {
   if (!template || typeof template !== 'string') {
     return template;
   }
-  
-  // Match {{property|pipe1|pipe2}} patterns
-  const pattern = /\{\{([^}]+)\}\}/g;
-  
-  return template.replace(pattern, (match, content) => {
-    // Split by pipe character
-    const parts = content.split('|').map(p => p.trim());
-    const propertyPath = parts[0];
-    const pipes = parts.slice(1);
-    
-    // Get the property value from data
-    // Support nested properties with dot notation
-    let value = propertyPath.split('.').reduce((obj, key) => {
-      return obj && obj[key] !== undefined ? obj[key] : '';
-    }, data);
-    
-    // Convert to string if not already
-    if (value === null || value === undefined) {
-      value = '';
-    } else if (typeof value !== 'string' && !Array.isArray(value)) {
-      value = String(value);
-    }
-    
-    // Apply each pipe in order
-    for (const pipe of pipes) {
-      value = applyPipe(value, pipe);
-    }
-    
-    // If final result is an array, join without separator
-    if (Array.isArray(value)) {
-      value = value.join('');
+  return renderNodes(parseTemplateNodes(template).nodes, data, missing);
+}
+
+/**
+ * Check a template for unknown pipes, bad pipe arguments and unbalanced sections.
+ * @param {string} template
+ * @returns {string[]} Error messages (empty = valid)
+ */
+export function validateTemplate(template) {
+  if (!template || typeof template !== 'string') return [];
+  const { nodes, errors } = parseTemplateNodes(template);
+
+  const visit = (list) => {
+    for (const node of list) {
+      if (node.type === 'if') {
+        visit(node.then);
+        visit(node.otherwise);
+      } else if (node.type === 'value') {
+        if (!node.path) errors.push(`${node.raw} needs a property name`);
+        for (const pipe of node.pipes) {
+          if (!TEMPLATE_PIPES.includes(pipe.name)) {
+            errors.push(`Unknown pipe "${pipe.name}" in ${node.raw}`);
+          } else if (COUNT_PIPES.has(pipe.name) && !/^[1-9]\d*$/.test(pipe.arg ?? '')) {
+            errors.push(`Pipe "${pipe.name}" in ${node.raw} needs a positive number, e.g. ${pipe.name}:4`);
+          }
+        }
+      }
     }
-    
-    return value;
-  });
+  };
+  visit(nodes);
+  return errors;
 }
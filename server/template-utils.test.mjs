@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { parseTemplate, validateTemplate } from './template-utils.mjs';
+
+const data = {
+  name: 'My Cool Image',
+  description: 'A very long description of a fox',
+  tags: 'fox, forest, night',
+  list: ['a', 'b', 'c'],
+  uid: 7,
+  timestamp: '2026-03-04T05:06:07.000Z',
+  orientation: 'landscape',
+  extraInputs: { steps: 30 },
+  empty: '',
+};
+
+describe('parseTemplate', () => {
+  it('keeps the original pipes and nested paths', () => {
+    expect(parseTemplate('{{name|split-by-spaces|kebabcase|lowercase}}', data)).toBe('my-cool-image');
+    expect(parseTemplate('{{extraInputs.steps}} steps', data)).toBe('30 steps');
+    expect(parseTemplate('[{{missing}}]', data)).toBe('[]');
+  });
+
+  it('applies the value, list and filename pipes', () => {
+    expect(parseTemplate('{{description|truncate:10}}', data)).toBe('A very lon');
+    expect(parseTemplate('{{empty|default:untitled}}', data)).toBe('untitled');
+    expect(parseTemplate('{{timestamp|date}}_{{timestamp|date:HH-mm}}', data)).toBe('2026-03-04_05-06');
+    expect(parseTemplate('{{uid|pad:4}}', data)).toBe('0007');
+    expect(parseTemplate('{{name|slug}}', { name: 'Crème Brûlée: #2!' })).toBe('creme-brulee-2');
+    expect(parseTemplate('{{name|sanitize-filename}}', { name: ' a/b:c?. ' })).toBe('abc');
+    expect(parseTemplate('{{list|join:" + "}} {{tags|first}}/{{tags|last}}', data)).toBe('a + b + c fox/night');
+  });
+
+  it('renders if/else sections, including nested ones', () => {
+    const template = '{{#if orientation}}wide{{#if empty}} x{{else}} shot{{/if}}{{else}}tall{{/if}}';
+    expect(parseTemplate(template, data)).toBe('wide shot');
+    expect(parseTemplate(template, {})).toBe('tall');
+  });
+
+  it('reports blank placeholders outside of skipped sections', () => {
+    const missing = [];
+    parseTemplate('{{name}} {{empty}} {{gone|default:x}} {{#if gone}}{{alsoGone}}{{/if}}', data, { missing });
+    expect(missing).toEqual(['empty']);
+  });
+
+  it('does not throw on primitive data', () => {
+    expect(parseTemplate('[{{name}}]', 'text')).toBe('[]');
+    expect(parseTemplate('[{{length}}]', 42)).toBe('[]');
+  });
+});
+
+describe('validateTemplate', () => {
+  it('accepts valid templates', () => {
+    expect(validateTemplate('{{#if name}}{{name|slug|truncate:20}}{{/if}} {{tags|join:", "}}')).toEqual([]);
+  });
+
+  it('reports unknown pipes, bad arguments and unbalanced sections', () => {
+    expect(validateTemplate('{{name|snake_case}} {{uid|pad}}')).toEqual([
+      'Unknown pipe "snake_case" in {{name|snake_case}}',
+      'Pipe "pad" in {{uid|pad}} needs a positive number, e.g. pad:4',
+    ]);
+    expect(validateTemplate('{{#if a}}x')).toEqual(['{{#if a}} is missing its {{/if}}']);
+    expect(validateTemplate('x{{/if}}')).toEqual(['{{/if}} without a matching {{#if}}']);
+  });
+});
@@ -3,27 +3,82 @@
  *
  * Handles:
  *   POST /prompt        → returns a fake prompt_id
+ *   GET  /history       → empty history (the health check)
+ *   GET  /object_info   → a few core node definitions (OBJECT_INFO)
+ *   GET  /models[/:dir] → model folders and the files in them (MODELS)
  *   GET  /history/:id   → returns a completed-status payload
  *   POST /upload/image  → echoes a fake filename
  *   WebSocket           → emits execution_start and execution_success events
  *
  * Ports: default 17861 (offset from real ComfyUI 8188 to avoid collision).
+ * Several instances can run side by side on different ports, standing in for a
+ * pool of ComfyUI backends; each records the prompts it received and can push
+ * further WebSocket messages to its clients.
  */
 import express from 'express'
 import http from 'http'
 import { WebSocketServer } from 'ws'
 
-let _server = null
-let _wss = null
+/** Node definitions served by /object_info, in both combo spec formats. */
+export const OBJECT_INFO = {
+  CheckpointLoaderSimple: {
+    input: { required: { ckpt_name: [['sdxl\\base.safetensors', 'flux.safetensors'], {}] } },
+  },
+  KSampler: {
+    input: {
+      required: {
+        seed: ['INT', { default: 0 }],
+        sampler_name: ['COMBO', { options: ['euler', 'dpmpp_2m'] }],
+        model: ['MODEL'],
+      },
+    },
+  },
+  LoadImage: {
+    input: { required: { image: [['example.png'], { image_upload: true }] } },
+  },
+  SaveImage: {
+    input: { required: { images: ['IMAGE'], filename_prefix: ['STRING', { default: 'ComfyUI' }] } },
+  },
+}
+
+/** Model files served by /models, by folder. */
+export const MODELS = { checkpoints: ['sdxl\\base.safetensors', 'flux.safetensors'] }
 
+/** Map<port, { server, wss, prompts }> */
+const _instances = new Map()
+
+/**
+ * @param {number} [port]
+ * @returns {Promise<{ port: number, prompts: Object[], send: Function }>}
+ *   `prompts` collects the body of every POST /prompt this instance receives;
+ *   `send(message)` broadcasts a WebSocket message to its connected clients.
+ */
 export function startComfyMock(port = 17861) {
   const app = express()
   app.use(express.json())
+  const prompts = []
 
   app.post('/prompt', (req, res) => {
+    prompts.push(req.body)
     res.json({ prompt_id: 'fake-prompt-id', number: 1, node_errors: {} })
   })
 
+  app.get('/history', (_req, res) => {
+    res.json({})
+  })
+
+  app.get('/object_info', (_req, res) => {
+    res.json(OBJECT_INFO)
+  })
+
+  app.get('/models', (_req, res) => {
+    res.json(Object.keys(MODELS))
+  })
+
+  app.get('/models/:folder', (req, res) => {
+    res.json(MODELS[req.params.folder] || [])
+  })
+
   app.get('/history/:id', (req, res) => {
     const promptId = req.params.id
     res.json({
@@ -43,10 +98,17 @@ export function startComfyMock(port = 17861) {
     res.json({ success: true })
   })
 
-  _server = http.createServer(app)
-  _wss = new WebSocketServer({ server: _server })
+  const server = http.createServer(app)
+  const wss = new WebSocketServer({ server })
+  _instances.set(port, { server, wss, prompts })
+
+  const send = (message) => {
+    for (const client of wss.clients) {
+      if (client.readyState === client.OPEN) client.send(JSON.stringify(message))
+    }
+  }
 
-  _wss.on('connection', (ws) => {
+  wss.on('connection', (ws) => {
     setTimeout(() => {
       if (ws.readyState === ws.OPEN) {
         ws.send(JSON.stringify({ type: 'execution_start', data: { prompt_id: 'fake-prompt-id' } }))
@@ -63,20 +125,24 @@ export function startComfyMock(port = 17861) {
   })
 
   return new Promise((resolve, reject) => {
-    _server.listen(port, (err) => {
+    server.listen(port, (err) => {
       if (err) return reject(err)
-      resolve()
+      resolve({ port, prompts, send })
     })
   })
 }
 
-export function stopComfyMock() {
-  return new Promise((resolve) => {
-    if (_wss) _wss.close()
-    if (_server) {
-      _server.close(() => resolve())
-    } else {
-      resolve()
-    }
-  })
+/**
+ * @param {number} [port] - Omit to stop every running instance.
+ */
+export function stopComfyMock(port) {
+  const ports = port === undefined ? [..._instances.keys()] : [port]
+  return Promise.all(ports.map(p => new Promise((resolve) => {
+    const instance = _instances.get(p)
+    if (!instance) return resolve()
+    _instances.delete(p)
+    for (const client of instance.wss.clients) client.terminate()
+    instance.wss.close()
+    instance.server.close(() => resolve())
+  })))
 }
@@ -1,4 +1,6 @@
 import fs from 'fs';
+import path from 'path';
+import { STORAGE_DIR, TRASH_DIR } from './core/paths.mjs';
 
 /**
  * Set a nested value in an object given an array of keys (path).
@@ -27,28 +29,49 @@ export function getObjectPathValue(obj, paths) {
 }
 
 /**
- * Find the next available index for image files in a storage folder.
- * @param {string} prefix - The prefix for the image files (e.g., "image")
+ * Highest index handed out per `<folder>\0<prefix>` by {@link findNextIndex}.
+ * Generation runs on several backends at once and a run names its output
+ * before ComfyUI writes it, so the files on disk alone would let two runs
+ * pick the same name.
+ */
+const issuedIndices = new Map();
+
+/**
+ * Filenames in STORAGE_DIR's trash batches. A trashed file can still be
+ * restored, and media lookups by URL would confuse it with a new file of the
+ * same name, so its index stays taken.
+ * @returns {string[]}
+ */
+function trashedFilenames() {
+  if (!fs.existsSync(TRASH_DIR)) return [];
+  return fs.readdirSync(TRASH_DIR, { withFileTypes: true })
+    .filter(dirent => dirent.isDirectory())
+    .flatMap(dirent => fs.readdirSync(path.join(TRASH_DIR, dirent.name)));
+}
+
+/**
+ * Reserve the next available index for files in a storage folder. Indices
+ * handed out earlier in this process count as taken even if their file does
+ * not exist (yet), so every call returns a different index. For STORAGE_DIR,
+ * files in the trash count as taken too.
+ * @param {string} prefix - The prefix for the files (e.g., "image")
  * @param {string} storageFolder - The path to the storage folder
  * @returns {number} The next available index
  */
 export function findNextIndex(prefix, storageFolder) {
-  let index = 1;
-  const files = fs.readdirSync(storageFolder);
   const regex = new RegExp(`^${prefix}_(\\d+)\\.[a-zA-Z0-9]+$`);
-  const imageFiles = files.filter(file => file.match(regex));
-  
-  if (imageFiles.length === 0) {
-    return 1;
-  }
-  
-  const indices = imageFiles.map(file => {
+  let maxIndex = 0;
+  const files = fs.readdirSync(storageFolder);
+  if (path.resolve(storageFolder) === path.resolve(STORAGE_DIR)) files.push(...trashedFilenames());
+  for (const file of files) {
     const match = file.match(regex);
-    return match ? parseInt(match[1]) : 0;
-  });
-  
-  const maxIndex = Math.max(...indices);
-  return maxIndex + 1;
+    if (match) maxIndex = Math.max(maxIndex, parseInt(match[1]));
+  }
+
+  const key = `${storageFolder}\0${prefix}`;
+  const next = Math.max(maxIndex, issuedIndices.get(key) ?? 0) + 1;
+  issuedIndices.set(key, next);
+  return next;
 }
 
 /**
@@ -74,25 +97,78 @@ function isBlankValue(value) {
   return false;
 }
 
+/**
+ * Comparison operators a simple condition may use, exactly one per condition.
+ * Each takes an operand spec (`{ value: ... }` or `{ <source>: "path" }`).
+ */
+export const CONDITION_OPERATORS = ['equals', 'isNot', 'gt', 'lt', 'gte', 'lte', 'contains', 'matches', 'in', 'exists'];
+
+const NUMERIC_OPERATORS = new Set(['gt', 'lt', 'gte', 'lte']);
+
+/**
+ * Resolve a value spec against the data sources.
+ * `{ value: x }` is a literal; `{ data: "a.b.0" }` reads a dotted path from
+ * `dataSources.data` (path segments may index arrays).
+ * @param {Object} dataSources
+ * @param {Object} valueSpec
+ * @returns {*}
+ */
+function resolveConditionValue(dataSources, valueSpec) {
+  const specKeys = Object.keys(valueSpec).filter(key => key !== 'flags');
+  if (specKeys.length === 0) return undefined;
+
+  const sourceKey = specKeys[0]; // e.g., "data" or "value"
+  if (sourceKey === 'value') return valueSpec.value;
+
+  const sourceData = dataSources[sourceKey];
+  if (!sourceData) return undefined;
+  const dataKey = String(valueSpec[sourceKey]);
+  // Prefer an exact key so flat fields containing dots still resolve
+  if (dataKey in sourceData) return sourceData[dataKey];
+  return getObjectPathValue(sourceData, dataKey.split('.'));
+}
+
+/**
+ * Case-insensitive containment: substring for strings, element match for arrays.
+ */
+function containsValue(actual, expected) {
+  const normalize = (v) => (typeof v === 'string' ? v.toLowerCase() : v);
+  if (Array.isArray(actual)) return actual.some(item => normalize(item) === normalize(expected));
+  if (typeof actual === 'string') return actual.toLowerCase().includes(String(expected).toLowerCase());
+  return false;
+}
+
 /**
  * Check if an execution condition is met
  * @param {Object} dataSources - Object containing data sources like { data: {...}, value: ... }
- * @param {Object} conditionData - Condition object with structure: { where: {...}, equals: {...} }, { where: {...}, isNot: {...} }, { or: [...] }, or { and: [...] }
+ * @param {Object} conditionData - Simple condition `{ where, <operator>: {...} }`, `{ or: [...] }` or `{ and: [...] }`
  * @returns {boolean} True if condition is met, false otherwise
- * 
+ *
+ * Operators (see CONDITION_OPERATORS):
+ * - `equals` / `isNot`: strict comparison; blank values match `""`, and
+ *   missing values count as `false` against booleans
+ * - `gt` / `lt` / `gte` / `lte`: numeric comparison (false if either side is not a number)
+ * - `contains`: case-insensitive substring for strings, element match for arrays
+ * - `matches`: regular expression test, with optional `flags` beside `value`
+ * - `in`: the value is one of the listed values
+ * - `exists`: `{ value: true }` passes when the value is not blank, `{ value: false }` when it is
+ *
+ * `where` paths may be nested with dots, e.g. `{ data: "extraInputs.steps" }`.
+ *
  * @example
  * // Simple condition format (equals):
  * // {
  * //   where: { data: "orientation" },  // Check the 'orientation' property from data
  * //   equals: { value: "landscape" }   // Compare against literal value "landscape"
  * // }
- * 
- * // Simple condition format (isNot):
- * // {
- * //   where: { data: "name" },         // Check the 'name' property from data
- * //   isNot: { value: "" }             // Check that it's NOT equal to empty string
- * // }
- * 
+ *
+ * // Comparison and pattern formats:
+ * // { where: { data: "duration" }, gt: { value: 10 } }
+ * // { where: { data: "prompt" }, contains: { value: "landscape" } }
+ * // { where: { data: "name" }, matches: { value: "^draft", flags: "i" } }
+ * // { where: { data: "orientation" }, in: { value: ["portrait", "square"] } }
+ * // { where: { data: "image_1_filename" }, exists: { value: true } }
+ *
  * // OR condition format:
  * // {
  * //   or: [
@@ -100,7 +176,7 @@ function isBlankValue(value) {
  * //     { where: { data: "name" }, equals: { value: "" } }
  * //   ]
  * // }
- * 
+ *
  * // AND condition format:
  * // {
  * //   and: [
@@ -108,7 +184,7 @@ function isBlankValue(value) {
  * //     { where: { data: "aspectRatio" }, equals: { value: "wide" } }
  * //   ]
  * // }
- * 
+ *
  * // Usage:
  * const dataSources = { data: mediaData, value: mediaData };
  * const condition = { where: { data: "orientation" }, equals: { value: "landscape" } };
@@ -118,77 +194,143 @@ function isBlankValue(value) {
  */
 export function checkExecutionCondition(dataSources, conditionData) {
   if (!conditionData) return true; // No condition means always execute
-  
+
   // Handle OR conditions - returns true if any subcondition is true
   if (conditionData.or && Array.isArray(conditionData.or)) {
-    return conditionData.or.some(subCondition => 
+    return conditionData.or.some(subCondition =>
       checkExecutionCondition(dataSources, subCondition)
     );
   }
-  
+
   // Handle AND conditions - returns true only if all subconditions are true
   if (conditionData.and && Array.isArray(conditionData.and)) {
-    return conditionData.and.every(subCondition => 
+    return conditionData.and.every(subCondition =>
       checkExecutionCondition(dataSources, subCondition)
     );
   }
-  
-  const { where, equals, isNot } = conditionData;
-  if (!where || (!equals && !isNot)) return true;
-  
-  /**
-   * Helper function to resolve a value from data sources
-   * @param {Object} valueSpec - Object like { data: "key" } or { value: "directValue" }
-   * @returns {*} The resolved value
-   */
-  const resolveValue = (valueSpec) => {
-    const specKeys = Object.keys(valueSpec);
-    if (specKeys.length === 0) return undefined;
-    
-    const sourceKey = specKeys[0]; // e.g., "data" or "value"
-    
-    // If sourceKey is "value", return the direct value
-    if (sourceKey === 'value') {
-      return valueSpec.value;
+
+  const { where } = conditionData;
+  const operator = CONDITION_OPERATORS.find(op => conditionData[op] !== undefined);
+  if (!where || !operator) return true;
+
+  const actualValue = resolveConditionValue(dataSources, where);
+  const operand = conditionData[operator];
+  const expectedValue = resolveConditionValue(dataSources, operand);
+
+  if (operator === 'equals' || operator === 'isNot') {
+    let result;
+    // Special handling when comparing with empty string
+    // Treat undefined, null, and whitespace-only strings as equivalent to ""
+    if (expectedValue === '') {
+      result = isBlankValue(actualValue);
     }
-    
-    // Otherwise, resolve from data sources
-    const dataKey = valueSpec[sourceKey]; // e.g., "orientation"
-    const sourceData = dataSources[sourceKey];
-    if (!sourceData) return undefined;
-    
-    return sourceData[dataKey];
-  };
-  
-  // Resolve the actual value from 'where'
-  const actualValue = resolveValue(where);
-  
-  // Resolve the expected value from 'equals' or 'isNot'
-  const compareWith = equals || isNot;
-  const expectedValue = resolveValue(compareWith);
-  const shouldNegate = !!isNot; // true if using isNot, false if using equals
-  
-  let result;
-  
-  // Special handling when comparing with empty string
-  // Treat undefined, null, and whitespace-only strings as equivalent to ""
-  if (expectedValue === '') {
-    result = isBlankValue(actualValue);
+    // Special handling for boolean comparisons
+    // Treat undefined as false when comparing with boolean values
+    else if (typeof expectedValue === 'boolean') {
+      const normalizedActual = (typeof actualValue === 'boolean')
+        ? actualValue
+        : !(actualValue === undefined || actualValue === null || actualValue === 'false' || actualValue === '');
+      result = normalizedActual === expectedValue;
+    }
+    else {
+      result = actualValue === expectedValue;
+    }
+    return operator === 'isNot' ? !result : result;
   }
-  // Special handling for boolean comparisons
-  // Treat undefined as false when comparing with boolean values
-  else if (typeof expectedValue === 'boolean') {
-    // If actualValue is undefined or null, treat it as false for boolean comparison
-    const normalizedActual = (typeof actualValue === 'boolean')
-      ? actualValue
-      : !(actualValue === undefined || actualValue === null || actualValue === 'false' || actualValue === '');
-    result = normalizedActual === expectedValue;
+
+  if (NUMERIC_OPERATORS.has(operator)) {
+    if (isBlankValue(actualValue) || isBlankValue(expectedValue)) return false;
+    const a = Number(actualValue);
+    const b = Number(expectedValue);
+    if (Number.isNaN(a) || Number.isNaN(b)) return false;
+    if (operator === 'gt') return a > b;
+    if (operator === 'lt') return a < b;
+    if (operator === 'gte') return a >= b;
+    return a <= b;
   }
-  // Compare values
-  else {
-    result = actualValue === expectedValue;
+
+  switch (operator) {
+    case 'contains':
+      return containsValue(actualValue, expectedValue);
+    case 'matches':
+      if (actualValue === undefined || actualValue === null) return false;
+      try {
+        return new RegExp(String(expectedValue), operand.flags || '').test(String(actualValue));
+      } catch {
+        return false;
+      }
+    case 'in':
+      return Array.isArray(expectedValue) && expectedValue.includes(actualValue);
+    case 'exists':
+      return isBlankValue(actualValue) !== (expectedValue !== false);
+  }
+  return true;
+}
+
+/**
+ * Validate a condition object's shape. Used when saving workflows so typos
+ * (an unknown operator, a missing `where`) don't silently pass at runtime.
+ *
+ * @param {*} condition
+ * @param {string} [label='condition'] - Prefix for error messages.
+ * @returns {string[]} Error messages (empty = valid).
+ */
+export function validateCondition(condition, label = 'condition') {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    return [`${label} must be an object`];
+  }
+
+  for (const group of ['and', 'or']) {
+    if (condition[group] === undefined) continue;
+    if (!Array.isArray(condition[group]) || condition[group].length === 0) {
+      return [`${label}.${group} must be a non-empty array`];
+    }
+    return condition[group].flatMap((sub, i) => validateCondition(sub, `${label}.${group}[${i}]`));
+  }
+
+  const errors = [];
+  const unknownKeys = Object.keys(condition).filter(key => key !== 'where' && !CONDITION_OPERATORS.includes(key));
+  if (unknownKeys.length > 0) errors.push(`${label} has unknown key(s): ${unknownKeys.join(', ')}`);
+
+  const where = condition.where;
+  const whereKeys = where && typeof where === 'object' ? Object.keys(where) : [];
+  if (whereKeys.length !== 1 || whereKeys[0] === 'value' || typeof where[whereKeys[0]] !== 'string' || !where[whereKeys[0]].trim()) {
+    errors.push(`${label}.where must name one field, e.g. { "data": "prompt" }`);
+  }
+
+  const operators = CONDITION_OPERATORS.filter(op => condition[op] !== undefined);
+  if (operators.length !== 1) {
+    errors.push(`${label} needs exactly one operator (${CONDITION_OPERATORS.join(', ')})`);
+    return errors;
+  }
+
+  const [operator] = operators;
+  const operand = condition[operator];
+  const operandKeys = operand && typeof operand === 'object' && !Array.isArray(operand)
+    ? Object.keys(operand).filter(key => key !== 'flags')
+    : [];
+  if (operandKeys.length !== 1) {
+    errors.push(`${label}.${operator} must be { "value": ... } or name one field`);
+    return errors;
+  }
+  if (operandKeys[0] !== 'value') return errors; // Field references are checked at runtime
+
+  const value = operand.value;
+  if (NUMERIC_OPERATORS.has(operator) && (typeof value !== 'number' || !Number.isFinite(value))) {
+    errors.push(`${label}.${operator}.value must be a number`);
+  }
+  if (operator === 'in' && !Array.isArray(value)) {
+    errors.push(`${label}.in.value must be an array`);
+  }
+  if (operator === 'exists' && typeof value !== 'boolean') {
+    errors.push(`${label}.exists.value must be true or false`);
+  }
+  if (operator === 'matches') {
+    try {
+      new RegExp(String(value), operand.flags || '');
+    } catch (error) {
+      errors.push(`${label}.matches is not a valid regular expression: ${error.message}`);
+    }
   }
-  
-  // Negate the result if using isNot
-  return shouldNegate ? !result : result;
+  return errors;
 }
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { checkExecutionCondition, validateCondition } from './util.mjs';
+
+const data = {
+  prompt: 'A Wide Landscape at dusk',
+  name: '',
+  duration: 12,
+  tags: ['cat', 'Night'],
+  orientation: 'landscape',
+  usePostPrompts: true,
+  extraInputs: { steps: 30 },
+  'image_1_filename': 'image_1.png',
+};
+const check = (condition) => checkExecutionCondition({ data, value: data }, condition);
+
+describe('checkExecutionCondition', () => {
+  it('keeps the equals / isNot blank and boolean semantics', () => {
+    expect(check({ where: { data: 'name' }, equals: { value: '' } })).toBe(true);
+    expect(check({ where: { data: 'missing' }, equals: { value: false } })).toBe(true);
+    expect(check({ where: { data: 'orientation' }, isNot: { value: 'portrait' } })).toBe(true);
+    expect(check(null)).toBe(true);
+  });
+
+  it('supports comparisons, contains, matches, in and exists', () => {
+    expect(check({ where: { data: 'duration' }, gt: { value: 10 } })).toBe(true);
+    expect(check({ where: { data: 'duration' }, lte: { value: 10 } })).toBe(false);
+    expect(check({ where: { data: 'missing' }, lt: { value: 10 } })).toBe(false);
+    expect(check({ where: { data: 'prompt' }, contains: { value: 'landscape' } })).toBe(true);
+    expect(check({ where: { data: 'tags' }, contains: { value: 'night' } })).toBe(true);
+    expect(check({ where: { data: 'tags' }, contains: { value: 'ca' } })).toBe(false);
+    expect(check({ where: { data: 'prompt' }, matches: { value: '^a wide', flags: 'i' } })).toBe(true);
+    expect(check({ where: { data: 'prompt' }, matches: { value: '^a wide' } })).toBe(false);
+    expect(check({ where: { data: 'orientation' }, in: { value: ['portrait', 'landscape'] } })).toBe(true);
+    expect(check({ where: { data: 'image_1_filename' }, exists: { value: true } })).toBe(true);
+    expect(check({ where: { data: 'name' }, exists: { value: false } })).toBe(true);
+  });
+
+  it('reads nested paths and combines groups', () => {
+    expect(check({ where: { data: 'extraInputs.steps' }, gte: { value: 30 } })).toBe(true);
+    expect(check({ where: { data: 'tags.0' }, equals: { value: 'cat' } })).toBe(true);
+    expect(check({
+      and: [
+        { where: { data: 'usePostPrompts' }, equals: { value: true } },
+        { or: [{ where: { data: 'duration' }, gt: { value: 60 } }, { where: { data: 'extraInputs.steps' }, in: { value: [30] } }] },
+      ],
+    })).toBe(true);
+  });
+});
+
+describe('validateCondition', () => {
+  it('accepts well-formed conditions', () => {
+    expect(validateCondition({ where: { data: 'name' }, equals: { value: '' } })).toEqual([]);
+    expect(validateCondition({ or: [{ where: { data: 'a.b' }, gt: { value: 1 } }, { where: { data: 'x' }, exists: { value: true } }] })).toEqual([]);
+    expect(validateCondition({ where: { data: 'x' }, equals: { data: 'y' } })).toEqual([]);
+  });
+
+  it('rejects malformed conditions with a path to the problem', () => {
+    expect(validateCondition({ where: { data: 'x' }, equal: { value: 1 } })).toEqual([
+      'condition has unknown key(s): equal',
+      'condition needs exactly one operator (equals, isNot, gt, lt, gte, lte, contains, matches, in, exists)',
+    ]);
+    expect(validateCondition({ and: [] })).toEqual(['condition.and must be a non-empty array']);
+    expect(validateCondition({ and: [{ where: { data: '' }, gt: { value: 'ten' } }] }, 'replace[0].condition')).toEqual([
+      'replace[0].condition.and[0].where must name one field, e.g. { "data": "prompt" }',
+      'replace[0].condition.and[0].gt.value must be a number',
+    ]);
+    expect(validateCondition({ where: { data: 'x' }, matches: { value: '(' } })[0]).toMatch(/not a valid regular expression/);
+    expect(validateCondition({ where: { data: 'x' }, in: { value: 'a' }, exists: { value: true } })).toEqual([
+      'condition needs exactly one operator (equals, isNot, gt, lt, gte, lte, contains, matches, in, exists)',
+    ]);
+  });
+});